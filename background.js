@@ -1,10 +1,12 @@
 /**
  * Background Service Worker
  *
- * Handles extension installation and loads bundled effects.
+ * Handles extension installation, loads bundled effects, runs the
+ * screen share picker for wall art, and handles keyboard shortcuts.
  */
 
 import { BUNDLED_EFFECTS, createBundledEffect } from './lib/bundled-effects.js';
+import { resolveShortcutCommand, applyActiveChanges } from './lib/shortcuts.js';
 
 // Run on extension install
 chrome.runtime.onInstalled.addListener(async (details) => {
@@ -45,3 +47,117 @@ async function loadBundledEffects() {
 
   console.log(`[Meet Camera Overlay] Added ${bundledOverlays.length} bundled effects`);
 }
+
+// Messages from the popup that must outlive it, and panic-hide state from Meet tabs
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'START_SCREEN_SHARE') {
+    startScreenShare(message.tabId, message.wallArtId)
+      .then(sendResponse)
+      .catch((e) => {
+        console.error('[Meet Camera Overlay] Screen share failed:', e);
+        sendResponse({ success: false, error: e.message });
+      });
+    return true; // Keep channel open for async response
+  }
+  if (message.type === 'OVERLAYS_HIDDEN_CHANGED' && sender.tab) {
+    // Badge the toolbar icon on that tab so a panic-hide isn't forgotten
+    chrome.action.setBadgeText({ tabId: sender.tab.id, text: message.hidden ? 'OFF' : '' });
+    chrome.action.setBadgeBackgroundColor({ tabId: sender.tab.id, color: '#d93025' });
+  }
+  if ((message.type === 'RECALIBRATION_NEEDED' || message.type === 'WALL_ART_RELOCALIZED') && sender.tab) {
+    setRecalibrationBadge(sender.tab.id, message.type === 'RECALIBRATION_NEEDED').catch(() => {});
+  }
+  return false;
+});
+
+/**
+ * Show or clear the "please recalibrate" badge. The panic-hide badge wins, since
+ * it says nothing is on screen at all.
+ * @param {number} tabId - Meet tab
+ * @param {boolean} needed - Whether recalibration is needed
+ */
+async function setRecalibrationBadge(tabId, needed) {
+  const current = await chrome.action.getBadgeText({ tabId });
+  if (current === 'OFF') return;
+  await chrome.action.setBadgeText({ tabId, text: needed ? '!' : '' });
+  await chrome.action.setBadgeBackgroundColor({ tabId, color: '#f29900' });
+}
+
+// Keyboard shortcuts (chrome.commands, see manifest.json)
+chrome.commands.onCommand.addListener((command) => {
+  handleCommand(command).catch((e) => {
+    console.error('[Meet Camera Overlay] Shortcut failed:', command, e);
+  });
+});
+
+/**
+ * Find the Meet tab a shortcut should act on: the active Meet tab in the focused
+ * window, otherwise the Meet tab used most recently (e.g. while presenting from another tab).
+ * @returns {Promise<chrome.tabs.Tab|null>}
+ */
+async function findMeetTab() {
+  const [focused] = await chrome.tabs.query({ url: 'https://meet.google.com/*', active: true, lastFocusedWindow: true });
+  if (focused) return focused;
+
+  const tabs = await chrome.tabs.query({ url: 'https://meet.google.com/*' });
+  if (tabs.length === 0) return null;
+  return tabs.reduce((latest, tab) => ((tab.lastAccessed || 0) > (latest.lastAccessed || 0) ? tab : latest));
+}
+
+/**
+ * Run a shortcut: store the visibility changes so the popup agrees with the call,
+ * then send the toggle messages to the Meet tab.
+ * @param {string} command - Command name from manifest.json
+ */
+async function handleCommand(command) {
+  const tab = await findMeetTab();
+  if (!tab) return;
+
+  const state = await chrome.storage.local.get(['overlays', 'wallArtOverlays', 'shortcutSlots']);
+  const result = resolveShortcutCommand(command, state);
+  if (!result) return;
+
+  const updates = {};
+  if (result.overlayChanges.length > 0) {
+    updates.overlays = applyActiveChanges(state.overlays || [], result.overlayChanges);
+  }
+  if (result.wallArtChanges.length > 0) {
+    updates.wallArtOverlays = applyActiveChanges(state.wallArtOverlays || [], result.wallArtChanges);
+  }
+  if (Object.keys(updates).length > 0) {
+    await chrome.storage.local.set(updates);
+  }
+
+  for (const message of result.messages) {
+    await chrome.tabs.sendMessage(tab.id, message).catch(() => {});
+  }
+  console.log('[Meet Camera Overlay] Shortcut:', command);
+}
+
+/**
+ * Let the user pick a screen, window or tab and hand it to a Meet tab as wall art.
+ *
+ * The picker runs here because the popup closes as soon as the picker takes focus,
+ * and the Meet page can't call getDisplayMedia itself without a user gesture.
+ * Passing the tab scopes the stream ID to that tab's origin.
+ *
+ * @param {number} tabId - Meet tab that will consume the stream
+ * @param {string} wallArtId - Wall art region to show the capture on
+ * @returns {Promise<{success: boolean, cancelled?: boolean}>}
+ */
+async function startScreenShare(tabId, wallArtId) {
+  const tab = await chrome.tabs.get(tabId);
+
+  const streamId = await new Promise((resolve) => {
+    chrome.desktopCapture.chooseDesktopMedia(['screen', 'window', 'tab'], tab, resolve);
+  });
+
+  // Empty stream ID means the user cancelled the picker
+  if (!streamId) {
+    return { success: false, cancelled: true };
+  }
+
+  await chrome.tabs.sendMessage(tabId, { type: 'START_SCREEN_SHARE', wallArtId, streamId });
+  console.log('[Meet Camera Overlay] Screen share handed to tab', tabId);
+  return { success: true };
+}
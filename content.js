@@ -25,13 +25,26 @@ function injectScript(src) {
 (async () => {
   try {
     // Load wall art libraries first (they define global functions)
+    await injectScript('lib/shared-utils.js');
     await injectScript('lib/wall-region.js');
+    await injectScript('lib/occluder-mask.js');
+    await injectScript('lib/paint-patterns.js');
+    await injectScript('lib/art-frame.js');
+    await injectScript('lib/wall-art-playlist.js');
     await injectScript('lib/wall-paint-renderer.js');
     await injectScript('lib/wall-art-renderer.js');
+    await injectScript('lib/wall-art-compositor.js');
+    await injectScript('lib/mask-stabilizer.js');
     await injectScript('lib/wall-segmentation.js');
+    await injectScript('lib/bundled-model.js');
+    await injectScript('lib/depth-estimator.js');
     // Load edge detection and snapping before region editor (editor depends on them)
     await injectScript('lib/edge-detector.js');
+    await injectScript('lib/vanishing-points.js');
     await injectScript('lib/snap-engine.js');
+    // Click-to-segment wall selection for the region editor
+    await injectScript('lib/mask-fitting.js');
+    await injectScript('lib/click-segmenter.js');
     await injectScript('lib/wall-region-editor.js');
     // Load performance monitor
     await injectScript('lib/performance-monitor.js');
@@ -47,7 +60,7 @@ function injectScript(src) {
 
     // Send initial overlays and wall art from chrome.storage to the injected script
     setTimeout(() => {
-      chrome.storage.local.get(['overlays', 'wallArtOverlays', 'wallArtSettings'], (result) => {
+      chrome.storage.local.get(['overlays', 'wallArtOverlays', 'wallArtSettings', 'wizardSetupData'], (result) => {
         const overlays = result.overlays || [];
         const wallArtOverlays = result.wallArtOverlays || [];
         const wallArtSettings = result.wallArtSettings || {
@@ -60,6 +73,14 @@ function injectScript(src) {
         window.postMessage({ type: 'MEET_OVERLAY_UPDATE', overlays }, '*');
         window.postMessage({ type: 'MEET_OVERLAY_UPDATE_WALL_ART', wallArtOverlays }, '*');
         window.postMessage({ type: 'MEET_OVERLAY_UPDATE_WALL_ART_SETTINGS', settings: wallArtSettings }, '*');
+        window.postMessage({
+          type: 'MEET_OVERLAY_UPDATE_WALL_ART_REFERENCE',
+          reference: getWallArtReference(result.wizardSetupData)
+        }, '*');
+        window.postMessage({
+          type: 'MEET_OVERLAY_UPDATE_PAINT_SHADING_REFERENCE',
+          frame: result.wizardSetupData?.referenceFrame || null
+        }, '*');
       });
     }, 500);
   } catch (e) {
@@ -67,6 +88,12 @@ function injectScript(src) {
   }
 })();
 
+// Relocalization reference from the stored setup wizard data, or null
+function getWallArtReference(setupData) {
+  if (!setupData || !setupData.referenceDescriptors) return null;
+  return { ...setupData.referenceDescriptors, pose: setupData.referencePose || null };
+}
+
 // Listen for messages from popup and forward to page context
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   console.log('[Meet Overlay] Received message from popup:', message.type);
@@ -112,6 +139,37 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     sendResponse({ success: true });
   }
 
+  if (message.type === 'TOGGLE_CAMERA') {
+    window.postMessage({
+      type: 'MEET_OVERLAY_TOGGLE_CAMERA',
+      id: message.id,
+      active: message.active
+    }, '*');
+    sendResponse({ success: true });
+  }
+
+  // List the page's cameras for the camera overlay device picker
+  if (message.type === 'GET_VIDEO_DEVICES') {
+    window.postMessage({ type: 'MEET_OVERLAY_GET_VIDEO_DEVICES' }, '*');
+
+    const timeout = setTimeout(() => {
+      window.removeEventListener('message', handler);
+      sendResponse({ devices: [] });
+    }, 2000);
+
+    const handler = (event) => {
+      if (event.source !== window) return;
+      if (event.data.type === 'MEET_OVERLAY_VIDEO_DEVICES') {
+        clearTimeout(timeout);
+        window.removeEventListener('message', handler);
+        sendResponse({ devices: event.data.devices });
+      }
+    };
+    window.addEventListener('message', handler);
+
+    return true; // Keep channel open for async response
+  }
+
   if (message.type === 'UPDATE_TEXT') {
     window.postMessage({
       type: 'MEET_OVERLAY_UPDATE_TEXT',
@@ -167,6 +225,81 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     sendResponse({ success: true });
   }
 
+  if (message.type === 'UPDATE_WALL_ART_REFERENCE') {
+    window.postMessage({
+      type: 'MEET_OVERLAY_UPDATE_WALL_ART_REFERENCE',
+      reference: message.reference
+    }, '*');
+    sendResponse({ success: true });
+  }
+
+  if (message.type === 'UPDATE_PAINT_SHADING_REFERENCE') {
+    window.postMessage({
+      type: 'MEET_OVERLAY_UPDATE_PAINT_SHADING_REFERENCE',
+      frame: message.frame
+    }, '*');
+    sendResponse({ success: true });
+  }
+
+  // Panic shortcut from the background worker
+  if (message.type === 'HIDE_ALL') {
+    window.postMessage({
+      type: 'MEET_OVERLAY_HIDE_ALL',
+      hidden: message.hidden
+    }, '*');
+    sendResponse({ success: true });
+  }
+
+  // Scene switch: overlays, wall art and settings are swapped together
+  if (message.type === 'APPLY_SCENE') {
+    window.postMessage({
+      type: 'MEET_OVERLAY_APPLY_SCENE',
+      scene: message.scene,
+      crossfadeMs: message.crossfadeMs
+    }, '*');
+    sendResponse({ success: true });
+  }
+
+  // Screen share wall art (streamId is picked by the background worker)
+  if (message.type === 'START_SCREEN_SHARE') {
+    window.postMessage({
+      type: 'MEET_OVERLAY_START_SCREEN_SHARE',
+      id: message.wallArtId,
+      streamId: message.streamId
+    }, '*');
+    sendResponse({ success: true });
+  }
+
+  if (message.type === 'STOP_SCREEN_SHARE') {
+    window.postMessage({
+      type: 'MEET_OVERLAY_STOP_SCREEN_SHARE',
+      id: message.wallArtId
+    }, '*');
+    sendResponse({ success: true });
+  }
+
+  // Ask inject.js which wall art regions are showing a screen share
+  if (message.type === 'GET_SCREEN_SHARES') {
+    window.postMessage({ type: 'MEET_OVERLAY_GET_SCREEN_SHARES' }, '*');
+
+    const timeout = setTimeout(() => {
+      window.removeEventListener('message', handler);
+      sendResponse({ ids: [] });
+    }, 500);
+
+    const handler = (event) => {
+      if (event.source !== window) return;
+      if (event.data.type === 'MEET_OVERLAY_SCREEN_SHARES') {
+        clearTimeout(timeout);
+        window.removeEventListener('message', handler);
+        sendResponse({ ids: event.data.ids });
+      }
+    };
+    window.addEventListener('message', handler);
+
+    return true; // Keep channel open for async response
+  }
+
   // ==================== SETUP WIZARD MESSAGE FORWARDING ====================
 
   // Forward wizard frame capture request and wait for response
@@ -226,6 +359,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     window.postMessage({
       type: 'MEET_OVERLAY_REGION_EDITOR_SHOW',
       region: message.region,
+      regionType: message.regionType,
+      transform: message.transform,
+      occluders: message.occluders,
       wallArtId: message.wallArtId
     }, '*');
     sendResponse({ success: true });
@@ -277,11 +413,104 @@ window.addEventListener('message', (event) => {
     }).catch(() => {});
   }
 
+  // Forward screen share start/stop (including the shared surface ending) to popup
+  if (event.data.type === 'MEET_OVERLAY_SCREEN_SHARE_CHANGED') {
+    chrome.runtime.sendMessage({
+      type: 'SCREEN_SHARE_CHANGED',
+      wallArtId: event.data.id,
+      live: event.data.live,
+      reason: event.data.reason
+    }).catch(() => {});
+  }
+
+  // Forward camera overlay start/stop (including the device going away) to popup
+  if (event.data.type === 'MEET_OVERLAY_CAMERA_CHANGED') {
+    chrome.runtime.sendMessage({
+      type: 'CAMERA_OVERLAY_CHANGED',
+      id: event.data.id,
+      live: event.data.live,
+      reason: event.data.reason
+    }).catch(() => {});
+  }
+
+  // A countdown finished: store its end action's visibility changes so the popup
+  // (and the next overlay update) agree with what is on screen, then tell the popup
+  if (event.data.type === 'MEET_OVERLAY_TIMER_ENDED') {
+    const changes = event.data.changes || [];
+    const notify = () => {
+      chrome.runtime.sendMessage({
+        type: 'TIMER_ENDED',
+        id: event.data.id,
+        changes
+      }).catch(() => {});
+    };
+
+    if (changes.length === 0) {
+      notify();
+    } else {
+      chrome.storage.local.get(['overlays'], (result) => {
+        const overlays = (result.overlays || []).map(overlay => {
+          const change = changes.find(c => c.id === overlay.id);
+          return change ? { ...overlay, active: change.active } : overlay;
+        });
+        chrome.storage.local.set({ overlays }, notify);
+      });
+    }
+  }
+
+  // The camera moved and the wall was found again: store the re-projected regions
+  // and the pose they now match, then tell the popup and background worker
+  if (event.data.type === 'MEET_OVERLAY_WALL_ART_RELOCALIZED') {
+    const regions = event.data.regions || [];
+    chrome.storage.local.get(['wallArtOverlays', 'wizardSetupData'], (result) => {
+      const wallArtOverlays = (result.wallArtOverlays || []).map(wallArt => {
+        const moved = regions.find(r => r.id === wallArt.id);
+        if (!moved) return wallArt;
+        return {
+          ...wallArt,
+          region: moved.region,
+          ...(moved.occluders && { occluders: moved.occluders }),
+          updatedAt: Date.now()
+        };
+      });
+      const updates = { wallArtOverlays };
+      if (result.wizardSetupData) {
+        updates.wizardSetupData = { ...result.wizardSetupData, referencePose: event.data.pose };
+      }
+      chrome.storage.local.set(updates, () => {
+        chrome.storage.local.remove('recalibrationNeeded');
+        chrome.runtime.sendMessage({
+          type: 'WALL_ART_RELOCALIZED',
+          confidence: event.data.confidence
+        }).catch(() => {});
+      });
+    });
+  }
+
+  // The wall couldn't be found again: remember it so the popup asks for recalibration
+  if (event.data.type === 'MEET_OVERLAY_RECALIBRATION_NEEDED') {
+    const recalibrationNeeded = { confidence: event.data.confidence, detectedAt: Date.now() };
+    chrome.storage.local.set({ recalibrationNeeded }, () => {
+      chrome.runtime.sendMessage({ type: 'RECALIBRATION_NEEDED', ...recalibrationNeeded }).catch(() => {});
+    });
+  }
+
+  // Let the background worker badge the toolbar icon while everything is hidden
+  if (event.data.type === 'MEET_OVERLAY_HIDDEN_CHANGED') {
+    chrome.runtime.sendMessage({
+      type: 'OVERLAYS_HIDDEN_CHANGED',
+      hidden: event.data.hidden
+    }).catch(() => {});
+  }
+
   // Forward region editor results back to extension
   if (event.data.type === 'MEET_OVERLAY_REGION_EDITOR_SAVE') {
     chrome.runtime.sendMessage({
       type: 'REGION_EDITOR_SAVE',
       region: event.data.region,
+      regionType: event.data.regionType,
+      transform: event.data.transform,
+      occluders: event.data.occluders,
       wallArtId: event.data.wallArtId
     }).catch(() => {});
   }
@@ -297,6 +526,9 @@ window.addEventListener('message', (event) => {
     chrome.runtime.sendMessage({
       type: 'REGION_EDITOR_UPDATE',
       region: event.data.region,
+      regionType: event.data.regionType,
+      transform: event.data.transform,
+      occluders: event.data.occluders,
       wallArtId: event.data.wallArtId
     }).catch(() => {});
   }
@@ -1,6 +1,7 @@
 /**
  * Debug Panel Component
- * Shows FPS counter, timing metrics, and debug toggles.
+ * Shows FPS counter, timing metrics, per-region lighting, mask stabilization
+ * comparison, and debug toggles.
  */
 
 let processor = null;
@@ -8,6 +9,8 @@ let fpsElement = null;
 let renderTimeElement = null;
 let segmentTimeElement = null;
 let segmentStatusElement = null;
+let stabilizationStatsElement = null;
+let lightingRegionsElement = null;
 
 /**
  * Initialize the debug panel.
@@ -53,6 +56,28 @@ export function initDebugPanel(videoProcessor) {
         <span class="status-indicator off"></span>
         <span class="status-text">Disabled</span>
       </div>
+      <div class="segmentation-controls">
+        <select id="segmentation-stabilization" class="select-small" title="Mask stabilization between segmentations">
+          <option value="motion">Motion-compensated</option>
+          <option value="temporal">Temporal only</option>
+          <option value="off">No stabilization</option>
+        </select>
+        <select id="debug-mask-view" class="select-small" title="Mask shown by Show Segmentation Mask">
+          <option value="stabilized">Stabilized mask</option>
+          <option value="raw">Last segmentation</option>
+          <option value="compare">Compare (red raw, green stabilized)</option>
+        </select>
+      </div>
+      <div class="stabilization-stats" id="stabilization-stats"></div>
+    </div>
+
+    <div class="debug-section">
+      <h4>Lighting</h4>
+      <label>
+        <input type="checkbox" id="debug-lighting">
+        Per-region Lighting Compensation
+      </label>
+      <div class="lighting-regions" id="lighting-regions"></div>
     </div>
 
     <div class="debug-metrics">
@@ -112,6 +137,11 @@ export function initDebugPanel(videoProcessor) {
       gap: 6px;
       font-size: 11px;
     }
+    .stabilization-stats {
+      margin-top: 6px;
+      font-size: 11px;
+      font-family: monospace;
+    }
     .status-indicator {
       width: 8px;
       height: 8px;
@@ -121,6 +151,23 @@ export function initDebugPanel(videoProcessor) {
     .status-indicator.loading { background: #ff9900; animation: pulse 1s infinite; }
     .status-indicator.active { background: #00ff00; }
     .status-indicator.error { background: #ff0000; }
+    .lighting-regions {
+      margin-top: 6px;
+      font-size: 11px;
+      font-family: monospace;
+    }
+    .lighting-region {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      padding: 2px 0;
+    }
+    .lighting-swatch {
+      width: 10px;
+      height: 10px;
+      border-radius: 2px;
+      border: 1px solid #333;
+    }
     @keyframes pulse {
       0%, 100% { opacity: 1; }
       50% { opacity: 0.5; }
@@ -133,6 +180,8 @@ export function initDebugPanel(videoProcessor) {
   renderTimeElement = document.getElementById('metric-render');
   segmentTimeElement = document.getElementById('metric-segment');
   segmentStatusElement = document.getElementById('segmentation-status');
+  stabilizationStatsElement = document.getElementById('stabilization-stats');
+  lightingRegionsElement = document.getElementById('lighting-regions');
 
   // Set up debug toggles
   document.getElementById('debug-show-fps').addEventListener('change', (e) => {
@@ -147,6 +196,11 @@ export function initDebugPanel(videoProcessor) {
     processor.setDebugOptions({ showCoords: e.target.checked });
   });
 
+  document.getElementById('debug-lighting').addEventListener('change', (e) => {
+    processor.setLightingCompensation(e.target.checked);
+    updateLightingRegions(processor.getLightingStatus());
+  });
+
   // Segmentation toggle
   const segToggle = document.getElementById('segmentation-toggle');
   const segPreset = document.getElementById('segmentation-preset');
@@ -182,6 +236,14 @@ export function initDebugPanel(videoProcessor) {
     processor.setSegmentationPreset(segPreset.value);
   });
 
+  document.getElementById('segmentation-stabilization').addEventListener('change', (e) => {
+    processor.setSegmentationStabilization(e.target.value);
+  });
+
+  document.getElementById('debug-mask-view').addEventListener('change', (e) => {
+    processor.setDebugOptions({ maskView: e.target.value });
+  });
+
   // Set up debug update callback
   processor.onDebugUpdate = (data) => {
     updateMetrics(data);
@@ -226,9 +288,52 @@ function updateMetrics(data) {
 
   if (data.segmentationStatus) {
     updateSegmentationStatus(data.segmentationStatus);
+    updateStabilizationStats(data.segmentationStatus.stabilization);
+  }
+
+  if (data.lightingStatus !== undefined) {
+    updateLightingRegions(data.lightingStatus);
   }
 }
 
+/**
+ * Show each region's measured wall lighting and the grade applied to its art.
+ * @param {Object|null} status - Lighting detector status
+ */
+function updateLightingRegions(status) {
+  if (!lightingRegionsElement) return;
+
+  if (!status || status.regions.length === 0) {
+    lightingRegionsElement.textContent = status ? 'No regions sampled yet' : '';
+    return;
+  }
+
+  lightingRegionsElement.innerHTML = status.regions.map(region => {
+    const { currentMetrics: m, brightness, colorGain } = region;
+    const swatch = `rgb(${Math.round(m.r)}, ${Math.round(m.g)}, ${Math.round(m.b)})`;
+    const gain = colorGain.map(g => g.toFixed(2)).join('/');
+    return `
+      <div class="lighting-region" title="${region.id}">
+        <span class="lighting-swatch" style="background: ${swatch}"></span>
+        <span>L ${m.brightness.toFixed(0)} T ${m.colorTemp.toFixed(2)}</span>
+        <span>x${brightness.toFixed(2)} rgb ${gain}</span>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Show how much the mask edge moved in the last frame, to compare stabilization modes.
+ * @param {Object|null} stats - Segmenter stabilization stats
+ */
+function updateStabilizationStats(stats) {
+  if (!stabilizationStatsElement) return;
+
+  stabilizationStatsElement.textContent = stats
+    ? `Edge changes ${(stats.changed * 100).toFixed(2)}%  Motion ${stats.motion.toFixed(2)}px`
+    : '';
+}
+
 /**
  * Update the segmentation status indicator.
  * @param {Object} status - Segmentation status
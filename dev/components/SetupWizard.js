@@ -385,6 +385,7 @@ async function finalizeSetup() {
       width: referenceFrameData.width,
       height: referenceFrameData.height,
       capturedAt: referenceFrameData.capturedAt,
+      descriptors: referenceFrameData.descriptors,
       wallColors,
       benchmark: benchmarkResults,
       selectedPreset
@@ -395,6 +396,11 @@ async function finalizeSetup() {
       processor.setSegmentationPreset(selectedPreset);
     }
 
+    // Recolor paint can take its shading from the reference frame
+    if (processor.setPaintShadingFrame) {
+      processor.setPaintShadingFrame(referenceFrameData.medianFrame);
+    }
+
     // Mark complete
     setupState.status = 'complete';
 
@@ -1,9 +1,19 @@
 /**
  * Wall Art Content Editor Component
  *
- * UI for managing wall art content (images, GIFs, videos) on regions.
+ * UI for managing wall art content (images, GIFs, videos) on regions,
+ * and the frame, drop shadow and glare around it.
  */
 
+import { FRAME_STYLES, DEFAULT_SHADOW } from '../../lib/art-frame.js';
+
+const FRAME_LABELS = {
+  thinBlack: 'Thin black',
+  wood: 'Wood',
+  galleryWhite: 'Gallery white with mat',
+  canvasWrap: 'Canvas wrap'
+};
+
 // Module-level state
 let processor = null;
 let api = null;
@@ -57,6 +67,43 @@ export function initWallArtContentEditor(videoProcessor, wallArtApi) {
         <input type="range" id="art-opacity" min="0" max="100" value="100">
       </div>
 
+      <div class="form-group">
+        <label for="art-frame-style">Frame</label>
+        <select id="art-frame-style">
+          <option value="none">None</option>
+          ${Object.keys(FRAME_STYLES).map(style => `<option value="${style}">${FRAME_LABELS[style] || style}</option>`).join('')}
+        </select>
+      </div>
+
+      <div class="form-group">
+        <label>
+          <input type="checkbox" id="art-glare">
+          Glass glare
+        </label>
+      </div>
+
+      <div class="form-group">
+        <label>
+          <input type="checkbox" id="art-shadow-enabled">
+          Drop shadow
+        </label>
+      </div>
+
+      <div class="form-group">
+        <label for="art-shadow-x">Shadow offset X: <span id="art-shadow-x-value">2</span>%</label>
+        <input type="range" id="art-shadow-x" min="-10" max="10" value="2">
+      </div>
+
+      <div class="form-group">
+        <label for="art-shadow-y">Shadow offset Y: <span id="art-shadow-y-value">4</span>%</label>
+        <input type="range" id="art-shadow-y" min="-10" max="10" value="4">
+      </div>
+
+      <div class="form-group">
+        <label for="art-shadow-blur">Shadow softness: <span id="art-shadow-blur-value">4</span>%</label>
+        <input type="range" id="art-shadow-blur" min="0" max="15" value="4">
+      </div>
+
       <div class="form-group">
         <label>
           <input type="checkbox" id="art-enabled" checked>
@@ -110,6 +157,27 @@ function setupEventListeners() {
     updateArtProperty('opacity', value / 100);
   });
 
+  // Frame style
+  const frameStyle = document.getElementById('art-frame-style');
+  frameStyle?.addEventListener('change', (e) => {
+    updateArtProperty('frame', e.target.value !== 'none' ? { style: e.target.value } : null);
+  });
+
+  // Glass glare
+  const glareCheckbox = document.getElementById('art-glare');
+  glareCheckbox?.addEventListener('change', (e) => {
+    updateArtProperty('glare', e.target.checked ? { enabled: true } : null);
+  });
+
+  // Drop shadow toggle and sliders (percent of the art's shorter side)
+  document.getElementById('art-shadow-enabled')?.addEventListener('change', updateShadow);
+  ['x', 'y', 'blur'].forEach(key => {
+    document.getElementById(`art-shadow-${key}`)?.addEventListener('input', (e) => {
+      document.getElementById(`art-shadow-${key}-value`).textContent = e.target.value;
+      updateShadow();
+    });
+  });
+
   // Enable checkbox
   const enableCheckbox = document.getElementById('art-enabled');
   enableCheckbox?.addEventListener('change', (e) => {
@@ -155,6 +223,9 @@ async function handleFileSelect(e) {
       contentType,
       aspectRatioMode: document.getElementById('art-aspect-mode')?.value || 'stretch',
       opacity: parseInt(document.getElementById('art-opacity')?.value || '100', 10) / 100,
+      frame: region.art?.frame || null,
+      shadow: region.art?.shadow || null,
+      glare: region.art?.glare || null,
       enabled: true
     };
     region.updatedAt = Date.now();
@@ -267,6 +338,22 @@ function updateArtProperty(property, value) {
   api.setWallArtRegions(regions);
 }
 
+/**
+ * Store the drop shadow from its toggle and sliders.
+ */
+function updateShadow() {
+  const enabled = document.getElementById('art-shadow-enabled')?.checked;
+  const percent = (key) => parseInt(document.getElementById(`art-shadow-${key}`)?.value || '0', 10) / 100;
+
+  updateArtProperty('shadow', enabled ? {
+    enabled: true,
+    offsetX: percent('x'),
+    offsetY: percent('y'),
+    blur: percent('blur'),
+    opacity: DEFAULT_SHADOW.opacity
+  } : null);
+}
+
 /**
  * Update the region select dropdown.
  */
@@ -325,6 +412,7 @@ function updateArtControls() {
     if (opacitySlider) opacitySlider.value = Math.round((art.opacity || 1) * 100);
     if (opacityValue) opacityValue.textContent = Math.round((art.opacity || 1) * 100);
     if (enableCheckbox) enableCheckbox.checked = art.enabled !== false;
+    updateDecorControls(art);
 
     updateSourceInfo(art.contentType ? `${art.contentType} loaded` : 'Content loaded', art.contentType || 'image');
     updatePreview(art.src, art.contentType);
@@ -333,12 +421,34 @@ function updateArtControls() {
     if (opacitySlider) opacitySlider.value = 100;
     if (opacityValue) opacityValue.textContent = '100';
     if (enableCheckbox) enableCheckbox.checked = true;
+    updateDecorControls(null);
 
     updateSourceInfo('', '');
     if (preview) preview.innerHTML = '<div class="preview-placeholder">Upload an image, GIF, or video</div>';
   }
 }
 
+/**
+ * Update the frame, shadow and glare controls.
+ */
+function updateDecorControls(art) {
+  const shadow = { ...DEFAULT_SHADOW, ...art?.shadow };
+  const frameStyle = document.getElementById('art-frame-style');
+  const glareCheckbox = document.getElementById('art-glare');
+  const shadowCheckbox = document.getElementById('art-shadow-enabled');
+
+  if (frameStyle) frameStyle.value = art?.frame?.style || 'none';
+  if (glareCheckbox) glareCheckbox.checked = Boolean(art?.glare?.enabled);
+  if (shadowCheckbox) shadowCheckbox.checked = Boolean(art?.shadow?.enabled);
+
+  for (const [key, value] of [['x', shadow.offsetX], ['y', shadow.offsetY], ['blur', shadow.blur]]) {
+    const slider = document.getElementById(`art-shadow-${key}`);
+    const label = document.getElementById(`art-shadow-${key}-value`);
+    if (slider) slider.value = Math.round(value * 100);
+    if (label) label.textContent = Math.round(value * 100);
+  }
+}
+
 /**
  * Update source info display.
  */
@@ -2,18 +2,35 @@
  * Wall Art Editor Component
  *
  * Provides region selection UI with 4-corner draggable handles
- * for defining wall art placement areas.
+ * for defining wall art placement areas. Corner drags honor the region
+ * type; the mouse wheel, +/- and arrow keys zoom and pan the art inside
+ * the selected region. Polygon regions add a vertex on double-click and
+ * drop one on double- or right-click; mask regions are painted with the
+ * mouse (Shift erases, Alt-drag moves).
  */
 
 import {
   createDefaultRegion,
   validateRegion,
+  getRegionBounds,
   findCornerAtPoint,
   moveCorner,
+  constrainRegion,
+  normalizeContentTransform,
+  stepContentTransform,
   moveRegion,
   isPointInRegion,
   drawRegion,
-  createWallArtOverlay
+  createWallArtOverlay,
+  getRegionShape,
+  toPolygonRegion,
+  toMaskRegion,
+  toQuadRegion,
+  findVertexAtPoint,
+  moveVertex,
+  insertVertex,
+  removeVertex,
+  addMaskStroke
 } from '../../lib/wall-region.js';
 
 let processor = null;
@@ -22,10 +39,20 @@ let editorCtx = null;
 let regions = [];
 let selectedRegionIndex = -1;
 let activeCorner = null;
+let activeVertex = -1;
+let isPainting = false;
 let isDragging = false;
 let dragStartPoint = null;
 let dragStartRegion = null;
 
+// Zoom/pan animation: the selected region's transform eases towards the target
+const ZOOM_STEP = 0.2;
+const PAN_STEP = 0.1;
+const TRANSFORM_LERP = 0.2;
+let transformAnimation = null; // { index, target }
+
+const BRUSH_RADIUS = 3;
+
 // API callbacks
 let api = null;
 
@@ -51,11 +78,21 @@ export function initWallArtEditor(videoProcessor, editorApi) {
         <option value="fit">Fit (Letterbox)</option>
         <option value="crop">Crop (Fill)</option>
       </select>
+      <select id="region-type-select" class="select-small" disabled>
+        <option value="free">Free shape</option>
+        <option value="trapezoid">Vertical edges</option>
+        <option value="rectangle">Rectangle</option>
+      </select>
+      <select id="region-area-select" class="select-small" disabled>
+        <option value="quad">Quad</option>
+        <option value="polygon">Polygon</option>
+        <option value="mask">Painted mask</option>
+      </select>
     </div>
 
     <div class="editor-preview">
       <canvas id="region-editor-canvas"></canvas>
-      <div class="editor-hint">Click and drag corners to adjust region</div>
+      <div class="editor-hint">Click and drag corners to adjust region · Scroll or +/- to zoom the art, arrow keys to pan · Double-click polygon edges to add vertices</div>
     </div>
 
     <div class="region-list" id="region-list">
@@ -214,11 +251,44 @@ function setupEventHandlers() {
     }
   });
 
+  // Region type selector: reshape the region to fit the new constraint
+  document.getElementById('region-type-select').addEventListener('change', (e) => {
+    const overlay = regions[selectedRegionIndex];
+    if (!overlay) return;
+    overlay.regionType = e.target.value;
+    overlay.region = constrainRegion(overlay.region, overlay.regionType);
+    overlay.updatedAt = Date.now();
+    saveRegions();
+    renderRegionList();
+  });
+
+  // Region area selector: the anchor quad stays when switching to a polygon or mask
+  document.getElementById('region-area-select').addEventListener('change', (e) => {
+    const overlay = regions[selectedRegionIndex];
+    if (!overlay) return;
+    if (e.target.value === 'polygon') {
+      overlay.region = toPolygonRegion(overlay.region);
+    } else if (e.target.value === 'mask') {
+      overlay.region = toMaskRegion(overlay.region, editorCanvas.width / editorCanvas.height);
+    } else {
+      overlay.region = toQuadRegion(overlay.region);
+    }
+    overlay.updatedAt = Date.now();
+    saveRegions();
+    renderRegionList();
+  });
+
   // Canvas mouse events
   editorCanvas.addEventListener('mousedown', handleMouseDown);
   editorCanvas.addEventListener('mousemove', handleMouseMove);
   editorCanvas.addEventListener('mouseup', handleMouseUp);
   editorCanvas.addEventListener('mouseleave', handleMouseUp);
+  editorCanvas.addEventListener('wheel', handleWheel, { passive: false });
+  editorCanvas.addEventListener('dblclick', handleDoubleClick);
+  editorCanvas.addEventListener('contextmenu', handleContextMenu);
+
+  // Zoom/pan keys (ignored while typing in a form field)
+  document.addEventListener('keydown', handleKeyDown);
 
   // Touch events for mobile
   editorCanvas.addEventListener('touchstart', handleTouchStart, { passive: false });
@@ -270,6 +340,7 @@ function deleteSelectedRegion() {
   if (selectedRegionIndex < 0) return;
 
   regions.splice(selectedRegionIndex, 1);
+  transformAnimation = null;
   selectedRegionIndex = regions.length > 0 ? Math.min(selectedRegionIndex, regions.length - 1) : -1;
 
   saveRegions();
@@ -317,13 +388,8 @@ function renderRegionList() {
  * Get region bounds for display.
  */
 function getRegionBoundsForDisplay(region) {
-  const xs = [region.topLeft.x, region.topRight.x, region.bottomLeft.x, region.bottomRight.x];
-  const ys = [region.topLeft.y, region.topRight.y, region.bottomLeft.y, region.bottomRight.y];
-
-  return {
-    width: Math.max(...xs) - Math.min(...xs),
-    height: Math.max(...ys) - Math.min(...ys)
-  };
+  const { width, height } = getRegionBounds(region);
+  return { width, height };
 }
 
 /**
@@ -332,16 +398,24 @@ function getRegionBoundsForDisplay(region) {
 function updateToolbarState() {
   const deleteBtn = document.getElementById('delete-region-btn');
   const aspectSelect = document.getElementById('aspect-ratio-select');
+  const typeSelect = document.getElementById('region-type-select');
+  const areaSelect = document.getElementById('region-area-select');
   const infoSelected = document.getElementById('info-selected');
 
   if (selectedRegionIndex >= 0 && regions[selectedRegionIndex]) {
     deleteBtn.disabled = false;
     aspectSelect.disabled = false;
     aspectSelect.value = regions[selectedRegionIndex].aspectRatioMode || 'stretch';
+    typeSelect.disabled = false;
+    typeSelect.value = regions[selectedRegionIndex].regionType || 'free';
+    areaSelect.disabled = false;
+    areaSelect.value = getRegionShape(regions[selectedRegionIndex].region);
     infoSelected.textContent = regions[selectedRegionIndex].name || `Region ${selectedRegionIndex + 1}`;
   } else {
     deleteBtn.disabled = true;
     aspectSelect.disabled = true;
+    typeSelect.disabled = true;
+    areaSelect.disabled = true;
     infoSelected.textContent = 'None';
   }
 }
@@ -361,8 +435,25 @@ function getCanvasPosition(e) {
  */
 function handleMouseDown(e) {
   e.preventDefault();
+  // Right button removes polygon vertices (see handleContextMenu)
+  if (e.button) return;
   const pos = getCanvasPosition(e);
 
+  // Check if clicking on a polygon vertex (vertices start on the anchor corners, so they win)
+  for (let i = 0; i < regions.length; i++) {
+    const vertex = findVertexAtPoint(pos, regions[i].region);
+    if (vertex !== -1) {
+      selectedRegionIndex = i;
+      activeVertex = vertex;
+      isDragging = true;
+      dragStartRegion = JSON.parse(JSON.stringify(regions[i].region));
+      editorCanvas.classList.add('dragging');
+      renderRegionList();
+      updateToolbarState();
+      return;
+    }
+  }
+
   // Check if clicking on a corner handle
   for (let i = 0; i < regions.length; i++) {
     const corner = findCornerAtPoint(pos, regions[i].region, 5);
@@ -379,6 +470,15 @@ function handleMouseDown(e) {
     }
   }
 
+  // Paint into the selected mask region (Alt-drag moves it instead)
+  const selected = regions[selectedRegionIndex];
+  if (selected && selected.region.mask && !e.altKey) {
+    isPainting = true;
+    selected.region = addMaskStroke(selected.region, { points: [pos], radius: BRUSH_RADIUS, erase: Boolean(e.shiftKey) });
+    selected.updatedAt = Date.now();
+    return;
+  }
+
   // Check if clicking inside a region (to move it)
   for (let i = 0; i < regions.length; i++) {
     if (isPointInRegion(pos, regions[i].region)) {
@@ -406,13 +506,23 @@ function handleMouseDown(e) {
 function handleMouseMove(e) {
   const pos = getCanvasPosition(e);
 
+  if (isPainting && regions[selectedRegionIndex]) {
+    const strokes = regions[selectedRegionIndex].region.mask.strokes;
+    strokes[strokes.length - 1].points.push(pos);
+    regions[selectedRegionIndex].updatedAt = Date.now();
+    return;
+  }
+
   if (isDragging && selectedRegionIndex >= 0 && dragStartRegion) {
-    if (activeCorner) {
+    if (activeVertex !== -1) {
+      regions[selectedRegionIndex].region = moveVertex(dragStartRegion, activeVertex, pos);
+    } else if (activeCorner) {
       // Moving a corner
       regions[selectedRegionIndex].region = moveCorner(
         dragStartRegion,
         activeCorner,
-        pos
+        pos,
+        regions[selectedRegionIndex].regionType
       );
     } else {
       // Moving the entire region
@@ -429,7 +539,7 @@ function handleMouseMove(e) {
 
   for (let i = 0; i < regions.length; i++) {
     const corner = findCornerAtPoint(pos, regions[i].region, 5);
-    if (corner) {
+    if (corner || findVertexAtPoint(pos, regions[i].region) !== -1) {
       editorCanvas.classList.add('corner-hover');
       editorCanvas.classList.remove('dragging');
       cursorSet = true;
@@ -446,9 +556,16 @@ function handleMouseMove(e) {
  * Handle mouse up on canvas.
  */
 function handleMouseUp() {
+  if (isPainting) {
+    isPainting = false;
+    saveRegions();
+    return;
+  }
+
   if (isDragging) {
     isDragging = false;
     activeCorner = null;
+    activeVertex = -1;
     dragStartPoint = null;
     dragStartRegion = null;
     editorCanvas.classList.remove('dragging');
@@ -466,6 +583,116 @@ function handleMouseUp() {
   }
 }
 
+/**
+ * Handle double click: add a vertex to the selected polygon, or remove the one clicked.
+ */
+function handleDoubleClick(e) {
+  const overlay = regions[selectedRegionIndex];
+  if (!overlay || !overlay.region.polygon) return;
+
+  const pos = getCanvasPosition(e);
+  const vertex = findVertexAtPoint(pos, overlay.region);
+  overlay.region = vertex !== -1
+    ? removeVertex(overlay.region, vertex)
+    : insertVertex(overlay.region, pos).region;
+  overlay.updatedAt = Date.now();
+  saveRegions();
+}
+
+/**
+ * Handle right click: remove the polygon vertex under the pointer.
+ */
+function handleContextMenu(e) {
+  const overlay = regions[selectedRegionIndex];
+  if (!overlay || !overlay.region.polygon) return;
+
+  e.preventDefault();
+  const vertex = findVertexAtPoint(getCanvasPosition(e), overlay.region);
+  if (vertex !== -1) {
+    overlay.region = removeVertex(overlay.region, vertex);
+    overlay.updatedAt = Date.now();
+    saveRegions();
+  }
+}
+
+/**
+ * Handle mouse wheel: zoom the art inside the selected region.
+ */
+function handleWheel(e) {
+  const overlay = regions[selectedRegionIndex];
+  if (!overlay) return;
+
+  e.preventDefault();
+  const target = getTransformTarget(overlay);
+  animateTransformTo({ zoom: target.zoom + (e.deltaY < 0 ? ZOOM_STEP : -ZOOM_STEP) });
+}
+
+/**
+ * Handle zoom/pan keys for the selected region.
+ */
+function handleKeyDown(e) {
+  const overlay = regions[selectedRegionIndex];
+  if (!overlay || /^(INPUT|SELECT|TEXTAREA)$/.test(e.target.tagName)) return;
+
+  const target = getTransformTarget(overlay);
+  const changes = {
+    '+': { zoom: target.zoom + ZOOM_STEP },
+    '=': { zoom: target.zoom + ZOOM_STEP },
+    '-': { zoom: target.zoom - ZOOM_STEP },
+    '0': { zoom: 1, panX: 0, panY: 0 },
+    ArrowLeft: { panX: target.panX - PAN_STEP },
+    ArrowRight: { panX: target.panX + PAN_STEP },
+    ArrowUp: { panY: target.panY - PAN_STEP },
+    ArrowDown: { panY: target.panY + PAN_STEP }
+  }[e.key];
+  if (!changes) return;
+
+  e.preventDefault();
+  animateTransformTo(changes);
+}
+
+/**
+ * Where the selected region's transform is heading (its current transform when idle).
+ */
+function getTransformTarget(overlay) {
+  if (transformAnimation && transformAnimation.index === selectedRegionIndex) {
+    return transformAnimation.target;
+  }
+  return normalizeContentTransform(overlay.transform);
+}
+
+/**
+ * Set a new zoom/pan target for the selected region; the render loop eases towards it.
+ */
+function animateTransformTo(changes) {
+  const overlay = regions[selectedRegionIndex];
+  const target = normalizeContentTransform({ ...getTransformTarget(overlay), ...changes });
+  transformAnimation = { index: selectedRegionIndex, target };
+}
+
+/**
+ * Step the zoom/pan animation (called from the render loop).
+ */
+function updateTransformAnimation() {
+  if (!transformAnimation) return;
+
+  const overlay = regions[transformAnimation.index];
+  if (!overlay) {
+    transformAnimation = null;
+    return;
+  }
+
+  const { target } = transformAnimation;
+  overlay.transform = stepContentTransform(normalizeContentTransform(overlay.transform), target, TRANSFORM_LERP);
+  overlay.updatedAt = Date.now();
+
+  // The processor renders these same overlay objects, so only persist once the animation settles
+  if (overlay.transform.zoom === target.zoom && overlay.transform.panX === target.panX && overlay.transform.panY === target.panY) {
+    transformAnimation = null;
+    saveRegions();
+  }
+}
+
 /**
  * Handle touch start.
  */
@@ -511,6 +738,8 @@ function renderEditorPreview() {
     editorCanvas.height = processorCanvas.height;
   }
 
+  updateTransformAnimation();
+
   // Clear canvas
   editorCtx.clearRect(0, 0, editorCanvas.width, editorCanvas.height);
 
@@ -551,6 +780,7 @@ export function getRegions() {
 export function setRegions(newRegions) {
   regions = newRegions || [];
   selectedRegionIndex = -1;
+  transformAnimation = null;
   renderRegionList();
   updateToolbarState();
 }
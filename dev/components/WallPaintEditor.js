@@ -5,6 +5,8 @@
  * - Eyedropper mode (click video to sample)
  * - Color picker (manual selection)
  * - "Detect wall color" button (AI detection)
+ * - Fill: solid color, gradient, pattern or texture
+ * - Style: flat color or recolor (keeps the wall's shading)
  * - Opacity slider
  */
 
@@ -15,6 +17,7 @@ import {
   hexToRgb,
   getContrastingTextColor
 } from '../../lib/color-sampler.js';
+import { PATTERN_PRESETS, TEXTURE_PRESETS } from '../../lib/paint-patterns.js';
 
 let processor = null;
 let api = null;
@@ -69,6 +72,31 @@ export function initWallPaintEditor(videoProcessor, editorApi) {
         </div>
       </div>
 
+      <div class="style-section">
+        <h4>Fill</h4>
+        <select id="paint-fill" class="select-small">
+          <option value="solid">Solid color</option>
+          <option value="linearGradient">Linear gradient</option>
+          <option value="radialGradient">Radial gradient</option>
+          ${Object.entries(PATTERN_PRESETS).map(([key, preset]) => `<option value="pattern:${key}">${preset.name}</option>`).join('')}
+          ${Object.entries(TEXTURE_PRESETS).map(([key, preset]) => `<option value="texture:${key}">${preset.name}</option>`).join('')}
+        </select>
+      </div>
+
+      <div class="style-section">
+        <h4>Style</h4>
+        <div class="style-row">
+          <select id="paint-mode" class="select-small">
+            <option value="flat">Flat color</option>
+            <option value="recolor">Recolor (keep shading)</option>
+          </select>
+          <select id="paint-shading" class="select-small">
+            <option value="live">Live shading</option>
+            <option value="reference">Reference frame shading</option>
+          </select>
+        </div>
+      </div>
+
       <div class="opacity-section">
         <h4>Opacity</h4>
         <div class="opacity-row">
@@ -134,7 +162,13 @@ function addPaintEditorStyles() {
       font-size: 13px;
     }
 
+    .style-row {
+      display: flex;
+      gap: 8px;
+    }
+
     .color-section h4,
+    .style-section h4,
     .opacity-section h4 {
       margin: 0 0 8px 0;
       font-size: 11px;
@@ -305,6 +339,26 @@ function setupEventHandlers() {
   // Detect color button
   document.getElementById('detect-color-btn').addEventListener('click', detectWallColor);
 
+  // Paint fill: gradients run from the picked color to black, patterns and textures use preset colors
+  document.getElementById('paint-fill').addEventListener('change', (e) => {
+    const [type, name] = e.target.value.split(':');
+    const color = document.getElementById('color-picker').value;
+    updatePaintProperty('type', type);
+    updatePaintProperty('gradient', { start: color, end: '#000000', angle: 180 });
+    updatePaintProperty('pattern', type === 'pattern' ? { name } : null);
+    updatePaintProperty('texture', type === 'texture' ? { name } : null);
+  });
+
+  // Paint style
+  document.getElementById('paint-mode').addEventListener('change', (e) => {
+    updatePaintProperty('mode', e.target.value);
+    document.getElementById('paint-shading').disabled = e.target.value !== 'recolor';
+  });
+
+  document.getElementById('paint-shading').addEventListener('change', (e) => {
+    updatePaintProperty('shading', e.target.value);
+  });
+
   // Opacity slider
   document.getElementById('paint-opacity').addEventListener('input', (e) => {
     const opacity = parseInt(e.target.value, 10) / 100;
@@ -380,6 +434,11 @@ function updatePaintControls() {
   document.getElementById('color-picker').value = region.paint.color;
   document.getElementById('paint-opacity').value = Math.round(region.paint.opacity * 100);
   document.getElementById('opacity-value').textContent = `${Math.round(region.paint.opacity * 100)}%`;
+  const fillName = region.paint.pattern?.name || region.paint.texture?.name;
+  document.getElementById('paint-fill').value = fillName ? `${region.paint.type}:${fillName}` : region.paint.type || 'solid';
+  document.getElementById('paint-mode').value = region.paint.mode || 'flat';
+  document.getElementById('paint-shading').value = region.paint.shading || 'live';
+  document.getElementById('paint-shading').disabled = region.paint.mode !== 'recolor';
 
   updateColorPreview(region.paint.color);
 }
@@ -8,7 +8,9 @@ import { sortOverlaysByLayer, TYPE_EFFECT, TYPE_TEXT_BANNER, TYPE_TIMER } from '
 import { drawOverlay, renderTextBanner, renderTimer } from '../lib/canvas-renderer.js';
 import { WallArtSegmenter, SEGMENTATION_PRESETS, checkSegmentationSupport } from '../lib/wall-segmentation.js';
 import { renderAllWallPaint } from '../lib/wall-paint-renderer.js';
-import { renderAllWallArt } from '../lib/wall-art-renderer.js';
+import { renderAllWallArt, createWebGLArtRenderer } from '../lib/wall-art-renderer.js';
+import { OccluderTracker, needsAutoOccluders, buildOccluderMasks } from '../lib/occluder-mask.js';
+import '../lib/lighting-detector.js';
 
 export class DevVideoProcessor {
   constructor() {
@@ -26,6 +28,7 @@ export class DevVideoProcessor {
     this.debugOptions = {
       showFps: true,
       showMask: false,
+      maskView: 'stabilized',  // 'stabilized', 'raw' (last segmentation as-is) or 'compare'
       showCoords: false
     };
 
@@ -41,9 +44,21 @@ export class DevVideoProcessor {
     // Segmentation
     this.segmenter = null;
     this.segmentationEnabled = false;
+    this.segmentationStabilization = 'motion';
     this.currentMask = null;
     this.segmentationSupported = null;
 
+    // GPU wall art rendering (null -> Canvas2D fallback)
+    this.webglArtRenderer = null;
+
+    // Setup wizard reference frame for recolor paint with reference shading (and automatic occluders)
+    this.paintShadingFrame = null;
+    this.occluderTracker = new OccluderTracker();
+
+    // Per-region lighting compensation (same detector as production)
+    this.lightingEnabled = false;
+    this.lightingDetector = null;
+
     // Callbacks
     this.onDebugUpdate = null;
     this.onFrameRendered = null;
@@ -65,6 +80,7 @@ export class DevVideoProcessor {
     this.canvas.width = width;
     this.canvas.height = height;
     this.ctx = this.canvas.getContext('2d');
+    this.webglArtRenderer = createWebGLArtRenderer();
 
     // Start render loop
     this.running = true;
@@ -125,6 +141,9 @@ export class DevVideoProcessor {
       source.src = '';
     }
     this.wallArtSources.delete(id);
+    if (this.webglArtRenderer) {
+      this.webglArtRenderer.deleteTexture(id);
+    }
   }
 
   /**
@@ -161,6 +180,35 @@ export class DevVideoProcessor {
     this.debugOptions = { ...this.debugOptions, ...options };
   }
 
+  /**
+   * Set the reference frame recolor paint can take its shading from.
+   * @param {ImageData|null} frame - Setup wizard median frame
+   */
+  setPaintShadingFrame(frame) {
+    this.paintShadingFrame = frame;
+  }
+
+  /**
+   * Enable or disable per-region lighting compensation.
+   * @param {boolean} enabled - Whether art and paint follow the wall's lighting
+   */
+  setLightingCompensation(enabled) {
+    this.lightingEnabled = enabled;
+    if (enabled && !this.lightingDetector) {
+      this.lightingDetector = new window.LightingDetector();
+    } else if (!enabled && this.lightingDetector) {
+      this.lightingDetector.reset();
+    }
+  }
+
+  /**
+   * Get lighting detector status, including per-region metrics.
+   * @returns {Object|null} Detector status, or null when compensation is off
+   */
+  getLightingStatus() {
+    return this.lightingEnabled && this.lightingDetector ? this.lightingDetector.getStatus() : null;
+  }
+
   /**
    * Check if segmentation is supported in this browser.
    * @returns {Object} { supported: boolean, reason: string|null }
@@ -194,6 +242,7 @@ export class DevVideoProcessor {
 
     this.segmenter = new WallArtSegmenter({
       preset,
+      stabilization: this.segmentationStabilization,
       onInitialized: () => {
         console.log('[DevVideoProcessor] Segmenter initialized');
         if (this.onSegmentationReady) {
@@ -232,6 +281,17 @@ export class DevVideoProcessor {
     }
   }
 
+  /**
+   * Set how the person mask is stabilized between segmentations.
+   * @param {string} mode - 'off', 'temporal', or 'motion'
+   */
+  setSegmentationStabilization(mode) {
+    this.segmentationStabilization = mode;
+    if (this.segmenter) {
+      this.segmenter.setStabilization(mode);
+    }
+  }
+
   /**
    * Get available segmentation presets.
    * @returns {Object} Preset configurations
@@ -260,7 +320,8 @@ export class DevVideoProcessor {
       preset: this.segmenter?.preset || null,
       avgTime: this.segmenter?.avgSegmentationTime || 0,
       lastTime: this.lastSegmentTime,
-      hasMask: this.currentMask !== null
+      hasMask: this.currentMask !== null,
+      stabilization: this.segmenter?.stabilizationStats || null
     };
   }
 
@@ -285,7 +346,8 @@ export class DevVideoProcessor {
           fps: this.currentFps,
           renderTime: this.lastRenderTime,
           segmentTime: this.lastSegmentTime,
-          segmentationStatus: this.getSegmentationStatus()
+          segmentationStatus: this.getSegmentationStatus(),
+          lightingStatus: this.getLightingStatus()
         });
       }
     }
@@ -305,10 +367,31 @@ export class DevVideoProcessor {
         }
       }
 
+      // Grade each region to the lighting of the wall behind it
+      let lightingGrades = null;
+      if (this.lightingEnabled && this.lightingDetector && this.wallArtRegions.length > 0) {
+        if (!this.lightingDetector.initialized) {
+          this.lightingDetector.initialize(this.video, this.currentMask, this.wallArtRegions);
+        }
+        lightingGrades = this.lightingDetector.process(this.video, this.currentMask, this.wallArtRegions).grades;
+      }
+
+      // Objects in front of the wall: drawn occluders, plus changes since the reference frame
+      const shadingReference = this.paintShadingFrame ? { frame: this.paintShadingFrame, pose: null } : null;
+      const autoOccluders = needsAutoOccluders(this.wallArtRegions)
+        ? this.occluderTracker.update(this.video, this.currentMask, shadingReference, timestamp)
+        : null;
+      const occluderMasks = buildOccluderMasks(this.wallArtRegions, autoOccluders);
+
       // Render wall paint layers (before overlays, behind person)
       if (this.wallArtRegions.length > 0) {
         renderAllWallPaint(this.ctx, this.wallArtRegions, {
-          personMask: this.currentMask
+          personMask: this.currentMask,
+          occluderMasks,
+          lightingGrades,
+          shadingSource: this.video,
+          shadingReference,
+          webglRenderer: this.webglArtRenderer
         });
       }
 
@@ -316,7 +399,10 @@ export class DevVideoProcessor {
       if (this.wallArtRegions.length > 0 && this.wallArtSources.size > 0) {
         renderAllWallArt(this.ctx, this.wallArtRegions, this.wallArtSources, {
           personMask: this.currentMask,
-          timestamp
+          occluderMasks,
+          timestamp,
+          lightingGrades,
+          webglRenderer: this.webglArtRenderer
         });
       }
 
@@ -438,52 +524,57 @@ export class DevVideoProcessor {
 
   /**
    * Draw mask visualization overlay.
-   * Shows the person mask as a colored overlay for debugging.
+   * Shows the person mask as a colored overlay for debugging: the stabilized mask,
+   * the last segmentation as-is (what skipped frames reuse without stabilization),
+   * or both, to compare their edges.
    */
   drawMaskVisualization() {
     if (!this.currentMask) return;
 
+    const { maskView } = this.debugOptions;
+    const { raw } = this.segmenter ? this.segmenter.getDebugMasks(this.video) : { raw: null };
+    const stabilized = this.currentMask;
+    const shown = maskView === 'raw' && raw ? raw : stabilized;
+    const compare = maskView === 'compare' && raw && raw.width === stabilized.width && raw.height === stabilized.height;
+
     this.ctx.save();
 
     // Create a temporary canvas for the mask visualization
-    const maskCanvas = new OffscreenCanvas(this.currentMask.width, this.currentMask.height);
+    const maskCanvas = new OffscreenCanvas(shown.width, shown.height);
     const maskCtx = maskCanvas.getContext('2d');
+    const coloredData = new Uint8ClampedArray(shown.data.length);
 
-    // Draw the mask data
-    const maskImageData = new ImageData(
-      new Uint8ClampedArray(this.currentMask.data),
-      this.currentMask.width,
-      this.currentMask.height
-    );
-
-    // Convert grayscale mask to colored overlay
-    // Person pixels become magenta, background stays transparent
-    const coloredData = maskImageData.data;
+    // Person pixels become magenta; in compare view, pixels only the last segmentation
+    // has are red and pixels only the stabilized mask has are green
     for (let i = 0; i < coloredData.length; i += 4) {
-      const alpha = coloredData[i + 3]; // Use alpha channel
-      if (alpha > 128) {
-        // Person pixel - make it magenta semi-transparent
+      const inShown = shown.data[i + 3] > 128; // Use alpha channel
+      const inRaw = compare ? raw.data[i + 3] > 128 : inShown;
+      if (inShown && inRaw) {
         coloredData[i] = 255;     // R
-        coloredData[i + 1] = 0;   // G
         coloredData[i + 2] = 255; // B
         coloredData[i + 3] = 100; // A (semi-transparent)
-      } else {
-        // Background - fully transparent
-        coloredData[i + 3] = 0;
+      } else if (inRaw) {
+        coloredData[i] = 255;
+        coloredData[i + 3] = 160;
+      } else if (inShown) {
+        coloredData[i + 1] = 255;
+        coloredData[i + 3] = 160;
       }
+      // Background - fully transparent
     }
 
-    maskCtx.putImageData(new ImageData(coloredData, maskImageData.width, maskImageData.height), 0, 0);
+    maskCtx.putImageData(new ImageData(coloredData, shown.width, shown.height), 0, 0);
 
     // Draw the colored mask overlay onto the main canvas
     this.ctx.drawImage(maskCanvas, 0, 0, this.canvas.width, this.canvas.height);
 
     // Draw mask info box
+    const label = compare ? 'compare' : (shown === raw ? 'raw' : 'stabilized');
     this.ctx.fillStyle = 'rgba(255, 0, 255, 0.7)';
-    this.ctx.fillRect(10, 100, 140, 25);
+    this.ctx.fillRect(10, 100, 240, 25);
     this.ctx.fillStyle = '#ffffff';
     this.ctx.font = '12px monospace';
-    this.ctx.fillText(`Mask: ${this.currentMask.width}x${this.currentMask.height}`, 20, 117);
+    this.ctx.fillText(`Mask: ${shown.width}x${shown.height} ${label}`, 20, 117);
 
     this.ctx.restore();
   }
@@ -503,6 +594,10 @@ export class DevVideoProcessor {
     }
     this.segmentationEnabled = false;
     this.currentMask = null;
+    if (this.webglArtRenderer) {
+      this.webglArtRenderer.dispose();
+      this.webglArtRenderer = null;
+    }
   }
 
   /**
@@ -34,6 +34,12 @@ export default [
         clearInterval: 'readonly',
         performance: 'readonly',
         HTMLCanvasElement: 'readonly',
+        // Worker globals
+        self: 'readonly',
+        VideoFrame: 'readonly',
+        TransformStream: 'readonly',
+        AbortController: 'readonly',
+        createImageBitmap: 'readonly',
       },
     },
     rules: {
@@ -62,6 +68,7 @@ export default [
         process: 'readonly',
         __dirname: 'readonly',
         Buffer: 'readonly',
+        fetch: 'readonly',
       },
     },
   },
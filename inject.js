@@ -10,6 +10,11 @@
   // Store original getUserMedia
   const originalGetUserMedia = navigator.mediaDevices.getUserMedia.bind(navigator.mediaDevices);
 
+  // Extension base URL (content.js injects us from chrome-extension://<id>/inject.js)
+  const extensionBaseUrl = document.currentScript && document.currentScript.src
+    ? new URL('.', document.currentScript.src).href
+    : null;
+
   // Constants for layer ordering
   const LAYER_BACKGROUND = 'background';
   const LAYER_FOREGROUND = 'foreground';
@@ -19,30 +24,111 @@
   const TYPE_EFFECT = 'effect';
   const TYPE_TEXT_BANNER = 'textBanner';
   const TYPE_TIMER = 'timer';
+  const TYPE_CAMERA = 'camera';
+
+  // Camera inset shapes
+  const CAMERA_SHAPE_ROUNDED = 'rounded';
+  const CAMERA_SHAPE_CIRCLE = 'circle';
 
   // Text position constants
   const TEXT_POSITION_LOWER_THIRD = 'lower-third';
   const TEXT_POSITION_TOP = 'top';
   const TEXT_POSITION_CENTER = 'center';
 
+  // Text banner animation constants (see lib/canvas-renderer.js)
+  const TEXT_ANIMATION_NONE = 'none';
+  const TEXT_ANIMATION_SLIDE_LEFT = 'slide-left';
+  const TEXT_ANIMATION_SLIDE_UP = 'slide-up';
+  const TEXT_ANIMATION_DURATION_MS = 400;
+  const TEXT_SLIDE_DISTANCE = 0.15;
+  const DEFAULT_SLIDESHOW_INTERVAL = 5;
+
+  // Timer alert and end-action constants (see lib/overlay-utils.js)
+  const TIMER_ALERT_COLOR = 'color';
+  const TIMER_ALERT_FLASH = 'flash';
+  const TIMER_ALERT_PULSE = 'pulse';
+  const DEFAULT_TIMER_ALERTS = [{ at: 10, effect: TIMER_ALERT_COLOR, color: '#cc0000' }];
+  const TIMER_FLASH_PERIOD_MS = 500;
+  const TIMER_PULSE_PERIOD_MS = 1000;
+  const TIMER_PULSE_SCALE = 0.1;
+  const TIMER_END_SHOW_BANNER = 'showBanner';
+  const TIMER_END_SHOW_EFFECT = 'showEffect';
+  const TIMER_END_HIDE = 'hide';
+
   // Overlay state
   let overlays = [];
   const overlayImages = new Map(); // id -> HTMLImageElement or AnimatedImage
   let isProcessing = false;
   let activeProcessor = null;
 
+  // Panic switch: while set, the camera is sent without any overlays or wall art
+  let allHidden = false;
+
+  // Picture-in-picture cameras: overlay id -> { deviceId, stream, video, failed }
+  // Entries with failed: true are retried when the device list changes.
+  const cameraOverlayStreams = new Map();
+
+  // Text banner id -> { active, changedAt } for enter/exit animations and slideshows
+  const textBannerClock = new Map();
+
+  // Timer runtime state lives here rather than in the overlay list: the popup resends
+  // overlays with stopped timers, and rejoining restarts the processor. It is saved per
+  // meeting so reloading the same call resumes a running countdown.
+  const TIMER_STORAGE_KEY = 'meetOverlayTimers';
+  const timerStates = new Map(); // timer overlay id -> timerState
+  const timerEndTimeouts = new Map(); // timer overlay id -> setTimeout handle
+  let timerMeeting = null; // window.location.pathname the timer state belongs to
+
   // Wall art state
   let wallArtOverlays = [];
   const wallArtImages = new Map(); // id -> HTMLImageElement, HTMLCanvasElement, or AnimatedImage
+  const screenShareStreams = new Map(); // id -> MediaStream shown instead of the region's art
   let wallArtSegmenter = null;
   const wallArtSettings = {
     segmentationEnabled: false,
     segmentationPreset: 'balanced',
     featherRadius: 2,
     jiggleCompensationEnabled: false,
-    lightingCompensationEnabled: false
+    lightingCompensationEnabled: false,
+    depthEnabled: false
   };
 
+  // Setup wizard reference frame descriptors (+ pose of the saved regions) for relocalization
+  let wallArtReference = null;
+
+  // Setup wizard reference frame pixels, for recolor paint that takes its shading from it
+  let paintShadingFrame = null;
+
+  // Reference frame plus where the camera has moved since (null without a reference frame)
+  function getShadingReference() {
+    if (!paintShadingFrame) return null;
+    return { frame: paintShadingFrame, pose: wallArtReference ? wallArtReference.pose : null };
+  }
+
+  // Decode the stored reference frame (data URL) into ImageData
+  function loadPaintShadingFrame(dataUrl) {
+    return new Promise((resolve) => {
+      if (!dataUrl) {
+        resolve(null);
+        return;
+      }
+      const img = new Image();
+      img.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = img.naturalWidth;
+        canvas.height = img.naturalHeight;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0);
+        resolve(ctx.getImageData(0, 0, canvas.width, canvas.height));
+      };
+      img.onerror = () => {
+        console.warn('[Meet Overlay] Failed to load paint shading reference frame');
+        resolve(null);
+      };
+      img.src = dataUrl;
+    });
+  }
+
   // Jiggle compensator instance
   let jiggleCompensator = null;
 
@@ -53,10 +139,42 @@
       jiggleCompensator.onReset = () => {
         console.log('[Meet Overlay] Jiggle compensator reset due to large motion');
       };
+      jiggleCompensator.onRelocalize = handleWallArtRelocalized;
+      jiggleCompensator.onRelocalizeFailed = handleWallArtRelocalizeFailed;
+      jiggleCompensator.setReference(wallArtReference);
     }
     return jiggleCompensator;
   }
 
+  // The camera moved and the wall was found again: move every saved region onto it
+  // (matrix is a percent-space homography) and let content.js store the new regions
+  function handleWallArtRelocalized({ matrix, pose, confidence }) {
+    const transform = { dx: matrix[2], dy: matrix[5], scale: 1, rotation: 0, matrix, width: 100, height: 100 };
+    wallArtOverlays = wallArtOverlays.map(wa => ({
+      ...wa,
+      region: window.JiggleCompensator.applyToRegion(wa.region, transform),
+      ...(wa.occluders && { occluders: window.JiggleCompensator.applyToMask(wa.occluders, transform) })
+    }));
+    if (wallArtReference) {
+      wallArtReference = { ...wallArtReference, pose };
+    }
+    if (activeProcessor) activeProcessor.syncWorkerState();
+
+    console.log('[Meet Overlay] Wall art relocalized, confidence:', confidence.toFixed(2));
+    window.postMessage({
+      type: 'MEET_OVERLAY_WALL_ART_RELOCALIZED',
+      regions: wallArtOverlays.map(wa => ({ id: wa.id, region: wa.region, occluders: wa.occluders })),
+      pose,
+      confidence
+    }, '*');
+  }
+
+  // The wall couldn't be found after a large camera move: ask the user to recalibrate
+  function handleWallArtRelocalizeFailed({ confidence }) {
+    console.log('[Meet Overlay] Wall art relocalization failed, confidence:', confidence.toFixed(2));
+    window.postMessage({ type: 'MEET_OVERLAY_RECALIBRATION_NEEDED', confidence }, '*');
+  }
+
   // Lighting detector instance
   let lightingDetector = null;
 
@@ -64,13 +182,96 @@
   function getLightingDetector() {
     if (!lightingDetector && window.LightingDetector) {
       lightingDetector = new window.LightingDetector();
-      lightingDetector.onLightingChange = (change) => {
-        console.log('[Meet Overlay] Lighting change detected:', change);
+      lightingDetector.onLightingChange = (changes) => {
+        console.log('[Meet Overlay] Lighting change detected:', changes.map(change => change.id));
       };
     }
     return lightingDetector;
   }
 
+  // Depth map of the setup reference frame (nearness 0-1), while depth is enabled
+  let referenceDepth = null;
+  let referenceDepthFrame = null; // paintShadingFrame the depth map was estimated from
+  let referenceDepthPending = null;
+  let depthEstimator = null;
+  let depthOcclusion = null;
+
+  // Estimate the reference frame's depth once (null when depth is off, there is no
+  // reference frame, or the bundled model is missing)
+  function ensureReferenceDepth() {
+    if (!wallArtSettings.depthEnabled || !paintShadingFrame || !window.DepthEstimator) {
+      return Promise.resolve(null);
+    }
+    if (referenceDepth && referenceDepthFrame === paintShadingFrame) {
+      return Promise.resolve(referenceDepth);
+    }
+    if (referenceDepthPending) return referenceDepthPending;
+
+    const frame = paintShadingFrame;
+    referenceDepthPending = (async () => {
+      try {
+        if (!depthEstimator) {
+          depthEstimator = new window.DepthEstimator.DepthEstimator({ baseUrl: extensionBaseUrl || '' });
+        }
+        if (!(await depthEstimator.initialize())) return null;
+
+        const depth = await depthEstimator.estimate(frame);
+        // The reference frame changed or depth was turned off meanwhile
+        if (frame !== paintShadingFrame || !wallArtSettings.depthEnabled) return null;
+
+        referenceDepth = depth;
+        referenceDepthFrame = frame;
+        console.log(`[Meet Overlay] Reference depth: ${depth.width}x${depth.height}`);
+        if (activeProcessor) activeProcessor.syncWorkerReferenceDepth();
+        return depth;
+      } catch (e) {
+        console.warn('[Meet Overlay] Depth estimation failed:', e);
+        return null;
+      } finally {
+        referenceDepthPending = null;
+      }
+    })();
+    return referenceDepthPending;
+  }
+
+  // Drop the reference depth map (depth turned off or a new reference frame)
+  function clearReferenceDepth() {
+    referenceDepth = null;
+    referenceDepthFrame = null;
+    if (depthOcclusion) depthOcclusion.reset();
+    if (activeProcessor) activeProcessor.syncWorkerReferenceDepth();
+  }
+
+  // Get or create the depth occlusion masker lazily
+  function getDepthOcclusion() {
+    if (!depthOcclusion && window.DepthEstimator) {
+      depthOcclusion = new window.DepthEstimator.DepthOcclusion();
+    }
+    return depthOcclusion;
+  }
+
+  // Occluder tracker instance (objects that appeared in front of the wall since setup)
+  let occluderTracker = null;
+
+  // Get or create occluder tracker lazily
+  function getOccluderTracker() {
+    if (!occluderTracker && window.OccluderMask) {
+      occluderTracker = new window.OccluderMask.OccluderTracker();
+    }
+    return occluderTracker;
+  }
+
+  // WebGL wall art renderer (null when WebGL is unavailable -> Canvas2D fallback)
+  let webglArtRenderer;
+
+  // Get or create the WebGL art renderer lazily
+  function getWebGLArtRenderer() {
+    if (webglArtRenderer === undefined && window.WallArtRenderer && window.WallArtRenderer.createWebGLArtRenderer) {
+      webglArtRenderer = window.WallArtRenderer.createWebGLArtRenderer();
+    }
+    return webglArtRenderer || null;
+  }
+
   // Check if AnimatedImage class is available (from gif-decoder.js)
   const hasGifSupport = typeof window.AnimatedImage !== 'undefined';
 
@@ -105,13 +306,20 @@
         migrated.zIndex = 11;
       } else if (migrated.type === TYPE_TEXT_BANNER) {
         migrated.zIndex = 10;
+      } else if (migrated.type === TYPE_CAMERA) {
+        migrated.zIndex = 9;
       } else {
         migrated.zIndex = 0;
       }
     }
     // Timer-specific migration
-    if (migrated.type === TYPE_TIMER && !migrated.timerState) {
-      migrated.timerState = { running: false, startTime: null, pausedAt: null, elapsed: 0 };
+    if (migrated.type === TYPE_TIMER) {
+      if (!migrated.timerState) {
+        migrated.timerState = createTimerState();
+      }
+      if (migrated.alertAt === undefined) {
+        migrated.alertAt = DEFAULT_TIMER_ALERTS.map(alert => ({ ...alert }));
+      }
     }
     return migrated;
   }
@@ -152,10 +360,88 @@
     }
   }
 
+  // Track when a text banner was last shown or hidden, from its active flag
+  function trackTextBannerVisibility(banner, now) {
+    let entry = textBannerClock.get(banner.id);
+    if (!entry) {
+      // Banners already hidden when first seen should not play an exit animation
+      entry = { active: !!banner.active, shownAt: banner.active ? now : -Infinity, hiddenAt: -Infinity };
+      textBannerClock.set(banner.id, entry);
+    } else if (entry.active !== !!banner.active) {
+      entry.active = !!banner.active;
+      if (entry.active) {
+        entry.shownAt = now;
+      } else {
+        entry.hiddenAt = now;
+      }
+    }
+
+    if (entry.active) {
+      return { elapsed: now - entry.shownAt, hiddenFor: null };
+    }
+    // Exit on the slide that was up when the banner was hidden
+    const shownFor = entry.hiddenAt - entry.shownAt;
+    return { elapsed: Number.isFinite(shownFor) ? shownFor : Infinity, hiddenFor: now - entry.hiddenAt };
+  }
+
+  // Pick the slideshow text and enter/exit progress for a text banner (null = draw nothing)
+  function getTextBannerFrame(banner, elapsed, hiddenFor) {
+    const texts = (Array.isArray(banner.text) ? banner.text : [banner.text]).filter(Boolean);
+    if (texts.length === 0) return null;
+
+    const animated = banner.animation && banner.animation !== TEXT_ANIMATION_NONE;
+    const duration = TEXT_ANIMATION_DURATION_MS;
+
+    if (hiddenFor !== null && (!animated || hiddenFor >= duration)) {
+      return null;
+    }
+
+    let index = 0;
+    let slideElapsed = elapsed;
+    let slideRemaining = Infinity;
+
+    if (texts.length > 1 && banner.slideshow) {
+      const interval = Math.max((banner.slideshow.interval || DEFAULT_SLIDESHOW_INTERVAL) * 1000, duration * 2);
+      const cycle = Number.isFinite(elapsed) ? Math.floor(elapsed / interval) : 0;
+      const loop = banner.slideshow.loop !== false;
+
+      if (!loop && cycle >= texts.length - 1) {
+        index = texts.length - 1;
+        slideElapsed = elapsed - index * interval;
+      } else {
+        index = cycle % texts.length;
+        slideElapsed = elapsed - cycle * interval;
+        slideRemaining = interval - slideElapsed;
+      }
+    }
+
+    if (!animated) {
+      return { text: texts[index], index, phase: 'hold', progress: 1 };
+    }
+
+    const enter = Math.min(1, slideElapsed / duration);
+    let exit = Math.min(1, slideRemaining / duration);
+    if (hiddenFor !== null) {
+      exit = Math.min(exit, 1 - hiddenFor / duration);
+    }
+
+    let phase = 'hold';
+    if (exit < 1 && exit <= enter) {
+      phase = 'exit';
+    } else if (enter < 1) {
+      phase = 'enter';
+    }
+
+    return { text: texts[index], index, phase, progress: Math.max(0, Math.min(enter, exit)) };
+  }
+
   // Render a text banner overlay
-  function renderTextBanner(ctx, banner, canvasWidth, canvasHeight) {
+  function renderTextBanner(ctx, banner, canvasWidth, canvasHeight, elapsed, hiddenFor) {
     if (!banner || !banner.text) return;
 
+    const frame = getTextBannerFrame(banner, elapsed, hiddenFor);
+    if (!frame) return;
+
     const style = banner.style || {};
     const {
       fontFamily = 'Arial, sans-serif',
@@ -167,8 +453,7 @@
       borderRadius = 8
     } = style;
 
-    const displayText = Array.isArray(banner.text) ? banner.text[0] : banner.text;
-    if (!displayText) return;
+    const displayText = frame.text;
 
     const scaleFactor = canvasHeight / 720;
     const scaledFontSize = Math.round(fontSize * scaleFactor);
@@ -209,10 +494,19 @@
       y = (banner.y / 100) * canvasHeight - boxHeight / 2;
     }
 
+    // Fade while sliding in from the right/below and out to the left/top
+    const eased = 1 - Math.pow(1 - frame.progress, 3);
+    const travel = (1 - eased) * (frame.phase === 'exit' ? -1 : 1);
+    if (banner.animation === TEXT_ANIMATION_SLIDE_LEFT) {
+      x += travel * TEXT_SLIDE_DISTANCE * canvasWidth;
+    } else if (banner.animation === TEXT_ANIMATION_SLIDE_UP) {
+      y += travel * TEXT_SLIDE_DISTANCE * canvasHeight;
+    }
+
     // Mirror x position for Meet self-view
     x = canvasWidth - x - boxWidth;
 
-    const opacity = banner.opacity !== undefined ? banner.opacity : 1;
+    const opacity = (banner.opacity !== undefined ? banner.opacity : 1) * eased;
     ctx.globalAlpha = opacity;
 
     ctx.fillStyle = backgroundColor;
@@ -234,6 +528,70 @@
     ctx.restore();
   }
 
+  // Stopped timer state; times are wall-clock ms so running timers survive reloads
+  function createTimerState() {
+    return { running: false, startTime: null, pausedAt: null, elapsed: 0, finished: false };
+  }
+
+  // Seconds a timer has been running
+  function getTimerElapsed(timerState, now) {
+    if (!timerState) return 0;
+    if (timerState.running && timerState.startTime) {
+      return (now - timerState.startTime) / 1000;
+    }
+    return timerState.elapsed || 0;
+  }
+
+  // Alert a timer should show: lowest threshold reached for countdowns, highest for count-up
+  function getActiveTimerAlert(timer, elapsed) {
+    const mode = timer.timerMode || 'countdown';
+    if (mode === 'clock') return null;
+
+    const alerts = (timer.alertAt ?? DEFAULT_TIMER_ALERTS).map(alert =>
+      typeof alert === 'number'
+        ? { at: alert, effect: TIMER_ALERT_COLOR, color: '#cc0000' }
+        : { effect: TIMER_ALERT_COLOR, color: '#cc0000', ...alert }
+    );
+
+    if (mode === 'countup') {
+      return alerts
+        .filter(alert => elapsed >= alert.at)
+        .reduce((best, alert) => (!best || alert.at > best.at ? alert : best), null);
+    }
+
+    const remaining = Math.max(0, (timer.duration || 300) - elapsed);
+    if (remaining <= 0) return null;
+    return alerts
+      .filter(alert => remaining <= alert.at)
+      .reduce((best, alert) => (!best || alert.at < best.at ? alert : best), null);
+  }
+
+  // Overlays whose visibility changes when a countdown reaches zero
+  function getTimerEndChanges(timer) {
+    const action = timer.endAction;
+    if (!action) return [];
+
+    if (action.type === TIMER_END_HIDE) {
+      return [{ id: timer.id, active: false }];
+    }
+
+    if (action.type === TIMER_END_SHOW_BANNER) {
+      const banner = overlays.find(o => o.id === action.targetId && o.type === TYPE_TEXT_BANNER);
+      return banner ? [{ id: banner.id, active: true }] : [];
+    }
+
+    if (action.type === TIMER_END_SHOW_EFFECT) {
+      const effect = overlays.find(o => o.id === action.targetId && o.type === TYPE_EFFECT);
+      if (!effect) return [];
+      return overlays
+        .filter(o => o.type === TYPE_EFFECT && o.active && o.id !== effect.id)
+        .map(o => ({ id: o.id, active: false }))
+        .concat({ id: effect.id, active: true });
+    }
+
+    return [];
+  }
+
   // Render a timer overlay
   function renderTimer(ctx, timer, canvasWidth, canvasHeight, timestamp) {
     if (!timer) return;
@@ -246,16 +604,10 @@
       backgroundOpacity = 0.7
     } = style;
 
-    const timerState = timer.timerState || { running: false, elapsed: 0 };
     const mode = timer.timerMode || 'countdown';
     const duration = timer.duration || 300;
     const format = timer.format || 'mm:ss';
-
-    // Update elapsed time if running
-    let currentElapsed = timerState.elapsed;
-    if (timerState.running && timerState.startTime) {
-      currentElapsed = (timestamp - timerState.startTime) / 1000;
-    }
+    const currentElapsed = getTimerElapsed(timer.timerState, Date.now());
 
     let displaySeconds;
     if (mode === 'clock') {
@@ -295,9 +647,24 @@
     const opacity = timer.opacity !== undefined ? timer.opacity : 1;
     ctx.globalAlpha = opacity;
 
-    const isAlert = mode === 'countdown' && displaySeconds <= 10 && displaySeconds > 0;
+    // Alerts recolor the background; flash blinks it, pulse also grows the box
+    const alert = getActiveTimerAlert(timer, currentElapsed);
+    let fillColor = backgroundColor;
+    if (alert) {
+      const flashOff = alert.effect === TIMER_ALERT_FLASH &&
+        Math.floor(timestamp / (TIMER_FLASH_PERIOD_MS / 2)) % 2 === 1;
+      if (!flashOff) {
+        fillColor = alert.color;
+      }
+      if (alert.effect === TIMER_ALERT_PULSE) {
+        const scale = 1 + TIMER_PULSE_SCALE * Math.abs(Math.sin(Math.PI * timestamp / TIMER_PULSE_PERIOD_MS));
+        ctx.translate(x + boxWidth / 2, y + boxHeight / 2);
+        ctx.scale(scale, scale);
+        ctx.translate(-(x + boxWidth / 2), -(y + boxHeight / 2));
+      }
+    }
 
-    ctx.fillStyle = isAlert ? '#cc0000' : backgroundColor;
+    ctx.fillStyle = fillColor;
     ctx.globalAlpha = opacity * backgroundOpacity;
     drawRoundedRect(ctx, x, y, boxWidth, boxHeight, scaledBorderRadius);
     ctx.fill();
@@ -310,6 +677,217 @@
     ctx.restore();
   }
 
+  // Render a picture-in-picture camera overlay (frame cropped to fill the inset, clipped to its shape)
+  function renderCameraOverlay(ctx, camera, source, canvasWidth, canvasHeight) {
+    if (!camera || !source) return;
+
+    const sourceWidth = source.videoWidth || source.width;
+    const sourceHeight = source.videoHeight || source.height;
+    if (!sourceWidth || !sourceHeight) return;
+
+    const style = camera.style || {};
+    const {
+      cornerRadius = 16,
+      borderWidth = 3,
+      borderColor = '#ffffff'
+    } = style;
+
+    // Mirror x position for Meet self-view
+    const boxW = (camera.width / 100) * canvasWidth;
+    const boxH = (camera.height / 100) * canvasHeight;
+    const boxX = canvasWidth - (camera.x / 100) * canvasWidth - boxW;
+    const boxY = (camera.y / 100) * canvasHeight;
+
+    // Circles use the largest square that fits the box
+    let x = boxX, y = boxY, w = boxW, h = boxH;
+    if (camera.shape === CAMERA_SHAPE_CIRCLE) {
+      w = h = Math.min(boxW, boxH);
+      x = boxX + (boxW - w) / 2;
+      y = boxY + (boxH - h) / 2;
+    }
+
+    // Crop the camera frame to the inset's aspect ratio
+    let sx = 0, sy = 0, sw = sourceWidth, sh = sourceHeight;
+    if (sourceWidth / sourceHeight > w / h) {
+      sw = sourceHeight * (w / h);
+      sx = (sourceWidth - sw) / 2;
+    } else {
+      sh = sourceWidth / (w / h);
+      sy = (sourceHeight - sh) / 2;
+    }
+
+    const scaleFactor = canvasHeight / 720;
+    const scaledRadius = Math.min(Math.round(cornerRadius * scaleFactor), w / 2, h / 2);
+    const scaledBorder = Math.round(borderWidth * scaleFactor);
+
+    const traceShape = () => {
+      if (camera.shape === CAMERA_SHAPE_CIRCLE) {
+        ctx.beginPath();
+        ctx.arc(x + w / 2, y + h / 2, w / 2, 0, Math.PI * 2);
+        ctx.closePath();
+      } else if (camera.shape === CAMERA_SHAPE_ROUNDED) {
+        drawRoundedRect(ctx, x, y, w, h, scaledRadius);
+      } else {
+        ctx.beginPath();
+        ctx.rect(x, y, w, h);
+      }
+    };
+
+    ctx.save();
+    ctx.globalAlpha = camera.opacity !== undefined ? camera.opacity : 1;
+
+    // Flip the frame so it appears correct after Meet's mirror
+    ctx.save();
+    traceShape();
+    ctx.clip();
+    ctx.translate(x + w / 2, 0);
+    ctx.scale(-1, 1);
+    ctx.drawImage(source, sx, sy, sw, sh, -w / 2, y, w, h);
+    ctx.restore();
+
+    if (scaledBorder > 0) {
+      traceShape();
+      ctx.lineWidth = scaledBorder;
+      ctx.strokeStyle = borderColor;
+      ctx.stroke();
+    }
+
+    ctx.restore();
+  }
+
+  // Fade out the previous scene's last frame over the new one (see lib/canvas-renderer.js).
+  // Returns false once the crossfade has finished.
+  function renderCrossfade(ctx, snapshot, elapsed, duration) {
+    if (!snapshot || !(duration > 0) || elapsed >= duration) return false;
+
+    ctx.save();
+    ctx.globalAlpha = 1 - Math.max(0, elapsed) / duration;
+    ctx.drawImage(snapshot, 0, 0, ctx.canvas.width, ctx.canvas.height);
+    ctx.restore();
+    return true;
+  }
+
+  function notifyCameraOverlayChanged(id, live, reason = null) {
+    window.postMessage({
+      type: 'MEET_OVERLAY_CAMERA_CHANGED',
+      id,
+      live,
+      reason
+    }, '*');
+  }
+
+  // Open or close picture-in-picture cameras to match active camera overlays.
+  // Cameras only run while the main camera is being processed.
+  function syncCameraOverlays() {
+    const wanted = isProcessing
+      ? overlays.filter(o => o.type === TYPE_CAMERA && o.active && o.deviceId)
+      : [];
+
+    for (const [id, entry] of cameraOverlayStreams) {
+      const overlay = wanted.find(o => o.id === id);
+      if (!overlay || overlay.deviceId !== entry.deviceId) {
+        closeCameraOverlay(id);
+      }
+    }
+
+    wanted.forEach(overlay => {
+      if (!cameraOverlayStreams.has(overlay.id)) {
+        openCameraOverlay(overlay);
+      }
+    });
+  }
+
+  async function openCameraOverlay(overlay) {
+    const { id, deviceId } = overlay;
+    const entry = { deviceId, stream: null, video: null, failed: false };
+    cameraOverlayStreams.set(id, entry);
+
+    try {
+      // Bypass our own getUserMedia hook: this stream is an overlay source, not Meet's camera
+      const stream = await originalGetUserMedia({
+        audio: false,
+        video: {
+          deviceId: { exact: deviceId },
+          width: { ideal: 640 },
+          height: { ideal: 480 }
+        }
+      });
+
+      // Closed or replaced while the device was opening
+      if (cameraOverlayStreams.get(id) !== entry) {
+        stream.getTracks().forEach(track => track.stop());
+        return;
+      }
+
+      const video = document.createElement('video');
+      video.muted = true;
+      video.playsInline = true;
+      video.srcObject = stream;
+      await video.play();
+
+      entry.stream = stream;
+      entry.video = video;
+
+      // Device unplugged, permission revoked or taken by another app
+      const [track] = stream.getVideoTracks();
+      track.addEventListener('ended', () => {
+        if (cameraOverlayStreams.get(id) !== entry) return;
+        console.warn('[Meet Overlay] Camera overlay track ended:', id);
+        releaseCameraEntry(id, entry);
+        entry.failed = true;
+        notifyCameraOverlayChanged(id, false, 'ended');
+      });
+
+      console.log('[Meet Overlay] Camera overlay started:', id, track.label);
+      notifyCameraOverlayChanged(id, true);
+    } catch (e) {
+      console.error('[Meet Overlay] Failed to open camera overlay:', e);
+      if (cameraOverlayStreams.get(id) === entry) {
+        entry.failed = true;
+        notifyCameraOverlayChanged(id, false, 'failed');
+      }
+    }
+  }
+
+  // Stop a camera's tracks and drop its last frame from the compositor
+  function releaseCameraEntry(id, entry) {
+    if (entry.stream) {
+      entry.stream.getTracks().forEach(track => track.stop());
+      entry.stream = null;
+    }
+    if (entry.video) {
+      entry.video.srcObject = null;
+      entry.video = null;
+    }
+    if (activeProcessor) {
+      activeProcessor.clearCameraFrame(id);
+    }
+  }
+
+  function closeCameraOverlay(id) {
+    const entry = cameraOverlayStreams.get(id);
+    if (!entry) return;
+
+    cameraOverlayStreams.delete(id);
+    const wasLive = !!entry.stream;
+    releaseCameraEntry(id, entry);
+
+    if (wasLive) {
+      console.log('[Meet Overlay] Camera overlay stopped:', id);
+      notifyCameraOverlayChanged(id, false, 'stopped');
+    }
+  }
+
+  // A camera was plugged in or unplugged: retry the ones that failed or ended
+  navigator.mediaDevices.addEventListener('devicechange', () => {
+    for (const [id, entry] of cameraOverlayStreams) {
+      if (entry.failed) {
+        cameraOverlayStreams.delete(id);
+      }
+    }
+    syncCameraOverlays();
+  });
+
   // Load saved overlays from storage
   function loadOverlays() {
     try {
@@ -317,7 +895,8 @@
       if (saved) {
         const rawOverlays = JSON.parse(saved);
         overlays = rawOverlays.map(migrateOverlay);
-        overlays.forEach(loadOverlayImage);
+        overlays.forEach(overlay => loadOverlayImage(overlay));
+        applyTimerStates();
       }
     } catch (e) {
       console.error('[Meet Overlay] Failed to load overlays:', e);
@@ -333,8 +912,156 @@
     }
   }
 
-  // Load an image for an overlay
-  async function loadOverlayImage(overlay) {
+  // Load timer state saved for this meeting
+  function loadTimerStates() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(TIMER_STORAGE_KEY) || 'null');
+      if (saved && saved.meeting === window.location.pathname) {
+        timerMeeting = saved.meeting;
+        Object.entries(saved.states || {}).forEach(([id, state]) => timerStates.set(id, state));
+      }
+    } catch (e) {
+      console.error('[Meet Overlay] Failed to load timer state:', e);
+    }
+  }
+
+  // Save timer state for this meeting
+  function saveTimerStates() {
+    try {
+      localStorage.setItem(TIMER_STORAGE_KEY, JSON.stringify({
+        meeting: timerMeeting,
+        states: Object.fromEntries(timerStates)
+      }));
+    } catch (e) {
+      console.error('[Meet Overlay] Failed to save timer state:', e);
+    }
+  }
+
+  // Point timer overlays at their runtime state; call whenever the overlay list is replaced
+  function applyTimerStates() {
+    const timers = overlays.filter(o => o.type === TYPE_TIMER);
+    timers.forEach(timer => {
+      if (!timerStates.has(timer.id)) {
+        timerStates.set(timer.id, createTimerState());
+      }
+      timer.timerState = timerStates.get(timer.id);
+      scheduleTimerEnd(timer);
+    });
+
+    for (const id of timerStates.keys()) {
+      if (!timers.some(timer => timer.id === id)) {
+        timerStates.delete(id);
+        clearTimeout(timerEndTimeouts.get(id));
+        timerEndTimeouts.delete(id);
+      }
+    }
+    saveTimerStates();
+  }
+
+  // Timer state from a different meeting (Meet navigates without reloading) starts over
+  function prepareTimersForMeeting() {
+    if (timerMeeting === window.location.pathname) return;
+    if (timerMeeting !== null) {
+      console.log('[Meet Overlay] New meeting, resetting timers');
+      timerStates.clear();
+    }
+    timerMeeting = window.location.pathname;
+    applyTimerStates();
+  }
+
+  function startTimer(timer) {
+    const state = timer.timerState;
+    if (state.running) return;
+    if (state.finished) {
+      Object.assign(state, createTimerState());
+    }
+    // Resume from the paused position (0 for a fresh timer)
+    state.startTime = Date.now() - state.elapsed * 1000;
+    state.running = true;
+    state.pausedAt = null;
+    scheduleTimerEnd(timer);
+    saveTimerStates();
+  }
+
+  function pauseTimer(timer) {
+    const state = timer.timerState;
+    if (!state.running) return;
+    const now = Date.now();
+    state.elapsed = getTimerElapsed(state, now);
+    state.running = false;
+    state.pausedAt = now;
+    scheduleTimerEnd(timer);
+    saveTimerStates();
+  }
+
+  function resetTimer(timer) {
+    Object.assign(timer.timerState, createTimerState());
+    scheduleTimerEnd(timer);
+    saveTimerStates();
+  }
+
+  // Start timers marked autoStart that have not run yet in this meeting
+  function autoStartTimers() {
+    overlays
+      .filter(o => o.type === TYPE_TIMER && o.autoStart && o.active)
+      .forEach(timer => {
+        const state = timer.timerState;
+        if (!state.running && !state.pausedAt && !state.finished && !state.elapsed) {
+          console.log('[Meet Overlay] Auto-starting timer:', timer.id);
+          startTimer(timer);
+        }
+      });
+  }
+
+  // (Re)arm the end-of-countdown timeout for a running countdown
+  function scheduleTimerEnd(timer) {
+    clearTimeout(timerEndTimeouts.get(timer.id));
+    timerEndTimeouts.delete(timer.id);
+
+    const state = timer.timerState;
+    if ((timer.timerMode || 'countdown') !== 'countdown' || !state || !state.running) return;
+
+    const remainingMs = ((timer.duration || 300) - getTimerElapsed(state, Date.now())) * 1000;
+    timerEndTimeouts.set(timer.id, setTimeout(() => finishTimer(timer.id), Math.max(0, remainingMs)));
+  }
+
+  // A countdown reached zero: stop it and run its end action
+  function finishTimer(id) {
+    timerEndTimeouts.delete(id);
+    const timer = overlays.find(o => o.id === id && o.type === TYPE_TIMER);
+    if (!timer || !timer.timerState.running) return;
+
+    Object.assign(timer.timerState, {
+      running: false,
+      startTime: null,
+      pausedAt: null,
+      elapsed: timer.duration || 300,
+      finished: true
+    });
+    saveTimerStates();
+
+    const changes = getTimerEndChanges(timer);
+    changes.forEach(change => {
+      const overlay = overlays.find(o => o.id === change.id);
+      if (!overlay) return;
+      overlay.active = change.active;
+      if (change.active) {
+        const img = overlayImages.get(overlay.id);
+        if (img && img instanceof window.AnimatedImage) {
+          img.reset();
+        }
+      }
+    });
+    if (activeProcessor) activeProcessor.syncWorkerState();
+
+    console.log('[Meet Overlay] Timer finished:', id, changes.length ? 'end action applied' : '');
+    // Tell the extension so the popup and storage reflect the end action
+    window.postMessage({ type: 'MEET_OVERLAY_TIMER_ENDED', id, changes }, '*');
+  }
+
+  // Load an image for an overlay into `images` (overlayImages unless a scene is
+  // being staged). Resolves once the image is stored or has failed to load.
+  async function loadOverlayImage(overlay, images = overlayImages) {
     if (!overlay.src) return;
 
     // Check if it's an animated GIF
@@ -351,36 +1078,41 @@
           animatedImage = await window.decodeGifFromUrl(overlay.src);
         }
 
-        overlayImages.set(overlay.id, animatedImage);
+        images.set(overlay.id, animatedImage);
         console.log('[Meet Overlay] Loaded animated GIF with', animatedImage.frames.length, 'frames');
       } catch (e) {
         console.error('[Meet Overlay] Failed to decode GIF:', e);
         // Fallback to static image
-        loadStaticImage(overlay);
+        await loadStaticImage(overlay, images);
       }
       return;
     }
 
-    loadStaticImage(overlay);
+    await loadStaticImage(overlay, images);
   }
 
   // Load a static image
-  function loadStaticImage(overlay) {
-    const img = new Image();
-    img.crossOrigin = 'anonymous';
-    img.onload = () => {
-      overlayImages.set(overlay.id, img);
-      console.log('[Meet Overlay] Loaded image for overlay:', overlay.id);
-    };
-    img.onerror = () => {
-      console.error('[Meet Overlay] Failed to load image:', overlay.src);
-      overlayImages.delete(overlay.id);
-    };
-    img.src = overlay.src;
+  function loadStaticImage(overlay, images = overlayImages) {
+    return new Promise((resolve) => {
+      const img = new Image();
+      img.crossOrigin = 'anonymous';
+      img.onload = () => {
+        images.set(overlay.id, img);
+        console.log('[Meet Overlay] Loaded image for overlay:', overlay.id);
+        resolve();
+      };
+      img.onerror = () => {
+        console.error('[Meet Overlay] Failed to load image:', overlay.src);
+        images.delete(overlay.id);
+        resolve();
+      };
+      img.src = overlay.src;
+    });
   }
 
-  // Load an image for a wall art overlay
-  async function loadWallArtImage(wallArt) {
+  // Load an image for a wall art overlay into `images` (wallArtImages unless a scene
+  // is being staged). Resolves once the art is stored or has failed to load.
+  async function loadWallArtImage(wallArt, images = wallArtImages) {
     if (!wallArt.art || !wallArt.art.src) return;
 
     const src = wallArt.art.src;
@@ -398,11 +1130,12 @@
           animatedImage = await window.decodeGifFromUrl(src);
         }
 
-        wallArtImages.set(wallArt.id, animatedImage);
+        if (screenShareStreams.has(wallArt.id)) return;
+        images.set(wallArt.id, animatedImage);
         console.log('[Meet Overlay] Loaded wall art GIF with', animatedImage.frames.length, 'frames');
       } catch (e) {
         console.error('[Meet Overlay] Failed to decode wall art GIF:', e);
-        loadWallArtStaticImage(wallArt);
+        await loadWallArtStaticImage(wallArt, images);
       }
       return;
     }
@@ -412,7 +1145,8 @@
       try {
         console.log('[Meet Overlay] Loading wall art video:', wallArt.id);
         const video = await window.WallArtRenderer.createVideoLoop(src);
-        wallArtImages.set(wallArt.id, video);
+        if (screenShareStreams.has(wallArt.id)) return;
+        images.set(wallArt.id, video);
         console.log('[Meet Overlay] Loaded wall art video');
       } catch (e) {
         console.error('[Meet Overlay] Failed to load wall art video:', e);
@@ -421,36 +1155,155 @@
     }
 
     // Load as static image
-    loadWallArtStaticImage(wallArt);
+    await loadWallArtStaticImage(wallArt, images);
+  }
+
+  // Art sources a wall art region needs loaded: its art, or one per playlist item
+  // (stored under their own keys, see WallArtPlaylist.getPlaylistSourceKey)
+  function getWallArtSources(wallArt) {
+    if (window.WallArtPlaylist) {
+      return window.WallArtPlaylist.getArtSources(wallArt);
+    }
+    return wallArt.art && wallArt.art.src ? [{ key: wallArt.id, art: wallArt.art }] : [];
+  }
+
+  // Source key -> src of a region's art sources, for spotting what changed
+  function getWallArtSourceSrcs(wallArt) {
+    return new Map(wallArt ? getWallArtSources(wallArt).map(({ key, art }) => [key, art.src]) : []);
+  }
+
+  // Overlay ID a wall art source key belongs to
+  function getWallArtSourceOwner(key) {
+    return window.WallArtPlaylist ? window.WallArtPlaylist.getSourceOwnerId(key) : key;
+  }
+
+  function loadWallArtSources(wallArt) {
+    getWallArtSources(wallArt).forEach(({ key, art }) => loadWallArtImage({ id: key, art }));
   }
 
   // Load a static image for wall art
-  function loadWallArtStaticImage(wallArt) {
-    const img = new Image();
-    img.crossOrigin = 'anonymous';
-    img.onload = () => {
-      wallArtImages.set(wallArt.id, img);
-      console.log('[Meet Overlay] Loaded wall art image:', wallArt.id);
-    };
-    img.onerror = () => {
-      console.error('[Meet Overlay] Failed to load wall art image:', wallArt.art.src);
-      wallArtImages.delete(wallArt.id);
-    };
-    img.src = wallArt.art.src;
+  function loadWallArtStaticImage(wallArt, images = wallArtImages) {
+    return new Promise((resolve) => {
+      const img = new Image();
+      img.crossOrigin = 'anonymous';
+      img.onload = () => {
+        if (!screenShareStreams.has(wallArt.id)) {
+          images.set(wallArt.id, img);
+          console.log('[Meet Overlay] Loaded wall art image:', wallArt.id);
+        }
+        resolve();
+      };
+      img.onerror = () => {
+        console.error('[Meet Overlay] Failed to load wall art image:', wallArt.art.src);
+        images.delete(wallArt.id);
+        resolve();
+      };
+      img.src = wallArt.art.src;
+    });
   }
 
-  // Get or create segmenter lazily
-  async function getSegmenter() {
-    if (!window.WallSegmentation) {
-      console.warn('[Meet Overlay] Wall segmentation library not loaded');
-      return null;
-    }
+  // Flag wall art overlays that currently show a screen share (renderers check overlay.screenShare)
+  function markScreenShares() {
+    wallArtOverlays.forEach(wallArt => {
+      wallArt.screenShare = screenShareStreams.has(wallArt.id);
+    });
+  }
 
-    if (wallArtSegmenter && wallArtSegmenter.isReady) {
-      return wallArtSegmenter;
+  function notifyScreenShareChanged(id, live, reason = null) {
+    window.postMessage({
+      type: 'MEET_OVERLAY_SCREEN_SHARE_CHANGED',
+      id,
+      live,
+      reason
+    }, '*');
+  }
+
+  // Show a screen, window or tab capture on a wall art region.
+  // streamId comes from chrome.desktopCapture (picked via the background worker).
+  async function startScreenShare(id, streamId) {
+    const previous = screenShareStreams.get(id);
+    if (previous) {
+      screenShareStreams.delete(id);
+      previous.getTracks().forEach(track => track.stop());
     }
 
-    if (!wallArtSegmenter) {
+    try {
+      const stream = await originalGetUserMedia({
+        audio: false,
+        video: {
+          mandatory: {
+            chromeMediaSource: 'desktop',
+            chromeMediaSourceId: streamId,
+            maxFrameRate: 30
+          }
+        }
+      });
+
+      const video = document.createElement('video');
+      video.muted = true;
+      video.playsInline = true;
+      video.srcObject = stream;
+      await video.play();
+
+      // The shared surface ended: user clicked "Stop sharing", or the window/tab closed
+      const [track] = stream.getVideoTracks();
+      track.addEventListener('ended', () => {
+        if (screenShareStreams.get(id) === stream) {
+          console.log('[Meet Overlay] Shared surface ended for wall art:', id);
+          stopScreenShare(id, 'ended');
+        }
+      });
+
+      screenShareStreams.set(id, stream);
+      wallArtImages.set(id, video);
+      markScreenShares();
+      if (activeProcessor) activeProcessor.syncWorkerState();
+
+      console.log('[Meet Overlay] Screen share started on wall art:', id);
+      notifyScreenShareChanged(id, true);
+    } catch (e) {
+      console.error('[Meet Overlay] Failed to start screen share:', e);
+      notifyScreenShareChanged(id, false, 'failed');
+    }
+  }
+
+  // Stop a screen share and put the region's regular art back
+  function stopScreenShare(id, reason) {
+    const stream = screenShareStreams.get(id);
+    if (!stream) return;
+
+    screenShareStreams.delete(id);
+    stream.getTracks().forEach(track => track.stop());
+
+    const video = wallArtImages.get(id);
+    if (isVideoElement(video)) {
+      video.srcObject = null;
+    }
+    wallArtImages.delete(id);
+
+    markScreenShares();
+    const wallArt = wallArtOverlays.find(wa => wa.id === id);
+    if (wallArt) {
+      loadWallArtSources(wallArt);
+    }
+    if (activeProcessor) activeProcessor.syncWorkerState();
+
+    console.log('[Meet Overlay] Screen share stopped on wall art:', id, `(${reason})`);
+    notifyScreenShareChanged(id, false, reason);
+  }
+
+  // Get or create segmenter lazily
+  async function getSegmenter() {
+    if (!window.WallSegmentation) {
+      console.warn('[Meet Overlay] Wall segmentation library not loaded');
+      return null;
+    }
+
+    if (wallArtSegmenter && wallArtSegmenter.isReady) {
+      return wallArtSegmenter;
+    }
+
+    if (!wallArtSegmenter) {
       console.log('[Meet Overlay] Creating wall art segmenter...');
       wallArtSegmenter = new window.WallSegmentation.WallArtSegmenter({
         preset: wallArtSettings.segmentationPreset,
@@ -500,17 +1353,135 @@
     }, '*');
   }
 
+  // Video processing backends
+  const BACKEND_WORKER = 'worker';
+  const BACKEND_INSERTABLE_STREAMS = 'insertable-streams';
+  const BACKEND_CANVAS = 'canvas';
+
+  // How long to wait for the compositor worker to load its modules
+  const WORKER_READY_TIMEOUT = 3000;
+
+  // Messages that change compositor state and must be forwarded to the worker
+  const COMPOSITOR_STATE_MESSAGES = new Set([
+    'MEET_OVERLAY_UPDATE',
+    'MEET_OVERLAY_TOGGLE_EFFECT',
+    'MEET_OVERLAY_TOGGLE_TEXT_BANNER',
+    'MEET_OVERLAY_UPDATE_TEXT',
+    'MEET_OVERLAY_TOGGLE_TIMER',
+    'MEET_OVERLAY_TIMER_CONTROL',
+    'MEET_OVERLAY_TOGGLE_CAMERA',
+    'MEET_OVERLAY_UPDATE_WALL_ART',
+    'MEET_OVERLAY_TOGGLE_WALL_ART',
+    'MEET_OVERLAY_UPDATE_WALL_ART_SETTINGS',
+    'MEET_OVERLAY_UPDATE_WALL_ART_REFERENCE',
+    'MEET_OVERLAY_HIDE_ALL'
+  ]);
+
+  // Insertable streams (MediaStreamTrackProcessor/Generator) keep running when the
+  // tab is in the background and follow the camera's native frame rate
+  function supportsInsertableStreams() {
+    return typeof window.MediaStreamTrackProcessor === 'function' &&
+      typeof window.MediaStreamTrackGenerator === 'function' &&
+      typeof window.VideoFrame === 'function';
+  }
+
+  // The compositor worker needs insertable streams plus module workers with OffscreenCanvas
+  function supportsCompositorWorker() {
+    return Boolean(extensionBaseUrl) &&
+      supportsInsertableStreams() &&
+      typeof window.Worker === 'function' &&
+      typeof window.OffscreenCanvas === 'function';
+  }
+
+  // Create the compositor worker and wait until its modules have loaded.
+  // The worker is bootstrapped from a blob so it can be created from the page origin.
+  function createCompositorWorker() {
+    return new Promise((resolve, reject) => {
+      const bootstrap = `import '${extensionBaseUrl}lib/compositor-worker.js';`;
+      const workerUrl = URL.createObjectURL(new window.Blob([bootstrap], { type: 'text/javascript' }));
+      const worker = new window.Worker(workerUrl, { type: 'module' });
+      let settled = false;
+
+      const settle = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeout);
+        URL.revokeObjectURL(workerUrl);
+        worker.removeEventListener('message', onMessage);
+        worker.removeEventListener('error', onError);
+        if (error) {
+          worker.terminate();
+          reject(error);
+        } else {
+          resolve(worker);
+        }
+      };
+      const onMessage = (event) => {
+        if (event.data && event.data.type === 'ready') settle(null);
+      };
+      const onError = (event) => settle(new Error(event.message || 'Compositor worker failed to load'));
+      const timeout = setTimeout(() => settle(new Error('Compositor worker timed out')), WORKER_READY_TIMEOUT);
+
+      worker.addEventListener('message', onMessage);
+      worker.addEventListener('error', onError);
+    });
+  }
+
+  // Convert a loaded overlay/wall art image into a transferable payload for the worker
+  async function toWorkerImage(source) {
+    if (hasGifSupport && source instanceof window.AnimatedImage) {
+      const frames = await Promise.all(source.frameCanvases.map(async (frameCanvas, i) => ({
+        bitmap: await window.createImageBitmap(frameCanvas),
+        delay: source.frames[i].delay
+      })));
+      return { width: source.width, height: source.height, frames };
+    }
+    return window.createImageBitmap(source);
+  }
+
+  // Bitmaps inside a worker image payload (for the transfer list)
+  function workerImageTransferables(image) {
+    return image.frames ? image.frames.map(frame => frame.bitmap) : [image];
+  }
+
+  function isVideoElement(source) {
+    return source instanceof window.HTMLVideoElement;
+  }
+
   // Video processor class
   class VideoProcessor {
     constructor(originalStream) {
       this.originalStream = originalStream;
       this.videoTrack = originalStream.getVideoTracks()[0];
       this.running = false;
+      this.backend = null;
       this.video = null;
       this.canvas = null;
       this.ctx = null;
       this.outputStream = null;
       this.lastRenderTime = 0;
+
+      // Raw camera frame used for segmentation, tracking and wizard capture.
+      // The hidden <video> on the canvas backend, a canvas on the streams backend.
+      this.frameSource = null;
+      this.frameSourceCtx = null;
+
+      // Insertable streams state
+      this.trackGenerator = null;
+      this.pipelineAbort = null;
+
+      // Compositor worker state
+      this.worker = null;
+      this.sentOverlayImages = new Map(); // id -> source last sent to the worker
+      this.sentWallArtImages = new Map();
+      this.pendingImageSends = new Set(); // image conversions not yet posted to the worker
+      this.pendingArtFrames = false;
+      this.pendingCameraFrames = false;
+      this.frameRequests = new Map(); // requestId -> resolve
+      this.nextFrameRequestId = 0;
+
+      // Previous scene's last frame while a scene switch crossfades (main-thread backends)
+      this.crossfade = null; // { snapshot, start, duration }
     }
 
     async start() {
@@ -522,28 +1493,38 @@
       const width = settings.width || 1280;
       const height = settings.height || 720;
 
-      // Create hidden video element
-      this.video = document.createElement('video');
-      this.video.srcObject = new MediaStream([this.videoTrack]);
-      this.video.autoplay = true;
-      this.video.playsInline = true;
-      this.video.muted = true;
-
-      await this.video.play();
-
-      // Create canvas
+      // Create output canvas
       this.canvas = document.createElement('canvas');
       this.canvas.width = width;
       this.canvas.height = height;
       this.ctx = this.canvas.getContext('2d');
 
-      // Start render loop
-      this.running = true;
-      requestAnimationFrame((ts) => this.render(ts));
+      let processedVideoTrack = null;
+      if (supportsCompositorWorker()) {
+        try {
+          processedVideoTrack = await this.startWorker(width, height);
+          this.backend = BACKEND_WORKER;
+        } catch (e) {
+          console.warn('[Meet Overlay] Compositor worker unavailable, compositing on main thread:', e);
+          this.teardownWorker();
+          this.teardownInsertableStreams();
+        }
+      }
 
-      // Capture canvas as stream
-      const canvasStream = this.canvas.captureStream(30);
-      const processedVideoTrack = canvasStream.getVideoTracks()[0];
+      if (!processedVideoTrack && supportsInsertableStreams()) {
+        try {
+          processedVideoTrack = this.startInsertableStreams(width, height);
+          this.backend = BACKEND_INSERTABLE_STREAMS;
+        } catch (e) {
+          console.warn('[Meet Overlay] Insertable streams unavailable, falling back to canvas:', e);
+          this.teardownInsertableStreams();
+        }
+      }
+
+      if (!processedVideoTrack) {
+        processedVideoTrack = await this.startCanvasCapture();
+        this.backend = BACKEND_CANVAS;
+      }
 
       // Combine with audio tracks
       const audioTracks = this.originalStream.getAudioTracks();
@@ -554,225 +1535,524 @@
       this.videoTrack.addEventListener('ended', () => this.stop());
 
       isProcessing = true;
-      console.log('[Meet Overlay] Video processing started');
+      console.log(`[Meet Overlay] Video processing started (${this.backend} backend)`);
+      syncCameraOverlays();
+      prepareTimersForMeeting();
+      autoStartTimers();
+      this.syncWorkerState();
 
       return this.outputStream;
     }
 
-    async render(timestamp) {
-      if (!this.running) return;
+    // Canvas backend: hidden <video> -> canvas on requestAnimationFrame -> captureStream
+    async startCanvasCapture() {
+      // Create hidden video element
+      this.video = document.createElement('video');
+      this.video.srcObject = new MediaStream([this.videoTrack]);
+      this.video.autoplay = true;
+      this.video.playsInline = true;
+      this.video.muted = true;
 
-      // Record frame for FPS tracking
-      const monitor = getPerformanceMonitor();
-      if (monitor) {
-        monitor.recordFrame(timestamp);
-      }
+      await this.video.play();
+      this.frameSource = this.video;
 
-      const renderStart = performance.now();
+      // Start render loop
+      this.running = true;
+      requestAnimationFrame((ts) => this.render(ts));
 
-      if (this.video.readyState >= 2) {
-        // Draw original video frame
-        this.ctx.drawImage(this.video, 0, 0, this.canvas.width, this.canvas.height);
-
-        // Render wall art (before regular overlays, as wall art is background layer)
-        await this.renderWallArt(timestamp);
-
-        // Sort overlays by layer and zIndex, then draw
-        const sortedOverlays = sortOverlaysByLayer(overlays);
-        sortedOverlays.forEach(overlay => {
-          // Check if overlay should be rendered
-          // Effects, text banners, and timers only render when active
-          if ((overlay.type === TYPE_EFFECT || overlay.type === TYPE_TEXT_BANNER || overlay.type === TYPE_TIMER) && !overlay.active) {
-            return;
-          }
+      // Capture canvas as stream
+      const canvasStream = this.canvas.captureStream(30);
+      return canvasStream.getVideoTracks()[0];
+    }
 
-          // Handle text banners
-          if (overlay.type === TYPE_TEXT_BANNER) {
-            renderTextBanner(this.ctx, overlay, this.canvas.width, this.canvas.height);
-            return;
-          }
+    // Worker backend: camera frames are piped straight into the compositor worker,
+    // which owns the OffscreenCanvas and writes composited frames to the generator
+    async startWorker(width, height) {
+      this.worker = await createCompositorWorker();
+      this.worker.addEventListener('message', (event) => this.handleWorkerMessage(event.data));
+      this.worker.addEventListener('error', (event) => {
+        console.error('[Meet Overlay] Compositor worker error:', event.message);
+        this.stop();
+      });
+
+      const trackProcessor = new window.MediaStreamTrackProcessor({ track: this.videoTrack });
+      this.trackGenerator = new window.MediaStreamTrackGenerator({ kind: 'video' });
+
+      // Main-thread copy of the raw frame, filled on demand by captureFrameSource()
+      this.frameSource = document.createElement('canvas');
+      this.frameSource.width = width;
+      this.frameSource.height = height;
+      this.frameSourceCtx = this.frameSource.getContext('2d');
+
+      this.running = true;
+      this.syncWorkerState();
+      this.syncWorkerImages();
+      this.syncWorkerShadingFrame();
+      this.syncWorkerReferenceDepth();
+
+      const { readable } = trackProcessor;
+      const { writable } = this.trackGenerator;
+      this.worker.postMessage({
+        type: 'start',
+        readable,
+        writable,
+        width,
+        height,
+        timeOrigin: performance.timeOrigin
+      }, [readable, writable]);
+
+      return this.trackGenerator;
+    }
 
-          // Handle timers
-          if (overlay.type === TYPE_TIMER) {
-            renderTimer(this.ctx, overlay, this.canvas.width, this.canvas.height, timestamp);
-            return;
+    handleWorkerMessage(data) {
+      if (data.type === 'stats') {
+        const now = performance.now();
+        const monitor = getPerformanceMonitor();
+        if (monitor) {
+          monitor.recordFrame(now);
+          monitor.recordRenderTime(data.renderTime);
+          if (data.segmentTime > 0) {
+            monitor.recordSegmentationTime(data.segmentTime);
           }
+        }
+        this.lastRenderTime = data.renderTime;
+        sendPerformanceMetrics(now);
+
+        // Images load asynchronously, so pick up new ones as frames go by
+        this.syncWorkerImages();
+        this.pumpVideoArtFrames();
+        this.pumpCameraFrames();
+      } else if (data.type === 'relocalized') {
+        handleWallArtRelocalized(data);
+      } else if (data.type === 'relocalizeFailed') {
+        handleWallArtRelocalizeFailed(data);
+      } else if (data.type === 'frameCaptured') {
+        const resolve = this.frameRequests.get(data.requestId);
+        this.frameRequests.delete(data.requestId);
+        if (resolve) resolve(data.bitmap);
+      } else if (data.type === 'error') {
+        console.warn('[Meet Overlay] Compositor worker pipeline ended:', data.message);
+        this.stop();
+      }
+    }
+
+    // Send the current overlay, wall art and settings state to the worker
+    syncWorkerState() {
+      if (!this.worker) return;
+      this.worker.postMessage({
+        type: 'state',
+        overlays,
+        wallArtOverlays,
+        wallArtSettings,
+        wallArtReference,
+        hidden: allHidden
+      });
+    }
 
-          // Handle image-based overlays (standard and effect)
-          const imgOrAnim = overlayImages.get(overlay.id);
-          if (!imgOrAnim) return;
+    // Send the reference frame for recolor paint (kept out of 'state': it's a full frame of pixels)
+    syncWorkerShadingFrame() {
+      if (!this.worker) return;
+      this.worker.postMessage({ type: 'paintShadingFrame', frame: paintShadingFrame });
+    }
 
-          // Check if this is an AnimatedImage or regular Image
-          const isAnimated = imgOrAnim instanceof window.AnimatedImage;
+    // Send the reference frame's depth map for depth occlusion
+    syncWorkerReferenceDepth() {
+      if (!this.worker) return;
+      this.worker.postMessage({ type: 'referenceDepth', depth: referenceDepth });
+    }
 
-          // Get the drawable image (current frame for animated, the image itself for static)
-          let drawableImg;
-          let imgWidth, imgHeight;
+    // Send newly loaded images to the worker and drop removed ones.
+    // Resolves once every image sent so far has been posted.
+    async syncWorkerImages() {
+      if (!this.worker) return;
+      this.syncWorkerImageMap('overlayImage', overlayImages, this.sentOverlayImages);
+      this.syncWorkerImageMap('wallArtImage', wallArtImages, this.sentWallArtImages);
+      await Promise.all(this.pendingImageSends);
+    }
 
-          if (isAnimated) {
-            // Update animation frame
-            imgOrAnim.update(timestamp);
-            drawableImg = imgOrAnim.currentFrame;
-            imgWidth = imgOrAnim.width;
-            imgHeight = imgOrAnim.height;
-          } else {
-            // Static image
-            if (!imgOrAnim.complete || !imgOrAnim.naturalWidth) return;
-            drawableImg = imgOrAnim;
-            imgWidth = imgOrAnim.naturalWidth;
-            imgHeight = imgOrAnim.naturalHeight;
+    syncWorkerImageMap(type, images, sent) {
+      for (const [id, source] of images) {
+        if (sent.get(id) === source) continue;
+        sent.set(id, source);
+
+        // Video art frames are pumped separately
+        if (isVideoElement(source)) continue;
+
+        const send = toWorkerImage(source).then((image) => {
+          if (this.worker && sent.get(id) === source) {
+            this.worker.postMessage({ type, id, image }, workerImageTransferables(image));
           }
+        }).catch((e) => {
+          console.warn('[Meet Overlay] Failed to send image to compositor worker:', e);
+        }).finally(() => {
+          this.pendingImageSends.delete(send);
+        });
+        this.pendingImageSends.add(send);
+      }
+
+      for (const id of sent.keys()) {
+        if (!images.has(id)) {
+          sent.delete(id);
+          this.worker.postMessage({ type, id, image: null });
+        }
+      }
+    }
+
+    /**
+     * Swap in a new scene. The worker gets the scene's images before its state so
+     * the first frame it composites is complete; the main-thread backends keep a
+     * copy of the last frame to fade out.
+     * @param {Function} swap - Replaces overlays, wall art and settings
+     * @param {number} crossfadeMs - Crossfade length (0 switches instantly)
+     */
+    async switchScene(swap, crossfadeMs) {
+      if (this.backend === BACKEND_WORKER) {
+        swap();
+        await this.syncWorkerImages();
+        if (!this.worker) return;
+        this.worker.postMessage({
+          type: 'state',
+          overlays,
+          wallArtOverlays,
+          wallArtSettings,
+          hidden: allHidden,
+          crossfadeMs
+        });
+        return;
+      }
 
-          if (!drawableImg) return;
+      if (crossfadeMs > 0 && this.canvas) {
+        const snapshot = document.createElement('canvas');
+        snapshot.width = this.canvas.width;
+        snapshot.height = this.canvas.height;
+        snapshot.getContext('2d').drawImage(this.canvas, 0, 0);
+        this.crossfade = { snapshot, start: performance.now(), duration: crossfadeMs };
+      }
+      swap();
+    }
 
-          // Calculate the target box size from overlay percentages
-          const boxW = (overlay.width / 100) * this.canvas.width;
-          const boxH = (overlay.height / 100) * this.canvas.height;
+    // Forward the latest frame of each active video wall art source
+    pumpVideoArtFrames() {
+      if (this.pendingArtFrames) return;
+
+      const videoSources = [...wallArtImages].filter(([id, source]) =>
+        isVideoElement(source) &&
+        source.readyState >= 2 &&
+        wallArtOverlays.some(wa => wa.id === getWallArtSourceOwner(id) && wa.active)
+      );
+      if (videoSources.length === 0) return;
+
+      this.pendingArtFrames = true;
+      Promise.all(videoSources.map(async ([id, video]) => {
+        const bitmap = await window.createImageBitmap(video);
+        if (this.worker) {
+          this.worker.postMessage({ type: 'wallArtFrame', id, bitmap }, [bitmap]);
+        } else {
+          bitmap.close();
+        }
+      })).catch((e) => {
+        console.warn('[Meet Overlay] Failed to send video art frame:', e);
+      }).finally(() => {
+        this.pendingArtFrames = false;
+      });
+    }
 
-          // Preserve image aspect ratio (fit within box)
-          const imgAspect = imgWidth / imgHeight;
-          const boxAspect = boxW / boxH;
+    // Forward the latest frame of each live camera overlay
+    pumpCameraFrames() {
+      if (this.pendingCameraFrames) return;
 
-          let w, h;
-          if (imgAspect > boxAspect) {
-            // Image is wider than box - fit to width
-            w = boxW;
-            h = boxW / imgAspect;
-          } else {
-            // Image is taller than box - fit to height
-            h = boxH;
-            w = boxH * imgAspect;
-          }
+      const cameras = [...cameraOverlayStreams].filter(([, entry]) =>
+        entry.video && entry.video.readyState >= 2
+      );
+      if (cameras.length === 0) return;
 
-          // Mirror the x-position so it appears where user intended after Meet mirrors
-          const x = this.canvas.width - ((overlay.x / 100) * this.canvas.width) - w;
-          const y = (overlay.y / 100) * this.canvas.height;
-
-          // Flip the image horizontally so it appears correct after Meet's mirror
-          // Apply opacity (default to 1 if not set)
-          const opacity = overlay.opacity !== undefined ? overlay.opacity : 1;
-          this.ctx.save();
-          this.ctx.globalAlpha = opacity;
-          this.ctx.translate(x + w / 2, y + h / 2);
-          this.ctx.scale(-1, 1);
-          this.ctx.drawImage(drawableImg, -w / 2, -h / 2, w, h);
-          this.ctx.restore();
+      this.pendingCameraFrames = true;
+      Promise.all(cameras.map(async ([id, entry]) => {
+        const bitmap = await window.createImageBitmap(entry.video);
+        if (this.worker) {
+          this.worker.postMessage({ type: 'cameraFrame', id, bitmap }, [bitmap]);
+        } else {
+          bitmap.close();
+        }
+      })).catch((e) => {
+        console.warn('[Meet Overlay] Failed to send camera overlay frame:', e);
+      }).finally(() => {
+        this.pendingCameraFrames = false;
+      });
+    }
+
+    clearCameraFrame(id) {
+      if (this.worker) {
+        this.worker.postMessage({ type: 'cameraFrame', id, bitmap: null });
+      }
+    }
+
+    // Insertable streams backend: VideoFrame in -> composite -> VideoFrame out
+    startInsertableStreams(width, height) {
+      const trackProcessor = new window.MediaStreamTrackProcessor({ track: this.videoTrack });
+      this.trackGenerator = new window.MediaStreamTrackGenerator({ kind: 'video' });
+
+      this.frameSource = document.createElement('canvas');
+      this.frameSource.width = width;
+      this.frameSource.height = height;
+      this.frameSourceCtx = this.frameSource.getContext('2d');
+
+      const transformer = new window.TransformStream({
+        transform: (frame, controller) => this.transformFrame(frame, controller)
+      });
+
+      this.pipelineAbort = new window.AbortController();
+      this.running = true;
+
+      trackProcessor.readable
+        .pipeThrough(transformer, { signal: this.pipelineAbort.signal })
+        .pipeTo(this.trackGenerator.writable)
+        .catch((e) => {
+          if (this.running) {
+            console.warn('[Meet Overlay] Insertable streams pipeline ended:', e);
+            this.stop();
+          }
         });
 
-        // Track render time
-        const renderEnd = performance.now();
-        this.lastRenderTime = renderEnd - renderStart;
-        if (monitor) {
-          monitor.recordRenderTime(this.lastRenderTime);
+      return this.trackGenerator;
+    }
+
+    async transformFrame(frame, controller) {
+      if (!this.running) {
+        frame.close();
+        return;
+      }
+
+      // Follow camera resolution changes
+      const frameWidth = frame.displayWidth;
+      const frameHeight = frame.displayHeight;
+      if (frameWidth && frameHeight &&
+          (this.canvas.width !== frameWidth || this.canvas.height !== frameHeight)) {
+        this.canvas.width = frameWidth;
+        this.canvas.height = frameHeight;
+        this.frameSource.width = frameWidth;
+        this.frameSource.height = frameHeight;
+      }
+
+      // Copy the camera frame and release it straight away so the camera isn't stalled
+      const frameTimestamp = frame.timestamp;
+      this.frameSourceCtx.drawImage(frame, 0, 0, this.frameSource.width, this.frameSource.height);
+      frame.close();
+
+      try {
+        await this.compositeFrame(performance.now());
+      } catch (e) {
+        console.warn('[Meet Overlay] Frame compositing failed:', e);
+      }
+
+      if (!this.running) return;
+      controller.enqueue(new window.VideoFrame(this.canvas, { timestamp: frameTimestamp }));
+    }
+
+    /**
+     * Get the raw camera frame if it has data. On the worker backend the frame
+     * is fetched from the compositor worker first.
+     * @returns {Promise<HTMLVideoElement|HTMLCanvasElement|null>}
+     */
+    async captureFrameSource() {
+      if (!this.running || !this.frameSource) return null;
+
+      if (this.backend === BACKEND_WORKER) {
+        const bitmap = await new Promise((resolve) => {
+          const requestId = ++this.nextFrameRequestId;
+          this.frameRequests.set(requestId, resolve);
+          this.worker.postMessage({ type: 'captureFrame', requestId });
+        });
+        if (!bitmap) return null;
+        if (!this.frameSource) {
+          bitmap.close();
+          return null;
         }
 
-        // Send performance metrics periodically
-        sendPerformanceMetrics(timestamp);
+        this.frameSource.width = bitmap.width;
+        this.frameSource.height = bitmap.height;
+        this.frameSourceCtx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+        return this.frameSource;
+      }
+
+      if (this.frameSource === this.video && this.video.readyState < 2) return null;
+      return this.frameSource;
+    }
+
+    async render(timestamp) {
+      if (!this.running) return;
+
+      if (this.video.readyState >= 2) {
+        await this.compositeFrame(timestamp);
       }
 
       requestAnimationFrame((ts) => this.render(ts));
     }
 
-    // Render wall art overlays
-    async renderWallArt(timestamp) {
-      // Check if we have any active wall art
-      const activeWallArt = wallArtOverlays.filter(wa => wa.active);
-      if (activeWallArt.length === 0) return;
+    // Draw the camera frame plus wall art and overlays onto the output canvas
+    async compositeFrame(timestamp) {
+      // Record frame for FPS tracking
+      const monitor = getPerformanceMonitor();
+      if (monitor) {
+        monitor.recordFrame(timestamp);
+      }
+
+      const renderStart = performance.now();
+
+      // Draw original video frame
+      this.ctx.drawImage(this.frameSource, 0, 0, this.canvas.width, this.canvas.height);
 
-      // Check if wall art renderer is available
-      if (!window.WallPaintRenderer || !window.WallArtRenderer) {
+      if (allHidden) {
+        this.crossfade = null;
+        this.lastRenderTime = performance.now() - renderStart;
+        sendPerformanceMetrics(timestamp);
         return;
       }
 
-      // Get person mask if segmentation is enabled
-      let personMask = null;
-      if (wallArtSettings.segmentationEnabled) {
-        try {
-          const segmenter = await getSegmenter();
-          if (segmenter) {
-            const segmentStart = performance.now();
-            const result = await segmenter.segment(this.video);
-            personMask = result.mask;
-
-            // Track segmentation time
-            const segmentTime = performance.now() - segmentStart;
-            const monitor = getPerformanceMonitor();
-            if (monitor) {
-              monitor.recordSegmentationTime(segmentTime);
-            }
-          }
-        } catch (e) {
-          // Segmentation failed, continue without mask
-          console.warn('[Meet Overlay] Segmentation failed:', e);
+      // Render wall art (before regular overlays, as wall art is background layer)
+      await this.renderWallArt(timestamp);
+
+      // Sort overlays by layer and zIndex, then draw
+      const sortedOverlays = sortOverlaysByLayer(overlays);
+      sortedOverlays.forEach(overlay => {
+        // Handle text banners (kept drawing briefly after being hidden to play the exit animation)
+        if (overlay.type === TYPE_TEXT_BANNER) {
+          const { elapsed, hiddenFor } = trackTextBannerVisibility(overlay, timestamp);
+          renderTextBanner(this.ctx, overlay, this.canvas.width, this.canvas.height, elapsed, hiddenFor);
+          return;
         }
-      }
 
-      // Apply jiggle compensation if enabled
-      let compensationTransform = { dx: 0, dy: 0, scale: 1, rotation: 0 };
-      if (wallArtSettings.jiggleCompensationEnabled) {
-        try {
-          const compensator = getJiggleCompensator();
-          if (compensator) {
-            // Initialize on first use
-            if (!compensator.initialized) {
-              compensator.initialize(this.video, personMask);
-            }
-            // Process frame and get compensation
-            compensationTransform = compensator.process(this.video, personMask);
+        // Check if overlay should be rendered
+        // Effects, timers, and cameras only render when active
+        if ((overlay.type === TYPE_EFFECT || overlay.type === TYPE_TIMER ||
+             overlay.type === TYPE_CAMERA) && !overlay.active) {
+          return;
+        }
+
+        // Handle picture-in-picture cameras
+        if (overlay.type === TYPE_CAMERA) {
+          const camera = cameraOverlayStreams.get(overlay.id);
+          if (camera && camera.video && camera.video.readyState >= 2) {
+            renderCameraOverlay(this.ctx, overlay, camera.video, this.canvas.width, this.canvas.height);
           }
-        } catch (e) {
-          console.warn('[Meet Overlay] Jiggle compensation failed:', e);
+          return;
         }
-      }
 
-      // Apply lighting compensation if enabled (piggyback on segmentation frame)
-      let artBrightnessMultiplier = 1.0;
-      if (wallArtSettings.lightingCompensationEnabled) {
-        try {
-          const detector = getLightingDetector();
-          if (detector) {
-            // Get first active wall art region for sampling (or null for full frame)
-            const sampleRegion = activeWallArt.length > 0 ? activeWallArt[0].region : null;
-
-            // Initialize on first use
-            if (!detector.initialized) {
-              detector.initialize(this.video, personMask, sampleRegion);
-            }
+        // Handle timers
+        if (overlay.type === TYPE_TIMER) {
+          renderTimer(this.ctx, overlay, this.canvas.width, this.canvas.height, timestamp);
+          return;
+        }
 
-            // Process frame and check for lighting changes
-            const lightingResult = detector.process(this.video, personMask, sampleRegion);
-            artBrightnessMultiplier = lightingResult.artBrightnessMultiplier;
-          }
-        } catch (e) {
-          console.warn('[Meet Overlay] Lighting detection failed:', e);
+        // Handle image-based overlays (standard and effect)
+        const imgOrAnim = overlayImages.get(overlay.id);
+        if (!imgOrAnim) return;
+
+        // Check if this is an AnimatedImage or regular Image
+        const isAnimated = imgOrAnim instanceof window.AnimatedImage;
+
+        // Get the drawable image (current frame for animated, the image itself for static)
+        let drawableImg;
+        let imgWidth, imgHeight;
+
+        if (isAnimated) {
+          // Update animation frame
+          imgOrAnim.update(timestamp);
+          drawableImg = imgOrAnim.currentFrame;
+          imgWidth = imgOrAnim.width;
+          imgHeight = imgOrAnim.height;
+        } else {
+          // Static image
+          if (!imgOrAnim.complete || !imgOrAnim.naturalWidth) return;
+          drawableImg = imgOrAnim;
+          imgWidth = imgOrAnim.naturalWidth;
+          imgHeight = imgOrAnim.naturalHeight;
         }
-      }
 
-      // Apply compensation to wall art regions
-      const compensatedWallArt = activeWallArt.map(wa => {
-        if (compensationTransform.dx === 0 && compensationTransform.dy === 0) {
-          return wa;
+        if (!drawableImg) return;
+
+        // Calculate the target box size from overlay percentages
+        const boxW = (overlay.width / 100) * this.canvas.width;
+        const boxH = (overlay.height / 100) * this.canvas.height;
+
+        // Preserve image aspect ratio (fit within box)
+        const imgAspect = imgWidth / imgHeight;
+        const boxAspect = boxW / boxH;
+
+        let w, h;
+        if (imgAspect > boxAspect) {
+          // Image is wider than box - fit to width
+          w = boxW;
+          h = boxW / imgAspect;
+        } else {
+          // Image is taller than box - fit to height
+          h = boxH;
+          w = boxH * imgAspect;
         }
-        return {
-          ...wa,
-          region: window.JiggleCompensator
-            ? window.JiggleCompensator.applyToRegion(wa.region, compensationTransform)
-            : wa.region
-        };
+
+        // Mirror the x-position so it appears where user intended after Meet mirrors
+        const x = this.canvas.width - ((overlay.x / 100) * this.canvas.width) - w;
+        const y = (overlay.y / 100) * this.canvas.height;
+
+        // Flip the image horizontally so it appears correct after Meet's mirror
+        // Apply opacity (default to 1 if not set)
+        const opacity = overlay.opacity !== undefined ? overlay.opacity : 1;
+        this.ctx.save();
+        this.ctx.globalAlpha = opacity;
+        this.ctx.translate(x + w / 2, y + h / 2);
+        this.ctx.scale(-1, 1);
+        this.ctx.drawImage(drawableImg, -w / 2, -h / 2, w, h);
+        this.ctx.restore();
       });
 
-      const renderOptions = {
-        personMask,
-        featherRadius: wallArtSettings.featherRadius,
-        timestamp,
-        artBrightnessMultiplier
-      };
+      // Fade out the previous scene after a scene switch
+      if (this.crossfade &&
+          !renderCrossfade(this.ctx, this.crossfade.snapshot, performance.now() - this.crossfade.start, this.crossfade.duration)) {
+        this.crossfade = null;
+      }
+
+      // Track render time
+      const renderEnd = performance.now();
+      this.lastRenderTime = renderEnd - renderStart;
+      if (monitor) {
+        monitor.recordRenderTime(this.lastRenderTime);
+      }
+
+      // Send performance metrics periodically
+      sendPerformanceMetrics(timestamp);
+    }
+
+    // Render wall art overlays
+    async renderWallArt(timestamp) {
+      // Check if the wall art compositor is available
+      if (!window.WallArtCompositor) {
+        return;
+      }
 
-      // Render paint layers first (with compensated regions)
-      window.WallPaintRenderer.renderAllWallPaint(this.ctx, compensatedWallArt, renderOptions);
+      const segmentTime = await window.WallArtCompositor.compositeWallArt(this.ctx, {
+        source: this.frameSource,
+        timestamp,
+        wallArtOverlays,
+        images: wallArtImages,
+        settings: wallArtSettings,
+        shadingReference: getShadingReference(),
+        referenceDepth,
+        pose: wallArtReference ? wallArtReference.pose : null
+      }, {
+        getSegmenter,
+        getJiggleCompensator,
+        getOccluderTracker,
+        getDepthOcclusion,
+        getLightingDetector,
+        getWebGLArtRenderer
+      });
 
-      // Render art layers (with compensated regions)
-      window.WallArtRenderer.renderAllWallArt(this.ctx, compensatedWallArt, wallArtImages, renderOptions);
+      // Track segmentation time
+      const monitor = getPerformanceMonitor();
+      if (segmentTime && monitor) {
+        monitor.recordSegmentationTime(segmentTime);
+      }
     }
 
     stop() {
@@ -784,8 +2064,44 @@
         this.video = null;
       }
 
+      this.teardownWorker();
+      this.teardownInsertableStreams();
+      this.frameSource = null;
+      this.frameSourceCtx = null;
+      this.crossfade = null;
+
+      // Camera overlays follow the main camera, unless a replacement processor is starting
+      if (activeProcessor === this) {
+        syncCameraOverlays();
+      }
+
       console.log('[Meet Overlay] Video processing stopped');
     }
+
+    teardownWorker() {
+      if (this.worker) {
+        this.worker.postMessage({ type: 'stop' });
+        this.worker.terminate();
+        this.worker = null;
+      }
+      this.sentOverlayImages.clear();
+      this.sentWallArtImages.clear();
+
+      // Unblock anyone waiting on a frame from the worker
+      this.frameRequests.forEach(resolve => resolve(null));
+      this.frameRequests.clear();
+    }
+
+    teardownInsertableStreams() {
+      if (this.pipelineAbort) {
+        this.pipelineAbort.abort();
+        this.pipelineAbort = null;
+      }
+      if (this.trackGenerator) {
+        this.trackGenerator.stop();
+        this.trackGenerator = null;
+      }
+    }
   }
 
   // Override getUserMedia
@@ -796,9 +2112,11 @@
     if (constraints && constraints.video) {
       console.log('[Meet Overlay] Intercepted getUserMedia with video');
 
-      // Stop previous processor if any
+      // Stop previous processor if any (detached first so camera overlays stay open across the restart)
       if (activeProcessor) {
-        activeProcessor.stop();
+        const previousProcessor = activeProcessor;
+        activeProcessor = null;
+        previousProcessor.stop();
       }
 
       activeProcessor = new VideoProcessor(stream);
@@ -808,30 +2126,186 @@
     return stream;
   };
 
-  // Listen for overlay updates from content script
-  window.addEventListener('message', (event) => {
-    if (event.source !== window) return;
+  // Replace the overlay list. Images are loaded for new overlays and ones whose src
+  // changed (or taken from `stagedImages` when a scene preloaded them), and dropped
+  // for removed overlays.
+  function setOverlays(nextOverlays, stagedImages = null) {
+    const previousOverlays = overlays;
+    // Migrate overlays to ensure they have layer/zIndex fields
+    overlays = nextOverlays.map(migrateOverlay);
+    applyTimerStates();
+
+    overlays.forEach(overlay => {
+      if (stagedImages && stagedImages.has(overlay.id)) {
+        overlayImages.set(overlay.id, stagedImages.get(overlay.id));
+        return;
+      }
+      const previous = previousOverlays.find(o => o.id === overlay.id);
+      if (!overlayImages.has(overlay.id) || (previous && previous.src !== overlay.src)) {
+        loadOverlayImage(overlay);
+      }
+    });
 
-    if (event.data.type === 'MEET_OVERLAY_UPDATE') {
-      console.log('[Meet Overlay] Received overlay update:', event.data.overlays);
-      // Migrate overlays to ensure they have layer/zIndex fields
-      overlays = event.data.overlays.map(migrateOverlay);
+    // Remove images for deleted overlays
+    for (const id of overlayImages.keys()) {
+      if (!overlays.find(o => o.id === id)) {
+        overlayImages.delete(id);
+      }
+    }
+    for (const id of textBannerClock.keys()) {
+      if (!overlays.find(o => o.id === id)) {
+        textBannerClock.delete(id);
+      }
+    }
+
+    syncCameraOverlays();
+    saveOverlays();
+  }
 
-      // Load any new images
-      overlays.forEach(overlay => {
-        if (!overlayImages.has(overlay.id)) {
-          loadOverlayImage(overlay);
+  // Replace the wall art list, loading art (and playlist items) for new regions and
+  // whatever changed (or taking it from `stagedImages`), and releasing the rest
+  function setWallArtOverlays(nextWallArt, stagedImages = null) {
+    const previousWallArt = wallArtOverlays;
+    wallArtOverlays = nextWallArt;
+    markScreenShares();
+
+    wallArtOverlays.forEach(wallArt => {
+      // A live screen share replaces the region's art until it stops
+      if (screenShareStreams.has(wallArt.id)) return;
+
+      const previous = previousWallArt.find(wa => wa.id === wallArt.id);
+      const previousSrcs = getWallArtSourceSrcs(previous);
+      getWallArtSources(wallArt).forEach(({ key, art }) => {
+        if (stagedImages && stagedImages.has(key)) {
+          wallArtImages.set(key, stagedImages.get(key));
+        } else if (!wallArtImages.has(key) || (previous && previousSrcs.get(key) !== art.src)) {
+          loadWallArtImage({ id: key, art });
         }
       });
+    });
 
-      // Remove images for deleted overlays
-      for (const id of overlayImages.keys()) {
-        if (!overlays.find(o => o.id === id)) {
-          overlayImages.delete(id);
+    // Remove sources no region uses any more, and everything of deleted regions
+    const usedKeys = new Set(wallArtOverlays.flatMap(wallArt => getWallArtSources(wallArt).map(({ key }) => key)));
+    for (const id of wallArtImages.keys()) {
+      const ownerId = getWallArtSourceOwner(id);
+      const removed = !wallArtOverlays.find(wa => wa.id === ownerId);
+      if (removed) {
+        stopScreenShare(id, 'removed');
+        if (webglArtRenderer) {
+          webglArtRenderer.deleteTexture(ownerId);
         }
       }
+      if (!usedKeys.has(id) && !screenShareStreams.has(id)) {
+        wallArtImages.delete(id);
+      }
+    }
+  }
+
+  // Apply wall art segmentation, jiggle and lighting settings (missing keys are kept)
+  function applyWallArtSettings(settings) {
+    if (!settings) return;
 
-      saveOverlays();
+    if (settings.segmentationEnabled !== undefined) {
+      wallArtSettings.segmentationEnabled = settings.segmentationEnabled;
+    }
+    if (settings.segmentationPreset !== undefined) {
+      wallArtSettings.segmentationPreset = settings.segmentationPreset;
+      // Update segmenter preset if it exists
+      if (wallArtSegmenter) {
+        wallArtSegmenter.setPreset(settings.segmentationPreset);
+      }
+    }
+    if (settings.featherRadius !== undefined) {
+      wallArtSettings.featherRadius = settings.featherRadius;
+    }
+    if (settings.jiggleCompensationEnabled !== undefined) {
+      wallArtSettings.jiggleCompensationEnabled = settings.jiggleCompensationEnabled;
+      // Reset compensator when toggling
+      if (jiggleCompensator) {
+        jiggleCompensator.setEnabled(settings.jiggleCompensationEnabled);
+        if (!settings.jiggleCompensationEnabled) {
+          jiggleCompensator.reset();
+        }
+      }
+    }
+    if (settings.lightingCompensationEnabled !== undefined) {
+      wallArtSettings.lightingCompensationEnabled = settings.lightingCompensationEnabled;
+      // Reset detector when toggling
+      if (lightingDetector) {
+        lightingDetector.setEnabled(settings.lightingCompensationEnabled);
+        if (!settings.lightingCompensationEnabled) {
+          lightingDetector.reset();
+        }
+      }
+    }
+    if (settings.depthEnabled !== undefined) {
+      wallArtSettings.depthEnabled = settings.depthEnabled;
+      if (settings.depthEnabled) {
+        ensureReferenceDepth();
+      } else if (referenceDepth) {
+        clearReferenceDepth();
+      }
+    }
+  }
+
+  // Scene switches replace overlays, wall art and settings in one go. Images the
+  // new scene needs are loaded into staging maps first so no frame shows it
+  // half-loaded; a newer switch supersedes one that is still loading.
+  let sceneSwitchId = 0;
+
+  async function applyScene(scene, crossfadeMs = 0) {
+    const switchId = ++sceneSwitchId;
+    const nextOverlays = scene.overlays || [];
+    const nextWallArt = scene.wallArtOverlays || [];
+    const stagedOverlayImages = new Map();
+    const stagedWallArtImages = new Map();
+
+    const overlaysToLoad = nextOverlays.filter(overlay => {
+      const current = overlays.find(o => o.id === overlay.id);
+      return overlay.src && (!current || current.src !== overlay.src || !overlayImages.has(overlay.id));
+    });
+    const wallArtToLoad = nextWallArt.flatMap(wallArt => {
+      if (screenShareStreams.has(wallArt.id)) return [];
+      const currentSrcs = getWallArtSourceSrcs(wallArtOverlays.find(wa => wa.id === wallArt.id));
+      return getWallArtSources(wallArt).filter(({ key, art }) =>
+        currentSrcs.get(key) !== art.src || !wallArtImages.has(key)
+      );
+    });
+
+    await Promise.all([
+      ...overlaysToLoad.map(overlay => loadOverlayImage(overlay, stagedOverlayImages)),
+      ...wallArtToLoad.map(({ key, art }) => loadWallArtImage({ id: key, art }, stagedWallArtImages))
+    ]);
+    if (switchId !== sceneSwitchId) return;
+
+    const swap = () => {
+      setOverlays(nextOverlays, stagedOverlayImages);
+      setWallArtOverlays(nextWallArt, stagedWallArtImages);
+      applyWallArtSettings(scene.wallArtSettings);
+    };
+
+    if (activeProcessor) {
+      await activeProcessor.switchScene(swap, crossfadeMs);
+    } else {
+      swap();
+    }
+    console.log('[Meet Overlay] Switched to scene:', scene.name || scene.id);
+  }
+
+  // Listen for overlay updates from content script
+  window.addEventListener('message', (event) => {
+    if (event.source !== window) return;
+
+    if (event.data.type === 'MEET_OVERLAY_UPDATE') {
+      console.log('[Meet Overlay] Received overlay update:', event.data.overlays);
+      setOverlays(event.data.overlays);
+    }
+
+    // Panic shortcut: hide (or bring back) every overlay and wall art region at once
+    if (event.data.type === 'MEET_OVERLAY_HIDE_ALL') {
+      allHidden = typeof event.data.hidden === 'boolean' ? event.data.hidden : !allHidden;
+      console.log('[Meet Overlay]', allHidden ? 'Hiding all overlays' : 'Showing overlays again');
+      window.postMessage({ type: 'MEET_OVERLAY_HIDDEN_CHANGED', hidden: allHidden }, '*');
     }
 
     if (event.data.type === 'MEET_OVERLAY_PING') {
@@ -892,41 +2366,64 @@
       }
     }
 
+    // Toggle camera overlay visibility (opens/closes the device)
+    if (event.data.type === 'MEET_OVERLAY_TOGGLE_CAMERA') {
+      const { id, active } = event.data;
+      console.log('[Meet Overlay] Toggling camera overlay:', id, 'active:', active);
+
+      const overlay = overlays.find(o => o.id === id);
+      if (overlay && overlay.type === TYPE_CAMERA) {
+        overlay.active = active;
+        // Re-enabling retries a camera that failed or ended
+        if (active) {
+          const entry = cameraOverlayStreams.get(id);
+          if (entry && entry.failed) cameraOverlayStreams.delete(id);
+        }
+        syncCameraOverlays();
+      }
+    }
+
+    // List cameras for the popup's device picker (labels need the page's camera permission)
+    if (event.data.type === 'MEET_OVERLAY_GET_VIDEO_DEVICES') {
+      navigator.mediaDevices.enumerateDevices().then((devices) => {
+        window.postMessage({
+          type: 'MEET_OVERLAY_VIDEO_DEVICES',
+          devices: devices
+            .filter(device => device.kind === 'videoinput')
+            .map((device, index) => ({
+              deviceId: device.deviceId,
+              label: device.label || `Camera ${index + 1}`
+            }))
+        }, '*');
+      }).catch((e) => {
+        console.error('[Meet Overlay] Failed to list cameras:', e);
+        window.postMessage({ type: 'MEET_OVERLAY_VIDEO_DEVICES', devices: [] }, '*');
+      });
+    }
+
     // Timer control (start, pause, reset)
     if (event.data.type === 'MEET_OVERLAY_TIMER_CONTROL') {
-      const { id, action } = event.data;
+      const { id } = event.data;
+      let { action } = event.data;
       console.log('[Meet Overlay] Timer control:', id, 'action:', action);
 
       const overlay = overlays.find(o => o.id === id);
       if (overlay && overlay.type === TYPE_TIMER) {
-        if (!overlay.timerState) {
-          overlay.timerState = { running: false, startTime: null, pausedAt: null, elapsed: 0 };
-        }
+        prepareTimersForMeeting();
 
-        const now = performance.now();
+        // Keyboard shortcuts don't know whether the timer is running
+        if (action === 'toggle') {
+          action = overlay.timerState && overlay.timerState.running ? 'pause' : 'start';
+        }
 
         if (action === 'start') {
-          if (!overlay.timerState.running) {
-            // Resume from paused state or start fresh
-            if (overlay.timerState.pausedAt) {
-              // Calculate how much time had elapsed before pause
-              overlay.timerState.startTime = now - (overlay.timerState.elapsed * 1000);
-            } else {
-              overlay.timerState.startTime = now;
-            }
-            overlay.timerState.running = true;
-            overlay.timerState.pausedAt = null;
-            console.log('[Meet Overlay] Timer started');
-          }
+          startTimer(overlay);
+          console.log('[Meet Overlay] Timer started');
         } else if (action === 'pause') {
-          if (overlay.timerState.running) {
-            overlay.timerState.elapsed = (now - overlay.timerState.startTime) / 1000;
-            overlay.timerState.running = false;
-            overlay.timerState.pausedAt = now;
-            console.log('[Meet Overlay] Timer paused at', overlay.timerState.elapsed, 'seconds');
-          }
+          pauseTimer(overlay);
+          console.log('[Meet Overlay] Timer paused at', overlay.timerState.elapsed, 'seconds');
         } else if (action === 'reset') {
-          overlay.timerState = { running: false, startTime: null, pausedAt: null, elapsed: 0 };
+          resetTimer(overlay);
           console.log('[Meet Overlay] Timer reset');
         }
       }
@@ -935,21 +2432,7 @@
     // Wall art update
     if (event.data.type === 'MEET_OVERLAY_UPDATE_WALL_ART') {
       console.log('[Meet Overlay] Received wall art update:', event.data.wallArtOverlays?.length || 0, 'overlays');
-      wallArtOverlays = event.data.wallArtOverlays || [];
-
-      // Load any new art images
-      wallArtOverlays.forEach(wallArt => {
-        if (wallArt.art && wallArt.art.src && !wallArtImages.has(wallArt.id)) {
-          loadWallArtImage(wallArt);
-        }
-      });
-
-      // Remove images for deleted wall art overlays
-      for (const id of wallArtImages.keys()) {
-        if (!wallArtOverlays.find(wa => wa.id === id)) {
-          wallArtImages.delete(id);
-        }
-      }
+      setWallArtOverlays(event.data.wallArtOverlays || []);
     }
 
     // Toggle wall art visibility
@@ -961,99 +2444,123 @@
       if (wallArt) {
         wallArt.active = active;
 
-        // Reset animation when activating if it's a GIF
+        // Reset animation when activating if it's a GIF (or a playlist has GIFs)
         if (active) {
-          const img = wallArtImages.get(id);
-          if (img && img instanceof window.AnimatedImage) {
-            img.reset();
-          }
+          getWallArtSources(wallArt).forEach(({ key }) => {
+            const img = wallArtImages.get(key);
+            if (img && img instanceof window.AnimatedImage) {
+              img.reset();
+            }
+          });
         }
       }
     }
 
     // Update wall art segmentation settings
     if (event.data.type === 'MEET_OVERLAY_UPDATE_WALL_ART_SETTINGS') {
-      const settings = event.data.settings;
-      console.log('[Meet Overlay] Updating wall art settings:', settings);
+      console.log('[Meet Overlay] Updating wall art settings:', event.data.settings);
+      applyWallArtSettings(event.data.settings);
+    }
 
-      if (settings) {
-        if (settings.segmentationEnabled !== undefined) {
-          wallArtSettings.segmentationEnabled = settings.segmentationEnabled;
-        }
-        if (settings.segmentationPreset !== undefined) {
-          wallArtSettings.segmentationPreset = settings.segmentationPreset;
-          // Update segmenter preset if it exists
-          if (wallArtSegmenter) {
-            wallArtSegmenter.setPreset(settings.segmentationPreset);
-          }
-        }
-        if (settings.featherRadius !== undefined) {
-          wallArtSettings.featherRadius = settings.featherRadius;
-        }
-        if (settings.jiggleCompensationEnabled !== undefined) {
-          wallArtSettings.jiggleCompensationEnabled = settings.jiggleCompensationEnabled;
-          // Reset compensator when toggling
-          if (jiggleCompensator) {
-            jiggleCompensator.setEnabled(settings.jiggleCompensationEnabled);
-            if (!settings.jiggleCompensationEnabled) {
-              jiggleCompensator.reset();
-            }
-          }
-        }
-        if (settings.lightingCompensationEnabled !== undefined) {
-          wallArtSettings.lightingCompensationEnabled = settings.lightingCompensationEnabled;
-          // Reset detector when toggling
-          if (lightingDetector) {
-            lightingDetector.setEnabled(settings.lightingCompensationEnabled);
-            if (!settings.lightingCompensationEnabled) {
-              lightingDetector.reset();
-            }
-          }
-        }
+    // New reference frame from the setup wizard (null when there is none)
+    if (event.data.type === 'MEET_OVERLAY_UPDATE_WALL_ART_REFERENCE') {
+      wallArtReference = event.data.reference || null;
+      console.log('[Meet Overlay] Wall art reference:', wallArtReference ? `${wallArtReference.keypoints.length} keypoints` : 'none');
+      if (jiggleCompensator) {
+        jiggleCompensator.setReference(wallArtReference);
+      }
+    }
+
+    if (event.data.type === 'MEET_OVERLAY_UPDATE_PAINT_SHADING_REFERENCE') {
+      loadPaintShadingFrame(event.data.frame).then((frame) => {
+        paintShadingFrame = frame;
+        console.log('[Meet Overlay] Paint shading reference:', frame ? `${frame.width}x${frame.height}` : 'none');
+        if (activeProcessor) activeProcessor.syncWorkerShadingFrame();
+        // The depth map belongs to the old reference frame
+        if (referenceDepth) clearReferenceDepth();
+        ensureReferenceDepth();
+      });
+    }
+
+    // Switch to a saved scene (overlays, wall art and settings together).
+    // Not in COMPOSITOR_STATE_MESSAGES: applyScene syncs the worker once the images are ready.
+    if (event.data.type === 'MEET_OVERLAY_APPLY_SCENE') {
+      const { scene, crossfadeMs } = event.data;
+      if (scene) {
+        console.log('[Meet Overlay] Applying scene:', scene.name || scene.id);
+        applyScene(scene, crossfadeMs || 0);
       }
     }
 
+    // Start showing a screen share on a wall art region
+    if (event.data.type === 'MEET_OVERLAY_START_SCREEN_SHARE') {
+      const { id, streamId } = event.data;
+      console.log('[Meet Overlay] Starting screen share on wall art:', id);
+      startScreenShare(id, streamId);
+    }
+
+    // Stop a screen share from the popup
+    if (event.data.type === 'MEET_OVERLAY_STOP_SCREEN_SHARE') {
+      stopScreenShare(event.data.id, 'stopped');
+    }
+
+    // Report which wall art regions are showing a screen share
+    if (event.data.type === 'MEET_OVERLAY_GET_SCREEN_SHARES') {
+      window.postMessage({
+        type: 'MEET_OVERLAY_SCREEN_SHARES',
+        ids: [...screenShareStreams.keys()]
+      }, '*');
+    }
+
     // ==================== SETUP WIZARD MESSAGE HANDLERS ====================
 
     // Capture a single video frame for the wizard
     if (event.data.type === 'MEET_OVERLAY_WIZARD_CAPTURE_FRAME') {
       console.log('[Meet Overlay] Wizard: Capturing frame...');
 
-      try {
-        // Get the current video frame from the active processor
-        if (activeProcessor && activeProcessor.video && activeProcessor.video.readyState >= 2) {
-          const video = activeProcessor.video;
-          const tempCanvas = document.createElement('canvas');
-          tempCanvas.width = video.videoWidth || 640;
-          tempCanvas.height = video.videoHeight || 480;
-          const tempCtx = tempCanvas.getContext('2d');
+      (async () => {
+        try {
+          // Get the current video frame from the active processor
+          const video = activeProcessor ? await activeProcessor.captureFrameSource() : null;
+          if (video) {
+            const tempCanvas = document.createElement('canvas');
+            tempCanvas.width = video.videoWidth || video.width || 640;
+            tempCanvas.height = video.videoHeight || video.height || 480;
+            const tempCtx = tempCanvas.getContext('2d');
+
+            // Draw current video frame
+            tempCtx.drawImage(video, 0, 0, tempCanvas.width, tempCanvas.height);
 
-          // Draw current video frame
-          tempCtx.drawImage(video, 0, 0, tempCanvas.width, tempCanvas.height);
+            // Convert to data URL (JPEG for smaller size)
+            const frameDataUrl = tempCanvas.toDataURL('image/jpeg', 0.8);
 
-          // Convert to data URL (JPEG for smaller size)
-          const frameDataUrl = tempCanvas.toDataURL('image/jpeg', 0.8);
+            // Descriptors let the jiggle compensator find this view again after the camera moves
+            const descriptors = window.JiggleCompensator
+              ? window.JiggleCompensator.computeDescriptors(tempCanvas)
+              : null;
 
+            window.postMessage({
+              type: 'MEET_OVERLAY_WIZARD_FRAME_CAPTURED',
+              success: true,
+              frameDataUrl,
+              descriptors,
+              width: tempCanvas.width,
+              height: tempCanvas.height
+            }, '*');
+
+            console.log('[Meet Overlay] Wizard: Frame captured successfully');
+          } else {
+            throw new Error('Video not ready or no active processor');
+          }
+        } catch (error) {
+          console.error('[Meet Overlay] Wizard: Frame capture failed:', error);
           window.postMessage({
             type: 'MEET_OVERLAY_WIZARD_FRAME_CAPTURED',
-            success: true,
-            frameDataUrl,
-            width: tempCanvas.width,
-            height: tempCanvas.height
+            success: false,
+            error: error.message
           }, '*');
-
-          console.log('[Meet Overlay] Wizard: Frame captured successfully');
-        } else {
-          throw new Error('Video not ready or no active processor');
         }
-      } catch (error) {
-        console.error('[Meet Overlay] Wizard: Frame capture failed:', error);
-        window.postMessage({
-          type: 'MEET_OVERLAY_WIZARD_FRAME_CAPTURED',
-          success: false,
-          error: error.message
-        }, '*');
-      }
+      })();
     }
 
     // Run performance benchmark for the wizard
@@ -1063,11 +2570,11 @@
       (async () => {
         try {
           // Ensure we have an active video processor
-          if (!activeProcessor || !activeProcessor.video || activeProcessor.video.readyState < 2) {
+          const video = activeProcessor ? await activeProcessor.captureFrameSource() : null;
+          if (!video) {
             throw new Error('Video not ready or no active processor');
           }
 
-          const video = activeProcessor.video;
           const iterations = 10;
           const timings = [];
 
@@ -1130,32 +2637,52 @@
 
     // Region editor show
     if (event.data.type === 'MEET_OVERLAY_REGION_EDITOR_SHOW') {
-      const { region, wallArtId } = event.data;
+      const { region, wallArtId, regionType, transform, occluders } = event.data;
       console.log('[Meet Overlay] Showing region editor for wall art:', wallArtId);
 
       if (window.WallRegionEditor) {
+        // Zoom/pan and occluders are previewed live on the wall art being edited, and put back on cancel
+        const wallArt = wallArtOverlays.find(wa => wa.id === wallArtId);
+        const originalTransform = wallArt ? wallArt.transform : null;
+        const originalOccluders = wallArt ? wallArt.occluders : null;
+        const preview = (nextTransform, nextOccluders) => {
+          if (!wallArt) return;
+          wallArt.transform = nextTransform;
+          wallArt.occluders = nextOccluders;
+          if (activeProcessor) activeProcessor.syncWorkerState();
+        };
+
         window.WallRegionEditor.show(region, {
-          onUpdate: (updatedRegion) => {
+          onUpdate: (updatedRegion, editState) => {
+            preview(editState.transform, editState.occluders);
             window.postMessage({
               type: 'MEET_OVERLAY_REGION_EDITOR_UPDATE',
               region: updatedRegion,
+              regionType: editState.regionType,
+              transform: editState.transform,
+              occluders: editState.occluders,
               wallArtId
             }, '*');
           },
-          onSave: (savedRegion) => {
+          onSave: (savedRegion, editState) => {
+            preview(editState.transform, editState.occluders);
             window.postMessage({
               type: 'MEET_OVERLAY_REGION_EDITOR_SAVE',
               region: savedRegion,
+              regionType: editState.regionType,
+              transform: editState.transform,
+              occluders: editState.occluders,
               wallArtId
             }, '*');
           },
           onCancel: () => {
+            preview(originalTransform, originalOccluders);
             window.postMessage({
               type: 'MEET_OVERLAY_REGION_EDITOR_CANCEL',
               wallArtId
             }, '*');
           }
-        });
+        }, { regionType, transform, occluders });
       } else {
         console.error('[Meet Overlay] WallRegionEditor not loaded');
       }
@@ -1178,12 +2705,11 @@
       (async () => {
         try {
           // Ensure we have an active video processor
-          if (!activeProcessor || !activeProcessor.video || activeProcessor.video.readyState < 2) {
+          const video = activeProcessor ? await activeProcessor.captureFrameSource() : null;
+          if (!video) {
             throw new Error('Video not ready or no active processor');
           }
 
-          const video = activeProcessor.video;
-
           // Get person mask if segmentation is enabled
           let personMask = null;
           if (wallArtSettings.segmentationEnabled) {
@@ -1206,8 +2732,14 @@
           const detector = new window.WallDetector();
           detector.initialize();
 
+          // With depth on, rank candidates by the reference depth map, moved into the current view
+          const depth = await ensureReferenceDepth();
+          const depthMap = depth
+            ? window.DepthEstimator.warpDepthMap(depth, wallArtReference ? wallArtReference.pose : null)
+            : null;
+
           // Detect walls
-          const result = await detector.detectWalls(video, personMask);
+          const result = await detector.detectWalls(video, personMask, depthMap);
 
           console.log('[Meet Overlay] Wall detection result:', result);
 
@@ -1228,9 +2760,15 @@
         }
       })();
     }
+
+    // Forward state changes to the compositor worker
+    if (activeProcessor && COMPOSITOR_STATE_MESSAGES.has(event.data.type)) {
+      activeProcessor.syncWorkerState();
+    }
   });
 
   // Initial load
+  loadTimerStates();
   loadOverlays();
 
   console.log('[Meet Overlay] Ready');
@@ -0,0 +1,329 @@
+/**
+ * Art Frame Module
+ *
+ * Dresses wall art up as a real object hanging on the wall:
+ * - Frame styles: thin black, wood, gallery white with a mat, canvas wrap
+ * - A soft drop shadow offset along the wall
+ * - Glass glare across the art
+ *
+ * Everything is laid out in the art quad's unit square and mapped through its
+ * homography, so frame borders and shadows foreshorten with the wall. Frames,
+ * mats and shadows sit outside the region (the region is the visible art), so
+ * polygon and painted regions, which are cut to their shape, only show the glare.
+ */
+
+import { computeQuadHomography, invertHomography, applyHomography, tracePolygon } from './wall-region.js';
+import { shadeColor } from './shared-utils.js';
+
+/**
+ * @typedef {'none' | 'thinBlack' | 'wood' | 'galleryWhite' | 'canvasWrap'} FrameStyle
+ */
+
+/**
+ * @typedef {Object} ArtFrame
+ * @property {FrameStyle} style - Frame style
+ * @property {number} [width] - Moulding width as a fraction of the art's shorter side (style default when absent)
+ * @property {number} [mat] - Mat width as a fraction of the art's shorter side (style default when absent)
+ */
+
+/**
+ * @typedef {Object} ArtShadow
+ * @property {boolean} enabled - Draw the shadow
+ * @property {number} [offsetX] - Offset to the right along the wall, as a fraction of the art's shorter side
+ * @property {number} [offsetY] - Offset downwards along the wall, as a fraction of the art's shorter side
+ * @property {number} [blur] - Softness as a fraction of the art's shorter side
+ * @property {number} [opacity] - Darkness (0-1)
+ */
+
+/**
+ * @typedef {Object} ArtGlare
+ * @property {boolean} enabled - Draw the glare
+ * @property {number} [strength] - Brightness of the glare band (0-1)
+ */
+
+/**
+ * @typedef {Object} ArtDecor
+ * @property {ArtFrame|null} [frame] - Frame around the art
+ * @property {ArtShadow|null} [shadow] - Drop shadow behind the art
+ * @property {ArtGlare|null} [glare] - Glass glare over the art
+ */
+
+/**
+ * Frame style presets. Widths are fractions of the art's shorter side.
+ */
+export const FRAME_STYLES = {
+  thinBlack: { color: '#161616', width: 0.025, mat: 0 },
+  wood: { color: '#7b4a26', grain: '#5c341a', width: 0.07, mat: 0 },
+  galleryWhite: { color: '#f2f0ea', width: 0.04, mat: 0.14, matColor: '#fbfaf5' },
+  canvasWrap: { color: '#e4dfd4', width: 0, mat: 0, depth: 0.035 }
+};
+
+/**
+ * Shadow settings used for any value the overlay doesn't set
+ */
+export const DEFAULT_SHADOW = { offsetX: 0.02, offsetY: 0.04, blur: 0.04, opacity: 0.45 };
+
+const DEFAULT_GLARE_STRENGTH = 0.2;
+
+// Light comes from above left: the top and left sides of a moulding are lit, the others shaded
+const SIDE_SHADES = { top: 1.12, left: 1, right: 0.82, bottom: 0.7 };
+
+/**
+ * Whether wall art has a frame, shadow or glare to draw.
+ *
+ * @param {ArtDecor|null|undefined} art - Wall art settings
+ * @returns {boolean}
+ */
+export function hasArtDecor(art) {
+  return Boolean(art && (getFramePreset(art.frame) || (art.shadow && art.shadow.enabled) || (art.glare && art.glare.enabled)));
+}
+
+/**
+ * Convert a size given as a fraction of the art's shorter side into unit square
+ * fractions of its width and height.
+ *
+ * @param {number} size - Size as a fraction of the shorter side
+ * @param {number} aspect - Art width / height
+ * @returns {{ x: number, y: number }}
+ */
+export function getBorderSize(size, aspect) {
+  return aspect >= 1 ? { x: size / aspect, y: size } : { x: size, y: size * aspect };
+}
+
+/**
+ * How far a frame (moulding and mat) reaches beyond the art, in unit square fractions.
+ *
+ * @param {ArtFrame|null|undefined} frame - Frame settings
+ * @param {number} aspect - Art width / height
+ * @returns {{ mat: { x: number, y: number }, outer: { x: number, y: number } }}
+ */
+export function getFrameExtent(frame, aspect) {
+  const preset = getFramePreset(frame);
+  if (!preset) return { mat: { x: 0, y: 0 }, outer: { x: 0, y: 0 } };
+
+  const matWidth = frame.mat >= 0 ? frame.mat : preset.mat;
+  const frameWidth = frame.width >= 0 ? frame.width : preset.width;
+  return {
+    mat: getBorderSize(matWidth, aspect),
+    outer: getBorderSize(matWidth + frameWidth, aspect)
+  };
+}
+
+/**
+ * Map a rectangle of the unit square (it may reach outside it) onto the wall.
+ *
+ * @param {import('./wall-region.js').Homography} matrix - Homography from the unit square to pixels
+ * @param {number} left - Left edge (u)
+ * @param {number} top - Top edge (v)
+ * @param {number} right - Right edge (u)
+ * @param {number} bottom - Bottom edge (v)
+ * @returns {Object} Quad in pixels with topLeft, topRight, bottomLeft, bottomRight
+ */
+export function mapUnitRect(matrix, left, top, right, bottom) {
+  return {
+    topLeft: applyHomography(matrix, left, top),
+    topRight: applyHomography(matrix, right, top),
+    bottomLeft: applyHomography(matrix, left, bottom),
+    bottomRight: applyHomography(matrix, right, bottom)
+  };
+}
+
+/**
+ * Draw what sits behind and around the art: the shadow, then the mat and moulding
+ * (or the edges of a canvas wrap).
+ *
+ * @param {CanvasRenderingContext2D} ctx - Target canvas context
+ * @param {Object} pixelQuad - Art quad in pixels
+ * @param {ArtDecor} art - Wall art settings
+ * @param {number} aspect - Art width / height on the wall
+ */
+export function drawArtBackdrop(ctx, pixelQuad, art, aspect) {
+  const matrix = computeQuadHomography(pixelQuad);
+  const preset = getFramePreset(art.frame);
+  const { mat, outer } = getFrameExtent(art.frame, aspect);
+
+  if (art.shadow && art.shadow.enabled) {
+    drawShadow(ctx, matrix, pixelQuad, art.shadow, outer, aspect);
+  }
+  if (!preset) return;
+
+  if (preset.depth) {
+    drawCanvasEdges(ctx, matrix, preset, getBorderSize(preset.depth, aspect));
+    return;
+  }
+
+  if (mat.x > 0 || mat.y > 0) {
+    ctx.fillStyle = preset.matColor || '#ffffff';
+    fillRing(ctx, matrix, { x: 0, y: 0 }, mat);
+
+    // The moulding casts a thin shadow onto the mat
+    const lip = { x: mat.x - (outer.x - mat.x) * 0.2, y: mat.y - (outer.y - mat.y) * 0.2 };
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.18)';
+    fillRing(ctx, matrix, lip, mat);
+  }
+
+  drawMoulding(ctx, matrix, preset, mat, outer);
+}
+
+/**
+ * Draw what sits in front of the art: glare on the glass.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Target canvas context
+ * @param {Object} pixelQuad - Art quad in pixels
+ * @param {ArtDecor} art - Wall art settings
+ */
+export function drawArtGlass(ctx, pixelQuad, art) {
+  if (!art.glare || !art.glare.enabled) return;
+
+  const matrix = computeQuadHomography(pixelQuad);
+  const strength = art.glare.strength >= 0 ? art.glare.strength : DEFAULT_GLARE_STRENGTH;
+
+  // A soft diagonal band from the upper left, over a faint sheen on the whole pane
+  const start = applyHomography(matrix, 0.2, 0.2);
+  const end = applyHomography(matrix, 0.55, 0.55);
+  const band = ctx.createLinearGradient(start.x, start.y, end.x, end.y);
+  band.addColorStop(0, `rgba(255, 255, 255, ${strength * 0.15})`);
+  band.addColorStop(0.5, `rgba(255, 255, 255, ${strength})`);
+  band.addColorStop(1, `rgba(255, 255, 255, ${strength * 0.15})`);
+
+  ctx.save();
+  ctx.fillStyle = band;
+  tracePolygon(ctx, [
+    applyHomography(matrix, 0, 0),
+    applyHomography(matrix, 1, 0),
+    applyHomography(matrix, 1, 1),
+    applyHomography(matrix, 0, 1)
+  ]);
+  ctx.fill();
+  ctx.restore();
+}
+
+function getFramePreset(frame) {
+  return frame && frame.style ? FRAME_STYLES[frame.style] || null : null;
+}
+
+// The framed art's outline shifted along the wall, blurred by a fraction of the art's size
+function drawShadow(ctx, matrix, pixelQuad, shadow, outer, aspect) {
+  const settings = { ...DEFAULT_SHADOW, ...shadow };
+  const offset = getBorderSize(1, aspect);
+  const dx = settings.offsetX * offset.x;
+  const dy = settings.offsetY * offset.y;
+  const quad = mapUnitRect(matrix, -outer.x + dx, -outer.y + dy, 1 + outer.x + dx, 1 + outer.y + dy);
+
+  const blur = settings.blur * getShortSide(pixelQuad);
+  ctx.save();
+  ctx.fillStyle = `rgba(0, 0, 0, ${settings.opacity})`;
+  if (blur >= 0.5) ctx.filter = `blur(${blur.toFixed(1)}px)`;
+  tracePolygon(ctx, [quad.topLeft, quad.topRight, quad.bottomRight, quad.bottomLeft]);
+  ctx.fill();
+  ctx.restore();
+}
+
+// Four mitred sides between the inner and outer rectangles, each shaded by its direction
+function drawMoulding(ctx, matrix, preset, inner, outer) {
+  for (const side of getRingSides(matrix, inner, outer)) {
+    ctx.save();
+    ctx.fillStyle = shadeColor(preset.color, SIDE_SHADES[side.name]);
+    tracePolygon(ctx, side.points);
+    ctx.fill();
+
+    if (preset.grain) {
+      // Grain runs along the length of each side
+      ctx.clip();
+      ctx.strokeStyle = shadeColor(preset.grain, SIDE_SHADES[side.name]);
+      ctx.lineWidth = 1;
+      for (const t of [0.2, 0.45, 0.7, 0.85]) {
+        const [a, b] = side.grainLine(t);
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+        ctx.stroke();
+      }
+    }
+    ctx.restore();
+  }
+}
+
+// A canvas stands off the wall: the sides facing the camera show past the art's edges
+function drawCanvasEdges(ctx, matrix, preset, depth) {
+  const inverse = invertHomography(matrix);
+  if (!inverse) return;
+
+  // The back of the canvas sits further away, so it appears shifted towards the view centre
+  const centre = applyHomography(inverse, ctx.canvas.width / 2, ctx.canvas.height / 2);
+  const sx = depth.x * Math.max(-1, Math.min(1, centre.x - 0.5));
+  const sy = depth.y * Math.max(-1, Math.min(1, centre.y - 0.5));
+  const map = (u, v) => applyHomography(matrix, u, v);
+
+  if (Math.abs(sx) > 1e-4) {
+    const u = sx > 0 ? 1 : 0;
+    ctx.fillStyle = shadeColor(preset.color, sx > 0 ? SIDE_SHADES.right : SIDE_SHADES.left);
+    tracePolygon(ctx, [map(u, 0), map(u + sx, sy), map(u + sx, 1 + sy), map(u, 1)]);
+    ctx.fill();
+  }
+  if (Math.abs(sy) > 1e-4) {
+    const v = sy > 0 ? 1 : 0;
+    ctx.fillStyle = shadeColor(preset.color, sy > 0 ? SIDE_SHADES.bottom : SIDE_SHADES.top);
+    tracePolygon(ctx, [map(0, v), map(sx, v + sy), map(1 + sx, v + sy), map(1, v)]);
+    ctx.fill();
+  }
+}
+
+// Fill the area between two rectangles around the unit square
+function fillRing(ctx, matrix, inner, outer) {
+  for (const side of getRingSides(matrix, inner, outer)) {
+    tracePolygon(ctx, side.points);
+    ctx.fill();
+  }
+}
+
+// The top, right, bottom and left trapezoids of a ring, mapped to pixels
+function getRingSides(matrix, inner, outer) {
+  const map = (u, v) => applyHomography(matrix, u, v);
+  const i0 = { x: -inner.x, y: -inner.y };
+  const i1 = { x: 1 + inner.x, y: 1 + inner.y };
+  const o0 = { x: -outer.x, y: -outer.y };
+  const o1 = { x: 1 + outer.x, y: 1 + outer.y };
+  const across = (from, to, t) => from + (to - from) * t;
+
+  return [
+    {
+      name: 'top',
+      points: [map(o0.x, o0.y), map(o1.x, o0.y), map(i1.x, i0.y), map(i0.x, i0.y)],
+      grainLine: t => [map(o0.x, across(o0.y, i0.y, t)), map(o1.x, across(o0.y, i0.y, t))]
+    },
+    {
+      name: 'right',
+      points: [map(o1.x, o0.y), map(o1.x, o1.y), map(i1.x, i1.y), map(i1.x, i0.y)],
+      grainLine: t => [map(across(o1.x, i1.x, t), o0.y), map(across(o1.x, i1.x, t), o1.y)]
+    },
+    {
+      name: 'bottom',
+      points: [map(o1.x, o1.y), map(o0.x, o1.y), map(i0.x, i1.y), map(i1.x, i1.y)],
+      grainLine: t => [map(o0.x, across(o1.y, i1.y, t)), map(o1.x, across(o1.y, i1.y, t))]
+    },
+    {
+      name: 'left',
+      points: [map(o0.x, o1.y), map(o0.x, o0.y), map(i0.x, i0.y), map(i0.x, i1.y)],
+      grainLine: t => [map(across(o0.x, i0.x, t), o0.y), map(across(o0.x, i0.x, t), o1.y)]
+    }
+  ];
+}
+
+// Average lengths of opposite edges, whichever pair is shorter
+function getShortSide(quad) {
+  const edge = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+  const width = (edge(quad.topLeft, quad.topRight) + edge(quad.bottomLeft, quad.bottomRight)) / 2;
+  const height = (edge(quad.topLeft, quad.bottomLeft) + edge(quad.topRight, quad.bottomRight)) / 2;
+  return Math.min(width, height);
+}
+
+// Export for use in inject.js (non-module context)
+if (typeof window !== 'undefined') {
+  window.ArtFrame = {
+    FRAME_STYLES,
+    DEFAULT_SHADOW,
+    hasArtDecor,
+    getFrameExtent
+  };
+}
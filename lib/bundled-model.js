@@ -0,0 +1,110 @@
+/**
+ * Bundled Model Module
+ *
+ * Loads Transformers.js models from the files bundled with the extension, for
+ * click-to-segment (click-segmenter.js) and depth estimation (depth-estimator.js).
+ * Transformers.js, the models and the ONNX runtime all live under models/ (filled by
+ * the `npm run fetch:*-model` scripts), so nothing is fetched from a CDN.
+ */
+
+const MODEL_DIR = 'models/';
+const ONNX_RUNTIME_DIR = 'models/onnxruntime/';
+const TRANSFORMERS_PATH = 'models/transformers.js';
+
+/**
+ * Import the bundled Transformers.js and point it at the bundled models and runtime.
+ *
+ * @param {string} baseUrl - Extension base URL the bundled files are under
+ * @returns {Promise<typeof import('@huggingface/transformers')>}
+ */
+async function loadTransformers(baseUrl) {
+  // Page scripts and the popup can't resolve bare package names; load the bundled copy
+  const transformers = await import(`${baseUrl}${TRANSFORMERS_PATH}`);
+  const { env } = transformers;
+
+  // Bundled files only: never fall back to the Hugging Face hub or a CDN
+  env.allowRemoteModels = false;
+  env.allowLocalModels = true;
+  env.localModelPath = `${baseUrl}${MODEL_DIR}`;
+  env.backends.onnx.wasm.wasmPaths = `${baseUrl}${ONNX_RUNTIME_DIR}`;
+
+  return transformers;
+}
+
+/**
+ * BundledModel - lazily loaded Transformers.js model. Subclasses load their model
+ * in _loadModel().
+ */
+export class BundledModel {
+  /**
+   * @param {Object} options
+   * @param {string} [options.baseUrl=''] - Extension base URL the bundled models are under
+   * @param {string} name - Class name, for log messages
+   * @param {string} modelName - Model name, for log messages
+   */
+  constructor(options, name, modelName) {
+    this._baseUrl = options.baseUrl || '';
+    this._name = name;
+    this._modelName = modelName;
+
+    // Set once the model is loaded
+    this._transformers = null;
+    this._loading = null;
+    this._initError = null;
+  }
+
+  /**
+   * Check if the model is loaded.
+   */
+  get isReady() {
+    return this._transformers !== null;
+  }
+
+  /**
+   * Get the last initialization error, if any.
+   */
+  get initError() {
+    return this._initError;
+  }
+
+  /**
+   * Load the model. Safe to call repeatedly; concurrent calls share one load.
+   *
+   * @returns {Promise<boolean>} Whether the model is ready
+   */
+  initialize() {
+    if (this.isReady) return Promise.resolve(true);
+    if (!this._loading) {
+      this._loading = this._load();
+    }
+    return this._loading;
+  }
+
+  async _load() {
+    try {
+      console.log(`[${this._name}] Loading ${this._modelName}...`);
+
+      const transformers = await loadTransformers(this._baseUrl);
+      await this._loadModel(transformers);
+      this._transformers = transformers;
+
+      console.log(`[${this._name}] ${this._modelName} ready`);
+      return true;
+    } catch (error) {
+      this._initError = error;
+      this._loading = null;
+      console.error(`[${this._name}] Failed to load ${this._modelName}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Load the model itself.
+   *
+   * @param {typeof import('@huggingface/transformers')} _transformers - Configured Transformers.js
+   * @returns {Promise<void>}
+   */
+  async _loadModel(_transformers) {
+    throw new Error(`${this._name} does not load a model`);
+  }
+}
@@ -5,12 +5,41 @@
 
 import {
   fitImageInBox,
+  calculateCameraInset,
   sortOverlaysByLayer,
+  CAMERA_SHAPE_ROUNDED,
+  CAMERA_SHAPE_CIRCLE,
   TEXT_POSITION_LOWER_THIRD,
   TEXT_POSITION_TOP,
-  TEXT_POSITION_CENTER
+  TEXT_POSITION_CENTER,
+  TEXT_ANIMATION_NONE,
+  TEXT_ANIMATION_SLIDE_LEFT,
+  TEXT_ANIMATION_SLIDE_UP,
+  DEFAULT_SLIDESHOW_INTERVAL,
+  TIMER_ALERT_FLASH,
+  TIMER_ALERT_PULSE,
+  getTimerElapsed,
+  getActiveTimerAlert
 } from './overlay-utils.js';
 
+/**
+ * Length of a text banner enter or exit animation in ms
+ */
+export const TEXT_ANIMATION_DURATION_MS = 400;
+
+/**
+ * How far slide animations travel, as a fraction of the canvas size
+ */
+const SLIDE_DISTANCE = 0.15;
+
+/**
+ * Timer alert animation timing: flash toggles every half period, pulse grows
+ * and shrinks once per period
+ */
+const TIMER_FLASH_PERIOD_MS = 500;
+const TIMER_PULSE_PERIOD_MS = 1000;
+const TIMER_PULSE_SCALE = 0.1;
+
 /**
  * Draw an overlay image onto a canvas context with proper positioning,
  * mirroring, and opacity.
@@ -155,6 +184,106 @@ export function getPixelColor(ctx, x, y) {
   return { r, g, b, a };
 }
 
+/**
+ * Track when each text banner was last shown or hidden.
+ * Call once per frame per banner; works off the `active` flag so it picks up
+ * toggles from any source (toggle messages or full overlay updates).
+ *
+ * @param {Map<string, {active: boolean, shownAt: number, hiddenAt: number}>} clock - Per-banner state, owned by the caller
+ * @param {Object} banner - Text banner overlay
+ * @param {number} now - Current timestamp in ms
+ * @returns {{elapsed: number, hiddenFor: number|null}} Time since shown (while hidden: how long it
+ *   was shown, so the exit plays on the slide that was up), and time since hidden (null while active)
+ */
+export function trackTextBannerVisibility(clock, banner, now) {
+  let entry = clock.get(banner.id);
+  if (!entry) {
+    // Banners already hidden when first seen should not play an exit animation
+    entry = { active: !!banner.active, shownAt: banner.active ? now : -Infinity, hiddenAt: -Infinity };
+    clock.set(banner.id, entry);
+  } else if (entry.active !== !!banner.active) {
+    entry.active = !!banner.active;
+    if (entry.active) {
+      entry.shownAt = now;
+    } else {
+      entry.hiddenAt = now;
+    }
+  }
+
+  if (entry.active) {
+    return { elapsed: now - entry.shownAt, hiddenFor: null };
+  }
+  const shownFor = entry.hiddenAt - entry.shownAt;
+  return { elapsed: Number.isFinite(shownFor) ? shownFor : Infinity, hiddenFor: now - entry.hiddenAt };
+}
+
+/**
+ * Work out which text a banner shows and how far through its enter or exit
+ * animation it is.
+ *
+ * @param {Object} banner - Text banner overlay
+ * @param {number} elapsed - ms since the banner was shown (once hidden: how long it was shown)
+ * @param {number|null} [hiddenFor] - ms since the banner was hidden, null while shown
+ * @returns {{text: string, index: number, phase: 'enter'|'hold'|'exit', progress: number}|null}
+ *   progress runs 0 -> 1 while entering and 1 -> 0 while exiting; null when nothing should be drawn
+ */
+export function getTextBannerFrame(banner, elapsed, hiddenFor = null) {
+  const texts = (Array.isArray(banner.text) ? banner.text : [banner.text]).filter(Boolean);
+  if (texts.length === 0) return null;
+
+  const animated = banner.animation && banner.animation !== TEXT_ANIMATION_NONE;
+  const duration = TEXT_ANIMATION_DURATION_MS;
+
+  if (hiddenFor !== null && (!animated || hiddenFor >= duration)) {
+    return null;
+  }
+
+  let index = 0;
+  let slideElapsed = elapsed;
+  let slideRemaining = Infinity;
+
+  if (texts.length > 1 && banner.slideshow) {
+    // Leave room for a full enter and exit on every slide
+    const interval = Math.max((banner.slideshow.interval || DEFAULT_SLIDESHOW_INTERVAL) * 1000, duration * 2);
+    const cycle = Number.isFinite(elapsed) ? Math.floor(elapsed / interval) : 0;
+    const loop = banner.slideshow.loop !== false;
+
+    if (!loop && cycle >= texts.length - 1) {
+      // Stop on the last text
+      index = texts.length - 1;
+      slideElapsed = elapsed - index * interval;
+    } else {
+      index = cycle % texts.length;
+      slideElapsed = elapsed - cycle * interval;
+      slideRemaining = interval - slideElapsed;
+    }
+  }
+
+  if (!animated) {
+    return { text: texts[index], index, phase: 'hold', progress: 1 };
+  }
+
+  const enter = Math.min(1, slideElapsed / duration);
+  let exit = Math.min(1, slideRemaining / duration);
+  if (hiddenFor !== null) {
+    exit = Math.min(exit, 1 - hiddenFor / duration);
+  }
+
+  let phase = 'hold';
+  if (exit < 1 && exit <= enter) {
+    phase = 'exit';
+  } else if (enter < 1) {
+    phase = 'enter';
+  }
+
+  return {
+    text: texts[index],
+    index,
+    phase: /** @type {'enter'|'hold'|'exit'} */ (phase),
+    progress: Math.max(0, Math.min(enter, exit))
+  };
+}
+
 /**
  * Render a text banner overlay onto the canvas.
  *
@@ -164,12 +293,17 @@ export function getPixelColor(ctx, x, y) {
  * @param {number} canvasHeight - Canvas height in pixels
  * @param {Object} [options] - Optional settings
  * @param {boolean} [options.mirror] - Whether to mirror for Meet self-view (default: true)
+ * @param {number} [options.elapsed] - ms since the banner was shown (default: fully shown, first text)
+ * @param {number|null} [options.hiddenFor] - ms since the banner was hidden, to play its exit animation
  */
 export function renderTextBanner(ctx, banner, canvasWidth, canvasHeight, options = {}) {
-  const { mirror = true } = options;
+  const { mirror = true, elapsed = TEXT_ANIMATION_DURATION_MS, hiddenFor = null } = options;
 
   if (!banner || !banner.text) return;
 
+  const frame = getTextBannerFrame(banner, elapsed, hiddenFor);
+  if (!frame) return;
+
   const style = banner.style || {};
   const {
     fontFamily = 'Arial, sans-serif',
@@ -181,9 +315,7 @@ export function renderTextBanner(ctx, banner, canvasWidth, canvasHeight, options
     borderRadius = 8
   } = style;
 
-  // Get the text to display (handle array for slideshow)
-  const displayText = Array.isArray(banner.text) ? banner.text[0] : banner.text;
-  if (!displayText) return;
+  const displayText = frame.text;
 
   // Scale font size based on canvas size (design at 720p)
   const scaleFactor = canvasHeight / 720;
@@ -234,13 +366,22 @@ export function renderTextBanner(ctx, banner, canvasWidth, canvasHeight, options
     y = (banner.y / 100) * canvasHeight - boxHeight / 2;
   }
 
+  // Animations fade while moving; slides come in from the right/below and leave left/up
+  const eased = 1 - Math.pow(1 - frame.progress, 3);
+  const travel = (1 - eased) * (frame.phase === 'exit' ? -1 : 1);
+  if (banner.animation === TEXT_ANIMATION_SLIDE_LEFT) {
+    x += travel * SLIDE_DISTANCE * canvasWidth;
+  } else if (banner.animation === TEXT_ANIMATION_SLIDE_UP) {
+    y += travel * SLIDE_DISTANCE * canvasHeight;
+  }
+
   // Mirror x position if needed (for Meet self-view)
   if (mirror) {
     x = canvasWidth - x - boxWidth;
   }
 
   // Apply overlay opacity
-  const opacity = banner.opacity !== undefined ? banner.opacity : 1;
+  const opacity = (banner.opacity !== undefined ? banner.opacity : 1) * eased;
   ctx.globalAlpha = opacity;
 
   // Draw background with rounded corners
@@ -271,12 +412,13 @@ export function renderTextBanner(ctx, banner, canvasWidth, canvasHeight, options
  * @param {Object} timer - Timer overlay configuration
  * @param {number} canvasWidth - Canvas width in pixels
  * @param {number} canvasHeight - Canvas height in pixels
- * @param {number} timestamp - Current timestamp in ms for animation
+ * @param {number} timestamp - Current timestamp in ms for alert animations
  * @param {Object} [options] - Optional settings
  * @param {boolean} [options.mirror] - Whether to mirror for Meet self-view (default: true)
+ * @param {number} [options.now] - Wall-clock time in ms used for the timer's elapsed time (default: Date.now())
  */
 export function renderTimer(ctx, timer, canvasWidth, canvasHeight, timestamp, options = {}) {
-  const { mirror = true } = options;
+  const { mirror = true, now = Date.now() } = options;
 
   if (!timer) return;
 
@@ -288,7 +430,7 @@ export function renderTimer(ctx, timer, canvasWidth, canvasHeight, timestamp, op
     backgroundOpacity = 0.7
   } = style;
 
-  const timerState = timer.timerState || { running: false, elapsed: 0 };
+  const elapsed = getTimerElapsed(timer.timerState, now);
   const mode = timer.timerMode || 'countdown';
   const duration = timer.duration || 300;
   const format = timer.format || 'mm:ss';
@@ -301,10 +443,10 @@ export function renderTimer(ctx, timer, canvasWidth, canvasHeight, timestamp, op
     displaySeconds = now.getHours() * 3600 + now.getMinutes() * 60 + now.getSeconds();
   } else if (mode === 'countup') {
     // Count up from 0
-    displaySeconds = timerState.elapsed;
+    displaySeconds = elapsed;
   } else {
     // Countdown from duration
-    displaySeconds = Math.max(0, duration - timerState.elapsed);
+    displaySeconds = Math.max(0, duration - elapsed);
   }
 
   // Format time string
@@ -346,11 +488,25 @@ export function renderTimer(ctx, timer, canvasWidth, canvasHeight, timestamp, op
   const opacity = timer.opacity !== undefined ? timer.opacity : 1;
   ctx.globalAlpha = opacity;
 
-  // Check if timer is in alert state (e.g., last 10 seconds of countdown)
-  const isAlert = mode === 'countdown' && displaySeconds <= 10 && displaySeconds > 0;
+  // Alerts recolor the background; flash blinks it, pulse also grows the box
+  const alert = getActiveTimerAlert(timer, elapsed);
+  let fillColor = backgroundColor;
+  if (alert) {
+    const flashOff = alert.effect === TIMER_ALERT_FLASH &&
+      Math.floor(timestamp / (TIMER_FLASH_PERIOD_MS / 2)) % 2 === 1;
+    if (!flashOff) {
+      fillColor = alert.color;
+    }
+    if (alert.effect === TIMER_ALERT_PULSE) {
+      const scale = 1 + TIMER_PULSE_SCALE * Math.abs(Math.sin(Math.PI * timestamp / TIMER_PULSE_PERIOD_MS));
+      ctx.translate(x + boxWidth / 2, y + boxHeight / 2);
+      ctx.scale(scale, scale);
+      ctx.translate(-(x + boxWidth / 2), -(y + boxHeight / 2));
+    }
+  }
 
   // Draw background with rounded corners
-  ctx.fillStyle = isAlert ? '#cc0000' : backgroundColor;
+  ctx.fillStyle = fillColor;
   ctx.globalAlpha = opacity * backgroundOpacity;
   drawRoundedRect(ctx, x, y, boxWidth, boxHeight, scaledBorderRadius);
   ctx.fill();
@@ -392,6 +548,106 @@ export function formatTime(totalSeconds, format = 'mm:ss') {
   }
 }
 
+/**
+ * Render a picture-in-picture camera overlay.
+ * The camera frame is cropped to fill the inset, clipped to the overlay's shape
+ * (rectangle, rounded or circle), and optionally outlined with a border.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas 2D context
+ * @param {Object} camera - Camera overlay configuration
+ * @param {HTMLVideoElement|ImageBitmap|HTMLCanvasElement} source - Current camera frame
+ * @param {number} canvasWidth - Canvas width in pixels
+ * @param {number} canvasHeight - Canvas height in pixels
+ * @param {Object} [options] - Optional settings
+ * @param {boolean} [options.mirror] - Whether to mirror for Meet self-view (default: true)
+ */
+export function renderCameraOverlay(ctx, camera, source, canvasWidth, canvasHeight, options = {}) {
+  const { mirror = true } = options;
+
+  if (!camera || !source) return;
+
+  const sourceWidth = /** @type {*} */ (source).videoWidth || source.width;
+  const sourceHeight = /** @type {*} */ (source).videoHeight || source.height;
+  if (!sourceWidth || !sourceHeight) return;
+
+  const { dest, source: crop } = calculateCameraInset(
+    camera, canvasWidth, canvasHeight, sourceWidth, sourceHeight, mirror
+  );
+
+  const style = camera.style || {};
+  const {
+    cornerRadius = 16,
+    borderWidth = 3,
+    borderColor = '#ffffff'
+  } = style;
+
+  const scaleFactor = canvasHeight / 720;
+  const scaledRadius = Math.min(Math.round(cornerRadius * scaleFactor), dest.width / 2, dest.height / 2);
+  const scaledBorder = Math.round(borderWidth * scaleFactor);
+
+  const traceShape = () => {
+    if (camera.shape === CAMERA_SHAPE_CIRCLE) {
+      ctx.beginPath();
+      ctx.arc(dest.x + dest.width / 2, dest.y + dest.height / 2, dest.width / 2, 0, Math.PI * 2);
+      ctx.closePath();
+    } else if (camera.shape === CAMERA_SHAPE_ROUNDED) {
+      drawRoundedRect(ctx, dest.x, dest.y, dest.width, dest.height, scaledRadius);
+    } else {
+      ctx.beginPath();
+      ctx.rect(dest.x, dest.y, dest.width, dest.height);
+    }
+  };
+
+  ctx.save();
+  ctx.globalAlpha = camera.opacity !== undefined ? camera.opacity : 1;
+
+  ctx.save();
+  traceShape();
+  ctx.clip();
+  if (mirror) {
+    // Flip the frame so it appears correct after Meet's mirror
+    ctx.translate(dest.x + dest.width / 2, 0);
+    ctx.scale(-1, 1);
+    ctx.drawImage(source, crop.x, crop.y, crop.width, crop.height,
+      -dest.width / 2, dest.y, dest.width, dest.height);
+  } else {
+    ctx.drawImage(source, crop.x, crop.y, crop.width, crop.height,
+      dest.x, dest.y, dest.width, dest.height);
+  }
+  ctx.restore();
+
+  if (scaledBorder > 0) {
+    traceShape();
+    ctx.lineWidth = scaledBorder;
+    ctx.strokeStyle = borderColor;
+    ctx.stroke();
+  }
+
+  ctx.restore();
+}
+
+/**
+ * Fade out a snapshot of the previous scene over the freshly composited frame.
+ * The snapshot starts fully opaque and fades linearly, so the new scene
+ * appears to dissolve in.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas 2D context
+ * @param {CanvasImageSource} snapshot - Composited frame from before the switch
+ * @param {number} elapsed - Milliseconds since the switch
+ * @param {number} duration - Crossfade length in milliseconds
+ * @returns {boolean} True while the crossfade is still running
+ */
+export function renderCrossfade(ctx, snapshot, elapsed, duration) {
+  if (!snapshot || !(duration > 0) || elapsed >= duration) return false;
+
+  const alpha = 1 - Math.max(0, elapsed) / duration;
+  ctx.save();
+  ctx.globalAlpha = alpha;
+  ctx.drawImage(snapshot, 0, 0, ctx.canvas.width, ctx.canvas.height);
+  ctx.restore();
+  return true;
+}
+
 /**
  * Draw a rounded rectangle path.
  *
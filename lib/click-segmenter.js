@@ -0,0 +1,161 @@
+/**
+ * Click-to-Segment Module
+ *
+ * Segments the surface under a click with SlimSAM (Segment Anything), the model
+ * demo/sam-playground.html runs, so a wall can be picked instead of outlined.
+ *
+ * Features:
+ * - Lazy initialization (model loaded on first click)
+ * - Runs offline: Transformers.js, the model and the ONNX runtime come from files
+ *   bundled with the extension (models/, filled by `npm run fetch:sam-model`),
+ *   never from a CDN
+ * - The image encoder runs once per frame; every further click on the same frame
+ *   only runs the small prompt decoder
+ * - Include and exclude points to refine a selection
+ *
+ * mask-fitting.js turns the resulting mask into a wall region.
+ */
+
+import { BundledModel } from './bundled-model.js';
+
+// Model folder under models/ (Xenova/slimsam-77-uniform)
+export const SAM_MODEL_ID = 'slimsam-77-uniform';
+
+/**
+ * @typedef {Object} SegmentPoint
+ * @property {number} x - X coordinate (percentage 0-100)
+ * @property {number} y - Y coordinate (percentage 0-100)
+ * @property {boolean} [exclude=false] - Mark the point as outside the surface
+ */
+
+/**
+ * @typedef {Object} SegmentMask
+ * @property {Uint8Array} data - One value per pixel, 1 inside the surface
+ * @property {number} width - Mask width (the frame width)
+ * @property {number} height - Mask height (the frame height)
+ * @property {number} score - Predicted IoU of the mask (0-1)
+ */
+
+/**
+ * ClickSegmenter - SlimSAM click-to-segment for picking wall regions
+ */
+export class ClickSegmenter extends BundledModel {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl=''] - Extension base URL the bundled models are under
+   */
+  constructor(options = {}) {
+    super(options, 'ClickSegmenter', 'SlimSAM');
+    this._model = null;
+    this._processor = null;
+
+    // Encoded frame: processor inputs and image embeddings
+    this._frame = null;
+  }
+
+  /**
+   * Check if a frame has been encoded.
+   */
+  get hasFrame() {
+    return this._frame !== null;
+  }
+
+  async _loadModel(transformers) {
+    const { SamModel, AutoProcessor } = transformers;
+    this._model = /** @type {import('@huggingface/transformers').SamModel} */ (
+      await SamModel.from_pretrained(SAM_MODEL_ID, { dtype: 'fp16' })
+    );
+    this._processor = /** @type {import('@huggingface/transformers').SamProcessor} */ (
+      await AutoProcessor.from_pretrained(SAM_MODEL_ID)
+    );
+  }
+
+  /**
+   * Encode a frame. Later calls to segment() select surfaces in this frame.
+   *
+   * @param {ImageData} imageData - Frame pixels
+   * @returns {Promise<void>}
+   */
+  async setFrame(imageData) {
+    if (!this.isReady) {
+      throw new Error('SlimSAM is not loaded');
+    }
+
+    const { RawImage } = this._transformers;
+    const image = new RawImage(new Uint8ClampedArray(imageData.data), imageData.width, imageData.height, 4).rgb();
+
+    const startTime = performance.now();
+    const inputs = await this._processor(image);
+    const embeddings = await this._model.get_image_embeddings(inputs);
+
+    this._frame = { inputs, embeddings, width: imageData.width, height: imageData.height };
+    console.log(`[ClickSegmenter] Frame encoded in ${(performance.now() - startTime).toFixed(0)}ms`);
+  }
+
+  /**
+   * Forget the encoded frame.
+   */
+  clearFrame() {
+    this._frame = null;
+  }
+
+  /**
+   * Segment the surface under the given points in the encoded frame.
+   *
+   * @param {SegmentPoint[]} points - Clicked points (at least one)
+   * @returns {Promise<SegmentMask>}
+   */
+  async segment(points) {
+    if (!this._frame) {
+      throw new Error('No frame encoded');
+    }
+
+    const { Tensor } = this._transformers;
+    const { inputs, embeddings, width, height } = this._frame;
+
+    // Points are given in the resized image the encoder saw
+    const [resizedHeight, resizedWidth] = toList(inputs.reshaped_input_sizes[0]);
+    const coords = points.flatMap(p => [(p.x / 100) * resizedWidth, (p.y / 100) * resizedHeight]);
+    const labels = points.map(p => BigInt(p.exclude ? 0 : 1));
+
+    const outputs = await this._model({
+      ...inputs,
+      ...embeddings,
+      input_points: new Tensor('float32', coords, [1, 1, points.length, 2]),
+      input_labels: new Tensor('int64', labels, [1, 1, points.length])
+    });
+
+    // SAM proposes three masks (part, object, whole); keep the one it trusts most
+    const [masks] = await this._processor.post_process_masks(
+      outputs.pred_masks,
+      inputs.original_sizes,
+      inputs.reshaped_input_sizes
+    );
+    const scores = outputs.iou_scores.data;
+    let best = 0;
+    for (let i = 1; i < scores.length; i++) {
+      if (scores[i] > scores[best]) best = i;
+    }
+
+    const size = width * height;
+    return {
+      data: Uint8Array.from(masks.data.subarray(best * size, (best + 1) * size)),
+      width,
+      height,
+      score: scores[best]
+    };
+  }
+}
+
+// Processor sizes are tensors or plain arrays depending on the transformers version
+function toList(value) {
+  return typeof value.tolist === 'function' ? value.tolist() : Array.from(value);
+}
+
+// Export for use in the page and popup (non-module context)
+if (typeof window !== 'undefined') {
+  window.ClickSegmenter = {
+    SAM_MODEL_ID,
+    ClickSegmenter
+  };
+}
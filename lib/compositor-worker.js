@@ -0,0 +1,515 @@
+/**
+ * Compositor Worker
+ *
+ * Runs the whole video compositing pipeline off Meet's main thread.
+ * The worker owns an OffscreenCanvas, reads camera frames from a transferred
+ * MediaStreamTrackProcessor readable and writes composited VideoFrames to a
+ * transferred MediaStreamTrackGenerator writable. Segmentation, jiggle
+ * compensation, lighting detection, wall paint/art and overlay drawing all
+ * happen here; the page only sends state updates.
+ *
+ * Messages from the page:
+ * - start: { readable, writable, width, height, timeOrigin }
+ * - state: { overlays?, wallArtOverlays?, wallArtSettings?, hidden?, crossfadeMs? }
+ *   (hidden passes the camera through untouched)
+ *   (crossfadeMs fades the last composited frame out over the new state on a scene switch)
+ * - overlayImage / wallArtImage: { id, image } (see WorkerImage, null removes)
+ * - wallArtFrame: { id, bitmap } latest frame of a video art source
+ * - cameraFrame: { id, bitmap } latest frame of a camera overlay (null removes)
+ * - paintShadingFrame: { frame } setup reference frame ImageData for recolor paint (null clears)
+ * - referenceDepth: { depth } depth map of the reference frame for depth occlusion (null clears)
+ * - captureFrame: { requestId }
+ * - stop
+ *
+ * Messages to the page:
+ * - ready, stats: { renderTime, segmentTime }, frameCaptured: { requestId, bitmap },
+ *   error: { message }
+ */
+
+import './jiggle-compensator.js';
+import './lighting-detector.js';
+import { sortOverlaysByLayer, shouldRender, TYPE_TEXT_BANNER, TYPE_TIMER, TYPE_CAMERA } from './overlay-utils.js';
+import {
+  drawOverlay,
+  renderTextBanner,
+  renderTimer,
+  renderCameraOverlay,
+  renderCrossfade,
+  trackTextBannerVisibility
+} from './canvas-renderer.js';
+import { createWebGLArtRenderer } from './wall-art-renderer.js';
+import { compositeWallArt } from './wall-art-compositor.js';
+import { WallArtSegmenter } from './wall-segmentation.js';
+import { OccluderTracker } from './occluder-mask.js';
+import { DepthOcclusion } from './depth-estimator.js';
+import { getSourceOwnerId } from './wall-art-playlist.js';
+
+/**
+ * @typedef {ImageBitmap|{width: number, height: number, frames: Array<{bitmap: ImageBitmap, delay: number}>}} WorkerImage
+ */
+
+/**
+ * Animated image rebuilt from pre-rendered GIF frames sent by the page.
+ * Mirrors the AnimatedImage interface (update/currentFrame/reset) used by the renderers.
+ */
+class WorkerAnimatedImage {
+  /**
+   * @param {{width: number, height: number, frames: Array<{bitmap: ImageBitmap, delay: number}>}} data
+   */
+  constructor(data) {
+    this.width = data.width;
+    this.height = data.height;
+    this.frames = data.frames;
+    this.frameIndex = 0;
+    this.lastFrameTime = 0;
+  }
+
+  get currentFrame() {
+    return this.frames[this.frameIndex]?.bitmap;
+  }
+
+  update(timestamp) {
+    if (this.frames.length <= 1) return;
+
+    if (!this.lastFrameTime) {
+      this.lastFrameTime = timestamp;
+    }
+
+    if (timestamp - this.lastFrameTime >= this.frames[this.frameIndex].delay) {
+      this.frameIndex = (this.frameIndex + 1) % this.frames.length;
+      this.lastFrameTime = timestamp;
+    }
+  }
+
+  reset() {
+    this.frameIndex = 0;
+    this.lastFrameTime = 0;
+  }
+
+  close() {
+    this.frames.forEach(frame => frame.bitmap.close());
+  }
+}
+
+// Compositor state (mirrors inject.js)
+let overlays = [];
+let wallArtOverlays = [];
+const wallArtSettings = {
+  segmentationEnabled: false,
+  segmentationPreset: 'balanced',
+  featherRadius: 2,
+  jiggleCompensationEnabled: false,
+  lightingCompensationEnabled: false,
+  depthEnabled: false
+};
+const overlayImages = new Map(); // id -> ImageBitmap or WorkerAnimatedImage
+const wallArtImages = new Map(); // id -> ImageBitmap or WorkerAnimatedImage
+const cameraFrames = new Map(); // camera overlay id -> latest ImageBitmap
+const textBannerClock = new Map(); // text banner id -> { active, changedAt } for enter/exit animations
+let allHidden = false; // panic switch: camera only, no wall art or overlays
+let wallArtReference = null; // setup wizard descriptors for relocalization
+let paintShadingFrame = null; // setup wizard reference frame (ImageData) for recolor paint
+let referenceDepth = null; // depth map of the reference frame (estimated by the page)
+
+// Canvases
+let canvas = null;
+let ctx = null;
+let frameCanvas = null;
+let frameCtx = null;
+
+// Last frame of the previous scene while a scene switch crossfades
+let crossfade = null; // { snapshot: OffscreenCanvas, start, duration }
+
+// Pipeline
+let running = false;
+let pipelineAbort = null;
+
+// Offset to convert worker performance.now() into the page's clock,
+// since timer state is recorded with the page's performance.now()
+let clockOffset = 0;
+
+// Lazily created processors
+let segmenter = null;
+let jiggleCompensator = null;
+let lightingDetector = null;
+/** @type {OccluderTracker|null} */
+let occluderTracker = null;
+/** @type {DepthOcclusion|null} */
+let depthOcclusion = null;
+let webglArtRenderer; // null when WebGL is unavailable -> Canvas2D fallback
+
+function pageNow() {
+  return performance.now() + clockOffset;
+}
+
+function getSegmenter() {
+  if (!segmenter) {
+    segmenter = new WallArtSegmenter({
+      preset: wallArtSettings.segmentationPreset,
+      onError: (error) => {
+        console.error('[CompositorWorker] Segmenter error:', error);
+      }
+    });
+  }
+  return segmenter;
+}
+
+function getWebGLArtRenderer() {
+  if (webglArtRenderer === undefined) {
+    webglArtRenderer = createWebGLArtRenderer();
+  }
+  return webglArtRenderer;
+}
+
+function getJiggleCompensator() {
+  const JiggleCompensator = /** @type {*} */ (self.JiggleCompensator);
+  if (!jiggleCompensator && JiggleCompensator) {
+    jiggleCompensator = new JiggleCompensator();
+    // inject.js re-projects and stores the regions, then sends them back with the new pose
+    jiggleCompensator.onRelocalize = (result) => self.postMessage({ type: 'relocalized', ...result });
+    jiggleCompensator.onRelocalizeFailed = (result) => self.postMessage({ type: 'relocalizeFailed', ...result });
+    jiggleCompensator.setReference(wallArtReference);
+  }
+  return jiggleCompensator;
+}
+
+function getOccluderTracker() {
+  if (!occluderTracker) {
+    occluderTracker = new OccluderTracker();
+  }
+  return occluderTracker;
+}
+
+function getDepthOcclusion() {
+  if (!depthOcclusion) {
+    depthOcclusion = new DepthOcclusion();
+  }
+  return depthOcclusion;
+}
+
+function getLightingDetector() {
+  const LightingDetector = /** @type {*} */ (self.LightingDetector);
+  if (!lightingDetector && LightingDetector) {
+    lightingDetector = new LightingDetector();
+  }
+  return lightingDetector;
+}
+
+/**
+ * Convert an image message payload into something the renderers can draw.
+ * @param {WorkerImage} image
+ * @returns {ImageBitmap|WorkerAnimatedImage}
+ */
+function toDrawable(image) {
+  if ('frames' in image) {
+    return new WorkerAnimatedImage(image);
+  }
+  return image;
+}
+
+/**
+ * Replace (or remove) an entry in an image map, closing the old bitmaps.
+ * @param {Map} map
+ * @param {string} id
+ * @param {WorkerImage|null} image
+ */
+function setImage(map, id, image) {
+  const previous = map.get(id);
+  if (previous) {
+    previous.close();
+  }
+
+  if (image) {
+    map.set(id, toDrawable(image));
+  } else {
+    map.delete(id);
+  }
+}
+
+/**
+ * Reset animations for items that just became active.
+ * @param {Array} previousItems
+ * @param {Array} nextItems
+ * @param {Map} images
+ */
+function resetActivatedAnimations(previousItems, nextItems, images) {
+  nextItems.forEach(item => {
+    const previous = previousItems.find(p => p.id === item.id);
+    if (item.active && previous && !previous.active) {
+      // Playlist items are stored under their own keys
+      images.forEach((img, key) => {
+        if (getSourceOwnerId(key) === item.id && img instanceof WorkerAnimatedImage) {
+          img.reset();
+        }
+      });
+    }
+  });
+}
+
+/**
+ * Apply a settings update, resetting processors the same way inject.js does.
+ * @param {Object} settings
+ */
+function applySettings(settings) {
+  const changed = (key) => settings[key] !== undefined && settings[key] !== wallArtSettings[key];
+
+  if (changed('segmentationPreset') && segmenter) {
+    segmenter.setPreset(settings.segmentationPreset);
+  }
+  if (changed('jiggleCompensationEnabled') && jiggleCompensator) {
+    jiggleCompensator.setEnabled(settings.jiggleCompensationEnabled);
+    if (!settings.jiggleCompensationEnabled) {
+      jiggleCompensator.reset();
+    }
+  }
+  if (changed('lightingCompensationEnabled') && lightingDetector) {
+    lightingDetector.setEnabled(settings.lightingCompensationEnabled);
+    if (!settings.lightingCompensationEnabled) {
+      lightingDetector.reset();
+    }
+  }
+  Object.assign(wallArtSettings, settings);
+}
+
+/**
+ * Render wall paint and art behind the overlays.
+ * @param {number} timestamp - Page clock timestamp
+ * @returns {Promise<number>} Segmentation time in ms (0 if not run)
+ */
+function renderWallArt(timestamp) {
+  const pose = wallArtReference ? wallArtReference.pose : null;
+  return compositeWallArt(/** @type {CanvasRenderingContext2D} */ (/** @type {unknown} */ (ctx)), {
+    source: frameCanvas,
+    timestamp,
+    wallArtOverlays,
+    images: wallArtImages,
+    settings: wallArtSettings,
+    shadingReference: paintShadingFrame ? { frame: paintShadingFrame, pose } : null,
+    referenceDepth,
+    pose
+  }, {
+    getSegmenter,
+    getJiggleCompensator,
+    getOccluderTracker,
+    getDepthOcclusion,
+    getLightingDetector,
+    getWebGLArtRenderer
+  });
+}
+
+/**
+ * Draw overlays, text banners and timers on top of the frame.
+ * @param {number} timestamp - Page clock timestamp
+ */
+function renderOverlays(timestamp) {
+  const target = /** @type {CanvasRenderingContext2D} */ (/** @type {unknown} */ (ctx));
+
+  sortOverlaysByLayer(overlays).forEach(overlay => {
+    // Text banners keep drawing briefly after being hidden to play their exit animation
+    if (overlay.type === TYPE_TEXT_BANNER) {
+      const { elapsed, hiddenFor } = trackTextBannerVisibility(textBannerClock, overlay, timestamp);
+      renderTextBanner(target, overlay, canvas.width, canvas.height, { elapsed, hiddenFor });
+      return;
+    }
+
+    if (!shouldRender(overlay)) return;
+
+    if (overlay.type === TYPE_TIMER) {
+      // Timer state uses wall-clock time, so Date.now() works here as on the page
+      renderTimer(target, overlay, canvas.width, canvas.height, timestamp);
+      return;
+    }
+
+    if (overlay.type === TYPE_CAMERA) {
+      renderCameraOverlay(target, overlay, cameraFrames.get(overlay.id), canvas.width, canvas.height);
+      return;
+    }
+
+    const img = overlayImages.get(overlay.id);
+    if (!img) return;
+
+    let drawable = img;
+    if (img instanceof WorkerAnimatedImage) {
+      img.update(timestamp);
+      drawable = img.currentFrame;
+    }
+    drawOverlay(target, overlay, drawable, canvas.width, canvas.height);
+  });
+}
+
+/**
+ * TransformStream step: composite one camera frame.
+ * @param {VideoFrame} frame
+ * @param {TransformStreamDefaultController} controller
+ */
+async function transformFrame(frame, controller) {
+  if (!running) {
+    frame.close();
+    return;
+  }
+
+  // Follow camera resolution changes
+  if (frame.displayWidth && frame.displayHeight &&
+      (canvas.width !== frame.displayWidth || canvas.height !== frame.displayHeight)) {
+    canvas.width = frameCanvas.width = frame.displayWidth;
+    canvas.height = frameCanvas.height = frame.displayHeight;
+  }
+
+  const frameTimestamp = frame.timestamp;
+  frameCtx.drawImage(frame, 0, 0, frameCanvas.width, frameCanvas.height);
+  frame.close();
+
+  const renderStart = performance.now();
+  const timestamp = pageNow();
+  let segmentTime = 0;
+
+  try {
+    ctx.drawImage(frameCanvas, 0, 0);
+    if (allHidden) {
+      crossfade = null;
+    } else {
+      segmentTime = await renderWallArt(timestamp);
+      renderOverlays(timestamp);
+    }
+    if (crossfade && !renderCrossfade(
+      /** @type {CanvasRenderingContext2D} */ (/** @type {unknown} */ (ctx)),
+      crossfade.snapshot, performance.now() - crossfade.start, crossfade.duration
+    )) {
+      crossfade = null;
+    }
+  } catch (e) {
+    console.warn('[CompositorWorker] Frame compositing failed:', e);
+  }
+
+  if (!running) return;
+  controller.enqueue(new VideoFrame(canvas, { timestamp: frameTimestamp }));
+
+  self.postMessage({
+    type: 'stats',
+    renderTime: performance.now() - renderStart,
+    segmentTime
+  });
+}
+
+/**
+ * Start compositing frames from the transferred streams.
+ * @param {Object} data - start message
+ */
+function start(data) {
+  const { readable, writable, width, height, timeOrigin } = data;
+
+  clockOffset = performance.timeOrigin - timeOrigin;
+
+  canvas = new OffscreenCanvas(width, height);
+  ctx = canvas.getContext('2d');
+  frameCanvas = new OffscreenCanvas(width, height);
+  frameCtx = frameCanvas.getContext('2d', { willReadFrequently: true });
+
+  running = true;
+  pipelineAbort = new AbortController();
+
+  readable
+    .pipeThrough(new TransformStream({ transform: transformFrame }), { signal: pipelineAbort.signal })
+    .pipeTo(writable)
+    .catch((e) => {
+      if (running) {
+        self.postMessage({ type: 'error', message: e.message });
+      }
+    });
+}
+
+function stop() {
+  running = false;
+  crossfade = null;
+  if (pipelineAbort) {
+    pipelineAbort.abort();
+    pipelineAbort = null;
+  }
+  if (segmenter) {
+    segmenter.dispose();
+    segmenter = null;
+  }
+}
+
+self.addEventListener('message', async (event) => {
+  const data = event.data;
+
+  switch (data.type) {
+    case 'start':
+      start(data);
+      break;
+
+    case 'state':
+      if (data.crossfadeMs > 0 && canvas) {
+        const snapshot = new OffscreenCanvas(canvas.width, canvas.height);
+        snapshot.getContext('2d').drawImage(canvas, 0, 0);
+        crossfade = { snapshot, start: performance.now(), duration: data.crossfadeMs };
+      }
+      if (data.overlays) {
+        resetActivatedAnimations(overlays, data.overlays, overlayImages);
+        overlays = data.overlays;
+        for (const id of textBannerClock.keys()) {
+          if (!overlays.some(o => o.id === id)) textBannerClock.delete(id);
+        }
+      }
+      if (data.wallArtOverlays) {
+        resetActivatedAnimations(wallArtOverlays, data.wallArtOverlays, wallArtImages);
+        wallArtOverlays = data.wallArtOverlays;
+      }
+      if (data.wallArtSettings) {
+        applySettings(data.wallArtSettings);
+      }
+      if (typeof data.hidden === 'boolean') {
+        allHidden = data.hidden;
+      }
+      if ('wallArtReference' in data) {
+        wallArtReference = data.wallArtReference;
+        if (jiggleCompensator) {
+          jiggleCompensator.setReference(wallArtReference);
+        }
+      }
+      break;
+
+    case 'paintShadingFrame':
+      paintShadingFrame = data.frame;
+      break;
+
+    case 'referenceDepth':
+      referenceDepth = data.depth;
+      if (!referenceDepth && depthOcclusion) {
+        depthOcclusion.reset();
+      }
+      break;
+
+    case 'overlayImage':
+      setImage(overlayImages, data.id, data.image);
+      break;
+
+    case 'wallArtImage':
+      setImage(wallArtImages, data.id, data.image);
+      if (!data.image && webglArtRenderer) {
+        webglArtRenderer.deleteTexture(getSourceOwnerId(data.id));
+      }
+      break;
+
+    case 'wallArtFrame':
+      setImage(wallArtImages, data.id, data.bitmap);
+      break;
+
+    case 'cameraFrame':
+      setImage(cameraFrames, data.id, data.bitmap);
+      break;
+
+    case 'captureFrame': {
+      const bitmap = frameCanvas ? await createImageBitmap(frameCanvas) : null;
+      self.postMessage({ type: 'frameCaptured', requestId: data.requestId, bitmap }, { transfer: bitmap ? [bitmap] : [] });
+      break;
+    }
+
+    case 'stop':
+      stop();
+      break;
+  }
+});
+
+self.postMessage({ type: 'ready' });
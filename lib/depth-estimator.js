@@ -0,0 +1,415 @@
+/**
+ * Depth Estimator Module
+ *
+ * Optional monocular depth pass over the setup wizard reference frame, with Depth
+ * Anything (small), a MiDaS-style relative depth model:
+ * - Wall suggestions: detected regions that are flat and far back rank higher
+ * - Depth occlusion: anything nearer than a region's wall (a lamp, a chair back,
+ *   a shelf) hides the region's paint and art, like the person mask does
+ *
+ * The model gives relative inverse depth, so depth maps hold "nearness" from 0
+ * (farthest in the frame) to 1 (nearest). Inverse depth across a flat surface is
+ * an affine function of image position, so a wall is a plane in a depth map too,
+ * whatever the camera angle.
+ *
+ * Like click-to-segment, Transformers.js, the model and the ONNX runtime are
+ * bundled (models/, filled by `npm run fetch:depth-model`) and loaded lazily on
+ * first use.
+ */
+
+import { isPointInRegion, resampleThroughPose } from './wall-region.js';
+import { createMaskImage } from './occluder-mask.js';
+import { BundledModel } from './bundled-model.js';
+
+// Model folder under models/ (Xenova/depth-anything-small-hf)
+export const DEPTH_MODEL_ID = 'depth-anything-small-hf';
+
+// Depth maps are kept small: walls and furniture don't need more detail
+export const DEPTH_MAP_WIDTH = 160;
+
+// Nearness above a region's wall plane (0-1 scale) that counts as in front of it
+export const DEFAULT_DEPTH_MARGIN = 0.06;
+
+// The model resizes its input to 518px anyway; larger frames only cost time
+const MAX_INPUT_WIDTH = 640;
+
+// Plane fitting
+const MIN_PLANE_SAMPLES = 12;      // Depth pixels a region needs to fit its wall
+const PLANE_ITERATIONS = 3;        // Refits, each dropping samples off the plane
+const FLATNESS_RESIDUAL = 0.05;    // RMS residual at which a surface stops counting as flat
+
+// Share of a detected wall's score that comes from depth
+const DEPTH_RANK_WEIGHT = 0.4;
+
+/**
+ * @typedef {Object} DepthMap
+ * @property {Float32Array} data - Nearness per pixel, 0 (farthest) to 1 (nearest); NaN = no sample
+ * @property {number} width - Width in pixels
+ * @property {number} height - Height in pixels
+ */
+
+/**
+ * @typedef {Object} DepthPlane
+ * @property {number} a - Nearness change per unit of x (0-1 across the frame)
+ * @property {number} b - Nearness change per unit of y
+ * @property {number} c - Nearness at the top-left corner
+ * @property {number} rms - RMS residual of the samples on the plane
+ * @property {number} inlierRatio - Share of the region's samples on the plane (0-1)
+ * @property {number} nearness - Mean nearness of the samples on the plane
+ */
+
+/**
+ * @typedef {Object} DepthScore
+ * @property {number} flatness - How well a single plane explains the region (0-1)
+ * @property {number} farness - How far back the region's surface is (0-1)
+ */
+
+/**
+ * Build a depth map from raw model output: box-filtered down to the depth map
+ * width and normalized to nearness 0-1.
+ *
+ * @param {ArrayLike<number>} values - Relative inverse depth per pixel (larger = nearer)
+ * @param {number} sourceWidth - Width of the model output
+ * @param {number} sourceHeight - Height of the model output
+ * @param {number} [width] - Depth map width (the height follows the aspect)
+ * @returns {DepthMap}
+ */
+export function createDepthMap(values, sourceWidth, sourceHeight, width = DEPTH_MAP_WIDTH) {
+  const targetWidth = Math.min(width, sourceWidth);
+  const targetHeight = Math.max(1, Math.round(targetWidth * sourceHeight / sourceWidth));
+  const sums = new Float64Array(targetWidth * targetHeight);
+  const counts = new Uint32Array(targetWidth * targetHeight);
+
+  for (let y = 0; y < sourceHeight; y++) {
+    const ty = Math.min(targetHeight - 1, Math.floor((y * targetHeight) / sourceHeight));
+    for (let x = 0; x < sourceWidth; x++) {
+      const tx = Math.min(targetWidth - 1, Math.floor((x * targetWidth) / sourceWidth));
+      sums[ty * targetWidth + tx] += values[y * sourceWidth + x];
+      counts[ty * targetWidth + tx]++;
+    }
+  }
+
+  const data = new Float32Array(targetWidth * targetHeight);
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < data.length; i++) {
+    data[i] = sums[i] / counts[i];
+    min = Math.min(min, data[i]);
+    max = Math.max(max, data[i]);
+  }
+  const range = max - min;
+  for (let i = 0; i < data.length; i++) {
+    data[i] = range > 0 ? (data[i] - min) / range : 0;
+  }
+
+  return { data, width: targetWidth, height: targetHeight };
+}
+
+/**
+ * Resample a reference depth map into the current camera view (see warpReferenceFrame
+ * in occluder-mask.js). Pixels that fall outside the reference are NaN.
+ *
+ * @param {DepthMap} depthMap - Depth map of the reference frame
+ * @param {number[]|null} pose - Percent-space homography from the reference to the current view
+ * @param {number} [width] - Output width (defaults to the depth map's)
+ * @param {number} [height] - Output height
+ * @returns {DepthMap}
+ */
+export function warpDepthMap(depthMap, pose, width = depthMap.width, height = depthMap.height) {
+  if (!pose && width === depthMap.width && height === depthMap.height) return depthMap;
+
+  const data = new Float32Array(width * height).fill(NaN);
+  resampleThroughPose(depthMap, pose, width, height, (index, referenceIndex) => {
+    if (referenceIndex >= 0) data[index] = depthMap.data[referenceIndex];
+  });
+
+  return { data, width, height };
+}
+
+/**
+ * Fit the wall plane of a region: nearness as an affine function of position.
+ * Objects in front of the wall (and openings behind it) are dropped as outliers,
+ * starting from the region's median nearness so a large object can't drag the
+ * first fit towards it.
+ *
+ * @param {DepthMap} depthMap - Depth map in the region's view
+ * @param {import('./wall-region.js').WallRegion} region - Region (percentage coordinates)
+ * @param {number} [margin] - Nearness off the plane that counts as another surface
+ * @returns {DepthPlane|null} Null when the region covers too few depth pixels
+ */
+export function fitDepthPlane(depthMap, region, margin = DEFAULT_DEPTH_MARGIN) {
+  const samples = sampleRegion(depthMap, region);
+  const count = samples.length / 3;
+  if (count < MIN_PLANE_SAMPLES) return null;
+
+  const values = [];
+  for (let i = 2; i < samples.length; i += 3) values.push(samples[i]);
+  values.sort((a, b) => a - b);
+  let plane = { a: 0, b: 0, c: values[Math.floor(values.length / 2)] };
+
+  // The first pass is looser: the median plane is flat even when the wall is not
+  let inliers = null;
+  for (let iteration = 0; iteration < PLANE_ITERATIONS; iteration++) {
+    const tolerance = iteration === 0 ? margin * 2 : margin;
+    const next = [];
+    for (let i = 0; i < count; i++) {
+      const [x, y, d] = [samples[i * 3], samples[i * 3 + 1], samples[i * 3 + 2]];
+      if (Math.abs(d - (plane.a * x + plane.b * y + plane.c)) <= tolerance) next.push(i);
+    }
+    if (next.length < MIN_PLANE_SAMPLES) break;
+    inliers = next;
+    plane = solvePlane(samples, inliers) || plane;
+  }
+  if (!inliers) return null;
+
+  let squared = 0;
+  let nearness = 0;
+  let onPlane = 0;
+  for (let i = 0; i < count; i++) {
+    const [x, y, d] = [samples[i * 3], samples[i * 3 + 1], samples[i * 3 + 2]];
+    const residual = d - (plane.a * x + plane.b * y + plane.c);
+    if (Math.abs(residual) > margin) continue;
+    squared += residual * residual;
+    nearness += d;
+    onPlane++;
+  }
+  if (onPlane === 0) return null;
+
+  return {
+    ...plane,
+    rms: Math.sqrt(squared / onPlane),
+    inlierRatio: onPlane / count,
+    nearness: nearness / onPlane
+  };
+}
+
+/**
+ * Score how wall-like a region's surface is in depth: flat, and far back.
+ *
+ * @param {DepthMap} depthMap - Depth map in the region's view
+ * @param {import('./wall-region.js').WallRegion} region - Region (percentage coordinates)
+ * @returns {DepthScore|null} Null when the region covers too few depth pixels
+ */
+export function scoreDepthRegion(depthMap, region) {
+  const plane = fitDepthPlane(depthMap, region);
+  if (!plane) return null;
+
+  return {
+    flatness: plane.inlierRatio * Math.max(0, 1 - plane.rms / FLATNESS_RESIDUAL),
+    farness: 1 - plane.nearness
+  };
+}
+
+/**
+ * Re-rank detected wall regions with depth: flat, far-back surfaces move up,
+ * furniture and near objects that merely look plain move down.
+ *
+ * @param {Array<Object>} regions - Detected regions (DetectedRegion from wall-detector.js)
+ * @param {DepthMap} depthMap - Depth map in the detection frame's view
+ * @returns {Array<Object>} Regions with depth added to their score and confidence, best first
+ */
+export function rankRegionsByDepth(regions, depthMap) {
+  return regions
+    .map(detected => {
+      const depth = scoreDepthRegion(depthMap, detected.region);
+      if (!depth) return detected;
+
+      const wallness = depth.flatness * depth.farness;
+      return {
+        ...detected,
+        score: Math.round(detected.score * (1 - DEPTH_RANK_WEIGHT) + wallness * 100 * DEPTH_RANK_WEIGHT),
+        confidence: detected.confidence * (1 - DEPTH_RANK_WEIGHT) + wallness * DEPTH_RANK_WEIGHT,
+        depth
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Mask the pixels of a region that are nearer than its wall plane.
+ *
+ * @param {DepthMap} depthMap - Depth map in the region's view
+ * @param {import('./wall-region.js').WallRegion} region - Region (percentage coordinates)
+ * @param {number} [margin] - Nearness above the plane that counts as in front
+ * @returns {import('./occluder-mask.js').MaskImage|null} Opaque white = hidden; null when nothing is in front
+ */
+export function computeDepthOcclusion(depthMap, region, margin = DEFAULT_DEPTH_MARGIN) {
+  const plane = fitDepthPlane(depthMap, region, margin);
+  if (!plane) return null;
+
+  const { width, height } = depthMap;
+  const data = new Uint8ClampedArray(width * height * 4);
+  let hidden = 0;
+
+  for (let y = 0; y < height; y++) {
+    const v = (y + 0.5) / height;
+    for (let x = 0; x < width; x++) {
+      const u = (x + 0.5) / width;
+      const d = depthMap.data[y * width + x];
+      if (!(d - (plane.a * u + plane.b * v + plane.c) > margin)) continue;
+      if (!isPointInRegion({ x: u * 100, y: v * 100 }, region)) continue;
+      data.fill(255, (y * width + x) * 4, (y * width + x) * 4 + 4);
+      hidden++;
+    }
+  }
+
+  return hidden > 0 ? createMaskImage(data, width, height) : null;
+}
+
+/**
+ * Keeps the depth occlusion masks of the wall regions, recomputing a region's mask
+ * only when the region, the depth map or the camera pose changes.
+ */
+export class DepthOcclusion {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.margin] - Nearness above the wall plane that counts as in front
+   */
+  constructor(options = {}) {
+    this.margin = options.margin || DEFAULT_DEPTH_MARGIN;
+    this.reset();
+  }
+
+  /**
+   * Forget the cached depth map and masks.
+   */
+  reset() {
+    this._depth = null;
+    this._warpedFrom = null;
+    this._warpedPose = null;
+    /** @type {Map<string, {region: Object, mask: Object|null}>} */
+    this._masks = new Map();
+  }
+
+  /**
+   * Depth occlusion masks of the active wall regions.
+   *
+   * @param {Array} wallArtOverlays - Wall art overlays
+   * @param {{depth: DepthMap, pose: number[]|null}|null} reference - Reference depth map and camera pose
+   * @returns {Map<string, ImageData>|null} Mask by overlay ID (ImageData outside tests), null without depth
+   */
+  update(wallArtOverlays, reference) {
+    if (!reference || !reference.depth) {
+      if (this._depth) this.reset();
+      return null;
+    }
+
+    if (this._warpedFrom !== reference.depth || this._warpedPose !== reference.pose) {
+      this._depth = warpDepthMap(reference.depth, reference.pose);
+      this._warpedFrom = reference.depth;
+      this._warpedPose = reference.pose;
+      this._masks.clear();
+    }
+
+    const masks = new Map();
+    const seen = new Set();
+    for (const overlay of wallArtOverlays) {
+      if (!overlay.active) continue;
+      seen.add(overlay.id);
+
+      let cached = this._masks.get(overlay.id);
+      if (!cached || cached.region !== overlay.region) {
+        cached = { region: overlay.region, mask: computeDepthOcclusion(this._depth, overlay.region, this.margin) };
+        this._masks.set(overlay.id, cached);
+      }
+      if (cached.mask) masks.set(overlay.id, cached.mask);
+    }
+    for (const id of this._masks.keys()) {
+      if (!seen.has(id)) this._masks.delete(id);
+    }
+
+    return masks;
+  }
+}
+
+/**
+ * DepthEstimator - lazily loaded Depth Anything model for the reference frame
+ */
+export class DepthEstimator extends BundledModel {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl=''] - Extension base URL the bundled models are under
+   */
+  constructor(options = {}) {
+    super(options, 'DepthEstimator', 'Depth Anything');
+    this._pipeline = null;
+  }
+
+  async _loadModel(transformers) {
+    this._pipeline = await transformers.pipeline('depth-estimation', DEPTH_MODEL_ID, { dtype: 'q8' });
+  }
+
+  /**
+   * Estimate the depth of a frame.
+   *
+   * @param {ImageData} imageData - Frame pixels
+   * @returns {Promise<DepthMap>}
+   */
+  async estimate(imageData) {
+    if (!this.isReady) {
+      throw new Error('Depth Anything is not loaded');
+    }
+
+    const { RawImage } = this._transformers;
+    let image = new RawImage(new Uint8ClampedArray(imageData.data), imageData.width, imageData.height, 4).rgb();
+    if (image.width > MAX_INPUT_WIDTH) {
+      image = await image.resize(MAX_INPUT_WIDTH, Math.round(MAX_INPUT_WIDTH * image.height / image.width));
+    }
+
+    const startTime = performance.now();
+    const { predicted_depth: prediction } = /** @type {*} */ (await this._pipeline(image));
+    const [height, width] = prediction.dims.slice(-2);
+    const depthMap = createDepthMap(prediction.data, width, height);
+
+    console.log(`[DepthEstimator] Depth estimated in ${(performance.now() - startTime).toFixed(0)}ms`);
+    return depthMap;
+  }
+}
+
+// Depth pixels inside a region as flat [x, y, nearness] triples (x, y from 0 to 1)
+function sampleRegion(depthMap, region) {
+  const { width, height, data } = depthMap;
+  const samples = [];
+  for (let y = 0; y < height; y++) {
+    const v = (y + 0.5) / height;
+    for (let x = 0; x < width; x++) {
+      const d = data[y * width + x];
+      if (Number.isNaN(d)) continue;
+      const u = (x + 0.5) / width;
+      if (isPointInRegion({ x: u * 100, y: v * 100 }, region)) samples.push(u, v, d);
+    }
+  }
+  return samples;
+}
+
+// Least-squares plane d = a*x + b*y + c through the given samples
+function solvePlane(samples, indices) {
+  let sxx = 0, sxy = 0, sx = 0, syy = 0, sy = 0, sxd = 0, syd = 0, sd = 0;
+  for (const i of indices) {
+    const [x, y, d] = [samples[i * 3], samples[i * 3 + 1], samples[i * 3 + 2]];
+    sxx += x * x; sxy += x * y; sx += x;
+    syy += y * y; sy += y;
+    sxd += x * d; syd += y * d; sd += d;
+  }
+  const n = indices.length;
+
+  // Cramer's rule on the normal equations
+  const det = sxx * (syy * n - sy * sy) - sxy * (sxy * n - sy * sx) + sx * (sxy * sy - syy * sx);
+  if (Math.abs(det) < 1e-12) return null;
+  const a = (sxd * (syy * n - sy * sy) - sxy * (syd * n - sy * sd) + sx * (syd * sy - syy * sd)) / det;
+  const b = (sxx * (syd * n - sd * sy) - sxd * (sxy * n - sy * sx) + sx * (sxy * sd - syd * sx)) / det;
+  const c = (sxx * (syy * sd - syd * sy) - sxy * (sxy * sd - syd * sx) + sxd * (sxy * sy - syy * sx)) / det;
+  return { a, b, c };
+}
+
+// Export for use in inject.js (non-module context)
+if (typeof window !== 'undefined') {
+  window.DepthEstimator = {
+    DEPTH_MODEL_ID,
+    DEFAULT_DEPTH_MARGIN,
+    DepthEstimator,
+    DepthOcclusion,
+    warpDepthMap,
+    rankRegionsByDepth
+  };
+}
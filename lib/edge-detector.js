@@ -270,6 +270,108 @@ class EdgeDetector {
     return horizontalLines;
   }
 
+  /**
+   * Find straight edges at any angle (receding wall edges, door frames seen at a slant).
+   * Connected edge pixels with a similar gradient direction are grouped, and a line is
+   * fitted through each group that is long and thin enough.
+   * @param {Object} edgeMap - Edge map from detectEdges
+   * @param {number} [angleTolerance=0.35] - Max gradient direction difference within a group (radians)
+   * @returns {Array} Segments {x1, y1, x2, y2} in percentage with length in pixels, longest first
+   */
+  findLineSegments(edgeMap, angleTolerance = 0.35) {
+    const { edges, directions, width, height } = edgeMap;
+    const visited = new Uint8Array(width * height);
+    const segments = [];
+    const stack = [];
+    const group = [];
+
+    for (let seed = 0; seed < edges.length; seed++) {
+      if (edges[seed] === 0 || visited[seed]) continue;
+
+      // Grow a group from the seed over neighbours pointing the same way
+      const angle = directions[seed];
+      visited[seed] = 1;
+      stack.push(seed);
+      group.length = 0;
+
+      while (stack.length > 0) {
+        const idx = stack.pop();
+        group.push(idx);
+        const x = idx % width;
+        const y = (idx - x) / width;
+
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+            const n = ny * width + nx;
+            if (edges[n] === 0 || visited[n]) continue;
+
+            let diff = Math.abs(directions[n] - angle) % Math.PI;
+            diff = Math.min(diff, Math.PI - diff);
+            if (diff > angleTolerance) continue;
+
+            visited[n] = 1;
+            stack.push(n);
+          }
+        }
+      }
+
+      if (group.length < this.minLineLength) continue;
+
+      // Principal axis of the group
+      let meanX = 0;
+      let meanY = 0;
+      for (const idx of group) {
+        meanX += idx % width;
+        meanY += Math.floor(idx / width);
+      }
+      meanX /= group.length;
+      meanY /= group.length;
+
+      let sxx = 0;
+      let syy = 0;
+      let sxy = 0;
+      for (const idx of group) {
+        const dx = (idx % width) - meanX;
+        const dy = Math.floor(idx / width) - meanY;
+        sxx += dx * dx;
+        syy += dy * dy;
+        sxy += dx * dy;
+      }
+      const axis = 0.5 * Math.atan2(2 * sxy, sxx - syy);
+      const ux = Math.cos(axis);
+      const uy = Math.sin(axis);
+
+      let minT = Infinity;
+      let maxT = -Infinity;
+      let maxOffset = 0;
+      for (const idx of group) {
+        const dx = (idx % width) - meanX;
+        const dy = Math.floor(idx / width) - meanY;
+        const t = dx * ux + dy * uy;
+        minT = Math.min(minT, t);
+        maxT = Math.max(maxT, t);
+        maxOffset = Math.max(maxOffset, Math.abs(dy * ux - dx * uy));
+      }
+
+      // Blurred edges are a few pixels wide; anything wider is a blob, not a line
+      const length = maxT - minT;
+      if (length < this.minLineLength || maxOffset * 2 > Math.max(6, length * 0.2)) continue;
+
+      segments.push({
+        x1: ((meanX + minT * ux) / width) * 100,
+        y1: ((meanY + minT * uy) / height) * 100,
+        x2: ((meanX + maxT * ux) / width) * 100,
+        y2: ((meanY + maxT * uy) / height) * 100,
+        length
+      });
+    }
+
+    return segments.sort((a, b) => b.length - a.length);
+  }
+
   /**
    * Find the closest edge point to snap to
    * @param {number} x - X coordinate (0-100 percentage)
@@ -4,10 +4,21 @@
  * Stabilizes wall art regions by tracking background feature points
  * and compensating for small camera movements (desk bumps, typing, etc.)
  *
- * Uses Harris corner detection for feature points and
- * Lucas-Kanade style optical flow for tracking.
+ * Uses Harris corner detection for feature points,
+ * Lucas-Kanade style optical flow for tracking and a RANSAC fit
+ * of a similarity (or full homography) to the tracked points, so
+ * camera roll and zoom are followed as well as translation.
+ *
+ * When a large move forces a reset, the compensator can relocalize:
+ * binary (BRIEF) descriptors taken from the setup wizard's reference
+ * frame are matched against the current frame and a homography from
+ * the reference view to the current view is reported, so saved regions
+ * can be re-projected onto the wall instead of staying at stale
+ * screen coordinates.
  */
 
+import { createRandom } from './shared-utils.js';
+
 /**
  * Configuration constants
  */
@@ -23,13 +34,37 @@ const CONFIG = {
   MAX_ITERATIONS: 10,         // Max iterations for Lucas-Kanade
   CONVERGENCE_THRESHOLD: 0.1, // Stop when movement < this
 
+  // Motion estimation
+  MOTION_MODEL: 'similarity', // 'similarity' (shift, zoom, roll) or 'homography' (adds tilt)
+  RANSAC_ITERATIONS: 100,     // Random minimal samples tried per frame
+  RANSAC_THRESHOLD: 1.5,      // Max reprojection error for an inlier (downsampled pixels)
+  MIN_INLIERS: 8,             // Reinitialize if fewer tracked points agree on the motion
+  SMOOTHING_FACTOR: 0.35,     // EMA weight of the newest estimate (1 = no smoothing)
+
   // Motion detection
-  LARGE_MOTION_THRESHOLD: 20, // Reset if average motion > this (pixels)
+  LARGE_MOTION_THRESHOLD: 20, // Reset if frame-to-frame motion > this (downsampled pixels)
   DRIFT_THRESHOLD: 50,        // Reset if cumulative drift > this (pixels)
 
   // Performance
   DOWNSAMPLE_FACTOR: 4,       // Process at 1/4 resolution for speed
-  SKIP_FRAMES: 2              // Only track every Nth frame
+  SKIP_FRAMES: 2,             // Only track every Nth frame
+
+  // Relocalization descriptors
+  DESCRIPTOR_WIDTH: 320,      // Frames are described at this width so any camera resolution matches
+  DESCRIPTOR_KEYPOINTS: 200,  // Maximum keypoints per described frame
+  DESCRIPTOR_MIN_DISTANCE: 6, // Minimum distance between keypoints (descriptor pixels)
+  DESCRIPTOR_PATCH_RADIUS: 12, // Half size of the patch a descriptor samples
+  DESCRIPTOR_BITS: 256,       // Intensity comparisons per descriptor
+
+  // Relocalization matching
+  MATCH_MAX_DISTANCE: 64,     // Max Hamming distance for a descriptor match
+  MATCH_RATIO: 0.8,           // Best match must beat the second best by this ratio
+  RELOCALIZE_ITERATIONS: 500, // RANSAC samples when fitting the reference homography
+  RELOCALIZE_THRESHOLD: 3,    // Max reprojection error for an inlier (descriptor pixels)
+  RELOCALIZE_MIN_INLIERS: 15, // Fewer agreeing matches than this is never trusted
+  RELOCALIZE_MIN_CONFIDENCE: 0.15, // Share of keypoints that must agree on the homography
+  RELOCALIZE_ATTEMPTS: 5,     // Tries after a reset before asking for recalibration
+  RELOCALIZE_INTERVAL_MS: 400 // Wait between tries so the camera can settle
 };
 
 /**
@@ -41,28 +76,703 @@ const CONFIG = {
 
 /**
  * @typedef {Object} Transform
- * @property {number} dx - Translation in X
- * @property {number} dy - Translation in Y
+ * @property {number} dx - Translation in X (pixels)
+ * @property {number} dy - Translation in Y (pixels)
  * @property {number} scale - Scale factor (1.0 = no scale)
  * @property {number} rotation - Rotation in radians
+ * @property {number[]} [matrix] - Row-major 3x3 homography in source pixels, mapping
+ *   where the background was when tracking started to where it is now
+ * @property {number} [width] - Source width the matrix is expressed in
+ * @property {number} [height] - Source height the matrix is expressed in
+ */
+
+/**
+ * @typedef {Object} Keypoint
+ * @property {number} x - X coordinate (descriptor pixels)
+ * @property {number} y - Y coordinate (descriptor pixels)
+ * @property {number[]} descriptor - DESCRIPTOR_BITS / 32 unsigned 32-bit words
+ */
+
+/**
+ * @typedef {Object} FrameDescriptors
+ * @property {number} width - Width of the described frame (descriptor pixels)
+ * @property {number} height - Height of the described frame (descriptor pixels)
+ * @property {Keypoint[]} keypoints
+ */
+
+/**
+ * @typedef {Object} WallReference
+ * @property {number} width - See FrameDescriptors
+ * @property {number} height - See FrameDescriptors
+ * @property {Keypoint[]} keypoints - See FrameDescriptors
+ * @property {number[]|null} [pose] - Percent-space homography from the reference view to the
+ *   view the saved regions currently match (null = the reference view itself)
+ */
+
+/**
+ * @typedef {Object} ReferenceMatch
+ * @property {number[]|null} matrix - Percent-space homography from the reference view to the
+ *   current view, or null if no consistent match was found
+ * @property {number} confidence - Share of keypoints that agree with the matrix (0-1)
+ * @property {number} inlierCount - Matches that agree with the matrix
+ * @property {number} matchCount - Descriptor matches that passed the ratio test
+ */
+
+/**
+ * @typedef {Object} MotionEstimate
+ * @property {number[]} matrix - Row-major 3x3 homography (previous -> current frame)
+ * @property {number[]} inliers - Indices of the correspondences that agree with it
+ */
+
+const IDENTITY_MATRIX = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+// Resolution assumed for transforms that don't carry their source size
+const REFERENCE_WIDTH = 1280;
+const REFERENCE_HEIGHT = 720;
+
+/**
+ * Build a Transform from a homography, with the similarity parameters read off it
+ * @param {number[]} matrix - Row-major 3x3 homography
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @returns {Transform}
+ */
+function matrixToTransform(matrix, width, height) {
+  return {
+    dx: matrix[2],
+    dy: matrix[5],
+    scale: Math.hypot(matrix[0], matrix[3]),
+    rotation: Math.atan2(matrix[3], matrix[0]),
+    matrix,
+    width,
+    height
+  };
+}
+
+/**
+ * Build a homography from a transform's similarity parameters
+ * @param {Transform} transform
+ * @returns {number[]}
+ */
+function similarityMatrix(transform) {
+  const scale = transform.scale ?? 1;
+  const rotation = transform.rotation ?? 0;
+  const a = Math.cos(rotation) * scale;
+  const b = Math.sin(rotation) * scale;
+  return [a, -b, transform.dx, b, a, transform.dy, 0, 0, 1];
+}
+
+/**
+ * Multiply two row-major 3x3 matrices (a * b) and normalize so the last element is 1
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number[]}
+ */
+function multiplyMatrices(a, b) {
+  const out = new Array(9);
+  for (let r = 0; r < 3; r++) {
+    for (let c = 0; c < 3; c++) {
+      out[r * 3 + c] = a[r * 3] * b[c] + a[r * 3 + 1] * b[3 + c] + a[r * 3 + 2] * b[6 + c];
+    }
+  }
+  const w = out[8];
+  return Math.abs(w) > 1e-12 ? out.map(v => v / w) : out;
+}
+
+/**
+ * Invert a row-major 3x3 matrix, normalized so the last element is 1
+ * @param {number[]} m
+ * @returns {number[]|null} Null if the matrix is singular
+ */
+function invertMatrix(m) {
+  const [a, b, c, d, e, f, g, h, i] = m;
+  const A = e * i - f * h;
+  const B = f * g - d * i;
+  const C = d * h - e * g;
+  const det = a * A + b * B + c * C;
+  if (Math.abs(det) < 1e-12) return null;
+
+  const inverse = [
+    A, c * h - b * i, b * f - c * e,
+    B, a * i - c * g, c * d - a * f,
+    C, b * g - a * h, a * e - b * d
+  ].map(v => v / det);
+  const w = inverse[8];
+  return Math.abs(w) > 1e-12 ? inverse.map(v => v / w) : inverse;
+}
+
+/**
+ * Map a point through a row-major 3x3 homography
+ * @param {number[]} m
+ * @param {number} x
+ * @param {number} y
+ * @returns {{x: number, y: number}}
+ */
+function projectPoint(m, x, y) {
+  const w = m[6] * x + m[7] * y + m[8];
+  return {
+    x: (m[0] * x + m[1] * y + m[2]) / w,
+    y: (m[3] * x + m[4] * y + m[5]) / w
+  };
+}
+
+/**
+ * Largest distance any corner of a width x height frame moves under a homography
+ * @param {number[]} m
+ * @param {number} width
+ * @param {number} height
+ * @returns {number}
+ */
+function maxCornerDisplacement(m, width, height) {
+  let max = 0;
+  for (const [x, y] of [[0, 0], [width, 0], [0, height], [width, height]]) {
+    const p = projectPoint(m, x, y);
+    max = Math.max(max, Math.hypot(p.x - x, p.y - y));
+  }
+  return max;
+}
+
+/**
+ * Solve a small dense linear system with Gaussian elimination (partial pivoting)
+ * @param {number[][]} A - Square matrix (modified in place)
+ * @param {number[]} b - Right-hand side (modified in place)
+ * @returns {number[]|null} Solution, or null if the system is singular
+ */
+function solveLinearSystem(A, b) {
+  const n = b.length;
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) pivot = row;
+    }
+    if (Math.abs(A[pivot][col]) < 1e-12) return null;
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const f = A[row][col] / A[col][col];
+      for (let k = col; k < n; k++) A[row][k] -= f * A[col][k];
+      b[row] -= f * b[col];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = b[row];
+    for (let k = row + 1; k < n; k++) sum -= A[row][k] * x[k];
+    x[row] = sum / A[row][row];
+  }
+  return x;
+}
+
+/**
+ * Least-squares similarity (uniform scale, rotation, translation) from p[i] to q[i]
+ * @param {{x: number, y: number}[]} p
+ * @param {{x: number, y: number}[]} q
+ * @returns {number[]|null} Row-major 3x3 matrix, or null if the points coincide
+ */
+function fitSimilarity(p, q) {
+  const n = p.length;
+  let pcx = 0, pcy = 0, qcx = 0, qcy = 0;
+  for (let i = 0; i < n; i++) {
+    pcx += p[i].x; pcy += p[i].y;
+    qcx += q[i].x; qcy += q[i].y;
+  }
+  pcx /= n; pcy /= n; qcx /= n; qcy /= n;
+
+  let sumA = 0, sumB = 0, norm = 0;
+  for (let i = 0; i < n; i++) {
+    const px = p[i].x - pcx, py = p[i].y - pcy;
+    const qx = q[i].x - qcx, qy = q[i].y - qcy;
+    sumA += px * qx + py * qy;
+    sumB += px * qy - py * qx;
+    norm += px * px + py * py;
+  }
+  if (norm < 1e-9) return null;
+
+  const a = sumA / norm;
+  const b = sumB / norm;
+  return [
+    a, -b, qcx - (a * pcx - b * pcy),
+    b, a, qcy - (b * pcx + a * pcy),
+    0, 0, 1
+  ];
+}
+
+/**
+ * Hartley normalization: move the centroid to the origin and scale the mean distance to sqrt(2)
+ * @param {{x: number, y: number}[]} points
+ * @returns {number[]} Row-major 3x3 normalizing matrix
+ */
+function normalizingMatrix(points) {
+  let cx = 0, cy = 0;
+  for (const pt of points) { cx += pt.x; cy += pt.y; }
+  cx /= points.length; cy /= points.length;
+  let dist = 0;
+  for (const pt of points) dist += Math.hypot(pt.x - cx, pt.y - cy);
+  dist /= points.length;
+  const s = dist > 1e-9 ? Math.SQRT2 / dist : 1;
+  return [s, 0, -s * cx, 0, s, -s * cy, 0, 0, 1];
+}
+
+/**
+ * Least-squares homography from p[i] to q[i] (direct linear transform, h33 = 1)
+ * @param {{x: number, y: number}[]} p - At least 4 points
+ * @param {{x: number, y: number}[]} q
+ * @returns {number[]|null} Row-major 3x3 matrix, or null if the points are degenerate
+ */
+function fitHomography(p, q) {
+  const Tp = normalizingMatrix(p);
+  const Tq = normalizingMatrix(q);
+
+  // Normal equations of the 2n x 8 DLT system
+  const AtA = Array.from({ length: 8 }, () => new Array(8).fill(0));
+  const Atb = new Array(8).fill(0);
+  for (let i = 0; i < p.length; i++) {
+    const { x, y } = projectPoint(Tp, p[i].x, p[i].y);
+    const { x: u, y: v } = projectPoint(Tq, q[i].x, q[i].y);
+    const rows = [[x, y, 1, 0, 0, 0, -u * x, -u * y], [0, 0, 0, x, y, 1, -v * x, -v * y]];
+    const rhs = [u, v];
+    for (let k = 0; k < 2; k++) {
+      const row = rows[k];
+      for (let r = 0; r < 8; r++) {
+        Atb[r] += row[r] * rhs[k];
+        for (let c = 0; c < 8; c++) AtA[r][c] += row[r] * row[c];
+      }
+    }
+  }
+
+  const h = solveLinearSystem(AtA, Atb);
+  if (!h) return null;
+
+  // Undo the normalization: H = Tq^-1 * Hn * Tp
+  const sq = Tq[0];
+  const TqInv = [1 / sq, 0, -Tq[2] / sq, 0, 1 / sq, -Tq[5] / sq, 0, 0, 1];
+  const H = multiplyMatrices(multiplyMatrices(TqInv, [...h, 1]), Tp);
+  return H.every(Number.isFinite) ? H : null;
+}
+
+/**
+ * Fit a motion model to point correspondences with RANSAC: fit the model to
+ * random minimal samples, keep the one most points agree with, then refit it
+ * by least squares on those inliers.
+ * @param {{x: number, y: number}[]} p - Points before the motion
+ * @param {{x: number, y: number}[]} q - The same points after the motion
+ * @param {Object} options
+ * @param {string} options.model - 'similarity' or 'homography'
+ * @param {number} options.threshold - Max reprojection error for an inlier
+ * @param {number} options.iterations - Random samples to try
+ * @returns {MotionEstimate|null} Null if there are too few usable correspondences
+ */
+function ransacFit(p, q, { model, threshold, iterations }) {
+  // Correspondences pair up by index; lists that don't line up can't be fit
+  if (p.length !== q.length) return null;
+
+  const n = p.length;
+  const sampleSize = model === 'homography' ? 4 : 2;
+  if (n < sampleSize) return null;
+
+  const fit = model === 'homography' ? fitHomography : fitSimilarity;
+
+  const findInliers = (matrix) => {
+    const inliers = [];
+    for (let i = 0; i < n; i++) {
+      const mapped = projectPoint(matrix, p[i].x, p[i].y);
+      if (Math.hypot(mapped.x - q[i].x, mapped.y - q[i].y) <= threshold) {
+        inliers.push(i);
+      }
+    }
+    return inliers;
+  };
+
+  // Seeded from the point count so the same input always gives the same answer
+  const random = createRandom(n * 2654435761);
+  let best = [];
+
+  for (let iter = 0; iter < iterations; iter++) {
+    const sample = new Set();
+    while (sample.size < sampleSize) {
+      sample.add(Math.floor(random() * n));
+    }
+    const indices = [...sample];
+    const matrix = fit(indices.map(i => p[i]), indices.map(i => q[i]));
+    if (!matrix) continue;
+
+    const inliers = findInliers(matrix);
+    if (inliers.length > best.length) {
+      best = inliers;
+      if (best.length === n) break;
+    }
+  }
+
+  if (best.length < sampleSize) return null;
+
+  // Refine on all inliers, then recollect them against the refined model
+  const refined = fit(best.map(i => p[i]), best.map(i => q[i]));
+  if (!refined) return null;
+
+  const inliers = findInliers(refined);
+  return { matrix: refined, inliers: inliers.length >= best.length ? inliers : best };
+}
+
+/**
+ * Get dimensions from a video or canvas source
+ * @param {HTMLVideoElement|HTMLCanvasElement} source
+ * @returns {{width: number, height: number}}
+ */
+function getSourceDimensions(source) {
+  // Check if it's a video element by looking for videoWidth property
+  if ('videoWidth' in source && source.videoWidth > 0) {
+    return { width: source.videoWidth, height: source.videoHeight };
+  }
+  // Otherwise it's a canvas
+  return { width: source.width, height: source.height };
+}
+
+/**
+ * Convert RGBA pixels to grayscale (gray value repeated in R, G and B)
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+function toGrayscale(imageData) {
+  const src = imageData.data;
+  const dst = new Uint8ClampedArray(src.length);
+
+  for (let i = 0; i < src.length; i += 4) {
+    // Luminance formula
+    const g = Math.round(0.299 * src[i] + 0.587 * src[i + 1] + 0.114 * src[i + 2]);
+    dst[i] = dst[i + 1] = dst[i + 2] = g;
+    dst[i + 3] = 255;
+  }
+
+  return { width: imageData.width, height: imageData.height, data: dst };
+}
+
+/**
+ * Downsample a person mask (nearest neighbour, 255 = person)
+ * @param {ImageData} mask - Mask at the source resolution
+ * @param {number} origWidth - Source width
+ * @param {number} origHeight - Source height
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {Uint8Array}
+ */
+function downsampleMask(mask, origWidth, origHeight, width, height) {
+  const downsampled = new Uint8Array(width * height);
+
+  const scaleX = origWidth / width;
+  const scaleY = origHeight / height;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const srcX = Math.floor(x * scaleX);
+      const srcY = Math.floor(y * scaleY);
+      const srcIdx = (srcY * origWidth + srcX) * 4;
+      // Assume mask is in alpha or red channel
+      downsampled[y * width + x] = mask.data[srcIdx] > 128 ? 255 : 0;
+    }
+  }
+
+  return downsampled;
+}
+
+/**
+ * Detect Harris corners, strongest first, spaced at least minDistance apart
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} grayFrame - Output of toGrayscale
+ * @param {Uint8Array|null} personMask - Downsampled mask; corners on the person are skipped
+ * @param {Object} options
+ * @param {number} options.border - Margin kept free of corners (pixels, at least 3)
+ * @param {number} options.step - Grid spacing of the candidates (pixels)
+ * @param {number} options.maxFeatures - Maximum corners returned
+ * @param {number} options.minDistance - Minimum distance between corners (pixels)
+ * @returns {FeaturePoint[]}
+ */
+function detectCorners(grayFrame, personMask, { border, step, maxFeatures, minDistance }) {
+  const w = grayFrame.width;
+  const h = grayFrame.height;
+  const data = grayFrame.data;
+
+  // Compute gradients
+  const Ix = new Float32Array(w * h);
+  const Iy = new Float32Array(w * h);
+
+  for (let y = 1; y < h - 1; y++) {
+    for (let x = 1; x < w - 1; x++) {
+      const idx = y * w + x;
+      // Sobel-like gradient
+      Ix[idx] = (data[((y) * w + (x + 1)) * 4] - data[((y) * w + (x - 1)) * 4]) / 2;
+      Iy[idx] = (data[((y + 1) * w + x) * 4] - data[((y - 1) * w + x) * 4]) / 2;
+    }
+  }
+
+  // Compute Harris response
+  const responses = [];
+  const windowSize = 3;
+
+  for (let y = border; y < h - border; y += step) {
+    for (let x = border; x < w - border; x += step) {
+      // Skip if in person mask
+      if (personMask && personMask[y * w + x] > 128) {
+        continue;
+      }
+
+      let sumIx2 = 0, sumIy2 = 0, sumIxIy = 0;
+
+      // Sum over window
+      for (let wy = -windowSize; wy <= windowSize; wy++) {
+        for (let wx = -windowSize; wx <= windowSize; wx++) {
+          const idx = (y + wy) * w + (x + wx);
+          const ix = Ix[idx];
+          const iy = Iy[idx];
+          sumIx2 += ix * ix;
+          sumIy2 += iy * iy;
+          sumIxIy += ix * iy;
+        }
+      }
+
+      // Harris response: det(M) - k * trace(M)^2
+      const det = sumIx2 * sumIy2 - sumIxIy * sumIxIy;
+      const trace = sumIx2 + sumIy2;
+      const response = det - CONFIG.HARRIS_K * trace * trace;
+
+      if (response > CONFIG.CORNER_THRESHOLD) {
+        responses.push({ x, y, response });
+      }
+    }
+  }
+
+  // Sort by response and take top features
+  responses.sort((a, b) => b.response - a.response);
+
+  // Non-maximum suppression
+  /** @type {FeaturePoint[]} */
+  const features = [];
+  for (const r of responses) {
+    if (features.length >= maxFeatures) break;
+
+    // Check distance to existing features
+    let tooClose = false;
+    for (const f of features) {
+      const dist = Math.sqrt((r.x - f.x) ** 2 + (r.y - f.y) ** 2);
+      if (dist < minDistance) {
+        tooClose = true;
+        break;
+      }
+    }
+
+    if (!tooClose) {
+      features.push(r);
+    }
+  }
+
+  return features;
+}
+
+// Comparison pairs shared by every descriptor; fixed so stored reference descriptors stay comparable
+const BRIEF_PATTERN = createBriefPattern();
+
+// Canvas frames are scaled onto before they are described
+let descriptorCanvas = null;
+let descriptorCtx = null;
+
+/**
+ * Build the BRIEF sampling pattern: DESCRIPTOR_BITS pairs of patch offsets
+ * (x1, y1, x2, y2), denser near the keypoint like the original Gaussian sampling
+ * @returns {Int8Array}
  */
+function createBriefPattern() {
+  const random = createRandom(0x5EED);
+  const r = CONFIG.DESCRIPTOR_PATCH_RADIUS;
+  const pattern = new Int8Array(CONFIG.DESCRIPTOR_BITS * 4);
+  for (let i = 0; i < pattern.length; i++) {
+    pattern[i] = Math.round((random() + random() - 1) * r);
+  }
+  return pattern;
+}
+
+/**
+ * Box blur the gray channel of a grayscale frame so descriptors tolerate noise
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} grayFrame - Output of toGrayscale
+ * @param {number} radius - Blur radius (pixels)
+ * @returns {Float32Array} Single-channel blurred frame
+ */
+function boxBlur(grayFrame, radius) {
+  const { width: w, height: h, data } = grayFrame;
+  const horizontal = new Float32Array(w * h);
+  const out = new Float32Array(w * h);
+  const size = radius * 2 + 1;
+
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        const sx = Math.min(w - 1, Math.max(0, x + k));
+        sum += data[(y * w + sx) * 4];
+      }
+      horizontal[y * w + x] = sum / size;
+    }
+  }
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        const sy = Math.min(h - 1, Math.max(0, y + k));
+        sum += horizontal[sy * w + x];
+      }
+      out[y * w + x] = sum / size;
+    }
+  }
+  return out;
+}
+
+/**
+ * Number of set bits in a 32-bit integer
+ * @param {number} v
+ * @returns {number}
+ */
+function popcount32(v) {
+  v = v - ((v >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return Math.imul((v + (v >>> 4)) & 0x0F0F0F0F, 0x01010101) >>> 24;
+}
+
+/**
+ * Hamming distance between two descriptors
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    distance += popcount32(a[i] ^ b[i]);
+  }
+  return distance;
+}
+
+/**
+ * Detect keypoints and compute BRIEF descriptors for a frame
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData - RGBA frame,
+ *   already scaled to DESCRIPTOR_WIDTH
+ * @param {Uint8Array|null} [personMask] - Mask at the same size; the person is not described
+ * @returns {FrameDescriptors}
+ */
+function describeFrame(imageData, personMask = null) {
+  const gray = toGrayscale(imageData);
+  const { width, height } = gray;
+  const corners = detectCorners(gray, personMask, {
+    border: CONFIG.DESCRIPTOR_PATCH_RADIUS + 1,
+    step: 1, // Keypoints must be placed precisely; the reference fit depends on it
+    maxFeatures: CONFIG.DESCRIPTOR_KEYPOINTS,
+    minDistance: CONFIG.DESCRIPTOR_MIN_DISTANCE
+  });
+  const smooth = boxBlur(gray, 2);
+  const words = CONFIG.DESCRIPTOR_BITS / 32;
+
+  const keypoints = corners.map(({ x, y }) => {
+    const descriptor = new Array(words).fill(0);
+    for (let bit = 0; bit < CONFIG.DESCRIPTOR_BITS; bit++) {
+      const o = bit * 4;
+      const a = smooth[(y + BRIEF_PATTERN[o + 1]) * width + x + BRIEF_PATTERN[o]];
+      const b = smooth[(y + BRIEF_PATTERN[o + 3]) * width + x + BRIEF_PATTERN[o + 2]];
+      if (a < b) descriptor[bit >> 5] |= 1 << (bit & 31);
+    }
+    return { x, y, descriptor: descriptor.map(word => word >>> 0) };
+  });
+
+  return { width, height, keypoints };
+}
+
+/**
+ * Match a frame's descriptors against the reference and fit the homography
+ * from the reference view to the current view
+ * @param {FrameDescriptors} reference
+ * @param {FrameDescriptors} current
+ * @returns {ReferenceMatch}
+ */
+function matchDescriptors(reference, current) {
+  const none = { matrix: null, confidence: 0, inlierCount: 0, matchCount: 0 };
+  if (!reference?.keypoints?.length || !current?.keypoints?.length) return none;
+
+  // Reference keypoints are compared in the current frame's pixel grid
+  const sx = current.width / reference.width;
+  const sy = current.height / reference.height;
+  const from = [];
+  const to = [];
+
+  for (const keypoint of current.keypoints) {
+    let best = Infinity;
+    let second = Infinity;
+    let bestRef = null;
+    for (const ref of reference.keypoints) {
+      const distance = hammingDistance(keypoint.descriptor, ref.descriptor);
+      if (distance < best) {
+        second = best;
+        best = distance;
+        bestRef = ref;
+      } else if (distance < second) {
+        second = distance;
+      }
+    }
+    // Lowe's ratio test: ambiguous matches (repeating texture) are dropped
+    if (bestRef && best <= CONFIG.MATCH_MAX_DISTANCE && best < CONFIG.MATCH_RATIO * second) {
+      from.push({ x: bestRef.x * sx, y: bestRef.y * sy });
+      to.push({ x: keypoint.x, y: keypoint.y });
+    }
+  }
+
+  const estimate = ransacFit(from, to, {
+    model: 'homography',
+    threshold: CONFIG.RELOCALIZE_THRESHOLD,
+    iterations: CONFIG.RELOCALIZE_ITERATIONS
+  });
+  if (!estimate) return { ...none, matchCount: from.length };
+
+  const h = estimate.matrix;
+  const inlierCount = estimate.inliers.length;
+  const confidence = Math.min(1, inlierCount / Math.min(reference.keypoints.length, current.keypoints.length));
+
+  // A mirrored or folded view is a bad fit, not a camera move
+  const keepsOrientation = h[0] * h[4] - h[1] * h[3] > 0 &&
+    [[0, 0], [current.width, 0], [0, current.height], [current.width, current.height]]
+      .every(([x, y]) => h[6] * x + h[7] * y + h[8] > 0);
+  if (!keepsOrientation) return { ...none, matchCount: from.length };
+
+  // Percent space: S^-1 * H * S with S = diag(width / 100, height / 100, 1)
+  const scales = [current.width / 100, current.height / 100, 1];
+  const matrix = h.map((v, i) => v * scales[i % 3] / scales[Math.floor(i / 3)]);
+
+  return { matrix, confidence, inlierCount, matchCount: from.length };
+}
 
 /**
  * JiggleCompensator - Tracks background features and compensates for camera shake
  */
-class JiggleCompensator {
+export class JiggleCompensator {
   constructor() {
     /** @type {FeaturePoint[]} */
     this.features = [];
 
-    /** @type {ImageData|null} */
+    /** @type {{width: number, height: number, data: Uint8ClampedArray}|null} Grayscale frame */
     this.prevFrame = null;
 
     /** @type {number} */
     this.frameCount = 0;
 
-    /** @type {Transform} */
-    this.cumulativeTransform = { dx: 0, dy: 0, scale: 1, rotation: 0 };
+    /** @type {Transform} Smoothed transform handed to the renderers */
+    this.cumulativeTransform = matrixToTransform(IDENTITY_MATRIX, 0, 0);
+
+    /** @type {number[]} Raw accumulated motion since initialization (source pixels) */
+    this._cumulativeMatrix = IDENTITY_MATRIX;
+
+    /** @type {number} */
+    this._sourceWidth = 0;
+
+    /** @type {number} */
+    this._sourceHeight = 0;
+
+    /** @type {number} Inliers of the last motion estimate */
+    this.inlierCount = 0;
 
     /** @type {boolean} */
     this.initialized = false;
@@ -70,10 +780,10 @@ class JiggleCompensator {
     /** @type {boolean} */
     this.enabled = true;
 
-    /** @type {HTMLCanvasElement|null} */
+    /** @type {OffscreenCanvas|null} */
     this._workCanvas = null;
 
-    /** @type {CanvasRenderingContext2D|null} */
+    /** @type {OffscreenCanvasRenderingContext2D|null} */
     this._workCtx = null;
 
     /** @type {number} */
@@ -81,6 +791,36 @@ class JiggleCompensator {
 
     /** @type {Function|null} */
     this.onReset = null;
+
+    /** @type {WallReference|null} Descriptors of the setup wizard's reference frame */
+    this.reference = null;
+
+    /** @type {Function|null} Called with {matrix, pose, confidence} after a successful relocalization */
+    this.onRelocalize = null;
+
+    /** @type {Function|null} Called with {confidence} when relocalization gives up */
+    this.onRelocalizeFailed = null;
+
+    /** @type {number} */
+    this._relocalizeAttemptsLeft = 0;
+
+    /** @type {number} */
+    this._nextRelocalizeAt = 0;
+
+    /** @type {number} */
+    this._relocalizeBestConfidence = 0;
+  }
+
+  /**
+   * Set the reference to relocalize against after large camera moves
+   * @param {WallReference|null} reference - Null disables relocalization
+   */
+  setReference(reference) {
+    this.reference = reference && reference.keypoints?.length ? reference : null;
+    // A pose update for the same reference keeps a pending relocalization going
+    if (!this.reference) {
+      this._relocalizeAttemptsLeft = 0;
+    }
   }
 
   /**
@@ -90,12 +830,7 @@ class JiggleCompensator {
    * @private
    */
   _getSourceDimensions(source) {
-    // Check if it's a video element by looking for videoWidth property
-    if ('videoWidth' in source && source.videoWidth > 0) {
-      return { width: source.videoWidth, height: source.videoHeight };
-    }
-    // Otherwise it's a canvas
-    return { width: source.width, height: source.height };
+    return getSourceDimensions(source);
   }
 
   /**
@@ -106,11 +841,14 @@ class JiggleCompensator {
   initialize(source, personMask = null) {
     // Create work canvas if needed
     if (!this._workCanvas) {
-      this._workCanvas = document.createElement('canvas');
+      // OffscreenCanvas so the compensator also runs inside the compositor worker
+      this._workCanvas = new OffscreenCanvas(1, 1);
       this._workCtx = this._workCanvas.getContext('2d', { willReadFrequently: true });
     }
 
     const { width, height } = this._getSourceDimensions(source);
+    this._sourceWidth = width;
+    this._sourceHeight = height;
 
     // Set downsampled size
     this._workCanvas.width = Math.floor(width / CONFIG.DOWNSAMPLE_FACTOR);
@@ -129,7 +867,8 @@ class JiggleCompensator {
 
     // Store frame for next comparison
     this.prevFrame = grayFrame;
-    this.cumulativeTransform = { dx: 0, dy: 0, scale: 1, rotation: 0 };
+    this._cumulativeMatrix = IDENTITY_MATRIX;
+    this.cumulativeTransform = matrixToTransform(IDENTITY_MATRIX, width, height);
     this.initialized = true;
     this._lastResetTime = performance.now();
 
@@ -144,7 +883,7 @@ class JiggleCompensator {
    */
   process(source, personMask = null) {
     if (!this.enabled || !this.initialized) {
-      return { dx: 0, dy: 0, scale: 1, rotation: 0 };
+      return matrixToTransform(IDENTITY_MATRIX, this._sourceWidth, this._sourceHeight);
     }
 
     this.frameCount++;
@@ -154,63 +893,95 @@ class JiggleCompensator {
       return this.cumulativeTransform;
     }
 
+    // After a reset, look for the wall again once the camera has had time to settle
+    if (this._relocalizeAttemptsLeft > 0 && performance.now() >= this._nextRelocalizeAt &&
+        this._relocalize(source, personMask)) {
+      return this.cumulativeTransform;
+    }
+
     // Draw downsampled frame
     this._workCtx.drawImage(source, 0, 0, this._workCanvas.width, this._workCanvas.height);
     const frame = this._workCtx.getImageData(0, 0, this._workCanvas.width, this._workCanvas.height);
     const grayFrame = this._toGrayscale(frame);
 
     // Track features
-    const { trackedPoints, lostCount } = this._trackFeatures(this.prevFrame, grayFrame, this.features);
+    const { previousPoints, trackedPoints, lostCount } = this._trackFeatures(this.prevFrame, grayFrame, this.features);
 
     // If we lost too many features, reinitialize
     if (lostCount > this.features.length * 0.5 || trackedPoints.length < 10) {
       console.log('[JiggleCompensator] Lost too many features, reinitializing...');
       this.initialize(source, personMask);
-      return { dx: 0, dy: 0, scale: 1, rotation: 0 };
+      return this.cumulativeTransform;
     }
 
-    // Compute transform from tracked points
-    const frameTransform = this._computeTransform(this.features, trackedPoints);
+    // Fit the background motion, rejecting points on moving objects
+    const estimate = this._computeTransform(previousPoints, trackedPoints);
+    if (!estimate || estimate.inliers.length < CONFIG.MIN_INLIERS) {
+      console.log('[JiggleCompensator] Tracked features disagree on the motion, reinitializing...');
+      this.initialize(source, personMask);
+      return this.cumulativeTransform;
+    }
+    this.inlierCount = estimate.inliers.length;
 
     // Check for large motion (intentional camera move)
-    const avgMotion = Math.sqrt(frameTransform.dx * frameTransform.dx + frameTransform.dy * frameTransform.dy);
-    if (avgMotion > CONFIG.LARGE_MOTION_THRESHOLD) {
-      console.log(`[JiggleCompensator] Large motion detected (${avgMotion.toFixed(1)}px), resetting...`);
+    const frameMotion = maxCornerDisplacement(estimate.matrix, this._workCanvas.width, this._workCanvas.height);
+    if (frameMotion > CONFIG.LARGE_MOTION_THRESHOLD) {
+      console.log(`[JiggleCompensator] Large motion detected (${frameMotion.toFixed(1)}px), resetting...`);
       this._triggerReset();
       this.initialize(source, personMask);
-      return { dx: 0, dy: 0, scale: 1, rotation: 0 };
+      return this.cumulativeTransform;
     }
 
-    // Accumulate transform (we want to COUNTERACT the motion)
-    this.cumulativeTransform.dx -= frameTransform.dx * CONFIG.DOWNSAMPLE_FACTOR;
-    this.cumulativeTransform.dy -= frameTransform.dy * CONFIG.DOWNSAMPLE_FACTOR;
+    this._accumulate(estimate.matrix);
 
     // Check for excessive drift
-    const totalDrift = Math.sqrt(
-      this.cumulativeTransform.dx * this.cumulativeTransform.dx +
-      this.cumulativeTransform.dy * this.cumulativeTransform.dy
-    );
+    const totalDrift = maxCornerDisplacement(this._cumulativeMatrix, this._sourceWidth, this._sourceHeight);
     if (totalDrift > CONFIG.DRIFT_THRESHOLD) {
       console.log(`[JiggleCompensator] Excessive drift (${totalDrift.toFixed(1)}px), resetting...`);
       this._triggerReset();
       this.initialize(source, personMask);
-      return { dx: 0, dy: 0, scale: 1, rotation: 0 };
+      return this.cumulativeTransform;
     }
 
-    // Update features and previous frame
-    this.features = trackedPoints;
+    // Keep only features that moved with the background
+    this.features = estimate.inliers.map(i => trackedPoints[i]);
     this.prevFrame = grayFrame;
 
     return this.cumulativeTransform;
   }
 
+  /**
+   * Add one frame's motion to the running total and update the smoothed output.
+   * Regions follow the background, so the motion is applied as-is (not inverted).
+   * @param {number[]} frameMatrix - Previous -> current frame motion in downsampled pixels
+   * @private
+   */
+  _accumulate(frameMatrix) {
+    const sx = this._sourceWidth / this._workCanvas.width;
+    const sy = this._sourceHeight / this._workCanvas.height;
+
+    // Rescale to source pixels: S * M * S^-1 with S = diag(sx, sy, 1)
+    const scales = [sx, sy, 1];
+    const fullRes = frameMatrix.map((v, i) => v * scales[Math.floor(i / 3)] / scales[i % 3]);
+    this._cumulativeMatrix = multiplyMatrices(fullRes, this._cumulativeMatrix);
+
+    // Exponential smoothing; motions stay close to identity so blending elements is well behaved
+    const alpha = CONFIG.SMOOTHING_FACTOR;
+    const previous = this.cumulativeTransform.matrix || IDENTITY_MATRIX;
+    const smoothed = previous.map((v, i) => v + alpha * (this._cumulativeMatrix[i] - v));
+    this.cumulativeTransform = matrixToTransform(smoothed, this._sourceWidth, this._sourceHeight);
+  }
+
   /**
    * Reset the compensator
    */
   reset() {
     this.features = [];
     this.prevFrame = null;
-    this.cumulativeTransform = { dx: 0, dy: 0, scale: 1, rotation: 0 };
+    this._cumulativeMatrix = IDENTITY_MATRIX;
+    this.cumulativeTransform = matrixToTransform(IDENTITY_MATRIX, this._sourceWidth, this._sourceHeight);
+    this.inlierCount = 0;
+    this._relocalizeAttemptsLeft = 0;
     this.initialized = false;
     this.frameCount = 0;
   }
@@ -222,7 +993,8 @@ class JiggleCompensator {
   setEnabled(enabled) {
     this.enabled = enabled;
     if (!enabled) {
-      this.cumulativeTransform = { dx: 0, dy: 0, scale: 1, rotation: 0 };
+      this._cumulativeMatrix = IDENTITY_MATRIX;
+      this.cumulativeTransform = matrixToTransform(IDENTITY_MATRIX, this._sourceWidth, this._sourceHeight);
     }
   }
 
@@ -231,18 +1003,7 @@ class JiggleCompensator {
    * @private
    */
   _toGrayscale(imageData) {
-    const gray = new ImageData(imageData.width, imageData.height);
-    const src = imageData.data;
-    const dst = gray.data;
-
-    for (let i = 0; i < src.length; i += 4) {
-      // Luminance formula
-      const g = Math.round(0.299 * src[i] + 0.587 * src[i + 1] + 0.114 * src[i + 2]);
-      dst[i] = dst[i + 1] = dst[i + 2] = g;
-      dst[i + 3] = 255;
-    }
-
-    return gray;
+    return toGrayscale(imageData);
   }
 
   /**
@@ -250,24 +1011,7 @@ class JiggleCompensator {
    * @private
    */
   _downsampleMask(mask, origWidth, origHeight) {
-    const dw = this._workCanvas.width;
-    const dh = this._workCanvas.height;
-    const downsampled = new Uint8Array(dw * dh);
-
-    const scaleX = origWidth / dw;
-    const scaleY = origHeight / dh;
-
-    for (let y = 0; y < dh; y++) {
-      for (let x = 0; x < dw; x++) {
-        const srcX = Math.floor(x * scaleX);
-        const srcY = Math.floor(y * scaleY);
-        const srcIdx = (srcY * origWidth + srcX) * 4;
-        // Assume mask is in alpha or red channel
-        downsampled[y * dw + x] = mask.data[srcIdx] > 128 ? 255 : 0;
-      }
-    }
-
-    return downsampled;
+    return downsampleMask(mask, origWidth, origHeight, this._workCanvas.width, this._workCanvas.height);
   }
 
   /**
@@ -275,88 +1019,19 @@ class JiggleCompensator {
    * @private
    */
   _detectFeatures(grayFrame, personMask = null) {
-    const w = grayFrame.width;
-    const h = grayFrame.height;
-    const data = grayFrame.data;
-
-    // Compute gradients
-    const Ix = new Float32Array(w * h);
-    const Iy = new Float32Array(w * h);
-
-    for (let y = 1; y < h - 1; y++) {
-      for (let x = 1; x < w - 1; x++) {
-        const idx = y * w + x;
-        // Sobel-like gradient
-        Ix[idx] = (data[((y) * w + (x + 1)) * 4] - data[((y) * w + (x - 1)) * 4]) / 2;
-        Iy[idx] = (data[((y + 1) * w + x) * 4] - data[((y - 1) * w + x) * 4]) / 2;
-      }
-    }
-
-    // Compute Harris response
-    const responses = [];
-    const windowSize = 3;
-
-    for (let y = windowSize; y < h - windowSize; y += 3) {
-      for (let x = windowSize; x < w - windowSize; x += 3) {
-        // Skip if in person mask
-        if (personMask && personMask[y * w + x] > 128) {
-          continue;
-        }
-
-        let sumIx2 = 0, sumIy2 = 0, sumIxIy = 0;
-
-        // Sum over window
-        for (let wy = -windowSize; wy <= windowSize; wy++) {
-          for (let wx = -windowSize; wx <= windowSize; wx++) {
-            const idx = (y + wy) * w + (x + wx);
-            const ix = Ix[idx];
-            const iy = Iy[idx];
-            sumIx2 += ix * ix;
-            sumIy2 += iy * iy;
-            sumIxIy += ix * iy;
-          }
-        }
-
-        // Harris response: det(M) - k * trace(M)^2
-        const det = sumIx2 * sumIy2 - sumIxIy * sumIxIy;
-        const trace = sumIx2 + sumIy2;
-        const response = det - CONFIG.HARRIS_K * trace * trace;
-
-        if (response > CONFIG.CORNER_THRESHOLD) {
-          responses.push({ x, y, response });
-        }
-      }
-    }
-
-    // Sort by response and take top features
-    responses.sort((a, b) => b.response - a.response);
-
-    // Non-maximum suppression
-    /** @type {FeaturePoint[]} */
-    const features = [];
-    for (const r of responses) {
-      if (features.length >= CONFIG.MAX_FEATURES) break;
-
-      // Check distance to existing features
-      let tooClose = false;
-      for (const f of features) {
-        const dist = Math.sqrt((r.x - f.x) ** 2 + (r.y - f.y) ** 2);
-        if (dist < CONFIG.MIN_DISTANCE / CONFIG.DOWNSAMPLE_FACTOR) {
-          tooClose = true;
-          break;
-        }
-      }
-
-      if (!tooClose) {
-        features.push(r);
-      }
-    }
-
-    return features;
+    return detectCorners(grayFrame, personMask, {
+      border: 3,
+      step: 3,
+      maxFeatures: CONFIG.MAX_FEATURES,
+      minDistance: CONFIG.MIN_DISTANCE / CONFIG.DOWNSAMPLE_FACTOR
+    });
   }
 
   /**
    * Track features using Lucas-Kanade optical flow
+   * Lost features are dropped from both lists, so previousPoints[i] and
+   * trackedPoints[i] are always the same point in the two frames.
+   * @returns {{previousPoints: FeaturePoint[], trackedPoints: FeaturePoint[], lostCount: number}}
    * @private
    */
   _trackFeatures(prevFrame, currFrame, features) {
@@ -365,6 +1040,7 @@ class JiggleCompensator {
     const prevData = prevFrame.data;
     const currData = currFrame.data;
 
+    const previousPoints = [];
     const trackedPoints = [];
     let lostCount = 0;
 
@@ -436,90 +1112,214 @@ class JiggleCompensator {
       const newY = fy + dy;
 
       if (newX >= 0 && newX < w && newY >= 0 && newY < h && Math.abs(dx) < win && Math.abs(dy) < win) {
+        previousPoints.push(feature);
         trackedPoints.push({ x: newX, y: newY, response: feature.response });
       } else {
         lostCount++;
       }
     }
 
-    return { trackedPoints, lostCount };
+    return { previousPoints, trackedPoints, lostCount };
+  }
+
+  /**
+   * Estimate the frame-to-frame motion of the tracked features
+   * @param {FeaturePoint[]} prevFeatures - Points in the previous frame
+   * @param {FeaturePoint[]} currFeatures - The same points in the current frame
+   * @param {string} [model] - 'similarity' or 'homography'
+   * @returns {MotionEstimate|null} Null if there are too few usable correspondences
+   * @private
+   */
+  _computeTransform(prevFeatures, currFeatures, model = CONFIG.MOTION_MODEL) {
+    return ransacFit(prevFeatures, currFeatures, {
+      model,
+      threshold: CONFIG.RANSAC_THRESHOLD,
+      iterations: CONFIG.RANSAC_ITERATIONS
+    });
   }
 
   /**
-   * Compute translation transform from point correspondences
+   * Trigger reset callback
    * @private
    */
-  _computeTransform(prevFeatures, currFeatures) {
-    if (prevFeatures.length !== currFeatures.length || prevFeatures.length === 0) {
-      return { dx: 0, dy: 0, scale: 1, rotation: 0 };
+  _triggerReset() {
+    if (this.onReset && (performance.now() - this._lastResetTime) > 1000) {
+      this.onReset();
     }
 
-    // Simple translation estimation (median of displacements)
-    const dxs = [];
-    const dys = [];
+    // Tracking can't say where the wall went; the reference frame can.
+    // Restarting the countdown on every reset waits out a camera that is still moving.
+    if (this.reference) {
+      this._relocalizeAttemptsLeft = CONFIG.RELOCALIZE_ATTEMPTS;
+      this._relocalizeBestConfidence = 0;
+      this._nextRelocalizeAt = performance.now() + CONFIG.RELOCALIZE_INTERVAL_MS;
+    }
+  }
 
-    for (let i = 0; i < prevFeatures.length; i++) {
-      dxs.push(currFeatures[i].x - prevFeatures[i].x);
-      dys.push(currFeatures[i].y - prevFeatures[i].y);
+  /**
+   * Match the current frame against the reference. On success, report how saved
+   * regions must move (from the pose they were saved in to the current view) and
+   * restart tracking; after the last failed attempt, report that recalibration is needed.
+   * @param {HTMLVideoElement|HTMLCanvasElement} source
+   * @param {ImageData|null} personMask
+   * @returns {boolean} Whether the wall was found
+   * @private
+   */
+  _relocalize(source, personMask) {
+    this._relocalizeAttemptsLeft--;
+
+    const current = JiggleCompensator.computeDescriptors(source, personMask);
+    const match = JiggleCompensator.matchReference(this.reference, current);
+    const inversePose = invertMatrix(this.reference.pose || IDENTITY_MATRIX);
+    const reliable = match.matrix && inversePose &&
+      match.inlierCount >= CONFIG.RELOCALIZE_MIN_INLIERS &&
+      match.confidence >= CONFIG.RELOCALIZE_MIN_CONFIDENCE;
+
+    if (reliable) {
+      const matrix = multiplyMatrices(match.matrix, inversePose);
+      this.reference = { ...this.reference, pose: match.matrix };
+      this._relocalizeAttemptsLeft = 0;
+      console.log(`[JiggleCompensator] Relocalized against the reference frame (${match.inlierCount} inliers, confidence ${match.confidence.toFixed(2)})`);
+      if (this.onRelocalize) {
+        this.onRelocalize({ matrix, pose: match.matrix, confidence: match.confidence });
+      }
+      this.initialize(source, personMask);
+      return true;
     }
 
-    // Use median for robustness
-    dxs.sort((a, b) => a - b);
-    dys.sort((a, b) => a - b);
+    this._relocalizeBestConfidence = Math.max(this._relocalizeBestConfidence, match.confidence);
+    if (this._relocalizeAttemptsLeft > 0) {
+      this._nextRelocalizeAt = performance.now() + CONFIG.RELOCALIZE_INTERVAL_MS;
+      return false;
+    }
 
-    const medianIdx = Math.floor(dxs.length / 2);
+    console.log(`[JiggleCompensator] Could not relocalize (best confidence ${this._relocalizeBestConfidence.toFixed(2)})`);
+    if (this.onRelocalizeFailed) {
+      this.onRelocalizeFailed({ confidence: this._relocalizeBestConfidence });
+    }
+    return false;
+  }
 
-    return {
-      dx: dxs[medianIdx],
-      dy: dys[medianIdx],
-      scale: 1,
-      rotation: 0
-    };
+  /**
+   * Describe a video frame for relocalization (also used for the reference frame)
+   * @param {HTMLVideoElement|HTMLCanvasElement} source - Video or canvas source
+   * @param {ImageData|null} [personMask] - Person mask at the source resolution
+   * @returns {FrameDescriptors}
+   */
+  static computeDescriptors(source, personMask = null) {
+    const { width: sourceWidth, height: sourceHeight } = getSourceDimensions(source);
+    const width = CONFIG.DESCRIPTOR_WIDTH;
+    const height = Math.max(1, Math.round(sourceHeight * width / sourceWidth));
+
+    if (!descriptorCanvas) {
+      descriptorCanvas = new OffscreenCanvas(width, height);
+      descriptorCtx = descriptorCanvas.getContext('2d', { willReadFrequently: true });
+    }
+    descriptorCanvas.width = width;
+    descriptorCanvas.height = height;
+    descriptorCtx.drawImage(source, 0, 0, width, height);
+
+    const frame = descriptorCtx.getImageData(0, 0, width, height);
+    const mask = personMask ? downsampleMask(personMask, sourceWidth, sourceHeight, width, height) : null;
+    return describeFrame(frame, mask);
   }
 
   /**
-   * Trigger reset callback
-   * @private
+   * Detect keypoints and compute descriptors for RGBA pixels already at DESCRIPTOR_WIDTH
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData
+   * @param {Uint8Array|null} [personMask] - Mask at the same size
+   * @returns {FrameDescriptors}
    */
-  _triggerReset() {
-    if (this.onReset && (performance.now() - this._lastResetTime) > 1000) {
-      this.onReset();
+  static describeFrame(imageData, personMask = null) {
+    return describeFrame(imageData, personMask);
+  }
+
+  /**
+   * Match a frame against the reference frame's descriptors
+   * @param {FrameDescriptors} reference
+   * @param {FrameDescriptors} current
+   * @returns {ReferenceMatch}
+   */
+  static matchReference(reference, current) {
+    return matchDescriptors(reference, current);
+  }
+
+  /**
+   * Whether a transform leaves regions where they are
+   * @param {Transform} transform
+   * @returns {boolean}
+   */
+  static isIdentity(transform) {
+    if (!transform) return true;
+    if (transform.matrix) {
+      return transform.matrix.every((v, i) => Math.abs(v - IDENTITY_MATRIX[i]) < 1e-6);
     }
+    return transform.dx === 0 && transform.dy === 0 &&
+      (transform.scale ?? 1) === 1 && (transform.rotation ?? 0) === 0;
   }
 
   /**
    * Apply compensation transform to a region
-   * @param {Object} region - Wall region with corner points
+   * @param {Object} region - Wall region with corner points, plus any polygon or mask points (percent)
    * @param {Transform} transform - Compensation transform
    * @returns {Object} Adjusted region
    */
   static applyToRegion(region, transform) {
-    if (!transform || (transform.dx === 0 && transform.dy === 0)) {
+    if (JiggleCompensator.isIdentity(transform)) {
       return region;
     }
 
-    // Convert pixel offset to percentage
-    // Assuming 1280x720 as reference resolution
-    const dxPercent = (transform.dx / 1280) * 100;
-    const dyPercent = (transform.dy / 720) * 100;
+    // Corners are stored in percent; the transform works in the source's own pixels
+    const width = transform.width || REFERENCE_WIDTH;
+    const height = transform.height || REFERENCE_HEIGHT;
+    const matrix = transform.matrix || similarityMatrix(transform);
+
+    const mapCorner = (corner) => {
+      const p = projectPoint(matrix, (corner.x / 100) * width, (corner.y / 100) * height);
+      return { x: (p.x / width) * 100, y: (p.y / height) * 100 };
+    };
+
+    const mapped = {
+      ...region,
+      topLeft: mapCorner(region.topLeft),
+      topRight: mapCorner(region.topRight),
+      bottomLeft: mapCorner(region.bottomLeft),
+      bottomRight: mapCorner(region.bottomRight)
+    };
+
+    // Polygon outlines and brush strokes move with the wall too
+    if (region.polygon) {
+      mapped.polygon = region.polygon.map(mapCorner);
+    }
+    if (region.mask) {
+      mapped.mask = JiggleCompensator.applyToMask(region.mask, transform);
+    }
+    return mapped;
+  }
+
+  /**
+   * Apply compensation transform to brush strokes (a mask region's area or a region's drawn occluders)
+   * @param {Object} mask - Object with strokes of percent points
+   * @param {Transform} transform - Compensation transform
+   * @returns {Object} Adjusted mask
+   */
+  static applyToMask(mask, transform) {
+    if (JiggleCompensator.isIdentity(transform)) {
+      return mask;
+    }
+
+    const width = transform.width || REFERENCE_WIDTH;
+    const height = transform.height || REFERENCE_HEIGHT;
+    const matrix = transform.matrix || similarityMatrix(transform);
+
+    const mapPoint = (point) => {
+      const p = projectPoint(matrix, (point.x / 100) * width, (point.y / 100) * height);
+      return { x: (p.x / width) * 100, y: (p.y / height) * 100 };
+    };
 
     return {
-      topLeft: {
-        x: region.topLeft.x + dxPercent,
-        y: region.topLeft.y + dyPercent
-      },
-      topRight: {
-        x: region.topRight.x + dxPercent,
-        y: region.topRight.y + dyPercent
-      },
-      bottomLeft: {
-        x: region.bottomLeft.x + dxPercent,
-        y: region.bottomLeft.y + dyPercent
-      },
-      bottomRight: {
-        x: region.bottomRight.x + dxPercent,
-        y: region.bottomRight.y + dyPercent
-      }
+      ...mask,
+      strokes: mask.strokes.map(stroke => ({ ...stroke, points: stroke.points.map(mapPoint) }))
     };
   }
 
@@ -530,21 +1330,21 @@ class JiggleCompensator {
     return {
       initialized: this.initialized,
       enabled: this.enabled,
+      hasReference: !!this.reference,
+      relocalizing: this._relocalizeAttemptsLeft > 0,
       featureCount: this.features.length,
+      inlierCount: this.inlierCount,
       cumulativeDx: this.cumulativeTransform.dx.toFixed(2),
-      cumulativeDy: this.cumulativeTransform.dy.toFixed(2)
+      cumulativeDy: this.cumulativeTransform.dy.toFixed(2),
+      cumulativeScale: this.cumulativeTransform.scale.toFixed(4),
+      cumulativeRotation: (this.cumulativeTransform.rotation * 180 / Math.PI).toFixed(2)
     };
   }
 }
 
-// Export for use in different contexts
+// Export for use in different contexts (page script or compositor worker)
 if (typeof window !== 'undefined') {
   window.JiggleCompensator = JiggleCompensator;
-}
-
-// Also export for module systems
-// eslint-disable-next-line no-undef
-if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
-  // eslint-disable-next-line no-undef
-  module.exports = { JiggleCompensator, CONFIG };
+} else if (typeof self !== 'undefined') {
+  self.JiggleCompensator = JiggleCompensator;
 }
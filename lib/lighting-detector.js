@@ -5,9 +5,14 @@
  * to maintain visual consistency for wall art and paint.
  *
  * Piggybacks on the segmentation loop (no extra overhead).
- * Uses a 20% brightness threshold and 7.5 second cooldown.
+ * Every wall region tracks its own luminance and white balance, so a desk
+ * lamp lighting one corner of the room only grades the art in that corner.
+ * Uses a 20% brightness / 0.15 color temperature threshold and a 7.5 second
+ * cooldown per region.
  */
 
+import { computeQuadHomography, applyHomography } from './wall-region.js';
+
 /**
  * Configuration constants
  */
@@ -21,7 +26,9 @@ const CONFIG = {
   COOLDOWN_MS: 7500,             // 7.5 seconds between adjustments
 
   // Sampling
-  SAMPLE_GRID_SIZE: 8,           // 8x8 grid for sampling (64 points)
+  SAMPLE_WIDTH: 320,             // Frame is sampled at no more than 320x240
+  SAMPLE_HEIGHT: 240,
+  SAMPLE_GRID_SIZE: 8,           // 8x8 grid per region (64 points)
   MIN_SAMPLES: 20,               // Minimum valid samples needed
 
   // Smoothing
@@ -29,41 +36,223 @@ const CONFIG = {
 
   // Art brightness adjustment range
   MIN_BRIGHTNESS_MULTIPLIER: 0.6,
-  MAX_BRIGHTNESS_MULTIPLIER: 1.4
+  MAX_BRIGHTNESS_MULTIPLIER: 1.4,
+
+  // White balance adjustment range (per channel, luminance normalized out)
+  MIN_COLOR_GAIN: 0.75,
+  MAX_COLOR_GAIN: 1.25,
+  MIN_CHANNEL_LEVEL: 8           // Floor for channel averages so a dark wall can't blow up the gains
 };
 
 /**
  * @typedef {Object} LightingMetrics
  * @property {number} brightness - Average brightness (0-255)
- * @property {number} colorTemp - Color temperature (-1 to 1, negative=cool, positive=warm)
+ * @property {number} colorTemp - Color temperature (-2 to 2, negative=cool, positive=warm)
  * @property {number} contrast - Contrast ratio (0-1)
+ * @property {number} r - Average red level (0-255)
+ * @property {number} g - Average green level (0-255)
+ * @property {number} b - Average blue level (0-255)
  */
 
 /**
- * @typedef {Object} LightingChange
- * @property {boolean} changed - Whether lighting changed significantly
+ * @typedef {Object} LightingGrade
+ * @property {number} brightness - Brightness multiplier for the region's art and paint
+ * @property {number[]} colorGain - Per-channel [r, g, b] gains (1 = unchanged)
+ */
+
+/**
+ * @typedef {Object} RegionLighting
+ * @property {LightingMetrics} baselineMetrics - Lighting the region was first seen in (grade is relative to this)
+ * @property {LightingMetrics} referenceMetrics - Lighting at the last adjustment (thresholds are relative to this)
+ * @property {LightingMetrics} currentMetrics - Smoothed current lighting
+ * @property {LightingMetrics[]} metricsHistory - Recent measurements
+ * @property {LightingGrade} grade - Current grade
+ * @property {number} lastAdjustmentTime - performance.now() of the last adjustment
+ */
+
+/**
+ * @typedef {Object} LightingRegionChange
+ * @property {string} id - Wall art region ID
  * @property {number} brightnessDelta - Change in brightness (0-1)
  * @property {number} colorTempDelta - Change in color temp
  * @property {number} contrastDelta - Change in contrast
- * @property {number} artBrightnessMultiplier - Suggested multiplier for art brightness
+ * @property {LightingGrade} grade - New grade for the region
  */
 
 /**
- * LightingDetector - Monitors lighting conditions and triggers compensation
+ * @typedef {Object} LightingChange
+ * @property {boolean} changed - Whether any region's lighting changed significantly
+ * @property {Map<string, LightingGrade>} grades - Grade per wall art region ID
+ * @property {LightingRegionChange[]} changes - Regions re-graded this frame
  */
-class LightingDetector {
-  constructor() {
-    /** @type {LightingMetrics|null} */
-    this.referenceMetrics = null;
 
-    /** @type {LightingMetrics|null} */
-    this.currentMetrics = null;
+/**
+ * @typedef {Object} LightingSample
+ * @property {Uint8ClampedArray} data - RGBA pixels of the downsampled frame
+ * @property {number} width - Sample width
+ * @property {number} height - Sample height
+ * @property {Uint8ClampedArray|null} mask - RGBA person mask at the sample size
+ */
+
+/**
+ * Grade that leaves art untouched
+ * @returns {LightingGrade}
+ */
+function neutralGrade() {
+  return { brightness: 1, colorGain: [1, 1, 1] };
+}
+
+/**
+ * Clamp a value to a range
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Measure lighting inside a wall region of a sampled frame.
+ * Samples an 8x8 grid laid out in the region's perspective (through its homography),
+ * so only wall inside the quad counts and far parts of the wall aren't oversampled,
+ * skipping person pixels.
+ * @param {LightingSample} sample - Downsampled frame
+ * @param {Object|null} region - Wall region (percentage corners), or null for the full frame
+ * @returns {LightingMetrics|null} Metrics, or null when too little wall is visible
+ */
+function measureRegion(sample, region) {
+  const { data, width, height, mask } = sample;
+  const corners = region || {
+    topLeft: { x: 0, y: 0 },
+    topRight: { x: 100, y: 0 },
+    bottomLeft: { x: 0, y: 100 },
+    bottomRight: { x: 100, y: 100 }
+  };
+
+  const toRegion = computeQuadHomography(corners);
+  if (!toRegion) return null;
+
+  const gridSize = CONFIG.SAMPLE_GRID_SIZE;
+  let totalBrightness = 0;
+  let totalR = 0, totalG = 0, totalB = 0;
+  let minBrightness = 255, maxBrightness = 0;
+  let validSamples = 0;
+
+  for (let gy = 0; gy < gridSize; gy++) {
+    const v = (gy + 0.5) / gridSize;
+    for (let gx = 0; gx < gridSize; gx++) {
+      const u = (gx + 0.5) / gridSize;
+      const point = applyHomography(toRegion, u, v);
+      const x = Math.floor((point.x / 100) * width);
+      const y = Math.floor((point.y / 100) * height);
+
+      // Skip if outside bounds
+      if (x < 0 || x >= width || y < 0 || y >= height) continue;
+
+      const idx = (y * width + x) * 4;
+
+      // Skip if person mask covers this pixel
+      if (mask && mask[idx] > 128) continue;
+
+      const r = data[idx];
+      const g = data[idx + 1];
+      const b = data[idx + 2];
+
+      // Calculate luminance (perceived brightness)
+      const brightness = 0.299 * r + 0.587 * g + 0.114 * b;
+
+      totalBrightness += brightness;
+      totalR += r;
+      totalG += g;
+      totalB += b;
+      minBrightness = Math.min(minBrightness, brightness);
+      maxBrightness = Math.max(maxBrightness, brightness);
+      validSamples++;
+    }
+  }
+
+  if (validSamples < CONFIG.MIN_SAMPLES) {
+    return null;
+  }
+
+  const avgR = totalR / validSamples;
+  const avgG = totalG / validSamples;
+  const avgB = totalB / validSamples;
+
+  return {
+    brightness: totalBrightness / validSamples,
+    // Positive = warm (more red/yellow), Negative = cool (more blue)
+    colorTemp: ((avgR - avgB) / 255) * 2,
+    contrast: (maxBrightness - minBrightness) / 255,
+    r: avgR,
+    g: avgG,
+    b: avgB
+  };
+}
+
+/**
+ * Average a list of measurements
+ * @param {LightingMetrics[]} history
+ * @returns {LightingMetrics}
+ */
+function averageMetrics(history) {
+  const sum = { brightness: 0, colorTemp: 0, contrast: 0, r: 0, g: 0, b: 0 };
+  history.forEach(m => {
+    Object.keys(sum).forEach(key => { sum[key] += m[key]; });
+  });
+  Object.keys(sum).forEach(key => { sum[key] /= history.length; });
+  return sum;
+}
 
-    /** @type {LightingMetrics[]} */
-    this.metricsHistory = [];
+/**
+ * Grade that makes art lit for the baseline look lit like the current wall.
+ * Brightness follows the luminance ratio; the color gains carry what is left
+ * per channel once the luminance change is divided out (a lamp turning the wall
+ * orange raises red and lowers blue).
+ * @param {LightingMetrics} baseline - Lighting the art was placed in
+ * @param {LightingMetrics} current - Current lighting
+ * @returns {LightingGrade}
+ */
+function computeGrade(baseline, current) {
+  const ratio = Math.max(current.brightness, 1) / Math.max(baseline.brightness, 1);
+  const floor = CONFIG.MIN_CHANNEL_LEVEL;
+
+  const colorGain = ['r', 'g', 'b'].map(channel => {
+    const channelRatio = Math.max(current[channel], floor) / Math.max(baseline[channel], floor);
+    return clamp(channelRatio / ratio, CONFIG.MIN_COLOR_GAIN, CONFIG.MAX_COLOR_GAIN);
+  });
+
+  return {
+    brightness: clamp(ratio, CONFIG.MIN_BRIGHTNESS_MULTIPLIER, CONFIG.MAX_BRIGHTNESS_MULTIPLIER),
+    colorGain
+  };
+}
+
+/**
+ * Fresh tracking state for a region
+ * @param {LightingMetrics} metrics - First measurement
+ * @returns {RegionLighting}
+ */
+function createRegionLighting(metrics) {
+  return {
+    baselineMetrics: { ...metrics },
+    referenceMetrics: { ...metrics },
+    currentMetrics: { ...metrics },
+    metricsHistory: [metrics],
+    grade: neutralGrade(),
+    lastAdjustmentTime: 0
+  };
+}
 
-    /** @type {number} */
-    this.lastAdjustmentTime = 0;
+/**
+ * LightingDetector - Monitors lighting conditions per wall region and triggers compensation
+ */
+class LightingDetector {
+  constructor() {
+    /** @type {Map<string, RegionLighting>} */
+    this.regions = new Map();
 
     /** @type {boolean} */
     this.enabled = true;
@@ -71,130 +260,135 @@ class LightingDetector {
     /** @type {boolean} */
     this.initialized = false;
 
-    /** @type {number} */
-    this.artBrightnessMultiplier = 1.0;
-
     /** @type {Function|null} */
     this.onLightingChange = null;
+
+    /** @type {OffscreenCanvas|null} */
+    this._sampleCanvas = null;
   }
 
   /**
    * Initialize with reference lighting conditions
    * @param {HTMLCanvasElement|HTMLVideoElement} source - Video or canvas source
    * @param {ImageData|null} personMask - Person mask to exclude
-   * @param {Object|null} region - Wall region to sample (or null for full frame)
+   * @param {Array<{id: string, region: Object}>} wallArtOverlays - Regions to track
    */
-  initialize(source, personMask = null, region = null) {
-    this.referenceMetrics = this._measureLighting(source, personMask, region);
-    this.currentMetrics = { ...this.referenceMetrics };
-    this.metricsHistory = [this.referenceMetrics];
-    this.artBrightnessMultiplier = 1.0;
+  initialize(source, personMask = null, wallArtOverlays = []) {
+    const sample = this._sampleFrame(source, personMask);
+    this.regions = new Map();
+    wallArtOverlays.forEach(({ id, region }) => {
+      const metrics = measureRegion(sample, region);
+      if (metrics) {
+        this.regions.set(id, createRegionLighting(metrics));
+      }
+    });
     this.initialized = true;
-    this.lastAdjustmentTime = 0;
 
-    console.log('[LightingDetector] Initialized with reference:', this.referenceMetrics);
+    console.log('[LightingDetector] Initialized with', this.regions.size, 'region(s)');
   }
 
   /**
-   * Process a frame and check for lighting changes
+   * Process a frame and check each region for lighting changes.
+   * Regions seen for the first time take the current lighting as their baseline;
+   * regions no longer passed in are forgotten.
    * @param {HTMLCanvasElement|HTMLVideoElement} source - Video or canvas source
    * @param {ImageData|null} personMask - Person mask to exclude
-   * @param {Object|null} region - Wall region to sample
+   * @param {Array<{id: string, region: Object}>} wallArtOverlays - Regions to grade (where the wall is in this frame)
    * @returns {LightingChange} Lighting change information
    */
-  process(source, personMask = null, region = null) {
+  process(source, personMask = null, wallArtOverlays = []) {
     if (!this.enabled || !this.initialized) {
-      return {
-        changed: false,
-        brightnessDelta: 0,
-        colorTempDelta: 0,
-        contrastDelta: 0,
-        artBrightnessMultiplier: this.artBrightnessMultiplier
-      };
+      return { changed: false, grades: this.getGrades(), changes: [] };
     }
 
-    // Measure current lighting
-    const metrics = this._measureLighting(source, personMask, region);
+    const sample = this._sampleFrame(source, personMask);
+    const now = performance.now();
+    /** @type {LightingRegionChange[]} */
+    const changes = [];
+    const seen = new Set();
+
+    wallArtOverlays.forEach(({ id, region }) => {
+      seen.add(id);
+      const metrics = measureRegion(sample, region);
+      const state = this.regions.get(id);
+
+      if (!state) {
+        if (metrics) this.regions.set(id, createRegionLighting(metrics));
+        return;
+      }
 
-    // Add to history for smoothing
-    this.metricsHistory.push(metrics);
-    if (this.metricsHistory.length > CONFIG.HISTORY_SIZE) {
-      this.metricsHistory.shift();
-    }
+      // Keep the last smoothed metrics while someone is standing in front of the region
+      if (metrics) {
+        state.metricsHistory.push(metrics);
+        if (state.metricsHistory.length > CONFIG.HISTORY_SIZE) {
+          state.metricsHistory.shift();
+        }
+        state.currentMetrics = averageMetrics(state.metricsHistory);
+      }
 
-    // Use smoothed metrics
-    this.currentMetrics = this._getSmoothedMetrics();
-
-    // Calculate deltas from reference
-    const brightnessDelta = Math.abs(
-      (this.currentMetrics.brightness - this.referenceMetrics.brightness) /
-      Math.max(this.referenceMetrics.brightness, 1)
-    );
-    const colorTempDelta = Math.abs(
-      this.currentMetrics.colorTemp - this.referenceMetrics.colorTemp
-    );
-    const contrastDelta = Math.abs(
-      this.currentMetrics.contrast - this.referenceMetrics.contrast
-    );
-
-    // Check if change exceeds threshold
-    const brightnessChanged = brightnessDelta >= CONFIG.BRIGHTNESS_THRESHOLD;
-    const colorTempChanged = colorTempDelta >= CONFIG.COLOR_TEMP_THRESHOLD;
-    // contrastChanged kept for potential future use
-    const _contrastChanged = contrastDelta >= CONFIG.CONTRAST_THRESHOLD;
-
-    const significantChange = brightnessChanged || colorTempChanged;
-
-    // Check cooldown
-    const now = performance.now();
-    const cooldownExpired = (now - this.lastAdjustmentTime) >= CONFIG.COOLDOWN_MS;
+      const current = state.currentMetrics;
+      const reference = state.referenceMetrics;
+      const brightnessDelta = Math.abs(
+        (current.brightness - reference.brightness) / Math.max(reference.brightness, 1)
+      );
+      const colorTempDelta = Math.abs(current.colorTemp - reference.colorTemp);
+      const contrastDelta = Math.abs(current.contrast - reference.contrast);
+
+      const significantChange = brightnessDelta >= CONFIG.BRIGHTNESS_THRESHOLD ||
+        colorTempDelta >= CONFIG.COLOR_TEMP_THRESHOLD;
+      const cooldownExpired = (now - state.lastAdjustmentTime) >= CONFIG.COOLDOWN_MS;
 
-    const shouldTrigger = significantChange && cooldownExpired;
+      if (significantChange && cooldownExpired) {
+        state.lastAdjustmentTime = now;
+        state.grade = computeGrade(state.baselineMetrics, current);
 
-    if (shouldTrigger) {
-      this.lastAdjustmentTime = now;
+        // Thresholds are measured from the new lighting; the grade stays relative to the baseline
+        state.referenceMetrics = { ...current };
 
-      // Calculate art brightness multiplier based on lighting change
-      this.artBrightnessMultiplier = this._calculateArtBrightnessMultiplier();
+        changes.push({ id, brightnessDelta, colorTempDelta, contrastDelta, grade: state.grade });
+      }
+    });
 
-      // Update reference to new baseline
-      this.referenceMetrics = { ...this.currentMetrics };
+    for (const id of this.regions.keys()) {
+      if (!seen.has(id)) this.regions.delete(id);
+    }
 
-      console.log('[LightingDetector] Lighting change detected:', {
-        brightnessDelta: (brightnessDelta * 100).toFixed(1) + '%',
-        colorTempDelta: colorTempDelta.toFixed(3),
-        artBrightnessMultiplier: this.artBrightnessMultiplier.toFixed(2)
-      });
+    if (changes.length > 0) {
+      console.log('[LightingDetector] Lighting change detected:', changes.map(change => ({
+        id: change.id,
+        brightnessDelta: (change.brightnessDelta * 100).toFixed(1) + '%',
+        colorTempDelta: change.colorTempDelta.toFixed(3),
+        brightness: change.grade.brightness.toFixed(2),
+        colorGain: change.grade.colorGain.map(gain => gain.toFixed(2))
+      })));
 
       // Trigger callback if set
       if (this.onLightingChange) {
-        this.onLightingChange({
-          brightnessDelta,
-          colorTempDelta,
-          contrastDelta,
-          artBrightnessMultiplier: this.artBrightnessMultiplier
-        });
+        this.onLightingChange(changes);
       }
     }
 
-    return {
-      changed: shouldTrigger,
-      brightnessDelta,
-      colorTempDelta,
-      contrastDelta,
-      artBrightnessMultiplier: this.artBrightnessMultiplier
-    };
+    return { changed: changes.length > 0, grades: this.getGrades(), changes };
+  }
+
+  /**
+   * Current grade for every tracked region
+   * @returns {Map<string, LightingGrade>}
+   */
+  getGrades() {
+    const grades = new Map();
+    this.regions.forEach((state, id) => grades.set(id, state.grade));
+    return grades;
   }
 
   /**
-   * Measure lighting metrics from source
+   * Downsample the frame (and person mask) once for all regions
    * @param {HTMLCanvasElement|HTMLVideoElement} source
    * @param {ImageData|null} personMask
-   * @param {Object|null} region
-   * @returns {LightingMetrics}
+   * @returns {LightingSample}
    * @private
    */
-  _measureLighting(source, personMask, region) {
+  _sampleFrame(source, personMask) {
     // Get source dimensions
     const width = 'videoWidth' in source && source.videoWidth > 0
       ? source.videoWidth
@@ -203,104 +397,29 @@ class LightingDetector {
       ? source.videoHeight
       : source.height;
 
-    // Create temp canvas for sampling
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d', { willReadFrequently: true });
-
     // Use smaller size for performance
-    const sampleWidth = Math.min(width, 320);
-    const sampleHeight = Math.min(height, 240);
-    canvas.width = sampleWidth;
-    canvas.height = sampleHeight;
-
-    // Draw source
-    ctx.drawImage(source, 0, 0, sampleWidth, sampleHeight);
-    const imageData = ctx.getImageData(0, 0, sampleWidth, sampleHeight);
-    const data = imageData.data;
-
-    // Calculate region bounds (or use full frame)
-    let startX = 0, startY = 0, endX = sampleWidth, endY = sampleHeight;
-    if (region) {
-      // Convert percentage region to pixel coordinates
-      startX = Math.floor((Math.min(region.topLeft.x, region.bottomLeft.x) / 100) * sampleWidth);
-      startY = Math.floor((Math.min(region.topLeft.y, region.topRight.y) / 100) * sampleHeight);
-      endX = Math.ceil((Math.max(region.topRight.x, region.bottomRight.x) / 100) * sampleWidth);
-      endY = Math.ceil((Math.max(region.bottomLeft.y, region.bottomRight.y) / 100) * sampleHeight);
-    }
-
-    // Scale mask if provided
-    let scaledMask = null;
-    if (personMask) {
-      scaledMask = this._scaleMask(personMask, sampleWidth, sampleHeight);
-    }
-
-    // Sample on a grid within the region
-    const gridSize = CONFIG.SAMPLE_GRID_SIZE;
-    const stepX = (endX - startX) / gridSize;
-    const stepY = (endY - startY) / gridSize;
-
-    let totalBrightness = 0;
-    let totalR = 0, totalG = 0, totalB = 0;
-    let minBrightness = 255, maxBrightness = 0;
-    let validSamples = 0;
-
-    for (let gy = 0; gy < gridSize; gy++) {
-      for (let gx = 0; gx < gridSize; gx++) {
-        const x = Math.floor(startX + gx * stepX + stepX / 2);
-        const y = Math.floor(startY + gy * stepY + stepY / 2);
-
-        // Skip if outside bounds
-        if (x < 0 || x >= sampleWidth || y < 0 || y >= sampleHeight) continue;
+    const sampleWidth = Math.min(width, CONFIG.SAMPLE_WIDTH);
+    const sampleHeight = Math.min(height, CONFIG.SAMPLE_HEIGHT);
 
-        // Skip if person mask covers this pixel
-        if (scaledMask) {
-          const maskIdx = (y * sampleWidth + x) * 4;
-          if (scaledMask[maskIdx] > 128) continue; // Person pixel
-        }
-
-        const idx = (y * sampleWidth + x) * 4;
-        const r = data[idx];
-        const g = data[idx + 1];
-        const b = data[idx + 2];
-
-        // Calculate luminance (perceived brightness)
-        const brightness = 0.299 * r + 0.587 * g + 0.114 * b;
-
-        totalBrightness += brightness;
-        totalR += r;
-        totalG += g;
-        totalB += b;
-        minBrightness = Math.min(minBrightness, brightness);
-        maxBrightness = Math.max(maxBrightness, brightness);
-        validSamples++;
-      }
+    // Reused sample canvas (OffscreenCanvas works in the compositor worker too)
+    if (!this._sampleCanvas) {
+      this._sampleCanvas = new OffscreenCanvas(sampleWidth, sampleHeight);
     }
-
-    // Handle case with too few valid samples
-    if (validSamples < CONFIG.MIN_SAMPLES) {
-      return this.currentMetrics || {
-        brightness: 128,
-        colorTemp: 0,
-        contrast: 0.5
-      };
+    const canvas = this._sampleCanvas;
+    if (canvas.width !== sampleWidth || canvas.height !== sampleHeight) {
+      canvas.width = sampleWidth;
+      canvas.height = sampleHeight;
     }
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
 
-    const avgBrightness = totalBrightness / validSamples;
-    const avgR = totalR / validSamples;
-    const _avgG = totalG / validSamples; // Kept for potential future color analysis
-    const avgB = totalB / validSamples;
-
-    // Calculate color temperature (warm vs cool)
-    // Positive = warm (more red/yellow), Negative = cool (more blue)
-    const colorTemp = ((avgR - avgB) / 255) * 2; // Range: -2 to 2
-
-    // Calculate contrast (normalized range of brightness)
-    const contrast = (maxBrightness - minBrightness) / 255;
+    ctx.drawImage(source, 0, 0, sampleWidth, sampleHeight);
+    const data = ctx.getImageData(0, 0, sampleWidth, sampleHeight).data;
 
     return {
-      brightness: avgBrightness,
-      colorTemp,
-      contrast
+      data,
+      width: sampleWidth,
+      height: sampleHeight,
+      mask: personMask ? this._scaleMask(personMask, sampleWidth, sampleHeight) : null
     };
   }
 
@@ -313,16 +432,12 @@ class LightingDetector {
    * @private
    */
   _scaleMask(mask, targetWidth, targetHeight) {
-    const canvas = document.createElement('canvas');
+    const canvas = new OffscreenCanvas(targetWidth, targetHeight);
     const ctx = canvas.getContext('2d');
-    canvas.width = targetWidth;
-    canvas.height = targetHeight;
 
     // Create temp canvas with original mask
-    const tempCanvas = document.createElement('canvas');
+    const tempCanvas = new OffscreenCanvas(mask.width, mask.height);
     const tempCtx = tempCanvas.getContext('2d');
-    tempCanvas.width = mask.width;
-    tempCanvas.height = mask.height;
     tempCtx.putImageData(mask, 0, 0);
 
     // Scale to target size
@@ -330,60 +445,12 @@ class LightingDetector {
     return ctx.getImageData(0, 0, targetWidth, targetHeight).data;
   }
 
-  /**
-   * Get smoothed metrics from history
-   * @returns {LightingMetrics}
-   * @private
-   */
-  _getSmoothedMetrics() {
-    if (this.metricsHistory.length === 0) {
-      return { brightness: 128, colorTemp: 0, contrast: 0.5 };
-    }
-
-    const sum = this.metricsHistory.reduce((acc, m) => ({
-      brightness: acc.brightness + m.brightness,
-      colorTemp: acc.colorTemp + m.colorTemp,
-      contrast: acc.contrast + m.contrast
-    }), { brightness: 0, colorTemp: 0, contrast: 0 });
-
-    const count = this.metricsHistory.length;
-    return {
-      brightness: sum.brightness / count,
-      colorTemp: sum.colorTemp / count,
-      contrast: sum.contrast / count
-    };
-  }
-
-  /**
-   * Calculate art brightness multiplier based on current vs reference lighting
-   * @returns {number}
-   * @private
-   */
-  _calculateArtBrightnessMultiplier() {
-    if (!this.referenceMetrics || !this.currentMetrics) {
-      return 1.0;
-    }
-
-    // Calculate ratio of current to reference brightness
-    const ratio = this.currentMetrics.brightness / Math.max(this.referenceMetrics.brightness, 1);
-
-    // Clamp to reasonable range
-    return Math.max(
-      CONFIG.MIN_BRIGHTNESS_MULTIPLIER,
-      Math.min(CONFIG.MAX_BRIGHTNESS_MULTIPLIER, ratio)
-    );
-  }
-
   /**
    * Reset to uninitialized state
    */
   reset() {
-    this.referenceMetrics = null;
-    this.currentMetrics = null;
-    this.metricsHistory = [];
-    this.artBrightnessMultiplier = 1.0;
+    this.regions = new Map();
     this.initialized = false;
-    this.lastAdjustmentTime = 0;
     console.log('[LightingDetector] Reset');
   }
 
@@ -394,20 +461,21 @@ class LightingDetector {
   setEnabled(enabled) {
     this.enabled = enabled;
     if (!enabled) {
-      this.artBrightnessMultiplier = 1.0;
+      this.regions.forEach(state => { state.grade = neutralGrade(); });
     }
     console.log('[LightingDetector] Enabled:', enabled);
   }
 
   /**
-   * Force update reference to current lighting
+   * Force every region's baseline to its current lighting
    */
   updateReference() {
-    if (this.currentMetrics) {
-      this.referenceMetrics = { ...this.currentMetrics };
-      this.artBrightnessMultiplier = 1.0;
-      console.log('[LightingDetector] Reference updated to current metrics');
-    }
+    this.regions.forEach(state => {
+      state.baselineMetrics = { ...state.currentMetrics };
+      state.referenceMetrics = { ...state.currentMetrics };
+      state.grade = neutralGrade();
+    });
+    console.log('[LightingDetector] Reference updated to current metrics');
   }
 
   /**
@@ -415,26 +483,37 @@ class LightingDetector {
    * @returns {Object}
    */
   getStatus() {
+    const now = performance.now();
     return {
       initialized: this.initialized,
       enabled: this.enabled,
-      referenceMetrics: this.referenceMetrics,
-      currentMetrics: this.currentMetrics,
-      artBrightnessMultiplier: this.artBrightnessMultiplier.toFixed(2),
-      cooldownRemaining: Math.max(0,
-        CONFIG.COOLDOWN_MS - (performance.now() - this.lastAdjustmentTime)
-      )
+      regions: [...this.regions].map(([id, state]) => ({
+        id,
+        baselineMetrics: state.baselineMetrics,
+        currentMetrics: state.currentMetrics,
+        brightness: state.grade.brightness,
+        colorGain: state.grade.colorGain,
+        cooldownRemaining: Math.max(0, CONFIG.COOLDOWN_MS - (now - state.lastAdjustmentTime))
+      }))
     };
   }
-}
 
-// Export for use in inject.js
-// eslint-disable-next-line no-undef
-if (typeof module !== 'undefined' && module.exports) {
-  // eslint-disable-next-line no-undef
-  module.exports = { LightingDetector, CONFIG };
+  /**
+   * Grade for a baseline/current lighting pair (exposed for tests)
+   * @param {LightingMetrics} baseline
+   * @param {LightingMetrics} current
+   * @returns {LightingGrade}
+   */
+  static computeGrade(baseline, current) {
+    return computeGrade(baseline, current);
+  }
 }
 
-// Make available globally for browser context
-window.LightingDetector = LightingDetector;
-window.LIGHTING_CONFIG = CONFIG;
+// Make available globally for browser context (page script or compositor worker)
+if (typeof window !== 'undefined') {
+  window.LightingDetector = LightingDetector;
+  window.LIGHTING_CONFIG = CONFIG;
+} else if (typeof self !== 'undefined') {
+  self.LightingDetector = LightingDetector;
+  self.LIGHTING_CONFIG = CONFIG;
+}
@@ -0,0 +1,384 @@
+/**
+ * Mask Fitting Module
+ *
+ * Turns a binary segmentation mask (a wall picked with click-to-segment) into a
+ * wall region:
+ * - The largest connected blob is kept, so specks elsewhere in the frame are ignored
+ * - Its convex hull is reduced to the smallest enclosing quad, which becomes the
+ *   region's corners (the perspective of the art)
+ * - When the blob doesn't fill that quad (a wall around a door, an L-shaped wall),
+ *   its simplified outline is kept as a polygon region on top of the quad
+ */
+
+/**
+ * @typedef {import('./wall-region.js').Point} Point
+ * @typedef {import('./wall-region.js').WallRegion} WallRegion
+ */
+
+/**
+ * @typedef {Object} MaskFit
+ * @property {WallRegion} region - Fitted region (percentage coordinates)
+ * @property {'quad' | 'polygon'} shape - Whether the mask was fitted by its quad alone or by an outline
+ * @property {number} coverage - Fraction of the quad the mask covers (0-1)
+ */
+
+// Mask area / quad area above which the quad alone describes the mask
+export const DEFAULT_QUAD_COVERAGE = 0.9;
+
+// Outline simplification tolerance, as a fraction of the mask diagonal
+const OUTLINE_TOLERANCE = 0.01;
+const MAX_POLYGON_VERTICES = 24;
+
+// Neighbour offsets in clockwise order on screen (y down), starting west
+const RING_DX = [-1, -1, 0, 1, 1, 1, 0, -1];
+const RING_DY = [0, -1, -1, -1, 0, 1, 1, 1];
+
+/**
+ * Keep the largest 4-connected blob of a mask.
+ *
+ * @param {Uint8Array|Uint8ClampedArray} mask - One value per pixel, non-zero inside
+ * @param {number} width - Mask width
+ * @param {number} height - Mask height
+ * @returns {{ mask: Uint8Array, area: number }} Blob mask (1 inside) and its pixel count
+ */
+export function largestComponent(mask, width, height) {
+  const labels = new Int32Array(width * height);
+  const queue = new Int32Array(width * height);
+  let bestLabel = 0;
+  let bestArea = 0;
+  let label = 0;
+
+  for (let start = 0; start < labels.length; start++) {
+    if (!mask[start] || labels[start]) continue;
+
+    label++;
+    labels[start] = label;
+    let head = 0;
+    let tail = 0;
+    queue[tail++] = start;
+
+    while (head < tail) {
+      const idx = queue[head++];
+      const x = idx % width;
+      const neighbors = [
+        x > 0 ? idx - 1 : -1,
+        x < width - 1 ? idx + 1 : -1,
+        idx - width,
+        idx + width
+      ];
+      for (const n of neighbors) {
+        if (n >= 0 && n < labels.length && mask[n] && !labels[n]) {
+          labels[n] = label;
+          queue[tail++] = n;
+        }
+      }
+    }
+
+    if (tail > bestArea) {
+      bestArea = tail;
+      bestLabel = label;
+    }
+  }
+
+  const component = new Uint8Array(width * height);
+  for (let i = 0; i < labels.length; i++) {
+    if (bestLabel && labels[i] === bestLabel) component[i] = 1;
+  }
+  return { mask: component, area: bestArea };
+}
+
+/**
+ * Trace the outer boundary of a single blob (Moore neighbour tracing).
+ *
+ * @param {Uint8Array} mask - Blob mask (1 inside)
+ * @param {number} width - Mask width
+ * @param {number} height - Mask height
+ * @returns {Point[]} Boundary pixels in clockwise order (pixel coordinates), empty for an empty mask
+ */
+export function traceContour(mask, width, height) {
+  const start = mask.indexOf(1);
+  if (start === -1) return [];
+
+  const inside = (x, y) => x >= 0 && x < width && y >= 0 && y < height && mask[y * width + x] === 1;
+  const startX = start % width;
+  const startY = (start - startX) / width;
+  const contour = [{ x: startX, y: startY }];
+
+  // The raster scan reached the start pixel from the west, so that side is outside
+  const startBack = 0;
+  let x = startX;
+  let y = startY;
+  let back = startBack;
+  const maxSteps = 4 * width * height + 8;
+
+  for (let step = 0; step < maxSteps; step++) {
+    let next = -1;
+    for (let k = 1; k <= 8; k++) {
+      const dir = (back + k) % 8;
+      if (inside(x + RING_DX[dir], y + RING_DY[dir])) {
+        next = dir;
+        break;
+      }
+    }
+    if (next === -1) break; // A single isolated pixel
+
+    // Backtrack to the outside neighbour checked just before the next pixel
+    const prev = (next + 7) % 8;
+    const nx = x + RING_DX[next];
+    const ny = y + RING_DY[next];
+    const bx = x + RING_DX[prev] - nx;
+    const by = y + RING_DY[prev] - ny;
+    back = RING_DX.findIndex((dx, i) => dx === bx && RING_DY[i] === by);
+    x = nx;
+    y = ny;
+
+    if (x === startX && y === startY && back === startBack) break;
+    contour.push({ x, y });
+  }
+
+  return contour;
+}
+
+/**
+ * Convex hull (Andrew's monotone chain).
+ *
+ * @param {Point[]} points - Points in any order
+ * @returns {Point[]} Hull vertices, clockwise on screen (y down)
+ */
+export function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  if (sorted.length < 3) return sorted;
+
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const lower = [];
+  for (const p of sorted) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  const upper = [];
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    const p = sorted[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  lower.pop();
+  upper.pop();
+
+  // Counter-clockwise in y-up terms is clockwise on screen
+  return lower.concat(upper);
+}
+
+/**
+ * Simplify a closed outline (Douglas-Peucker).
+ *
+ * @param {Point[]} points - Closed outline
+ * @param {number} tolerance - Max distance of a dropped point from the simplified outline
+ * @returns {Point[]}
+ */
+export function simplifyPolygon(points, tolerance) {
+  if (points.length <= 3) return points.slice();
+
+  // Split the loop at the point farthest from the first, then simplify both halves
+  let far = 0;
+  let farDistance = -1;
+  for (let i = 1; i < points.length; i++) {
+    const d = Math.hypot(points[i].x - points[0].x, points[i].y - points[0].y);
+    if (d > farDistance) {
+      farDistance = d;
+      far = i;
+    }
+  }
+
+  const first = simplifyPath(points.slice(0, far + 1), tolerance);
+  const second = simplifyPath(points.slice(far).concat([points[0]]), tolerance);
+  return first.slice(0, -1).concat(second.slice(0, -1));
+}
+
+/**
+ * Smallest quad enclosing a convex polygon: edges are dropped one at a time, each
+ * time the one whose neighbours meet while adding the least area. The quad is kept
+ * inside the given bounds; when no edge can be dropped, the vertex cutting off the
+ * least area is removed instead.
+ *
+ * @param {Point[]} hull - Convex polygon, clockwise on screen
+ * @param {number} maxX - Right bound
+ * @param {number} maxY - Bottom bound
+ * @returns {Point[]|null} Four vertices, clockwise on screen, or null for a degenerate hull
+ */
+export function fitQuad(hull, maxX, maxY) {
+  const points = hull.slice();
+  if (points.length < 4) return null;
+
+  while (points.length > 4) {
+    const n = points.length;
+    let best = -1;
+    let bestPoint = null;
+    let bestArea = Infinity;
+
+    for (let i = 0; i < n; i++) {
+      const a = points[(i + n - 1) % n];
+      const b = points[i];
+      const c = points[(i + 1) % n];
+      const d = points[(i + 2) % n];
+      const meet = extendEdges(a, b, c, d);
+      if (!meet || meet.x < 0 || meet.y < 0 || meet.x > maxX || meet.y > maxY) continue;
+
+      const area = Math.abs(triangleArea(b, meet, c));
+      if (area < bestArea) {
+        bestArea = area;
+        best = i;
+        bestPoint = meet;
+      }
+    }
+
+    if (best === -1) {
+      // Nothing can be extended inside the bounds: cut the flattest vertex
+      let flattest = 0;
+      let flattestArea = Infinity;
+      for (let i = 0; i < n; i++) {
+        const area = Math.abs(triangleArea(points[(i + n - 1) % n], points[i], points[(i + 1) % n]));
+        if (area < flattestArea) {
+          flattestArea = area;
+          flattest = i;
+        }
+      }
+      points.splice(flattest, 1);
+    } else if (best === n - 1) {
+      // The dropped edge wraps around: replace the last and first vertices
+      points.splice(n - 1, 1);
+      points[0] = bestPoint;
+    } else {
+      points.splice(best, 2, bestPoint);
+    }
+  }
+
+  return Math.abs(polygonArea(points)) > 0 ? points : null;
+}
+
+/**
+ * Fit a wall region to a segmentation mask.
+ *
+ * @param {Uint8Array|Uint8ClampedArray} mask - One value per pixel, non-zero inside
+ * @param {number} width - Mask width
+ * @param {number} height - Mask height
+ * @param {Object} [options]
+ * @param {number} [options.minCoverage=0.9] - Mask / quad area above which no polygon is kept
+ * @returns {MaskFit|null} Null when the mask is empty
+ */
+export function fitMaskToRegion(mask, width, height, options = {}) {
+  const minCoverage = options.minCoverage ?? DEFAULT_QUAD_COVERAGE;
+  const blob = largestComponent(mask, width, height);
+  if (blob.area === 0) return null;
+
+  const contour = traceContour(blob.mask, width, height);
+
+  // Hull of the pixel squares (not their centres), so a full-frame mask fits the frame
+  const pixelCorners = [];
+  for (const p of contour) {
+    pixelCorners.push({ x: p.x, y: p.y }, { x: p.x + 1, y: p.y }, { x: p.x + 1, y: p.y + 1 }, { x: p.x, y: p.y + 1 });
+  }
+  const quad = fitQuad(convexHull(pixelCorners), width, height);
+  if (!quad) return null;
+
+  const toPercent = p => ({
+    x: Math.max(0, Math.min(100, (p.x / width) * 100)),
+    y: Math.max(0, Math.min(100, (p.y / height) * 100))
+  });
+  const [topLeft, topRight, bottomRight, bottomLeft] = orderQuad(quad).map(toPercent);
+  const region = { topLeft, topRight, bottomRight, bottomLeft };
+  const coverage = Math.min(1, blob.area / Math.abs(polygonArea(quad)));
+
+  if (coverage >= minCoverage || contour.length < 3) {
+    return { region, shape: 'quad', coverage };
+  }
+
+  // Outline through pixel centres, coarsened until it is easy to edit
+  const centers = contour.map(p => ({ x: p.x + 0.5, y: p.y + 0.5 }));
+  let tolerance = Math.hypot(width, height) * OUTLINE_TOLERANCE;
+  let outline = simplifyPolygon(centers, tolerance);
+  while (outline.length > MAX_POLYGON_VERTICES) {
+    tolerance *= 1.5;
+    outline = simplifyPolygon(centers, tolerance);
+  }
+  if (outline.length < 3) {
+    return { region, shape: 'quad', coverage };
+  }
+
+  return { region: { ...region, polygon: outline.map(toPercent) }, shape: 'polygon', coverage };
+}
+
+// Douglas-Peucker on an open path
+function simplifyPath(points, tolerance) {
+  if (points.length <= 2) return points.slice();
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  let index = -1;
+  let maxDistance = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const d = distanceToSegment(points[i], first, last);
+    if (d > maxDistance) {
+      maxDistance = d;
+      index = i;
+    }
+  }
+
+  if (maxDistance <= tolerance) return [first, last];
+  const left = simplifyPath(points.slice(0, index + 1), tolerance);
+  const right = simplifyPath(points.slice(index), tolerance);
+  return left.slice(0, -1).concat(right);
+}
+
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq)) : 0;
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+// Where the edge a->b, carried on past b, meets the edge d->c carried on past c
+function extendEdges(a, b, c, d) {
+  const rx = b.x - a.x;
+  const ry = b.y - a.y;
+  const sx = c.x - d.x;
+  const sy = c.y - d.y;
+  const denom = rx * sy - ry * sx;
+  if (Math.abs(denom) < 1e-12) return null;
+
+  const t = ((d.x - a.x) * sy - (d.y - a.y) * sx) / denom;
+  const u = ((d.x - a.x) * ry - (d.y - a.y) * rx) / denom;
+  if (t < 1 || u < 1) return null;
+  return { x: a.x + t * rx, y: a.y + t * ry };
+}
+
+function triangleArea(a, b, c) {
+  return ((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x)) / 2;
+}
+
+function polygonArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return area / 2;
+}
+
+// Quad vertices as topLeft, topRight, bottomRight, bottomLeft
+function orderQuad(quad) {
+  const points = polygonArea(quad) < 0 ? quad.slice().reverse() : quad.slice();
+  let start = 0;
+  for (let i = 1; i < points.length; i++) {
+    if (points[i].x + points[i].y < points[start].x + points[start].y) start = i;
+  }
+  return points.slice(start).concat(points.slice(0, start));
+}
+
+// Export for use in the page and popup (non-module context)
+if (typeof window !== 'undefined') {
+  window.MaskFitting = {
+    fitMaskToRegion
+  };
+}
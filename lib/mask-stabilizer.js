@@ -0,0 +1,330 @@
+/**
+ * Mask Stabilizer Module
+ *
+ * Keeps the person mask edge steady between and across segmentation runs:
+ * - Temporal filtering: each pixel keeps a running average (EMA) of the masks it
+ *   has seen, and only switches between person and background once the average
+ *   clearly crosses over (hysteresis), so hair and other uncertain edges stop
+ *   flickering
+ * - Motion compensation: on every frame, including the ones the segmentation
+ *   preset skips, the average is moved along a cheap block-matching optical flow
+ *   of the camera frame, so the edge follows a moving arm instead of lagging at
+ *   the last segmented position
+ *
+ * Masks are processed at the segmentation model's resolution (a few hundred
+ * pixels wide), and flow at an even smaller grayscale copy of the frame.
+ */
+
+export const STABILIZATION_MODES = {
+  OFF: 'off',             // Reuse the last segmented mask as-is (no stabilization)
+  TEMPORAL: 'temporal',   // EMA with hysteresis on segmented frames
+  MOTION: 'motion'        // EMA with hysteresis, warped along optical flow every frame
+};
+
+export const STABILIZER_DEFAULTS = {
+  alpha: 0.5,         // Weight of a new segmentation in the running average
+  high: 0.7,          // Average above which a background pixel becomes person
+  low: 0.3            // Average below which a person pixel becomes background
+};
+
+// Width of the grayscale frames flow is estimated on (the height follows the aspect)
+export const FLOW_WIDTH = 128;
+
+const FLOW_DEFAULTS = {
+  blockSize: 8,       // Block edge (flow pixels)
+  radius: 4,          // Search radius (flow pixels)
+  minTexture: 12,     // Blocks with a smaller gray range have no reliable motion
+  zeroBias: 0.1       // A move must beat standing still by this fraction of its cost
+};
+
+/**
+ * @typedef {Object} FlowField
+ * @property {Float32Array} dx - Per block: x offset to the matching spot in the previous frame
+ * @property {Float32Array} dy - Per block: y offset to the matching spot in the previous frame
+ * @property {number} cols - Blocks across
+ * @property {number} rows - Blocks down
+ * @property {number} blockSize - Block edge (pixels)
+ * @property {number} width - Width of the frames the flow was estimated on
+ * @property {number} height - Height of the frames the flow was estimated on
+ */
+
+/**
+ * Convert RGBA pixels to grayscale (Rec. 601 luma).
+ *
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - Frame pixels
+ * @returns {Uint8Array}
+ */
+export function toGrayscale(imageData) {
+  const { data } = imageData;
+  const gray = new Uint8Array(imageData.width * imageData.height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = (data[i * 4] * 77 + data[i * 4 + 1] * 150 + data[i * 4 + 2] * 29) >> 8;
+  }
+  return gray;
+}
+
+/**
+ * Estimate optical flow between two grayscale frames by block matching: for each
+ * block of the current frame, the offset of the best match (least absolute
+ * difference) in the previous frame. Flat blocks, and moves not clearly better
+ * than standing still, get no motion.
+ *
+ * @param {Uint8Array} previous - Previous frame (grayscale)
+ * @param {Uint8Array} current - Current frame (grayscale, same size)
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @param {Object} [options] - Overrides for block size, search radius, texture and zero bias
+ * @returns {FlowField} Backward flow: current pixel + offset = same spot in the previous frame
+ */
+export function estimateBlockFlow(previous, current, width, height, options = {}) {
+  const { blockSize, radius, minTexture, zeroBias } = { ...FLOW_DEFAULTS, ...options };
+  const cols = Math.max(1, Math.floor(width / blockSize));
+  const rows = Math.max(1, Math.floor(height / blockSize));
+  const dx = new Float32Array(cols * rows);
+  const dy = new Float32Array(cols * rows);
+
+  for (let by = 0; by < rows; by++) {
+    for (let bx = 0; bx < cols; bx++) {
+      const x0 = bx * blockSize;
+      const y0 = by * blockSize;
+      const x1 = Math.min(width, x0 + blockSize);
+      const y1 = Math.min(height, y0 + blockSize);
+
+      let min = 255;
+      let max = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const value = current[y * width + x];
+          if (value < min) min = value;
+          if (value > max) max = value;
+        }
+      }
+      if (max - min < minTexture) continue;
+
+      const still = blockDifference(previous, current, width, x0, y0, x1, y1, 0, 0, Infinity);
+      let best = still;
+      let bestX = 0;
+      let bestY = 0;
+      for (let oy = -radius; oy <= radius; oy++) {
+        if (y0 + oy < 0 || y1 + oy > height) continue;
+        for (let ox = -radius; ox <= radius; ox++) {
+          if ((ox === 0 && oy === 0) || x0 + ox < 0 || x1 + ox > width) continue;
+          const cost = blockDifference(previous, current, width, x0, y0, x1, y1, ox, oy, best);
+          if (cost < best) {
+            best = cost;
+            bestX = ox;
+            bestY = oy;
+          }
+        }
+      }
+
+      if (best < still * (1 - zeroBias)) {
+        dx[by * cols + bx] = bestX;
+        dy[by * cols + bx] = bestY;
+      }
+    }
+  }
+
+  return { dx, dy, cols, rows, blockSize, width, height };
+}
+
+/**
+ * Move per-pixel values (mask coverage or labels) along a flow field.
+ * Each pixel takes the value from where its content was in the previous frame.
+ *
+ * @template {Float32Array|Uint8Array} T
+ * @param {T} values - Values per pixel of the previous frame
+ * @param {number} width - Values width
+ * @param {number} height - Values height
+ * @param {FlowField} flow - Flow from the previous to the current frame (any resolution)
+ * @returns {T} Values for the current frame
+ */
+export function warpByFlow(values, width, height, flow) {
+  const out = /** @type {T} */ (new /** @type {*} */ (values.constructor)(values.length));
+  const scaleX = flow.width / width;
+  const scaleY = flow.height / height;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const { dx, dy } = flowAt(flow, (x + 0.5) * scaleX, (y + 0.5) * scaleY);
+      const sx = Math.min(width - 1, Math.max(0, Math.round(x + dx / scaleX)));
+      const sy = Math.min(height - 1, Math.max(0, Math.round(y + dy / scaleY)));
+      out[y * width + x] = values[sy * width + sx];
+    }
+  }
+
+  return out;
+}
+
+/**
+ * MaskStabilizer - temporal filtering and motion compensation for person masks
+ */
+export class MaskStabilizer {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.mode='motion'] - One of STABILIZATION_MODES
+   * @param {number} [options.alpha] - Weight of a new segmentation in the running average
+   * @param {number} [options.high] - Average above which a pixel becomes person
+   * @param {number} [options.low] - Average below which a pixel becomes background
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || STABILIZATION_MODES.MOTION;
+    this.alpha = options.alpha ?? STABILIZER_DEFAULTS.alpha;
+    this.high = options.high ?? STABILIZER_DEFAULTS.high;
+    this.low = options.low ?? STABILIZER_DEFAULTS.low;
+    this.reset();
+  }
+
+  /**
+   * Whether updates need grayscale frames for optical flow.
+   */
+  get needsMotion() {
+    return this.mode === STABILIZATION_MODES.MOTION;
+  }
+
+  /**
+   * Switch modes (starts over from the next segmentation).
+   * @param {string} mode - One of STABILIZATION_MODES
+   */
+  setMode(mode) {
+    if (mode === this.mode) return;
+    this.mode = mode;
+    this.reset();
+  }
+
+  /**
+   * Forget all mask and motion history.
+   */
+  reset() {
+    this._average = null;
+    this._person = null;
+    this._width = 0;
+    this._height = 0;
+    this._previousGray = null;
+    this._grayWidth = 0;
+    this._grayHeight = 0;
+    /** @type {FlowField|null} */
+    this.lastFlow = null;
+    /** @type {number} Share of mask pixels that switched in the last update (0-1) */
+    this.lastChange = 0;
+  }
+
+  /**
+   * Advance one frame.
+   *
+   * @param {Uint8Array|null} observation - Segmented mask (1 = person) at the mask size,
+   *   or null on frames that weren't segmented
+   * @param {number} width - Mask width
+   * @param {number} height - Mask height
+   * @param {{gray: Uint8Array, width: number, height: number}|null} [motion] - This frame
+   *   in grayscale, for MOTION mode
+   * @returns {Uint8Array|null} Stabilized mask (1 = person), null before the first segmentation
+   */
+  update(observation, width, height, motion = null) {
+    if (this.mode === STABILIZATION_MODES.OFF) {
+      if (observation) {
+        this.lastChange = this._person ? changedShare(this._person, observation) : 0;
+        this._person = observation;
+      } else {
+        this.lastChange = 0;
+      }
+      return this._person;
+    }
+
+    // A new mask size (another model or camera) starts over
+    if (this._average && (width !== this._width || height !== this._height)) {
+      this._average = null;
+      this._person = null;
+    }
+
+    this.lastFlow = null;
+    if (this.needsMotion && motion) {
+      const { gray, width: grayWidth, height: grayHeight } = motion;
+      const sameSize = this._previousGray && grayWidth === this._grayWidth && grayHeight === this._grayHeight;
+      if (sameSize && this._average) {
+        this.lastFlow = estimateBlockFlow(this._previousGray, gray, grayWidth, grayHeight);
+        this._average = warpByFlow(this._average, width, height, this.lastFlow);
+        this._person = warpByFlow(this._person, width, height, this.lastFlow);
+      }
+      this._previousGray = gray;
+      this._grayWidth = grayWidth;
+      this._grayHeight = grayHeight;
+    }
+
+    if (!this._average) {
+      if (!observation) return null;
+      this._average = Float32Array.from(observation);
+      this._person = Uint8Array.from(observation);
+      this._width = width;
+      this._height = height;
+      this.lastChange = 0;
+      return this._person;
+    }
+
+    const previous = this._person;
+    const person = new Uint8Array(previous);
+    for (let i = 0; i < person.length; i++) {
+      if (observation) {
+        this._average[i] += this.alpha * (observation[i] - this._average[i]);
+      }
+      if (this._average[i] > this.high) person[i] = 1;
+      else if (this._average[i] < this.low) person[i] = 0;
+    }
+
+    this.lastChange = changedShare(previous, person);
+    this._person = person;
+    return person;
+  }
+}
+
+// Sum of absolute differences between a current block and the previous frame at an
+// offset, stopping early once it can't beat the best so far
+function blockDifference(previous, current, width, x0, y0, x1, y1, ox, oy, limit) {
+  let sum = 0;
+  for (let y = y0; y < y1; y++) {
+    const row = y * width;
+    const previousRow = (y + oy) * width + ox;
+    for (let x = x0; x < x1; x++) {
+      sum += Math.abs(current[row + x] - previous[previousRow + x]);
+    }
+    if (sum >= limit) return sum;
+  }
+  return sum;
+}
+
+// Flow at a point, bilinear between block centers
+function flowAt(flow, x, y) {
+  const { cols, rows, blockSize } = flow;
+  const gx = Math.min(cols - 1, Math.max(0, x / blockSize - 0.5));
+  const gy = Math.min(rows - 1, Math.max(0, y / blockSize - 0.5));
+  const c0 = Math.floor(gx);
+  const r0 = Math.floor(gy);
+  const c1 = Math.min(cols - 1, c0 + 1);
+  const r1 = Math.min(rows - 1, r0 + 1);
+  const fx = gx - c0;
+  const fy = gy - r0;
+
+  const blend = (field) =>
+    (field[r0 * cols + c0] * (1 - fx) + field[r0 * cols + c1] * fx) * (1 - fy) +
+    (field[r1 * cols + c0] * (1 - fx) + field[r1 * cols + c1] * fx) * fy;
+
+  return { dx: blend(flow.dx), dy: blend(flow.dy) };
+}
+
+function changedShare(a, b) {
+  let changed = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) changed++;
+  }
+  return a.length > 0 ? changed / a.length : 0;
+}
+
+// Export for use in inject.js (non-module context)
+if (typeof window !== 'undefined') {
+  window.MaskStabilizer = {
+    STABILIZATION_MODES,
+    MaskStabilizer,
+    estimateBlockFlow,
+    warpByFlow
+  };
+}
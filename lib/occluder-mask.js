@@ -0,0 +1,441 @@
+/**
+ * Occluder Mask Module
+ *
+ * Person segmentation only hides people. Occluders keep the other things standing
+ * in front of the wall (a lamp, a plant, the edge of a monitor) in front of the
+ * paint and art of a wall region:
+ * - Drawn occluders: brush strokes painted over the object in the region editor
+ * - Automatic occluders: pixels that differ from the setup wizard reference frame
+ *   and aren't the person, held for a few updates so the mask doesn't flicker
+ *
+ * Occluder masks use the person mask's format (ImageData, opaque white = hidden),
+ * so the renderers cut them out wherever they cut out the person.
+ *
+ * Differencing only finds objects that weren't there when the reference frame was
+ * captured; objects already in place at setup have to be drawn, or found by the
+ * optional depth pass (depth-estimator.js), whose masks are merged in here too.
+ */
+
+import { resampleThroughPose, fillRegionArea } from './wall-region.js';
+
+/**
+ * @typedef {Object} RegionOccluders
+ * @property {import('./wall-region.js').MaskStroke[]} strokes - Drawn occluder strokes (percentage coordinates)
+ * @property {number} [aspect=16/9] - Frame width / height the strokes were painted on
+ * @property {boolean} [auto=false] - Also hide objects that differ from the setup reference frame
+ */
+
+/**
+ * @typedef {Object} MaskImage
+ * @property {Uint8ClampedArray} data - RGBA pixels (opaque white = hidden)
+ * @property {number} width - Width in pixels
+ * @property {number} height - Height in pixels
+ */
+
+// Mean per-channel difference (0-255) from the reference that counts as a new object
+export const DEFAULT_DIFFERENCE_THRESHOLD = 40;
+
+// Automatic occluders are found on a small copy of the frame; objects don't need more detail
+const WORK_WIDTH = 160;
+// Drawn occluders are rasterized at this width (the height follows the frame's aspect)
+const DRAWN_MASK_WIDTH = 320;
+// Objects in front of the wall hardly move, so a few updates a second is plenty
+const UPDATE_INTERVAL = 250;
+// Updates a pixel has to differ before it is hidden (and to match again before it is shown)
+const HOLD_UPDATES = 3;
+// Work pixels around the person that are never treated as objects (soft edges, cast shadows)
+const PERSON_MARGIN = 2;
+
+// Drawn masks by overlay ID, redrawn only when the strokes or the mask size change
+/** @type {Map<string, {strokes: Array, key: string, mask: MaskImage}>} */
+const drawnMasks = new Map();
+// Merged masks by occluder mask, then by person mask: a region's merge is redone
+// only once either input is a new mask (masks are replaced, never changed in place)
+/** @type {WeakMap<MaskImage, WeakMap<MaskImage, MaskImage>>} */
+const mergedMasks = new WeakMap();
+
+/**
+ * Whether an occluder set hides anything.
+ *
+ * @param {RegionOccluders|null|undefined} occluders - Occluders of a wall region
+ * @returns {boolean}
+ */
+function hasOccluders(occluders) {
+  return Boolean(occluders && (occluders.auto || (occluders.strokes && occluders.strokes.length > 0)));
+}
+
+/**
+ * Whether any active wall region asks for automatic occluders.
+ *
+ * @param {Array} wallArtOverlays - Wall art overlays
+ * @returns {boolean}
+ */
+export function needsAutoOccluders(wallArtOverlays) {
+  return wallArtOverlays.some(overlay => overlay.active && overlay.occluders && overlay.occluders.auto);
+}
+
+/**
+ * Resample the reference frame into the current camera view.
+ * The reference was captured before any camera move, so each output pixel is mapped
+ * back through the inverse pose. Pixels that fall outside the reference get alpha 0.
+ *
+ * @param {import('./wall-paint-renderer.js').ShadingReference} reference - Reference frame and pose
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @returns {MaskImage} Reference pixels as seen from the current view
+ */
+export function warpReferenceFrame(reference, width, height) {
+  const { frame, pose = null } = reference;
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  resampleThroughPose(frame, pose, width, height, (index, referenceIndex) => {
+    if (referenceIndex < 0) return;
+    const src = referenceIndex * 4;
+    const dst = index * 4;
+    data[dst] = frame.data[src];
+    data[dst + 1] = frame.data[src + 1];
+    data[dst + 2] = frame.data[src + 2];
+    data[dst + 3] = 255;
+  });
+
+  return { data, width, height };
+}
+
+/**
+ * Find the pixels where the live frame differs from the reference frame.
+ * The live frame is first scaled to the reference's overall brightness (among usable
+ * pixels), so the room getting lighter or darker doesn't read as a new object.
+ * Pixels on or near the person and pixels without a reference sample never count.
+ *
+ * @param {MaskImage} live - Live frame
+ * @param {MaskImage} reference - Reference frame at the same size (alpha 0 = no sample)
+ * @param {MaskImage|null} [personMask] - Person mask (any resolution, alpha = person)
+ * @param {number} [threshold] - Mean per-channel difference that counts as a change
+ * @returns {Uint8Array} 1 where the frame differs, per pixel
+ */
+export function computeDifferenceMask(live, reference, personMask = null, threshold = DEFAULT_DIFFERENCE_THRESHOLD) {
+  const { width, height } = live;
+  const usable = new Uint8Array(width * height);
+  const person = personMask ? sampleMaskNear(personMask, width, height, PERSON_MARGIN) : null;
+
+  let liveSum = 0;
+  let referenceSum = 0;
+  for (let i = 0; i < usable.length; i++) {
+    if (reference.data[i * 4 + 3] === 0 || (person && person[i])) continue;
+    usable[i] = 1;
+    liveSum += live.data[i * 4] + live.data[i * 4 + 1] + live.data[i * 4 + 2];
+    referenceSum += reference.data[i * 4] + reference.data[i * 4 + 1] + reference.data[i * 4 + 2];
+  }
+  const gain = liveSum > 0 ? referenceSum / liveSum : 1;
+
+  const differs = new Uint8Array(width * height);
+  for (let i = 0; i < usable.length; i++) {
+    if (!usable[i]) continue;
+    const idx = i * 4;
+    const difference = (
+      Math.abs(live.data[idx] * gain - reference.data[idx]) +
+      Math.abs(live.data[idx + 1] * gain - reference.data[idx + 1]) +
+      Math.abs(live.data[idx + 2] * gain - reference.data[idx + 2])
+    ) / 3;
+    if (difference > threshold) differs[i] = 1;
+  }
+
+  // Opening drops single-pixel noise (sensor grain, compression) but keeps objects
+  return dilate(erode(differs, width, height), width, height);
+}
+
+/**
+ * Tracks objects that appeared in front of the wall since the setup reference frame.
+ */
+export class OccluderTracker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.threshold] - Mean per-channel difference that counts as a change
+   * @param {number} [options.updateInterval] - Milliseconds between updates
+   */
+  constructor(options = {}) {
+    this.threshold = options.threshold || DEFAULT_DIFFERENCE_THRESHOLD;
+    this.updateInterval = options.updateInterval || UPDATE_INTERVAL;
+    this.reset();
+  }
+
+  /**
+   * Forget everything seen so far.
+   */
+  reset() {
+    this._canvas = null;
+    this._ctx = null;
+    this._counts = null;
+    this._hidden = null;
+    this._warpedReference = null;
+    this._warpedFrom = null;
+    this._warpedPose = null;
+    this._lastUpdate = -Infinity;
+    /** @type {MaskImage|null} */
+    this.mask = null;
+  }
+
+  /**
+   * Compare a frame against the reference (at most once per update interval).
+   *
+   * @param {CanvasImageSource} frameSource - Current camera frame
+   * @param {MaskImage|null} personMask - Person mask for the frame
+   * @param {import('./wall-paint-renderer.js').ShadingReference|null} reference - Setup reference frame and pose
+   * @param {number} timestamp - Current time in ms
+   * @returns {MaskImage|null} Automatic occluder mask (null without a reference frame)
+   */
+  update(frameSource, personMask, reference, timestamp) {
+    if (!reference || !reference.frame) {
+      if (this.mask) this.reset();
+      return null;
+    }
+    if (timestamp - this._lastUpdate < this.updateInterval) return this.mask;
+    this._lastUpdate = timestamp;
+
+    const sourceWidth = /** @type {*} */ (frameSource).videoWidth || /** @type {*} */ (frameSource).width;
+    const sourceHeight = /** @type {*} */ (frameSource).videoHeight || /** @type {*} */ (frameSource).height;
+    if (!sourceWidth || !sourceHeight) return this.mask;
+
+    const width = WORK_WIDTH;
+    const height = Math.max(1, Math.round(WORK_WIDTH * sourceHeight / sourceWidth));
+    if (!this._canvas || this._canvas.width !== width || this._canvas.height !== height) {
+      this._canvas = new OffscreenCanvas(width, height);
+      this._ctx = this._canvas.getContext('2d', { willReadFrequently: true });
+      this._counts = new Uint8Array(width * height);
+      this._hidden = new Uint8Array(width * height);
+      this._warpedReference = null;
+    }
+
+    // The reference only needs warping again after a relocalization changes the pose
+    if (!this._warpedReference || this._warpedFrom !== reference.frame || this._warpedPose !== reference.pose) {
+      this._warpedReference = warpReferenceFrame(reference, width, height);
+      this._warpedFrom = reference.frame;
+      this._warpedPose = reference.pose;
+    }
+
+    this._ctx.drawImage(frameSource, 0, 0, width, height);
+    const live = this._ctx.getImageData(0, 0, width, height);
+    const differs = computeDifferenceMask(live, this._warpedReference, personMask, this.threshold);
+    this.mask = this._hold(differs, width, height);
+    return this.mask;
+  }
+
+  /**
+   * Hide a pixel once it has differed for HOLD_UPDATES updates, and show it again only
+   * once it has matched for as long.
+   *
+   * @param {Uint8Array} differs - 1 where the latest frame differs
+   * @param {number} width - Mask width
+   * @param {number} height - Mask height
+   * @returns {MaskImage}
+   */
+  _hold(differs, width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < differs.length; i++) {
+      this._counts[i] = differs[i]
+        ? Math.min(HOLD_UPDATES, this._counts[i] + 1)
+        : Math.max(0, this._counts[i] - 1);
+      if (this._counts[i] === HOLD_UPDATES) this._hidden[i] = 1;
+      else if (this._counts[i] === 0) this._hidden[i] = 0;
+
+      if (this._hidden[i]) data.fill(255, i * 4, i * 4 + 4);
+    }
+    return createMaskImage(data, width, height);
+  }
+}
+
+/**
+ * Build the occluder mask of a wall region: its drawn strokes, plus the automatic
+ * mask if the region asks for it.
+ *
+ * @param {string} id - Overlay ID the drawn mask is cached under
+ * @param {RegionOccluders} occluders - Occluders of the region
+ * @param {MaskImage|null} autoMask - Automatic occluder mask for the whole frame
+ * @returns {MaskImage|null} Null when nothing is hidden
+ */
+function buildOccluderMask(id, occluders, autoMask) {
+  const useAuto = Boolean(occluders.auto && autoMask);
+  const hasStrokes = occluders.strokes && occluders.strokes.length > 0;
+  if (!hasStrokes) {
+    drawnMasks.delete(id);
+    return useAuto ? autoMask : null;
+  }
+
+  // Strokes are drawn at the automatic mask's size so the two line up pixel for pixel
+  const maskWidth = useAuto ? autoMask.width : DRAWN_MASK_WIDTH;
+  const maskHeight = useAuto ? autoMask.height : Math.round(DRAWN_MASK_WIDTH / (occluders.aspect || 16 / 9));
+  const drawn = getDrawnMask(id, occluders, maskWidth, maskHeight);
+
+  return useAuto ? mergeOcclusionMasks(drawn, autoMask) : drawn;
+}
+
+/**
+ * Rasterize a region's drawn strokes, reusing the last drawing while they stay put.
+ * Jiggle compensation hands over moved copies of the strokes, so a new array is
+ * compared by value before it counts as a change.
+ *
+ * @param {string} id - Overlay ID
+ * @param {RegionOccluders} occluders - Occluders of the region
+ * @param {number} width - Mask width
+ * @param {number} height - Mask height
+ * @returns {MaskImage}
+ */
+function getDrawnMask(id, occluders, width, height) {
+  const cached = drawnMasks.get(id);
+  if (cached && cached.strokes === occluders.strokes && cached.mask.width === width && cached.mask.height === height) {
+    return cached.mask;
+  }
+
+  const key = `${width}x${height}:${JSON.stringify(occluders.strokes)}`;
+  if (cached && cached.key === key) {
+    cached.strokes = occluders.strokes;
+    return cached.mask;
+  }
+
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = /** @type {CanvasRenderingContext2D} */ (/** @type {unknown} */ (canvas.getContext('2d')));
+  fillRegionArea(ctx, /** @type {*} */ ({ mask: occluders }), width, height);
+  const mask = ctx.getImageData(0, 0, width, height);
+  drawnMasks.set(id, { strokes: occluders.strokes, key, mask });
+  return mask;
+}
+
+/**
+ * Build the occluder masks of all wall regions that have any.
+ *
+ * @param {Array} wallArtOverlays - Wall art overlays
+ * @param {MaskImage|null} autoMask - Automatic occluder mask for the whole frame
+ * @param {Map<string, MaskImage>|null} [depthMasks] - Depth occlusion masks by overlay ID
+ * @returns {Map<string, ImageData>} Occluder mask by overlay ID (ImageData outside tests)
+ */
+export function buildOccluderMasks(wallArtOverlays, autoMask, depthMasks = null) {
+  const masks = new Map();
+  for (const overlay of wallArtOverlays) {
+    if (!overlay.active) continue;
+    const depthMask = (depthMasks && depthMasks.get(overlay.id)) || null;
+    const occluderMask = hasOccluders(overlay.occluders) ? buildOccluderMask(overlay.id, overlay.occluders, autoMask) : null;
+    const mask = occluderMask && depthMask ? mergeOcclusionMasks(occluderMask, depthMask) : occluderMask || depthMask;
+    if (mask) masks.set(overlay.id, /** @type {ImageData} */ (mask));
+  }
+
+  // Drop drawings of regions that were removed or switched off
+  for (const id of drawnMasks.keys()) {
+    if (!masks.has(id)) drawnMasks.delete(id);
+  }
+  return masks;
+}
+
+/**
+ * Combine a person mask and an occluder mask into one mask at the person mask's
+ * resolution (for renderers that take a single mask, like the WebGL path).
+ * The result is cached until either mask is replaced, so it must not be modified.
+ *
+ * @param {MaskImage|null} personMask - Person mask (alpha = person)
+ * @param {MaskImage|null} occluderMask - Occluder mask (alpha = hidden)
+ * @returns {MaskImage|null} Pixels hidden by either mask
+ */
+export function mergeOcclusionMasks(personMask, occluderMask) {
+  if (!occluderMask) return personMask;
+  if (!personMask) return occluderMask;
+
+  let byPerson = mergedMasks.get(occluderMask);
+  if (!byPerson) {
+    byPerson = new WeakMap();
+    mergedMasks.set(occluderMask, byPerson);
+  }
+  const cached = byPerson.get(personMask);
+  if (cached) return cached;
+
+  const { width, height } = personMask;
+  const data = new Uint8ClampedArray(personMask.data);
+  for (let y = 0; y < height; y++) {
+    const oy = Math.min(occluderMask.height - 1, Math.floor(((y + 0.5) / height) * occluderMask.height));
+    for (let x = 0; x < width; x++) {
+      const ox = Math.min(occluderMask.width - 1, Math.floor(((x + 0.5) / width) * occluderMask.width));
+      const alpha = occluderMask.data[(oy * occluderMask.width + ox) * 4 + 3];
+      const idx = (y * width + x) * 4;
+      if (alpha > data[idx + 3]) {
+        data[idx] = data[idx + 1] = data[idx + 2] = 255;
+        data[idx + 3] = alpha;
+      }
+    }
+  }
+  const merged = createMaskImage(data, width, height);
+  byPerson.set(personMask, merged);
+  return merged;
+}
+
+/**
+ * Wrap mask pixels in real ImageData where available: putImageData and texImage2D need it.
+ *
+ * @param {Uint8ClampedArray<ArrayBuffer>} data - RGBA pixels
+ * @param {number} width
+ * @param {number} height
+ * @returns {*} ImageData outside tests, a plain { data, width, height } in Node
+ */
+export function createMaskImage(data, width, height) {
+  return typeof ImageData !== 'undefined' ? new ImageData(data, width, height) : { data, width, height };
+}
+
+// Person coverage at another resolution, grown by a margin of pixels
+function sampleMaskNear(mask, width, height, margin) {
+  let covered = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const my = Math.min(mask.height - 1, Math.floor(((y + 0.5) / height) * mask.height));
+    for (let x = 0; x < width; x++) {
+      const mx = Math.min(mask.width - 1, Math.floor(((x + 0.5) / width) * mask.width));
+      if (mask.data[(my * mask.width + mx) * 4 + 3] > 128) covered[y * width + x] = 1;
+    }
+  }
+  for (let i = 0; i < margin; i++) covered = dilate(covered, width, height);
+  return covered;
+}
+
+// 3x3 binary erosion: a pixel stays set only if all its neighbours are set
+function erode(mask, width, height) {
+  const out = new Uint8Array(mask.length);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      let all = 1;
+      for (let dy = -1; dy <= 1 && all; dy++) {
+        for (let dx = -1; dx <= 1 && all; dx++) {
+          all = mask[(y + dy) * width + x + dx];
+        }
+      }
+      out[y * width + x] = all;
+    }
+  }
+  return out;
+}
+
+// 3x3 binary dilation: a pixel is set if any neighbour is set
+function dilate(mask, width, height) {
+  const out = new Uint8Array(mask.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!mask[y * width + x]) continue;
+      for (let dy = -1; dy <= 1; dy++) {
+        const ny = y + dy;
+        if (ny < 0 || ny >= height) continue;
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          if (nx >= 0 && nx < width) out[ny * width + nx] = 1;
+        }
+      }
+    }
+  }
+  return out;
+}
+
+// Export for use in inject.js (non-module context)
+if (typeof window !== 'undefined') {
+  window.OccluderMask = {
+    DEFAULT_DIFFERENCE_THRESHOLD,
+    OccluderTracker,
+    needsAutoOccluders,
+    warpReferenceFrame,
+    computeDifferenceMask,
+    buildOccluderMasks,
+    mergeOcclusionMasks
+  };
+}
@@ -22,6 +22,14 @@ export const TYPE_STANDARD = 'standard';
 export const TYPE_EFFECT = 'effect';
 export const TYPE_TEXT_BANNER = 'textBanner';
 export const TYPE_TIMER = 'timer';
+export const TYPE_CAMERA = 'camera';
+
+/**
+ * Camera inset shapes
+ */
+export const CAMERA_SHAPE_RECTANGLE = 'rectangle';
+export const CAMERA_SHAPE_ROUNDED = 'rounded';
+export const CAMERA_SHAPE_CIRCLE = 'circle';
 
 /**
  * Text banner position presets
@@ -39,6 +47,36 @@ export const TEXT_ANIMATION_FADE = 'fade';
 export const TEXT_ANIMATION_SLIDE_LEFT = 'slide-left';
 export const TEXT_ANIMATION_SLIDE_UP = 'slide-up';
 
+/**
+ * Default seconds each text stays on screen in a banner slideshow
+ */
+export const DEFAULT_SLIDESHOW_INTERVAL = 5;
+
+/**
+ * Timer alert effects
+ */
+export const TIMER_ALERT_COLOR = 'color';
+export const TIMER_ALERT_FLASH = 'flash';
+export const TIMER_ALERT_PULSE = 'pulse';
+
+/**
+ * Alert used by timers that predate configurable alerts: red for the last 10 seconds
+ */
+export const DEFAULT_TIMER_ALERTS = [{ at: 10, effect: TIMER_ALERT_COLOR, color: '#cc0000' }];
+
+/**
+ * What a countdown does when it reaches zero
+ */
+export const TIMER_END_NONE = 'none';
+export const TIMER_END_SHOW_BANNER = 'showBanner';
+export const TIMER_END_SHOW_EFFECT = 'showEffect';
+export const TIMER_END_HIDE = 'hide';
+
+/**
+ * Default crossfade when switching scenes, in milliseconds
+ */
+export const DEFAULT_SCENE_CROSSFADE_MS = 400;
+
 /**
  * Calculate overlay dimensions that preserve aspect ratio within a bounding box.
  * @param {number} imgWidth - Natural width of the image
@@ -90,6 +128,54 @@ export function calculateOverlayPosition(overlay, canvasWidth, canvasHeight, img
   return { x, y, width: w, height: h };
 }
 
+/**
+ * Calculate where a camera inset is drawn and which part of the camera frame fills it.
+ * The frame is center-cropped to cover the inset (no letterboxing); circles use the
+ * largest square that fits the overlay box, centered in it.
+ * @param {Object} overlay - Camera overlay with x, y, width, height as percentages and a shape
+ * @param {number} canvasWidth - Canvas width in pixels
+ * @param {number} canvasHeight - Canvas height in pixels
+ * @param {number} sourceWidth - Camera frame width
+ * @param {number} sourceHeight - Camera frame height
+ * @param {boolean} [mirror=true] - Mirror the x-position for Meet's self-view
+ * @returns {{dest: {x: number, y: number, width: number, height: number}, source: {x: number, y: number, width: number, height: number}}}
+ */
+export function calculateCameraInset(overlay, canvasWidth, canvasHeight, sourceWidth, sourceHeight, mirror = true) {
+  const boxW = (overlay.width / 100) * canvasWidth;
+  const boxH = (overlay.height / 100) * canvasHeight;
+  let boxX = (overlay.x / 100) * canvasWidth;
+  const boxY = (overlay.y / 100) * canvasHeight;
+
+  if (mirror) {
+    boxX = canvasWidth - boxX - boxW;
+  }
+
+  let dest = { x: boxX, y: boxY, width: boxW, height: boxH };
+  if (overlay.shape === CAMERA_SHAPE_CIRCLE) {
+    const size = Math.min(boxW, boxH);
+    dest = {
+      x: boxX + (boxW - size) / 2,
+      y: boxY + (boxH - size) / 2,
+      width: size,
+      height: size
+    };
+  }
+
+  // Crop the camera frame to the inset's aspect ratio
+  const destAspect = dest.width / dest.height;
+  const sourceAspect = sourceWidth / sourceHeight;
+  let source;
+  if (sourceAspect > destAspect) {
+    const width = sourceHeight * destAspect;
+    source = { x: (sourceWidth - width) / 2, y: 0, width, height: sourceHeight };
+  } else {
+    const height = sourceWidth / destAspect;
+    source = { x: 0, y: (sourceHeight - height) / 2, width: sourceWidth, height };
+  }
+
+  return { dest, source };
+}
+
 /**
  * Validate overlay data structure.
  * @param {Object} overlay - Overlay object to validate
@@ -106,7 +192,8 @@ export function validateOverlay(overlay) {
     errors.push('Missing or invalid id');
   }
 
-  if (typeof overlay.src !== 'string' || !overlay.src) {
+  // Camera overlays read from a device instead of an image
+  if (overlay.type !== TYPE_CAMERA && (typeof overlay.src !== 'string' || !overlay.src)) {
     errors.push('Missing or invalid src');
   }
 
@@ -135,9 +222,9 @@ export function validateOverlay(overlay) {
 
   // Type is optional, defaults to 'standard'
   if (overlay.type !== undefined) {
-    const validTypes = [TYPE_STANDARD, TYPE_EFFECT, TYPE_TEXT_BANNER, TYPE_TIMER];
+    const validTypes = [TYPE_STANDARD, TYPE_EFFECT, TYPE_TEXT_BANNER, TYPE_TIMER, TYPE_CAMERA];
     if (!validTypes.includes(overlay.type)) {
-      errors.push('type must be "standard", "effect", "textBanner", or "timer"');
+      errors.push('type must be "standard", "effect", "textBanner", "timer", or "camera"');
     }
   }
 
@@ -158,6 +245,15 @@ export function validateOverlay(overlay) {
         errors.push('animation must be "none", "fade", "slide-left", or "slide-up"');
       }
     }
+    if (overlay.slideshow !== undefined && overlay.slideshow !== null) {
+      const { interval, loop } = overlay.slideshow;
+      if (typeof interval !== 'number' || interval <= 0) {
+        errors.push('slideshow.interval must be a positive number (seconds)');
+      }
+      if (loop !== undefined && typeof loop !== 'boolean') {
+        errors.push('slideshow.loop must be a boolean');
+      }
+    }
   }
 
   // Timer specific validation
@@ -171,6 +267,42 @@ export function validateOverlay(overlay) {
         errors.push('timerMode must be "countdown", "countup", or "clock"');
       }
     }
+    if (overlay.alertAt !== undefined) {
+      const validEffects = [TIMER_ALERT_COLOR, TIMER_ALERT_FLASH, TIMER_ALERT_PULSE];
+      const validAlerts = Array.isArray(overlay.alertAt) && overlay.alertAt.every(alert =>
+        (typeof alert === 'number' && alert >= 0) ||
+        (alert && typeof alert.at === 'number' && alert.at >= 0 &&
+          (alert.effect === undefined || validEffects.includes(alert.effect)))
+      );
+      if (!validAlerts) {
+        errors.push('alertAt must be an array of seconds or { at, effect, color } alerts');
+      }
+    }
+    if (overlay.autoStart !== undefined && typeof overlay.autoStart !== 'boolean') {
+      errors.push('autoStart must be a boolean');
+    }
+    if (overlay.endAction !== undefined && overlay.endAction !== null) {
+      const validEndActions = [TIMER_END_NONE, TIMER_END_SHOW_BANNER, TIMER_END_SHOW_EFFECT, TIMER_END_HIDE];
+      if (!validEndActions.includes(overlay.endAction.type)) {
+        errors.push('endAction.type must be "none", "showBanner", "showEffect", or "hide"');
+      } else if ((overlay.endAction.type === TIMER_END_SHOW_BANNER || overlay.endAction.type === TIMER_END_SHOW_EFFECT) &&
+                 (typeof overlay.endAction.targetId !== 'string' || !overlay.endAction.targetId)) {
+        errors.push('endAction.targetId is required to show a banner or effect');
+      }
+    }
+  }
+
+  // Camera specific validation
+  if (overlay.type === TYPE_CAMERA) {
+    if (typeof overlay.deviceId !== 'string' || !overlay.deviceId) {
+      errors.push('deviceId must be a non-empty string');
+    }
+    if (overlay.shape !== undefined) {
+      const validShapes = [CAMERA_SHAPE_RECTANGLE, CAMERA_SHAPE_ROUNDED, CAMERA_SHAPE_CIRCLE];
+      if (!validShapes.includes(overlay.shape)) {
+        errors.push('shape must be "rectangle", "rounded", or "circle"');
+      }
+    }
   }
 
   // Active is optional for effects, defaults to false
@@ -279,7 +411,9 @@ export function createEffect(src, name = 'Effect', options = {}) {
 /**
  * Create a new text banner overlay with default values.
  * Text banners display customizable text on the video feed.
- * @param {string} text - Text to display
+ * Pass an array of strings with a `slideshow` option ({ interval, loop }) to
+ * rotate through them.
+ * @param {string|string[]} text - Text to display
  * @param {string} [name] - Display name for the banner
  * @param {Object} [options] - Additional options
  * @returns {Object} New text banner overlay object
@@ -346,6 +480,7 @@ export function createTimer(duration = 300, name = 'Timer', options = {}) {
     backgroundOpacity = 0.7,
     alertAt = [],
     autoStart = false,
+    endAction = null,
     position = 'top-right'
   } = options;
 
@@ -375,13 +510,9 @@ export function createTimer(duration = 300, name = 'Timer', options = {}) {
     },
     alertAt,
     autoStart,
+    endAction,
     // Timer state (managed by inject.js)
-    timerState: {
-      running: false,
-      startTime: null,
-      pausedAt: null,
-      elapsed: 0
-    },
+    timerState: createTimerState(),
     // Position fields
     x: pos.x,
     y: pos.y,
@@ -395,6 +526,140 @@ export function createTimer(duration = 300, name = 'Timer', options = {}) {
   };
 }
 
+/**
+ * Create a stopped timer state.
+ * startTime and pausedAt are wall-clock ms (Date.now()) so a running timer
+ * survives page reloads and processor restarts.
+ * @returns {{running: boolean, startTime: number|null, pausedAt: number|null, elapsed: number, finished: boolean}}
+ */
+export function createTimerState() {
+  return {
+    running: false,
+    startTime: null,
+    pausedAt: null,
+    elapsed: 0,
+    finished: false
+  };
+}
+
+/**
+ * Seconds a timer has been running.
+ * @param {Object} timerState - Timer state (see createTimerState)
+ * @param {number} [now] - Current wall-clock time in ms
+ * @returns {number} Elapsed seconds
+ */
+export function getTimerElapsed(timerState, now = Date.now()) {
+  if (!timerState) return 0;
+  if (timerState.running && timerState.startTime) {
+    return (now - timerState.startTime) / 1000;
+  }
+  return timerState.elapsed || 0;
+}
+
+/**
+ * Find the alert a timer should show right now.
+ * Countdowns alert when the remaining time drops to a threshold (the lowest
+ * threshold reached wins); count-up timers alert once the elapsed time passes
+ * one (the highest threshold reached wins). Clocks never alert.
+ * @param {Object} timer - Timer overlay
+ * @param {number} elapsed - Elapsed seconds
+ * @returns {{at: number, effect: string, color: string}|null} Active alert
+ */
+export function getActiveTimerAlert(timer, elapsed) {
+  const mode = timer.timerMode || 'countdown';
+  if (mode === 'clock') return null;
+
+  const alerts = (timer.alertAt ?? DEFAULT_TIMER_ALERTS).map(alert =>
+    typeof alert === 'number'
+      ? { at: alert, effect: TIMER_ALERT_COLOR, color: '#cc0000' }
+      : { effect: TIMER_ALERT_COLOR, color: '#cc0000', ...alert }
+  );
+
+  if (mode === 'countup') {
+    return alerts
+      .filter(alert => elapsed >= alert.at)
+      .reduce((best, alert) => (!best || alert.at > best.at ? alert : best), null);
+  }
+
+  const remaining = Math.max(0, (timer.duration || 300) - elapsed);
+  if (remaining <= 0) return null;
+  return alerts
+    .filter(alert => remaining <= alert.at)
+    .reduce((best, alert) => (!best || alert.at < best.at ? alert : best), null);
+}
+
+/**
+ * Work out which overlays change when a countdown reaches zero.
+ * @param {Object} timer - Timer overlay with an optional endAction
+ * @param {Array} overlays - All overlays
+ * @returns {Array<{id: string, active: boolean}>} Visibility changes to apply
+ */
+export function getTimerEndChanges(timer, overlays) {
+  const action = timer.endAction;
+  if (!action) return [];
+
+  if (action.type === TIMER_END_HIDE) {
+    return [{ id: timer.id, active: false }];
+  }
+
+  if (action.type === TIMER_END_SHOW_BANNER) {
+    const banner = overlays.find(o => o.id === action.targetId && o.type === TYPE_TEXT_BANNER);
+    return banner ? [{ id: banner.id, active: true }] : [];
+  }
+
+  if (action.type === TIMER_END_SHOW_EFFECT) {
+    const effect = overlays.find(o => o.id === action.targetId && o.type === TYPE_EFFECT);
+    if (!effect) return [];
+    // Switch effects: turn the others off so only the target plays
+    return overlays
+      .filter(o => o.type === TYPE_EFFECT && o.active && o.id !== effect.id)
+      .map(o => ({ id: o.id, active: false }))
+      .concat({ id: effect.id, active: true });
+  }
+
+  return [];
+}
+
+/**
+ * Create a new picture-in-picture camera overlay with default values.
+ * Camera overlays show a second video input device as an inset.
+ * @param {string} deviceId - MediaDeviceInfo.deviceId of the camera
+ * @param {string} [name] - Display name (usually the device label)
+ * @param {Object} [options] - Additional options
+ * @returns {Object} New camera overlay object
+ */
+export function createCameraOverlay(deviceId, name = 'Camera', options = {}) {
+  const {
+    shape = CAMERA_SHAPE_ROUNDED,
+    cornerRadius = 16,
+    borderWidth = 3,
+    borderColor = '#ffffff'
+  } = options;
+
+  return {
+    id: generateId(),
+    type: TYPE_CAMERA,
+    name,
+    deviceId,
+    shape,
+    style: {
+      cornerRadius,
+      borderWidth,
+      borderColor
+    },
+    // Bottom-right inset by default (mirrored on output like other overlays)
+    x: 70,
+    y: 65,
+    width: 25,
+    height: 30,
+    opacity: 1,
+    active: true,
+    layer: LAYER_FOREGROUND,
+    zIndex: 9,  // Below text banners and timers
+    createdAt: Date.now()
+  };
+}
+
 /**
  * Check if an overlay is an effect type.
  * @param {Object} overlay - Overlay to check
@@ -422,16 +687,26 @@ export function isTimer(overlay) {
   return overlay && overlay.type === TYPE_TIMER;
 }
 
+/**
+ * Check if an overlay is a camera type.
+ * @param {Object} overlay - Overlay to check
+ * @returns {boolean} True if overlay is a camera
+ */
+export function isCamera(overlay) {
+  return overlay && overlay.type === TYPE_CAMERA;
+}
+
 /**
  * Check if an overlay should be rendered.
- * Standard overlays always render, effects/text/timers only render when active.
+ * Standard overlays always render, effects/text/timers/cameras only render when active.
  * @param {Object} overlay - Overlay to check
  * @returns {boolean} True if overlay should be rendered
  */
 export function shouldRender(overlay) {
   if (!overlay) return false;
-  // Effects, text banners, and timers only render when active
-  if (overlay.type === TYPE_EFFECT || overlay.type === TYPE_TEXT_BANNER || overlay.type === TYPE_TIMER) {
+  // Effects, text banners, timers, and cameras only render when active
+  if (overlay.type === TYPE_EFFECT || overlay.type === TYPE_TEXT_BANNER ||
+      overlay.type === TYPE_TIMER || overlay.type === TYPE_CAMERA) {
     return overlay.active === true;
   }
   return true; // Standard overlays always render
@@ -466,6 +741,8 @@ export function migrateOverlay(overlay) {
       migrated.zIndex = 11;
     } else if (migrated.type === TYPE_TEXT_BANNER) {
       migrated.zIndex = 10;
+    } else if (migrated.type === TYPE_CAMERA) {
+      migrated.zIndex = 9;
     } else {
       migrated.zIndex = 0;
     }
@@ -508,12 +785,10 @@ export function migrateOverlay(overlay) {
       };
     }
     if (!migrated.timerState) {
-      migrated.timerState = {
-        running: false,
-        startTime: null,
-        pausedAt: null,
-        elapsed: 0
-      };
+      migrated.timerState = createTimerState();
+    }
+    if (migrated.alertAt === undefined) {
+      migrated.alertAt = DEFAULT_TIMER_ALERTS.map(alert => ({ ...alert }));
     }
     if (!migrated.timerMode) {
       migrated.timerMode = 'countdown';
@@ -523,6 +798,20 @@ export function migrateOverlay(overlay) {
     }
   }
 
+  // Camera specific migrations
+  if (migrated.type === TYPE_CAMERA) {
+    if (!migrated.shape) {
+      migrated.shape = CAMERA_SHAPE_ROUNDED;
+    }
+    if (!migrated.style) {
+      migrated.style = {
+        cornerRadius: 16,
+        borderWidth: 3,
+        borderColor: '#ffffff'
+      };
+    }
+  }
+
   return migrated;
 }
 
@@ -603,3 +892,71 @@ export function recalculateZIndices(overlays) {
 
   return overlays;
 }
+
+/**
+ * Snapshot the overlays, wall art and wall art settings into a named scene.
+ * Everything is deep-copied so later edits don't leak into the scene, and
+ * timers are stored stopped: running state belongs to the meeting, not the scene.
+ * @param {string} name - Display name for the scene
+ * @param {Object} state - Current configuration
+ * @param {Array} state.overlays - Overlays (all categories)
+ * @param {Array} state.wallArtOverlays - Wall art regions
+ * @param {Object} state.wallArtSettings - Segmentation, jiggle and lighting settings
+ * @returns {Object} New scene object
+ */
+export function createScene(name, state) {
+  const snapshot = JSON.parse(JSON.stringify({
+    overlays: state.overlays || [],
+    wallArtOverlays: state.wallArtOverlays || [],
+    wallArtSettings: state.wallArtSettings || {}
+  }));
+
+  snapshot.overlays.forEach(overlay => {
+    if (overlay.type === TYPE_TIMER) {
+      overlay.timerState = createTimerState();
+    }
+  });
+
+  return {
+    id: generateId(),
+    name: name.trim() || 'Scene',
+    ...snapshot,
+    createdAt: Date.now()
+  };
+}
+
+/**
+ * Validate scene data structure. Overlays inside the scene are not validated
+ * here; they go through the usual overlay migration when the scene is applied.
+ * @param {Object} scene - Scene object to validate
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+export function validateScene(scene) {
+  const errors = [];
+
+  if (!scene) {
+    return { valid: false, errors: ['Scene is null or undefined'] };
+  }
+
+  if (typeof scene.id !== 'string' || !scene.id) {
+    errors.push('Missing or invalid id');
+  }
+
+  if (typeof scene.name !== 'string' || !scene.name.trim()) {
+    errors.push('Missing or invalid name');
+  }
+
+  if (!Array.isArray(scene.overlays)) {
+    errors.push('overlays must be an array');
+  }
+
+  if (!Array.isArray(scene.wallArtOverlays)) {
+    errors.push('wallArtOverlays must be an array');
+  }
+
+  if (!scene.wallArtSettings || typeof scene.wallArtSettings !== 'object') {
+    errors.push('wallArtSettings must be an object');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
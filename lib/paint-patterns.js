@@ -0,0 +1,408 @@
+/**
+ * Paint Patterns Module
+ *
+ * Generates the fill for wall paint that isn't a single color:
+ * - Linear and radial gradients
+ * - Procedural patterns (stripes, checkerboard, polka dots)
+ * - Tileable textures (brick, wood panel, wallpaper)
+ *
+ * The fill is drawn flat at the wall's real-world proportions and then mapped
+ * through the region's perspective like wall art, so a brick stays brick-sized
+ * however the wall is angled.
+ */
+
+import { createRandom, tintColor } from './shared-utils.js';
+
+/**
+ * @typedef {'solid' | 'linearGradient' | 'radialGradient' | 'pattern' | 'texture'} PaintType
+ */
+
+/**
+ * @typedef {Object} PaintGradient
+ * @property {string} start - Start color (hex)
+ * @property {string} end - End color (hex)
+ * @property {number} [angle=180] - Linear gradient direction in degrees, CSS convention (0 = to top, 90 = to right)
+ */
+
+/**
+ * @typedef {Object} PaintPattern
+ * @property {string} name - Key of PATTERN_PRESETS
+ * @property {string[]} [colors] - [background, foreground] colors (hex)
+ * @property {number} [sizeCm] - Size of one repeat in cm
+ */
+
+/**
+ * @typedef {Object} PaintTexture
+ * @property {string} name - Key of TEXTURE_PRESETS
+ * @property {string[]} [colors] - [primary, secondary] colors (hex)
+ */
+
+/**
+ * @typedef {Object} TileLayout
+ * @property {number} wallWidthCm - Real width of the region
+ * @property {number} wallHeightCm - Real height of the region (from its proportions)
+ * @property {number} tileWidthCm - Real width of one tile
+ * @property {number} tileHeightCm - Real height of one tile
+ * @property {number} repeatsX - Tiles across the region
+ * @property {number} repeatsY - Tiles down the region
+ */
+
+/**
+ * Width assumed for a region when the user hasn't measured the wall
+ */
+export const DEFAULT_WALL_WIDTH_CM = 300;
+
+/**
+ * Procedural patterns. sizeCm is one repeat (user-adjustable), colors are [background, foreground].
+ */
+export const PATTERN_PRESETS = {
+  stripes: { name: 'Stripes', sizeCm: 20, colors: ['#e6e0d2', '#8c9a8b'] },
+  checker: { name: 'Checkerboard', sizeCm: 30, colors: ['#e8e4da', '#3c3c3c'] },
+  dots: { name: 'Polka dots', sizeCm: 15, colors: ['#f3efe6', '#c0504d'] }
+};
+
+/**
+ * Tileable textures at their real-world size (one tile, in cm); colors are [primary, secondary].
+ * Brick: two 21.5 x 6.5 cm bricks per course with 1 cm mortar, two courses in running bond.
+ * Wood panel: four 15 cm planks with staggered end joints.
+ * Wallpaper: one 53 cm roll width per pattern repeat.
+ */
+export const TEXTURE_PRESETS = {
+  brick: { name: 'Brick', tileWidthCm: 45, tileHeightCm: 15, colors: ['#9c4a35', '#d8d0c4'] },
+  woodPanel: { name: 'Wood panel', tileWidthCm: 60, tileHeightCm: 120, colors: ['#a0724a', '#6b4428'] },
+  wallpaper: { name: 'Wallpaper', tileWidthCm: 53, tileHeightCm: 53, colors: ['#e9e1cf', '#b59a6a'] }
+};
+
+// Longest side of a generated fill, in pixels
+const FILL_SIZE = 1024;
+
+// Generated fills per wall art overlay ID: { key, canvas }
+const fillCache = new Map();
+
+/**
+ * Whether paint needs a generated fill (anything but a single color).
+ *
+ * @param {Object|null} paint - Wall art paint settings
+ * @returns {boolean}
+ */
+export function isPatternPaint(paint) {
+  return !!paint && !!paint.type && paint.type !== 'solid';
+}
+
+/**
+ * Approximate width/height ratio of the wall under a region, from the average
+ * length of its opposite edges in canvas pixels.
+ *
+ * @param {Object} region - Wall region with 4 corners (percentage coordinates)
+ * @param {number} canvasWidth - Canvas width in pixels
+ * @param {number} canvasHeight - Canvas height in pixels
+ * @returns {number} Width / height (1 for degenerate regions)
+ */
+export function estimateRegionAspect(region, canvasWidth, canvasHeight) {
+  const edge = (a, b) => Math.hypot(
+    ((b.x - a.x) / 100) * canvasWidth,
+    ((b.y - a.y) / 100) * canvasHeight
+  );
+  const width = (edge(region.topLeft, region.topRight) + edge(region.bottomLeft, region.bottomRight)) / 2;
+  const height = (edge(region.topLeft, region.bottomLeft) + edge(region.topRight, region.bottomRight)) / 2;
+  return width > 0 && height > 0 ? width / height : 1;
+}
+
+/**
+ * How many tiles of a pattern or texture cover the region.
+ *
+ * @param {Object} paint - Wall art paint settings (type 'pattern' or 'texture')
+ * @param {number} aspect - Region width / height
+ * @returns {TileLayout}
+ */
+export function getTileLayout(paint, aspect) {
+  const wallWidthCm = paint.wallWidthCm > 0 ? paint.wallWidthCm : DEFAULT_WALL_WIDTH_CM;
+  const wallHeightCm = wallWidthCm / aspect;
+
+  let tileWidthCm;
+  let tileHeightCm;
+  if (paint.type === 'texture') {
+    const preset = TEXTURE_PRESETS[paint.texture?.name] || TEXTURE_PRESETS.brick;
+    tileWidthCm = preset.tileWidthCm;
+    tileHeightCm = preset.tileHeightCm;
+  } else {
+    const preset = PATTERN_PRESETS[paint.pattern?.name] || PATTERN_PRESETS.stripes;
+    tileWidthCm = paint.pattern?.sizeCm > 0 ? paint.pattern.sizeCm : preset.sizeCm;
+    tileHeightCm = tileWidthCm;
+  }
+
+  return {
+    wallWidthCm,
+    wallHeightCm,
+    tileWidthCm,
+    tileHeightCm,
+    repeatsX: wallWidthCm / tileWidthCm,
+    repeatsY: wallHeightCm / tileHeightCm
+  };
+}
+
+/**
+ * Start and end points of a CSS-style linear gradient over a w x h box.
+ *
+ * @param {number} angle - Direction in degrees (0 = to top, 90 = to right)
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ * @returns {{ x0: number, y0: number, x1: number, y1: number }}
+ */
+export function getLinearGradientLine(angle, width, height) {
+  const radians = (angle * Math.PI) / 180;
+  const dx = Math.sin(radians);
+  const dy = -Math.cos(radians);
+  // The gradient line is long enough for the corners to reach the first and last color
+  const halfLength = (Math.abs(width * dx) + Math.abs(height * dy)) / 2;
+  return {
+    x0: width / 2 - dx * halfLength,
+    y0: height / 2 - dy * halfLength,
+    x1: width / 2 + dx * halfLength,
+    y1: height / 2 + dy * halfLength
+  };
+}
+
+/**
+ * Get the generated fill for an overlay's paint, reusing it while the paint and the
+ * region's proportions are unchanged.
+ *
+ * @param {string} id - Wall art overlay ID
+ * @param {Object} paint - Wall art paint settings
+ * @param {number} aspect - Region width / height
+ * @returns {OffscreenCanvas}
+ */
+export function getPaintFill(id, paint, aspect) {
+  // Proportions are rounded so jiggle compensation doesn't regenerate the fill every frame
+  const roundedAspect = Math.max(0.05, Math.round(aspect * 20) / 20);
+  const key = JSON.stringify([paint.type, paint.gradient, paint.pattern, paint.texture, paint.wallWidthCm, roundedAspect]);
+
+  const cached = fillCache.get(id);
+  if (cached && cached.key === key) return cached.canvas;
+
+  const canvas = createPaintFill(paint, roundedAspect);
+  fillCache.set(id, { key, canvas });
+  return canvas;
+}
+
+/**
+ * Drop generated fills for overlays that no longer have pattern paint.
+ *
+ * @param {Set<string>} ids - Overlay IDs still in use
+ */
+export function retainPaintFills(ids) {
+  for (const id of fillCache.keys()) {
+    if (!ids.has(id)) fillCache.delete(id);
+  }
+}
+
+/**
+ * Draw the flat fill for gradient, pattern or texture paint.
+ *
+ * @param {Object} paint - Wall art paint settings
+ * @param {number} aspect - Region width / height
+ * @returns {OffscreenCanvas}
+ */
+export function createPaintFill(paint, aspect) {
+  const width = aspect >= 1 ? FILL_SIZE : Math.max(1, Math.round(FILL_SIZE * aspect));
+  const height = aspect >= 1 ? Math.max(1, Math.round(FILL_SIZE / aspect)) : FILL_SIZE;
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+
+  if (paint.type === 'linearGradient' || paint.type === 'radialGradient') {
+    const { start = '#4a90d9', end = '#9b59b6', angle = 180 } = paint.gradient || {};
+    let gradient;
+    if (paint.type === 'radialGradient') {
+      // Centered, reaching the farthest corner (CSS radial-gradient default)
+      gradient = ctx.createRadialGradient(width / 2, height / 2, 0, width / 2, height / 2, Math.hypot(width, height) / 2);
+    } else {
+      const line = getLinearGradientLine(angle, width, height);
+      gradient = ctx.createLinearGradient(line.x0, line.y0, line.x1, line.y1);
+    }
+    gradient.addColorStop(0, start);
+    gradient.addColorStop(1, end);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+    return canvas;
+  }
+
+  const layout = getTileLayout(paint, aspect);
+  const tileWidth = width / layout.repeatsX;
+  const tileHeight = height / layout.repeatsY;
+
+  // Draw one tile at a whole-pixel size, then scale the pattern to the exact tile size
+  const tileCanvas = new OffscreenCanvas(Math.max(4, Math.round(tileWidth)), Math.max(4, Math.round(tileHeight)));
+  const tileCtx = tileCanvas.getContext('2d');
+  if (paint.type === 'texture') {
+    const name = TEXTURE_PRESETS[paint.texture?.name] ? paint.texture.name : 'brick';
+    drawTextureTile(tileCtx, name, paint.texture?.colors || TEXTURE_PRESETS[name].colors, tileCanvas.width, tileCanvas.height);
+  } else {
+    const name = PATTERN_PRESETS[paint.pattern?.name] ? paint.pattern.name : 'stripes';
+    drawPatternTile(tileCtx, name, paint.pattern?.colors || PATTERN_PRESETS[name].colors, tileCanvas.width, tileCanvas.height);
+  }
+
+  ctx.save();
+  ctx.scale(tileWidth / tileCanvas.width, tileHeight / tileCanvas.height);
+  ctx.fillStyle = ctx.createPattern(tileCanvas, 'repeat');
+  ctx.fillRect(0, 0, width * tileCanvas.width / tileWidth, height * tileCanvas.height / tileHeight);
+  ctx.restore();
+  return canvas;
+}
+
+/**
+ * Draw one repeat of a procedural pattern.
+ *
+ * @param {OffscreenCanvasRenderingContext2D} ctx - Tile context
+ * @param {string} name - Key of PATTERN_PRESETS
+ * @param {string[]} colors - [background, foreground]
+ * @param {number} w - Tile width
+ * @param {number} h - Tile height
+ */
+function drawPatternTile(ctx, name, colors, w, h) {
+  const [background, foreground] = colors;
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, w, h);
+  ctx.fillStyle = foreground;
+
+  if (name === 'checker') {
+    ctx.fillRect(0, 0, w / 2, h / 2);
+    ctx.fillRect(w / 2, h / 2, w / 2, h / 2);
+  } else if (name === 'dots') {
+    // Half-drop layout: one dot in the middle, quarters in the corners
+    const radius = Math.min(w, h) * 0.18;
+    for (const [x, y] of [[w / 2, h / 2], [0, 0], [w, 0], [0, h], [w, h]]) {
+      ctx.beginPath();
+      ctx.arc(x, y, radius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  } else {
+    ctx.fillRect(w / 2, 0, w / 2, h);
+  }
+}
+
+/**
+ * Draw one tile of a texture.
+ *
+ * @param {OffscreenCanvasRenderingContext2D} ctx - Tile context
+ * @param {string} name - Key of TEXTURE_PRESETS
+ * @param {string[]} colors - [primary, secondary]
+ * @param {number} w - Tile width
+ * @param {number} h - Tile height
+ */
+function drawTextureTile(ctx, name, colors, w, h) {
+  const [primary, secondary] = colors;
+  // Seeded, so textures look the same every time they're generated
+  const random = createRandom(name.length * 7919);
+
+  if (name === 'woodPanel') {
+    drawWoodPanelTile(ctx, primary, secondary, w, h, random);
+  } else if (name === 'wallpaper') {
+    drawWallpaperTile(ctx, primary, secondary, w, h);
+  } else {
+    drawBrickTile(ctx, primary, secondary, w, h, random);
+  }
+}
+
+/**
+ * Brick: secondary is the mortar; every brick gets a slightly different shade.
+ * The offset course wraps around the tile edge, so the wrapped brick is drawn at both ends.
+ */
+function drawBrickTile(ctx, brick, mortar, w, h, random) {
+  ctx.fillStyle = mortar;
+  ctx.fillRect(0, 0, w, h);
+
+  const joint = Math.max(1, w / 45);
+  const courseHeight = h / 2;
+  const brickWidth = w / 2;
+  const tones = Array.from({ length: 4 }, () => (random() - 0.5) * 0.25);
+
+  const drawBrick = (x, y, tone) => {
+    ctx.fillStyle = tintColor(brick, tone);
+    ctx.fillRect(x + joint / 2, y + joint / 2, brickWidth - joint, courseHeight - joint);
+  };
+
+  drawBrick(0, 0, tones[0]);
+  drawBrick(brickWidth, 0, tones[1]);
+  drawBrick(-brickWidth / 2, courseHeight, tones[2]);
+  drawBrick(brickWidth / 2, courseHeight, tones[3]);
+  drawBrick(w - brickWidth / 2, courseHeight, tones[2]);
+}
+
+/**
+ * Wood panel: four vertical planks with grain streaks in the secondary color and
+ * staggered end joints.
+ */
+function drawWoodPanelTile(ctx, wood, grain, w, h, random) {
+  const plankWidth = w / 4;
+  const seam = Math.max(1, w / 120);
+
+  for (let plank = 0; plank < 4; plank++) {
+    const x = plank * plankWidth;
+    ctx.fillStyle = tintColor(wood, (random() - 0.5) * 0.2);
+    ctx.fillRect(x, 0, plankWidth, h);
+
+    // Grain: wavy streaks running along the plank (whole periods so the tile repeats vertically)
+    ctx.strokeStyle = grain;
+    ctx.lineWidth = Math.max(1, plankWidth / 40);
+    for (let line = 0; line < 6; line++) {
+      const offset = x + plankWidth * (0.1 + random() * 0.8);
+      const amplitude = plankWidth * 0.03 * (1 + random());
+      const phase = random() * Math.PI * 2;
+      ctx.globalAlpha = 0.15 + random() * 0.2;
+      ctx.beginPath();
+      for (let y = 0; y <= h; y += Math.max(1, h / 60)) {
+        const gx = offset + Math.sin((y / h) * Math.PI * 4 + phase) * amplitude;
+        if (y === 0) ctx.moveTo(gx, y);
+        else ctx.lineTo(gx, y);
+      }
+      ctx.stroke();
+    }
+    ctx.globalAlpha = 1;
+
+    // Seams between planks and a staggered end joint
+    ctx.fillStyle = tintColor(grain, -0.4);
+    ctx.fillRect(x, 0, seam, h);
+    const jointY = h * [0, 0.5, 0.25, 0.75][plank];
+    ctx.fillRect(x, jointY, plankWidth, seam);
+  }
+}
+
+/**
+ * Wallpaper: diamond trellis with a four-petal flower at each crossing and in the middle.
+ */
+function drawWallpaperTile(ctx, paper, ink, w, h) {
+  ctx.fillStyle = paper;
+  ctx.fillRect(0, 0, w, h);
+
+  ctx.strokeStyle = ink;
+  ctx.lineWidth = Math.max(1, w / 100);
+  ctx.beginPath();
+  ctx.moveTo(w / 2, 0);
+  ctx.lineTo(w, h / 2);
+  ctx.lineTo(w / 2, h);
+  ctx.lineTo(0, h / 2);
+  ctx.closePath();
+  ctx.stroke();
+
+  const petal = Math.min(w, h) * 0.07;
+  ctx.fillStyle = ink;
+  for (const [cx, cy] of [[w / 2, h / 2], [0, 0], [w, 0], [0, h], [w, h], [w / 2, 0], [w / 2, h], [0, h / 2], [w, h / 2]]) {
+    const size = cx === w / 2 && cy === h / 2 ? petal * 1.6 : petal;
+    for (let i = 0; i < 4; i++) {
+      const angle = (i * Math.PI) / 2;
+      ctx.beginPath();
+      ctx.ellipse(cx + Math.cos(angle) * size, cy + Math.sin(angle) * size, size, size / 2, angle, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+}
+
+// Export for use in inject.js (non-module context)
+if (typeof window !== 'undefined') {
+  window.PaintPatterns = {
+    PATTERN_PRESETS,
+    TEXTURE_PRESETS,
+    getPaintFill,
+    getTileLayout
+  };
+}
@@ -2,10 +2,13 @@
  * Reference Frame Capture Module
  *
  * Captures video frames and computes a median reference frame
- * for background subtraction and wall color pre-computation.
+ * for background subtraction, wall color pre-computation and
+ * relocalizing wall art after the camera is moved.
  */
 
 import { detectDominantColor, rgbToHex } from './color-sampler.js';
+// Classic script: registers JiggleCompensator on window/self
+import './jiggle-compensator.js';
 
 /**
  * @typedef {Object} ReferenceFrameData
@@ -14,6 +17,7 @@ import { detectDominantColor, rgbToHex } from './color-sampler.js';
  * @property {number} height - Frame height in pixels
  * @property {number} capturedAt - Timestamp of capture
  * @property {number} frameCount - Number of frames used
+ * @property {Object|null} descriptors - Keypoint descriptors of the median frame (see computeReferenceDescriptors)
  */
 
 /**
@@ -233,12 +237,15 @@ export class ReferenceFrameCapture {
       medianData[pixelOffset + 3] = 255; // Full opacity
     }
 
+    const medianFrame = new ImageData(medianData, width, height);
+
     return {
-      medianFrame: new ImageData(medianData, width, height),
+      medianFrame,
       width,
       height,
       capturedAt: Date.now(),
-      frameCount: this.capturedFrames.length
+      frameCount: this.capturedFrames.length,
+      descriptors: computeReferenceDescriptors(medianFrame)
     };
   }
 }
@@ -280,3 +287,19 @@ export function computeWallColors(referenceFrame, regions) {
 
   return wallColors;
 }
+
+/**
+ * Compute keypoint descriptors for a reference frame. The jiggle compensator
+ * matches later frames against them to find the wall again after a large
+ * camera move. Plain arrays, so they can be stored in chrome.storage.
+ * @param {ImageData} referenceFrame
+ * @returns {Object|null} Descriptors, or null if the jiggle compensator isn't loaded
+ */
+export function computeReferenceDescriptors(referenceFrame) {
+  const JiggleCompensator = /** @type {*} */ (globalThis).JiggleCompensator;
+  if (!JiggleCompensator) return null;
+
+  const canvas = new OffscreenCanvas(referenceFrame.width, referenceFrame.height);
+  canvas.getContext('2d').putImageData(referenceFrame, 0, 0);
+  return JiggleCompensator.computeDescriptors(canvas);
+}
@@ -23,6 +23,8 @@ const STORAGE_KEY = 'wallArtSetupData';
  * @property {number} width - Frame width
  * @property {number} height - Frame height
  * @property {number} capturedAt - Timestamp of capture
+ * @property {Object|null} referenceDescriptors - Keypoint descriptors for relocalization
+ * @property {number[]|null} referencePose - Where the saved regions are relative to the reference view
  * @property {Object<string, string>} wallColors - Pre-computed colors per region
  * @property {BenchmarkResults} benchmark - Benchmark results
  * @property {string} selectedPreset - User's chosen preset
@@ -63,6 +65,7 @@ function loadImageFromDataUrl(dataUrl) {
  * @param {number} data.width - Frame width
  * @param {number} data.height - Frame height
  * @param {number} data.capturedAt - Timestamp
+ * @param {Object|null} [data.descriptors] - Keypoint descriptors of the reference frame
  * @param {Object<string, string>} data.wallColors - Pre-computed wall colors
  * @param {BenchmarkResults} data.benchmark - Benchmark results
  * @param {string} data.selectedPreset - User's chosen preset
@@ -82,6 +85,8 @@ export async function saveSetupData(data) {
     width: data.width,
     height: data.height,
     capturedAt: data.capturedAt,
+    referenceDescriptors: data.descriptors || null,
+    referencePose: null,
     wallColors: data.wallColors || {},
     benchmark: data.benchmark,
     selectedPreset: data.selectedPreset
@@ -115,6 +120,8 @@ export async function loadSetupData() {
       width: data.width,
       height: data.height,
       capturedAt: data.capturedAt,
+      descriptors: data.referenceDescriptors || null,
+      referencePose: data.referencePose || null,
       wallColors: data.wallColors || {},
       benchmark: data.benchmark,
       selectedPreset: data.selectedPreset
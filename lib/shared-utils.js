@@ -0,0 +1,67 @@
+/**
+ * Shared Utilities Module
+ *
+ * Small helpers used by several wall art modules:
+ * - Seeded pseudo-random numbers, for anything that has to come out the same
+ *   every time (RANSAC samples, procedural textures, playlist shuffles)
+ * - Color shading for procedurally drawn surfaces (frames, textures)
+ */
+
+/**
+ * Small seeded PRNG (mulberry32).
+ *
+ * @param {number} seed
+ * @returns {() => number} Generator of floats in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Scale a color's brightness.
+ *
+ * @param {string} hex - Color (#rrggbb)
+ * @param {number} factor - Brightness multiplier (< 1 darkens, > 1 lightens)
+ * @returns {string} CSS rgb() color
+ */
+export function shadeColor(hex, factor) {
+  const channels = parseHexColor(hex)
+    .map(channel => Math.max(0, Math.min(255, Math.round(channel * factor))));
+  return `rgb(${channels.join(', ')})`;
+}
+
+/**
+ * Lighten (amount > 0) or darken (amount < 0) a color by mixing it with white or black.
+ *
+ * @param {string} hex - Color (#rrggbb)
+ * @param {number} amount - -1 to 1
+ * @returns {string} CSS rgb() color
+ */
+export function tintColor(hex, amount) {
+  const target = amount > 0 ? 255 : 0;
+  const channels = parseHexColor(hex)
+    .map(channel => Math.round(channel + (target - channel) * Math.abs(amount)));
+  return `rgb(${channels.join(', ')})`;
+}
+
+// [r, g, b] of a #rrggbb color
+function parseHexColor(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+// Export for use in inject.js (non-module context)
+if (typeof window !== 'undefined') {
+  window.SharedUtils = {
+    createRandom,
+    shadeColor,
+    tintColor
+  };
+}
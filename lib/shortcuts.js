@@ -0,0 +1,170 @@
+/**
+ * Keyboard Shortcuts
+ *
+ * Maps chrome.commands to overlay and wall art toggles. The background worker
+ * turns a command into visibility changes (written back to storage) plus the
+ * messages content.js forwards to the Meet page; the options page edits which
+ * overlay each slot controls.
+ */
+
+/**
+ * Number of "toggle slot" commands declared in manifest.json
+ */
+export const SHORTCUT_SLOT_COUNT = 6;
+
+/**
+ * Fixed commands (slot commands are toggle-slot-1 ... toggle-slot-N)
+ */
+export const COMMAND_NEXT_EFFECT = 'next-effect';
+export const COMMAND_PREVIOUS_EFFECT = 'previous-effect';
+export const COMMAND_HIDE_ALL = 'hide-all';
+
+/**
+ * What a slot does when it targets a timer
+ */
+export const TIMER_SLOT_VISIBILITY = 'visibility';
+export const TIMER_SLOT_START_PAUSE = 'startPause';
+export const TIMER_SLOT_RESET = 'reset';
+
+const SLOT_COMMAND_PREFIX = 'toggle-slot-';
+
+// Toggle message per overlay type (standard images have no on/off state)
+const TOGGLE_MESSAGES = {
+  effect: 'TOGGLE_EFFECT',
+  textBanner: 'TOGGLE_TEXT_BANNER',
+  timer: 'TOGGLE_TIMER',
+  camera: 'TOGGLE_CAMERA'
+};
+
+/**
+ * Command name for a slot.
+ * @param {number} slot - Slot number (1-based)
+ * @returns {string} Command name as declared in manifest.json
+ */
+export function getSlotCommand(slot) {
+  return `${SLOT_COMMAND_PREFIX}${slot}`;
+}
+
+/**
+ * Slot number for a slot command.
+ * @param {string} command - Command name
+ * @returns {number|null} Slot number, or null if the command isn't a slot command
+ */
+export function parseSlotCommand(command) {
+  if (typeof command !== 'string' || !command.startsWith(SLOT_COMMAND_PREFIX)) return null;
+  const slot = Number(command.slice(SLOT_COMMAND_PREFIX.length));
+  return Number.isInteger(slot) && slot >= 1 && slot <= SHORTCUT_SLOT_COUNT ? slot : null;
+}
+
+/**
+ * Whether a slot can control this overlay or wall art region.
+ * @param {Object} item - Overlay or wall art region
+ * @returns {boolean}
+ */
+export function isShortcutTarget(item) {
+  return !!item && (item.type === 'wallArt' || item.type in TOGGLE_MESSAGES);
+}
+
+/**
+ * Visibility changes for "next/previous effect": the active effect is switched
+ * off and its neighbour in the list is switched on, wrapping at either end.
+ * With no effect active, next starts at the first and previous at the last.
+ * @param {Array} overlays - All overlays in list order
+ * @param {number} direction - 1 for next, -1 for previous
+ * @returns {Array<{id: string, active: boolean}>} Changes to apply
+ */
+export function getEffectCycleChanges(overlays, direction) {
+  const effects = (overlays || []).filter(o => o.type === 'effect');
+  if (effects.length === 0) return [];
+
+  const currentIndex = effects.findIndex(o => o.active);
+  let nextIndex;
+  if (currentIndex === -1) {
+    nextIndex = direction > 0 ? 0 : effects.length - 1;
+  } else {
+    nextIndex = (currentIndex + direction + effects.length) % effects.length;
+  }
+
+  const changes = effects
+    .filter((effect, index) => effect.active && index !== nextIndex)
+    .map(effect => ({ id: effect.id, active: false }));
+  if (!effects[nextIndex].active) {
+    changes.push({ id: effects[nextIndex].id, active: true });
+  }
+  return changes;
+}
+
+/**
+ * Resolve a chrome.commands command against the saved configuration.
+ * @param {string} command - Command name
+ * @param {Object} state - Saved configuration
+ * @param {Array} state.overlays - Overlays
+ * @param {Array} state.wallArtOverlays - Wall art regions
+ * @param {Object} state.shortcutSlots - Slot number -> { targetId, timerAction? }
+ * @returns {{messages: Object[], overlayChanges: Array<{id: string, active: boolean}>,
+ *   wallArtChanges: Array<{id: string, active: boolean}>}|null} What to do, or null if the command does nothing
+ */
+export function resolveShortcutCommand(command, state) {
+  const overlays = state.overlays || [];
+  const wallArtOverlays = state.wallArtOverlays || [];
+
+  if (command === COMMAND_HIDE_ALL) {
+    return { messages: [{ type: 'HIDE_ALL' }], overlayChanges: [], wallArtChanges: [] };
+  }
+
+  if (command === COMMAND_NEXT_EFFECT || command === COMMAND_PREVIOUS_EFFECT) {
+    const changes = getEffectCycleChanges(overlays, command === COMMAND_NEXT_EFFECT ? 1 : -1);
+    if (changes.length === 0) return null;
+    return {
+      messages: changes.map(change => ({ type: 'TOGGLE_EFFECT', ...change })),
+      overlayChanges: changes,
+      wallArtChanges: []
+    };
+  }
+
+  const slot = parseSlotCommand(command);
+  const binding = slot && state.shortcutSlots ? state.shortcutSlots[slot] : null;
+  if (!binding || !binding.targetId) return null;
+
+  const wallArt = wallArtOverlays.find(wa => wa.id === binding.targetId);
+  if (wallArt) {
+    const change = { id: wallArt.id, active: !wallArt.active };
+    return {
+      messages: [{ type: 'TOGGLE_WALL_ART', ...change }],
+      overlayChanges: [],
+      wallArtChanges: [change]
+    };
+  }
+
+  const overlay = overlays.find(o => o.id === binding.targetId);
+  if (!isShortcutTarget(overlay)) return null;
+
+  // Timer run state lives in the page, so start/pause and reset go straight there
+  if (overlay.type === 'timer' && binding.timerAction === TIMER_SLOT_START_PAUSE) {
+    return { messages: [{ type: 'TIMER_CONTROL', id: overlay.id, action: 'toggle' }], overlayChanges: [], wallArtChanges: [] };
+  }
+  if (overlay.type === 'timer' && binding.timerAction === TIMER_SLOT_RESET) {
+    return { messages: [{ type: 'TIMER_CONTROL', id: overlay.id, action: 'reset' }], overlayChanges: [], wallArtChanges: [] };
+  }
+
+  const change = { id: overlay.id, active: !overlay.active };
+  return {
+    messages: [{ type: TOGGLE_MESSAGES[overlay.type], ...change }],
+    overlayChanges: [change],
+    wallArtChanges: []
+  };
+}
+
+/**
+ * Apply visibility changes to a stored list without mutating it.
+ * @param {Array} items - Overlays or wall art regions
+ * @param {Array<{id: string, active: boolean}>} changes - Changes to apply
+ * @returns {Array} Updated list
+ */
+export function applyActiveChanges(items, changes) {
+  if (!changes || changes.length === 0) return items;
+  return items.map(item => {
+    const change = changes.find(c => c.id === item.id);
+    return change ? { ...item, active: change.active } : item;
+  });
+}
@@ -1,8 +1,29 @@
 /**
  * Snap Engine - Provides snapping functionality for wall art region corners
- * Supports snapping to: detected edges, grid lines, and alignment with other corners
+ * Supports snapping to: detected edges, grid lines, and alignment with other corners.
+ * In perspective mode corners also snap to where the region's edges converge on the
+ * scene's vanishing points, so a region on a receding wall looks like part of it.
  */
 
+// Perspective mode tuning (lengths in EdgeDetector pixels)
+const PERSPECTIVE_CONFIG = {
+  VERTICAL_TOLERANCE_DEG: 15, // Lines this close to vertical vote for the vertical vanishing point
+  INLIER_ANGLE_DEG: 2, // Max angle between a line and the direction to its vanishing point
+  CANDIDATE_LINES: 20, // Longest lines intersected pairwise for vanishing point candidates
+  MIN_SUPPORT: 40, // Total line length a horizontal vanishing point needs
+  MAX_HORIZONTAL: 2, // Horizontal vanishing points (one per visible wall direction)
+  CORNER_RADIUS: 1.5 // Snap radius of the point satisfying both constraints, relative to snapThreshold
+};
+
+// For each corner: the corner sharing its vertical side, the corner sharing its
+// horizontal side, and the opposite horizontal side
+const PERSPECTIVE_NEIGHBORS = {
+  topLeft: { vertical: 'bottomLeft', horizontal: 'topRight', facing: ['bottomLeft', 'bottomRight'] },
+  topRight: { vertical: 'bottomRight', horizontal: 'topLeft', facing: ['bottomLeft', 'bottomRight'] },
+  bottomLeft: { vertical: 'topLeft', horizontal: 'bottomRight', facing: ['topLeft', 'topRight'] },
+  bottomRight: { vertical: 'topRight', horizontal: 'bottomLeft', facing: ['topLeft', 'topRight'] }
+};
+
 /**
  * SnapEngine class for intelligent corner snapping
  */
@@ -13,6 +34,9 @@ class SnapEngine {
     this.edgeSnapStrength = options.edgeSnapStrength || 1.0; // Multiplier for edge snap priority
     this.alignSnapStrength = options.alignSnapStrength || 0.8; // Multiplier for alignment snap priority
     this.gridSnapStrength = options.gridSnapStrength || 0.5; // Multiplier for grid snap priority
+    this.perspectiveSnapStrength = options.perspectiveSnapStrength || 0.9; // Multiplier for perspective snap priority
+    this.perspectiveEnabled = options.perspectiveEnabled || false; // Snap corners to converging edges
+    this.vanishingPoints = null; // Set by updateVanishingPoints
   }
 
   /**
@@ -45,11 +69,24 @@ class SnapEngine {
    * @param {Object|null} edgeDetector - EdgeDetector instance (optional)
    * @param {Object|null} edgeMap - Edge map from EdgeDetector.detectEdges (optional)
    * @param {Array} otherCorners - Array of other corner points to align with
+   * @param {Object|null} perspective - {region, cornerName, constrained} for perspective snapping (optional).
+   *   Constrained drags keep the corner's vertical side on the vertical vanishing point and
+   *   only snap along it.
    * @returns {Array} Array of snap candidates with type, point, and priority
    */
-  getSnapCandidates(point, edgeDetector, edgeMap, otherCorners = []) {
+  getSnapCandidates(point, edgeDetector, edgeMap, otherCorners = [], perspective = null) {
     const candidates = [];
 
+    // Check for perspective snapping (constrained drags only snap along the vertical side)
+    if (this.perspectiveEnabled && this.vanishingPoints && perspective) {
+      const { region, cornerName, constrained } = perspective;
+      const from = constrained ? this.constrainToPerspective(point, region, cornerName) : point;
+      candidates.push(...this.getPerspectiveCandidates(from, region, cornerName));
+      if (constrained) {
+        return candidates.sort((a, b) => b.priority - a.priority);
+      }
+    }
+
     // 1. Check for edge snapping (highest priority)
     if (edgeDetector && edgeMap) {
       const edgeSnap = edgeDetector.findSnapPoint(point.x, point.y, this.snapThreshold, edgeMap);
@@ -146,6 +183,7 @@ class SnapEngine {
    */
   getSnapGuides(point, candidates, _region) {
     const guides = [];
+    const perspectiveLines = new Set();
 
     for (const candidate of candidates) {
       if (candidate.type === 'align-vertical') {
@@ -178,6 +216,21 @@ class SnapEngine {
           color: '#ff6600',
           strength: candidate.priority
         });
+      } else if (candidate.lines) {
+        // Perspective snap: the region sides through the vanishing points
+        for (const line of candidate.lines) {
+          if (perspectiveLines.has(line)) continue;
+          perspectiveLines.add(line);
+          const segment = this._clipToFrame(line);
+          if (segment) {
+            guides.push({
+              type: 'perspective-line',
+              ...segment,
+              color: '#c77dff',
+              strength: candidate.priority
+            });
+          }
+        }
       } else if (candidate.type === 'grid') {
         // Grid snap indicator
         guides.push({
@@ -193,6 +246,227 @@ class SnapEngine {
     return guides;
   }
 
+  /**
+   * Estimate the scene's vanishing points from straight edges. Near-vertical lines vote
+   * for the vertical vanishing point; the rest for up to two horizontal ones, one per
+   * visible wall direction. Estimated in pixels (vanishing-points.js), where the
+   * angle tolerances hold on any frame shape, then converted to percentage.
+   * @param {Array} lines - Segments {x1, y1, x2, y2, length} from EdgeDetector.findLineSegments
+   *   (percentage, length in pixels)
+   * @param {number} width - Width of the edge map the lines were found in (pixels)
+   * @param {number} height - Height of the edge map (pixels)
+   * @returns {Object|null} {vertical, horizontal: []} as homogeneous points [x, y, w] in
+   *   percentage (w = 0 for a point at infinity), or null without any lines
+   */
+  estimateVanishingPoints(lines, width, height) {
+    if (!lines || lines.length === 0) {
+      return null;
+    }
+
+    const segments = lines.map(line => ({
+      x1: (line.x1 / 100) * width,
+      y1: (line.y1 / 100) * height,
+      x2: (line.x2 / 100) * width,
+      y2: (line.y2 / 100) * height,
+      length: line.length
+    }));
+    const { estimateVanishingPoints } = /** @type {*} */ (window.VanishingPoints);
+    const { vertical, horizontal } = estimateVanishingPoints(segments, {
+      verticalToleranceDeg: PERSPECTIVE_CONFIG.VERTICAL_TOLERANCE_DEG,
+      inlierAngleDeg: PERSPECTIVE_CONFIG.INLIER_ANGLE_DEG,
+      candidateSegments: PERSPECTIVE_CONFIG.CANDIDATE_LINES,
+      minSupport: PERSPECTIVE_CONFIG.MIN_SUPPORT,
+      maxHorizontal: PERSPECTIVE_CONFIG.MAX_HORIZONTAL
+    });
+
+    // Without vertical lines, assume a level camera (verticals stay vertical)
+    const toPercent = ([x, y, w]) => [(x / width) * 100, (y / height) * 100, w];
+    return {
+      vertical: toPercent(vertical.point),
+      horizontal: horizontal.map(vp => toPercent(vp.point))
+    };
+  }
+
+  /**
+   * Re-estimate the vanishing points used by perspective snapping
+   * @param {Array} lines - Segments from EdgeDetector.findLineSegments
+   * @param {number} width - Width of the edge map the lines were found in (pixels)
+   * @param {number} height - Height of the edge map (pixels)
+   * @returns {Object|null} The new vanishing points
+   */
+  updateVanishingPoints(lines, width, height) {
+    this.vanishingPoints = this.estimateVanishingPoints(lines, width, height);
+    return this.vanishingPoints;
+  }
+
+  /**
+   * Lines a corner should lie on for the region's sides to converge: from the corner
+   * sharing its vertical side through the vertical vanishing point, and from the corner
+   * sharing its horizontal side through the horizontal vanishing point the opposite
+   * side points at
+   * @param {Object} region - Region with all four corners
+   * @param {string} cornerName - Corner being moved
+   * @returns {Object} {vertical, horizontal} homogeneous lines [a, b, c] (null when unknown)
+   */
+  getPerspectiveLines(region, cornerName) {
+    const neighbors = PERSPECTIVE_NEIGHBORS[cornerName];
+    if (!this.vanishingPoints || !neighbors) {
+      return { vertical: null, horizontal: null };
+    }
+
+    const [facingStart, facingEnd] = neighbors.facing.map(name => region[name]);
+    const facing = {
+      x1: facingStart.x,
+      y1: facingStart.y,
+      x2: facingEnd.x,
+      y2: facingEnd.y
+    };
+    let horizontalPoint = null;
+    let bestDeviation = Infinity;
+    for (const point of this.vanishingPoints.horizontal) {
+      const deviation = /** @type {*} */ (window.VanishingPoints).vanishingDeviation(facing, point);
+      if (deviation < bestDeviation) {
+        bestDeviation = deviation;
+        horizontalPoint = point;
+      }
+    }
+
+    return {
+      vertical: this._lineThrough(region[neighbors.vertical], this.vanishingPoints.vertical),
+      horizontal: horizontalPoint && this._lineThrough(region[neighbors.horizontal], horizontalPoint)
+    };
+  }
+
+  /**
+   * Perspective snap candidates: the point on either converging line, and the point
+   * where both cross (the corner that makes the whole region consistent)
+   * @param {Object} point - Current point {x, y}
+   * @param {Object} region - Region with all four corners
+   * @param {string} cornerName - Corner being moved
+   * @returns {Array} Snap candidates
+   */
+  getPerspectiveCandidates(point, region, cornerName) {
+    const candidates = [];
+    const lines = this.getPerspectiveLines(region, cornerName);
+
+    for (const direction of ['vertical', 'horizontal']) {
+      const line = lines[direction];
+      if (!line) continue;
+      const projected = this._projectOntoLine(point, line);
+      const dist = this.distance(point, projected);
+      if (dist < this.snapThreshold) {
+        candidates.push({
+          type: `perspective-${direction}`,
+          point: projected,
+          lines: [line],
+          distance: dist,
+          priority: this.perspectiveSnapStrength * (1 - dist / this.snapThreshold)
+        });
+      }
+    }
+
+    if (lines.vertical && lines.horizontal) {
+      const cross = this._cross(lines.vertical, lines.horizontal);
+      if (Math.abs(cross[2]) > 1e-9) {
+        const corner = { x: cross[0] / cross[2], y: cross[1] / cross[2] };
+        const radius = this.snapThreshold * PERSPECTIVE_CONFIG.CORNER_RADIUS;
+        const dist = this.distance(point, corner);
+        if (dist < radius) {
+          candidates.push({
+            type: 'perspective-corner',
+            point: corner,
+            lines: [lines.vertical, lines.horizontal],
+            distance: dist,
+            // Satisfies both constraints, so it beats either line at the same distance
+            priority: this.perspectiveSnapStrength * (1.2 - dist / radius)
+          });
+        }
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Move a point onto the line from its vertical neighbour through the vertical
+   * vanishing point, so the region's side stays consistent however it is dragged
+   * @param {Object} point - Current point {x, y}
+   * @param {Object} region - Region with all four corners
+   * @param {string} cornerName - Corner being moved
+   * @returns {Object} Constrained point (the point itself without vanishing points)
+   */
+  constrainToPerspective(point, region, cornerName) {
+    const { vertical } = this.getPerspectiveLines(region, cornerName);
+    return vertical ? this._projectOntoLine(point, vertical) : point;
+  }
+
+  /**
+   * Homogeneous line through a point and a (possibly infinite) vanishing point
+   * @private
+   */
+  _lineThrough(point, vanishingPoint) {
+    const line = this._cross([point.x, point.y, 1], vanishingPoint);
+    return Math.hypot(line[0], line[1]) > 1e-9 ? line : null;
+  }
+
+  /**
+   * Closest point on a homogeneous line
+   * @private
+   */
+  _projectOntoLine(point, line) {
+    const [a, b, c] = line;
+    const offset = (a * point.x + b * point.y + c) / (a * a + b * b);
+    return { x: point.x - a * offset, y: point.y - b * offset };
+  }
+
+  /**
+   * Part of a homogeneous line inside the frame (0-100 on both axes)
+   * @private
+   */
+  _clipToFrame(line) {
+    const [a, b, c] = line;
+    const points = [];
+    if (Math.abs(b) > 1e-9) {
+      for (const x of [0, 100]) {
+        const y = -(a * x + c) / b;
+        if (y >= 0 && y <= 100) points.push({ x, y });
+      }
+    }
+    if (Math.abs(a) > 1e-9) {
+      for (const y of [0, 100]) {
+        const x = -(b * y + c) / a;
+        if (x >= 0 && x <= 100) points.push({ x, y });
+      }
+    }
+    if (points.length < 2) return null;
+
+    // Farthest pair (a line through a frame corner is found twice)
+    let best = null;
+    let bestDistance = 0;
+    for (let i = 0; i < points.length; i++) {
+      for (let j = i + 1; j < points.length; j++) {
+        const dist = this.distance(points[i], points[j]);
+        if (dist > bestDistance) {
+          bestDistance = dist;
+          best = { x1: points[i].x, y1: points[i].y, x2: points[j].x, y2: points[j].y };
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Cross product of homogeneous vectors (line through two points, or crossing of two lines)
+   * @private
+   */
+  _cross(a, b) {
+    return [
+      a[1] * b[2] - a[2] * b[1],
+      a[2] * b[0] - a[0] * b[2],
+      a[0] * b[1] - a[1] * b[0]
+    ];
+  }
+
   /**
    * Check if a region would be valid after moving a corner
    * @param {Object} region - Current region
@@ -0,0 +1,176 @@
+/**
+ * Vanishing Points Module
+ *
+ * Estimates a scene's vanishing points from straight line segments, for wall
+ * detection (wall-detector.js) and perspective corner snapping (snap-engine.js):
+ * one for vertical lines, and up to two for the remaining lines (the horizontal
+ * directions of two walls meeting in a corner).
+ *
+ * Candidates are intersections of pairs of long segments, plus the point at
+ * infinity for lines that stay parallel; the one most segments point at wins.
+ * Segments must be in pixels: angle tolerances mean nothing in a space stretched
+ * differently along each axis, like percentages of a non-square frame.
+ */
+
+/**
+ * @typedef {Object} VanishingSegment
+ * @property {number} x1 - Start X (pixels)
+ * @property {number} y1 - Start Y
+ * @property {number} x2 - End X
+ * @property {number} y2 - End Y
+ * @property {number} length - Length in pixels
+ */
+
+/**
+ * @typedef {Object} VanishingPoint
+ * @property {number[]} point - Homogeneous [x, y, w] in pixels (w = 0 for a point at infinity)
+ * @property {VanishingSegment[]} inliers - Segments pointing at it
+ * @property {number} support - Total length of the inliers
+ */
+
+/**
+ * @typedef {Object} VanishingPointOptions
+ * @property {number} verticalToleranceDeg - Segments this close to vertical are vertical
+ * @property {number} inlierAngleDeg - Max angle between a segment and its vanishing point
+ * @property {number} candidateSegments - Longest segments paired up for candidates
+ * @property {number} minSupport - Min total inlier length (px) of a horizontal vanishing point
+ * @property {number} [maxHorizontal=2] - Horizontal vanishing points to look for
+ * @property {number|null} [height] - Frame height; with it, horizontal candidates far above
+ *   or below the frame count less (the camera is roughly upright and level)
+ * @property {number} [horizonBand=0.5] - Frame heights above/below the frame horizontal
+ *   vanishing points are expected within
+ */
+
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+/**
+ * Homogeneous line through a segment
+ * @param {{x1: number, y1: number, x2: number, y2: number}} segment
+ * @returns {number[]} [a, b, c]
+ */
+function segmentLine(segment) {
+  return cross([segment.x1, segment.y1, 1], [segment.x2, segment.y2, 1]);
+}
+
+/**
+ * Sine of the angle between a segment and the direction from its middle to a
+ * vanishing point (1 when the point is on or next to the segment: lines meeting
+ * at a corner do not vanish there)
+ * @param {{x1: number, y1: number, x2: number, y2: number}} segment
+ * @param {number[]} point - Homogeneous point
+ * @returns {number}
+ */
+function vanishingDeviation(segment, point) {
+  const dx = segment.x2 - segment.x1;
+  const dy = segment.y2 - segment.y1;
+  const length = Math.hypot(dx, dy);
+  const vx = point[0] - ((segment.x1 + segment.x2) / 2) * point[2];
+  const vy = point[1] - ((segment.y1 + segment.y2) / 2) * point[2];
+  const reach = Math.hypot(vx, vy);
+  if (reach < length * Math.abs(point[2]) || reach * length === 0) return 1;
+  return Math.abs(dx * vy - dy * vx) / (reach * length);
+}
+
+/**
+ * Best supported vanishing point of a group of segments
+ * @param {VanishingSegment[]} segments
+ * @param {number[]} fallback - Homogeneous point at infinity tried alongside the intersections
+ * @param {VanishingPointOptions} options
+ * @param {number|null} height - Frame height for the horizon prior (null = no prior)
+ * @returns {VanishingPoint}
+ */
+function findVanishingPoint(segments, fallback, options, height) {
+  const candidates = [fallback];
+  const longest = [...segments]
+    .sort((a, b) => b.length - a.length)
+    .slice(0, options.candidateSegments)
+    .map(segmentLine);
+  for (let i = 0; i < longest.length; i++) {
+    for (let j = i + 1; j < longest.length; j++) {
+      const point = cross(longest[i], longest[j]);
+      const norm = Math.hypot(point[0], point[1], point[2]);
+      if (norm > 1e-12) candidates.push(point.map(v => v / norm));
+    }
+  }
+
+  const tolerance = Math.sin(options.inlierAngleDeg * Math.PI / 180);
+  const band = options.horizonBand ?? 0.5;
+  let best = { point: fallback, inliers: [], support: 0 };
+  let bestScore = 0;
+  for (const point of candidates) {
+    let score = 0;
+    let support = 0;
+    const inliers = [];
+    for (const segment of segments) {
+      const deviation = vanishingDeviation(segment, point);
+      if (deviation < tolerance) {
+        score += segment.length * (1 - deviation / tolerance);
+        support += segment.length;
+        inliers.push(segment);
+      }
+    }
+    if (height && Math.abs(point[2]) > 1e-9) {
+      const y = point[1] / point[2];
+      const outside = Math.max(0, -band * height - y, y - (1 + band) * height);
+      score *= Math.exp(-outside / height);
+    }
+    if (score > bestScore) {
+      bestScore = score;
+      best = { point, inliers, support };
+    }
+  }
+  return best;
+}
+
+/**
+ * Estimate vanishing points: one for vertical segments, and up to maxHorizontal
+ * for the rest. Without vertical segments the vertical one stays at infinity
+ * (a level camera keeps verticals vertical).
+ * @param {VanishingSegment[]} segments - Segments in pixels
+ * @param {VanishingPointOptions} options
+ * @returns {{vertical: VanishingPoint, horizontal: VanishingPoint[]}}
+ */
+function estimateVanishingPoints(segments, options) {
+  const verticalSin = Math.sin(options.verticalToleranceDeg * Math.PI / 180);
+  const vertical = [];
+  let remaining = [];
+  for (const segment of segments) {
+    const dx = segment.x2 - segment.x1;
+    const dy = segment.y2 - segment.y1;
+    if (Math.abs(dx) < Math.hypot(dx, dy) * verticalSin) {
+      vertical.push(segment);
+    } else {
+      remaining.push(segment);
+    }
+  }
+
+  const horizontal = [];
+  const maxHorizontal = options.maxHorizontal ?? 2;
+  while (horizontal.length < maxHorizontal && remaining.length > 0) {
+    const vp = findVanishingPoint(remaining, [1, 0, 0], options, options.height ?? null);
+    if (vp.inliers.length === 0 || vp.support < options.minSupport) break;
+    horizontal.push(vp);
+    remaining = remaining.filter(s => !vp.inliers.includes(s));
+  }
+
+  return { vertical: findVanishingPoint(vertical, [0, 1, 0], options, null), horizontal };
+}
+
+const VanishingPoints = {
+  estimateVanishingPoints,
+  vanishingDeviation
+};
+
+// Export for module context (Node.js/CommonJS)
+// eslint-disable-next-line no-undef
+if (typeof module !== 'undefined' && module.exports) {
+  // eslint-disable-next-line no-undef
+  module.exports = VanishingPoints;
+}
+
+// Make available globally for browser context
+if (typeof window !== 'undefined') {
+  window.VanishingPoints = VanishingPoints;
+}
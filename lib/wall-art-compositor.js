@@ -0,0 +1,155 @@
+/**
+ * Wall Art Compositor Module
+ *
+ * Composites wall paint and art onto one camera frame. Used by both rendering
+ * paths, the page's VideoProcessor (inject.js) and the compositor worker:
+ * - Person mask from segmentation
+ * - Jiggle compensation, moving the regions with the camera
+ * - Occluders: drawn strokes, objects that differ from the setup reference frame,
+ *   and objects nearer than the wall in the reference depth map
+ * - Lighting grades per region
+ * - Paint layers, then art layers
+ *
+ * Each path owns its processors (created lazily, with its own callbacks) and hands
+ * them in as getters; a getter returns null when its processor is unavailable.
+ */
+
+import { JiggleCompensator } from './jiggle-compensator.js';
+import { needsAutoOccluders, buildOccluderMasks } from './occluder-mask.js';
+import { renderAllWallPaint } from './wall-paint-renderer.js';
+import { renderAllWallArt } from './wall-art-renderer.js';
+
+/**
+ * @typedef {Object} WallArtFrame
+ * @property {HTMLCanvasElement|OffscreenCanvas} source - Camera frame (segmented, sampled and used for shading)
+ * @property {number} timestamp - Frame timestamp (ms)
+ * @property {Array} wallArtOverlays - Wall art overlays (inactive ones are skipped)
+ * @property {Map} images - Art sources by overlay ID
+ * @property {Object} settings - Wall art settings
+ * @property {{frame: ImageData, pose: number[]|null}|null} shadingReference - Setup reference frame and camera pose
+ * @property {Object|null} referenceDepth - Depth map of the reference frame (DepthMap from depth-estimator.js)
+ * @property {number[]|null} pose - Camera pose of the reference frame (percent-space homography)
+ */
+
+/**
+ * @typedef {Object} WallArtProcessors
+ * @property {() => (Object|null|Promise<Object|null>)} getSegmenter - Person segmenter
+ * @property {() => Object|null} getJiggleCompensator - JiggleCompensator
+ * @property {() => Object|null} getOccluderTracker - OccluderTracker
+ * @property {() => Object|null} getDepthOcclusion - DepthOcclusion
+ * @property {() => Object|null} getLightingDetector - LightingDetector
+ * @property {() => Object|null} getWebGLArtRenderer - WebGL art renderer (null -> Canvas2D)
+ */
+
+/**
+ * Composite wall paint and art onto a frame already drawn on the canvas.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Target canvas context
+ * @param {WallArtFrame} frame - Frame and wall art state
+ * @param {WallArtProcessors} processors - Getters for the caller's processors
+ * @returns {Promise<number>} Segmentation time in ms (0 if not run)
+ */
+export async function compositeWallArt(ctx, frame, processors) {
+  const { source, timestamp, settings, shadingReference, referenceDepth, pose } = frame;
+  const activeWallArt = frame.wallArtOverlays.filter(wa => wa.active);
+  if (activeWallArt.length === 0) return 0;
+
+  // Get person mask if segmentation is enabled
+  let personMask = null;
+  let segmentTime = 0;
+  if (settings.segmentationEnabled) {
+    try {
+      const segmenter = await processors.getSegmenter();
+      if (segmenter) {
+        const segmentStart = performance.now();
+        const result = await segmenter.segment(source);
+        personMask = result.mask;
+        segmentTime = performance.now() - segmentStart;
+      }
+    } catch (e) {
+      // Segmentation failed, continue without mask
+      console.warn('[WallArtCompositor] Segmentation failed:', e);
+    }
+  }
+
+  // Apply jiggle compensation if enabled
+  let compensationTransform = { dx: 0, dy: 0, scale: 1, rotation: 0 };
+  if (settings.jiggleCompensationEnabled) {
+    try {
+      const compensator = processors.getJiggleCompensator();
+      if (compensator) {
+        if (!compensator.initialized) {
+          compensator.initialize(source, personMask);
+        }
+        compensationTransform = compensator.process(source, personMask);
+      }
+    } catch (e) {
+      console.warn('[WallArtCompositor] Jiggle compensation failed:', e);
+    }
+  }
+
+  const compensatedWallArt = activeWallArt.map(wa => {
+    if (JiggleCompensator.isIdentity(compensationTransform)) {
+      return wa;
+    }
+    return {
+      ...wa,
+      region: JiggleCompensator.applyToRegion(wa.region, compensationTransform),
+      ...(wa.occluders && { occluders: JiggleCompensator.applyToMask(wa.occluders, compensationTransform) })
+    };
+  });
+
+  // Occluders: drawn strokes, objects that differ from the setup reference frame,
+  // and objects nearer than the wall in the reference depth map
+  let occluderMasks = null;
+  try {
+    const tracker = needsAutoOccluders(compensatedWallArt) ? processors.getOccluderTracker() : null;
+    const autoMask = tracker ? tracker.update(source, personMask, shadingReference, timestamp) : null;
+    // Depth masks follow the saved regions (cached per region), not each jiggle-compensated copy
+    const depthOcclusion = settings.depthEnabled && referenceDepth ? processors.getDepthOcclusion() : null;
+    const depthMasks = depthOcclusion ? depthOcclusion.update(activeWallArt, { depth: referenceDepth, pose }) : null;
+    occluderMasks = buildOccluderMasks(compensatedWallArt, autoMask, depthMasks);
+  } catch (e) {
+    console.warn('[WallArtCompositor] Occluder detection failed:', e);
+  }
+
+  // Grade each region to its own lighting, sampled where the wall is after compensation
+  let lightingGrades = null;
+  if (settings.lightingCompensationEnabled) {
+    try {
+      const detector = processors.getLightingDetector();
+      if (detector) {
+        if (!detector.initialized) {
+          detector.initialize(source, personMask, compensatedWallArt);
+        }
+        lightingGrades = detector.process(source, personMask, compensatedWallArt).grades;
+      }
+    } catch (e) {
+      console.warn('[WallArtCompositor] Lighting detection failed:', e);
+    }
+  }
+
+  const renderOptions = {
+    personMask,
+    occluderMasks,
+    featherRadius: settings.featherRadius,
+    timestamp,
+    lightingGrades,
+    shadingSource: source,
+    shadingReference,
+    webglRenderer: processors.getWebGLArtRenderer()
+  };
+
+  // Paint layers first, then art, both on the compensated regions
+  renderAllWallPaint(ctx, compensatedWallArt, renderOptions);
+  renderAllWallArt(ctx, compensatedWallArt, frame.images, renderOptions);
+
+  return segmentTime;
+}
+
+// Export for use in inject.js (non-module context)
+if (typeof window !== 'undefined') {
+  window.WallArtCompositor = {
+    compositeWallArt
+  };
+}
@@ -0,0 +1,286 @@
+/**
+ * Wall Art Playlist Module
+ *
+ * Decides what a wall art playlist shows at a given moment:
+ * - Rotation on an interval, or at set clock times (local time)
+ * - Optional shuffle, a fresh order every pass through the playlist
+ * - Transition progress between the outgoing and incoming item (crossfade, slide,
+ *   Ken Burns pan/zoom)
+ *
+ * Everything is derived from the wall clock rather than from playback state, so
+ * the page, the compositor worker and a reloaded tab all agree on the current item.
+ * Item sources are stored in the art source map under per-item keys (see
+ * getPlaylistSourceKey); wall-art-renderer.js composes the transition.
+ */
+
+import { createRandom } from './shared-utils.js';
+
+/**
+ * @typedef {'none' | 'crossfade' | 'slide' | 'kenBurns'} PlaylistTransition
+ */
+
+/**
+ * @typedef {Object} PlaylistItem
+ * @property {string} src - Image, GIF or video URL (or data URL)
+ * @property {'image' | 'gif' | 'video'} [contentType='image'] - Content type
+ * @property {string} [name] - Label shown in the popup
+ */
+
+/**
+ * @typedef {Object} WallArtPlaylist
+ * @property {PlaylistItem[]} items - Items in playlist order
+ * @property {'interval' | 'schedule'} [mode='interval'] - Rotate every intervalSec, or at the clock times
+ * @property {number} [intervalSec=30] - Seconds each item is shown in interval mode
+ * @property {string[]} [times] - 'HH:MM' clock times to advance at in schedule mode
+ * @property {PlaylistTransition} [transition='crossfade'] - How one item replaces the next
+ * @property {number} [transitionMs=1000] - Transition length
+ * @property {boolean} [shuffle=false] - Shuffle the order on every pass
+ * @property {number} [seed=0] - Shuffle seed (set when the playlist is saved)
+ */
+
+/**
+ * @typedef {Object} PlaylistSlot
+ * @property {number} slot - Running number of the rotation step
+ * @property {number} start - When the step began (ms since the epoch)
+ * @property {number} end - When the next step begins (ms since the epoch)
+ */
+
+/**
+ * @typedef {Object} PlaylistFrame
+ * @property {number} index - Item showing (index into items)
+ * @property {number} slot - Rotation step of the item showing
+ * @property {number} elapsed - Fraction of its step the item has been showing (0-1)
+ * @property {number|null} previousIndex - Item being transitioned out, null once the transition is over
+ * @property {number} previousSlot - Rotation step of the previous item
+ * @property {number} previousElapsed - Fraction of its step the previous item has been showing (above 1 while it fades)
+ * @property {number} progress - Transition progress (0-1, 1 when no transition is running)
+ */
+
+export const PLAYLIST_TRANSITIONS = ['none', 'crossfade', 'slide', 'kenBurns'];
+export const DEFAULT_INTERVAL_SEC = 30;
+export const DEFAULT_TRANSITION_MS = 1000;
+
+const MIN_INTERVAL_SEC = 2;
+const KEN_BURNS_ZOOM = 1.15;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ken Burns moves between these pan positions (pairs of opposite corners and edges)
+const KEN_BURNS_PATHS = [
+  [[-1, -1], [1, 1]],
+  [[1, 0], [-1, 0]],
+  [[1, -1], [-1, 1]],
+  [[0, 1], [0, -1]]
+];
+
+/**
+ * Whether an overlay rotates through a playlist instead of showing its art source.
+ *
+ * @param {Object} overlay - Wall art overlay
+ * @returns {boolean}
+ */
+export function isPlaylistActive(overlay) {
+  return Boolean(overlay && overlay.playlist && overlay.playlist.items && overlay.playlist.items.length > 0);
+}
+
+/**
+ * Key of a playlist item in the art source map.
+ *
+ * @param {string} id - Overlay ID
+ * @param {number} index - Item index
+ * @returns {string}
+ */
+export function getPlaylistSourceKey(id, index) {
+  return `${id}#${index}`;
+}
+
+/**
+ * Overlay ID an art source key belongs to (the key itself for single art sources).
+ *
+ * @param {string} key - Art source key
+ * @returns {string}
+ */
+export function getSourceOwnerId(key) {
+  const separator = key.indexOf('#');
+  return separator === -1 ? key : key.slice(0, separator);
+}
+
+/**
+ * The art sources an overlay needs loaded: one per playlist item, or its single art.
+ *
+ * @param {Object} overlay - Wall art overlay
+ * @returns {Array<{ key: string, art: PlaylistItem }>}
+ */
+export function getArtSources(overlay) {
+  if (isPlaylistActive(overlay)) {
+    return overlay.playlist.items.map((item, index) => ({ key: getPlaylistSourceKey(overlay.id, index), art: item }));
+  }
+  return overlay.art && overlay.art.src ? [{ key: overlay.id, art: overlay.art }] : [];
+}
+
+/**
+ * Parse 'HH:MM' clock times into sorted minutes after midnight (invalid entries are dropped).
+ *
+ * @param {string[]} [times] - Clock times
+ * @returns {number[]}
+ */
+export function parseClockTimes(times) {
+  const minutes = (times || [])
+    .map(time => /^\s*(\d{1,2}):(\d{2})\s*$/.exec(time))
+    .filter(match => match && Number(match[1]) < 24 && Number(match[2]) < 60)
+    .map(match => Number(match[1]) * 60 + Number(match[2]));
+  return [...new Set(minutes)].sort((a, b) => a - b);
+}
+
+/**
+ * Find the rotation step a playlist is in.
+ * Interval steps are aligned to the epoch; schedule steps start at the clock times.
+ *
+ * @param {WallArtPlaylist} playlist - Playlist settings
+ * @param {number} now - Current time (ms since the epoch)
+ * @returns {PlaylistSlot}
+ */
+export function getPlaylistSlot(playlist, now) {
+  const times = playlist.mode === 'schedule' ? parseClockTimes(playlist.times) : [];
+
+  if (times.length === 0) {
+    const intervalMs = Math.max(MIN_INTERVAL_SEC, playlist.intervalSec || DEFAULT_INTERVAL_SEC) * 1000;
+    const slot = Math.floor(now / intervalMs);
+    return { slot, start: slot * intervalMs, end: (slot + 1) * intervalMs };
+  }
+
+  // Clock times are local, so count days from local midnights
+  const midnight = new Date(now);
+  midnight.setHours(0, 0, 0, 0);
+  const dayStart = midnight.getTime();
+  const day = Math.round((dayStart - midnight.getTimezoneOffset() * 60000) / DAY_MS);
+  const at = (dayOffset, minutes) => {
+    const date = new Date(dayStart);
+    date.setDate(date.getDate() + dayOffset);
+    date.setHours(0, minutes, 0, 0);
+    return date.getTime();
+  };
+
+  let index = times.length - 1;
+  while (index >= 0 && at(0, times[index]) > now) index--;
+
+  // Before the first time of the day the last step of yesterday is still showing
+  const dayOffset = index < 0 ? -1 : 0;
+  if (index < 0) index = times.length - 1;
+
+  const start = at(dayOffset, times[index]);
+  const end = index + 1 < times.length ? at(dayOffset, times[index + 1]) : at(dayOffset + 1, times[0]);
+  return { slot: (day + dayOffset) * times.length + index, start, end };
+}
+
+/**
+ * Item order for one pass through the playlist. Shuffled passes never start with
+ * the item the previous pass ended on.
+ *
+ * @param {number} length - Number of items
+ * @param {boolean} shuffle - Shuffle the order
+ * @param {number} seed - Shuffle seed
+ * @param {number} pass - Pass number
+ * @returns {number[]}
+ */
+export function getPassOrder(length, shuffle, seed, pass) {
+  if (!shuffle || length < 3) {
+    return Array.from({ length }, (_, i) => i);
+  }
+
+  const order = shuffleIndices(length, seed + pass);
+  const previousLast = shuffleIndices(length, seed + pass - 1)[length - 1];
+  if (order[0] === previousLast) {
+    [order[0], order[1]] = [order[1], order[0]];
+  }
+  return order;
+}
+
+/**
+ * Item shown in a rotation step.
+ *
+ * @param {WallArtPlaylist} playlist - Playlist settings
+ * @param {number} slot - Rotation step
+ * @returns {number} Item index
+ */
+export function getItemForSlot(playlist, slot) {
+  const length = playlist.items.length;
+  const pass = Math.floor(slot / length);
+  const position = slot - pass * length;
+  return getPassOrder(length, Boolean(playlist.shuffle), playlist.seed || 0, pass)[position];
+}
+
+/**
+ * What a playlist shows at a moment: the current item, and the outgoing item while
+ * a transition runs.
+ *
+ * @param {WallArtPlaylist} playlist - Playlist settings
+ * @param {number} now - Current time (ms since the epoch)
+ * @returns {PlaylistFrame}
+ */
+export function getPlaylistFrame(playlist, now) {
+  const current = getPlaylistSlot(playlist, now);
+  const previous = getPlaylistSlot(playlist, current.start - 1);
+  const transition = playlist.transition || 'crossfade';
+  const transitionMs = transition === 'none' ? 0 : playlist.transitionMs >= 0 ? playlist.transitionMs : DEFAULT_TRANSITION_MS;
+
+  const index = getItemForSlot(playlist, current.slot);
+  const previousIndex = getItemForSlot(playlist, previous.slot);
+  const progress = transitionMs > 0 ? Math.min(1, (now - current.start) / transitionMs) : 1;
+
+  // Ken Burns keeps moving through the fade, so steps are stretched by the transition length
+  const elapsed = (start, end) => (now - start) / (end - start + transitionMs);
+
+  return {
+    index,
+    slot: current.slot,
+    elapsed: Math.min(1, elapsed(current.start, current.end)),
+    previousIndex: progress < 1 && previousIndex !== index ? previousIndex : null,
+    previousSlot: previous.slot,
+    previousElapsed: elapsed(previous.start, previous.end),
+    progress
+  };
+}
+
+/**
+ * Ken Burns pan/zoom of an item partway through its step. Steps alternate between
+ * zooming in and out, and each follows a different path across the art.
+ *
+ * @param {number} slot - Rotation step of the item
+ * @param {number} elapsed - Fraction of the step shown (0-1)
+ * @returns {import('./wall-region.js').ContentTransform}
+ */
+export function getKenBurnsTransform(slot, elapsed) {
+  const t = Math.max(0, Math.min(1, elapsed));
+  const eased = t * t * (3 - 2 * t);
+  const path = KEN_BURNS_PATHS[((slot % KEN_BURNS_PATHS.length) + KEN_BURNS_PATHS.length) % KEN_BURNS_PATHS.length];
+  const zoomingIn = slot % 2 === 0;
+  const zoomT = zoomingIn ? eased : 1 - eased;
+
+  return {
+    zoom: 1 + (KEN_BURNS_ZOOM - 1) * (0.3 + 0.7 * zoomT),
+    panX: path[0][0] + (path[1][0] - path[0][0]) * eased,
+    panY: path[0][1] + (path[1][1] - path[0][1]) * eased
+  };
+}
+
+// Seeded Fisher-Yates shuffle of 0..length-1
+function shuffleIndices(length, seed) {
+  const random = createRandom(seed);
+  const order = Array.from({ length }, (_, i) => i);
+  for (let i = length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+// Export for use in inject.js (non-module context)
+if (typeof window !== 'undefined') {
+  window.WallArtPlaylist = {
+    PLAYLIST_TRANSITIONS,
+    isPlaylistActive,
+    getArtSources,
+    getSourceOwnerId,
+    getPlaylistFrame
+  };
+}
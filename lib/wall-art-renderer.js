@@ -5,11 +5,35 @@
  * Renders images, animated GIFs, and video loops into wall art regions with:
  * - Perspective transform for arbitrary quadrilaterals
  * - Person mask occlusion (art appears behind people)
+ * - Occluder masks (art appears behind lamps, plants and other objects in front of the wall)
  * - Aspect ratio modes: stretch, fit, crop
+ * - Per-region zoom and pan of the content
+ * - Polygon and brush-mask regions (art follows the anchor quad's perspective, cut to the shape)
+ * - Optional frames, mats, drop shadows and glass glare (see art-frame.js)
+ * - Playlists rotating through several sources with transitions (see wall-art-playlist.js)
  * - Support for multiple simultaneous regions
  */
 
-import { regionToPixels, getRegionBounds } from './wall-region.js';
+import {
+  regionToPixels,
+  getRegionBounds,
+  getPixelBounds,
+  computeQuadHomography,
+  computeInverseQuadHomography,
+  applyHomography,
+  applyContentTransform,
+  getCoverQuad,
+  fillRegionArea
+} from './wall-region.js';
+import { mergeOcclusionMasks } from './occluder-mask.js';
+import { estimateRegionAspect } from './paint-patterns.js';
+import { hasArtDecor, drawArtBackdrop, drawArtGlass } from './art-frame.js';
+import {
+  isPlaylistActive,
+  getPlaylistFrame,
+  getPlaylistSourceKey,
+  getKenBurnsTransform
+} from './wall-art-playlist.js';
 
 /**
  * @typedef {'stretch' | 'fit' | 'crop'} AspectRatioMode
@@ -18,16 +42,35 @@ import { regionToPixels, getRegionBounds } from './wall-region.js';
 /**
  * @typedef {Object} WallArtContent
  * @property {HTMLImageElement|HTMLCanvasElement|HTMLVideoElement} source - Image, canvas, or video element
- * @property {'image' | 'gif' | 'video'} contentType - Type of content
+ * @property {'image' | 'gif' | 'video' | 'screen'} contentType - Type of content ('screen' is a live screen share video)
  * @property {AspectRatioMode} aspectRatioMode - How to handle aspect ratio mismatch
  * @property {number} opacity - Opacity (0-1)
+ * @property {import('./wall-region.js').ContentTransform} [transform] - Zoom and pan within the content
+ * @property {import('./art-frame.js').ArtFrame|null} [frame] - Frame around the art
+ * @property {import('./art-frame.js').ArtShadow|null} [shadow] - Drop shadow behind the art
+ * @property {import('./art-frame.js').ArtGlare|null} [glare] - Glass glare over the art
+ * @property {boolean} [dynamic=false] - The source is redrawn in place (re-upload it to the GPU every frame)
  */
 
 /**
  * @typedef {Object} RenderOptions
  * @property {ImageData} [personMask] - Person mask for occlusion
+ * @property {ImageData} [occluderMask] - Occluder mask of the region (objects in front of the wall, see occluder-mask.js)
  * @property {number} [featherRadius=0] - Edge feather radius in pixels
  * @property {number} [artBrightnessMultiplier=1.0] - Brightness adjustment multiplier for lighting compensation
+ * @property {number[]} [colorGain=[1, 1, 1]] - Per-channel white balance gains for lighting compensation
+ * @property {WebGLArtRenderer|null} [webglRenderer] - GPU renderer to use (falls back to Canvas2D when absent or lost)
+ * @property {string} [textureKey] - Key for caching the source texture on the GPU (usually the overlay ID)
+ */
+
+/**
+ * @typedef {Object} LightingGrade
+ * @property {number} brightness - Brightness multiplier (1 = unchanged)
+ * @property {number[]} colorGain - Per-channel [r, g, b] gains (1 = unchanged)
+ */
+
+/**
+ * @typedef {import('./wall-region.js').Homography} Homography
  */
 
 /**
@@ -39,11 +82,29 @@ import { regionToPixels, getRegionBounds } from './wall-region.js';
  * @param {RenderOptions} [options] - Rendering options
  */
 export function renderWallArt(ctx, region, content, options = {}) {
-  const { personMask = null, featherRadius = 0, artBrightnessMultiplier = 1.0 } = options;
-  const { source, aspectRatioMode = 'stretch', opacity = 1 } = content;
+  const {
+    personMask = null,
+    occluderMask = null,
+    featherRadius = 0,
+    artBrightnessMultiplier = 1.0,
+    colorGain = null,
+    webglRenderer = null,
+    textureKey = 'default'
+  } = options;
+  const { source, aspectRatioMode = 'stretch', opacity = 1, transform = null, dynamic = false } = content;
 
   if (!source) return;
 
+  if (region.polygon || region.mask) {
+    renderInRegionShape(ctx, region, (layerCtx, quad) => renderWallArt(layerCtx, quad, content, options));
+    return;
+  }
+
+  if (hasArtDecor(content)) {
+    renderDecoratedArt(ctx, region, content, options);
+    return;
+  }
+
   const canvas = ctx.canvas;
   const width = canvas.width;
   const height = canvas.height;
@@ -62,33 +123,66 @@ export function renderWallArt(ctx, region, content, options = {}) {
   const regionWidth = (bounds.width / 100) * width;
   const regionHeight = (bounds.height / 100) * height;
 
-  // Create temporary canvas for art rendering
-  const tempCanvas = new OffscreenCanvas(width, height);
-  const tempCtx = tempCanvas.getContext('2d');
-
-  // Calculate source crop/scale based on aspect ratio mode
-  const sourceRect = calculateSourceRect(
+  // Calculate source crop/scale based on aspect ratio mode, then zoom/pan within it
+  const sourceRect = applyContentTransform(calculateSourceRect(
     sourceWidth,
     sourceHeight,
     regionWidth,
     regionHeight,
     aspectRatioMode
-  );
+  ), transform);
+
+  // 'fit' letterboxes the whole source inside the region instead of stretching it
+  const artQuad = aspectRatioMode === 'fit'
+    ? fitQuadToAspect(pixelRegion, regionWidth / regionHeight, sourceRect.width / sourceRect.height)
+    : pixelRegion;
+
+  // GPU path: perspective mapping, mask occlusion and lighting grade in a single draw
+  if (webglRenderer && webglRenderer.isContextValid()) {
+    webglRenderer.renderQuad(source, textureKey, sourceRect, artQuad, {
+      width,
+      height,
+      personMask: /** @type {ImageData} */ (mergeOcclusionMasks(personMask, occluderMask)),
+      featherRadius,
+      opacity,
+      brightness: artBrightnessMultiplier,
+      colorGain,
+      dynamic
+    });
+    ctx.drawImage(webglRenderer.canvas, 0, 0);
+    return;
+  }
+
+  // Create temporary canvas for art rendering
+  const tempCanvas = new OffscreenCanvas(width, height);
+  const tempCtx = tempCanvas.getContext('2d');
 
   // Draw the art with perspective transform into the quadrilateral region
+  // (a still image keeps its warp until the region or crop changes)
   drawPerspectiveQuad(
     /** @type {CanvasRenderingContext2D} */ (/** @type {unknown} */ (tempCtx)),
     source,
     sourceRect,
-    pixelRegion
+    artQuad,
+    content.contentType === 'image' && !dynamic
   );
 
-  // Apply person mask cutout if provided
-  if (personMask) {
+  // Apply person and occluder mask cutouts if provided
+  if (personMask || occluderMask) {
     applyPersonMaskToCanvas(
       /** @type {CanvasRenderingContext2D} */ (/** @type {unknown} */ (tempCtx)),
       personMask,
-      featherRadius
+      featherRadius,
+      occluderMask
+    );
+  }
+
+  // White balance has no canvas filter, so scale the channels of the drawn quad directly
+  if (colorGain && !isNeutralGain(colorGain)) {
+    applyColorGain(
+      /** @type {CanvasRenderingContext2D} */ (/** @type {unknown} */ (tempCtx)),
+      pixelRegion,
+      colorGain
     );
   }
 
@@ -107,6 +201,121 @@ export function renderWallArt(ctx, region, content, options = {}) {
   ctx.restore();
 }
 
+// Reused between frames: shaped and framed regions draw into a full-frame layer every render
+let shapeLayerCanvas = null;
+let shapeMaskCanvas = null;
+let decorLayerCanvas = null;
+
+function getFrameCanvas(canvas, width, height) {
+  if (!canvas || canvas.width !== width || canvas.height !== height) {
+    return new OffscreenCanvas(width, height);
+  }
+  return canvas;
+}
+
+/**
+ * Draw into a polygon or mask region. The drawing is laid out on the quad that covers the
+ * shape in the anchor quad's perspective, then cut to the shape.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Target canvas context
+ * @param {Object} region - Polygon or mask region (percentage coordinates)
+ * @param {(layerCtx: CanvasRenderingContext2D, quad: Object) => void} draw - Draws into the cover quad on a cleared layer
+ */
+export function renderInRegionShape(ctx, region, draw) {
+  const width = ctx.canvas.width;
+  const height = ctx.canvas.height;
+
+  shapeLayerCanvas = getFrameCanvas(shapeLayerCanvas, width, height);
+  shapeMaskCanvas = getFrameCanvas(shapeMaskCanvas, width, height);
+  const layerCtx = /** @type {CanvasRenderingContext2D} */ (/** @type {unknown} */ (shapeLayerCanvas.getContext('2d')));
+  const maskCtx = /** @type {CanvasRenderingContext2D} */ (/** @type {unknown} */ (shapeMaskCanvas.getContext('2d')));
+
+  layerCtx.clearRect(0, 0, width, height);
+  draw(layerCtx, getCoverQuad(region));
+
+  maskCtx.clearRect(0, 0, width, height);
+  fillRegionArea(maskCtx, region, width, height);
+
+  layerCtx.globalCompositeOperation = 'destination-in';
+  layerCtx.drawImage(shapeMaskCanvas, 0, 0);
+  layerCtx.globalCompositeOperation = 'source-over';
+
+  ctx.drawImage(shapeLayerCanvas, 0, 0);
+}
+
+/**
+ * Render framed art: shadow, mat and moulding behind the art, glare in front of it, all
+ * on one layer so the person and occluders are cut out of the whole framed picture.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Target canvas context
+ * @param {Object} region - Wall region with 4 corners (percentage coordinates)
+ * @param {WallArtContent} content - Art content with frame, shadow or glare settings
+ * @param {RenderOptions} options - Rendering options
+ */
+function renderDecoratedArt(ctx, region, content, options) {
+  const { personMask = null, occluderMask = null, featherRadius = 0, artBrightnessMultiplier = 1.0 } = options;
+  const width = ctx.canvas.width;
+  const height = ctx.canvas.height;
+
+  decorLayerCanvas = getFrameCanvas(decorLayerCanvas, width, height);
+  const layerCtx = /** @type {CanvasRenderingContext2D} */ (/** @type {unknown} */ (decorLayerCanvas.getContext('2d')));
+  layerCtx.clearRect(0, 0, width, height);
+
+  const pixelRegion = regionToPixels(region, width, height);
+
+  // The frame is lit like the art
+  layerCtx.save();
+  if (artBrightnessMultiplier !== 1.0) {
+    layerCtx.filter = `brightness(${Math.round(artBrightnessMultiplier * 100)}%)`;
+  }
+  drawArtBackdrop(layerCtx, pixelRegion, content, estimateRegionAspect(region, width, height));
+  layerCtx.restore();
+
+  renderWallArt(layerCtx, region, { ...content, frame: null, shadow: null, glare: null }, {
+    ...options,
+    personMask: null,
+    occluderMask: null
+  });
+  drawArtGlass(layerCtx, pixelRegion, content);
+
+  if (personMask || occluderMask) {
+    applyPersonMaskToCanvas(layerCtx, personMask, featherRadius, occluderMask);
+  }
+  ctx.drawImage(decorLayerCanvas, 0, 0);
+}
+
+/**
+ * Whether a color gain leaves colors unchanged.
+ *
+ * @param {number[]} gain - Per-channel [r, g, b] gains
+ * @returns {boolean}
+ */
+function isNeutralGain(gain) {
+  return gain[0] === 1 && gain[1] === 1 && gain[2] === 1;
+}
+
+/**
+ * Multiply the color channels of the pixels under a quad (Canvas2D fallback for white balance).
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas holding the drawn art
+ * @param {Object} pixelRegion - Region in pixel coordinates
+ * @param {number[]} gain - Per-channel [r, g, b] gains
+ */
+function applyColorGain(ctx, pixelRegion, gain) {
+  const bounds = getPixelBounds(pixelRegion, ctx.canvas.width, ctx.canvas.height);
+  if (!bounds) return;
+
+  const imageData = ctx.getImageData(bounds.x, bounds.y, bounds.width, bounds.height);
+  const data = imageData.data;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] === 0) continue;
+    data[i] = data[i] * gain[0];
+    data[i + 1] = data[i + 1] * gain[1];
+    data[i + 2] = data[i + 2] * gain[2];
+  }
+  ctx.putImageData(imageData, bounds.x, bounds.y);
+}
+
 /**
  * Calculate the source rectangle based on aspect ratio mode.
  *
@@ -127,7 +336,7 @@ function calculateSourceRect(sourceWidth, sourceHeight, targetWidth, targetHeigh
   }
 
   if (mode === 'fit') {
-    // Use entire source (letterboxing handled by destination sizing)
+    // Use entire source (letterboxing handled by fitQuadToAspect)
     return { x: 0, y: 0, width: sourceWidth, height: sourceHeight };
   }
 
@@ -150,162 +359,201 @@ function calculateSourceRect(sourceWidth, sourceHeight, targetWidth, targetHeigh
   return { x: 0, y: 0, width: sourceWidth, height: sourceHeight };
 }
 
+/**
+ * Shrink a quad, in its own perspective, to the largest centered quad with the
+ * source's aspect ratio.
+ *
+ * @param {Object} quad - Quad in pixel coordinates
+ * @param {number} quadAspect - Width / height of the quad
+ * @param {number} sourceAspect - Width / height of the source
+ * @returns {Object} Fitted quad in pixel coordinates
+ */
+function fitQuadToAspect(quad, quadAspect, sourceAspect) {
+  const toQuad = computeQuadHomography(quad);
+  if (!toQuad) return quad;
+
+  // Share of the quad's width and height the source fills, in unit-square space
+  const fillU = Math.min(1, sourceAspect / quadAspect);
+  const fillV = Math.min(1, quadAspect / sourceAspect);
+  const [u0, u1] = [(1 - fillU) / 2, (1 + fillU) / 2];
+  const [v0, v1] = [(1 - fillV) / 2, (1 + fillV) / 2];
+
+  return {
+    topLeft: applyHomography(toQuad, u0, v0),
+    topRight: applyHomography(toQuad, u1, v0),
+    bottomRight: applyHomography(toQuad, u1, v1),
+    bottomLeft: applyHomography(toQuad, u0, v1)
+  };
+}
+
+/**
+ * Convert a pixel-space homography to the column-major clip-space matrix used by the
+ * WebGL vertex shader. Clip x = 2x/width - 1, clip y = 1 - 2y/height.
+ *
+ * @param {Homography} matrix - Homography mapping the unit square to pixels
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ * @returns {Float32Array} 3x3 matrix in column-major order for uniformMatrix3fv
+ */
+export function homographyToClipSpace(matrix, width, height) {
+  const [a, b, c, d, e, f, g, h, i] = matrix;
+  const sx = 2 / width;
+  const sy = -2 / height;
+
+  // Rows of P * H where P = [[sx, 0, -1], [0, sy, 1], [0, 0, 1]]
+  const r0 = [sx * a - g, sx * b - h, sx * c - i];
+  const r1 = [sy * d + g, sy * e + h, sy * f + i];
+  const r2 = [g, h, i];
+
+  return new Float32Array([
+    r0[0], r1[0], r2[0],
+    r0[1], r1[1], r2[1],
+    r0[2], r1[2], r2[2]
+  ]);
+}
+
+// Source -> { key, image }: the last Canvas2D warp of a still image, reused while
+// the quad, crop and canvas size stay the same
+const warpCache = new WeakMap();
+
 /**
  * Draw an image with perspective transform into an arbitrary quadrilateral.
- * Uses triangular subdivision for accurate perspective.
+ * Canvas2D fallback for WebGLArtRenderer: every destination pixel is mapped back
+ * through the inverse homography and sampled bilinearly, so straight lines in the
+ * art stay straight however steeply the wall is angled.
  *
  * @param {CanvasRenderingContext2D} ctx - Canvas context
  * @param {HTMLImageElement|HTMLCanvasElement|HTMLVideoElement} source - Source image/video
  * @param {{ x: number, y: number, width: number, height: number }} srcRect - Source rectangle
  * @param {Object} destQuad - Destination quadrilateral with topLeft, topRight, bottomLeft, bottomRight
+ * @param {boolean} [still=false] - The source doesn't change between frames (its warp can be reused)
  */
-function drawPerspectiveQuad(ctx, source, srcRect, destQuad) {
-  // Use canvas path clipping with the quadrilateral shape
-  // Then use triangular mesh subdivision for perspective-correct rendering
-
-  const { topLeft, topRight, bottomLeft, bottomRight } = destQuad;
-
-  // For simple cases (near-rectangular quads), use direct drawing
-  // For complex perspective, we subdivide into triangles
-
-  const subdivisions = 8; // Higher = more accurate but slower
-
-  for (let row = 0; row < subdivisions; row++) {
-    for (let col = 0; col < subdivisions; col++) {
-      // Calculate UV coordinates for this cell
-      const u0 = col / subdivisions;
-      const v0 = row / subdivisions;
-      const u1 = (col + 1) / subdivisions;
-      const v1 = (row + 1) / subdivisions;
-
-      // Calculate source coordinates
-      const sx0 = srcRect.x + u0 * srcRect.width;
-      const sy0 = srcRect.y + v0 * srcRect.height;
-      const sx1 = srcRect.x + u1 * srcRect.width;
-      const sy1 = srcRect.y + v1 * srcRect.height;
-
-      // Bilinear interpolation for destination coordinates
-      const d00 = bilinearInterpolate(topLeft, topRight, bottomLeft, bottomRight, u0, v0);
-      const d10 = bilinearInterpolate(topLeft, topRight, bottomLeft, bottomRight, u1, v0);
-      const d01 = bilinearInterpolate(topLeft, topRight, bottomLeft, bottomRight, u0, v1);
-      const d11 = bilinearInterpolate(topLeft, topRight, bottomLeft, bottomRight, u1, v1);
-
-      // Draw two triangles for this cell
-      drawTexturedTriangle(ctx, source,
-        sx0, sy0, sx1, sy0, sx0, sy1,
-        d00.x, d00.y, d10.x, d10.y, d01.x, d01.y
-      );
-
-      drawTexturedTriangle(ctx, source,
-        sx1, sy0, sx1, sy1, sx0, sy1,
-        d10.x, d10.y, d11.x, d11.y, d01.x, d01.y
-      );
-    }
+function drawPerspectiveQuad(ctx, source, srcRect, destQuad, still = false) {
+  const canvas = ctx.canvas;
+  const bounds = getPixelBounds(destQuad, canvas.width, canvas.height);
+  if (!bounds) return;
+
+  const key = [
+    canvas.width, canvas.height, srcRect.x, srcRect.y, srcRect.width, srcRect.height,
+    ...['topLeft', 'topRight', 'bottomRight', 'bottomLeft'].flatMap(corner => [destQuad[corner].x, destQuad[corner].y])
+  ].join(',');
+  const cached = still ? warpCache.get(source) : null;
+  if (cached && cached.key === key) {
+    ctx.putImageData(cached.image, bounds.x, bounds.y);
+    return;
   }
-}
 
-/**
- * Bilinear interpolation between four corner points.
- *
- * @param {Object} tl - Top-left point
- * @param {Object} tr - Top-right point
- * @param {Object} bl - Bottom-left point
- * @param {Object} br - Bottom-right point
- * @param {number} u - Horizontal interpolation factor (0-1)
- * @param {number} v - Vertical interpolation factor (0-1)
- * @returns {{ x: number, y: number }}
- */
-function bilinearInterpolate(tl, tr, bl, br, u, v) {
-  const top = {
-    x: tl.x + (tr.x - tl.x) * u,
-    y: tl.y + (tr.y - tl.y) * u
-  };
-  const bottom = {
-    x: bl.x + (br.x - bl.x) * u,
-    y: bl.y + (br.y - bl.y) * u
-  };
-  return {
-    x: top.x + (bottom.x - top.x) * v,
-    y: top.y + (bottom.y - top.y) * v
-  };
+  // Never read more texels than the quad can show on screen
+  const sampleWidth = Math.max(1, Math.min(Math.round(srcRect.width), bounds.width));
+  const sampleHeight = Math.max(1, Math.min(Math.round(srcRect.height), bounds.height));
+
+  const sampleCanvas = new OffscreenCanvas(sampleWidth, sampleHeight);
+  const sampleCtx = sampleCanvas.getContext('2d');
+  sampleCtx.drawImage(source,
+    srcRect.x, srcRect.y, srcRect.width, srcRect.height,
+    0, 0, sampleWidth, sampleHeight);
+  const sourcePixels = sampleCtx.getImageData(0, 0, sampleWidth, sampleHeight);
+
+  const target = ctx.createImageData(bounds.width, bounds.height);
+  warpImageToQuad(sourcePixels, target, destQuad, bounds.x, bounds.y);
+  ctx.putImageData(target, bounds.x, bounds.y);
+
+  // A source redrawn in place (a playlist canvas) must not come back as its old warp
+  if (still) warpCache.set(source, { key, image: target });
+  else warpCache.delete(source);
 }
 
 /**
- * Draw a textured triangle using affine transform.
+ * Warp pixels into a quadrilateral by inverse mapping.
+ * For each target pixel the inverse homography yields (u, v) in the unit square;
+ * pixels outside the quad are left untouched, pixels inside sample the source bilinearly.
  *
- * @param {CanvasRenderingContext2D} ctx - Canvas context
- * @param {HTMLImageElement|HTMLCanvasElement|HTMLVideoElement} source - Source image
- * @param {number} sx0 - Source x0
- * @param {number} sy0 - Source y0
- * @param {number} sx1 - Source x1
- * @param {number} sy1 - Source y1
- * @param {number} sx2 - Source x2
- * @param {number} sy2 - Source y2
- * @param {number} dx0 - Dest x0
- * @param {number} dy0 - Dest y0
- * @param {number} dx1 - Dest x1
- * @param {number} dy1 - Dest y1
- * @param {number} dx2 - Dest x2
- * @param {number} dy2 - Dest y2
+ * @param {ImageData} source - Source pixels, stretched over the whole quad
+ * @param {ImageData} target - Target pixels covering (originX, originY) to (originX + width, originY + height)
+ * @param {Object} destQuad - Destination quadrilateral in pixels
+ * @param {number} [originX=0] - Canvas X of the target's left edge
+ * @param {number} [originY=0] - Canvas Y of the target's top edge
  */
-function drawTexturedTriangle(ctx, source, sx0, sy0, sx1, sy1, sx2, sy2, dx0, dy0, dx1, dy1, dx2, dy2) {
-  ctx.save();
+export function warpImageToQuad(source, target, destQuad, originX = 0, originY = 0) {
+  const inverse = computeInverseQuadHomography(destQuad);
+  if (!inverse) return;
 
-  // Clip to destination triangle
-  ctx.beginPath();
-  ctx.moveTo(dx0, dy0);
-  ctx.lineTo(dx1, dy1);
-  ctx.lineTo(dx2, dy2);
-  ctx.closePath();
-  ctx.clip();
+  const [a, b, c, d, e, f, g, h, i] = inverse;
+  const srcWidth = source.width;
+  const srcHeight = source.height;
+  const srcData = source.data;
+  const dstData = target.data;
 
-  // Calculate affine transform matrix
-  // Source triangle to destination triangle mapping
-  const denom = (sx0 * (sy2 - sy1) - sx1 * sy2 + sx2 * sy1 + (sx1 - sx2) * sy0);
+  for (let y = 0; y < target.height; y++) {
+    // Sample at pixel centers
+    const py = originY + y + 0.5;
 
-  if (Math.abs(denom) < 0.001) {
-    ctx.restore();
-    return;
-  }
+    for (let x = 0; x < target.width; x++) {
+      const px = originX + x + 0.5;
 
-  const m11 = -(sy0 * (dx2 - dx1) - sy1 * dx2 + sy2 * dx1 + (sy1 - sy2) * dx0) / denom;
-  const m12 = (sy0 * (dy2 - dy1) - sy1 * dy2 + sy2 * dy1 + (sy1 - sy2) * dy0) / denom;
-  const m21 = (sx0 * (dx2 - dx1) - sx1 * dx2 + sx2 * dx1 + (sx1 - sx2) * dx0) / denom;
-  const m22 = -(sx0 * (dy2 - dy1) - sx1 * dy2 + sy2 * dy1 + (sx1 - sx2) * dy0) / denom;
-  const m31 = (sx0 * (sy2 * dx1 - sy1 * dx2) + sy0 * (sx1 * dx2 - sx2 * dx1) + (sx2 * sy1 - sx1 * sy2) * dx0) / denom;
-  const m32 = -(sx0 * (sy2 * dy1 - sy1 * dy2) + sy0 * (sx1 * dy2 - sx2 * dy1) + (sx2 * sy1 - sx1 * sy2) * dy0) / denom;
+      const w = g * px + h * py + i;
+      const u = (a * px + b * py + c) / w;
+      const v = (d * px + e * py + f) / w;
 
-  ctx.transform(m11, m12, m21, m22, m31, m32);
-  ctx.drawImage(source, 0, 0);
+      if (!(u >= 0 && u <= 1 && v >= 0 && v <= 1)) continue;
 
-  ctx.restore();
+      // Bilinear sample, clamped to the source edges
+      const sx = Math.min(srcWidth - 1, Math.max(0, u * srcWidth - 0.5));
+      const sy = Math.min(srcHeight - 1, Math.max(0, v * srcHeight - 0.5));
+      const x0 = Math.floor(sx);
+      const y0 = Math.floor(sy);
+      const x1 = Math.min(x0 + 1, srcWidth - 1);
+      const y1 = Math.min(y0 + 1, srcHeight - 1);
+      const fx = sx - x0;
+      const fy = sy - y0;
+
+      const i00 = (y0 * srcWidth + x0) * 4;
+      const i10 = (y0 * srcWidth + x1) * 4;
+      const i01 = (y1 * srcWidth + x0) * 4;
+      const i11 = (y1 * srcWidth + x1) * 4;
+      const out = (y * target.width + x) * 4;
+
+      for (let ch = 0; ch < 4; ch++) {
+        const top = srcData[i00 + ch] + (srcData[i10 + ch] - srcData[i00 + ch]) * fx;
+        const bottom = srcData[i01 + ch] + (srcData[i11 + ch] - srcData[i01 + ch]) * fx;
+        dstData[out + ch] = Math.round(top + (bottom - top) * fy);
+      }
+    }
+  }
 }
 
 /**
  * Apply person mask to a canvas, cutting out person areas.
+ * The region's occluder mask is cut out the same way, so objects in front of the
+ * wall stay in front of the art.
  *
  * @param {CanvasRenderingContext2D} ctx - Canvas context
- * @param {ImageData} mask - Person mask
+ * @param {ImageData|null} mask - Person mask
  * @param {number} featherRadius - Blur radius for soft edges
+ * @param {ImageData|null} [occluderMask] - Occluder mask of the region
  */
-function applyPersonMaskToCanvas(ctx, mask, featherRadius = 0) {
+function applyPersonMaskToCanvas(ctx, mask, featherRadius = 0, occluderMask = null) {
   const canvas = ctx.canvas;
 
-  // Create mask canvas
-  const maskCanvas = new OffscreenCanvas(mask.width, mask.height);
-  const maskCtx = maskCanvas.getContext('2d');
-  maskCtx.putImageData(mask, 0, 0);
+  // Use destination-out to cut out person and occluder areas
+  ctx.globalCompositeOperation = 'destination-out';
+  for (const cutout of [mask, occluderMask]) {
+    if (!cutout) continue;
 
-  // Apply blur for feathering
-  if (featherRadius > 0) {
-    maskCtx.filter = `blur(${featherRadius}px)`;
-    maskCtx.drawImage(maskCanvas, 0, 0);
-    maskCtx.filter = 'none';
-  }
+    // Create mask canvas
+    const maskCanvas = new OffscreenCanvas(cutout.width, cutout.height);
+    const maskCtx = maskCanvas.getContext('2d');
+    maskCtx.putImageData(cutout, 0, 0);
 
-  // Use destination-out to cut out person areas
-  ctx.globalCompositeOperation = 'destination-out';
-  ctx.drawImage(maskCanvas, 0, 0, canvas.width, canvas.height);
+    // Apply blur for feathering
+    if (featherRadius > 0) {
+      maskCtx.filter = `blur(${featherRadius}px)`;
+      maskCtx.drawImage(maskCanvas, 0, 0);
+      maskCtx.filter = 'none';
+    }
+
+    ctx.drawImage(maskCanvas, 0, 0, canvas.width, canvas.height);
+  }
   ctx.globalCompositeOperation = 'source-over';
 }
 
@@ -314,47 +562,193 @@ function applyPersonMaskToCanvas(ctx, mask, featherRadius = 0) {
  *
  * @param {CanvasRenderingContext2D} ctx - Target canvas context
  * @param {Array} wallArtOverlays - Array of wall art overlay objects
- * @param {Map<string, HTMLImageElement|HTMLCanvasElement|HTMLVideoElement>} artSources - Map of overlay ID to art source
+ * @param {Map<string, HTMLImageElement|HTMLCanvasElement|HTMLVideoElement>} artSources - Map of overlay ID (or playlist item key) to art source
  * @param {Object} [options] - Rendering options
  * @param {ImageData} [options.personMask] - Person mask for all regions
+ * @param {Map<string, ImageData>} [options.occluderMasks] - Occluder mask by overlay ID (see buildOccluderMasks)
  * @param {number} [options.featherRadius] - Edge feather radius
  * @param {number} [options.timestamp] - Current timestamp for GIF animation
+ * @param {number} [options.now] - Wall clock time for playlist rotation (ms since the epoch, defaults to Date.now())
  * @param {number} [options.artBrightnessMultiplier] - Brightness adjustment multiplier (1.0 = no change)
+ * @param {Map<string, LightingGrade>} [options.lightingGrades] - Per-region lighting grade by overlay ID (overrides artBrightnessMultiplier)
+ * @param {WebGLArtRenderer|null} [options.webglRenderer] - GPU renderer (Canvas2D is used when absent)
  */
 export function renderAllWallArt(ctx, wallArtOverlays, artSources, options = {}) {
-  const { personMask = null, featherRadius = 0, timestamp = 0, artBrightnessMultiplier = 1.0 } = options;
+  const {
+    personMask = null,
+    featherRadius = 0,
+    timestamp = 0,
+    artBrightnessMultiplier = 1.0,
+    lightingGrades = null,
+    occluderMasks = null,
+    webglRenderer = null,
+    now = Date.now()
+  } = options;
 
-  // Filter to only overlays with art enabled
+  // Filter to only overlays with art enabled (a live screen share stands in for the art)
   const artOverlays = wallArtOverlays.filter(
-    overlay => overlay.type === 'wallArt' && overlay.art && overlay.art.src && overlay.active
+    overlay => overlay.type === 'wallArt' && overlay.active &&
+      (overlay.screenShare || isPlaylistActive(overlay) || (overlay.art && overlay.art.src))
   );
 
   // Render each art layer
   for (const overlay of artOverlays) {
-    const source = artSources.get(overlay.id);
+    const art = overlay.art || {};
+    const playlist = !overlay.screenShare && isPlaylistActive(overlay)
+      ? composePlaylistFrame(overlay, artSources, estimateRegionAspect(overlay.region, ctx.canvas.width, ctx.canvas.height), timestamp, now)
+      : null;
+    const renderSource = playlist ? playlist.canvas : getFrameSource(artSources.get(overlay.id), timestamp);
 
-    if (!source) continue;
+    if (!renderSource) continue;
 
-    // For AnimatedImage, update frame and get current frame canvas
-    let renderSource = source;
-    const animSource = /** @type {*} */ (source);
-    if (animSource.update && animSource.currentFrame) {
-      // It's an AnimatedImage
-      animSource.update(timestamp);
-      renderSource = animSource.currentFrame;
-    }
+    // Shared screens default to 'fit' so nothing on the shared surface is cropped away
+    const defaultAspectRatioMode = overlay.screenShare ? 'fit' : 'stretch';
+    const grade = lightingGrades ? lightingGrades.get(overlay.id) : null;
 
+    // Playlist frames are already cropped and zoomed
     renderWallArt(ctx, overlay.region, {
       source: renderSource,
-      contentType: overlay.art.contentType || 'image',
-      aspectRatioMode: overlay.art.aspectRatioMode || 'stretch',
-      opacity: overlay.art.opacity !== undefined ? overlay.art.opacity : 1
+      contentType: overlay.screenShare ? 'screen' : art.contentType || 'image',
+      aspectRatioMode: playlist ? 'stretch' : art.aspectRatioMode || defaultAspectRatioMode,
+      opacity: art.opacity !== undefined ? art.opacity : 1,
+      transform: playlist ? null : overlay.transform,
+      dynamic: playlist ? playlist.dynamic : false,
+      frame: art.frame || null,
+      shadow: art.shadow || null,
+      glare: art.glare || null
     }, {
       personMask,
+      occluderMask: occluderMasks ? occluderMasks.get(overlay.id) : null,
       featherRadius,
-      artBrightnessMultiplier
+      artBrightnessMultiplier: grade ? grade.brightness : artBrightnessMultiplier,
+      colorGain: grade ? grade.colorGain : null,
+      webglRenderer,
+      textureKey: overlay.id
     });
   }
+
+  // Forget the canvases of playlists that are gone
+  for (const id of playlistCanvases.keys()) {
+    if (!artOverlays.some(overlay => overlay.id === id && isPlaylistActive(overlay))) {
+      playlistCanvases.delete(id);
+    }
+  }
+}
+
+// Longer side of the canvas a playlist is composed in
+const PLAYLIST_CANVAS_SIZE = 1280;
+
+// Overlay ID -> { canvas, index, source }: the composed playlist frame, kept while nothing moves
+const playlistCanvases = new Map();
+
+/**
+ * Get the drawable frame of an art source (the current frame of an AnimatedImage).
+ *
+ * @param {*} source - Art source
+ * @param {number} timestamp - Current timestamp for GIF animation
+ * @returns {*} Drawable source, or null
+ */
+function getFrameSource(source, timestamp) {
+  if (!source) return null;
+  if (isAnimatedImageSource(source)) {
+    source.update(timestamp);
+    return source.currentFrame;
+  }
+  return source;
+}
+
+/**
+ * Compose what a playlist shows right now into a flat canvas at the region's proportions:
+ * the current item, and the outgoing one while a transition runs.
+ *
+ * @param {Object} overlay - Wall art overlay with a playlist
+ * @param {Map<string, *>} artSources - Art sources by overlay ID or playlist item key
+ * @param {number} aspect - Region width / height
+ * @param {number} timestamp - Current timestamp for GIF animation
+ * @param {number} now - Wall clock time (ms since the epoch)
+ * @returns {{ canvas: OffscreenCanvas, dynamic: boolean }|null} Null until an item has loaded
+ */
+function composePlaylistFrame(overlay, artSources, aspect, timestamp, now) {
+  const playlist = overlay.playlist;
+  const frame = getPlaylistFrame(playlist, now);
+  const itemSource = (index) => artSources.get(getPlaylistSourceKey(overlay.id, index));
+
+  const currentRaw = itemSource(frame.index);
+  const previousRaw = frame.previousIndex !== null ? itemSource(frame.previousIndex) : null;
+  const current = getFrameSource(currentRaw, timestamp);
+  const previous = getFrameSource(previousRaw, timestamp);
+  if (!current && !previous) return null;
+
+  const width = aspect >= 1 ? PLAYLIST_CANVAS_SIZE : Math.max(1, Math.round(PLAYLIST_CANVAS_SIZE * aspect));
+  const height = aspect >= 1 ? Math.max(1, Math.round(PLAYLIST_CANVAS_SIZE / aspect)) : PLAYLIST_CANVAS_SIZE;
+  let entry = playlistCanvases.get(overlay.id);
+  if (!entry || entry.canvas.width !== width || entry.canvas.height !== height) {
+    entry = { canvas: new OffscreenCanvas(width, height), index: -1, source: null };
+    playlistCanvases.set(overlay.id, entry);
+  }
+
+  // A still image between transitions only has to be drawn once
+  const transition = playlist.transition || 'crossfade';
+  const moving = transition === 'kenBurns' || (previous && frame.progress < 1) ||
+    isVideoSource(currentRaw) || isAnimatedImageSource(currentRaw);
+  if (!moving && entry.index === frame.index && entry.source === current) {
+    return { canvas: entry.canvas, dynamic: false };
+  }
+  entry.index = moving ? -1 : frame.index;
+  entry.source = current;
+
+  const ctx = /** @type {CanvasRenderingContext2D} */ (/** @type {unknown} */ (entry.canvas.getContext('2d')));
+  ctx.clearRect(0, 0, width, height);
+
+  const mode = (overlay.art && overlay.art.aspectRatioMode) || 'stretch';
+  const draw = (source, slot, elapsed, offsetX, alpha) => {
+    if (!source) return;
+    const kenBurns = transition === 'kenBurns' ? getKenBurnsTransform(slot, elapsed) : null;
+    drawPlaylistItem(ctx, source, mode, overlay.transform, kenBurns, offsetX, alpha);
+  };
+
+  if (previous && frame.progress < 1) {
+    const t = frame.progress * frame.progress * (3 - 2 * frame.progress);
+    if (transition === 'slide') {
+      // The incoming item pushes the outgoing one off to the left
+      draw(previous, frame.previousSlot, frame.previousElapsed, -t * width, 1);
+      draw(current, frame.slot, frame.elapsed, (1 - t) * width, 1);
+    } else {
+      draw(previous, frame.previousSlot, frame.previousElapsed, 0, 1);
+      draw(current, frame.slot, frame.elapsed, 0, t);
+    }
+  } else {
+    draw(current || previous, frame.slot, frame.elapsed, 0, 1);
+  }
+
+  return { canvas: entry.canvas, dynamic: true };
+}
+
+/**
+ * Draw one playlist item over the whole composing canvas.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Composing canvas context
+ * @param {*} source - Drawable item source
+ * @param {AspectRatioMode} mode - Aspect ratio mode
+ * @param {import('./wall-region.js').ContentTransform|null} transform - The region's zoom and pan
+ * @param {import('./wall-region.js').ContentTransform|null} kenBurns - Ken Burns zoom and pan on top
+ * @param {number} offsetX - Horizontal offset in pixels (slide transition)
+ * @param {number} alpha - Opacity (crossfade transition)
+ */
+function drawPlaylistItem(ctx, source, mode, transform, kenBurns, offsetX, alpha) {
+  const width = ctx.canvas.width;
+  const height = ctx.canvas.height;
+  const sourceWidth = source.videoWidth || source.width;
+  const sourceHeight = source.videoHeight || source.height;
+  if (!sourceWidth || !sourceHeight) return;
+
+  const rect = applyContentTransform(
+    applyContentTransform(calculateSourceRect(sourceWidth, sourceHeight, width, height, mode), transform),
+    kenBurns
+  );
+  ctx.globalAlpha = alpha;
+  ctx.drawImage(source, rect.x, rect.y, rect.width, rect.height, offsetX, 0, width, height);
+  ctx.globalAlpha = 1;
 }
 
 /**
@@ -428,14 +822,342 @@ export function renderFilledQuad(ctx, region, color, canvasWidth, canvasHeight)
   ctx.restore();
 }
 
+// ==================== WebGL renderer ====================
+
+// Vertex shader - maps the unit square through the homography.
+// w is handed to the GPU (instead of dividing here) so texture coordinates
+// are interpolated perspective-correctly across the quad.
+const VERTEX_SHADER_SRC = `
+  attribute vec2 a_position;
+
+  uniform mat3 u_matrix;
+  uniform vec4 u_srcRect;
+
+  varying vec2 v_texCoord;
+
+  void main() {
+    vec3 pos = u_matrix * vec3(a_position, 1.0);
+    gl_Position = vec4(pos.xy, 0.0, pos.z);
+    v_texCoord = u_srcRect.xy + a_position * u_srcRect.zw;
+  }
+`;
+
+// Fragment shader - samples the art, cuts out the person mask (optionally feathered)
+// and applies opacity and the lighting grade. Output is premultiplied alpha.
+const FRAGMENT_SHADER_SRC = `
+  precision mediump float;
+
+  uniform sampler2D u_texture;
+  uniform sampler2D u_mask;
+  uniform bool u_useMask;
+  uniform vec2 u_resolution;
+  uniform float u_featherRadius;
+  uniform float u_alpha;
+  uniform float u_brightness;
+  uniform vec3 u_colorGain;
+
+  varying vec2 v_texCoord;
+
+  float personCoverage(vec2 uv) {
+    if (u_featherRadius <= 0.0) {
+      return texture2D(u_mask, uv).a;
+    }
+    vec2 texel = u_featherRadius / u_resolution;
+    float sum = 0.0;
+    for (int x = -1; x <= 1; x++) {
+      for (int y = -1; y <= 1; y++) {
+        sum += texture2D(u_mask, uv + vec2(float(x), float(y)) * texel).a;
+      }
+    }
+    return sum / 9.0;
+  }
+
+  void main() {
+    vec4 color = texture2D(u_texture, v_texCoord);
+    float coverage = u_alpha;
+    if (u_useMask) {
+      vec2 screenUV = vec2(gl_FragCoord.x / u_resolution.x, 1.0 - gl_FragCoord.y / u_resolution.y);
+      coverage *= 1.0 - personCoverage(screenUV);
+    }
+    vec3 rgb = min(color.rgb * u_brightness * u_colorGain, vec3(color.a));
+    gl_FragColor = vec4(rgb, color.a) * coverage;
+  }
+`;
+
+/**
+ * WebGL renderer for perspective-mapped wall art.
+ * Ported from the multi-region prototype; does the projective mapping, person-mask
+ * occlusion and lighting grading on the GPU. Renders into its own canvas, which
+ * callers composite onto their 2D canvas.
+ */
+export class WebGLArtRenderer {
+  /**
+   * @param {OffscreenCanvas|HTMLCanvasElement} [canvas] - Target canvas (an OffscreenCanvas is created if omitted)
+   */
+  constructor(canvas = new OffscreenCanvas(1, 1)) {
+    this.canvas = canvas;
+    const contextOptions = { premultipliedAlpha: true, antialias: true };
+    /** @type {WebGLRenderingContext} */
+    this.gl = /** @type {*} */ (canvas.getContext('webgl2', contextOptions) || canvas.getContext('webgl', contextOptions));
+
+    if (!this.gl) {
+      throw new Error('WebGL not supported');
+    }
+
+    this.program = null;
+    this.locations = {};
+    this.positionBuffer = null;
+    this.maskTexture = null;
+    /** @type {Map<string, { texture: WebGLTexture, source: * }>} */
+    this.textures = new Map();
+
+    this._init();
+  }
+
+  _init() {
+    const gl = this.gl;
+
+    this.program = this._createProgram();
+    gl.useProgram(this.program);
+
+    this.locations = {
+      a_position: gl.getAttribLocation(this.program, 'a_position'),
+      u_matrix: gl.getUniformLocation(this.program, 'u_matrix'),
+      u_srcRect: gl.getUniformLocation(this.program, 'u_srcRect'),
+      u_texture: gl.getUniformLocation(this.program, 'u_texture'),
+      u_mask: gl.getUniformLocation(this.program, 'u_mask'),
+      u_useMask: gl.getUniformLocation(this.program, 'u_useMask'),
+      u_resolution: gl.getUniformLocation(this.program, 'u_resolution'),
+      u_featherRadius: gl.getUniformLocation(this.program, 'u_featherRadius'),
+      u_alpha: gl.getUniformLocation(this.program, 'u_alpha'),
+      u_brightness: gl.getUniformLocation(this.program, 'u_brightness'),
+      u_colorGain: gl.getUniformLocation(this.program, 'u_colorGain')
+    };
+
+    // Unit square as a triangle strip: (0,0) (1,0) (0,1) (1,1)
+    this.positionBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([0, 0, 1, 0, 0, 1, 1, 1]), gl.STATIC_DRAW);
+
+    this.maskTexture = this._createTexture();
+
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+  }
+
+  _createProgram() {
+    const gl = this.gl;
+    const vertShader = this._compileShader(VERTEX_SHADER_SRC, gl.VERTEX_SHADER);
+    const fragShader = this._compileShader(FRAGMENT_SHADER_SRC, gl.FRAGMENT_SHADER);
+
+    const program = gl.createProgram();
+    gl.attachShader(program, vertShader);
+    gl.attachShader(program, fragShader);
+    gl.linkProgram(program);
+
+    // Shaders are part of the program now
+    gl.deleteShader(vertShader);
+    gl.deleteShader(fragShader);
+
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      const error = gl.getProgramInfoLog(program);
+      gl.deleteProgram(program);
+      throw new Error('Shader program link failed: ' + error);
+    }
+
+    return program;
+  }
+
+  _compileShader(source, type) {
+    const gl = this.gl;
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      const error = gl.getShaderInfoLog(shader);
+      gl.deleteShader(shader);
+      const shaderType = type === gl.VERTEX_SHADER ? 'vertex' : 'fragment';
+      throw new Error(`${shaderType} shader compile failed: ${error}`);
+    }
+
+    return shader;
+  }
+
+  _createTexture() {
+    const gl = this.gl;
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    // Non-power-of-2 safe parameters
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    return texture;
+  }
+
+  /**
+   * Bind the texture for a source, uploading it only when the source changed.
+   * Videos and dynamic sources are re-uploaded every frame.
+   *
+   * @param {*} source - Image, canvas, ImageBitmap or video
+   * @param {string} key - Cache key (usually the overlay ID)
+   * @param {boolean} [dynamic=false] - Source is redrawn in place
+   */
+  _bindSourceTexture(source, key, dynamic = false) {
+    const gl = this.gl;
+    let entry = this.textures.get(key);
+    if (!entry) {
+      entry = { texture: this._createTexture(), source: null };
+      this.textures.set(key, entry);
+    }
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, entry.texture);
+
+    if (entry.source !== source || dynamic || isVideoSource(source)) {
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+      entry.source = source;
+    }
+  }
+
+  /**
+   * Check if the WebGL context is still usable.
+   * @returns {boolean}
+   */
+  isContextValid() {
+    return !this.gl.isContextLost();
+  }
+
+  /**
+   * Render one perspective-mapped quad into the renderer's canvas (cleared first).
+   *
+   * @param {*} source - Art source (image, canvas, ImageBitmap or video)
+   * @param {string} key - Texture cache key
+   * @param {{ x: number, y: number, width: number, height: number }} srcRect - Source rectangle in source pixels
+   * @param {Object} destQuad - Destination quad in canvas pixels
+   * @param {Object} options
+   * @param {number} options.width - Output width
+   * @param {number} options.height - Output height
+   * @param {ImageData|null} [options.personMask] - Person mask (alpha = person)
+   * @param {number} [options.featherRadius=0] - Mask feather radius in pixels
+   * @param {number} [options.opacity=1] - Art opacity
+   * @param {number} [options.brightness=1] - Brightness multiplier
+   * @param {number[]|null} [options.colorGain] - Per-channel [r, g, b] gains
+   * @param {boolean} [options.dynamic=false] - Source is redrawn in place (re-upload it)
+   */
+  renderQuad(source, key, srcRect, destQuad, options) {
+    const {
+      width,
+      height,
+      personMask = null,
+      featherRadius = 0,
+      opacity = 1,
+      brightness = 1,
+      colorGain = null,
+      dynamic = false
+    } = options;
+    const gain = colorGain || [1, 1, 1];
+    const gl = this.gl;
+
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+    }
+    gl.viewport(0, 0, width, height);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+
+    gl.useProgram(this.program);
+
+    const sourceWidth = source.videoWidth || source.width;
+    const sourceHeight = source.videoHeight || source.height;
+
+    gl.uniformMatrix3fv(this.locations.u_matrix, false,
+      homographyToClipSpace(computeQuadHomography(destQuad), width, height));
+    gl.uniform4f(this.locations.u_srcRect,
+      srcRect.x / sourceWidth, srcRect.y / sourceHeight,
+      srcRect.width / sourceWidth, srcRect.height / sourceHeight);
+    gl.uniform2f(this.locations.u_resolution, width, height);
+    gl.uniform1f(this.locations.u_featherRadius, featherRadius);
+    gl.uniform1f(this.locations.u_alpha, opacity);
+    gl.uniform1f(this.locations.u_brightness, brightness);
+    gl.uniform3f(this.locations.u_colorGain, gain[0], gain[1], gain[2]);
+
+    // Art texture on unit 0
+    this._bindSourceTexture(source, key, dynamic);
+    gl.uniform1i(this.locations.u_texture, 0);
+
+    // Person mask on unit 1
+    gl.uniform1i(this.locations.u_useMask, personMask ? 1 : 0);
+    if (personMask) {
+      gl.activeTexture(gl.TEXTURE1);
+      gl.bindTexture(gl.TEXTURE_2D, this.maskTexture);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, personMask);
+      gl.uniform1i(this.locations.u_mask, 1);
+    }
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
+    gl.enableVertexAttribArray(this.locations.a_position);
+    gl.vertexAttribPointer(this.locations.a_position, 2, gl.FLOAT, false, 0, 0);
+
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+  }
+
+  /**
+   * Drop the cached texture for a key (e.g. when an overlay is removed).
+   * @param {string} key
+   */
+  deleteTexture(key) {
+    const entry = this.textures.get(key);
+    if (entry) {
+      this.gl.deleteTexture(entry.texture);
+      this.textures.delete(key);
+    }
+  }
+
+  /**
+   * Free all GPU resources.
+   */
+  dispose() {
+    const gl = this.gl;
+    for (const entry of this.textures.values()) {
+      gl.deleteTexture(entry.texture);
+    }
+    this.textures.clear();
+    if (this.maskTexture) gl.deleteTexture(this.maskTexture);
+    if (this.positionBuffer) gl.deleteBuffer(this.positionBuffer);
+    if (this.program) gl.deleteProgram(this.program);
+  }
+}
+
+/**
+ * Create a WebGL art renderer, or null if WebGL is unavailable so callers
+ * fall back to the Canvas2D path.
+ *
+ * @returns {WebGLArtRenderer|null}
+ */
+export function createWebGLArtRenderer() {
+  if (typeof OffscreenCanvas === 'undefined') return null;
+  try {
+    return new WebGLArtRenderer();
+  } catch (e) {
+    console.warn('[WallArtRenderer] WebGL unavailable, using Canvas2D:', e.message);
+    return null;
+  }
+}
+
 // Export for use in inject.js (non-module context)
 if (typeof window !== 'undefined') {
   window.WallArtRenderer = {
     renderWallArt,
     renderAllWallArt,
+    renderInRegionShape,
     isVideoSource,
     isAnimatedImageSource,
     createVideoLoop,
-    renderFilledQuad
+    renderFilledQuad,
+    createWebGLArtRenderer
   };
 }
@@ -2,10 +2,19 @@
  * Wall Detector Module
  *
  * Automatically detects flat wall-like regions in the background
- * for wall art placement. Uses edge detection and color uniformity
- * analysis to find candidate regions.
+ * for wall art placement:
+ * 1. Line segments are extracted with a Hough transform over edge pixels
+ * 2. Vanishing points are estimated from the segments (one vertical, up to
+ *    two horizontal - one per visible wall) with vanishing-points.js
+ * 3. Plane hypotheses are built from lines through each vanishing point and
+ *    scored on edge support, interior uniformity and size
  *
- * Falls back to manual selection if detection fails.
+ * The result is a perspective-correct quad per wall, following its corners and
+ * ceiling/floor lines. Frames without usable lines fall back to uniform color
+ * blocks, and to manual selection if nothing is found.
+ *
+ * With a depth map of the frame (depth-estimator.js), candidates are re-ranked so
+ * flat, far-back surfaces come first.
  */
 
 /**
@@ -32,6 +41,40 @@ const CONFIG = {
   SCORE_RECTANGULAR: 15,        // Points for rectangular shape
   SCORE_VERTICAL: 15,           // Points for vertical orientation
 
+  // Line segments (Hough transform over edge pixels)
+  LINE_EDGE_THRESHOLD: 40,      // Minimum edge strength for line pixels
+  HOUGH_THETA_BINS: 180,        // 1 degree per bin
+  HOUGH_ANGLE_WINDOW: 10,       // Bins around its gradient direction each pixel votes for
+  HOUGH_MIN_VOTES: 15,          // Minimum votes for a line
+  LINE_DISTANCE: 1.5,           // Max distance (px) of a pixel from its line
+  LINE_ALIGNMENT: 0.9,          // Min |cos| between pixel gradient and line normal
+  MAX_SEGMENT_GAP: 3,           // Gap (px) that splits a line into segments
+  MIN_SEGMENT_LENGTH: 12,       // Minimum segment length (px)
+  MAX_LINES: 40,                // Maximum segments to extract
+
+  // Vanishing points
+  VERTICAL_TOLERANCE_DEG: 15,   // Segments this close to vertical are vertical
+  VP_INLIER_ANGLE_DEG: 1.5,     // Max angle between a segment and its vanishing point
+  VP_CANDIDATE_SEGMENTS: 24,    // Longest segments paired up for candidates
+  MIN_VP_SUPPORT: 30,           // Min total inlier length (px) of a horizontal vanishing point
+  HORIZON_BAND: 0.5,            // Horizontal vanishing points are expected within this many frame heights above/below the frame
+
+  // Plane hypotheses
+  MAX_BOUNDARY_LINES: 6,        // Lines per vanishing point tried as quad sides
+  BOUNDARY_MERGE_DISTANCE: 3,   // Lines closer than this (px) are the same boundary
+  BORDER_SUPPORT: 0.5,          // Edge support credited to sides on the frame border
+  HYPOTHESIS_SAMPLES: 12,       // Interior samples per side when scoring
+  OFF_HORIZON_FACTOR: 0.6,      // Confidence factor for quads entirely above or below the horizon
+  MIN_UNIFORMITY: 0.5,          // Walls are mostly plain (0-1, from color spread and edge density)
+  PERSON_MARGIN: 2,             // Pixels around the person mask whose edges are ignored
+  MIN_CONFIDENCE: 0.4,          // Minimum confidence for a plane
+  MAX_OVERLAP: 0.5,             // Max overlap with a better plane
+
+  // Plane confidence weights (sum to 1)
+  CONFIDENCE_SUPPORT: 0.4,
+  CONFIDENCE_UNIFORMITY: 0.4,
+  CONFIDENCE_AREA: 0.2,
+
   // Result limits
   MAX_REGIONS: 3                // Maximum regions to return
 };
@@ -39,12 +82,78 @@ const CONFIG = {
 /**
  * @typedef {Object} DetectedRegion
  * @property {Object} bounds - Bounding box {x, y, width, height} as percentages
- * @property {Object} region - 4-corner region for wall art
+ * @property {Object} region - 4-corner region for wall art (a perspective quad for planes)
  * @property {number} score - Wall-likeness score (0-100)
+ * @property {number} confidence - Detection confidence (0-1)
+ * @property {'plane' | 'uniform'} method - Found as a wall plane, or as a uniform color block
  * @property {Object} color - Average color {r, g, b}
  * @property {number} area - Area as fraction of frame
+ * @property {{flatness: number, farness: number}} [depth] - Depth scores, when ranked with a depth map
+ */
+
+/**
+ * @typedef {Object} LineSegment
+ * @property {number} x1 - Start X (analysis pixels)
+ * @property {number} y1 - Start Y
+ * @property {number} x2 - End X
+ * @property {number} y2 - End Y
+ * @property {number} length - Length in pixels
  */
 
+/**
+ * @typedef {import('./vanishing-points.js').VanishingPoint} VanishingPoint
+ */
+
+// Homogeneous geometry helpers (points and lines as [x, y, w] / [a, b, c])
+
+function homogeneousCross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function intersectLines(a, b) {
+  const p = homogeneousCross(a, b);
+  return Math.abs(p[2]) > 1e-9 ? { x: p[0] / p[2], y: p[1] / p[2] } : null;
+}
+
+function polygonArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i], b = points[(i + 1) % points.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return Math.abs(area) / 2;
+}
+
+// Point at (u, v) inside a quad [topLeft, topRight, bottomRight, bottomLeft]
+function quadPoint(corners, u, v) {
+  const [tl, tr, br, bl] = corners;
+  const top = { x: tl.x + (tr.x - tl.x) * u, y: tl.y + (tr.y - tl.y) * u };
+  const bottom = { x: bl.x + (br.x - bl.x) * u, y: bl.y + (br.y - bl.y) * u };
+  return { x: top.x + (bottom.x - top.x) * v, y: top.y + (bottom.y - top.y) * v };
+}
+
+function isInsideQuad(corners, p) {
+  for (let i = 0; i < corners.length; i++) {
+    const a = corners[i], b = corners[(i + 1) % corners.length];
+    if ((b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x) < 0) return false;
+  }
+  return true;
+}
+
+// Fraction of the smaller quad covered by the other (sampled)
+function quadOverlap(a, b) {
+  const covered = (inner, outer) => {
+    let inside = 0;
+    for (let j = 0; j < 8; j++) {
+      for (let i = 0; i < 8; i++) {
+        if (isInsideQuad(outer, quadPoint(inner, (i + 0.5) / 8, (j + 0.5) / 8))) inside++;
+      }
+    }
+    return inside / 64;
+  };
+  return Math.max(covered(a, b), covered(b, a));
+}
+
 /**
  * WallDetector - Detects flat wall regions for art placement
  */
@@ -78,9 +187,10 @@ class WallDetector {
    * Detect wall regions in a video frame
    * @param {HTMLVideoElement|HTMLCanvasElement} source - Video or canvas source
    * @param {ImageData|null} personMask - Person mask to exclude
+   * @param {Object|null} [depthMap] - Depth map of the frame (DepthMap from depth-estimator.js) to rank with
    * @returns {Promise<{success: boolean, regions: DetectedRegion[], reason?: string}>}
    */
-  async detectWalls(source, personMask = null) {
+  async detectWalls(source, personMask = null, depthMap = null) {
     if (!this.initialized) {
       this.initialize();
     }
@@ -96,73 +206,529 @@ class WallDetector {
         scaledMask = this._scaleMask(personMask, CONFIG.ANALYSIS_WIDTH, CONFIG.ANALYSIS_HEIGHT);
       }
 
-      // Detect edges
-      const edges = this._detectEdges(imageData);
+      const result = this.detectWallsInFrame(imageData, scaledMask);
+      if (result.success && depthMap && window.DepthEstimator) {
+        result.regions = /** @type {*} */ (window.DepthEstimator).rankRegionsByDepth(result.regions, depthMap);
+      }
+      if (result.success) {
+        console.log(`[WallDetector] Found ${result.regions.length} wall regions (${result.regions[0].method})`);
+      }
+      return result;
 
-      // Find uniform regions (low edge density, consistent color)
-      const regions = this._findUniformRegions(imageData, edges, scaledMask);
+    } catch (error) {
+      console.error('[WallDetector] Detection failed:', error);
+      return { success: false, regions: [], reason: 'detection_error' };
+    }
+  }
 
-      // Score and rank regions
-      const scoredRegions = regions
-        .map(r => this._scoreRegion(r, imageData, scaledMask))
-        .filter(r => r.score > 30) // Minimum score threshold
-        .sort((a, b) => b.score - a.score)
-        .slice(0, CONFIG.MAX_REGIONS);
+  /**
+   * Detect wall regions in a frame at analysis resolution.
+   * Wall planes come first; uniform color blocks are the fallback.
+   * @param {ImageData} imageData - Frame pixels
+   * @param {Uint8ClampedArray|null} [personMask] - RGBA person mask at the same resolution
+   * @returns {{success: boolean, regions: DetectedRegion[], reason?: string}}
+   */
+  detectWallsInFrame(imageData, personMask = null) {
+    const gradients = this._computeGradients(imageData);
 
-      if (scoredRegions.length === 0) {
-        return { success: false, regions: [], reason: 'no_walls_found' };
-      }
+    const planes = this._detectPlanes(imageData, gradients, personMask);
+    if (planes.length > 0) {
+      return { success: true, regions: planes };
+    }
 
-      // Convert to percentage-based regions
-      const finalRegions = scoredRegions.map(r => this._convertToPercentRegion(r));
+    // Find uniform regions (low edge density, consistent color)
+    const regions = this._findUniformRegions(imageData, gradients.magnitude, personMask);
 
-      console.log(`[WallDetector] Found ${finalRegions.length} wall regions`);
-      return { success: true, regions: finalRegions };
+    // Score and rank regions
+    const scoredRegions = regions
+      .map(r => this._scoreRegion(r, imageData, personMask))
+      .filter(r => r.score > 30) // Minimum score threshold
+      .sort((a, b) => b.score - a.score)
+      .slice(0, CONFIG.MAX_REGIONS);
 
-    } catch (error) {
-      console.error('[WallDetector] Detection failed:', error);
-      return { success: false, regions: [], reason: 'detection_error' };
+    if (scoredRegions.length === 0) {
+      return { success: false, regions: [], reason: 'no_walls_found' };
     }
+
+    // Convert to percentage-based regions
+    return { success: true, regions: scoredRegions.map(r => this._convertToPercentRegion(r)) };
   }
 
   /**
-   * Detect edges using Sobel operator
+   * Detect edges using Sobel operator: gradients of the grayscale frame
    * @param {ImageData} imageData
-   * @returns {Uint8ClampedArray} Edge magnitude map
+   * @returns {{gx: Float32Array, gy: Float32Array, magnitude: Uint8ClampedArray}}
    * @private
    */
-  _detectEdges(imageData) {
+  _computeGradients(imageData) {
     const { width, height, data } = imageData;
-    const edges = new Uint8ClampedArray(width * height);
+    const gray = new Float32Array(width * height);
+    for (let i = 0; i < width * height; i++) {
+      gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    }
+
+    const gx = new Float32Array(width * height);
+    const gy = new Float32Array(width * height);
+    const magnitude = new Uint8ClampedArray(width * height);
 
-    // Convert to grayscale and apply Sobel
     for (let y = 1; y < height - 1; y++) {
       for (let x = 1; x < width - 1; x++) {
-        // Sobel kernels
-        let gx = 0, gy = 0;
-
-        // Get grayscale values for 3x3 neighborhood
-        const getGray = (px, py) => {
-          const idx = (py * width + px) * 4;
-          return 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
-        };
-
-        // Sobel X
-        gx = -getGray(x - 1, y - 1) + getGray(x + 1, y - 1)
-           - 2 * getGray(x - 1, y) + 2 * getGray(x + 1, y)
-           - getGray(x - 1, y + 1) + getGray(x + 1, y + 1);
-
-        // Sobel Y
-        gy = -getGray(x - 1, y - 1) - 2 * getGray(x, y - 1) - getGray(x + 1, y - 1)
-           + getGray(x - 1, y + 1) + 2 * getGray(x, y + 1) + getGray(x + 1, y + 1);
-
-        // Magnitude
-        const magnitude = Math.sqrt(gx * gx + gy * gy);
-        edges[y * width + x] = Math.min(255, magnitude);
+        const i = y * width + x;
+        const tl = gray[i - width - 1], t = gray[i - width], tr = gray[i - width + 1];
+        const l = gray[i - 1], r = gray[i + 1];
+        const bl = gray[i + width - 1], b = gray[i + width], br = gray[i + width + 1];
+
+        // Sobel X and Y
+        gx[i] = -tl + tr - 2 * l + 2 * r - bl + br;
+        gy[i] = -tl - 2 * t - tr + bl + 2 * b + br;
+        magnitude[i] = Math.min(255, Math.sqrt(gx[i] * gx[i] + gy[i] * gy[i]));
+      }
+    }
+
+    return { gx, gy, magnitude };
+  }
+
+  /**
+   * Extract straight line segments: a Hough transform in which each edge pixel only
+   * votes for lines across its gradient, then the pixels along each peak line are
+   * split into segments at gaps and refitted.
+   * @param {ImageData} imageData - Frame pixels
+   * @param {Uint8ClampedArray|null} [personMask] - RGBA person mask (person pixels are ignored)
+   * @param {{gx: Float32Array, gy: Float32Array, magnitude: Uint8ClampedArray}} [gradients] - Precomputed gradients
+   * @returns {LineSegment[]} Segments, strongest lines first
+   */
+  extractLineSegments(imageData, personMask = null, gradients = null) {
+    const { width, height } = imageData;
+    const { gx, gy, magnitude } = gradients || this._computeGradients(imageData);
+    const thetaBins = CONFIG.HOUGH_THETA_BINS;
+    const diagonal = Math.ceil(Math.hypot(width, height));
+    const rhoBins = diagonal * 2 + 1;
+    const cos = new Float32Array(thetaBins);
+    const sin = new Float32Array(thetaBins);
+    for (let t = 0; t < thetaBins; t++) {
+      cos[t] = Math.cos(t * Math.PI / thetaBins);
+      sin[t] = Math.sin(t * Math.PI / thetaBins);
+    }
+
+    // The person's outline is not part of the room
+    const person = personMask ? this._dilateMask(personMask, width, height, CONFIG.PERSON_MARGIN) : null;
+
+    // Vote: line x*cos(theta) + y*sin(theta) = rho, theta near the pixel's gradient direction
+    const accumulator = new Uint16Array(thetaBins * rhoBins);
+    const edgePixels = [];
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const i = y * width + x;
+        if (magnitude[i] < CONFIG.LINE_EDGE_THRESHOLD) continue;
+        if (person && person[i]) continue;
+        edgePixels.push(i);
+
+        const normal = Math.atan2(gy[i], gx[i]);
+        const center = Math.round((((normal % Math.PI) + Math.PI) % Math.PI) / Math.PI * thetaBins);
+        for (let d = -CONFIG.HOUGH_ANGLE_WINDOW; d <= CONFIG.HOUGH_ANGLE_WINDOW; d++) {
+          const t = (((center + d) % thetaBins) + thetaBins) % thetaBins;
+          const rho = Math.round(x * cos[t] + y * sin[t]) + diagonal;
+          accumulator[t * rhoBins + rho]++;
+        }
+      }
+    }
+
+    // Peaks: local maxima with enough votes, strongest first
+    const peaks = [];
+    for (let t = 0; t < thetaBins; t++) {
+      for (let r = 0; r < rhoBins; r++) {
+        const votes = accumulator[t * rhoBins + r];
+        if (votes < CONFIG.HOUGH_MIN_VOTES) continue;
+        let isPeak = true;
+        for (let dt = -2; dt <= 2 && isPeak; dt++) {
+          const nt = (((t + dt) % thetaBins) + thetaBins) % thetaBins;
+          for (let dr = -2; dr <= 2; dr++) {
+            const nr = r + dr;
+            if (nr < 0 || nr >= rhoBins || (dt === 0 && dr === 0)) continue;
+            if (accumulator[nt * rhoBins + nr] > votes) {
+              isPeak = false;
+              break;
+            }
+          }
+        }
+        if (isPeak) peaks.push({ t, rho: r - diagonal, votes });
+      }
+    }
+    peaks.sort((a, b) => b.votes - a.votes);
+
+    // Walk each peak line; pixels claimed by a segment are not reused
+    const used = new Uint8Array(width * height);
+    const segments = [];
+    for (const peak of peaks) {
+      if (segments.length >= CONFIG.MAX_LINES) break;
+      const c = cos[peak.t];
+      const s = sin[peak.t];
+
+      const points = [];
+      for (const i of edgePixels) {
+        if (used[i]) continue;
+        const x = i % width;
+        const y = (i - x) / width;
+        if (Math.abs(x * c + y * s - peak.rho) > CONFIG.LINE_DISTANCE) continue;
+        const along = Math.abs(gx[i] * c + gy[i] * s);
+        if (along < CONFIG.LINE_ALIGNMENT * Math.hypot(gx[i], gy[i])) continue;
+        points.push({ i, x, y, t: -x * s + y * c });
+      }
+      points.sort((a, b) => a.t - b.t);
+
+      let start = 0;
+      for (let k = 1; k <= points.length; k++) {
+        if (k < points.length && points[k].t - points[k - 1].t <= CONFIG.MAX_SEGMENT_GAP) continue;
+        const run = points.slice(start, k);
+        start = k;
+        if (run.length < 2 || run[run.length - 1].t - run[0].t < CONFIG.MIN_SEGMENT_LENGTH) continue;
+        run.forEach(point => { used[point.i] = 1; });
+        segments.push(this._fitSegment(run));
+      }
+    }
+
+    return segments.slice(0, CONFIG.MAX_LINES);
+  }
+
+  /**
+   * Person pixels of an RGBA mask, grown by a margin
+   * @returns {Uint8Array} 1 for person (or near person) pixels
+   * @private
+   */
+  _dilateMask(personMask, width, height, margin) {
+    const grown = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (personMask[(y * width + x) * 4] <= 128) continue;
+        for (let dy = -margin; dy <= margin; dy++) {
+          for (let dx = -margin; dx <= margin; dx++) {
+            const nx = x + dx, ny = y + dy;
+            if (nx >= 0 && ny >= 0 && nx < width && ny < height) grown[ny * width + nx] = 1;
+          }
+        }
+      }
+    }
+    return grown;
+  }
+
+  /**
+   * Fit a segment through line pixels (principal axis, trimmed to the pixels' extent)
+   * @param {Array<{x: number, y: number}>} points
+   * @returns {LineSegment}
+   * @private
+   */
+  _fitSegment(points) {
+    let mx = 0, my = 0;
+    for (const p of points) {
+      mx += p.x;
+      my += p.y;
+    }
+    mx /= points.length;
+    my /= points.length;
+
+    let sxx = 0, sxy = 0, syy = 0;
+    for (const p of points) {
+      sxx += (p.x - mx) * (p.x - mx);
+      sxy += (p.x - mx) * (p.y - my);
+      syy += (p.y - my) * (p.y - my);
+    }
+    const angle = 0.5 * Math.atan2(2 * sxy, sxx - syy);
+    const dx = Math.cos(angle);
+    const dy = Math.sin(angle);
+
+    let min = Infinity, max = -Infinity;
+    for (const p of points) {
+      const t = (p.x - mx) * dx + (p.y - my) * dy;
+      min = Math.min(min, t);
+      max = Math.max(max, t);
+    }
+
+    return {
+      x1: mx + dx * min,
+      y1: my + dy * min,
+      x2: mx + dx * max,
+      y2: my + dy * max,
+      length: max - min
+    };
+  }
+
+  /**
+   * Estimate vanishing points: one for vertical lines, and up to two for the
+   * remaining lines (the horizontal directions of two walls meeting in a corner).
+   * With the camera roughly upright and level, horizontal vanishing points lie
+   * near the horizon, so candidates far above or below the frame count less.
+   * @param {LineSegment[]} segments - Segments in analysis pixels
+   * @param {number} height - Frame height
+   * @returns {{vertical: VanishingPoint, horizontal: VanishingPoint[]}}
+   */
+  estimateVanishingPoints(segments, height) {
+    const { estimateVanishingPoints } = /** @type {*} */ (window.VanishingPoints);
+    return estimateVanishingPoints(segments, {
+      verticalToleranceDeg: CONFIG.VERTICAL_TOLERANCE_DEG,
+      inlierAngleDeg: CONFIG.VP_INLIER_ANGLE_DEG,
+      candidateSegments: CONFIG.VP_CANDIDATE_SEGMENTS,
+      minSupport: CONFIG.MIN_VP_SUPPORT,
+      height,
+      horizonBand: CONFIG.HORIZON_BAND
+    });
+  }
+
+  /**
+   * Find wall planes: quads bounded by two lines through the vertical vanishing
+   * point and two lines through one horizontal vanishing point (or the frame
+   * border), scored and de-duplicated.
+   * @param {ImageData} imageData
+   * @param {{gx: Float32Array, gy: Float32Array, magnitude: Uint8ClampedArray}} gradients
+   * @param {Uint8ClampedArray|null} personMask
+   * @returns {DetectedRegion[]} Best planes first
+   * @private
+   */
+  _detectPlanes(imageData, gradients, personMask) {
+    const { width, height } = imageData;
+    const segments = this.extractLineSegments(imageData, personMask, gradients);
+    if (segments.length === 0) return [];
+
+    const vanishing = this.estimateVanishingPoints(segments, height);
+    const horizontalPoints = vanishing.horizontal.length > 0
+      ? vanishing.horizontal
+      : [{ point: [1, 0, 0], inliers: [], support: 0 }];
+    const horizon = this._estimateHorizon(vanishing.horizontal, width, height);
+
+    // Vertical sides: lines through the vertical vanishing point, ordered left to right
+    const verticalSides = this._boundaryLines(vanishing.vertical, width, height, true);
+
+    const hypotheses = [];
+    for (const vp of horizontalPoints) {
+      // Top and bottom sides: lines through this wall's vanishing point, ordered top to bottom
+      const horizontalSides = this._boundaryLines(vp, width, height, false);
+
+      for (let l = 0; l < verticalSides.length; l++) {
+        for (let r = l + 1; r < verticalSides.length; r++) {
+          for (let t = 0; t < horizontalSides.length; t++) {
+            for (let b = t + 1; b < horizontalSides.length; b++) {
+              const sides = [horizontalSides[t], verticalSides[r], horizontalSides[b], verticalSides[l]];
+              const corners = this._quadCorners(sides, width, height);
+              if (!corners) continue;
+              const scored = this._scorePlane(corners, sides, imageData, gradients, personMask, horizon);
+              if (scored && scored.confidence >= CONFIG.MIN_CONFIDENCE) hypotheses.push(scored);
+            }
+          }
+        }
+      }
+    }
+
+    // Keep the best plane of each overlapping group
+    hypotheses.sort((a, b) => b.confidence - a.confidence);
+    const planes = [];
+    for (const hypothesis of hypotheses) {
+      if (planes.length >= CONFIG.MAX_REGIONS) break;
+      if (planes.some(plane => quadOverlap(plane.corners, hypothesis.corners) > CONFIG.MAX_OVERLAP)) continue;
+      planes.push(hypothesis);
+    }
+
+    return planes.map(plane => this._convertPlaneToPercentRegion(plane, width, height));
+  }
+
+  /**
+   * Candidate quad sides through a vanishing point (one per supporting segment,
+   * merged when close), plus the two frame borders they run between
+   * @param {VanishingPoint} vp
+   * @param {number} width
+   * @param {number} height
+   * @param {boolean} vertical - Left/right sides (ordered by x) rather than top/bottom (ordered by y)
+   * @returns {Array<{line: number[], border: boolean, position: number}>}
+   * @private
+   */
+  _boundaryLines(vp, width, height, vertical) {
+    // Where a line crosses the middle of the frame
+    const position = (line) => vertical
+      ? -(line[1] * height / 2 + line[2]) / line[0]
+      : -(line[0] * width / 2 + line[2]) / line[1];
+    const extent = vertical ? width : height;
+
+    const lines = [];
+    const sorted = [...vp.inliers].sort((a, b) => b.length - a.length);
+    for (const segment of sorted) {
+      if (lines.length >= CONFIG.MAX_BOUNDARY_LINES) break;
+      const middle = [(segment.x1 + segment.x2) / 2, (segment.y1 + segment.y2) / 2, 1];
+      const line = homogeneousCross(vp.point, middle);
+      const at = position(line);
+      if (!Number.isFinite(at) || at <= CONFIG.BOUNDARY_MERGE_DISTANCE || at >= extent - CONFIG.BOUNDARY_MERGE_DISTANCE) continue;
+      if (lines.some(other => Math.abs(other.position - at) < CONFIG.BOUNDARY_MERGE_DISTANCE)) continue;
+      lines.push({ line, border: false, position: at });
+    }
+
+    lines.push(
+      { line: vertical ? [1, 0, 0] : [0, 1, 0], border: true, position: 0 },
+      { line: vertical ? [1, 0, -width] : [0, 1, -height], border: true, position: extent }
+    );
+    return lines.sort((a, b) => a.position - b.position);
+  }
+
+  /**
+   * Corners of the quad between top, right, bottom and left sides, or null when
+   * it is not a convex quad inside the frame of a plausible size
+   * @returns {Array<{x: number, y: number}>|null} [topLeft, topRight, bottomRight, bottomLeft]
+   * @private
+   */
+  _quadCorners(sides, width, height) {
+    const [top, right, bottom, left] = sides.map(side => side.line);
+    const corners = [intersectLines(left, top), intersectLines(right, top), intersectLines(right, bottom), intersectLines(left, bottom)];
+    if (corners.some(c => !c || c.x < -2 || c.x > width + 2 || c.y < -2 || c.y > height + 2)) return null;
+
+    // Clockwise and convex (y points down)
+    for (let i = 0; i < 4; i++) {
+      const a = corners[i], b = corners[(i + 1) % 4], c = corners[(i + 2) % 4];
+      if ((b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x) <= 0) return null;
+    }
+
+    const area = polygonArea(corners) / (width * height);
+    if (area < CONFIG.MIN_REGION_SIZE || area > CONFIG.MAX_REGION_SIZE) return null;
+    return corners;
+  }
+
+  /**
+   * Horizon line through the horizontal vanishing points (assumes an upright camera
+   * when there is only one), or null when the walls are seen straight on
+   * @param {VanishingPoint[]} horizontal
+   * @returns {number[]|null} Homogeneous line
+   * @private
+   */
+  _estimateHorizon(horizontal, width, height) {
+    const reach = 20 * Math.max(width, height);
+    const finite = horizontal
+      .map(vp => vp.point)
+      .filter(p => Math.abs(p[2]) > 1e-9 && Math.hypot(p[0] / p[2] - width / 2, p[1] / p[2] - height / 2) < reach)
+      .map(p => [p[0] / p[2], p[1] / p[2], 1]);
+
+    if (finite.length >= 2) return homogeneousCross(finite[0], finite[1]);
+    if (finite.length === 1) return [0, 1, -finite[0][1]];
+    return null;
+  }
+
+  /**
+   * Score a plane hypothesis
+   * @returns {{corners: Array, confidence: number, color: Object, area: number}|null}
+   * @private
+   */
+  _scorePlane(corners, sides, imageData, gradients, personMask, horizon) {
+    const { width, height, data } = imageData;
+    const [tl, tr, br, bl] = corners;
+
+    // Edge support: walls end at corners, ceiling and floor lines, so their sides lie on edges
+    const sideEnds = [[tl, tr], [tr, br], [br, bl], [bl, tl]];
+    let support = 0;
+    sides.forEach((side, i) => {
+      support += side.border
+        ? CONFIG.BORDER_SUPPORT
+        : this._lineSupport(sideEnds[i][0], sideEnds[i][1], gradients, width, height);
+    });
+    support /= 4;
+
+    // Interior: few edges and an even color (sampled away from the sides)
+    const n = CONFIG.HYPOTHESIS_SAMPLES;
+    let samples = 0, personSamples = 0, edgeSamples = 0;
+    let sumR = 0, sumG = 0, sumB = 0, sumSq = 0;
+    for (let j = 0; j < n; j++) {
+      for (let i = 0; i < n; i++) {
+        const p = quadPoint(corners, 0.1 + 0.8 * i / (n - 1), 0.1 + 0.8 * j / (n - 1));
+        const x = Math.min(width - 1, Math.max(0, Math.round(p.x)));
+        const y = Math.min(height - 1, Math.max(0, Math.round(p.y)));
+        const idx = y * width + x;
+        if (personMask && personMask[idx * 4] > 128) {
+          personSamples++;
+          continue;
+        }
+        const r = data[idx * 4], g = data[idx * 4 + 1], b = data[idx * 4 + 2];
+        sumR += r;
+        sumG += g;
+        sumB += b;
+        sumSq += r * r + g * g + b * b;
+        if (gradients.magnitude[idx] >= CONFIG.LINE_EDGE_THRESHOLD) edgeSamples++;
+        samples++;
+      }
+    }
+    if (samples === 0) return null;
+
+    const color = { r: sumR / samples, g: sumG / samples, b: sumB / samples };
+    const meanSq = (color.r * color.r + color.g * color.g + color.b * color.b) / 3;
+    const deviation = Math.sqrt(Math.max(0, sumSq / samples / 3 - meanSq));
+    const colorScore = 1 - Math.min(1, deviation / (CONFIG.COLOR_VARIANCE_THRESHOLD * 2));
+    const edgeScore = 1 - Math.min(1, edgeSamples / samples / 0.2);
+    const uniformity = (colorScore + edgeScore) / 2;
+    if (uniformity < CONFIG.MIN_UNIFORMITY) return null;
+
+    const area = polygonArea(corners) / (width * height);
+    const areaScore = Math.min(1, area / 0.3);
+
+    let confidence = CONFIG.CONFIDENCE_SUPPORT * support +
+      CONFIG.CONFIDENCE_UNIFORMITY * uniformity +
+      CONFIG.CONFIDENCE_AREA * areaScore;
+
+    // A person in front of the wall is fine (art goes behind them), but it hides evidence
+    confidence *= 1 - 0.5 * personSamples / (n * n);
+
+    // Walls cross the horizon; floors and ceilings stay on one side of it
+    if (horizon) {
+      const sides = corners.map(c => Math.sign(horizon[0] * c.x + horizon[1] * c.y + horizon[2]));
+      if (sides.every(side => side === sides[0])) confidence *= CONFIG.OFF_HORIZON_FACTOR;
+    }
+
+    return { corners, confidence, color, area };
+  }
+
+  /**
+   * Fraction of a side that runs along an edge parallel to it
+   * @private
+   */
+  _lineSupport(a, b, gradients, width, height) {
+    const { gx, gy, magnitude } = gradients;
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    const steps = Math.max(1, Math.round(length));
+    const nx = -(b.y - a.y) / length;
+    const ny = (b.x - a.x) / length;
+
+    let supported = 0;
+    for (let s = 0; s <= steps; s++) {
+      const px = Math.round(a.x + (b.x - a.x) * s / steps);
+      const py = Math.round(a.y + (b.y - a.y) * s / steps);
+      let found = false;
+      for (let dy = -1; dy <= 1 && !found; dy++) {
+        for (let dx = -1; dx <= 1 && !found; dx++) {
+          const x = px + dx, y = py + dy;
+          if (x < 0 || y < 0 || x >= width || y >= height) continue;
+          const i = y * width + x;
+          if (magnitude[i] < CONFIG.LINE_EDGE_THRESHOLD) continue;
+          found = Math.abs(gx[i] * nx + gy[i] * ny) >= CONFIG.LINE_ALIGNMENT * Math.hypot(gx[i], gy[i]);
+        }
       }
+      if (found) supported++;
     }
+    return supported / (steps + 1);
+  }
 
-    return edges;
+  /**
+   * Convert a plane to percentage-based coordinates
+   * @returns {DetectedRegion}
+   * @private
+   */
+  _convertPlaneToPercentRegion(plane, width, height) {
+    const [tl, tr, br, bl] = plane.corners.map(c => ({
+      x: Math.min(100, Math.max(0, (c.x / width) * 100)),
+      y: Math.min(100, Math.max(0, (c.y / height) * 100))
+    }));
+    const minX = Math.min(tl.x, bl.x), maxX = Math.max(tr.x, br.x);
+    const minY = Math.min(tl.y, tr.y), maxY = Math.max(bl.y, br.y);
+
+    return {
+      bounds: { x: minX, y: minY, width: maxX - minX, height: maxY - minY },
+      region: { topLeft: tl, topRight: tr, bottomLeft: bl, bottomRight: br },
+      score: Math.round(plane.confidence * 100),
+      confidence: plane.confidence,
+      method: 'plane',
+      color: plane.color,
+      area: plane.area
+    };
   }
 
   /**
@@ -397,6 +963,7 @@ class WallDetector {
 
   /**
    * Convert region to percentage-based coordinates
+   * @returns {DetectedRegion}
    * @private
    */
   _convertToPercentRegion(region) {
@@ -425,6 +992,8 @@ class WallDetector {
         bottomRight: { x: finalX + finalW, y: finalY + finalH }
       },
       score,
+      confidence: Math.min(1, score / 100),
+      method: 'uniform',
       color: avgColor,
       area
     };
@@ -1,13 +1,53 @@
 /**
  * Wall Paint Renderer Module
  *
- * Renders solid color fills into wall art regions with:
+ * Renders paint into wall art regions with:
+ * - Flat mode: a solid color fill
+ * - Recolor mode: the target color modulated by the wall's own shading, taken
+ *   from the live frame or the setup reference frame, so shadows and light
+ *   falloff survive and the wall looks repainted rather than covered
  * - Perspective transform for arbitrary quadrilaterals
  * - Opacity control
  * - Person mask cutout support
+ * - Occluder masks for objects in front of the wall
+ * - Lighting grade (brightness and white balance) per region
+ * - Gradient, pattern and texture fills mapped through the region's perspective
+ * - Polygon and brush-mask regions
  */
 
-import { regionToPixels } from './wall-region.js';
+import {
+  regionToPixels,
+  getPixelBounds,
+  computeInverseQuadHomography,
+  resampleThroughPose,
+  getCoverQuad,
+  tracePolygon
+} from './wall-region.js';
+import { renderWallArt, renderInRegionShape } from './wall-art-renderer.js';
+import { mergeOcclusionMasks } from './occluder-mask.js';
+import { isPatternPaint, estimateRegionAspect, getPaintFill, retainPaintFills } from './paint-patterns.js';
+
+/**
+ * @typedef {'flat' | 'recolor'} PaintMode
+ */
+
+/**
+ * @typedef {'live' | 'reference'} PaintShading
+ */
+
+/**
+ * @typedef {Object} ShadingReference
+ * @property {ImageData} frame - Setup wizard reference frame (median background, nobody in it)
+ * @property {number[]|null} [pose] - Percent-space homography from the reference view to the current view (null = camera hasn't moved)
+ */
+
+// Brightest a shaded pixel may get relative to the wall's average (keeps highlights from clipping to white)
+const MAX_SHADE = 1.6;
+
+// Reused between frames: recolored paint is worked out on a full-frame scratch canvas,
+// replaced only when the frame size changes
+let recolorCanvas = null;
+let recolorCtx = null;
 
 /**
  * Render a solid color paint fill into a region.
@@ -35,15 +75,8 @@ export function renderWallPaint(ctx, region, color, options = {}) {
   // Set opacity
   ctx.globalAlpha = opacity;
 
-  // Create path for the quadrilateral region
-  ctx.beginPath();
-  ctx.moveTo(pixelRegion.topLeft.x, pixelRegion.topLeft.y);
-  ctx.lineTo(pixelRegion.topRight.x, pixelRegion.topRight.y);
-  ctx.lineTo(pixelRegion.bottomRight.x, pixelRegion.bottomRight.y);
-  ctx.lineTo(pixelRegion.bottomLeft.x, pixelRegion.bottomLeft.y);
-  ctx.closePath();
-
-  // Fill with color
+  // Fill the quadrilateral region with color
+  traceQuad(ctx, pixelRegion);
   ctx.fillStyle = color;
   ctx.fill();
 
@@ -57,7 +90,9 @@ export function renderWallPaint(ctx, region, color, options = {}) {
 
 /**
  * Render wall paint with perspective transform.
- * For more accurate rendering into non-rectangular regions.
+ * For more accurate rendering into non-rectangular regions. A flat color looks the
+ * same in any perspective, so without feathering the quad is just filled; the
+ * per-pixel pass is only needed for a feather that narrows with the wall.
  *
  * @param {CanvasRenderingContext2D} ctx - Target canvas context
  * @param {Object} region - Wall region with 4 corners
@@ -74,23 +109,23 @@ export function renderWallPaintPerspective(ctx, region, color, options = {}) {
   // Convert region to pixel coordinates
   const pixelRegion = regionToPixels(region, width, height);
 
+  const bounds = getPixelBounds(pixelRegion, width, height);
+  if (!bounds) return;
+
   // Create temporary canvas for the paint
   const tempCanvas = new OffscreenCanvas(width, height);
   const tempCtx = tempCanvas.getContext('2d');
 
-  // Fill the quadrilateral on temp canvas
-  tempCtx.beginPath();
-  tempCtx.moveTo(pixelRegion.topLeft.x, pixelRegion.topLeft.y);
-  tempCtx.lineTo(pixelRegion.topRight.x, pixelRegion.topRight.y);
-  tempCtx.lineTo(pixelRegion.bottomRight.x, pixelRegion.bottomRight.y);
-  tempCtx.lineTo(pixelRegion.bottomLeft.x, pixelRegion.bottomLeft.y);
-  tempCtx.closePath();
   tempCtx.fillStyle = color;
-  tempCtx.fill();
-
-  // Apply feathering if specified
   if (featherRadius > 0) {
-    applyEdgeFeathering(/** @type {CanvasRenderingContext2D} */ (/** @type {unknown} */ (tempCtx)), pixelRegion, featherRadius);
+    // Fill the bounding box, then keep only the pixels that map inside the quad
+    tempCtx.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+    const imageData = tempCtx.getImageData(bounds.x, bounds.y, bounds.width, bounds.height);
+    applyQuadCoverage(imageData, pixelRegion, featherRadius, bounds.x, bounds.y);
+    tempCtx.putImageData(imageData, bounds.x, bounds.y);
+  } else {
+    traceQuad(tempCtx, pixelRegion);
+    tempCtx.fill();
   }
 
   // Apply person mask cutout if provided
@@ -105,6 +140,209 @@ export function renderWallPaintPerspective(ctx, region, color, options = {}) {
   ctx.restore();
 }
 
+/**
+ * Render wall paint that keeps the wall's shading.
+ * Every pixel gets the target color scaled by how bright the wall is there relative
+ * to the wall's average inside the region, so corner shadows and light falloff carry
+ * over onto the new color.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Target canvas context
+ * @param {Object} region - Wall region with 4 corners (percentage coordinates)
+ * @param {string} color - Target color (hex or rgb())
+ * @param {Object} [options] - Rendering options
+ * @param {number} [options.opacity=1] - Paint opacity (0-1)
+ * @param {ImageData} [options.personMask] - Person mask for cutout (optional)
+ * @param {number} [options.featherRadius=0] - Edge feather radius in pixels
+ * @param {CanvasImageSource} [options.shadingSource] - Live frame to take shading from (defaults to the canvas itself)
+ * @param {ShadingReference|null} [options.shadingReference] - Take shading from the setup reference frame instead
+ */
+export function renderWallPaintRecolor(ctx, region, color, options = {}) {
+  const { opacity = 1, personMask = null, featherRadius = 0, shadingSource = null, shadingReference = null } = options;
+
+  const rgb = parsePaintColor(color);
+  if (!rgb) {
+    renderWallPaintPerspective(ctx, region, color, options);
+    return;
+  }
+
+  const canvas = ctx.canvas;
+  const width = canvas.width;
+  const height = canvas.height;
+
+  const pixelRegion = regionToPixels(region, width, height);
+  const bounds = getPixelBounds(pixelRegion, width, height);
+  if (!bounds) return;
+
+  if (!recolorCanvas || recolorCanvas.width !== width || recolorCanvas.height !== height) {
+    recolorCanvas = new OffscreenCanvas(width, height);
+    recolorCtx = recolorCanvas.getContext('2d', { willReadFrequently: true });
+  }
+  const tempCtx = recolorCtx;
+
+  // Without feathering the canvas cuts the quad out (alpha = coverage) before the pixels are read
+  const fromReference = Boolean(shadingReference && shadingReference.frame);
+  if (fromReference) {
+    tempCtx.fillStyle = '#000';
+    tempCtx.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+  } else {
+    tempCtx.drawImage(shadingSource || canvas, 0, 0, width, height);
+  }
+  if (featherRadius === 0) {
+    tempCtx.globalCompositeOperation = 'destination-in';
+    traceQuad(tempCtx, pixelRegion);
+    tempCtx.fill();
+    tempCtx.globalCompositeOperation = 'source-over';
+  }
+
+  const imageData = tempCtx.getImageData(bounds.x, bounds.y, bounds.width, bounds.height);
+  const luminance = fromReference
+    ? sampleReferenceLuminance(shadingReference, bounds, width, height)
+    : computeLuminance(imageData);
+
+  if (featherRadius > 0) {
+    applyQuadCoverage(imageData, pixelRegion, featherRadius, bounds.x, bounds.y);
+  }
+  if (personMask) {
+    applyPersonCoverage(imageData, personMask, bounds.x, bounds.y, width, height);
+  }
+  recolorImageData(imageData, luminance, rgb);
+  tempCtx.putImageData(imageData, bounds.x, bounds.y);
+
+  // Only the region's bounds were worked out for this frame; the rest of the scratch canvas is stale
+  ctx.save();
+  ctx.globalAlpha = opacity;
+  ctx.drawImage(recolorCanvas, bounds.x, bounds.y, bounds.width, bounds.height, bounds.x, bounds.y, bounds.width, bounds.height);
+  ctx.restore();
+}
+
+/**
+ * Parse a hex (#rgb / #rrggbb) or rgb() color.
+ *
+ * @param {string} color - CSS color
+ * @returns {number[]|null} [r, g, b], or null for other color formats
+ */
+function parsePaintColor(color) {
+  const hexMatch = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+  if (hexMatch) {
+    const hex = hexMatch[1].length === 3
+      ? hexMatch[1].split('').map(c => c + c).join('')
+      : hexMatch[1];
+    return [0, 2, 4].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+  }
+
+  const rgbMatch = /^rgb\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)$/i.exec(color);
+  if (rgbMatch) {
+    return rgbMatch.slice(1, 4).map(Number);
+  }
+
+  return null;
+}
+
+/**
+ * Perceived brightness of every pixel.
+ *
+ * @param {ImageData} imageData - Frame pixels
+ * @returns {Float32Array} Luminance (0-255) per pixel
+ */
+function computeLuminance(imageData) {
+  const data = imageData.data;
+  const luminance = new Float32Array(imageData.width * imageData.height);
+  for (let i = 0; i < luminance.length; i++) {
+    luminance[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return luminance;
+}
+
+/**
+ * Luminance of the reference frame under each canvas pixel of the bounds.
+ * The reference was captured before any camera move, so canvas positions are mapped
+ * back through the inverse pose. Pixels that fall outside the reference are NaN.
+ *
+ * @param {ShadingReference} shadingReference - Reference frame and pose
+ * @param {{ x: number, y: number, width: number, height: number }} bounds - Canvas pixel bounds
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {Float32Array} Luminance (0-255 or NaN) per pixel of the bounds
+ */
+function sampleReferenceLuminance(shadingReference, bounds, width, height) {
+  const { frame, pose = null } = shadingReference;
+  const data = frame.data;
+  const luminance = new Float32Array(bounds.width * bounds.height);
+
+  resampleThroughPose(frame, pose, width, height, (index, referenceIndex) => {
+    const idx = referenceIndex * 4;
+    luminance[index] = referenceIndex < 0
+      ? NaN
+      : 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+  }, bounds);
+
+  return luminance;
+}
+
+// Trace the outline of a quad in pixel coordinates as the context's current path
+function traceQuad(ctx, pixelRegion) {
+  tracePolygon(ctx, [pixelRegion.topLeft, pixelRegion.topRight, pixelRegion.bottomRight, pixelRegion.bottomLeft]);
+}
+
+/**
+ * Scale pixel alpha down where the person mask covers it.
+ *
+ * @param {ImageData} imageData - Pixels covering (originX, originY) to (originX + width, originY + height)
+ * @param {ImageData} mask - Person mask (any resolution, red channel = person)
+ * @param {number} originX - Canvas X of the image data's left edge
+ * @param {number} originY - Canvas Y of the image data's top edge
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ */
+function applyPersonCoverage(imageData, mask, originX, originY, canvasWidth, canvasHeight) {
+  const data = imageData.data;
+  for (let y = 0; y < imageData.height; y++) {
+    const my = Math.min(mask.height - 1, Math.floor(((originY + y) / canvasHeight) * mask.height));
+    for (let x = 0; x < imageData.width; x++) {
+      const mx = Math.min(mask.width - 1, Math.floor(((originX + x) / canvasWidth) * mask.width));
+      const person = mask.data[(my * mask.width + mx) * 4] / 255;
+      if (person > 0) {
+        const idx = (y * imageData.width + x) * 4 + 3;
+        data[idx] = Math.round(data[idx] * (1 - person));
+      }
+    }
+  }
+}
+
+/**
+ * Replace the color of every visible pixel with the target color shaded by the wall.
+ * Shading is each pixel's luminance over the alpha-weighted average luminance, so the
+ * target color lands on the wall's average and shadows/highlights keep their contrast.
+ * Pixels without a luminance sample (NaN) get the unshaded color.
+ *
+ * @param {ImageData} imageData - Pixels to recolor (alpha = coverage; 0 is skipped)
+ * @param {Float32Array} luminance - Wall luminance per pixel
+ * @param {number[]} rgb - Target [r, g, b]
+ */
+export function recolorImageData(imageData, luminance, rgb) {
+  const data = imageData.data;
+
+  let sum = 0;
+  let weight = 0;
+  for (let i = 0; i < luminance.length; i++) {
+    const alpha = data[i * 4 + 3];
+    if (alpha === 0 || Number.isNaN(luminance[i])) continue;
+    sum += luminance[i] * alpha;
+    weight += alpha;
+  }
+  const mean = weight > 0 ? Math.max(sum / weight, 1) : 0;
+
+  for (let i = 0; i < luminance.length; i++) {
+    const idx = i * 4;
+    if (data[idx + 3] === 0) continue;
+
+    const shade = mean > 0 && !Number.isNaN(luminance[i]) ? Math.min(luminance[i] / mean, MAX_SHADE) : 1;
+    data[idx] = Math.min(255, Math.round(rgb[0] * shade));
+    data[idx + 1] = Math.min(255, Math.round(rgb[1] * shade));
+    data[idx + 2] = Math.min(255, Math.round(rgb[2] * shade));
+  }
+}
+
 /**
  * Apply person mask cutout to the main canvas.
  * Removes pixels where the person is detected.
@@ -156,103 +394,84 @@ function applyPersonMaskToTemp(tempCtx, mask) {
 }
 
 /**
- * Apply edge feathering to soften the region edges.
+ * Scale pixel alpha by how far inside the quad each pixel lies.
+ * Pixels are mapped back to the unit square through the inverse homography, so the
+ * feather follows the wall's perspective: it narrows toward the far edge just like the paint.
  *
- * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {ImageData} imageData - Pixels covering (originX, originY) to (originX + width, originY + height)
  * @param {Object} pixelRegion - Region in pixel coordinates
- * @param {number} radius - Feather radius
+ * @param {number} featherRadius - Feather radius in pixels, measured at the region's average size
+ * @param {number} originX - Canvas X of the image data's left edge
+ * @param {number} originY - Canvas Y of the image data's top edge
  */
-function applyEdgeFeathering(ctx, pixelRegion, radius) {
-  // This is a simplified feathering approach
-  // For a more accurate result, we would use distance-to-edge calculations
-
-  const canvas = ctx.canvas;
-  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+function applyQuadCoverage(imageData, pixelRegion, featherRadius, originX, originY) {
+  const inverse = computeInverseQuadHomography(pixelRegion);
   const data = imageData.data;
 
-  // Get region bounds
-  const points = [
-    pixelRegion.topLeft,
-    pixelRegion.topRight,
-    pixelRegion.bottomRight,
-    pixelRegion.bottomLeft
-  ];
-
-  // For each pixel, calculate distance to nearest edge
-  // and fade alpha accordingly (simplified version)
-  for (let y = 0; y < canvas.height; y++) {
-    for (let x = 0; x < canvas.width; x++) {
-      const idx = (y * canvas.width + x) * 4;
-      const alpha = data[idx + 3];
-
-      if (alpha > 0) {
-        const edgeDist = distanceToPolygonEdge(x, y, points);
-
-        if (edgeDist < radius) {
-          // Fade alpha based on distance to edge
-          const fadeAlpha = Math.round(alpha * (edgeDist / radius));
-          data[idx + 3] = fadeAlpha;
-        }
-      }
-    }
+  if (!inverse) {
+    data.fill(0);
+    return;
   }
 
-  ctx.putImageData(imageData, 0, 0);
-}
+  const [a, b, c, d, e, f, g, h, i] = inverse;
+
+  // Express the feather radius as a fraction of the unit square
+  const regionWidth = (
+    Math.hypot(pixelRegion.topRight.x - pixelRegion.topLeft.x, pixelRegion.topRight.y - pixelRegion.topLeft.y) +
+    Math.hypot(pixelRegion.bottomRight.x - pixelRegion.bottomLeft.x, pixelRegion.bottomRight.y - pixelRegion.bottomLeft.y)
+  ) / 2;
+  const regionHeight = (
+    Math.hypot(pixelRegion.bottomLeft.x - pixelRegion.topLeft.x, pixelRegion.bottomLeft.y - pixelRegion.topLeft.y) +
+    Math.hypot(pixelRegion.bottomRight.x - pixelRegion.topRight.x, pixelRegion.bottomRight.y - pixelRegion.topRight.y)
+  ) / 2;
+  const featherU = featherRadius > 0 && regionWidth > 0 ? featherRadius / regionWidth : 0;
+  const featherV = featherRadius > 0 && regionHeight > 0 ? featherRadius / regionHeight : 0;
+
+  for (let y = 0; y < imageData.height; y++) {
+    const py = originY + y + 0.5;
+
+    for (let x = 0; x < imageData.width; x++) {
+      const px = originX + x + 0.5;
+      const idx = (y * imageData.width + x) * 4 + 3;
+
+      const w = g * px + h * py + i;
+      const u = (a * px + b * py + c) / w;
+      const v = (d * px + e * py + f) / w;
+
+      if (!(u >= 0 && u <= 1 && v >= 0 && v <= 1)) {
+        data[idx] = 0;
+        continue;
+      }
 
-/**
- * Calculate distance from a point to the nearest edge of a polygon.
- *
- * @param {number} px - Point X
- * @param {number} py - Point Y
- * @param {Array} points - Polygon vertices
- * @returns {number} Distance to nearest edge
- */
-function distanceToPolygonEdge(px, py, points) {
-  let minDist = Infinity;
-
-  for (let i = 0; i < points.length; i++) {
-    const j = (i + 1) % points.length;
-    const dist = distanceToLineSegment(
-      px, py,
-      points[i].x, points[i].y,
-      points[j].x, points[j].y
-    );
-    minDist = Math.min(minDist, dist);
-  }
+      let coverage = 1;
+      if (featherU > 0) coverage = Math.min(coverage, Math.min(u, 1 - u) / featherU);
+      if (featherV > 0) coverage = Math.min(coverage, Math.min(v, 1 - v) / featherV);
 
-  return minDist;
+      if (coverage < 1) {
+        data[idx] = Math.round(data[idx] * coverage);
+      }
+    }
+  }
 }
 
 /**
- * Calculate distance from a point to a line segment.
+ * Apply a lighting grade to a paint color.
+ * Hex and rgb() colors are graded; anything else is returned unchanged.
  *
- * @param {number} px - Point X
- * @param {number} py - Point Y
- * @param {number} x1 - Line start X
- * @param {number} y1 - Line start Y
- * @param {number} x2 - Line end X
- * @param {number} y2 - Line end Y
- * @returns {number} Distance
+ * @param {string} color - Fill color
+ * @param {import('./wall-art-renderer.js').LightingGrade|null|undefined} grade - Lighting grade for the region
+ * @returns {string} Graded CSS color
  */
-function distanceToLineSegment(px, py, x1, y1, x2, y2) {
-  const dx = x2 - x1;
-  const dy = y2 - y1;
-  const lengthSq = dx * dx + dy * dy;
-
-  if (lengthSq === 0) {
-    // Point segment
-    return Math.sqrt((px - x1) ** 2 + (py - y1) ** 2);
-  }
-
-  // Project point onto line
-  let t = ((px - x1) * dx + (py - y1) * dy) / lengthSq;
-  t = Math.max(0, Math.min(1, t));
+export function gradeColor(color, grade) {
+  if (!grade) return color;
 
-  const nearestX = x1 + t * dx;
-  const nearestY = y1 + t * dy;
+  const rgb = parsePaintColor(color);
+  if (!rgb) return color;
 
-  return Math.sqrt((px - nearestX) ** 2 + (py - nearestY) ** 2);
+  const channels = rgb.map((value, i) => {
+    return Math.max(0, Math.min(255, Math.round(value * grade.brightness * grade.colorGain[i])));
+  });
+  return `rgb(${channels.join(', ')})`;
 }
 
 /**
@@ -262,23 +481,76 @@ function distanceToLineSegment(px, py, x1, y1, x2, y2) {
  * @param {Array} wallArtOverlays - Array of wall art overlay objects with paint property
  * @param {Object} [options] - Rendering options
  * @param {ImageData} [options.personMask] - Person mask for all regions
+ * @param {Map<string, ImageData>} [options.occluderMasks] - Occluder mask by overlay ID (see buildOccluderMasks)
  * @param {number} [options.featherRadius] - Edge feather radius in pixels
+ * @param {Map<string, import('./wall-art-renderer.js').LightingGrade>} [options.lightingGrades] - Per-region lighting grade by overlay ID
+ * @param {CanvasImageSource} [options.shadingSource] - Live camera frame for recolor paint with live shading
+ * @param {ShadingReference|null} [options.shadingReference] - Setup reference frame for recolor paint with reference shading
+ * @param {import('./wall-art-renderer.js').WebGLArtRenderer|null} [options.webglRenderer] - GPU renderer for gradient, pattern and texture paint
  */
 export function renderAllWallPaint(ctx, wallArtOverlays, options = {}) {
-  const { personMask = null } = options;
+  const { personMask = null, occluderMasks = null, lightingGrades = null, shadingSource = null, shadingReference = null } = options;
 
   // Filter to only overlays with paint enabled
   const paintOverlays = wallArtOverlays.filter(
     overlay => overlay.type === 'wallArt' && overlay.paint && overlay.paint.enabled && overlay.active
   );
 
+  // Forget fills of overlays that no longer use pattern paint
+  retainPaintFills(new Set(paintOverlays.filter(overlay => isPatternPaint(overlay.paint)).map(overlay => overlay.id)));
+
   // Render each paint layer
   for (const overlay of paintOverlays) {
-    renderWallPaint(ctx, overlay.region, overlay.paint.color, {
+    const grade = lightingGrades ? lightingGrades.get(overlay.id) : null;
+    const occluderMask = occluderMasks ? occluderMasks.get(overlay.id) : null;
+
+    if (isPatternPaint(overlay.paint)) {
+      // Gradients, patterns and textures are drawn flat and warped into the region like art
+      const aspect = estimateRegionAspect(getCoverQuad(overlay.region), ctx.canvas.width, ctx.canvas.height);
+      renderWallArt(ctx, overlay.region, {
+        source: /** @type {*} */ (getPaintFill(overlay.id, overlay.paint, aspect)),
+        contentType: 'image',
+        aspectRatioMode: 'stretch',
+        opacity: overlay.paint.opacity !== undefined ? overlay.paint.opacity : 1
+      }, {
+        personMask,
+        occluderMask,
+        featherRadius: options.featherRadius || 0,
+        artBrightnessMultiplier: grade ? grade.brightness : 1,
+        colorGain: grade ? grade.colorGain : null,
+        webglRenderer: options.webglRenderer || null,
+        textureKey: `paint:${overlay.id}`
+      });
+      continue;
+    }
+
+    const color = gradeColor(overlay.paint.color, grade);
+    const paintOptions = {
       opacity: overlay.paint.opacity,
-      personMask,
+      personMask: /** @type {ImageData} */ (mergeOcclusionMasks(personMask, occluderMask)),
       featherRadius: options.featherRadius || 0
-    });
+    };
+
+    // Live shading is read from the frame being composited, not from the shape layer
+    const drawPaint = (target, region) => {
+      if (overlay.paint.mode === 'recolor') {
+        // Reference shading needs the setup wizard frame; fall back to the live frame without one
+        const useReference = overlay.paint.shading === 'reference' && shadingReference && shadingReference.frame;
+        renderWallPaintRecolor(target, region, color, {
+          ...paintOptions,
+          shadingSource: shadingSource || ctx.canvas,
+          shadingReference: useReference ? shadingReference : null
+        });
+      } else {
+        renderWallPaint(target, region, color, paintOptions);
+      }
+    };
+
+    if (overlay.region.polygon || overlay.region.mask) {
+      renderInRegionShape(ctx, overlay.region, drawPaint);
+    } else {
+      drawPaint(ctx, overlay.region);
+    }
   }
 }
 
@@ -287,6 +559,8 @@ if (typeof window !== 'undefined') {
   window.WallPaintRenderer = {
     renderWallPaint,
     renderWallPaintPerspective,
-    renderAllWallPaint
+    renderWallPaintRecolor,
+    renderAllWallPaint,
+    gradeColor
   };
 }
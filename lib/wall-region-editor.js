@@ -3,11 +3,33 @@
  *
  * An interactive overlay for editing wall art regions directly on the Google Meet video feed.
  * Allows users to drag corners and see exactly where regions map to their actual background.
+ * Corner drags honor the region type (free, trapezoid, rectangle); the mouse wheel, +/- and
+ * arrow keys zoom and pan the art inside the region.
+ *
+ * Polygon regions get a handle per vertex: double-click an edge to add one, double-click or
+ * right-click a vertex to remove it. Mask regions are brush-painted (Shift erases, [ and ]
+ * change the brush size). Either way the four corners stay draggable as the anchor quad.
+ * With "Occluders" checked the brush instead paints over things in front of the wall (a lamp,
+ * a plant) that should stay in front of the art.
+ *
+ * With "Select wall" checked, clicking a wall selects it with click-to-segment (SlimSAM) and
+ * fits the region to it; Shift+click marks a spot that is not part of the wall.
+ *
+ * With "Perspective" checked, corners also snap to where the region's sides converge on the
+ * vanishing points of the room; holding Shift keeps the dragged corner's vertical side on
+ * the vertical vanishing point.
  */
 
 (function() {
   'use strict';
 
+  // Region helpers from lib/wall-region.js (injected before this script)
+  const WallRegion = /** @type {*} */ (window.WallRegion);
+
+  // Extension base URL (content.js injects us from chrome-extension://<id>/lib/), for bundled models
+  const editorScript = /** @type {HTMLScriptElement|null} */ (document.currentScript);
+  const extensionBaseUrl = editorScript && editorScript.src ? new URL('..', editorScript.src).href : '';
+
   // Editor state
   let isActive = false;
   let currentRegion = null;
@@ -19,9 +41,29 @@
   let isDraggingRegion = false;
   let dragStartPoint = null;
   let originalRegion = null;
+  let regionType = 'free';
+  let draggingVertex = -1;
+  let isPainting = false;
+  let brushRadius = 3;
+  let pointerPoint = null;
+  let occluders = null;
+  let drawingOccluders = false;
+
+  // Click-to-segment state
+  let selectingWall = false;
+  let clickSegmenter = null;
+  let segmentPoints = [];
+  let isSegmenting = false;
+  let selectWallLabel = null;
+
+  // Content zoom/pan: the displayed transform eases towards the target
+  let currentTransform = { zoom: 1, panX: 0, panY: 0 };
+  let targetTransform = { zoom: 1, panX: 0, panY: 0 };
+  let transformAnimationId = null;
 
   // Snapping state
   let snapEnabled = true;
+  let perspectiveEnabled = false;
   let edgeDetector = null;
   let snapEngine = null;
   let edgeMap = null;
@@ -32,7 +74,14 @@
   // Constants
   const HANDLE_RADIUS = 12;
   const HANDLE_HIT_RADIUS = 20;
-  const _MIN_REGION_SIZE = 5; // Minimum 5% width/height (reserved for future validation)
+  const ZOOM_STEP = 0.2;
+  const PAN_STEP = 0.1;
+  const TRANSFORM_LERP = 0.2;
+  const VERTEX_HANDLE_SIZE = 14;
+  const MIN_BRUSH_RADIUS = 0.5;
+  const MAX_BRUSH_RADIUS = 15;
+  const MOVE_HANDLE_RADIUS = 16;
+  const OCCLUDER_FILL = 'rgba(0, 200, 255, 0.45)';
   const STROKE_COLOR = '#e94560';
   const FILL_COLOR = 'rgba(233, 69, 96, 0.2)';
   const HANDLE_FILL = '#e94560';
@@ -40,6 +89,10 @@
   const SNAP_GUIDE_COLOR = '#00ff00';
   const EDGE_SNAP_COLOR = '#ff6600';
   const GRID_SNAP_COLOR = '#0066ff';
+  const PERSPECTIVE_GUIDE_COLOR = '#c77dff';
+  const SEGMENT_POINT_COLOR = '#00e676';
+  const SEGMENT_EXCLUDE_COLOR = '#ff1744';
+  const SELECT_WALL_LABEL = 'Select wall';
 
   /**
    * Find the self-view video container in Meet's DOM.
@@ -89,7 +142,8 @@
       // @ts-ignore - SnapEngine is a constructor attached to window
       snapEngine = new window.SnapEngine({
         snapThreshold: 4,
-        gridSize: 5
+        gridSize: 5,
+        perspectiveEnabled
       });
     }
 
@@ -151,10 +205,91 @@
 
     edgeMap = edgeDetector.detectEdges(imageData);
     lastEdgeDetectionTime = now;
+    updateVanishingPoints();
 
     console.log('[WallRegionEditor] Edge map updated');
   }
 
+  /**
+   * Re-estimate the room's vanishing points from the edge map for perspective snapping.
+   */
+  function updateVanishingPoints() {
+    if (!snapEngine || !perspectiveEnabled || !edgeMap) return;
+
+    const vanishingPoints = snapEngine.updateVanishingPoints(
+      edgeDetector.findLineSegments(edgeMap), edgeMap.width, edgeMap.height
+    );
+    console.log('[WallRegionEditor] Vanishing points updated:', vanishingPoints);
+  }
+
+  /**
+   * Show click-to-segment progress in the Select wall toggle (null restores its label).
+   */
+  function setSegmentStatus(text) {
+    if (selectWallLabel) {
+      selectWallLabel.textContent = text || SELECT_WALL_LABEL;
+    }
+  }
+
+  /**
+   * Select the wall under a point with click-to-segment and fit the region to it.
+   * The first click encodes the current frame; later clicks refine the selection on it.
+   * @param {Object} point - Clicked point (percentage coordinates)
+   * @param {boolean} exclude - Whether the point is not part of the wall
+   */
+  async function segmentAt(point, exclude) {
+    if (isSegmenting || !clickSegmenter || !window.MaskFitting) return;
+    isSegmenting = true;
+
+    try {
+      setSegmentStatus('Loading model...');
+      if (!(await clickSegmenter.initialize())) {
+        setSegmentStatus('Selection unavailable');
+        return;
+      }
+
+      if (!clickSegmenter.hasFrame) {
+        const frame = captureVideoFrame();
+        if (!frame) {
+          setSegmentStatus('No camera frame');
+          return;
+        }
+        setSegmentStatus('Analyzing frame...');
+        await clickSegmenter.setFrame(frame);
+      }
+
+      segmentPoints.push({ ...point, exclude });
+      setSegmentStatus('Selecting...');
+      const mask = await clickSegmenter.segment(segmentPoints);
+      const fit = /** @type {*} */ (window.MaskFitting).fitMaskToRegion(mask.data, mask.width, mask.height);
+      if (!isActive) return;
+
+      if (!fit) {
+        segmentPoints.pop();
+        setSegmentStatus('Nothing found, try again');
+        draw();
+        return;
+      }
+
+      currentRegion = fit.region;
+      regionType = 'free';
+      const areaSelect = overlayElement.querySelector('.region-editor-area');
+      const shapeSelect = overlayElement.querySelector('.region-editor-shape');
+      if (areaSelect) areaSelect.value = fit.shape;
+      if (shapeSelect) shapeSelect.value = regionType;
+
+      console.log(`[WallRegionEditor] Wall selected (${fit.shape}, score ${mask.score.toFixed(2)})`);
+      setSegmentStatus(null);
+      notifyUpdate();
+      draw();
+    } catch (error) {
+      console.error('[WallRegionEditor] Wall selection failed:', error);
+      setSegmentStatus('Selection failed');
+    } finally {
+      isSegmenting = false;
+    }
+  }
+
   /**
    * Get other corners for alignment snapping.
    */
@@ -210,6 +345,14 @@
           Math.PI * 2
         );
         ctx.fill();
+      } else if (guide.type === 'perspective-line') {
+        ctx.strokeStyle = PERSPECTIVE_GUIDE_COLOR;
+        ctx.globalAlpha = alpha;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo((guide.x1 / 100) * width, (guide.y1 / 100) * height);
+        ctx.lineTo((guide.x2 / 100) * width, (guide.y2 / 100) * height);
+        ctx.stroke();
       } else if (guide.type === 'grid-indicator') {
         ctx.fillStyle = GRID_SNAP_COLOR;
         ctx.globalAlpha = alpha * 0.5;
@@ -344,7 +487,157 @@
     snapToggle.appendChild(snapCheckbox);
     snapToggle.appendChild(snapLabel);
 
+    // Perspective snap toggle
+    const perspectiveToggle = document.createElement('label');
+    perspectiveToggle.className = 'region-editor-perspective-toggle';
+    perspectiveToggle.title = 'Snap corners so the region converges with the room (hold Shift to lock the vertical side)';
+    perspectiveToggle.style.cssText = snapToggle.style.cssText;
+
+    const perspectiveCheckbox = document.createElement('input');
+    perspectiveCheckbox.type = 'checkbox';
+    perspectiveCheckbox.checked = perspectiveEnabled;
+    perspectiveCheckbox.style.cssText = snapCheckbox.style.cssText;
+    perspectiveCheckbox.addEventListener('change', () => {
+      perspectiveEnabled = perspectiveCheckbox.checked;
+      if (snapEngine) {
+        snapEngine.perspectiveEnabled = perspectiveEnabled;
+      }
+      if (perspectiveEnabled && snapEnabled) {
+        lastEdgeDetectionTime = 0; // Estimate from a fresh frame
+        updateEdgeMap();
+      } else {
+        currentSnapGuides = [];
+        draw();
+      }
+    });
+
+    const perspectiveLabel = document.createElement('span');
+    perspectiveLabel.textContent = 'Perspective';
+
+    perspectiveToggle.appendChild(perspectiveCheckbox);
+    perspectiveToggle.appendChild(perspectiveLabel);
+
+    // Region shape
+    const shapeSelect = document.createElement('select');
+    shapeSelect.className = 'region-editor-shape';
+    shapeSelect.title = 'Region shape';
+    shapeSelect.style.cssText = `
+      padding: 8px;
+      background: rgba(60, 64, 67, 0.9);
+      color: white;
+      border: none;
+      border-radius: 4px;
+      font-size: 13px;
+      cursor: pointer;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.3);
+    `;
+    [['free', 'Free'], ['trapezoid', 'Vertical edges'], ['rectangle', 'Rectangle']].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      shapeSelect.appendChild(option);
+    });
+    shapeSelect.value = regionType;
+    shapeSelect.addEventListener('change', () => {
+      regionType = shapeSelect.value;
+      currentRegion = WallRegion.constrainRegion(currentRegion, regionType);
+      notifyUpdate();
+      draw();
+    });
+
+    // Region area: the anchor quad itself, a polygon, or a painted mask
+    const areaSelect = document.createElement('select');
+    areaSelect.className = 'region-editor-area';
+    areaSelect.title = 'Region area';
+    areaSelect.style.cssText = shapeSelect.style.cssText;
+    [['quad', 'Quad'], ['polygon', 'Polygon'], ['mask', 'Painted mask']].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      areaSelect.appendChild(option);
+    });
+    areaSelect.value = WallRegion.getRegionShape(currentRegion);
+    areaSelect.addEventListener('change', () => {
+      if (areaSelect.value === 'polygon') {
+        currentRegion = WallRegion.toPolygonRegion(currentRegion);
+      } else if (areaSelect.value === 'mask') {
+        currentRegion = WallRegion.toMaskRegion(currentRegion, canvasElement.width / canvasElement.height);
+      } else {
+        currentRegion = WallRegion.toQuadRegion(currentRegion);
+      }
+      notifyUpdate();
+      draw();
+    });
+
+    // Occluder brush toggle
+    const occluderToggle = document.createElement('label');
+    occluderToggle.className = 'region-editor-occluder-toggle';
+    occluderToggle.title = 'Paint over objects in front of the wall (Shift erases)';
+    occluderToggle.style.cssText = snapToggle.style.cssText;
+
+    const occluderCheckbox = document.createElement('input');
+    occluderCheckbox.type = 'checkbox';
+    occluderCheckbox.checked = drawingOccluders;
+    occluderCheckbox.style.cssText = snapCheckbox.style.cssText;
+    occluderCheckbox.addEventListener('change', () => {
+      drawingOccluders = occluderCheckbox.checked;
+      if (drawingOccluders && selectingWall) {
+        selectingWall = false;
+        selectWallCheckbox.checked = false;
+      }
+      draw();
+    });
+
+    const occluderLabel = document.createElement('span');
+    occluderLabel.textContent = 'Occluders';
+
+    occluderToggle.appendChild(occluderCheckbox);
+    occluderToggle.appendChild(occluderLabel);
+
+    // Click-to-segment toggle
+    const selectWallToggle = document.createElement('label');
+    selectWallToggle.className = 'region-editor-select-wall-toggle';
+    selectWallToggle.title = 'Click a wall to fit the region to it (Shift+click marks a spot that is not wall)';
+    selectWallToggle.style.cssText = snapToggle.style.cssText;
+
+    const selectWallCheckbox = document.createElement('input');
+    selectWallCheckbox.type = 'checkbox';
+    selectWallCheckbox.checked = selectingWall;
+    selectWallCheckbox.style.cssText = snapCheckbox.style.cssText;
+    selectWallCheckbox.addEventListener('change', () => {
+      selectingWall = selectWallCheckbox.checked;
+      segmentPoints = [];
+      if (selectingWall) {
+        if (drawingOccluders) {
+          drawingOccluders = false;
+          occluderCheckbox.checked = false;
+        }
+        if (!clickSegmenter && window.ClickSegmenter) {
+          const { ClickSegmenter } = /** @type {*} */ (window.ClickSegmenter);
+          clickSegmenter = new ClickSegmenter({ baseUrl: extensionBaseUrl });
+        }
+        // Select on the frame as it is now, and start loading the model right away
+        if (clickSegmenter) {
+          clickSegmenter.clearFrame();
+          clickSegmenter.initialize();
+        }
+      }
+      setSegmentStatus(clickSegmenter || !selectingWall ? null : 'Selection unavailable');
+      draw();
+    });
+
+    selectWallLabel = document.createElement('span');
+    selectWallLabel.textContent = SELECT_WALL_LABEL;
+
+    selectWallToggle.appendChild(selectWallCheckbox);
+    selectWallToggle.appendChild(selectWallLabel);
+
+    buttonContainer.appendChild(selectWallToggle);
+    buttonContainer.appendChild(areaSelect);
+    buttonContainer.appendChild(occluderToggle);
+    buttonContainer.appendChild(shapeSelect);
     buttonContainer.appendChild(snapToggle);
+    buttonContainer.appendChild(perspectiveToggle);
     buttonContainer.appendChild(cancelBtn);
     buttonContainer.appendChild(saveBtn);
 
@@ -356,6 +649,9 @@
     canvasElement.addEventListener('mousemove', handleMouseMove);
     canvasElement.addEventListener('mouseup', handleMouseUp);
     canvasElement.addEventListener('mouseleave', handleMouseUp);
+    canvasElement.addEventListener('wheel', handleWheel, { passive: false });
+    canvasElement.addEventListener('dblclick', handleDoubleClick);
+    canvasElement.addEventListener('contextmenu', handleContextMenu);
 
     // Keyboard listener for escape
     document.addEventListener('keydown', handleKeyDown);
@@ -420,7 +716,15 @@
     const bl = toPixel(currentRegion.bottomLeft);
     const br = toPixel(currentRegion.bottomRight);
 
-    // Draw filled region
+    const shape = WallRegion.getRegionShape(currentRegion);
+    if (shape !== 'quad') {
+      drawRegionArea(width, height);
+    }
+    if (occluders.strokes.length > 0) {
+      drawTintedArea({ mask: occluders }, OCCLUDER_FILL, width, height);
+    }
+
+    // Draw filled region (shaped regions only outline their anchor quad)
     ctx.fillStyle = FILL_COLOR;
     ctx.beginPath();
     ctx.moveTo(tl.x, tl.y);
@@ -428,12 +732,15 @@
     ctx.lineTo(br.x, br.y);
     ctx.lineTo(bl.x, bl.y);
     ctx.closePath();
-    ctx.fill();
+    if (shape === 'quad') ctx.fill();
 
     // Draw outline
+    ctx.save();
     ctx.strokeStyle = STROKE_COLOR;
     ctx.lineWidth = 2;
+    if (shape !== 'quad') ctx.setLineDash([6, 4]);
     ctx.stroke();
+    ctx.restore();
 
     // Draw corner handles
     const corners = [
@@ -457,6 +764,18 @@
       ctx.fill();
     }
 
+    // Draw polygon vertex handles
+    if (shape === 'polygon') {
+      const size = VERTEX_HANDLE_SIZE;
+      for (const vertex of currentRegion.polygon) {
+        const p = toPixel(vertex);
+        ctx.fillStyle = HANDLE_STROKE;
+        ctx.fillRect(p.x - size / 2 - 2, p.y - size / 2 - 2, size + 4, size + 4);
+        ctx.fillStyle = HANDLE_FILL;
+        ctx.fillRect(p.x - size / 2, p.y - size / 2, size, size);
+      }
+    }
+
     // Draw move icon in center
     const center = {
       x: (tl.x + tr.x + bl.x + br.x) / 4,
@@ -501,10 +820,88 @@
     ctx.lineTo(center.x + arrowSize / 2, center.y + 8 - arrowSize);
     ctx.stroke();
 
+    // Content zoom (the overlay is mirrored, so flip the text back)
+    if (targetTransform.zoom !== 1 || targetTransform.panX !== 0 || targetTransform.panY !== 0) {
+      ctx.save();
+      ctx.translate(center.x, center.y + 32);
+      ctx.scale(-1, 1);
+      ctx.font = 'bold 13px sans-serif';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+      ctx.fillRect(-28, -10, 56, 20);
+      ctx.fillStyle = '#ffffff';
+      ctx.fillText(`${currentTransform.zoom.toFixed(1)}x`, 0, 0);
+      ctx.restore();
+    }
+
+    // Brush outline under the pointer
+    if ((shape === 'mask' || drawingOccluders) && pointerPoint) {
+      ctx.save();
+      ctx.strokeStyle = drawingOccluders ? '#00c8ff' : '#ffffff';
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.arc(pointerPoint.x, pointerPoint.y, (brushRadius / 100) * width, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    // Click-to-segment points
+    if (selectingWall) {
+      for (const point of segmentPoints) {
+        const p = toPixel(point);
+        ctx.fillStyle = HANDLE_STROKE;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, 7, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = point.exclude ? SEGMENT_EXCLUDE_COLOR : SEGMENT_POINT_COLOR;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, 5, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+
     // Draw snap guides if active
     drawSnapGuides();
   }
 
+  /**
+   * Draw the area of a polygon or mask region, tinted like a quad region's fill.
+   */
+  function drawRegionArea(width, height) {
+    drawTintedArea(currentRegion, 'rgba(233, 69, 96, 0.35)', width, height);
+
+    if (currentRegion.polygon) {
+      ctx.strokeStyle = STROKE_COLOR;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      currentRegion.polygon.forEach((vertex, i) => {
+        const x = (vertex.x / 100) * width;
+        const y = (vertex.y / 100) * height;
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      });
+      ctx.closePath();
+      ctx.stroke();
+    }
+  }
+
+  /**
+   * Fill the area of a region (or of occluder strokes wrapped as a mask region) with a color.
+   */
+  function drawTintedArea(region, color, width, height) {
+    const areaCanvas = document.createElement('canvas');
+    areaCanvas.width = width;
+    areaCanvas.height = height;
+    const areaCtx = areaCanvas.getContext('2d');
+
+    WallRegion.fillRegionArea(areaCtx, region, width, height);
+    areaCtx.globalCompositeOperation = 'source-in';
+    areaCtx.fillStyle = color;
+    areaCtx.fillRect(0, 0, width, height);
+    ctx.drawImage(areaCanvas, 0, 0);
+  }
+
   /**
    * Get corner at mouse position.
    */
@@ -530,42 +927,53 @@
   }
 
   /**
-   * Check if point is inside the region.
+   * Get the polygon vertex at mouse position (-1 if none).
    */
-  function isPointInRegion(x, y) {
-    if (!currentRegion || !canvasElement) return false;
+  function getVertexAtPoint(x, y) {
+    if (!currentRegion || !currentRegion.polygon || !canvasElement) return -1;
 
     const width = canvasElement.width;
     const height = canvasElement.height;
 
-    // Convert to percentage
-    const px = (x / width) * 100;
-    const py = (y / height) * 100;
-
-    // Use ray casting algorithm
-    const polygon = [
-      currentRegion.topLeft,
-      currentRegion.topRight,
-      currentRegion.bottomRight,
-      currentRegion.bottomLeft
-    ];
+    return currentRegion.polygon.findIndex(vertex => {
+      const px = (vertex.x / 100) * width;
+      const py = (vertex.y / 100) * height;
+      return Math.hypot(x - px, y - py) <= HANDLE_HIT_RADIUS;
+    });
+  }
 
-    let inside = false;
-    const n = polygon.length;
+  /**
+   * Check if point is on the move handle in the middle of the anchor quad.
+   */
+  function isPointOnMoveHandle(x, y) {
+    const center = toPercent(x, y);
+    const quadCenter = {
+      x: (currentRegion.topLeft.x + currentRegion.topRight.x + currentRegion.bottomLeft.x + currentRegion.bottomRight.x) / 4,
+      y: (currentRegion.topLeft.y + currentRegion.topRight.y + currentRegion.bottomLeft.y + currentRegion.bottomRight.y) / 4
+    };
+    return Math.hypot(
+      ((center.x - quadCenter.x) / 100) * canvasElement.width,
+      ((center.y - quadCenter.y) / 100) * canvasElement.height
+    ) <= MOVE_HANDLE_RADIUS;
+  }
 
-    for (let i = 0, j = n - 1; i < n; j = i++) {
-      const xi = polygon[i].x;
-      const yi = polygon[i].y;
-      const xj = polygon[j].x;
-      const yj = polygon[j].y;
+  /**
+   * Check if point is inside the region.
+   */
+  function isPointInRegion(x, y) {
+    if (!currentRegion || !canvasElement) return false;
 
-      if (((yi > py) !== (yj > py)) &&
-          (px < (xj - xi) * (py - yi) / (yj - yi) + xi)) {
-        inside = !inside;
-      }
-    }
+    return WallRegion.isPointInRegion(toPercent(x, y), currentRegion);
+  }
 
-    return inside;
+  /**
+   * Convert canvas pixels to clamped percentage coordinates.
+   */
+  function toPercent(x, y) {
+    return {
+      x: Math.max(0, Math.min(100, (x / canvasElement.width) * 100)),
+      y: Math.max(0, Math.min(100, (y / canvasElement.height) * 100))
+    };
   }
 
   /**
@@ -578,6 +986,35 @@
     const x = e.clientX - rect.left;
     const y = e.clientY - rect.top;
 
+    // Right button removes polygon vertices (see handleContextMenu)
+    if (e.button !== 0) return;
+
+    // Click-to-segment takes every click until it is switched off
+    if (selectingWall) {
+      segmentAt(toPercent(x, y), e.shiftKey);
+      return;
+    }
+
+    // The occluder brush paints everywhere; handles stay put until it is switched off
+    if (drawingOccluders) {
+      isPainting = true;
+      occluders = {
+        ...occluders,
+        strokes: [...occluders.strokes, { points: [toPercent(x, y)], radius: brushRadius, erase: e.shiftKey }]
+      };
+      notifyUpdate();
+      draw();
+      return;
+    }
+
+    // Check for polygon vertex handle (vertices start on the anchor corners, so they win)
+    const vertex = getVertexAtPoint(x, y);
+    if (vertex !== -1) {
+      draggingVertex = vertex;
+      canvasElement.style.cursor = 'grabbing';
+      return;
+    }
+
     // Check for corner handle
     const corner = getCornerAtPoint(x, y);
     if (corner) {
@@ -591,8 +1028,21 @@
       return;
     }
 
+    // Mask regions paint everywhere except on the move handle
+    if (currentRegion.mask && !isPointOnMoveHandle(x, y)) {
+      isPainting = true;
+      currentRegion = WallRegion.addMaskStroke(currentRegion, {
+        points: [toPercent(x, y)],
+        radius: brushRadius,
+        erase: e.shiftKey
+      });
+      notifyUpdate();
+      draw();
+      return;
+    }
+
     // Check for region drag (move entire region)
-    if (isPointInRegion(x, y)) {
+    if (isPointInRegion(x, y) || isPointOnMoveHandle(x, y)) {
       isDraggingRegion = true;
       dragStartPoint = { x, y };
       originalRegion = JSON.parse(JSON.stringify(currentRegion));
@@ -632,7 +1082,8 @@
           rawPoint,
           edgeDetector,
           edgeMap,
-          otherCorners
+          otherCorners,
+          { region: currentRegion, cornerName: draggingCorner, constrained: e.shiftKey }
         );
 
         // Apply best snap
@@ -649,18 +1100,37 @@
         currentSnapGuides = [];
       }
 
-      currentRegion[draggingCorner] = { x: newX, y: newY };
+      currentRegion = WallRegion.moveCorner(currentRegion, draggingCorner, { x: newX, y: newY }, regionType);
 
-      // Notify of update
-      if (callbacks && callbacks.onUpdate) {
-        callbacks.onUpdate(currentRegion);
-      }
+      notifyUpdate();
+      draw();
+      return;
+    }
 
+    // Handle polygon vertex dragging
+    if (draggingVertex !== -1) {
+      currentRegion = WallRegion.moveVertex(currentRegion, draggingVertex, toPercent(x, y));
+      notifyUpdate();
+      draw();
+      return;
+    }
+
+    // Handle brush painting (skip points closer than a third of the brush to keep strokes small)
+    if (isPainting) {
+      pointerPoint = { x, y };
+      const strokes = drawingOccluders ? occluders.strokes : currentRegion.mask.strokes;
+      const stroke = strokes[strokes.length - 1];
+      const point = toPercent(x, y);
+      const last = stroke.points[stroke.points.length - 1];
+      if (Math.hypot(point.x - last.x, point.y - last.y) >= stroke.radius / 3) {
+        stroke.points.push(point);
+        notifyUpdate();
+      }
       draw();
       return;
     }
 
-    // Handle region dragging
+    // Handle region dragging (polygon points and brush strokes move along)
     if (isDraggingRegion && dragStartPoint && originalRegion) {
       const width = canvasElement.width;
       const height = canvasElement.height;
@@ -668,41 +1138,25 @@
       const dx = ((x - dragStartPoint.x) / width) * 100;
       const dy = ((y - dragStartPoint.y) / height) * 100;
 
-      // Get bounds of original region
-      const xs = [originalRegion.topLeft.x, originalRegion.topRight.x, originalRegion.bottomLeft.x, originalRegion.bottomRight.x];
-      const ys = [originalRegion.topLeft.y, originalRegion.topRight.y, originalRegion.bottomLeft.y, originalRegion.bottomRight.y];
-      const minX = Math.min(...xs);
-      const maxX = Math.max(...xs);
-      const minY = Math.min(...ys);
-      const maxY = Math.max(...ys);
-
-      // Clamp delta to keep region in bounds
-      let clampedDx = dx;
-      let clampedDy = dy;
-
-      if (minX + dx < 0) clampedDx = -minX;
-      if (maxX + dx > 100) clampedDx = 100 - maxX;
-      if (minY + dy < 0) clampedDy = -minY;
-      if (maxY + dy > 100) clampedDy = 100 - maxY;
-
-      // Apply delta to all corners
-      currentRegion.topLeft = { x: originalRegion.topLeft.x + clampedDx, y: originalRegion.topLeft.y + clampedDy };
-      currentRegion.topRight = { x: originalRegion.topRight.x + clampedDx, y: originalRegion.topRight.y + clampedDy };
-      currentRegion.bottomLeft = { x: originalRegion.bottomLeft.x + clampedDx, y: originalRegion.bottomLeft.y + clampedDy };
-      currentRegion.bottomRight = { x: originalRegion.bottomRight.x + clampedDx, y: originalRegion.bottomRight.y + clampedDy };
-
-      // Notify of update
-      if (callbacks && callbacks.onUpdate) {
-        callbacks.onUpdate(currentRegion);
-      }
+      currentRegion = WallRegion.moveRegion(originalRegion, dx, dy);
+
+      notifyUpdate();
 
       draw();
       return;
     }
 
     // Update cursor based on what's under the mouse
+    if (currentRegion && (currentRegion.mask || drawingOccluders)) {
+      pointerPoint = { x, y };
+      draw();
+    }
+    if (drawingOccluders) {
+      canvasElement.style.cursor = 'crosshair';
+      return;
+    }
     const corner = getCornerAtPoint(x, y);
-    if (corner) {
+    if (corner || getVertexAtPoint(x, y) !== -1) {
       canvasElement.style.cursor = 'grab';
     } else if (isPointInRegion(x, y)) {
       canvasElement.style.cursor = 'move';
@@ -714,8 +1168,13 @@
   /**
    * Handle mouse up.
    */
-  function handleMouseUp() {
+  function handleMouseUp(e) {
+    if (e && e.type === 'mouseleave') {
+      pointerPoint = null;
+    }
     draggingCorner = null;
+    draggingVertex = -1;
+    isPainting = false;
     isDraggingRegion = false;
     dragStartPoint = null;
     originalRegion = null;
@@ -729,6 +1188,52 @@
     }
   }
 
+  /**
+   * Handle double click: add a polygon vertex on the nearest edge, or remove the vertex clicked.
+   */
+  function handleDoubleClick(e) {
+    if (!isActive || !currentRegion || !currentRegion.polygon) return;
+
+    const rect = canvasElement.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    const y = e.clientY - rect.top;
+
+    const vertex = getVertexAtPoint(x, y);
+    if (vertex !== -1) {
+      currentRegion = WallRegion.removeVertex(currentRegion, vertex);
+    } else {
+      currentRegion = WallRegion.insertVertex(currentRegion, toPercent(x, y)).region;
+    }
+    notifyUpdate();
+    draw();
+  }
+
+  /**
+   * Handle right click: remove the polygon vertex under the pointer.
+   */
+  function handleContextMenu(e) {
+    if (!isActive) return;
+
+    e.preventDefault();
+    const rect = canvasElement.getBoundingClientRect();
+    const vertex = getVertexAtPoint(e.clientX - rect.left, e.clientY - rect.top);
+    if (vertex !== -1) {
+      currentRegion = WallRegion.removeVertex(currentRegion, vertex);
+      notifyUpdate();
+      draw();
+    }
+  }
+
+  /**
+   * Handle mouse wheel: zoom the art inside the region.
+   */
+  function handleWheel(e) {
+    if (!isActive) return;
+
+    e.preventDefault();
+    animateTransformTo({ zoom: targetTransform.zoom + (e.deltaY < 0 ? ZOOM_STEP : -ZOOM_STEP) });
+  }
+
   /**
    * Handle keyboard events.
    */
@@ -739,6 +1244,67 @@
       handleCancel();
     } else if (e.key === 'Enter') {
       handleSave();
+    } else if (e.key === '+' || e.key === '=') {
+      animateTransformTo({ zoom: targetTransform.zoom + ZOOM_STEP });
+    } else if (e.key === '-') {
+      animateTransformTo({ zoom: targetTransform.zoom - ZOOM_STEP });
+    } else if (e.key === '[' || e.key === ']') {
+      const step = e.key === ']' ? 1 : -1;
+      brushRadius = Math.max(MIN_BRUSH_RADIUS, Math.min(MAX_BRUSH_RADIUS, brushRadius + step * 0.5));
+      draw();
+    } else if (e.key === '0') {
+      animateTransformTo({ zoom: 1, panX: 0, panY: 0 });
+    } else if (e.key === 'ArrowLeft') {
+      animateTransformTo({ panX: targetTransform.panX - PAN_STEP });
+    } else if (e.key === 'ArrowRight') {
+      animateTransformTo({ panX: targetTransform.panX + PAN_STEP });
+    } else if (e.key === 'ArrowUp') {
+      animateTransformTo({ panY: targetTransform.panY - PAN_STEP });
+    } else if (e.key === 'ArrowDown') {
+      animateTransformTo({ panY: targetTransform.panY + PAN_STEP });
+    } else {
+      return;
+    }
+    e.preventDefault();
+  }
+
+  /**
+   * Set a new zoom/pan target and ease the displayed transform towards it.
+   */
+  function animateTransformTo(changes) {
+    targetTransform = WallRegion.normalizeContentTransform({ ...targetTransform, ...changes });
+    if (transformAnimationId) return;
+
+    const step = () => {
+      if (!isActive) {
+        transformAnimationId = null;
+        return;
+      }
+      currentTransform = WallRegion.stepContentTransform(currentTransform, targetTransform, TRANSFORM_LERP);
+      notifyUpdate();
+      draw();
+
+      const done = currentTransform.zoom === targetTransform.zoom &&
+        currentTransform.panX === targetTransform.panX &&
+        currentTransform.panY === targetTransform.panY;
+      transformAnimationId = done ? null : requestAnimationFrame(step);
+    };
+    transformAnimationId = requestAnimationFrame(step);
+  }
+
+  /**
+   * Get the region type, content transform and occluders being edited.
+   */
+  function getEditState() {
+    return { regionType, transform: { ...currentTransform }, occluders: JSON.parse(JSON.stringify(occluders)) };
+  }
+
+  /**
+   * Notify the callbacks of a region or transform change.
+   */
+  function notifyUpdate() {
+    if (callbacks && callbacks.onUpdate) {
+      callbacks.onUpdate(currentRegion, getEditState());
     }
   }
 
@@ -747,7 +1313,9 @@
    */
   function handleSave() {
     if (callbacks && callbacks.onSave) {
-      callbacks.onSave(currentRegion);
+      // Save where the animation is heading, not where it happens to be
+      currentTransform = { ...targetTransform };
+      callbacks.onSave(currentRegion, getEditState());
     }
     hide();
   }
@@ -765,9 +1333,11 @@
   /**
    * Show the region editor overlay.
    * @param {Object} region - The region to edit (percentage coordinates)
-   * @param {Object} cbs - Callbacks { onUpdate, onSave, onCancel }
+   * @param {Object} cbs - Callbacks { onUpdate, onSave, onCancel }; onUpdate and onSave also
+   *   receive { regionType, transform, occluders }
+   * @param {Object} [options] - { regionType, transform, occluders } of the wall art being edited
    */
-  function show(region, cbs) {
+  function show(region, cbs, options = {}) {
     if (isActive) {
       hide();
     }
@@ -784,6 +1354,10 @@
 
     // Store state
     currentRegion = JSON.parse(JSON.stringify(region));
+    regionType = options.regionType || 'free';
+    currentTransform = WallRegion.normalizeContentTransform(options.transform);
+    targetTransform = { ...currentTransform };
+    occluders = { strokes: [], auto: false, ...JSON.parse(JSON.stringify(options.occluders || {})) };
     callbacks = cbs;
     isActive = true;
 
@@ -792,6 +1366,9 @@
 
     // Create overlay elements
     createOverlayElements(container);
+    if (!occluders.aspect && canvasElement.height > 0) {
+      occluders.aspect = canvasElement.width / canvasElement.height;
+    }
 
     // Initial draw
     draw();
@@ -809,9 +1386,24 @@
     currentRegion = null;
     callbacks = null;
     draggingCorner = null;
+    draggingVertex = -1;
+    isPainting = false;
+    pointerPoint = null;
+    occluders = null;
+    drawingOccluders = false;
+    selectingWall = false;
+    segmentPoints = [];
+    selectWallLabel = null;
+    if (clickSegmenter) {
+      clickSegmenter.clearFrame();
+    }
     isDraggingRegion = false;
     dragStartPoint = null;
     originalRegion = null;
+    if (transformAnimationId) {
+      window.cancelAnimationFrame(transformAnimationId);
+      transformAnimationId = null;
+    }
 
     // Reset snapping state
     edgeMap = null;
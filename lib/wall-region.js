@@ -3,6 +3,13 @@
  *
  * Utilities for creating, validating, and transforming wall art regions.
  * Regions are defined as 4-corner quadrilaterals with coordinates as percentages (0-100).
+ * A region type can constrain how its corners move, and a content transform
+ * zooms and pans the art shown inside it.
+ *
+ * Polygon and mask regions cover areas a quad can't (an L-shaped wall, the wall
+ * around a door frame, an archway). Their outline or brush strokes live next to
+ * the four corners, which then act as the anchor quad: the plane that gives art
+ * and patterns their perspective.
  */
 
 /**
@@ -17,12 +24,73 @@
  * @property {Point} topRight - Top-right corner
  * @property {Point} bottomLeft - Bottom-left corner
  * @property {Point} bottomRight - Bottom-right corner
+ * @property {Point[]} [polygon] - Outline of a polygon region (3 or more vertices)
+ * @property {RegionMask} [mask] - Brush strokes of a mask region
+ */
+
+/**
+ * @typedef {Object} MaskStroke
+ * @property {Point[]} points - Brush path (percentage coordinates)
+ * @property {number} radius - Brush radius as a percentage of the frame width
+ * @property {boolean} [erase=false] - Whether the stroke removes area instead of adding it
+ */
+
+/**
+ * Brush-painted region area. Strokes apply in order, so an erase only removes what was painted before it.
+ * @typedef {Object} RegionMask
+ * @property {MaskStroke[]} strokes - Brush strokes
+ * @property {number} [aspect=16/9] - Frame width / height the strokes were painted on (keeps brushes round)
+ */
+
+/**
+ * @typedef {'quad' | 'polygon' | 'mask'} RegionShape
  */
 
 /**
  * @typedef {'stretch' | 'fit' | 'crop'} AspectRatioMode
  */
 
+/**
+ * How a region's corners may move:
+ * - free: every corner moves on its own
+ * - trapezoid: left and right edges stay vertical (a wall seen from the side)
+ * - rectangle: edges stay horizontal and vertical (a wall seen head-on)
+ * @typedef {'free' | 'trapezoid' | 'rectangle'} RegionType
+ */
+
+/**
+ * Crop applied to the art inside a region, on top of its aspect ratio mode.
+ * @typedef {Object} ContentTransform
+ * @property {number} zoom - 1 shows all of the art, 2 shows half its width and height
+ * @property {number} panX - Horizontal position of the crop, -1 (left edge) to 1 (right edge)
+ * @property {number} panY - Vertical position of the crop, -1 (top edge) to 1 (bottom edge)
+ */
+
+/**
+ * 3x3 homography in row-major order: [a, b, c, d, e, f, g, h, i].
+ * Maps (u, v) to (x, y) = ((a*u + b*v + c) / w, (d*u + e*v + f) / w) with w = g*u + h*v + i.
+ * @typedef {number[]} Homography
+ */
+
+/** @type {{ FREE: RegionType, TRAPEZOID: RegionType, RECTANGLE: RegionType }} */
+export const REGION_TYPES = {
+  FREE: 'free',
+  TRAPEZOID: 'trapezoid',
+  RECTANGLE: 'rectangle'
+};
+
+// Smallest width/height (percentage) a constrained region can be dragged down to
+export const MIN_REGION_SIZE = 5;
+
+// Fewest vertices a polygon region can be edited down to
+export const MIN_POLYGON_VERTICES = 3;
+
+const DEFAULT_MASK_ASPECT = 16 / 9;
+const QUAD_CORNERS = ['topLeft', 'topRight', 'bottomRight', 'bottomLeft'];
+
+export const MIN_CONTENT_ZOOM = 1;
+export const MAX_CONTENT_ZOOM = 4;
+
 /**
  * Create a default rectangular wall region.
  *
@@ -87,6 +155,15 @@ export function validateRegion(region) {
     }
   }
 
+  if (region.polygon) {
+    if (region.polygon.length < MIN_POLYGON_VERTICES) {
+      errors.push(`Polygon needs at least ${MIN_POLYGON_VERTICES} vertices`);
+    }
+    if (region.polygon.some(p => p.x < 0 || p.x > 100 || p.y < 0 || p.y > 100)) {
+      errors.push('Polygon vertex out of bounds');
+    }
+  }
+
   return { valid: errors.length === 0, errors };
 }
 
@@ -135,14 +212,37 @@ export function regionToPercent(region, canvasWidth, canvasHeight) {
 }
 
 /**
- * Get the bounding box of a region.
+ * Get the bounding box of a region: its polygon outline or painted strokes for shaped
+ * regions, its corners otherwise.
  *
  * @param {WallRegion} region - Region to get bounds for
  * @returns {{ minX: number, minY: number, maxX: number, maxY: number, width: number, height: number }}
  */
 export function getRegionBounds(region) {
-  const xs = [region.topLeft.x, region.topRight.x, region.bottomLeft.x, region.bottomRight.x];
-  const ys = [region.topLeft.y, region.topRight.y, region.bottomLeft.y, region.bottomRight.y];
+  if (region.polygon) {
+    return getPointBounds(region.polygon);
+  }
+
+  if (region.mask) {
+    const aspect = region.mask.aspect || DEFAULT_MASK_ASPECT;
+    const extents = region.mask.strokes.filter(stroke => !stroke.erase).flatMap(stroke =>
+      stroke.points.flatMap(p => [
+        { x: p.x - stroke.radius, y: p.y - stroke.radius * aspect },
+        { x: p.x + stroke.radius, y: p.y + stroke.radius * aspect }
+      ])
+    );
+    if (extents.length > 0) {
+      const bounds = getPointBounds(extents.map(p => ({ x: clampPercent(p.x), y: clampPercent(p.y) })));
+      return bounds;
+    }
+  }
+
+  return getPointBounds(QUAD_CORNERS.map(corner => region[corner]));
+}
+
+function getPointBounds(points) {
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
 
   const minX = Math.min(...xs);
   const maxX = Math.max(...xs);
@@ -159,22 +259,174 @@ export function getRegionBounds(region) {
   };
 }
 
+/**
+ * Get the integer pixel bounding box of a quad, clamped to the canvas.
+ *
+ * @param {WallRegion} quad - Quad with pixel coordinates
+ * @param {number} canvasWidth - Canvas width in pixels
+ * @param {number} canvasHeight - Canvas height in pixels
+ * @returns {{ x: number, y: number, width: number, height: number }|null} Null when the quad is off-canvas
+ */
+export function getPixelBounds(quad, canvasWidth, canvasHeight) {
+  const bounds = getRegionBounds(quad);
+
+  const x = Math.max(0, Math.floor(bounds.minX));
+  const y = Math.max(0, Math.floor(bounds.minY));
+  const maxX = Math.min(canvasWidth, Math.ceil(bounds.maxX));
+  const maxY = Math.min(canvasHeight, Math.ceil(bounds.maxY));
+
+  if (maxX <= x || maxY <= y) return null;
+
+  return { x, y, width: maxX - x, height: maxY - y };
+}
+
+/**
+ * Compute the homography that maps the unit square onto a quadrilateral.
+ * (0,0) -> topLeft, (1,0) -> topRight, (1,1) -> bottomRight, (0,1) -> bottomLeft.
+ * Shared by the WebGL and Canvas2D renderers so both place every texel identically.
+ *
+ * @param {WallRegion} quad - Quadrilateral in any units (percent or pixels)
+ * @returns {Homography}
+ */
+export function computeQuadHomography(quad) {
+  const x0 = quad.topLeft.x, y0 = quad.topLeft.y;         // (0,0)
+  const x1 = quad.topRight.x, y1 = quad.topRight.y;       // (1,0)
+  const x2 = quad.bottomRight.x, y2 = quad.bottomRight.y; // (1,1)
+  const x3 = quad.bottomLeft.x, y3 = quad.bottomLeft.y;   // (0,1)
+
+  const dx1 = x1 - x2;
+  const dx2 = x3 - x2;
+  const dx3 = x0 - x1 + x2 - x3;
+  const dy1 = y1 - y2;
+  const dy2 = y3 - y2;
+  const dy3 = y0 - y1 + y2 - y3;
+
+  let g = 0;
+  let h = 0;
+
+  // Parallelograms are affine (dx3 = dy3 = 0), everything else needs g/h
+  if (Math.abs(dx3) > 1e-10 || Math.abs(dy3) > 1e-10) {
+    const det = dx1 * dy2 - dx2 * dy1;
+    if (Math.abs(det) < 1e-10) {
+      // Degenerate quad (three collinear corners) - fall back to affine
+      g = 0;
+      h = 0;
+    } else {
+      g = (dx3 * dy2 - dx2 * dy3) / det;
+      h = (dx1 * dy3 - dx3 * dy1) / det;
+    }
+  }
+
+  return [
+    x1 - x0 + g * x1, x3 - x0 + h * x3, x0,
+    y1 - y0 + g * y1, y3 - y0 + h * y3, y0,
+    g, h, 1
+  ];
+}
+
+/**
+ * Invert a homography.
+ *
+ * @param {Homography} matrix - Homography to invert
+ * @returns {Homography|null} Inverse normalized so the last element is 1, or null if singular
+ */
+export function invertHomography(matrix) {
+  const [a, b, c, d, e, f, g, h, i] = matrix;
+
+  // Cofactors of the first column give the determinant
+  const A = e * i - f * h;
+  const B = f * g - d * i;
+  const C = d * h - e * g;
+  const det = a * A + b * B + c * C;
+
+  if (Math.abs(det) < 1e-12) return null;
+
+  // Adjugate (transposed cofactor matrix) divided by the determinant
+  const inverse = [
+    A, c * h - b * i, b * f - c * e,
+    B, a * i - c * g, c * d - a * f,
+    C, b * g - a * h, a * e - b * d
+  ].map(value => value / det);
+
+  const scale = inverse[8];
+  return Math.abs(scale) > 1e-12 ? inverse.map(value => value / scale) : inverse;
+}
+
+/**
+ * Compute the homography that maps a quadrilateral back onto the unit square.
+ * Used for inverse-mapped sampling: every destination pixel looks up its (u, v).
+ *
+ * @param {WallRegion} quad - Quadrilateral in any units (percent or pixels)
+ * @returns {Homography|null} Null for degenerate (zero-area) quads
+ */
+export function computeInverseQuadHomography(quad) {
+  return invertHomography(computeQuadHomography(quad));
+}
+
+/**
+ * Map a point through a homography.
+ *
+ * @param {Homography} matrix - Homography to apply
+ * @param {number} x - Input X (u when mapping from the unit square)
+ * @param {number} y - Input Y (v when mapping from the unit square)
+ * @returns {{ x: number, y: number }}
+ */
+export function applyHomography(matrix, x, y) {
+  const w = matrix[6] * x + matrix[7] * y + matrix[8];
+  return {
+    x: (matrix[0] * x + matrix[1] * y + matrix[2]) / w,
+    y: (matrix[3] * x + matrix[4] * y + matrix[5]) / w
+  };
+}
+
+/**
+ * Resample an image taken at a reference camera pose into the current view:
+ * calls visit for every pixel of the view (or of a window into it) with the
+ * reference pixel that shows the same spot, nearest neighbour.
+ *
+ * @param {{ width: number, height: number }} reference - Size of the reference image
+ * @param {Homography|null} pose - Percent-space homography from the reference to the current view
+ * @param {number} width - View width
+ * @param {number} height - View height
+ * @param {(index: number, referenceIndex: number) => void} visit - Called with the pixel's
+ *   index in the output (row-major over the window) and its reference pixel index, or -1
+ *   when the spot falls outside the reference
+ * @param {{ x: number, y: number, width: number, height: number }} [bounds] - Window of
+ *   the view to resample, in pixels (defaults to the whole view)
+ */
+export function resampleThroughPose(reference, pose, width, height, visit, bounds = { x: 0, y: 0, width, height }) {
+  const inverse = pose ? invertHomography(pose) : null;
+
+  for (let y = 0; y < bounds.height; y++) {
+    const py = ((bounds.y + y + 0.5) / height) * 100;
+    for (let x = 0; x < bounds.width; x++) {
+      const px = ((bounds.x + x + 0.5) / width) * 100;
+      const point = inverse ? applyHomography(inverse, px, py) : { x: px, y: py };
+      const rx = Math.floor((point.x / 100) * reference.width);
+      const ry = Math.floor((point.y / 100) * reference.height);
+      const inside = rx >= 0 && rx < reference.width && ry >= 0 && ry < reference.height;
+      visit(y * bounds.width + x, inside ? ry * reference.width + rx : -1);
+    }
+  }
+}
+
 /**
  * Check if a point is inside a region.
- * Uses ray casting algorithm for arbitrary quadrilaterals.
+ * Uses ray casting for quads and polygons; mask regions replay their brush strokes.
  *
  * @param {Point} point - Point to test
  * @param {WallRegion} region - Region to test against
  * @returns {boolean}
  */
 export function isPointInRegion(point, region) {
-  const polygon = [
-    region.topLeft,
-    region.topRight,
-    region.bottomRight,
-    region.bottomLeft
-  ];
+  if (region.mask) {
+    return isPointInMask(point, region.mask);
+  }
 
+  return isPointInPolygon(point, getRegionOutline(region));
+}
+
+function isPointInPolygon(point, polygon) {
   let inside = false;
   const n = polygon.length;
 
@@ -193,6 +445,287 @@ export function isPointInRegion(point, region) {
   return inside;
 }
 
+function isPointInMask(point, mask) {
+  // Measure in frame-width units so the brush is round on the real frame
+  const aspect = mask.aspect || DEFAULT_MASK_ASPECT;
+  const px = point.x;
+  const py = point.y / aspect;
+  let inside = false;
+
+  for (const stroke of mask.strokes) {
+    const points = stroke.points;
+    let touches = false;
+    for (let i = 0; i < points.length && !touches; i++) {
+      const a = points[i];
+      const b = points[Math.min(i + 1, points.length - 1)];
+      touches = distanceToSegment(px, py, a.x, a.y / aspect, b.x, b.y / aspect) <= stroke.radius;
+    }
+    if (touches) inside = !stroke.erase;
+  }
+
+  return inside;
+}
+
+function distanceToSegment(px, py, ax, ay, bx, by) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+/**
+ * Which kind of area a region covers.
+ *
+ * @param {WallRegion} region - Region to check
+ * @returns {RegionShape}
+ */
+export function getRegionShape(region) {
+  if (region.polygon) return 'polygon';
+  if (region.mask) return 'mask';
+  return 'quad';
+}
+
+/**
+ * Outline of a quad or polygon region, in drawing order.
+ *
+ * @param {WallRegion} region - Region to outline
+ * @returns {Point[]} Polygon vertices (the four corners for quads and mask regions)
+ */
+export function getRegionOutline(region) {
+  return region.polygon || QUAD_CORNERS.map(corner => region[corner]);
+}
+
+/**
+ * Turn a region into a polygon region, starting from its corners. The corners stay as its anchor quad.
+ *
+ * @param {WallRegion} region - Region to convert
+ * @param {Point[]} [points] - Polygon vertices (defaults to the region's corners)
+ * @returns {WallRegion}
+ */
+export function toPolygonRegion(region, points) {
+  const { mask: _mask, ...quad } = region;
+  return { ...quad, polygon: (points || getRegionOutline(region)).map(p => ({ x: p.x, y: p.y })) };
+}
+
+/**
+ * Turn a region into a brush mask region with no strokes yet. The corners stay as its anchor quad.
+ *
+ * @param {WallRegion} region - Region to convert
+ * @param {number} [aspect=16/9] - Frame width / height the mask will be painted on
+ * @returns {WallRegion}
+ */
+export function toMaskRegion(region, aspect = DEFAULT_MASK_ASPECT) {
+  const { polygon: _polygon, ...quad } = region;
+  return { ...quad, mask: { strokes: [], aspect } };
+}
+
+/**
+ * Drop a region's polygon or mask, leaving its anchor quad.
+ *
+ * @param {WallRegion} region - Region to convert
+ * @returns {WallRegion}
+ */
+export function toQuadRegion(region) {
+  const { polygon: _polygon, mask: _mask, ...quad } = region;
+  return quad;
+}
+
+/**
+ * Find the polygon vertex at a given point.
+ *
+ * @param {Point} point - Point to test
+ * @param {WallRegion} region - Polygon region
+ * @param {number} [threshold=3] - Distance threshold (percentage)
+ * @returns {number} Vertex index, or -1
+ */
+export function findVertexAtPoint(point, region, threshold = 3) {
+  if (!region.polygon) return -1;
+  return region.polygon.findIndex(p => Math.hypot(point.x - p.x, point.y - p.y) <= threshold);
+}
+
+/**
+ * Move a polygon vertex.
+ *
+ * @param {WallRegion} region - Polygon region
+ * @param {number} index - Vertex index
+ * @param {Point} newPosition - New position (clamped to the frame)
+ * @returns {WallRegion} New region
+ */
+export function moveVertex(region, index, newPosition) {
+  const polygon = region.polygon.slice();
+  polygon[index] = { x: clampPercent(newPosition.x), y: clampPercent(newPosition.y) };
+  return { ...region, polygon };
+}
+
+/**
+ * Add a vertex to a polygon on the edge closest to the point.
+ *
+ * @param {WallRegion} region - Polygon region
+ * @param {Point} point - Where to add the vertex
+ * @returns {{ region: WallRegion, index: number }} New region and the new vertex's index
+ */
+export function insertVertex(region, point) {
+  const polygon = region.polygon;
+  let bestEdge = 0;
+  let bestDistance = Infinity;
+
+  for (let i = 0; i < polygon.length; i++) {
+    const a = polygon[i];
+    const b = polygon[(i + 1) % polygon.length];
+    const distance = distanceToSegment(point.x, point.y, a.x, a.y, b.x, b.y);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      bestEdge = i;
+    }
+  }
+
+  const index = bestEdge + 1;
+  const vertex = { x: clampPercent(point.x), y: clampPercent(point.y) };
+  return {
+    region: { ...region, polygon: [...polygon.slice(0, index), vertex, ...polygon.slice(index)] },
+    index
+  };
+}
+
+/**
+ * Remove a polygon vertex (polygons keep at least MIN_POLYGON_VERTICES).
+ *
+ * @param {WallRegion} region - Polygon region
+ * @param {number} index - Vertex index
+ * @returns {WallRegion} New region (unchanged if the polygon is already minimal)
+ */
+export function removeVertex(region, index) {
+  if (!region.polygon || region.polygon.length <= MIN_POLYGON_VERTICES) return region;
+  return { ...region, polygon: region.polygon.filter((_, i) => i !== index) };
+}
+
+/**
+ * Add a brush stroke to a mask region.
+ *
+ * @param {WallRegion} region - Mask region
+ * @param {MaskStroke} stroke - Stroke to add
+ * @returns {WallRegion} New region
+ */
+export function addMaskStroke(region, stroke) {
+  return { ...region, mask: { ...region.mask, strokes: [...region.mask.strokes, stroke] } };
+}
+
+/**
+ * Get the smallest quad, in the anchor quad's perspective, that covers a region's polygon
+ * or mask. Art and patterns are mapped onto it, then cut to the shape. Quads cover themselves.
+ *
+ * @param {WallRegion} region - Region to cover
+ * @returns {WallRegion} Plain 4-corner quad
+ */
+export function getCoverQuad(region) {
+  const anchor = toQuadRegion(region);
+  if (!region.polygon && !region.mask) return anchor;
+
+  const bounds = getRegionBounds(region);
+  const points = region.polygon || [
+    { x: bounds.minX, y: bounds.minY },
+    { x: bounds.maxX, y: bounds.minY },
+    { x: bounds.maxX, y: bounds.maxY },
+    { x: bounds.minX, y: bounds.maxY }
+  ];
+
+  // Find the shape in the anchor's own (u, v) plane
+  const toPlane = computeInverseQuadHomography(anchor);
+  const flatCover = () => createDefaultRegion(bounds.minX, bounds.minY, bounds.width, bounds.height);
+  if (!toPlane) return flatCover();
+
+  const plane = [];
+  for (const p of points) {
+    const w = toPlane[6] * p.x + toPlane[7] * p.y + toPlane[8];
+    // Part of the shape lies beyond the anchor's horizon: fall back to a flat box
+    if (!(w > 1e-9)) return flatCover();
+    plane.push(applyHomography(toPlane, p.x, p.y));
+  }
+
+  const us = plane.map(p => p.x);
+  const vs = plane.map(p => p.y);
+  const minU = Math.min(...us);
+  const maxU = Math.max(...us);
+  const minV = Math.min(...vs);
+  const maxV = Math.max(...vs);
+
+  const toFrame = computeQuadHomography(anchor);
+  return {
+    topLeft: applyHomography(toFrame, minU, minV),
+    topRight: applyHomography(toFrame, maxU, minV),
+    bottomLeft: applyHomography(toFrame, minU, maxV),
+    bottomRight: applyHomography(toFrame, maxU, maxV)
+  };
+}
+
+/**
+ * Fill a region's area with opaque white on a canvas (for cutting layers to the region).
+ *
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Cleared canvas context
+ * @param {WallRegion} region - Region (percentage coordinates)
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ */
+export function fillRegionArea(ctx, region, canvasWidth, canvasHeight) {
+  ctx.save();
+
+  if (region.mask) {
+    drawMaskStrokes(ctx, region.mask, canvasWidth, canvasHeight, '#ffffff');
+  } else {
+    ctx.fillStyle = '#ffffff';
+    tracePolygon(ctx, getRegionOutline(region), canvasWidth, canvasHeight);
+    ctx.fill();
+  }
+
+  ctx.restore();
+}
+
+/**
+ * Trace a closed polygon as the context's current path.
+ *
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Canvas context
+ * @param {Point[]} points - Vertices (percentage coordinates, or pixels without a canvas size)
+ * @param {number} [canvasWidth] - Canvas width
+ * @param {number} [canvasHeight] - Canvas height
+ */
+export function tracePolygon(ctx, points, canvasWidth, canvasHeight) {
+  ctx.beginPath();
+  points.forEach((p, i) => {
+    const x = canvasWidth ? (p.x / 100) * canvasWidth : p.x;
+    const y = canvasHeight ? (p.y / 100) * canvasHeight : p.y;
+    if (i === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  });
+  ctx.closePath();
+}
+
+function drawMaskStrokes(ctx, mask, canvasWidth, canvasHeight, color) {
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+
+  for (const stroke of mask.strokes) {
+    ctx.globalCompositeOperation = stroke.erase ? 'destination-out' : 'source-over';
+    ctx.lineWidth = (stroke.radius / 100) * canvasWidth * 2;
+    ctx.beginPath();
+    stroke.points.forEach((p, i) => {
+      const x = (p.x / 100) * canvasWidth;
+      const y = (p.y / 100) * canvasHeight;
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    // A single dab still needs a segment to get round caps
+    if (stroke.points.length === 1) {
+      ctx.lineTo((stroke.points[0].x / 100) * canvasWidth + 0.01, (stroke.points[0].y / 100) * canvasHeight);
+    }
+    ctx.stroke();
+  }
+
+  ctx.restore();
+}
+
 /**
  * Find which corner handle is at a given point.
  *
@@ -220,26 +753,175 @@ export function findCornerAtPoint(point, region, threshold = 3) {
 }
 
 /**
- * Move a corner of the region to a new position.
+ * Move a corner of the region to a new position, keeping the shape its region type requires.
+ *
+ * Trapezoids move the corner's vertical edge partner sideways with it; rectangles move both
+ * neighbouring corners and keep the opposite corner fixed. Constrained shapes can't be
+ * dragged inside out or smaller than MIN_REGION_SIZE.
  *
  * @param {WallRegion} region - Original region
  * @param {string} corner - Corner name to move
  * @param {Point} newPosition - New position for the corner
+ * @param {RegionType} [type='free'] - Region type
  * @returns {WallRegion} New region with moved corner
  */
-export function moveCorner(region, corner, newPosition) {
+export function moveCorner(region, corner, newPosition, type = REGION_TYPES.FREE) {
   // Clamp position to valid range
   const clampedPosition = {
-    x: Math.max(0, Math.min(100, newPosition.x)),
-    y: Math.max(0, Math.min(100, newPosition.y))
+    x: clampPercent(newPosition.x),
+    y: clampPercent(newPosition.y)
   };
 
+  const isLeft = corner === 'topLeft' || corner === 'bottomLeft';
+  const isTop = corner === 'topLeft' || corner === 'topRight';
+
+  if (type === REGION_TYPES.TRAPEZOID) {
+    const partner = VERTICAL_PARTNERS[corner];
+    const otherEdge = isLeft
+      ? Math.min(region.topRight.x, region.bottomRight.x)
+      : Math.max(region.topLeft.x, region.bottomLeft.x);
+    const x = clampPercent(isLeft
+      ? Math.min(clampedPosition.x, otherEdge - MIN_REGION_SIZE)
+      : Math.max(clampedPosition.x, otherEdge + MIN_REGION_SIZE));
+    const y = clampPercent(isTop
+      ? Math.min(clampedPosition.y, region[partner].y - MIN_REGION_SIZE)
+      : Math.max(clampedPosition.y, region[partner].y + MIN_REGION_SIZE));
+
+    return {
+      ...region,
+      [corner]: { x, y },
+      [partner]: { x, y: region[partner].y }
+    };
+  }
+
+  if (type === REGION_TYPES.RECTANGLE) {
+    const anchor = region[OPPOSITE_CORNERS[corner]];
+    const x = clampPercent(isLeft
+      ? Math.min(clampedPosition.x, anchor.x - MIN_REGION_SIZE)
+      : Math.max(clampedPosition.x, anchor.x + MIN_REGION_SIZE));
+    const y = clampPercent(isTop
+      ? Math.min(clampedPosition.y, anchor.y - MIN_REGION_SIZE)
+      : Math.max(clampedPosition.y, anchor.y + MIN_REGION_SIZE));
+
+    return {
+      ...region,
+      ...createDefaultRegion(
+        Math.min(x, anchor.x),
+        Math.min(y, anchor.y),
+        Math.abs(anchor.x - x),
+        Math.abs(anchor.y - y)
+      )
+    };
+  }
+
   return {
     ...region,
     [corner]: clampedPosition
   };
 }
 
+/**
+ * Reshape a region to satisfy a region type (used when the type is switched).
+ * Trapezoids get vertical edges at the average x of each side; rectangles become
+ * the region's bounding box.
+ *
+ * @param {WallRegion} region - Region to reshape
+ * @param {RegionType} type - Region type to satisfy
+ * @returns {WallRegion} Reshaped region
+ */
+export function constrainRegion(region, type) {
+  if (type === REGION_TYPES.TRAPEZOID) {
+    const left = (region.topLeft.x + region.bottomLeft.x) / 2;
+    const right = (region.topRight.x + region.bottomRight.x) / 2;
+    return {
+      ...region,
+      topLeft: { x: left, y: region.topLeft.y },
+      topRight: { x: right, y: region.topRight.y },
+      bottomLeft: { x: left, y: region.bottomLeft.y },
+      bottomRight: { x: right, y: region.bottomRight.y }
+    };
+  }
+
+  if (type === REGION_TYPES.RECTANGLE) {
+    const bounds = getPointBounds(QUAD_CORNERS.map(corner => region[corner]));
+    return { ...region, ...createDefaultRegion(bounds.minX, bounds.minY, bounds.width, bounds.height) };
+  }
+
+  return region;
+}
+
+const VERTICAL_PARTNERS = {
+  topLeft: 'bottomLeft',
+  bottomLeft: 'topLeft',
+  topRight: 'bottomRight',
+  bottomRight: 'topRight'
+};
+
+const OPPOSITE_CORNERS = {
+  topLeft: 'bottomRight',
+  topRight: 'bottomLeft',
+  bottomLeft: 'topRight',
+  bottomRight: 'topLeft'
+};
+
+function clampPercent(value) {
+  return Math.max(0, Math.min(100, value));
+}
+
+/**
+ * Fill in and clamp a region's content transform.
+ *
+ * @param {Partial<ContentTransform>|null} [transform] - Stored transform (missing = identity)
+ * @returns {ContentTransform}
+ */
+export function normalizeContentTransform(transform) {
+  const { zoom = 1, panX = 0, panY = 0 } = transform || {};
+  return {
+    zoom: Math.max(MIN_CONTENT_ZOOM, Math.min(MAX_CONTENT_ZOOM, zoom)),
+    panX: Math.max(-1, Math.min(1, panX)),
+    panY: Math.max(-1, Math.min(1, panY))
+  };
+}
+
+/**
+ * Apply a content transform to the source rectangle chosen by the aspect ratio mode.
+ * Panning moves the zoomed crop within that rectangle, so it never shows past the art's edges.
+ *
+ * @param {{ x: number, y: number, width: number, height: number }} rect - Source rectangle in pixels
+ * @param {Partial<ContentTransform>|null} [transform] - Content transform
+ * @returns {{ x: number, y: number, width: number, height: number }} Cropped source rectangle
+ */
+export function applyContentTransform(rect, transform) {
+  const { zoom, panX, panY } = normalizeContentTransform(transform);
+  if (zoom === 1) return rect;
+
+  const width = rect.width / zoom;
+  const height = rect.height / zoom;
+  return {
+    x: rect.x + ((rect.width - width) / 2) * (1 + panX),
+    y: rect.y + ((rect.height - height) / 2) * (1 + panY),
+    width,
+    height
+  };
+}
+
+/**
+ * Step a content transform towards a target (for animated zoom and pan).
+ *
+ * @param {ContentTransform} current - Current transform
+ * @param {ContentTransform} target - Target transform
+ * @param {number} t - Fraction of the remaining distance to cover (0-1)
+ * @returns {ContentTransform} New transform, snapped to the target once within 0.001
+ */
+export function stepContentTransform(current, target, t) {
+  const step = (from, to) => (Math.abs(to - from) < 0.001 ? to : from + (to - from) * t);
+  return {
+    zoom: step(current.zoom, target.zoom),
+    panX: step(current.panX, target.panX),
+    panY: step(current.panY, target.panY)
+  };
+}
+
 /**
  * Move the entire region by a delta.
  *
@@ -249,7 +931,15 @@ export function moveCorner(region, corner, newPosition) {
  * @returns {WallRegion} New region with moved position
  */
 export function moveRegion(region, deltaX, deltaY) {
-  const bounds = getRegionBounds(region);
+  // The anchor quad travels with a polygon or mask, so both have to stay on screen
+  const shape = getRegionBounds(region);
+  const quad = getPointBounds(QUAD_CORNERS.map(corner => region[corner]));
+  const bounds = {
+    minX: Math.min(shape.minX, quad.minX),
+    maxX: Math.max(shape.maxX, quad.maxX),
+    minY: Math.min(shape.minY, quad.minY),
+    maxY: Math.max(shape.maxY, quad.maxY)
+  };
 
   // Clamp movement to keep region in bounds
   let clampedDeltaX = deltaX;
@@ -265,12 +955,23 @@ export function moveRegion(region, deltaX, deltaY) {
     y: point.y + clampedDeltaY
   });
 
-  return {
+  const moved = {
+    ...region,
     topLeft: movePoint(region.topLeft),
     topRight: movePoint(region.topRight),
     bottomLeft: movePoint(region.bottomLeft),
     bottomRight: movePoint(region.bottomRight)
   };
+  if (region.polygon) {
+    moved.polygon = region.polygon.map(movePoint);
+  }
+  if (region.mask) {
+    moved.mask = {
+      ...region.mask,
+      strokes: region.mask.strokes.map(stroke => ({ ...stroke, points: stroke.points.map(movePoint) }))
+    };
+  }
+  return moved;
 }
 
 /**
@@ -300,6 +1001,24 @@ export function drawRegion(ctx, region, canvasWidth, canvasHeight, options = {})
 
   ctx.save();
 
+  if (region.mask) {
+    // Painted area on its own layer (erase strokes must not cut into the canvas), with the anchor quad dashed around it
+    const layer = new OffscreenCanvas(canvasWidth, canvasHeight);
+    drawMaskStrokes(layer.getContext('2d'), region.mask, canvasWidth, canvasHeight, strokeColor);
+    ctx.globalAlpha = 0.35;
+    ctx.drawImage(layer, 0, 0);
+    ctx.globalAlpha = 1;
+    ctx.setLineDash([6, 4]);
+  } else if (region.polygon) {
+    ctx.fillStyle = fillColor;
+    ctx.strokeStyle = strokeColor;
+    ctx.lineWidth = lineWidth;
+    tracePolygon(ctx, region.polygon, canvasWidth, canvasHeight);
+    ctx.fill();
+    ctx.stroke();
+    ctx.setLineDash([6, 4]);
+  }
+
   // Draw filled region
   ctx.fillStyle = fillColor;
   ctx.beginPath();
@@ -308,12 +1027,13 @@ export function drawRegion(ctx, region, canvasWidth, canvasHeight, options = {})
   ctx.lineTo(pixelRegion.bottomRight.x, pixelRegion.bottomRight.y);
   ctx.lineTo(pixelRegion.bottomLeft.x, pixelRegion.bottomLeft.y);
   ctx.closePath();
-  ctx.fill();
+  if (!region.polygon && !region.mask) ctx.fill();
 
   // Draw outline
   ctx.strokeStyle = strokeColor;
   ctx.lineWidth = lineWidth;
   ctx.stroke();
+  ctx.setLineDash([]);
 
   // Draw corner handles
   if (showHandles) {
@@ -336,6 +1056,18 @@ export function drawRegion(ctx, region, canvasWidth, canvasHeight, options = {})
     }
   }
 
+  // Draw polygon vertex handles
+  if (showHandles && region.polygon) {
+    for (const vertex of region.polygon) {
+      const x = (vertex.x / 100) * canvasWidth;
+      const y = (vertex.y / 100) * canvasHeight;
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(x - handleRadius * 0.6 - 2, y - handleRadius * 0.6 - 2, handleRadius * 1.2 + 4, handleRadius * 1.2 + 4);
+      ctx.fillStyle = strokeColor;
+      ctx.fillRect(x - handleRadius * 0.6, y - handleRadius * 0.6, handleRadius * 1.2, handleRadius * 1.2);
+    }
+  }
+
   ctx.restore();
 }
 
@@ -360,13 +1092,12 @@ export function getRegionCenter(region) {
  * @returns {number} Area in percentage squared
  */
 export function getRegionArea(region) {
-  // Use shoelace formula for arbitrary quadrilateral
-  const points = [
-    region.topLeft,
-    region.topRight,
-    region.bottomRight,
-    region.bottomLeft
-  ];
+  if (region.mask) {
+    return getMaskArea(region);
+  }
+
+  // Use shoelace formula for the quadrilateral or polygon
+  const points = getRegionOutline(region);
 
   let area = 0;
   const n = points.length;
@@ -380,12 +1111,28 @@ export function getRegionArea(region) {
   return Math.abs(area) / 2;
 }
 
+// Painted masks have no closed form, so count covered cells on a fine grid
+function getMaskArea(region) {
+  const step = 0.5;
+  const bounds = getRegionBounds(region);
+  let covered = 0;
+
+  for (let y = bounds.minY + step / 2; y < bounds.maxY; y += step) {
+    for (let x = bounds.minX + step / 2; x < bounds.maxX; x += step) {
+      if (isPointInMask({ x, y }, region.mask)) covered++;
+    }
+  }
+
+  return covered * step * step;
+}
+
 /**
  * Create a WallArtOverlay object with the given region.
  *
  * @param {WallRegion} region - Region for the overlay
  * @param {Object} [options] - Additional options
  * @param {string} [options.name] - Name for the overlay
+ * @param {RegionType} [options.regionType='free'] - How the region's corners may move
  * @returns {Object} WallArtOverlay object
  */
 export function createWallArtOverlay(region, options = {}) {
@@ -396,6 +1143,8 @@ export function createWallArtOverlay(region, options = {}) {
     type: 'wallArt',
     name: options.name || 'Wall Art Region',
     region,
+    regionType: options.regionType || REGION_TYPES.FREE,
+    transform: { zoom: 1, panX: 0, panY: 0 },
     paint: null,
     art: null,
     active: true,
@@ -407,14 +1156,38 @@ export function createWallArtOverlay(region, options = {}) {
 // Export for use in inject.js (non-module context)
 if (typeof window !== 'undefined') {
   window.WallRegion = {
+    REGION_TYPES,
+    MIN_REGION_SIZE,
+    MIN_POLYGON_VERTICES,
     createDefaultRegion,
     validateRegion,
     regionToPixels,
     regionToPercent,
     getRegionBounds,
+    getPixelBounds,
+    computeQuadHomography,
+    invertHomography,
+    computeInverseQuadHomography,
+    applyHomography,
     isPointInRegion,
+    getRegionShape,
+    getRegionOutline,
+    toPolygonRegion,
+    toMaskRegion,
+    toQuadRegion,
+    findVertexAtPoint,
+    moveVertex,
+    insertVertex,
+    removeVertex,
+    addMaskStroke,
+    getCoverQuad,
+    fillRegionArea,
     findCornerAtPoint,
     moveCorner,
+    constrainRegion,
+    normalizeContentTransform,
+    applyContentTransform,
+    stepContentTransform,
     moveRegion,
     drawRegion,
     getRegionCenter,
@@ -9,8 +9,12 @@
  * - Multi-person support (all people in frame)
  * - Mask caching for performance
  * - Configurable segmentation frequency
+ * - Mask stabilization: temporal filtering against edge flicker, and motion
+ *   compensation so the cached mask follows movement on skipped frames
  */
 
+import { MaskStabilizer, STABILIZATION_MODES, FLOW_WIDTH, toGrayscale } from './mask-stabilizer.js';
+
 // CDN paths for WASM and models
 const MEDIAPIPE_WASM_CDN = 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.21/wasm';
 
@@ -71,6 +75,14 @@ export class WallArtSegmenter {
     // Average mask for interpolation (built during setup phase)
     this._averageMask = null;
 
+    // Mask stabilization (runs at the model's mask resolution)
+    this._stabilizer = new MaskStabilizer({ mode: options.stabilization || STABILIZATION_MODES.MOTION });
+    this._stabilizedWidth = 0;
+    this._stabilizedHeight = 0;
+    this._motionCanvas = null;
+    this._rawObservation = null;  // Last segmentation as-is, for debug views
+    this._rawMask = null;
+
     // Performance tracking
     this._lastSegmentationTime = 0;
     this._segmentationTimes = [];
@@ -108,6 +120,30 @@ export class WallArtSegmenter {
     return this._preset;
   }
 
+  /**
+   * Get the current mask stabilization mode.
+   */
+  get stabilization() {
+    return this._stabilizer.mode;
+  }
+
+  /**
+   * Get stabilization stats for the last frame.
+   * @returns {{mode: string, changed: number, motion: number}} Share of mask pixels that
+   *   switched (0-1), and mean optical flow magnitude (flow pixels)
+   */
+  get stabilizationStats() {
+    const flow = this._stabilizer.lastFlow;
+    let motion = 0;
+    if (flow) {
+      for (let i = 0; i < flow.dx.length; i++) {
+        motion += Math.hypot(flow.dx[i], flow.dy[i]);
+      }
+      motion /= flow.dx.length;
+    }
+    return { mode: this._stabilizer.mode, changed: this._stabilizer.lastChange, motion };
+  }
+
   /**
    * Get average segmentation time in ms.
    */
@@ -129,6 +165,17 @@ export class WallArtSegmenter {
     }
   }
 
+  /**
+   * Set the mask stabilization mode.
+   * @param {string} mode - 'off', 'temporal', or 'motion'
+   */
+  setStabilization(mode) {
+    if (Object.values(STABILIZATION_MODES).includes(mode)) {
+      this._stabilizer.setMode(mode);
+      console.log(`[WallArtSegmenter] Stabilization changed to: ${mode}`);
+    }
+  }
+
   /**
    * Initialize the segmentation model.
    * This is called lazily on first segment() call, or can be called explicitly.
@@ -236,7 +283,16 @@ export class WallArtSegmenter {
                        this._config.skipFrames > 0 &&
                        (this._frameCount % (this._config.skipFrames + 1)) !== 0;
 
+    // Every frame feeds the optical flow, so skipped frames can follow motion
+    const motion = this._stabilizer.needsMotion ? this._captureMotionFrame(source) : null;
+
     if (shouldSkip && this._cachedMask) {
+      if (motion && this._rawObservation) {
+        const person = this._stabilizer.update(null, this._stabilizedWidth, this._stabilizedHeight, motion);
+        if (person && this._stabilizer.lastChange > 0) {
+          this._cachedMask = this._personToImageData(person, this._stabilizedWidth, this._stabilizedHeight, source);
+        }
+      }
       return { mask: this._cachedMask, fromCache: true, skipped: true };
     }
 
@@ -252,7 +308,7 @@ export class WallArtSegmenter {
       const result = await this._runSegmentation(source);
 
       // Convert result to ImageData mask
-      const mask = this._convertResultToImageData(result, source);
+      const mask = this._convertResultToImageData(result, source, motion);
 
       // Update cache
       this._cachedMask = mask;
@@ -290,19 +346,47 @@ export class WallArtSegmenter {
   }
 
   /**
-   * Convert MediaPipe segmentation result to RGBA ImageData.
-   * Category mask has 0=background, 1=person.
+   * Draw a small grayscale copy of the frame for optical flow.
    *
-   * @param {Object} result - MediaPipe segmentation result
-   * @param {HTMLVideoElement|HTMLCanvasElement} source - Original source for dimensions
-   * @returns {ImageData} Person mask as ImageData
+   * @param {HTMLVideoElement|HTMLCanvasElement} source - Video frame
+   * @returns {{gray: Uint8Array, width: number, height: number}|null}
    */
-  _convertResultToImageData(result, source) {
-    // Get dimensions - handle both video and canvas elements
-    const width = /** @type {HTMLVideoElement} */ (source).videoWidth || source.width;
-    const height = /** @type {HTMLVideoElement} */ (source).videoHeight || source.height;
+  _captureMotionFrame(source) {
+    const { width: sourceWidth, height: sourceHeight } = this._getSourceSize(source);
+    if (!sourceWidth || !sourceHeight) return null;
+
+    const width = FLOW_WIDTH;
+    const height = Math.max(1, Math.round(FLOW_WIDTH * sourceHeight / sourceWidth));
+    if (!this._motionCanvas || this._motionCanvas.width !== width || this._motionCanvas.height !== height) {
+      this._motionCanvas = new OffscreenCanvas(width, height);
+    }
 
-    // Ensure we have a canvas for mask operations
+    const ctx = this._motionCanvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(source, 0, 0, width, height);
+    return { gray: toGrayscale(ctx.getImageData(0, 0, width, height)), width, height };
+  }
+
+  /**
+   * Get frame dimensions - handles both video and canvas elements.
+   *
+   * @param {HTMLVideoElement|HTMLCanvasElement} source - Video frame
+   * @returns {{width: number, height: number}}
+   */
+  _getSourceSize(source) {
+    return {
+      width: /** @type {HTMLVideoElement} */ (source).videoWidth || source.width,
+      height: /** @type {HTMLVideoElement} */ (source).videoHeight || source.height
+    };
+  }
+
+  /**
+   * Get the canvas for mask operations, cleared, at the source size.
+   *
+   * @param {number} width - Source width
+   * @param {number} height - Source height
+   * @returns {OffscreenCanvasRenderingContext2D}
+   */
+  _getMaskContext(width, height) {
     if (!this._cachedMaskCanvas ||
         this._maskWidth !== width ||
         this._maskHeight !== height) {
@@ -315,9 +399,22 @@ export class WallArtSegmenter {
 
     // Clear to transparent (0 = background)
     ctx.clearRect(0, 0, width, height);
+    return ctx;
+  }
 
+  /**
+   * Convert MediaPipe segmentation result to RGBA ImageData.
+   * Category mask has 0=background, 1=person.
+   *
+   * @param {Object} result - MediaPipe segmentation result
+   * @param {HTMLVideoElement|HTMLCanvasElement} source - Original source for dimensions
+   * @param {{gray: Uint8Array, width: number, height: number}|null} [motion] - Frame for optical flow
+   * @returns {ImageData} Person mask as ImageData
+   */
+  _convertResultToImageData(result, source, motion = null) {
     if (!result || !result.categoryMask) {
-      return ctx.getImageData(0, 0, width, height);
+      const { width, height } = this._getSourceSize(source);
+      return this._getMaskContext(width, height).getImageData(0, 0, width, height);
     }
 
     const categoryMask = result.categoryMask;
@@ -336,23 +433,51 @@ export class WallArtSegmenter {
     }
 
     if (!maskData) {
-      return ctx.getImageData(0, 0, width, height);
+      const { width, height } = this._getSourceSize(source);
+      return this._getMaskContext(width, height).getImageData(0, 0, width, height);
     }
 
     // Get mask dimensions
     const maskWidth = categoryMask.width;
     const maskHeight = categoryMask.height;
 
-    // Create RGBA ImageData from category mask
-    // Category 1 = person (white/opaque), Category 0 = background (transparent)
+    // Category 1 = person, Category 0 = background
+    const observation = new Uint8Array(maskData.length);
+    for (let i = 0; i < maskData.length; i++) {
+      observation[i] = maskData[i] === 1 ? 1 : 0;
+    }
+    this._rawObservation = observation;
+    this._rawMask = null;
+
+    const person = this._stabilizer.update(observation, maskWidth, maskHeight, motion) || observation;
+    this._stabilizedWidth = maskWidth;
+    this._stabilizedHeight = maskHeight;
+
+    return this._personToImageData(person, maskWidth, maskHeight, source);
+  }
+
+  /**
+   * Convert a person mask at the model's resolution to RGBA ImageData at the source size.
+   *
+   * @param {Uint8Array} person - 1 = person, 0 = background
+   * @param {number} maskWidth - Mask width
+   * @param {number} maskHeight - Mask height
+   * @param {HTMLVideoElement|HTMLCanvasElement} source - Original source for dimensions
+   * @returns {ImageData} Person mask as ImageData
+   */
+  _personToImageData(person, maskWidth, maskHeight, source) {
+    const { width, height } = this._getSourceSize(source);
+    const ctx = this._getMaskContext(width, height);
+
+    // Create RGBA ImageData from the person mask
     const imageData = ctx.createImageData(maskWidth, maskHeight);
     const data = imageData.data;
 
-    for (let i = 0; i < maskData.length; i++) {
+    for (let i = 0; i < person.length; i++) {
       const idx = i * 4;
-      // Person pixels (category 1) become white/opaque
-      // Background pixels (category 0) stay transparent
-      if (maskData[i] === 1) {
+      // Person pixels become white/opaque
+      // Background pixels stay transparent
+      if (person[i] === 1) {
         data[idx] = 255;     // R
         data[idx + 1] = 255; // G
         data[idx + 2] = 255; // B
@@ -385,6 +510,22 @@ export class WallArtSegmenter {
     return this._cachedMask;
   }
 
+  /**
+   * Get the last segmentation as-is next to the stabilized mask, for comparing
+   * the two in debug views.
+   *
+   * @param {HTMLVideoElement|HTMLCanvasElement} source - Video frame (for dimensions)
+   * @returns {{raw: ImageData|null, stabilized: ImageData|null}}
+   */
+  getDebugMasks(source) {
+    if (this._rawObservation && !this._rawMask) {
+      this._rawMask = this._personToImageData(
+        this._rawObservation, this._stabilizedWidth, this._stabilizedHeight, source
+      );
+    }
+    return { raw: this._rawMask, stabilized: this._cachedMask };
+  }
+
   /**
    * Set an average mask for use when segmentation is skipped.
    * Built during the setup phase from multiple frames.
@@ -507,6 +648,9 @@ export class WallArtSegmenter {
     this._cachedMask = null;
     this._averageMask = null;
     this._segmentationTimes = [];
+    this._stabilizer.reset();
+    this._rawObservation = null;
+    this._rawMask = null;
   }
 
   /**
@@ -524,6 +668,10 @@ export class WallArtSegmenter {
     this._cachedMaskCanvas = null;
     this._averageMask = null;
     this._lastTimestamp = 0;
+    this._stabilizer.reset();
+    this._motionCanvas = null;
+    this._rawObservation = null;
+    this._rawMask = null;
 
     console.log('[WallArtSegmenter] Disposed');
   }
@@ -569,6 +717,7 @@ export function checkSegmentationSupport() {
 if (typeof window !== 'undefined') {
   window.WallSegmentation = {
     SEGMENTATION_PRESETS,
+    STABILIZATION_MODES,
     WallArtSegmenter,
     checkSegmentationSupport
   };
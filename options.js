@@ -0,0 +1,182 @@
+// Options page: map keyboard shortcut slots to overlays and wall art regions
+
+import {
+  SHORTCUT_SLOT_COUNT,
+  COMMAND_NEXT_EFFECT,
+  COMMAND_PREVIOUS_EFFECT,
+  COMMAND_HIDE_ALL,
+  TIMER_SLOT_VISIBILITY,
+  TIMER_SLOT_START_PAUSE,
+  TIMER_SLOT_RESET,
+  getSlotCommand,
+  isShortcutTarget
+} from './lib/shortcuts.js';
+
+// Option groups in the target picker
+const TARGET_GROUPS = [
+  { type: 'effect', label: 'Effects' },
+  { type: 'textBanner', label: 'Text Banners' },
+  { type: 'timer', label: 'Timers' },
+  { type: 'camera', label: 'Cameras' },
+  { type: 'wallArt', label: 'Wall Art' }
+];
+
+const TIMER_ACTIONS = [
+  { value: TIMER_SLOT_VISIBILITY, label: 'Show / hide' },
+  { value: TIMER_SLOT_START_PAUSE, label: 'Start / pause' },
+  { value: TIMER_SLOT_RESET, label: 'Reset' }
+];
+
+const FIXED_COMMANDS = [
+  { name: COMMAND_NEXT_EFFECT, label: 'Next effect' },
+  { name: COMMAND_PREVIOUS_EFFECT, label: 'Previous effect' },
+  { name: COMMAND_HIDE_ALL, label: 'Hide everything (press again to restore)' }
+];
+
+let targets = [];  // Overlays and wall art regions a slot can control
+let shortcutSlots = {};  // Slot number -> { targetId, timerAction? }
+let shortcutKeys = {};  // Command name -> key combination ('' when unassigned)
+
+// DOM elements
+const slotList = document.getElementById('slot-list');
+const fixedCommandList = document.getElementById('fixed-command-list');
+const changeKeysBtn = document.getElementById('change-keys');
+const statusEl = document.getElementById('status');
+
+async function init() {
+  const result = await chrome.storage.local.get(['overlays', 'wallArtOverlays', 'shortcutSlots']);
+  const overlays = result.overlays || [];
+  const wallArtOverlays = (result.wallArtOverlays || []).map(wa => ({ ...wa, type: 'wallArt' }));
+  targets = [...overlays, ...wallArtOverlays].filter(isShortcutTarget);
+  shortcutSlots = result.shortcutSlots || {};
+
+  const commands = await chrome.commands.getAll();
+  shortcutKeys = Object.fromEntries(commands.map(command => [command.name, command.shortcut || '']));
+
+  renderSlots();
+  renderFixedCommands();
+}
+
+// Build the target picker for one slot
+function createTargetSelect(slot) {
+  const select = document.createElement('select');
+  select.dataset.slot = String(slot);
+
+  const none = document.createElement('option');
+  none.value = '';
+  none.textContent = 'Nothing';
+  select.appendChild(none);
+
+  TARGET_GROUPS.forEach(group => {
+    const items = targets.filter(target => target.type === group.type);
+    if (items.length === 0) return;
+
+    const optgroup = document.createElement('optgroup');
+    optgroup.label = group.label;
+    items.forEach(item => {
+      const option = document.createElement('option');
+      option.value = item.id;
+      option.textContent = item.name || group.label;
+      optgroup.appendChild(option);
+    });
+    select.appendChild(optgroup);
+  });
+
+  const binding = shortcutSlots[slot];
+  select.value = binding && targets.some(t => t.id === binding.targetId) ? binding.targetId : '';
+  return select;
+}
+
+// Render one row per slot: target picker, plus a timer action when the target is a timer
+function renderSlots() {
+  slotList.innerHTML = '';
+
+  for (let slot = 1; slot <= SHORTCUT_SLOT_COUNT; slot++) {
+    const row = document.createElement('div');
+    row.className = 'form-row shortcut-slot';
+
+    const targetGroup = document.createElement('div');
+    targetGroup.className = 'form-group form-group-half';
+    const label = document.createElement('label');
+    label.textContent = `Slot ${slot}`;
+    const key = document.createElement('span');
+    key.className = 'shortcut-key';
+    key.textContent = shortcutKeys[getSlotCommand(slot)] || 'Not set';
+    label.appendChild(key);
+    const targetSelect = createTargetSelect(slot);
+    targetGroup.appendChild(label);
+    targetGroup.appendChild(targetSelect);
+
+    const actionGroup = document.createElement('div');
+    actionGroup.className = 'form-group form-group-half';
+    const actionLabel = document.createElement('label');
+    actionLabel.textContent = 'Timer action';
+    const actionSelect = document.createElement('select');
+    TIMER_ACTIONS.forEach(action => {
+      const option = document.createElement('option');
+      option.value = action.value;
+      option.textContent = action.label;
+      actionSelect.appendChild(option);
+    });
+    actionSelect.value = shortcutSlots[slot]?.timerAction || TIMER_SLOT_VISIBILITY;
+    actionGroup.appendChild(actionLabel);
+    actionGroup.appendChild(actionSelect);
+
+    const updateActionVisibility = () => {
+      const target = targets.find(t => t.id === targetSelect.value);
+      actionGroup.classList.toggle('hidden', !target || target.type !== 'timer');
+    };
+    updateActionVisibility();
+
+    const save = async () => {
+      updateActionVisibility();
+      if (targetSelect.value) {
+        shortcutSlots[slot] = { targetId: targetSelect.value, timerAction: actionSelect.value };
+      } else {
+        delete shortcutSlots[slot];
+      }
+      await chrome.storage.local.set({ shortcutSlots });
+      showStatus(`Slot ${slot} saved`, 'success');
+    };
+    targetSelect.addEventListener('change', save);
+    actionSelect.addEventListener('change', save);
+
+    row.appendChild(targetGroup);
+    row.appendChild(actionGroup);
+    slotList.appendChild(row);
+  }
+}
+
+// List the built-in commands with their current keys
+function renderFixedCommands() {
+  fixedCommandList.innerHTML = '';
+  FIXED_COMMANDS.forEach(command => {
+    const row = document.createElement('div');
+    row.className = 'shortcut-row';
+    const label = document.createElement('span');
+    label.textContent = command.label;
+    const key = document.createElement('span');
+    key.className = 'shortcut-key';
+    key.textContent = shortcutKeys[command.name] || 'Not set';
+    row.appendChild(label);
+    row.appendChild(key);
+    fixedCommandList.appendChild(row);
+  });
+}
+
+// Show status message
+function showStatus(msg, type) {
+  statusEl.textContent = msg;
+  statusEl.className = 'status ' + type;
+  setTimeout(() => {
+    statusEl.textContent = '';
+    statusEl.className = 'status';
+  }, 3000);
+}
+
+// Key combinations can only be changed on Chrome's own shortcuts page
+changeKeysBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+});
+
+init();
@@ -12,6 +12,11 @@ const TYPE_EFFECT = 'effect';
 const TYPE_TEXT_BANNER = 'textBanner';
 const TYPE_TIMER = 'timer';
 const TYPE_WALL_ART = 'wallArt';
+const TYPE_CAMERA = 'camera';
+
+// Camera overlay shape constants
+const CAMERA_SHAPE_ROUNDED = 'rounded';
+const CAMERA_SHAPE_CIRCLE = 'circle';
 
 // Text position constants
 const TEXT_POSITION_LOWER_THIRD = 'lower-third';
@@ -19,9 +24,43 @@ const _TEXT_POSITION_TOP = 'top';
 const _TEXT_POSITION_CENTER = 'center';  
 const _TEXT_POSITION_CUSTOM = 'custom';  
 
+// Text banner animation constants
+const TEXT_ANIMATION_NONE = 'none';
+const DEFAULT_SLIDESHOW_INTERVAL = 5;
+
+// Timer alert and end-action constants
+const DEFAULT_TIMER_ALERTS = [{ at: 10, effect: 'color', color: '#cc0000' }];
+const TIMER_END_NONE = 'none';
+const TIMER_END_SHOW_BANNER = 'showBanner';
+const TIMER_END_SHOW_EFFECT = 'showEffect';
+
+// Scene crossfade length when the Crossfade option is on
+const DEFAULT_SCENE_CROSSFADE_MS = 400;
+
+// Drop shadow defaults (DEFAULT_SHADOW in lib/art-frame.js), as fractions of the art's shorter side
+const DEFAULT_ART_SHADOW = { offsetX: 0.02, offsetY: 0.04, blur: 0.04, opacity: 0.45 };
+
+// Playlist defaults (lib/wall-art-playlist.js)
+const DEFAULT_PLAYLIST_INTERVAL_SEC = 30;
+const DEFAULT_PLAYLIST_TRANSITION_MS = 1000;
+
+// Paint fill defaults (PATTERN_PRESETS / TEXTURE_PRESETS in lib/paint-patterns.js)
+const DEFAULT_PAINT_WALL_WIDTH_CM = 300;
+const DEFAULT_PAINT_GRADIENT = { start: '#4a90d9', end: '#9b59b6', angle: 180 };
+const PAINT_PATTERN_DEFAULTS = {
+  stripes: { sizeCm: 20, colors: ['#e6e0d2', '#8c9a8b'] },
+  checker: { sizeCm: 30, colors: ['#e8e4da', '#3c3c3c'] },
+  dots: { sizeCm: 15, colors: ['#f3efe6', '#c0504d'] }
+};
+const PAINT_TEXTURE_DEFAULTS = {
+  brick: { colors: ['#9c4a35', '#d8d0c4'] },
+  woodPanel: { colors: ['#a0724a', '#6b4428'] },
+  wallpaper: { colors: ['#e9e1cf', '#b59a6a'] }
+};
+
 let overlays = [];
 let dragState = null;
-let addingType = 'standard'; // 'standard', 'effect', 'textBanner', or 'timer'
+let addingType = 'standard'; // 'standard', 'effect', 'textBanner', 'timer', or 'camera'
 
 // Wall Art state
 let wallArtOverlays = [];
@@ -30,9 +69,15 @@ let wallArtSettings = {
   segmentationPreset: 'balanced',
   featherRadius: 2,
   jiggleCompensationEnabled: false,
-  lightingCompensationEnabled: false
+  lightingCompensationEnabled: false,
+  depthEnabled: false
 };
 let editingWallArtId = null;  // Track which wall art is being edited
+let liveScreenShares = new Set();  // Wall art IDs currently showing a screen share
+
+// Scene state
+let scenes = [];  // Saved { id, name, overlays, wallArtOverlays, wallArtSettings, createdAt }
+let activeSceneId = null;  // Scene last switched to
 
 // Gallery state
 let selectedGalleryItem = null;  // Currently selected gallery item
@@ -133,6 +178,12 @@ const textBannerBgOpacity = document.getElementById('text-banner-bg-opacity');
 const textBannerOpacityValue = document.getElementById('text-banner-opacity-value');
 const textBannerCancelBtn = document.getElementById('text-banner-cancel');
 const textBannerConfirmBtn = document.getElementById('text-banner-confirm');
+const textBannerAnimation = document.getElementById('text-banner-animation');
+const textBannerSlideshow = document.getElementById('text-banner-slideshow');
+const textBannerSlideshowOptions = document.getElementById('text-banner-slideshow-options');
+const textBannerSlideshowInterval = document.getElementById('text-banner-slideshow-interval');
+const textBannerSlideshowLoop = document.getElementById('text-banner-slideshow-loop');
+const textBannerSlideshowHint = document.getElementById('text-banner-slideshow-hint');
 
 // Timer modal elements
 const addTimerBtn = document.getElementById('add-timer');
@@ -146,10 +197,39 @@ const timerTextColor = document.getElementById('timer-text-color');
 const timerBgColor = document.getElementById('timer-bg-color');
 const timerCancelBtn = document.getElementById('timer-cancel');
 const timerConfirmBtn = document.getElementById('timer-confirm');
+const timerAlertGroup = document.getElementById('timer-alert-group');
+const timerAlertAtInput = document.getElementById('timer-alert-at');
+const timerAlertEffect = document.getElementById('timer-alert-effect');
+const timerAlertColor = document.getElementById('timer-alert-color');
+const timerAutoStart = document.getElementById('timer-auto-start');
+const timerEndGroup = document.getElementById('timer-end-group');
+const timerEndAction = document.getElementById('timer-end-action');
+const timerEndTargetGroup = document.getElementById('timer-end-target-group');
+const timerEndTarget = document.getElementById('timer-end-target');
+
+// Camera modal elements
+const addCameraBtn = document.getElementById('add-camera');
+const cameraModal = document.getElementById('camera-modal');
+const cameraModalTitle = document.getElementById('camera-modal-title');
+const cameraDeviceSelect = document.getElementById('camera-device');
+const cameraShapeSelect = document.getElementById('camera-shape');
+const cameraBorderColor = document.getElementById('camera-border-color');
+const cameraCancelBtn = document.getElementById('camera-cancel');
+const cameraConfirmBtn = document.getElementById('camera-confirm');
 
 // Track which overlay is being edited (for edit mode)
 let editingOverlayId = null;
 
+// Scene DOM elements
+const sceneList = document.getElementById('scene-list');
+const sceneEmptyState = document.getElementById('scene-empty-state');
+const sceneCrossfade = document.getElementById('scene-crossfade');
+const saveSceneBtn = document.getElementById('save-scene');
+const sceneModal = document.getElementById('scene-modal');
+const sceneNameInput = document.getElementById('scene-name');
+const sceneCancelBtn = document.getElementById('scene-cancel');
+const sceneConfirmBtn = document.getElementById('scene-confirm');
+
 // Wall Art DOM elements
 const addWallArtBtn = document.getElementById('add-wall-art');
 const wallArtList = document.getElementById('wall-art-list');
@@ -161,11 +241,48 @@ const wallArtPaintEnabled = document.getElementById('wall-art-paint-enabled');
 const wallArtPaintColor = document.getElementById('wall-art-paint-color');
 const wallArtPaintOpacity = document.getElementById('wall-art-paint-opacity');
 const wallArtPaintOpacityValue = document.getElementById('wall-art-paint-opacity-value');
+const wallArtPaintMode = document.getElementById('wall-art-paint-mode');
+const wallArtPaintShading = document.getElementById('wall-art-paint-shading');
+const wallArtPaintShadingGroup = document.getElementById('wall-art-paint-shading-group');
+const wallArtPaintType = document.getElementById('wall-art-paint-type');
+const wallArtPaintGradientStart = document.getElementById('wall-art-paint-gradient-start');
+const wallArtPaintGradientEnd = document.getElementById('wall-art-paint-gradient-end');
+const wallArtPaintAngle = document.getElementById('wall-art-paint-angle');
+const wallArtPaintAngleValue = document.getElementById('wall-art-paint-angle-value');
+const wallArtPaintPattern = document.getElementById('wall-art-paint-pattern');
+const wallArtPaintPatternSize = document.getElementById('wall-art-paint-pattern-size');
+const wallArtPaintTexture = document.getElementById('wall-art-paint-texture');
+const wallArtPaintTileColorA = document.getElementById('wall-art-paint-tile-color-a');
+const wallArtPaintTileColorB = document.getElementById('wall-art-paint-tile-color-b');
+const wallArtPaintWallWidth = document.getElementById('wall-art-paint-wall-width');
+const wallArtPaintPreview = document.getElementById('wall-art-paint-preview');
 const wallArtImageUrl = document.getElementById('wall-art-image-url');
 const wallArtImageFile = document.getElementById('wall-art-image-file');
 const wallArtAspectMode = document.getElementById('wall-art-aspect-mode');
 const wallArtArtOpacity = document.getElementById('wall-art-art-opacity');
 const wallArtArtOpacityValue = document.getElementById('wall-art-art-opacity-value');
+const wallArtRegionType = document.getElementById('wall-art-region-type');
+const wallArtOccludersAuto = document.getElementById('wall-art-occluders-auto');
+const wallArtOccludersCount = document.getElementById('wall-art-occluders-count');
+const wallArtOccludersClear = document.getElementById('wall-art-occluders-clear');
+const wallArtZoom = document.getElementById('wall-art-zoom');
+const wallArtZoomValue = document.getElementById('wall-art-zoom-value');
+const wallArtPanX = document.getElementById('wall-art-pan-x');
+const wallArtPanY = document.getElementById('wall-art-pan-y');
+const wallArtFrameStyle = document.getElementById('wall-art-frame-style');
+const wallArtGlare = document.getElementById('wall-art-glare');
+const wallArtShadowEnabled = document.getElementById('wall-art-shadow-enabled');
+const wallArtShadowX = document.getElementById('wall-art-shadow-x');
+const wallArtShadowY = document.getElementById('wall-art-shadow-y');
+const wallArtShadowBlur = document.getElementById('wall-art-shadow-blur');
+const wallArtPlaylistItemsList = document.getElementById('wall-art-playlist-items');
+const wallArtPlaylistAdd = document.getElementById('wall-art-playlist-add');
+const wallArtPlaylistHint = document.getElementById('wall-art-playlist-hint');
+const wallArtPlaylistMode = document.getElementById('wall-art-playlist-mode');
+const wallArtPlaylistInterval = document.getElementById('wall-art-playlist-interval');
+const wallArtPlaylistTimes = document.getElementById('wall-art-playlist-times');
+const wallArtPlaylistTransition = document.getElementById('wall-art-playlist-transition');
+const wallArtPlaylistShuffle = document.getElementById('wall-art-playlist-shuffle');
 const wallArtCancelBtn = document.getElementById('wall-art-cancel');
 const wallArtConfirmBtn = document.getElementById('wall-art-confirm');
 const segmentationEnabled = document.getElementById('segmentation-enabled');
@@ -176,6 +293,7 @@ const featherValue = document.getElementById('feather-value');
 const editRegionOnVideoBtn = document.getElementById('edit-region-on-video');
 const jiggleCompensationEnabled = document.getElementById('jiggle-compensation-enabled');
 const lightingCompensationEnabled = document.getElementById('lighting-compensation-enabled');
+const depthEnabled = document.getElementById('depth-enabled');
 const detectWallsBtn = document.getElementById('detect-walls');
 
 // Gallery DOM elements
@@ -186,6 +304,11 @@ const artSourceGallery = document.getElementById('art-source-gallery');
 // Wall Art region editor state
 let wallArtRegion = null;
 let wallArtDraggingCorner = null;
+// Foreground objects kept in front of the art ({ strokes, aspect, auto }, see lib/occluder-mask.js)
+let wallArtOccluders = { strokes: [], auto: false };
+// Playlist items being edited, and the shuffle seed of the saved playlist (kept so the order stays put)
+let wallArtPlaylistItems = [];
+let wallArtPlaylistSeed = 0;
 
 // Track if video region editor is open (state tracking for potential future use)
 // eslint-disable-next-line no-unused-vars
@@ -211,9 +334,12 @@ const TUTORIAL_TOTAL_STEPS = 4;
 async function init() {
   await loadOverlays();
   await loadWallArt();
+  await loadScenes();
+  await loadScreenShares();
   renderOverlayList();
   renderPreviewOverlays();
   renderWallArtList();
+  renderSceneList();
   setupWallArtEventHandlers();
   setupPerformanceMetricsListener();
   setupTutorial();
@@ -426,6 +552,8 @@ function migrateOverlay(overlay) {
       migrated.zIndex = 11;
     } else if (migrated.type === TYPE_TEXT_BANNER) {
       migrated.zIndex = 10;
+    } else if (migrated.type === TYPE_CAMERA) {
+      migrated.zIndex = 9;
     } else {
       migrated.zIndex = 0;
     }
@@ -464,12 +592,16 @@ function migrateOverlay(overlay) {
         backgroundOpacity: 0.7
       };
     }
+    if (migrated.alertAt === undefined) {
+      migrated.alertAt = DEFAULT_TIMER_ALERTS.map(alert => ({ ...alert }));
+    }
     if (!migrated.timerState) {
       migrated.timerState = {
         running: false,
         startTime: null,
         pausedAt: null,
-        elapsed: 0
+        elapsed: 0,
+        finished: false
       };
     }
     if (!migrated.timerMode) {
@@ -521,33 +653,40 @@ async function loadWallArt() {
       if (result.wallArtSettings) {
         wallArtSettings = result.wallArtSettings;
       }
-      // Update UI state
-      if (segmentationEnabled) {
-        segmentationEnabled.checked = wallArtSettings.segmentationEnabled;
-      }
-      if (segmentationPreset) {
-        segmentationPreset.value = wallArtSettings.segmentationPreset;
-      }
-      if (featherRadius) {
-        featherRadius.value = wallArtSettings.featherRadius;
-      }
-      if (featherValue) {
-        featherValue.textContent = `${wallArtSettings.featherRadius}px`;
-      }
-      if (segmentationOptions) {
-        segmentationOptions.classList.toggle('hidden', !wallArtSettings.segmentationEnabled);
-      }
-      if (jiggleCompensationEnabled) {
-        jiggleCompensationEnabled.checked = wallArtSettings.jiggleCompensationEnabled || false;
-      }
-      if (lightingCompensationEnabled) {
-        lightingCompensationEnabled.checked = wallArtSettings.lightingCompensationEnabled || false;
-      }
+      updateWallArtSettingsUI();
       resolve();
     });
   });
 }
 
+// Reflect wallArtSettings in the segmentation panel
+function updateWallArtSettingsUI() {
+  if (segmentationEnabled) {
+    segmentationEnabled.checked = wallArtSettings.segmentationEnabled;
+  }
+  if (segmentationPreset) {
+    segmentationPreset.value = wallArtSettings.segmentationPreset;
+  }
+  if (featherRadius) {
+    featherRadius.value = wallArtSettings.featherRadius;
+  }
+  if (featherValue) {
+    featherValue.textContent = `${wallArtSettings.featherRadius}px`;
+  }
+  if (segmentationOptions) {
+    segmentationOptions.classList.toggle('hidden', !wallArtSettings.segmentationEnabled);
+  }
+  if (jiggleCompensationEnabled) {
+    jiggleCompensationEnabled.checked = wallArtSettings.jiggleCompensationEnabled || false;
+  }
+  if (lightingCompensationEnabled) {
+    lightingCompensationEnabled.checked = wallArtSettings.lightingCompensationEnabled || false;
+  }
+  if (depthEnabled) {
+    depthEnabled.checked = wallArtSettings.depthEnabled || false;
+  }
+}
+
 // Save wall art to storage and notify content script
 async function saveWallArt() {
   await chrome.storage.local.set({ wallArtOverlays, wallArtSettings });
@@ -560,6 +699,45 @@ async function saveWallArt() {
   }
 }
 
+// Ask the Meet tab which wall art regions are showing a screen share
+async function loadScreenShares() {
+  const tabs = await chrome.tabs.query({ url: 'https://meet.google.com/*' });
+  if (tabs.length === 0) return;
+
+  try {
+    const response = await chrome.tabs.sendMessage(tabs[0].id, { type: 'GET_SCREEN_SHARES' });
+    liveScreenShares = new Set(response?.ids || []);
+  } catch {
+    liveScreenShares = new Set();
+  }
+}
+
+// Start or stop a screen share on a wall art region
+async function toggleScreenShare(id) {
+  const tabs = await chrome.tabs.query({ url: 'https://meet.google.com/*' });
+  if (tabs.length === 0) {
+    showStatus('Open Google Meet first', 'error');
+    return;
+  }
+
+  if (liveScreenShares.has(id)) {
+    await chrome.tabs.sendMessage(tabs[0].id, { type: 'STOP_SCREEN_SHARE', wallArtId: id }).catch(() => {});
+    return;
+  }
+
+  // The background worker shows the picker; the popup usually closes when it opens
+  showStatus('Choose a screen, window or tab to share', 'success');
+  const response = await chrome.runtime.sendMessage({
+    type: 'START_SCREEN_SHARE',
+    tabId: tabs[0].id,
+    wallArtId: id
+  }).catch(() => null);
+
+  if (response && !response.success && !response.cancelled) {
+    showStatus('Failed to start screen share', 'error');
+  }
+}
+
 // Create a default wall art region (centered 60x60%)
 function createDefaultRegion() {
   return {
@@ -599,6 +777,33 @@ function drawRegionOnCanvas() {
   const bl = toPixel(wallArtRegion.bottomLeft);
   const br = toPixel(wallArtRegion.bottomRight);
 
+  // Polygon and painted regions: show their area, with the anchor quad dashed around it
+  const isShaped = Boolean(wallArtRegion.polygon || wallArtRegion.mask);
+  if (isShaped) {
+    const areaCanvas = document.createElement('canvas');
+    areaCanvas.width = width;
+    areaCanvas.height = height;
+    const areaCtx = areaCanvas.getContext('2d');
+    window.WallRegion.fillRegionArea(areaCtx, wallArtRegion, width, height);
+    areaCtx.globalCompositeOperation = 'source-in';
+    areaCtx.fillStyle = 'rgba(233, 69, 96, 0.35)';
+    areaCtx.fillRect(0, 0, width, height);
+    ctx.drawImage(areaCanvas, 0, 0);
+  }
+
+  // Occluders drawn over the wall, in the editor's cyan
+  if (wallArtOccluders.strokes.length > 0) {
+    const occluderCanvas = document.createElement('canvas');
+    occluderCanvas.width = width;
+    occluderCanvas.height = height;
+    const occluderCtx = occluderCanvas.getContext('2d');
+    window.WallRegion.fillRegionArea(occluderCtx, { mask: wallArtOccluders }, width, height);
+    occluderCtx.globalCompositeOperation = 'source-in';
+    occluderCtx.fillStyle = 'rgba(0, 200, 255, 0.45)';
+    occluderCtx.fillRect(0, 0, width, height);
+    ctx.drawImage(occluderCanvas, 0, 0);
+  }
+
   // Draw filled region
   ctx.fillStyle = 'rgba(233, 69, 96, 0.2)';
   ctx.beginPath();
@@ -607,12 +812,25 @@ function drawRegionOnCanvas() {
   ctx.lineTo(br.x, br.y);
   ctx.lineTo(bl.x, bl.y);
   ctx.closePath();
-  ctx.fill();
+  if (!isShaped) ctx.fill();
 
   // Draw outline
   ctx.strokeStyle = '#e94560';
   ctx.lineWidth = 2;
+  ctx.setLineDash(isShaped ? [6, 4] : []);
   ctx.stroke();
+  ctx.setLineDash([]);
+
+  if (wallArtRegion.polygon) {
+    ctx.beginPath();
+    wallArtRegion.polygon.forEach((vertex, i) => {
+      const p = toPixel(vertex);
+      if (i === 0) ctx.moveTo(p.x, p.y);
+      else ctx.lineTo(p.x, p.y);
+    });
+    ctx.closePath();
+    ctx.stroke();
+  }
 
   // Draw corner handles
   const corners = [tl, tr, bl, br];
@@ -659,8 +877,11 @@ function createWallArtItem(wallArt, index) {
   item.className = `overlay-item wall-art-item${wallArt.active ? ' active' : ''}`;
   item.dataset.id = wallArt.id;
 
-  const paintColor = wallArt.paint?.enabled ? wallArt.paint.color : 'transparent';
-  const hasArt = wallArt.art && wallArt.art.src;
+  const paintColor = wallArt.paint?.enabled ? getPaintPreviewBackground(wallArt.paint) : 'transparent';
+  const isSharing = liveScreenShares.has(wallArt.id);
+  const hasArt = isSharing || (wallArt.art && wallArt.art.src);
+  const playlistLength = wallArt.playlist?.items?.length || 0;
+  const artLabel = isSharing ? 'Screen share' : playlistLength > 0 ? `Playlist (${playlistLength})` : 'Art';
 
   item.innerHTML = `
     <div class="wall-art-icon">
@@ -670,13 +891,15 @@ function createWallArtItem(wallArt, index) {
     <div class="info">
       <div class="name">${wallArt.name || 'Wall Art Region'}</div>
       <div class="position">
-        ${wallArt.paint?.enabled ? 'Paint' : ''}${wallArt.paint?.enabled && hasArt ? ' + ' : ''}${hasArt ? 'Art' : ''}
+        ${wallArt.paint?.enabled ? 'Paint' : ''}${wallArt.paint?.enabled && hasArt ? ' + ' : ''}${hasArt ? artLabel : ''}
         ${!wallArt.paint?.enabled && !hasArt ? 'No content' : ''}
       </div>
     </div>
     <button class="trigger-btn ${wallArt.active ? 'active' : ''}" data-id="${wallArt.id}">
       ${wallArt.active ? 'ON' : 'OFF'}
     </button>
+    <button class="screen-share-btn ${isSharing ? 'active' : ''}" data-id="${wallArt.id}"
+      title="${isSharing ? 'Stop screen share' : 'Share a screen, window or tab on this wall'}">🖥️</button>
     <button class="edit-text-btn" data-id="${wallArt.id}" title="Edit">✏️</button>
     <button class="delete-btn" data-index="${index}" title="Remove">×</button>
   `;
@@ -732,6 +955,14 @@ function setupWallArtListHandlers() {
     });
   });
 
+  // Screen share buttons
+  wallArtList.querySelectorAll('.screen-share-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      toggleScreenShare(btn.dataset.id);
+    });
+  });
+
   // Edit buttons
   wallArtList.querySelectorAll('.edit-text-btn').forEach(btn => {
     btn.addEventListener('click', (e) => {
@@ -823,10 +1054,15 @@ function showWallRegionPicker(regions) {
   const regionCards = regions.map((r, index) => {
     const colorHex = r.color ? `#${((1 << 24) + (r.color.r << 16) + (r.color.g << 8) + r.color.b).toString(16).slice(1)}` : '#888';
     const areaPercent = Math.round(r.area * 100);
+    const { topLeft, topRight, bottomRight, bottomLeft } = r.region;
+    const outline = [topLeft, topRight, bottomRight, bottomLeft].map(p => `${p.x},${p.y}`).join(' ');
     return `
       <div class="wall-region-card" data-index="${index}">
-        <div class="wall-region-preview" style="background: ${colorHex};">
-          <span class="wall-region-score">${Math.round(r.score * 100)}%</span>
+        <div class="wall-region-preview">
+          <svg class="wall-region-outline" viewBox="0 0 100 100" preserveAspectRatio="none">
+            <polygon points="${outline}" fill="${colorHex}"></polygon>
+          </svg>
+          <span class="wall-region-score">${Math.round(r.confidence * 100)}%</span>
         </div>
         <div class="wall-region-info">
           <span class="wall-region-label">Region ${index + 1}</span>
@@ -870,6 +1106,302 @@ function showWallRegionPicker(regions) {
   showStatus(`Found ${regions.length} wall region(s)`, 'success');
 }
 
+// Show the shading source picker only for recolor paint
+function updatePaintShadingVisibility() {
+  if (wallArtPaintShadingGroup) {
+    wallArtPaintShadingGroup.classList.toggle('hidden', wallArtPaintMode?.value !== 'recolor');
+  }
+}
+
+// CSS approximation of a paint fill for the list indicator and the modal preview
+function getPaintPreviewBackground(paint) {
+  const type = paint.type || 'solid';
+  if (type === 'linearGradient' || type === 'radialGradient') {
+    const { start, end, angle } = { ...DEFAULT_PAINT_GRADIENT, ...paint.gradient };
+    return type === 'radialGradient'
+      ? `radial-gradient(circle farthest-corner, ${start}, ${end})`
+      : `linear-gradient(${angle}deg, ${start}, ${end})`;
+  }
+  if (type === 'pattern') {
+    const [a, b] = paint.pattern?.colors || PAINT_PATTERN_DEFAULTS.stripes.colors;
+    if (paint.pattern?.name === 'checker') return `conic-gradient(${b} 25%, ${a} 0 50%, ${b} 0 75%, ${a} 0) 0 0 / 8px 8px`;
+    if (paint.pattern?.name === 'dots') return `radial-gradient(${b} 25%, ${a} 27%) 0 0 / 6px 6px`;
+    return `repeating-linear-gradient(90deg, ${a} 0 3px, ${b} 3px 6px)`;
+  }
+  if (type === 'texture') {
+    const [a, b] = paint.texture?.colors || PAINT_TEXTURE_DEFAULTS.brick.colors;
+    return `repeating-linear-gradient(0deg, ${b} 0 1px, ${a} 1px 5px)`;
+  }
+  return paint.color;
+}
+
+// Read the fill type fields of the paint tab
+function readPaintFill() {
+  const type = wallArtPaintType?.value || 'solid';
+  const tileColors = [wallArtPaintTileColorA?.value, wallArtPaintTileColorB?.value];
+  return {
+    type,
+    gradient: type === 'linearGradient' || type === 'radialGradient' ? {
+      start: wallArtPaintGradientStart?.value || DEFAULT_PAINT_GRADIENT.start,
+      end: wallArtPaintGradientEnd?.value || DEFAULT_PAINT_GRADIENT.end,
+      angle: parseInt(wallArtPaintAngle?.value, 10) || 0
+    } : null,
+    pattern: type === 'pattern' ? {
+      name: wallArtPaintPattern?.value || 'stripes',
+      colors: tileColors,
+      sizeCm: parseFloat(wallArtPaintPatternSize?.value) || PAINT_PATTERN_DEFAULTS.stripes.sizeCm
+    } : null,
+    texture: type === 'texture' ? {
+      name: wallArtPaintTexture?.value || 'brick',
+      colors: tileColors
+    } : null,
+    wallWidthCm: parseFloat(wallArtPaintWallWidth?.value) || DEFAULT_PAINT_WALL_WIDTH_CM
+  };
+}
+
+// Fill the fill type fields of the paint tab (no paint = solid defaults)
+function loadPaintFill(paint) {
+  const type = paint?.type || 'solid';
+  const gradient = { ...DEFAULT_PAINT_GRADIENT, ...paint?.gradient };
+  if (wallArtPaintType) wallArtPaintType.value = type;
+  if (wallArtPaintGradientStart) wallArtPaintGradientStart.value = gradient.start;
+  if (wallArtPaintGradientEnd) wallArtPaintGradientEnd.value = gradient.end;
+  if (wallArtPaintAngle) wallArtPaintAngle.value = gradient.angle;
+  if (wallArtPaintPattern) wallArtPaintPattern.value = paint?.pattern?.name || 'stripes';
+  if (wallArtPaintTexture) wallArtPaintTexture.value = paint?.texture?.name || 'brick';
+  if (wallArtPaintWallWidth) wallArtPaintWallWidth.value = paint?.wallWidthCm || DEFAULT_PAINT_WALL_WIDTH_CM;
+  applyPaintTileDefaults();
+
+  // Saved colors and size win over the preset defaults
+  const tile = type === 'pattern' ? paint.pattern : type === 'texture' ? paint.texture : null;
+  if (tile?.colors) {
+    if (wallArtPaintTileColorA) wallArtPaintTileColorA.value = tile.colors[0];
+    if (wallArtPaintTileColorB) wallArtPaintTileColorB.value = tile.colors[1];
+  }
+  if (type === 'pattern' && paint.pattern.sizeCm && wallArtPaintPatternSize) {
+    wallArtPaintPatternSize.value = paint.pattern.sizeCm;
+  }
+  updatePaintTypeVisibility();
+}
+
+// Reset the tile colors (and pattern size) to the selected pattern's or texture's defaults
+function applyPaintTileDefaults() {
+  const type = wallArtPaintType?.value;
+  const preset = type === 'texture'
+    ? PAINT_TEXTURE_DEFAULTS[wallArtPaintTexture?.value] || PAINT_TEXTURE_DEFAULTS.brick
+    : PAINT_PATTERN_DEFAULTS[wallArtPaintPattern?.value] || PAINT_PATTERN_DEFAULTS.stripes;
+  if (wallArtPaintTileColorA) wallArtPaintTileColorA.value = preset.colors[0];
+  if (wallArtPaintTileColorB) wallArtPaintTileColorB.value = preset.colors[1];
+  if (type !== 'texture' && wallArtPaintPatternSize) wallArtPaintPatternSize.value = preset.sizeCm;
+}
+
+// Show the editor for the selected fill type and refresh the preview
+function updatePaintTypeVisibility() {
+  const type = wallArtPaintType?.value || 'solid';
+  const isGradient = type === 'linearGradient' || type === 'radialGradient';
+  const isTiled = type === 'pattern' || type === 'texture';
+
+  document.getElementById('wall-art-paint-solid-fields')?.classList.toggle('hidden', type !== 'solid');
+  document.getElementById('wall-art-paint-gradient-fields')?.classList.toggle('hidden', !isGradient);
+  document.getElementById('wall-art-paint-angle-group')?.classList.toggle('hidden', type !== 'linearGradient');
+  document.getElementById('wall-art-paint-pattern-fields')?.classList.toggle('hidden', type !== 'pattern');
+  document.getElementById('wall-art-paint-texture-fields')?.classList.toggle('hidden', type !== 'texture');
+  document.getElementById('wall-art-paint-tile-fields')?.classList.toggle('hidden', !isTiled);
+
+  const labelA = document.getElementById('wall-art-paint-tile-color-a-label');
+  const labelB = document.getElementById('wall-art-paint-tile-color-b-label');
+  if (labelA) labelA.textContent = type === 'texture' ? 'Main Color' : 'Background';
+  if (labelB) labelB.textContent = type === 'texture' ? 'Accent Color' : 'Foreground';
+  if (wallArtPaintAngleValue && wallArtPaintAngle) wallArtPaintAngleValue.textContent = `${wallArtPaintAngle.value}°`;
+
+  if (wallArtPaintPreview) {
+    wallArtPaintPreview.classList.toggle('hidden', type === 'solid');
+    if (type !== 'solid') wallArtPaintPreview.style.background = getPaintPreviewBackground(readPaintFill());
+  }
+}
+
+// Fill the region shape and art zoom/pan controls (no wall art = free shape, no zoom)
+function loadRegionShape(wallArt) {
+  const transform = { zoom: 1, panX: 0, panY: 0, ...wallArt?.transform };
+  if (wallArtRegionType) wallArtRegionType.value = wallArt?.regionType || 'free';
+  if (wallArtZoom) wallArtZoom.value = Math.round(transform.zoom * 100);
+  if (wallArtPanX) wallArtPanX.value = Math.round(transform.panX * 100);
+  if (wallArtPanY) wallArtPanY.value = Math.round(transform.panY * 100);
+  updateZoomLabel();
+  wallArtOccluders = { strokes: [], auto: false, ...wallArt?.occluders };
+  updateOccludersLabel();
+}
+
+// Show how many occluder strokes are drawn (painted with Edit on Video)
+function updateOccludersLabel() {
+  if (wallArtOccludersAuto) wallArtOccludersAuto.checked = Boolean(wallArtOccluders.auto);
+  if (wallArtOccludersCount) {
+    const count = wallArtOccluders.strokes.filter(stroke => !stroke.erase).length;
+    wallArtOccludersCount.textContent = count > 0
+      ? `${count} occluder stroke${count === 1 ? '' : 's'}`
+      : 'No occluders drawn';
+  }
+}
+
+// Frame, shadow and glare fields of the art tab (see ArtDecor in lib/art-frame.js)
+function readArtDecor() {
+  const style = wallArtFrameStyle?.value || 'none';
+  return {
+    frame: style !== 'none' ? { style } : null,
+    shadow: wallArtShadowEnabled?.checked ? {
+      enabled: true,
+      offsetX: (parseInt(wallArtShadowX?.value, 10) || 0) / 100,
+      offsetY: (parseInt(wallArtShadowY?.value, 10) || 0) / 100,
+      blur: (parseInt(wallArtShadowBlur?.value, 10) || 0) / 100,
+      opacity: DEFAULT_ART_SHADOW.opacity
+    } : null,
+    glare: wallArtGlare?.checked ? { enabled: true } : null
+  };
+}
+
+// Fill the frame, shadow and glare fields (no art = no frame, shadow or glare)
+function loadArtDecor(art) {
+  const shadow = { ...DEFAULT_ART_SHADOW, ...art?.shadow };
+  if (wallArtFrameStyle) wallArtFrameStyle.value = art?.frame?.style || 'none';
+  if (wallArtGlare) wallArtGlare.checked = Boolean(art?.glare?.enabled);
+  if (wallArtShadowEnabled) wallArtShadowEnabled.checked = Boolean(art?.shadow?.enabled);
+  if (wallArtShadowX) wallArtShadowX.value = Math.round(shadow.offsetX * 100);
+  if (wallArtShadowY) wallArtShadowY.value = Math.round(shadow.offsetY * 100);
+  if (wallArtShadowBlur) wallArtShadowBlur.value = Math.round(shadow.blur * 100);
+  updateShadowVisibility();
+}
+
+function updateShadowVisibility() {
+  document.getElementById('wall-art-shadow-fields')?.classList.toggle('hidden', !wallArtShadowEnabled?.checked);
+}
+
+// Art source picked in the art tab: gallery selection, uploaded file or URL (src is '' when none)
+async function readArtSourceInput() {
+  if (selectedGalleryItem) {
+    return { src: selectedGalleryItem.src, contentType: 'image', name: selectedGalleryItem.name };
+  }
+
+  if (wallArtImageFile?.files?.length > 0) {
+    const file = wallArtImageFile.files[0];
+    let contentType = 'image';
+
+    // Detect content type from MIME type
+    if (file.type === 'image/gif') {
+      contentType = 'gif';
+    } else if (file.type.startsWith('video/')) {
+      contentType = 'video';
+    }
+
+    // Use Blob URL for large files (>2MB) or videos to avoid data URL limits
+    const src = file.size > 2 * 1024 * 1024 || contentType === 'video'
+      ? URL.createObjectURL(file)
+      : await readFileAsDataUrl(file);
+    return { src, contentType, name: file.name };
+  }
+
+  const src = wallArtImageUrl?.value || '';
+  return { src, contentType: 'image', name: src.split('/').pop() };
+}
+
+// Playlist fields of the art tab (see WallArtPlaylist in lib/wall-art-playlist.js), null when empty
+function readPlaylist() {
+  if (wallArtPlaylistItems.length === 0) return null;
+
+  const shuffle = Boolean(wallArtPlaylistShuffle?.checked);
+  return {
+    items: wallArtPlaylistItems,
+    mode: wallArtPlaylistMode?.value || 'interval',
+    intervalSec: Math.max(2, parseInt(wallArtPlaylistInterval?.value, 10) || DEFAULT_PLAYLIST_INTERVAL_SEC),
+    times: (wallArtPlaylistTimes?.value || '').split(',').map(time => time.trim()).filter(Boolean),
+    transition: wallArtPlaylistTransition?.value || 'crossfade',
+    transitionMs: DEFAULT_PLAYLIST_TRANSITION_MS,
+    shuffle,
+    seed: shuffle ? wallArtPlaylistSeed || Math.floor(Math.random() * 0x7fffffff) : 0
+  };
+}
+
+// Fill the playlist fields (no playlist = empty list)
+function loadPlaylist(playlist) {
+  wallArtPlaylistItems = playlist?.items ? [...playlist.items] : [];
+  wallArtPlaylistSeed = playlist?.seed || 0;
+  if (wallArtPlaylistMode) wallArtPlaylistMode.value = playlist?.mode || 'interval';
+  if (wallArtPlaylistInterval) wallArtPlaylistInterval.value = playlist?.intervalSec || DEFAULT_PLAYLIST_INTERVAL_SEC;
+  if (wallArtPlaylistTimes) wallArtPlaylistTimes.value = (playlist?.times || []).join(', ');
+  if (wallArtPlaylistTransition) wallArtPlaylistTransition.value = playlist?.transition || 'crossfade';
+  if (wallArtPlaylistShuffle) wallArtPlaylistShuffle.checked = Boolean(playlist?.shuffle);
+  renderPlaylistItems();
+}
+
+// List the playlist items with move up / remove buttons
+function renderPlaylistItems() {
+  if (!wallArtPlaylistItemsList) return;
+
+  wallArtPlaylistItemsList.innerHTML = '';
+  wallArtPlaylistItems.forEach((item, index) => {
+    const row = document.createElement('div');
+    row.className = 'playlist-item';
+
+    const name = document.createElement('span');
+    name.className = 'playlist-item-name';
+    name.textContent = `${index + 1}. ${item.name || item.src}`;
+    name.title = item.contentType || 'image';
+    row.appendChild(name);
+
+    const moveUp = document.createElement('button');
+    moveUp.type = 'button';
+    moveUp.className = 'btn btn-small';
+    moveUp.textContent = '↑';
+    moveUp.title = 'Move up';
+    moveUp.disabled = index === 0;
+    moveUp.addEventListener('click', () => {
+      const items = wallArtPlaylistItems;
+      [items[index - 1], items[index]] = [items[index], items[index - 1]];
+      renderPlaylistItems();
+    });
+    row.appendChild(moveUp);
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn btn-small';
+    remove.textContent = '×';
+    remove.title = 'Remove';
+    remove.addEventListener('click', () => {
+      wallArtPlaylistItems.splice(index, 1);
+      renderPlaylistItems();
+    });
+    row.appendChild(remove);
+
+    wallArtPlaylistItemsList.appendChild(row);
+  });
+
+  if (wallArtPlaylistHint) {
+    wallArtPlaylistHint.textContent = wallArtPlaylistItems.length > 0
+      ? `${wallArtPlaylistItems.length} item${wallArtPlaylistItems.length === 1 ? '' : 's'} in rotation`
+      : 'Add images, GIFs or videos to rotate through them';
+  }
+  updatePlaylistVisibility();
+}
+
+function updatePlaylistVisibility() {
+  const schedule = wallArtPlaylistMode?.value === 'schedule';
+  document.getElementById('wall-art-playlist-fields')?.classList.toggle('hidden', wallArtPlaylistItems.length === 0);
+  document.getElementById('wall-art-playlist-interval-group')?.classList.toggle('hidden', schedule);
+  document.getElementById('wall-art-playlist-times-group')?.classList.toggle('hidden', !schedule);
+}
+
+// Art zoom/pan from the sliders (see ContentTransform in lib/wall-region.js)
+function readContentTransform() {
+  return {
+    zoom: (parseInt(wallArtZoom?.value, 10) || 100) / 100,
+    panX: (parseInt(wallArtPanX?.value, 10) || 0) / 100,
+    panY: (parseInt(wallArtPanY?.value, 10) || 0) / 100
+  };
+}
+
+function updateZoomLabel() {
+  if (wallArtZoomValue) wallArtZoomValue.textContent = `${readContentTransform().zoom.toFixed(1)}x`;
+}
+
 // Open wall art modal pre-populated with a detected region
 function openWallArtModalWithRegion(region) {
   if (!wallArtModal) return;
@@ -891,11 +1423,18 @@ function openWallArtModalWithRegion(region) {
   if (wallArtPaintColor) wallArtPaintColor.value = '#808080';
   if (wallArtPaintOpacity) wallArtPaintOpacity.value = 100;
   if (wallArtPaintOpacityValue) wallArtPaintOpacityValue.textContent = '100%';
+  if (wallArtPaintMode) wallArtPaintMode.value = 'flat';
+  if (wallArtPaintShading) wallArtPaintShading.value = 'live';
+  updatePaintShadingVisibility();
+  loadPaintFill(null);
+  loadRegionShape(null);
   if (wallArtImageUrl) wallArtImageUrl.value = '';
   if (wallArtImageFile) wallArtImageFile.value = '';
   if (wallArtAspectMode) wallArtAspectMode.value = 'stretch';
   if (wallArtArtOpacity) wallArtArtOpacity.value = 100;
   if (wallArtArtOpacityValue) wallArtArtOpacityValue.textContent = '100%';
+  loadArtDecor(null);
+  loadPlaylist(null);
 
   // Reset to paint tab
   document.querySelectorAll('.wall-art-tab').forEach(t => {
@@ -948,6 +1487,15 @@ function openWallArtModal(editId = null) {
     if (wallArtPaintOpacityValue) {
       wallArtPaintOpacityValue.textContent = `${Math.round((wallArt.paint?.opacity || 1) * 100)}%`;
     }
+    if (wallArtPaintMode) {
+      wallArtPaintMode.value = wallArt.paint?.mode || 'flat';
+    }
+    if (wallArtPaintShading) {
+      wallArtPaintShading.value = wallArt.paint?.shading || 'live';
+    }
+    updatePaintShadingVisibility();
+    loadPaintFill(wallArt.paint);
+    loadRegionShape(wallArt);
 
     // Load art settings
     if (wallArtImageUrl) {
@@ -962,6 +1510,8 @@ function openWallArtModal(editId = null) {
     if (wallArtArtOpacityValue) {
       wallArtArtOpacityValue.textContent = `${Math.round((wallArt.art?.opacity || 1) * 100)}%`;
     }
+    loadArtDecor(wallArt.art);
+    loadPlaylist(wallArt.playlist);
   } else {
     // Adding new
     if (wallArtModalTitle) {
@@ -978,11 +1528,18 @@ function openWallArtModal(editId = null) {
     if (wallArtPaintColor) wallArtPaintColor.value = '#808080';
     if (wallArtPaintOpacity) wallArtPaintOpacity.value = 100;
     if (wallArtPaintOpacityValue) wallArtPaintOpacityValue.textContent = '100%';
+    if (wallArtPaintMode) wallArtPaintMode.value = 'flat';
+    if (wallArtPaintShading) wallArtPaintShading.value = 'live';
+    updatePaintShadingVisibility();
+    loadPaintFill(null);
+    loadRegionShape(null);
     if (wallArtImageUrl) wallArtImageUrl.value = '';
     if (wallArtImageFile) wallArtImageFile.value = '';
     if (wallArtAspectMode) wallArtAspectMode.value = 'stretch';
     if (wallArtArtOpacity) wallArtArtOpacity.value = 100;
     if (wallArtArtOpacityValue) wallArtArtOpacityValue.textContent = '100%';
+    loadArtDecor(null);
+    loadPlaylist(null);
   }
 
   // Draw initial region
@@ -1165,47 +1722,32 @@ function setupWallArtEventHandlers() {
   // Wall Art Modal confirm
   if (wallArtConfirmBtn) {
     wallArtConfirmBtn.addEventListener('click', async () => {
-      // Get art source (URL, file, or gallery selection)
-      let artSrc = wallArtImageUrl?.value || '';
-      let contentType = 'image';
-
-      // Check if gallery item is selected
-      if (selectedGalleryItem) {
-        artSrc = selectedGalleryItem.src;
-        contentType = 'image';
-      }
-      // Check if file was uploaded
-      else if (wallArtImageFile?.files?.length > 0) {
-        const file = wallArtImageFile.files[0];
-
-        // Detect content type from MIME type
-        if (file.type === 'image/gif') {
-          contentType = 'gif';
-        } else if (file.type.startsWith('video/')) {
-          contentType = 'video';
-        }
-
-        // Use Blob URL for large files (>2MB) or videos to avoid data URL limits
-        if (file.size > 2 * 1024 * 1024 || contentType === 'video') {
-          artSrc = URL.createObjectURL(file);
-        } else {
-          artSrc = await readFileAsDataUrl(file);
-        }
-      }
+      // Get art source (URL, file, or gallery selection); a playlist's first item stands in when there is none
+      const playlist = readPlaylist();
+      const source = await readArtSourceInput();
+      const { src: artSrc, contentType } = source.src || !playlist ? source : playlist.items[0];
 
       const wallArtData = {
         region: wallArtRegion,
+        regionType: wallArtRegionType?.value || 'free',
+        transform: readContentTransform(),
+        occluders: wallArtOccluders,
         paint: wallArtPaintEnabled?.checked ? {
           enabled: true,
           color: wallArtPaintColor?.value || '#808080',
-          opacity: (wallArtPaintOpacity?.value || 100) / 100
+          opacity: (wallArtPaintOpacity?.value || 100) / 100,
+          mode: wallArtPaintMode?.value || 'flat',
+          shading: wallArtPaintShading?.value || 'live',
+          ...readPaintFill()
         } : null,
         art: artSrc ? {
           src: artSrc,
           contentType,
           aspectRatioMode: wallArtAspectMode?.value || 'stretch',
-          opacity: (wallArtArtOpacity?.value || 100) / 100
+          opacity: (wallArtArtOpacity?.value || 100) / 100,
+          ...readArtDecor()
         } : null,
+        playlist,
         active: true
       };
 
@@ -1240,6 +1782,46 @@ function setupWallArtEventHandlers() {
     });
   }
 
+  // Playlist: add whatever is picked as the art source, then clear the pick for the next one
+  if (wallArtPlaylistAdd) {
+    wallArtPlaylistAdd.addEventListener('click', async () => {
+      const { src, contentType, name } = await readArtSourceInput();
+      if (!src) {
+        showStatus('Pick an image, GIF or video to add', 'error');
+        return;
+      }
+      wallArtPlaylistItems.push({ src, contentType, name });
+      if (wallArtImageUrl) wallArtImageUrl.value = '';
+      if (wallArtImageFile) wallArtImageFile.value = '';
+      clearGallerySelection();
+      renderPlaylistItems();
+    });
+  }
+  if (wallArtPlaylistMode) {
+    wallArtPlaylistMode.addEventListener('change', updatePlaylistVisibility);
+  }
+
+  // Paint style: the shading source only applies to recolor paint
+  if (wallArtPaintMode) {
+    wallArtPaintMode.addEventListener('change', updatePaintShadingVisibility);
+  }
+
+  // Paint fill type: switching type or preset starts from that preset's colors
+  if (wallArtPaintType) {
+    wallArtPaintType.addEventListener('change', () => {
+      applyPaintTileDefaults();
+      updatePaintTypeVisibility();
+    });
+  }
+  [wallArtPaintPattern, wallArtPaintTexture].forEach(select => {
+    select?.addEventListener('change', () => {
+      applyPaintTileDefaults();
+      updatePaintTypeVisibility();
+    });
+  });
+  [wallArtPaintGradientStart, wallArtPaintGradientEnd, wallArtPaintAngle, wallArtPaintTileColorA, wallArtPaintTileColorB]
+    .forEach(input => input?.addEventListener('input', updatePaintTypeVisibility));
+
   // Paint opacity slider
   if (wallArtPaintOpacity) {
     wallArtPaintOpacity.addEventListener('input', () => {
@@ -1258,6 +1840,37 @@ function setupWallArtEventHandlers() {
     });
   }
 
+  // Drop shadow settings only show while the shadow is on
+  if (wallArtShadowEnabled) {
+    wallArtShadowEnabled.addEventListener('change', updateShadowVisibility);
+  }
+
+  // Art zoom/pan sliders
+  [wallArtZoom, wallArtPanX, wallArtPanY].forEach(slider => slider?.addEventListener('input', updateZoomLabel));
+
+  // Occluders: automatic detection toggle and clearing the drawn strokes
+  if (wallArtOccludersAuto) {
+    wallArtOccludersAuto.addEventListener('change', () => {
+      wallArtOccluders = { ...wallArtOccluders, auto: wallArtOccludersAuto.checked };
+    });
+  }
+  if (wallArtOccludersClear) {
+    wallArtOccludersClear.addEventListener('click', () => {
+      wallArtOccluders = { ...wallArtOccluders, strokes: [] };
+      updateOccludersLabel();
+      drawRegionOnCanvas();
+    });
+  }
+
+  // Region shape: reshape the current region to fit the new constraint
+  if (wallArtRegionType) {
+    wallArtRegionType.addEventListener('change', () => {
+      if (!wallArtRegion) return;
+      wallArtRegion = window.WallRegion.constrainRegion(wallArtRegion, wallArtRegionType.value);
+      drawRegionOnCanvas();
+    });
+  }
+
   // Region canvas mouse events
   if (wallArtRegionCanvas) {
     wallArtRegionCanvas.addEventListener('mousedown', (e) => {
@@ -1286,7 +1899,7 @@ function setupWallArtEventHandlers() {
       const px = Math.max(0, Math.min(100, (x / wallArtRegionCanvas.width) * 100));
       const py = Math.max(0, Math.min(100, (y / wallArtRegionCanvas.height) * 100));
 
-      wallArtRegion[wallArtDraggingCorner] = { x: px, y: py };
+      wallArtRegion = window.WallRegion.moveCorner(wallArtRegion, wallArtDraggingCorner, { x: px, y: py }, wallArtRegionType?.value);
       drawRegionOnCanvas();
     });
 
@@ -1344,6 +1957,14 @@ function setupWallArtEventHandlers() {
       await saveWallArt();
     });
   }
+
+  // Depth pass on the setup reference frame (wall ranking and depth occlusion)
+  if (depthEnabled) {
+    depthEnabled.addEventListener('change', async () => {
+      wallArtSettings.depthEnabled = depthEnabled.checked;
+      await saveWallArt();
+    });
+  }
 }
 
 // Helper to read file as data URL
@@ -1377,6 +1998,9 @@ async function openRegionEditorOnVideo() {
     await chrome.tabs.sendMessage(tabs[0].id, {
       type: 'SHOW_REGION_EDITOR',
       region: wallArtRegion,
+      regionType: wallArtRegionType?.value || 'free',
+      transform: readContentTransform(),
+      occluders: wallArtOccluders,
       wallArtId: editingWallArtId
     });
 
@@ -1397,6 +2021,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     // Update the region in our state
     if (message.region) {
       wallArtRegion = message.region;
+      loadRegionShape(message);
 
       // If we're editing a wall art, update it
       if (editingWallArtId && message.wallArtId === editingWallArtId) {
@@ -1421,11 +2046,63 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     // Live update the region preview in popup
     if (message.region && editingWallArtId && message.wallArtId === editingWallArtId) {
       wallArtRegion = message.region;
+      loadRegionShape(message);
       drawRegionOnCanvas();
     }
     sendResponse({ success: true });
   }
 
+  if (message.type === 'SCREEN_SHARE_CHANGED') {
+    if (message.live) {
+      liveScreenShares.add(message.wallArtId);
+      showStatus('Screen share is live on the wall', 'success');
+    } else {
+      liveScreenShares.delete(message.wallArtId);
+      if (message.reason === 'ended') {
+        showStatus('Shared screen ended, wall art restored', 'success');
+      } else if (message.reason === 'failed') {
+        showStatus('Failed to start screen share', 'error');
+      }
+    }
+    renderWallArtList();
+    sendResponse({ success: true });
+  }
+
+  if (message.type === 'TIMER_ENDED') {
+    // content.js already stored the end action's visibility changes
+    loadOverlays().then(() => {
+      renderOverlayList();
+      renderPreviewOverlays();
+    });
+    showStatus('Timer finished!', 'success');
+    sendResponse({ success: true });
+  }
+
+  if (message.type === 'WALL_ART_RELOCALIZED') {
+    // content.js already stored the re-projected regions
+    loadWallArt().then(() => {
+      renderWallArtList();
+    });
+    updateWizardStatusDisplay(true);
+    showStatus('Camera moved, wall art re-aligned', 'success');
+    sendResponse({ success: true });
+  }
+
+  if (message.type === 'RECALIBRATION_NEEDED') {
+    updateWizardStatusDisplay(true, true);
+    showStatus('Camera moved and the wall could not be found. Please recalibrate.', 'error');
+    sendResponse({ success: true });
+  }
+
+  if (message.type === 'CAMERA_OVERLAY_CHANGED') {
+    if (message.reason === 'ended') {
+      showStatus('Camera disconnected. Reconnect it or turn the overlay off and on again.', 'error');
+    } else if (message.reason === 'failed') {
+      showStatus('Could not open the selected camera', 'error');
+    }
+    sendResponse({ success: true });
+  }
+
   return true; // Keep channel open for async response
 });
 
@@ -1440,9 +2117,18 @@ let wizardState = {
   capturedFrame: null,
   benchmarkResults: null,
   wizardRegion: null,
-  wizardDraggingCorner: null
+  wizardDraggingCorner: null,
+  selectingWall: false,
+  segmentPoints: [],
+  isSegmenting: false
 };
 
+// Click-to-segment for the wizard region (created on first use, model bundled with the extension)
+let wizardSegmenter = null;
+const WIZARD_SEGMENT_MAX_WIDTH = 640;
+const WIZARD_REGION_HINT = 'Drag corners to define your wall art region. The background shows your captured frame.';
+const WIZARD_SELECT_HINT = 'Click your wall to select it. Shift+click a spot that is not part of the wall.';
+
 // Wizard DOM elements
 const wizardModal = document.getElementById('wizard-modal');
 const wizardCloseBtn = document.getElementById('wizard-close');
@@ -1450,6 +2136,8 @@ const wizardCancelBtn = document.getElementById('wizard-cancel');
 const wizardNextBtn = document.getElementById('wizard-next');
 const wizardCountdown = document.getElementById('wizard-countdown');
 const wizardRegionCanvas = document.getElementById('wizard-region-canvas');
+const wizardSelectWallBtn = document.getElementById('wizard-select-wall');
+const wizardRegionHint = document.getElementById('wizard-region-hint');
 const wizardPresetSelect = document.getElementById('wizard-preset-select');
 const wizardBenchmarkResults = document.getElementById('wizard-benchmark-results');
 const wizardRegionStatus = document.getElementById('wizard-region-status');
@@ -1459,9 +2147,9 @@ const wizardStatusEl = document.getElementById('wizard-status');
 // Initialize wizard on page load
 async function initWizard() {
   // Check if wizard has been completed before
-  const result = await chrome.storage.local.get(['wizardSetupData']);
+  const result = await chrome.storage.local.get(['wizardSetupData', 'recalibrationNeeded']);
   if (result.wizardSetupData) {
-    updateWizardStatusDisplay(true);
+    updateWizardStatusDisplay(true, !!result.recalibrationNeeded);
   }
 
   // Set up wizard event handlers
@@ -1469,13 +2157,22 @@ async function initWizard() {
 }
 
 // Update the wizard status display in the trigger section
-function updateWizardStatusDisplay(complete) {
+function updateWizardStatusDisplay(complete, needsRecalibration = false) {
   if (!wizardStatusEl) return;
 
   const icon = wizardStatusEl.querySelector('.wizard-status-icon');
   const text = wizardStatusEl.querySelector('.wizard-status-text');
 
-  if (complete) {
+  wizardStatusEl.classList.toggle('needs-recalibration', complete && needsRecalibration);
+  if (runWizardBtn) {
+    runWizardBtn.textContent = complete && needsRecalibration ? 'Recalibrate' : 'Run Setup Wizard';
+  }
+
+  if (complete && needsRecalibration) {
+    wizardStatusEl.classList.remove('complete');
+    if (icon) icon.textContent = '⚠️';
+    if (text) text.textContent = 'Camera moved, please recalibrate';
+  } else if (complete) {
     wizardStatusEl.classList.add('complete');
     if (icon) icon.textContent = '✓';
     if (text) text.textContent = 'Setup complete';
@@ -1512,6 +2209,10 @@ function setupWizardEventHandlers() {
     wizardRegionCanvas.addEventListener('mouseleave', handleWizardCanvasMouseUp);
   }
 
+  if (wizardSelectWallBtn) {
+    wizardSelectWallBtn.addEventListener('click', () => setWizardSelectingWall(!wizardState.selectingWall));
+  }
+
   // Close wizard on outside click
   if (wizardModal) {
     wizardModal.addEventListener('click', (e) => {
@@ -1538,8 +2239,12 @@ async function openWizard() {
     capturedFrame: null,
     benchmarkResults: null,
     wizardRegion: createDefaultRegion(),
-    wizardDraggingCorner: null
+    wizardDraggingCorner: null,
+    selectingWall: false,
+    segmentPoints: [],
+    isSegmenting: false
   };
+  setWizardSelectingWall(false);
 
   // Show modal
   if (wizardModal) {
@@ -1752,6 +2457,12 @@ async function runProcessingTasks() {
 
 // Initialize the wizard region canvas with the captured frame
 function initWizardRegionCanvas() {
+  // A new capture needs encoding again before walls can be selected in it
+  if (wizardSegmenter) {
+    wizardSegmenter.clearFrame();
+  }
+  wizardState.segmentPoints = [];
+
   if (!wizardRegionCanvas || !wizardState.capturedFrame?.frameDataUrl) {
     // If no frame captured, just draw default background
     drawWizardRegion();
@@ -1800,13 +2511,16 @@ function drawWizardRegion() {
   const bl = toPixel(wizardState.wizardRegion.bottomLeft);
   const br = toPixel(wizardState.wizardRegion.bottomRight);
 
-  // Draw filled region with semi-transparent overlay
+  // Draw filled region with semi-transparent overlay (the selected outline for polygon regions)
+  const outline = wizardState.wizardRegion.polygon
+    ? wizardState.wizardRegion.polygon.map(toPixel)
+    : [tl, tr, br, bl];
   ctx.fillStyle = 'rgba(14, 165, 233, 0.2)';
   ctx.beginPath();
-  ctx.moveTo(tl.x, tl.y);
-  ctx.lineTo(tr.x, tr.y);
-  ctx.lineTo(br.x, br.y);
-  ctx.lineTo(bl.x, bl.y);
+  outline.forEach((p, i) => {
+    if (i === 0) ctx.moveTo(p.x, p.y);
+    else ctx.lineTo(p.x, p.y);
+  });
   ctx.closePath();
   ctx.fill();
 
@@ -1830,6 +2544,111 @@ function drawWizardRegion() {
     ctx.arc(corner.x, corner.y, 8, 0, Math.PI * 2);
     ctx.fill();
   }
+
+  // Clicked wall selection points (green = wall, red = not wall)
+  for (const point of wizardState.segmentPoints) {
+    const p = toPixel(point);
+    ctx.fillStyle = '#ffffff';
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, 6, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = point.exclude ? '#ef4444' : '#22c55e';
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, 4, 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
+
+// Switch wall selection on or off in the wizard region step
+function setWizardSelectingWall(selecting) {
+  wizardState.selectingWall = selecting;
+  wizardState.segmentPoints = [];
+
+  if (selecting && !wizardSegmenter && window.ClickSegmenter) {
+    wizardSegmenter = new window.ClickSegmenter.ClickSegmenter({ baseUrl: chrome.runtime.getURL('') });
+  }
+  if (selecting && wizardSegmenter) {
+    // Start loading the model while the user finds their wall
+    wizardSegmenter.initialize();
+  }
+
+  if (wizardSelectWallBtn) {
+    wizardSelectWallBtn.textContent = selecting ? 'Done selecting' : 'Select wall';
+  }
+  setWizardRegionHint(selecting ? WIZARD_SELECT_HINT : WIZARD_REGION_HINT);
+  drawWizardRegion();
+}
+
+function setWizardRegionHint(text) {
+  if (wizardRegionHint) {
+    wizardRegionHint.textContent = text;
+  }
+}
+
+// Captured frame pixels for wall selection
+function getWizardFrameImageData() {
+  const img = wizardState.backgroundImage;
+  if (!img) return null;
+
+  const scale = Math.min(1, WIZARD_SEGMENT_MAX_WIDTH / img.naturalWidth);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(img.naturalWidth * scale);
+  canvas.height = Math.round(img.naturalHeight * scale);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+// Select the wall under a clicked point and fit the wizard region to it
+async function segmentWizardWall(point, exclude) {
+  if (wizardState.isSegmenting) return;
+  if (!wizardSegmenter || !window.MaskFitting) {
+    setWizardRegionHint('Wall selection is not available. Drag the corners instead.');
+    return;
+  }
+
+  const state = wizardState;
+  state.isSegmenting = true;
+
+  try {
+    setWizardRegionHint('Loading wall selection...');
+    if (!(await wizardSegmenter.initialize())) {
+      setWizardRegionHint('Wall selection is not available (run npm run fetch:sam-model). Drag the corners instead.');
+      return;
+    }
+
+    if (!wizardSegmenter.hasFrame) {
+      const frame = getWizardFrameImageData();
+      if (!frame) {
+        setWizardRegionHint('No captured frame to select from. Drag the corners instead.');
+        return;
+      }
+      setWizardRegionHint('Analyzing your background...');
+      await wizardSegmenter.setFrame(frame);
+    }
+
+    state.segmentPoints.push({ ...point, exclude });
+    setWizardRegionHint('Selecting...');
+    const mask = await wizardSegmenter.segment(state.segmentPoints);
+    const fit = window.MaskFitting.fitMaskToRegion(mask.data, mask.width, mask.height);
+
+    // The wizard was closed or restarted meanwhile
+    if (state !== wizardState) return;
+
+    if (fit) {
+      state.wizardRegion = fit.region;
+      setWizardRegionHint(WIZARD_SELECT_HINT);
+    } else {
+      state.segmentPoints.pop();
+      setWizardRegionHint('Nothing found there. Try clicking another spot.');
+    }
+    drawWizardRegion();
+  } catch (error) {
+    console.error('[Meet Overlay] Wall selection failed:', error);
+    setWizardRegionHint('Wall selection failed. Drag the corners instead.');
+  } finally {
+    state.isSegmenting = false;
+  }
 }
 
 // Get which corner of the wizard region is at a point
@@ -1862,9 +2681,22 @@ function handleWizardCanvasMouseDown(e) {
   const x = (e.clientX - rect.left) * scaleX;
   const y = (e.clientY - rect.top) * scaleY;
 
+  if (wizardState.selectingWall) {
+    const point = {
+      x: Math.max(0, Math.min(100, (x / wizardRegionCanvas.width) * 100)),
+      y: Math.max(0, Math.min(100, (y / wizardRegionCanvas.height) * 100))
+    };
+    segmentWizardWall(point, e.shiftKey);
+    return;
+  }
+
   const corner = getWizardCornerAtPoint(x, y);
   if (corner) {
     wizardState.wizardDraggingCorner = corner;
+    // Dragging a corner goes back to a plain quad
+    if (wizardState.wizardRegion.polygon) {
+      wizardState.wizardRegion = window.WallRegion.toQuadRegion(wizardState.wizardRegion);
+    }
   }
 }
 
@@ -1964,11 +2796,25 @@ async function applyWizardSettings() {
     completedAt: Date.now(),
     region: wizardState.wizardRegion,
     referenceFrame: wizardState.capturedFrame?.frameDataUrl || null,
+    referenceDescriptors: wizardState.capturedFrame?.descriptors || null,
+    referencePose: null, // Regions match the reference view until the camera moves
     benchmarkResults: wizardState.benchmarkResults,
     selectedPreset
   };
 
   await chrome.storage.local.set({ wizardSetupData: setupData });
+  await chrome.storage.local.remove('recalibrationNeeded');
+
+  // Relocalize against the new reference from now on
+  const reference = setupData.referenceDescriptors ? { ...setupData.referenceDescriptors, pose: null } : null;
+  const tabs = await chrome.tabs.query({ url: 'https://meet.google.com/*' });
+  for (const tab of tabs) {
+    chrome.tabs.sendMessage(tab.id, { type: 'UPDATE_WALL_ART_REFERENCE', reference }).catch(() => {});
+    chrome.tabs.sendMessage(tab.id, { type: 'UPDATE_PAINT_SHADING_REFERENCE', frame: setupData.referenceFrame }).catch(() => {});
+    if (await chrome.action.getBadgeText({ tabId: tab.id }) === '!') {
+      chrome.action.setBadgeText({ tabId: tab.id, text: '' });
+    }
+  }
 
   // Update wall art settings with recommended preset
   wallArtSettings.segmentationPreset = selectedPreset;
@@ -2039,6 +2885,27 @@ addEffectBtn.addEventListener('click', () => {
   addModal.classList.remove('hidden');
 });
 
+// Slideshow banners store one text per slide; the editor separates slides with blank lines
+function parseBannerText(value, slideshow) {
+  if (!slideshow) return value;
+  const slides = value.split(/\n\s*\n/).map(slide => slide.trim()).filter(Boolean);
+  return slides.length > 1 ? slides : (slides[0] || '');
+}
+
+function bannerTextToString(text) {
+  return Array.isArray(text) ? text.join('\n\n') : (text || '');
+}
+
+// Show slideshow options only while the slideshow checkbox is ticked
+function updateSlideshowOptions() {
+  textBannerSlideshowOptions.classList.toggle('hidden', !textBannerSlideshow.checked);
+  textBannerSlideshowHint.classList.toggle('hidden', !textBannerSlideshow.checked);
+}
+
+if (textBannerSlideshow) {
+  textBannerSlideshow.addEventListener('change', updateSlideshowOptions);
+}
+
 // Add text banner modal
 if (addTextBannerBtn) {
   addTextBannerBtn.addEventListener('click', () => {
@@ -2051,6 +2918,11 @@ if (addTextBannerBtn) {
     textBannerBgColor.value = '#000000';
     textBannerBgOpacity.value = 70;
     textBannerOpacityValue.textContent = '70%';
+    textBannerAnimation.value = TEXT_ANIMATION_NONE;
+    textBannerSlideshow.checked = false;
+    textBannerSlideshowInterval.value = DEFAULT_SLIDESHOW_INTERVAL;
+    textBannerSlideshowLoop.checked = true;
+    updateSlideshowOptions();
     textBannerConfirmBtn.textContent = 'Add';
     textBannerModal.classList.remove('hidden');
   });
@@ -2074,12 +2946,21 @@ if (textBannerBgOpacity) {
 // Text banner confirm
 if (textBannerConfirmBtn) {
   textBannerConfirmBtn.addEventListener('click', async () => {
-    const text = textBannerInput.value.trim();
+    const text = parseBannerText(textBannerInput.value.trim(), textBannerSlideshow.checked);
     if (!text) {
       showStatus('Please enter some text', 'error');
       return;
     }
 
+    const animation = textBannerAnimation.value;
+    const slideshow = Array.isArray(text)
+      ? {
+        interval: Math.max(1, parseInt(textBannerSlideshowInterval.value) || DEFAULT_SLIDESHOW_INTERVAL),
+        loop: textBannerSlideshowLoop.checked
+      }
+      : null;
+    const firstText = Array.isArray(text) ? text[0] : text;
+
     const sameLayerOverlays = overlays.filter(o => o.layer === LAYER_FOREGROUND);
     const nextZIndex = sameLayerOverlays.length > 0
       ? Math.max(...sameLayerOverlays.map(o => o.zIndex || 0)) + 1
@@ -2092,6 +2973,8 @@ if (textBannerConfirmBtn) {
         captureStateForUndo('edit');
         overlay.text = text;
         overlay.textPosition = textBannerPosition.value;
+        overlay.animation = animation;
+        overlay.slideshow = slideshow;
         overlay.style = {
           ...overlay.style,
           fontSize: parseInt(textBannerFontSize.value) || 24,
@@ -2110,8 +2993,9 @@ if (textBannerConfirmBtn) {
         id: generateId(),
         type: TYPE_TEXT_BANNER,
         text: text,
-        name: text.substring(0, 20) + (text.length > 20 ? '...' : ''),
+        name: firstText.substring(0, 20) + (firstText.length > 20 ? '...' : ''),
         textPosition: textBannerPosition.value,
+        animation: animation,
         style: {
           fontFamily: 'Arial, sans-serif',
           fontSize: parseInt(textBannerFontSize.value) || 24,
@@ -2121,6 +3005,7 @@ if (textBannerConfirmBtn) {
           padding: 12,
           borderRadius: 8
         },
+        slideshow: slideshow,
         x: 50,
         y: 75,
         width: 80,
@@ -2157,6 +3042,13 @@ if (addTimerBtn) {
     timerDurationGroup.style.display = 'block';
     timerTextColor.value = '#ffffff';
     timerBgColor.value = '#000000';
+    timerAlertAtInput.value = '10';
+    timerAlertEffect.value = 'color';
+    timerAlertColor.value = '#cc0000';
+    timerAutoStart.checked = false;
+    timerEndAction.value = TIMER_END_NONE;
+    updateTimerModeFields();
+    updateTimerEndTarget();
     // Reset position buttons
     document.querySelectorAll('.position-btn').forEach(btn => btn.classList.remove('active'));
     document.querySelector('.position-btn[data-position="top-right"]')?.classList.add('active');
@@ -2165,6 +3057,45 @@ if (addTimerBtn) {
   });
 }
 
+// Show the fields that apply to the selected timer mode
+function updateTimerModeFields() {
+  const mode = timerModeSelect.value;
+  timerAlertGroup.classList.toggle('hidden', mode === 'clock');
+  timerEndGroup.classList.toggle('hidden', mode !== 'countdown');
+}
+
+// Fill the end-action target picker with the banners or effects the timer can show
+function updateTimerEndTarget() {
+  const action = timerEndAction.value;
+  const targetType = action === TIMER_END_SHOW_BANNER ? TYPE_TEXT_BANNER
+    : action === TIMER_END_SHOW_EFFECT ? TYPE_EFFECT
+      : null;
+
+  timerEndTargetGroup.classList.toggle('hidden', !targetType);
+  timerEndTarget.innerHTML = '';
+  if (!targetType) return;
+
+  const targets = overlays.filter(o => o.type === targetType);
+  if (targets.length === 0) {
+    timerEndTarget.innerHTML = `<option value="">No ${targetType === TYPE_EFFECT ? 'effects' : 'text banners'} yet</option>`;
+    return;
+  }
+  targets.forEach(target => {
+    const option = document.createElement('option');
+    option.value = target.id;
+    option.textContent = target.name;
+    timerEndTarget.appendChild(option);
+  });
+}
+
+// Parse "60, 10" into alert thresholds in seconds
+function parseAlertThresholds(value) {
+  const seconds = value.split(',')
+    .map(part => parseFloat(part.trim()))
+    .filter(n => Number.isFinite(n) && n >= 0);
+  return [...new Set(seconds)].sort((a, b) => b - a);
+}
+
 // Timer mode change - hide duration for clock mode
 if (timerModeSelect) {
   timerModeSelect.addEventListener('change', (e) => {
@@ -2173,9 +3104,14 @@ if (timerModeSelect) {
     } else {
       timerDurationGroup.style.display = 'block';
     }
+    updateTimerModeFields();
   });
 }
 
+if (timerEndAction) {
+  timerEndAction.addEventListener('change', updateTimerEndTarget);
+}
+
 // Timer duration preset buttons
 document.querySelectorAll('.duration-presets .btn').forEach(btn => {
   btn.addEventListener('click', (e) => {
@@ -2214,6 +3150,24 @@ if (timerConfirmBtn) {
       return;
     }
 
+    const endActionType = mode === 'countdown' ? timerEndAction.value : TIMER_END_NONE;
+    const needsTarget = endActionType === TIMER_END_SHOW_BANNER || endActionType === TIMER_END_SHOW_EFFECT;
+    if (needsTarget && !timerEndTarget.value) {
+      showStatus('Pick what to show when the timer ends', 'error');
+      return;
+    }
+    const endAction = endActionType === TIMER_END_NONE
+      ? null
+      : { type: endActionType, ...(needsTarget ? { targetId: timerEndTarget.value } : {}) };
+
+    const alertAt = mode === 'clock'
+      ? []
+      : parseAlertThresholds(timerAlertAtInput.value).map(at => ({
+        at,
+        effect: timerAlertEffect.value,
+        color: timerAlertColor.value
+      }));
+
     // Get selected position
     const activePositionBtn = document.querySelector('.position-btn.active');
     const position = activePositionBtn?.dataset.position || 'top-right';
@@ -2248,11 +3202,15 @@ if (timerConfirmBtn) {
         backgroundColor: timerBgColor.value,
         backgroundOpacity: 0.7
       },
+      alertAt: alertAt,
+      autoStart: mode !== 'clock' && timerAutoStart.checked,
+      endAction: endAction,
       timerState: {
         running: false,
         startTime: null,
         pausedAt: null,
-        elapsed: 0
+        elapsed: 0,
+        finished: false
       },
       x: pos.x,
       y: pos.y,
@@ -2277,6 +3235,147 @@ if (timerConfirmBtn) {
   });
 }
 
+// Fill the camera picker with the video inputs the Meet tab can see
+async function loadCameraDevices(selectedDeviceId) {
+  cameraDeviceSelect.innerHTML = '<option value="">Loading cameras...</option>';
+
+  const tabs = await chrome.tabs.query({ url: 'https://meet.google.com/*' });
+  if (tabs.length === 0) {
+    cameraDeviceSelect.innerHTML = '<option value="">Open Google Meet first</option>';
+    return false;
+  }
+
+  let devices = [];
+  try {
+    const response = await chrome.tabs.sendMessage(tabs[0].id, { type: 'GET_VIDEO_DEVICES' });
+    devices = response?.devices || [];
+  } catch {
+    devices = [];
+  }
+
+  if (devices.length === 0) {
+    cameraDeviceSelect.innerHTML = '<option value="">No cameras found</option>';
+    return false;
+  }
+
+  cameraDeviceSelect.innerHTML = '';
+  devices.forEach((device, i) => {
+    const option = document.createElement('option');
+    option.value = device.deviceId;
+    option.textContent = device.label || `Camera ${i + 1}`;
+    cameraDeviceSelect.appendChild(option);
+  });
+  if (selectedDeviceId && devices.some(d => d.deviceId === selectedDeviceId)) {
+    cameraDeviceSelect.value = selectedDeviceId;
+  }
+  return true;
+}
+
+// Open the camera modal, either to add a new inset or edit an existing one
+async function openCameraModal(overlay) {
+  editingOverlayId = overlay ? overlay.id : null;
+  cameraModalTitle.textContent = overlay ? 'Edit Camera' : 'Add Camera';
+  cameraShapeSelect.value = overlay?.shape || CAMERA_SHAPE_ROUNDED;
+  cameraBorderColor.value = overlay?.style?.borderColor || '#ffffff';
+  cameraConfirmBtn.textContent = overlay ? 'Save' : 'Add';
+  cameraModal.classList.remove('hidden');
+
+  const found = await loadCameraDevices(overlay?.deviceId);
+  if (!found) {
+    showStatus('No second camera available. Join a Meet call first.', 'error');
+  }
+}
+
+// Add camera modal
+if (addCameraBtn) {
+  addCameraBtn.addEventListener('click', () => {
+    openCameraModal(null);
+  });
+}
+
+// Camera modal cancel
+if (cameraCancelBtn) {
+  cameraCancelBtn.addEventListener('click', () => {
+    cameraModal.classList.add('hidden');
+    editingOverlayId = null;
+  });
+}
+
+// Camera confirm
+if (cameraConfirmBtn) {
+  cameraConfirmBtn.addEventListener('click', async () => {
+    const deviceId = cameraDeviceSelect.value;
+    if (!deviceId) {
+      showStatus('Please select a camera', 'error');
+      return;
+    }
+
+    const label = cameraDeviceSelect.selectedOptions[0]?.textContent || 'Camera';
+    const shape = cameraShapeSelect.value;
+
+    if (editingOverlayId) {
+      // Editing existing camera overlay
+      const overlay = overlays.find(o => o.id === editingOverlayId);
+      if (overlay) {
+        captureStateForUndo('edit');
+        overlay.deviceId = deviceId;
+        overlay.name = label;
+        overlay.shape = shape;
+        overlay.style = {
+          ...overlay.style,
+          borderColor: cameraBorderColor.value
+        };
+        // Circles need a square box to stay round
+        if (shape === CAMERA_SHAPE_CIRCLE) {
+          overlay.height = overlay.width * 16 / 9;
+        }
+        await saveOverlays();
+        renderOverlayList();
+        renderPreviewOverlays();
+        showStatus('Camera updated!', 'success');
+      }
+    } else {
+      const sameLayerOverlays = overlays.filter(o => o.layer === LAYER_FOREGROUND);
+      const nextZIndex = sameLayerOverlays.length > 0
+        ? Math.max(...sameLayerOverlays.map(o => o.zIndex || 0)) + 1
+        : 9;
+
+      const overlay = {
+        id: generateId(),
+        type: TYPE_CAMERA,
+        name: label,
+        deviceId: deviceId,
+        shape: shape,
+        style: {
+          cornerRadius: 16,
+          borderWidth: 3,
+          borderColor: cameraBorderColor.value
+        },
+        x: 70,
+        y: 65,
+        width: 25,
+        height: shape === CAMERA_SHAPE_CIRCLE ? 25 * 16 / 9 : 30,
+        opacity: 1,
+        active: true,
+        layer: LAYER_FOREGROUND,
+        zIndex: nextZIndex,
+        category: CATEGORY_USER,
+        createdAt: Date.now()
+      };
+
+      captureStateForUndo('add');
+      overlays.push(overlay);
+      await saveOverlays();
+      renderOverlayList();
+      renderPreviewOverlays();
+      showStatus('Camera added! It appears once your main camera is on.', 'success');
+    }
+
+    cameraModal.classList.add('hidden');
+    editingOverlayId = null;
+  });
+}
+
 cancelAddBtn.addEventListener('click', () => {
   addModal.classList.add('hidden');
 });
@@ -2469,6 +3568,7 @@ function createOverlayItem(overlay) {
   const isEffect = overlay.type === TYPE_EFFECT;
   const isTextBanner = overlay.type === TYPE_TEXT_BANNER;
   const isTimer = overlay.type === TYPE_TIMER;
+  const isCamera = overlay.type === TYPE_CAMERA;
   const isActive = overlay.active === true;
   const layer = overlay.layer || LAYER_FOREGROUND;
   const category = overlay.category || CATEGORY_USER;
@@ -2478,6 +3578,7 @@ function createOverlayItem(overlay) {
   if (isEffect) className += ' effect-item';
   if (isTextBanner) className += ' text-banner-item';
   if (isTimer) className += ' timer-item';
+  if (isCamera) className += ' camera-item';
   if (isActive) className += ' active';
   item.className = className;
   item.dataset.id = overlay.id;
@@ -2501,17 +3602,35 @@ function createOverlayItem(overlay) {
     </button>`;
   }
 
+  // Build toggle button for camera insets
+  if (isCamera) {
+    triggerBtn = `<button class="trigger-btn camera-trigger ${isActive ? 'active' : ''}" data-index="${index}" data-id="${overlay.id}" title="${isActive ? 'Turn off' : 'Turn on'}">
+      ${isActive ? '📷 ON' : '📷 OFF'}
+    </button>`;
+  }
+
   // Build position info
   let positionInfo = '';
   if (isEffect) {
     positionInfo = '<div class="position">Full screen effect</div>';
   } else if (isTextBanner) {
     const posNames = { 'lower-third': 'Lower Third', 'top': 'Top', 'center': 'Center', 'custom': 'Custom' };
-    positionInfo = `<div class="position">${posNames[overlay.textPosition] || 'Lower Third'}</div>
-                    <div class="text-preview">"${overlay.text?.substring(0, 30) || ''}${(overlay.text?.length || 0) > 30 ? '...' : ''}"</div>`;
+    const slides = Array.isArray(overlay.text) ? overlay.text : [overlay.text || ''];
+    const slideInfo = slides.length > 1 ? ` · ${slides.length} slides` : '';
+    positionInfo = `<div class="position">${posNames[overlay.textPosition] || 'Lower Third'}${slideInfo}</div>
+                    <div class="text-preview">"${slides[0].substring(0, 30)}${slides[0].length > 30 ? '...' : ''}"</div>`;
   } else if (isTimer) {
     const modeNames = { countdown: 'Countdown', countup: 'Count Up', clock: 'Clock' };
-    positionInfo = `<div class="position">${modeNames[overlay.timerMode] || 'Timer'}</div>`;
+    const endNames = { showBanner: 'then banner', showEffect: 'then effect', hide: 'then hide' };
+    const timerDetails = [
+      modeNames[overlay.timerMode] || 'Timer',
+      overlay.autoStart ? 'auto-start' : null,
+      endNames[overlay.endAction?.type] || null
+    ].filter(Boolean).join(' · ');
+    positionInfo = `<div class="position">${timerDetails}</div>`;
+  } else if (isCamera) {
+    const shapeNames = { rectangle: 'Rectangle', rounded: 'Rounded', circle: 'Circle' };
+    positionInfo = `<div class="position">${shapeNames[overlay.shape] || 'Rounded'} inset at ${Math.round(overlay.x)}%, ${Math.round(overlay.y)}%</div>`;
   } else {
     positionInfo = `<div class="position">Position: ${Math.round(overlay.x)}%, ${Math.round(overlay.y)}%</div>`;
   }
@@ -2530,6 +3649,8 @@ function createOverlayItem(overlay) {
     thumbHtml = `<div class="text-banner-icon">Aa</div>`;
   } else if (isTimer) {
     thumbHtml = `<div class="timer-icon">00:00</div>`;
+  } else if (isCamera) {
+    thumbHtml = `<div class="camera-icon ${overlay.shape === CAMERA_SHAPE_CIRCLE ? 'circle' : ''}">📷</div>`;
   } else {
     thumbHtml = `<img class="thumb" src="${overlay.src}" alt="">`;
   }
@@ -2539,12 +3660,16 @@ function createOverlayItem(overlay) {
   if (isEffect) nameIcon = '⚡ ';
   if (isTextBanner) nameIcon = '📝 ';
   if (isTimer) nameIcon = '⏱ ';
+  if (isCamera) nameIcon = '📷 ';
 
   // Extra controls for text banners (edit button)
   let extraControls = '';
   if (isTextBanner) {
     extraControls = `<button class="edit-text-btn" data-id="${overlay.id}" title="Edit Text">Edit</button>`;
   }
+  if (isCamera) {
+    extraControls = `<button class="edit-camera-btn" data-id="${overlay.id}" title="Change Camera">Edit</button>`;
+  }
 
   // Timer controls
   let timerControls = '';
@@ -2717,7 +3842,7 @@ function setupOverlayItemHandlers(listElement) {
     });
   });
 
-  // Trigger button handlers for effects, text banners, and timers
+  // Trigger button handlers for effects, text banners, timers, and cameras
   listElement.querySelectorAll('.trigger-btn').forEach(btn => {
     btn.addEventListener('click', async (e) => {
       const index = parseInt(e.target.dataset.index);
@@ -2740,6 +3865,8 @@ function setupOverlayItemHandlers(listElement) {
         messageType = 'TOGGLE_TEXT_BANNER';
       } else if (overlay.type === TYPE_TIMER) {
         messageType = 'TOGGLE_TIMER';
+      } else if (overlay.type === TYPE_CAMERA) {
+        messageType = 'TOGGLE_CAMERA';
       }
 
       for (const tab of tabs) {
@@ -2757,6 +3884,8 @@ function setupOverlayItemHandlers(listElement) {
         showStatus(newActive ? 'Text banner shown!' : 'Text banner hidden', 'success');
       } else if (overlay.type === TYPE_TIMER) {
         showStatus(newActive ? 'Timer shown!' : 'Timer hidden', 'success');
+      } else if (overlay.type === TYPE_CAMERA) {
+        showStatus(newActive ? 'Camera turned on!' : 'Camera turned off', 'success');
       }
     });
   });
@@ -2771,18 +3900,33 @@ function setupOverlayItemHandlers(listElement) {
       // Open modal in edit mode
       editingOverlayId = id;
       textBannerModalTitle.textContent = 'Edit Text Banner';
-      textBannerInput.value = overlay.text || '';
+      textBannerInput.value = bannerTextToString(overlay.text);
       textBannerPosition.value = overlay.textPosition || TEXT_POSITION_LOWER_THIRD;
       textBannerFontSize.value = overlay.style?.fontSize || 24;
       textBannerTextColor.value = overlay.style?.textColor || '#ffffff';
       textBannerBgColor.value = overlay.style?.backgroundColor || '#000000';
       textBannerBgOpacity.value = Math.round((overlay.style?.backgroundOpacity || 0.7) * 100);
       textBannerOpacityValue.textContent = textBannerBgOpacity.value + '%';
+      textBannerAnimation.value = overlay.animation || TEXT_ANIMATION_NONE;
+      textBannerSlideshow.checked = Array.isArray(overlay.text) && !!overlay.slideshow;
+      textBannerSlideshowInterval.value = overlay.slideshow?.interval || DEFAULT_SLIDESHOW_INTERVAL;
+      textBannerSlideshowLoop.checked = overlay.slideshow?.loop !== false;
+      updateSlideshowOptions();
       textBannerConfirmBtn.textContent = 'Save';
       textBannerModal.classList.remove('hidden');
     });
   });
 
+  // Edit button handlers for camera insets
+  listElement.querySelectorAll('.edit-camera-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      const id = e.target.dataset.id;
+      const overlay = overlays.find(o => o.id === id);
+      if (!overlay || overlay.type !== TYPE_CAMERA) return;
+      openCameraModal(overlay);
+    });
+  });
+
   // Timer control button handlers
   listElement.querySelectorAll('.timer-ctrl-btn').forEach(btn => {
     btn.addEventListener('click', async (e) => {
@@ -2879,9 +4023,17 @@ function renderPreviewOverlays() {
     div.style.height = overlay.height + '%';
     div.style.opacity = opacity;
 
-    const img = document.createElement('img');
-    img.src = overlay.src;
-    div.appendChild(img);
+    if (overlay.type === TYPE_CAMERA) {
+      // No frames in the popup; show where the inset will sit
+      const placeholder = document.createElement('div');
+      placeholder.className = 'camera-preview' + (overlay.shape === CAMERA_SHAPE_CIRCLE ? ' circle' : '');
+      placeholder.textContent = '📷';
+      div.appendChild(placeholder);
+    } else {
+      const img = document.createElement('img');
+      img.src = overlay.src;
+      div.appendChild(img);
+    }
 
     // Resize handle
     const handle = document.createElement('div');
@@ -3006,6 +4158,171 @@ function showStatus(msg, type) {
   }, 3000);
 }
 
+// ==================== SCENES ====================
+
+// Load saved scenes and the crossfade preference from storage
+async function loadScenes() {
+  const result = await chrome.storage.local.get(['scenes', 'activeSceneId', 'sceneCrossfade']);
+  scenes = result.scenes || [];
+  activeSceneId = result.activeSceneId || null;
+  if (sceneCrossfade) {
+    sceneCrossfade.checked = result.sceneCrossfade !== false;
+  }
+}
+
+// Save scenes to storage
+async function saveScenes() {
+  await chrome.storage.local.set({ scenes, activeSceneId });
+}
+
+// Snapshot the current overlays, wall art and settings (see createScene in lib/overlay-utils.js).
+// Timers are stored stopped: running state belongs to the meeting, not the scene.
+function createScene(name) {
+  const snapshot = JSON.parse(JSON.stringify({ overlays, wallArtOverlays, wallArtSettings }));
+  snapshot.overlays.forEach(overlay => {
+    if (overlay.type === TYPE_TIMER) {
+      overlay.timerState = {
+        running: false,
+        startTime: null,
+        pausedAt: null,
+        elapsed: 0,
+        finished: false
+      };
+    }
+  });
+
+  return {
+    id: generateId(),
+    name: name.trim() || 'Scene',
+    ...snapshot,
+    createdAt: Date.now()
+  };
+}
+
+// Render the scene switcher
+function renderSceneList() {
+  if (!sceneList) return;
+  sceneList.innerHTML = '';
+  sceneEmptyState.classList.toggle('hidden', scenes.length > 0);
+
+  scenes.forEach(scene => {
+    const chip = document.createElement('div');
+    chip.className = 'scene-chip' + (scene.id === activeSceneId ? ' active' : '');
+
+    const switchBtn = document.createElement('button');
+    switchBtn.className = 'scene-switch-btn';
+    switchBtn.textContent = scene.name;
+    switchBtn.title = `Switch to ${scene.name}`;
+    switchBtn.addEventListener('click', () => switchScene(scene.id));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'scene-delete-btn';
+    deleteBtn.textContent = '×';
+    deleteBtn.title = 'Delete scene';
+    deleteBtn.addEventListener('click', () => {
+      showConfirmDialog(
+        'Delete Scene?',
+        'Are you sure you want to delete this scene?<br><small>Your current overlays and wall art are not changed.</small>',
+        async () => {
+          scenes = scenes.filter(s => s.id !== scene.id);
+          if (activeSceneId === scene.id) {
+            activeSceneId = null;
+          }
+          await saveScenes();
+          renderSceneList();
+          showStatus('Scene deleted', 'success');
+        }
+      );
+    });
+
+    chip.appendChild(switchBtn);
+    chip.appendChild(deleteBtn);
+    sceneList.appendChild(chip);
+  });
+}
+
+// Make a scene the current configuration. Storage is updated for all three keys,
+// and Meet tabs get a single APPLY_SCENE message so everything changes together.
+async function switchScene(id) {
+  const scene = scenes.find(s => s.id === id);
+  if (!scene) return;
+
+  overlays = JSON.parse(JSON.stringify(scene.overlays)).map(migrateOverlay);
+  wallArtOverlays = JSON.parse(JSON.stringify(scene.wallArtOverlays));
+  wallArtSettings = { ...wallArtSettings, ...scene.wallArtSettings };
+  activeSceneId = id;
+  await chrome.storage.local.set({ overlays, wallArtOverlays, wallArtSettings, activeSceneId });
+
+  const crossfadeMs = sceneCrossfade?.checked ? DEFAULT_SCENE_CROSSFADE_MS : 0;
+  const tabs = await chrome.tabs.query({ url: 'https://meet.google.com/*' });
+  for (const tab of tabs) {
+    chrome.tabs.sendMessage(tab.id, {
+      type: 'APPLY_SCENE',
+      scene: { id: scene.id, name: scene.name, overlays, wallArtOverlays, wallArtSettings },
+      crossfadeMs
+    }).catch(() => {});
+  }
+
+  // Undo only covers the overlay list, so it can't restore the previous scene
+  previousState = null;
+  lastActionType = null;
+  canRedo = false;
+  redoState = null;
+  selectedOverlayId = null;
+
+  updateWallArtSettingsUI();
+  renderOverlayList();
+  renderPreviewOverlays();
+  renderWallArtList();
+  renderSceneList();
+  showStatus(`Switched to ${scene.name}`, 'success');
+}
+
+// Save scene
+if (saveSceneBtn) {
+  saveSceneBtn.addEventListener('click', () => {
+    sceneNameInput.value = `Scene ${scenes.length + 1}`;
+    sceneModal.classList.remove('hidden');
+    sceneNameInput.focus();
+    sceneNameInput.select();
+  });
+}
+
+// Scene modal cancel
+if (sceneCancelBtn) {
+  sceneCancelBtn.addEventListener('click', () => {
+    sceneModal.classList.add('hidden');
+  });
+}
+
+// Scene confirm
+if (sceneConfirmBtn) {
+  sceneConfirmBtn.addEventListener('click', async () => {
+    const scene = createScene(sceneNameInput.value);
+    scenes.push(scene);
+    activeSceneId = scene.id;
+    await saveScenes();
+    sceneModal.classList.add('hidden');
+    renderSceneList();
+    showStatus(`Saved scene ${scene.name}`, 'success');
+  });
+}
+
+if (sceneNameInput) {
+  sceneNameInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      sceneConfirmBtn.click();
+    }
+  });
+}
+
+// Remember the crossfade preference
+if (sceneCrossfade) {
+  sceneCrossfade.addEventListener('change', () => {
+    chrome.storage.local.set({ sceneCrossfade: sceneCrossfade.checked });
+  });
+}
+
 // ==================== UNDO/REDO ====================
 
 // Capture state before an action for undo
@@ -0,0 +1,114 @@
+/**
+ * Model Fetcher
+ * Puts the model files the extension runs in the browser into models/, so they
+ * work offline:
+ * - sam: SlimSAM (Xenova/slimsam-77-uniform, fp16) for click-to-segment
+ * - depth: Depth Anything small (Xenova/depth-anything-small-hf, q8) for the depth pass
+ * - The self-contained browser build of the installed @huggingface/transformers
+ *   (transformers.js, ONNX runtime included) and the runtime's WebAssembly files
+ *
+ * Usage: node scripts/fetch-models.js [sam|depth ...] [--force]
+ *
+ * Fetches every model when none is named.
+ *
+ * Options:
+ *   --force   Download models again even if they are already there
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const MODELS_DIR = path.join(ROOT, 'models');
+
+const MODELS = {
+  sam: {
+    repo: 'Xenova/slimsam-77-uniform',
+    files: [
+      'config.json',
+      'preprocessor_config.json',
+      'onnx/vision_encoder_fp16.onnx',
+      'onnx/prompt_encoder_mask_decoder_fp16.onnx'
+    ]
+  },
+  depth: {
+    repo: 'Xenova/depth-anything-small-hf',
+    files: [
+      'config.json',
+      'preprocessor_config.json',
+      'onnx/model_quantized.onnx'
+    ]
+  }
+};
+
+const RUNTIME_SOURCE = path.join(ROOT, 'node_modules', '@huggingface', 'transformers', 'dist');
+const RUNTIME_DIR = path.join(MODELS_DIR, 'onnxruntime');
+const RUNTIME_FILES = ['ort-wasm-simd-threaded.jsep.mjs', 'ort-wasm-simd-threaded.jsep.wasm'];
+// transformers.web.js leaves onnxruntime-web as a bare import the unbundled
+// extension can't resolve; transformers.js has it built in
+const TRANSFORMERS_FILE = 'transformers.js';
+
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const names = args.filter(arg => !arg.startsWith('--'));
+
+async function download(repo, file) {
+  const target = path.join(MODELS_DIR, repo.split('/')[1], file);
+  if (!force && fs.existsSync(target)) {
+    console.log(`  ${file} (already there)`);
+    return;
+  }
+
+  const url = `https://huggingface.co/${repo}/resolve/main/${file}`;
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${url}: ${response.status} ${response.statusText}`);
+  }
+
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, Buffer.from(await response.arrayBuffer()));
+  console.log(`  ${file} (${(fs.statSync(target).size / 1024 / 1024).toFixed(1)} MB)`);
+}
+
+function copyFromRuntime(file, targetDir) {
+  const source = path.join(RUNTIME_SOURCE, file);
+  if (!fs.existsSync(source)) {
+    throw new Error(`${source} not found, run npm install first`);
+  }
+  fs.mkdirSync(targetDir, { recursive: true });
+  fs.copyFileSync(source, path.join(targetDir, file));
+  console.log(`  ${path.relative(MODELS_DIR, path.join(targetDir, file))}`);
+}
+
+function copyRuntime() {
+  copyFromRuntime(TRANSFORMERS_FILE, MODELS_DIR);
+  for (const file of RUNTIME_FILES) {
+    copyFromRuntime(file, RUNTIME_DIR);
+  }
+}
+
+async function main() {
+  const unknown = names.filter(name => !MODELS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown model: ${unknown.join(', ')} (expected ${Object.keys(MODELS).join(', ')})`);
+  }
+
+  for (const name of names.length > 0 ? names : Object.keys(MODELS)) {
+    const { repo, files } = MODELS[name];
+    console.log(`Fetching ${repo}...`);
+    for (const file of files) {
+      await download(repo, file);
+    }
+  }
+
+  console.log('Copying Transformers.js and ONNX runtime...');
+  copyRuntime();
+
+  console.log(`Done: ${path.relative(ROOT, MODELS_DIR)}/`);
+}
+
+main().catch(error => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
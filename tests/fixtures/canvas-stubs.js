@@ -0,0 +1,78 @@
+/**
+ * Canvas stand-ins for renderer tests (Node has no ImageData or OffscreenCanvas).
+ *
+ * stubCanvases() replaces OffscreenCanvas with canvases whose 2D contexts accept
+ * any drawing call and do nothing, recording just enough to check how a renderer
+ * uses its canvases. Restore the real global with vi.unstubAllGlobals().
+ */
+
+import { vi } from 'vitest';
+
+/**
+ * Minimal ImageData stand-in.
+ *
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [alpha=0] - Alpha of every pixel
+ * @returns {{ width: number, height: number, data: Uint8ClampedArray }}
+ */
+export function createPixels(width, height, alpha = 0) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  if (alpha) {
+    for (let i = 3; i < data.length; i += 4) data[i] = alpha;
+  }
+  return { width, height, data };
+}
+
+/**
+ * 2D context that ignores drawing calls. Reading pixels back returns opaque black.
+ *
+ * @param {{ width: number, height: number }} canvas - Canvas the context belongs to
+ * @param {{ reads: number, fillStyles: Array }} [counters] - Counts getImageData calls
+ *   and collects every fill style set
+ * @returns {*}
+ */
+function createFakeContext(canvas, counters = { reads: 0, fillStyles: [] }) {
+  const context = {
+    canvas,
+    createImageData: (width, height) => createPixels(width, height),
+    getImageData: (x, y, width, height) => {
+      counters.reads++;
+      return createPixels(width, height, 255);
+    }
+  };
+  const noop = () => {};
+  return new Proxy(context, {
+    get: (target, key) => (key in target ? target[key] : noop),
+    set: (target, key, value) => {
+      if (key === 'fillStyle') counters.fillStyles.push(value);
+      target[key] = value;
+      return true;
+    }
+  });
+}
+
+/**
+ * Replace OffscreenCanvas with fake canvases.
+ *
+ * @returns {{ created: number[][], reads: number, fillStyles: Array }} Sizes of the canvases
+ *   created so far, how often pixels were read back from any of them, and the fill
+ *   styles set on them in order
+ */
+export function stubCanvases() {
+  const counters = { created: [], reads: 0, fillStyles: [] };
+  class FakeCanvas {
+    constructor(width, height) {
+      this.width = width;
+      this.height = height;
+      this.context = createFakeContext(this, counters);
+      counters.created.push([width, height]);
+    }
+
+    getContext() {
+      return this.context;
+    }
+  }
+  vi.stubGlobal('OffscreenCanvas', FakeCanvas);
+  return counters;
+}
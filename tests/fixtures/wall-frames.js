@@ -0,0 +1,147 @@
+/**
+ * Synthetic camera frames for wall detection tests.
+ *
+ * Frames are rendered at the detector's analysis resolution (160x120) from
+ * anti-aliased polygons with known geometry, with a little deterministic noise
+ * so edges are not perfectly clean. Each fixture lists the wall quads (in
+ * percent) a detector should find.
+ */
+
+const WIDTH = 160;
+const HEIGHT = 120;
+
+function isInside(polygon, x, y) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function isInsideEllipse(ellipse, x, y) {
+  const dx = (x - ellipse.cx) / ellipse.rx;
+  const dy = (y - ellipse.cy) / ellipse.ry;
+  return dx * dx + dy * dy <= 1;
+}
+
+/**
+ * Render shapes painted in order (later shapes cover earlier ones)
+ * @param {Array<{polygon?: number[][], ellipse?: Object, color: number[]}>} shapes
+ * @param {number} [noise=4] - Max per-channel noise
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+function renderFrame(shapes, noise = 4) {
+  const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+  let seed = 12345;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    return seed / 0x7fffffff;
+  };
+
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      // 4x4 supersampling, like the soft edges of a real camera
+      const color = [0, 0, 0];
+      for (let sy = 0; sy < 4; sy++) {
+        for (let sx = 0; sx < 4; sx++) {
+          let sample = [0, 0, 0];
+          for (const shape of shapes) {
+            const px = x + (sx + 0.5) / 4;
+            const py = y + (sy + 0.5) / 4;
+            const hit = shape.polygon ? isInside(shape.polygon, px, py) : isInsideEllipse(shape.ellipse, px, py);
+            if (hit) sample = shape.color;
+          }
+          for (let c = 0; c < 3; c++) color[c] += sample[c] / 16;
+        }
+      }
+      const i = (y * WIDTH + x) * 4;
+      for (let c = 0; c < 3; c++) {
+        data[i + c] = Math.round(color[c] + (random() * 2 - 1) * noise);
+      }
+      data[i + 3] = 255;
+    }
+  }
+  return { width: WIDTH, height: HEIGHT, data };
+}
+
+/**
+ * Render a person mask (RGBA, person = white) for an ellipse
+ * @returns {Uint8ClampedArray}
+ */
+function renderMask(ellipse) {
+  const mask = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      if (isInsideEllipse(ellipse, x + 0.5, y + 0.5)) {
+        mask.fill(255, (y * WIDTH + x) * 4, (y * WIDTH + x) * 4 + 4);
+      }
+    }
+  }
+  return mask;
+}
+
+const toPercent = ([x, y]) => ({ x: (x / WIDTH) * 100, y: (y / HEIGHT) * 100 });
+
+function quad(topLeft, topRight, bottomRight, bottomLeft) {
+  return {
+    topLeft: toPercent(topLeft),
+    topRight: toPercent(topRight),
+    bottomRight: toPercent(bottomRight),
+    bottomLeft: toPercent(bottomLeft)
+  };
+}
+
+// Two walls meeting in a corner at x=72, each receding to its own vanishing point
+// (left wall lines meet near (232, 54), right wall lines near (-100, 53))
+const CORNER = {
+  ceilingLeft: [0, 2],
+  ceilingCorner: [72, 18],
+  ceilingRight: [160, 0],
+  floorLeft: [0, 115],
+  floorCorner: [72, 96],
+  floorRight: [160, 118]
+};
+
+const CORNER_SHAPES = [
+  { polygon: [[0, 0], [160, 0], [160, 120], [0, 120]], color: [235, 235, 232] },
+  { polygon: [[0, 120], [0, 115], [72, 96], [160, 118], [160, 120]], color: [120, 90, 60] },
+  { polygon: [CORNER.ceilingLeft, CORNER.ceilingCorner, CORNER.floorCorner, CORNER.floorLeft], color: [200, 188, 165] },
+  { polygon: [CORNER.ceilingCorner, CORNER.ceilingRight, CORNER.floorRight, CORNER.floorCorner], color: [150, 165, 190] }
+];
+
+const PERSON = { cx: 104, cy: 100, rx: 20, ry: 34 };
+
+export const cornerRoom = {
+  frame: renderFrame(CORNER_SHAPES),
+  walls: [
+    quad(CORNER.ceilingLeft, CORNER.ceilingCorner, CORNER.floorCorner, CORNER.floorLeft),
+    quad(CORNER.ceilingCorner, CORNER.ceilingRight, CORNER.floorRight, CORNER.floorCorner)
+  ],
+  vanishingPoints: [{ x: 232.4, y: 53.6 }, { x: -99.6, y: 53.1 }]
+};
+
+// The same room with someone sitting in front of the right wall
+export const cornerRoomWithPerson = {
+  frame: renderFrame([...CORNER_SHAPES, { ellipse: PERSON, color: [60, 48, 45] }]),
+  personMask: renderMask(PERSON),
+  walls: cornerRoom.walls
+};
+
+// A wall seen straight on, with a door on the right and the floor below
+export const frontalWall = {
+  frame: renderFrame([
+    { polygon: [[0, 0], [160, 0], [160, 80], [0, 80]], color: [182, 180, 172] },
+    { polygon: [[0, 80], [160, 80], [160, 120], [0, 120]], color: [110, 98, 86] },
+    { polygon: [[110, 20], [135, 20], [135, 80], [110, 80]], color: [92, 70, 50] }
+  ]),
+  walls: [quad([0, 0], [110, 0], [110, 80], [0, 80])]
+};
+
+// Busy texture with no walls in it
+export const clutter = {
+  frame: renderFrame([{ polygon: [[0, 0], [160, 0], [160, 120], [0, 120]], color: [128, 128, 128] }], 90)
+};
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { getBorderSize, getFrameExtent, mapUnitRect, hasArtDecor, FRAME_STYLES } from '../../lib/art-frame.js';
+import { computeQuadHomography } from '../../lib/wall-region.js';
+
+// Art on a wall receding to the right: the right edge is shorter
+const RECEDING = {
+  topLeft: { x: 100, y: 100 },
+  topRight: { x: 300, y: 140 },
+  bottomLeft: { x: 100, y: 400 },
+  bottomRight: { x: 300, y: 360 }
+};
+
+describe('getBorderSize', () => {
+  it('keeps borders equally thick on landscape and portrait art', () => {
+    expect(getBorderSize(0.1, 2)).toEqual({ x: 0.05, y: 0.1 });
+    expect(getBorderSize(0.1, 0.5)).toEqual({ x: 0.1, y: 0.05 });
+  });
+});
+
+describe('getFrameExtent', () => {
+  it('adds the mat inside the moulding', () => {
+    const { mat, outer } = getFrameExtent({ style: 'galleryWhite' }, 1);
+    expect(mat.x).toBeCloseTo(FRAME_STYLES.galleryWhite.mat, 6);
+    expect(outer.y).toBeCloseTo(FRAME_STYLES.galleryWhite.mat + FRAME_STYLES.galleryWhite.width, 6);
+  });
+
+  it('uses the overlay widths over the style defaults', () => {
+    const { mat, outer } = getFrameExtent({ style: 'wood', width: 0.1, mat: 0.05 }, 1);
+    expect(mat.x).toBeCloseTo(0.05, 6);
+    expect(outer.x).toBeCloseTo(0.15, 6);
+  });
+
+  it('has no extent without a known style', () => {
+    expect(getFrameExtent(null, 1).outer).toEqual({ x: 0, y: 0 });
+    expect(getFrameExtent({ style: 'none' }, 1).outer).toEqual({ x: 0, y: 0 });
+  });
+});
+
+describe('mapUnitRect', () => {
+  it('maps the unit square onto the art quad', () => {
+    const quad = mapUnitRect(computeQuadHomography(RECEDING), 0, 0, 1, 1);
+    expect(quad.topRight.x).toBeCloseTo(300, 6);
+    expect(quad.bottomRight.y).toBeCloseTo(360, 6);
+  });
+
+  it('foreshortens borders on the far side of the wall', () => {
+    const outer = mapUnitRect(computeQuadHomography(RECEDING), -0.1, -0.1, 1.1, 1.1);
+    const nearBorder = RECEDING.topLeft.x - outer.topLeft.x;
+    const farBorder = outer.topRight.x - RECEDING.topRight.x;
+
+    expect(nearBorder).toBeGreaterThan(0);
+    expect(farBorder).toBeGreaterThan(0);
+    expect(farBorder).toBeLessThan(nearBorder);
+    // The top border reaches above the art's top edge
+    expect(outer.topRight.y).toBeLessThan(RECEDING.topRight.y);
+  });
+});
+
+describe('hasArtDecor', () => {
+  it('only counts styles, shadows and glare that are turned on', () => {
+    expect(hasArtDecor({ frame: { style: 'none' }, shadow: { enabled: false }, glare: null })).toBe(false);
+    expect(hasArtDecor({ frame: { style: 'thinBlack' } })).toBe(true);
+    expect(hasArtDecor({ shadow: { enabled: true } })).toBe(true);
+    expect(hasArtDecor({ glare: { enabled: true } })).toBe(true);
+    expect(hasArtDecor(null)).toBe(false);
+  });
+});
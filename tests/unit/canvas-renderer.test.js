@@ -3,6 +3,13 @@ import { createCanvas } from 'canvas';
 import {
   drawOverlay,
   renderOverlays,
+  renderCameraOverlay,
+  renderTextBanner,
+  renderTimer,
+  renderCrossfade,
+  getTextBannerFrame,
+  trackTextBannerVisibility,
+  TEXT_ANIMATION_DURATION_MS,
   hasContentInRegion,
   getPixelColor
 } from '../../lib/canvas-renderer.js';
@@ -289,6 +296,279 @@ describe('renderOverlays', () => {
   });
 });
 
+describe('renderCameraOverlay', () => {
+  it('clips circular insets to the circle', async () => {
+    const canvas = createCanvas(400, 400);
+    const ctx = canvas.getContext('2d');
+    const frame = (await createTestImage(640, 480, 'red'))._canvas;
+
+    const camera = { x: 0, y: 0, width: 50, height: 50, shape: 'circle', style: { borderWidth: 0 } };
+    renderCameraOverlay(ctx, camera, frame, 400, 400, { mirror: false });
+
+    // Center of the circle is filled, the box corner outside it is not
+    expect(getPixelColor(ctx, 100, 100).r).toBe(255);
+    expect(hasContentInRegion(ctx, 0, 0, 20, 20)).toBe(false);
+    // Nothing outside the inset box
+    expect(hasContentInRegion(ctx, 220, 220, 100, 100)).toBe(false);
+  });
+});
+
+describe('text banner animations', () => {
+  const DURATION = TEXT_ANIMATION_DURATION_MS;
+
+  function createBanner(overrides = {}) {
+    return {
+      id: 'banner',
+      type: 'textBanner',
+      text: 'Hello',
+      textPosition: 'center',
+      animation: 'fade',
+      active: true,
+      style: { backgroundColor: '#0000ff', backgroundOpacity: 1, textColor: '#0000ff', padding: 40 },
+      ...overrides
+    };
+  }
+
+  // Left edge of the banner box along the canvas middle row
+  function boxLeftEdge(ctx, width, height) {
+    for (let x = 0; x < width; x++) {
+      if (getPixelColor(ctx, x, height / 2).a > 0) return x;
+    }
+    return -1;
+  }
+
+  // Box width along the canvas middle row
+  function boxWidth(ctx, width, height) {
+    let count = 0;
+    for (let x = 0; x < width; x++) {
+      if (getPixelColor(ctx, x, height / 2).a > 0) count++;
+    }
+    return count;
+  }
+
+  function renderAt(banner, elapsed, hiddenFor = null) {
+    const canvas = createCanvas(400, 400);
+    const ctx = canvas.getContext('2d');
+    renderTextBanner(ctx, banner, 400, 400, { mirror: false, elapsed, hiddenFor });
+    return ctx;
+  }
+
+  it('fades in over the animation duration', () => {
+    const banner = createBanner();
+    const alphas = [0, DURATION / 4, DURATION / 2, DURATION].map(t => getPixelColor(renderAt(banner, t), 200, 200).a);
+
+    expect(alphas[0]).toBe(0);
+    expect(alphas[1]).toBeGreaterThan(alphas[0]);
+    expect(alphas[2]).toBeGreaterThan(alphas[1]);
+    expect(alphas[3]).toBe(255);
+  });
+
+  it('fades out after being hidden, then draws nothing', () => {
+    const banner = createBanner({ active: false });
+    const alphas = [0, DURATION / 2, DURATION].map(t => getPixelColor(renderAt(banner, Infinity, t), 200, 200).a);
+
+    expect(alphas[0]).toBe(255);
+    expect(alphas[1]).toBeGreaterThan(0);
+    expect(alphas[1]).toBeLessThan(255);
+    expect(alphas[2]).toBe(0);
+  });
+
+  it('slides in from the right and out to the left', () => {
+    const banner = createBanner({ animation: 'slide-left' });
+    const rest = boxLeftEdge(renderAt(banner, DURATION), 400, 400);
+    const entering = boxLeftEdge(renderAt(banner, DURATION / 2), 400, 400);
+    const exiting = boxLeftEdge(renderAt(banner, Infinity, DURATION / 2), 400, 400);
+
+    expect(entering).toBeGreaterThan(rest);
+    expect(exiting).toBeLessThan(rest);
+  });
+
+  it('is fully shown immediately without an animation', () => {
+    const banner = createBanner({ animation: 'none' });
+    expect(getPixelColor(renderAt(banner, 0), 200, 200).a).toBe(255);
+    expect(hasContentInRegion(renderAt(banner, Infinity, 0), 0, 0, 400, 400)).toBe(false);
+  });
+
+  it('cycles slideshow text at the configured interval', () => {
+    const banner = createBanner({
+      animation: 'none',
+      text: ['A', 'A much longer slide'],
+      slideshow: { interval: 2 }
+    });
+
+    const first = boxWidth(renderAt(banner, 1000), 400, 400);
+    const second = boxWidth(renderAt(banner, 3000), 400, 400);
+    const firstAgain = boxWidth(renderAt(banner, 5000), 400, 400);
+
+    expect(second).toBeGreaterThan(first);
+    expect(firstAgain).toBe(first);
+  });
+});
+
+describe('getTextBannerFrame', () => {
+  const DURATION = TEXT_ANIMATION_DURATION_MS;
+  const slideshow = {
+    text: ['one', 'two', 'three'],
+    animation: 'fade',
+    slideshow: { interval: 2 }
+  };
+
+  it('picks the slide for the elapsed time and wraps around', () => {
+    expect(getTextBannerFrame(slideshow, 0).text).toBe('one');
+    expect(getTextBannerFrame(slideshow, 2500).text).toBe('two');
+    expect(getTextBannerFrame(slideshow, 4500).text).toBe('three');
+    expect(getTextBannerFrame(slideshow, 6500).text).toBe('one');
+  });
+
+  it('stops on the last slide when not looping', () => {
+    const once = { ...slideshow, slideshow: { interval: 2, loop: false } };
+    const frame = getTextBannerFrame(once, 60000);
+    expect(frame.text).toBe('three');
+    expect(frame.phase).toBe('hold');
+  });
+
+  it('plays exit then enter around each slide change', () => {
+    const beforeChange = getTextBannerFrame(slideshow, 2000 - DURATION / 2);
+    expect(beforeChange.text).toBe('one');
+    expect(beforeChange.phase).toBe('exit');
+    expect(beforeChange.progress).toBeCloseTo(0.5);
+
+    const afterChange = getTextBannerFrame(slideshow, 2000 + DURATION / 2);
+    expect(afterChange.text).toBe('two');
+    expect(afterChange.phase).toBe('enter');
+    expect(afterChange.progress).toBeCloseTo(0.5);
+
+    const middle = getTextBannerFrame(slideshow, 3000);
+    expect(middle.phase).toBe('hold');
+    expect(middle.progress).toBe(1);
+  });
+
+  it('shows only the first text when slideshow is off', () => {
+    const frame = getTextBannerFrame({ ...slideshow, slideshow: null }, 10000);
+    expect(frame.text).toBe('one');
+  });
+
+  it('returns null once the exit animation has finished', () => {
+    expect(getTextBannerFrame(slideshow, Infinity, DURATION / 2)).not.toBeNull();
+    expect(getTextBannerFrame(slideshow, Infinity, DURATION)).toBeNull();
+  });
+});
+
+describe('trackTextBannerVisibility', () => {
+  it('measures time since the banner was shown and hidden', () => {
+    const clock = new Map();
+    const banner = { id: 'b', active: true };
+
+    expect(trackTextBannerVisibility(clock, banner, 1000)).toEqual({ elapsed: 0, hiddenFor: null });
+    expect(trackTextBannerVisibility(clock, banner, 1500)).toEqual({ elapsed: 500, hiddenFor: null });
+
+    banner.active = false;
+    expect(trackTextBannerVisibility(clock, banner, 2000).hiddenFor).toBe(0);
+    expect(trackTextBannerVisibility(clock, banner, 2100).hiddenFor).toBe(100);
+
+    banner.active = true;
+    expect(trackTextBannerVisibility(clock, banner, 3000).elapsed).toBe(0);
+  });
+
+  it('exits a slideshow on the slide that was up when it was hidden', () => {
+    const clock = new Map();
+    const banner = { id: 'b', active: true, text: ['one', 'two', 'three'], animation: 'fade', slideshow: { interval: 2 } };
+
+    trackTextBannerVisibility(clock, banner, 0);
+    banner.active = false;
+    trackTextBannerVisibility(clock, banner, 3000);
+    const { elapsed, hiddenFor } = trackTextBannerVisibility(clock, banner, 3000 + TEXT_ANIMATION_DURATION_MS / 2);
+
+    expect(elapsed).toBe(3000);
+    const frame = getTextBannerFrame(banner, elapsed, hiddenFor);
+    expect(frame.text).toBe('two');
+    expect(frame.phase).toBe('exit');
+    expect(frame.progress).toBeCloseTo(0.5);
+  });
+
+  it('does not animate out banners that were already hidden', () => {
+    const clock = new Map();
+    const { hiddenFor } = trackTextBannerVisibility(clock, { id: 'b', active: false }, 1000);
+    expect(hiddenFor).toBe(Infinity);
+  });
+});
+
+describe('renderTimer alerts', () => {
+  const NOW = 1_000_000;
+
+  function createRunningTimer(alertAt, elapsedSeconds) {
+    return {
+      id: 'timer',
+      type: 'timer',
+      timerMode: 'countdown',
+      duration: 60,
+      alertAt,
+      x: 5,
+      y: 5,
+      style: { backgroundColor: '#000000', backgroundOpacity: 1, textColor: '#000000' },
+      timerState: { running: true, startTime: NOW - elapsedSeconds * 1000, pausedAt: null, elapsed: 0 }
+    };
+  }
+
+  function backgroundAt(timer, timestamp) {
+    const canvas = createCanvas(640, 360);
+    const ctx = canvas.getContext('2d');
+    renderTimer(ctx, timer, 640, 360, timestamp, { mirror: false, now: NOW });
+    // Just inside the box's top-left corner
+    return getPixelColor(ctx, 40, 24);
+  }
+
+  it('changes color once the threshold is reached', () => {
+    const alertAt = [{ at: 10, effect: 'color', color: '#ff0000' }];
+    expect(backgroundAt(createRunningTimer(alertAt, 30), 0).r).toBe(0);
+    expect(backgroundAt(createRunningTimer(alertAt, 55), 0).r).toBe(255);
+  });
+
+  it('flashes between the alert and normal color', () => {
+    const timer = createRunningTimer([{ at: 10, effect: 'flash', color: '#ff0000' }], 55);
+    expect(backgroundAt(timer, 0).r).toBe(255);
+    expect(backgroundAt(timer, 300).r).toBe(0);
+    expect(backgroundAt(timer, 500).r).toBe(255);
+  });
+});
+
+describe('renderCrossfade', () => {
+  function createSnapshot() {
+    const snapshot = createCanvas(100, 100);
+    const snapshotCtx = snapshot.getContext('2d');
+    snapshotCtx.fillStyle = '#ff0000';
+    snapshotCtx.fillRect(0, 0, 100, 100);
+    return snapshot;
+  }
+
+  function renderAt(elapsed) {
+    const canvas = createCanvas(100, 100);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#0000ff';
+    ctx.fillRect(0, 0, 100, 100);
+    const fading = renderCrossfade(ctx, createSnapshot(), elapsed, 400);
+    return { fading, color: getPixelColor(ctx, 50, 50) };
+  }
+
+  it('fades the previous scene out over the new one', () => {
+    const start = renderAt(0);
+    expect(start.fading).toBe(true);
+    expect(start.color.r).toBe(255);
+
+    const middle = renderAt(200);
+    expect(middle.color.r).toBeGreaterThan(100);
+    expect(middle.color.r).toBeLessThan(155);
+    expect(middle.color.b).toBeGreaterThan(100);
+  });
+
+  it('stops once the crossfade is over', () => {
+    const end = renderAt(400);
+    expect(end.fading).toBe(false);
+    expect(end.color.r).toBe(0);
+    expect(end.color.b).toBe(255);
+  });
+});
+
 describe('getPixelColor', () => {
   it('returns correct RGBA values', () => {
     const canvas = createCanvas(10, 10);
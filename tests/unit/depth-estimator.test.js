@@ -0,0 +1,208 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createDepthMap,
+  warpDepthMap,
+  fitDepthPlane,
+  scoreDepthRegion,
+  rankRegionsByDepth,
+  computeDepthOcclusion,
+  DepthOcclusion,
+  DEFAULT_DEPTH_MARGIN
+} from '../../lib/depth-estimator.js';
+
+const WIDTH = 40;
+const HEIGHT = 30;
+
+/**
+ * Depth map of a wall receding to the right (nearness falls from 0.5 to 0.2 across
+ * the frame), optionally with a box (x0..x1, y0..y1 inclusive) standing in front
+ */
+function createDepth(box = null, nearness = (u) => 0.5 - 0.3 * u) {
+  const data = new Float32Array(WIDTH * HEIGHT);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const inBox = box && x >= box.x0 && x <= box.x1 && y >= box.y0 && y <= box.y1;
+      data[y * WIDTH + x] = inBox ? 0.9 : nearness((x + 0.5) / WIDTH, (y + 0.5) / HEIGHT);
+    }
+  }
+  return { data, width: WIDTH, height: HEIGHT };
+}
+
+function quad(x0, y0, x1, y1) {
+  return {
+    topLeft: { x: x0, y: y0 },
+    topRight: { x: x1, y: y0 },
+    bottomRight: { x: x1, y: y1 },
+    bottomLeft: { x: x0, y: y1 }
+  };
+}
+
+function hidden(mask) {
+  const pixels = [];
+  for (let i = 0; i < mask.width * mask.height; i++) {
+    if (mask.data[i * 4 + 3] > 0) pixels.push({ x: i % mask.width, y: Math.floor(i / mask.width) });
+  }
+  return pixels;
+}
+
+const BOX = { x0: 10, y0: 10, x1: 17, y1: 19 };
+const WHOLE_FRAME = quad(0, 0, 100, 100);
+
+describe('createDepthMap', () => {
+  it('averages the model output down and normalizes it to 0-1 nearness', () => {
+    const values = [
+      10, 20, 30, 50,
+      10, 20, 30, 50
+    ];
+    const depthMap = createDepthMap(values, 4, 2, 2);
+
+    expect(depthMap.width).toBe(2);
+    expect(depthMap.height).toBe(1);
+    expect(depthMap.data[0]).toBeCloseTo(0);
+    expect(depthMap.data[1]).toBeCloseTo(1);
+  });
+
+  it('keeps the frame aspect', () => {
+    const depthMap = createDepthMap(new Float32Array(640 * 360), 640, 360);
+    expect(depthMap.width).toBe(160);
+    expect(depthMap.height).toBe(90);
+  });
+});
+
+describe('warpDepthMap', () => {
+  it('returns the map unchanged without a pose', () => {
+    const depthMap = createDepth();
+    expect(warpDepthMap(depthMap, null)).toBe(depthMap);
+  });
+
+  it('moves the map with the camera and leaves uncovered pixels empty', () => {
+    const depthMap = createDepth();
+    // The view moved so everything appears 10% further right
+    const warped = warpDepthMap(depthMap, [1, 0, 10, 0, 1, 0, 0, 0, 1]);
+
+    expect(Number.isNaN(warped.data[0])).toBe(true);
+    expect(warped.data[5 * WIDTH + 20]).toBeCloseTo(depthMap.data[5 * WIDTH + 16]);
+  });
+});
+
+describe('fitDepthPlane', () => {
+  it('finds the wall plane behind an object standing in front of it', () => {
+    const plane = fitDepthPlane(createDepth(BOX), WHOLE_FRAME);
+
+    expect(plane.a).toBeCloseTo(-0.3, 3);
+    expect(plane.b).toBeCloseTo(0, 3);
+    expect(plane.c).toBeCloseTo(0.5, 3);
+    expect(plane.rms).toBeLessThan(1e-4);
+    expect(plane.inlierRatio).toBeCloseTo(1 - 80 / (WIDTH * HEIGHT), 3);
+  });
+
+  it('needs enough depth pixels inside the region', () => {
+    expect(fitDepthPlane(createDepth(), quad(10, 10, 12, 12))).toBeNull();
+  });
+});
+
+describe('scoreDepthRegion', () => {
+  it('scores a flat wall as flat, and a bumpy surface as not', () => {
+    const wall = scoreDepthRegion(createDepth(), WHOLE_FRAME);
+    const bumpy = scoreDepthRegion(
+      createDepth(null, (u, v) => 0.5 + 0.1 * Math.sin(u * 40) * Math.cos(v * 30)),
+      WHOLE_FRAME
+    );
+
+    expect(wall.flatness).toBeCloseTo(1, 3);
+    expect(bumpy.flatness).toBeLessThan(0.5);
+  });
+
+  it('scores surfaces further back as farther', () => {
+    const far = scoreDepthRegion(createDepth(null, () => 0.1), WHOLE_FRAME);
+    const near = scoreDepthRegion(createDepth(null, () => 0.8), WHOLE_FRAME);
+    expect(far.farness).toBeGreaterThan(near.farness);
+  });
+});
+
+describe('rankRegionsByDepth', () => {
+  it('puts a flat far wall ahead of a plain object near the camera', () => {
+    // Wall at the back on the left, a big plain cabinet close to the camera on the right
+    const depthMap = createDepth(null, (u) => (u < 0.5 ? 0.1 : 0.85));
+    const cabinet = { region: quad(55, 10, 95, 90), score: 70, confidence: 0.7, method: 'uniform' };
+    const wall = { region: quad(5, 10, 45, 90), score: 60, confidence: 0.6, method: 'plane' };
+
+    const ranked = rankRegionsByDepth([cabinet, wall], depthMap);
+
+    expect(ranked[0].method).toBe('plane');
+    expect(ranked[0].depth.farness).toBeGreaterThan(ranked[1].depth.farness);
+    expect(ranked[0].score).toBeGreaterThan(wall.score);
+    expect(ranked[1].score).toBeLessThan(cabinet.score);
+  });
+
+  it('leaves regions it has no depth for as they are', () => {
+    const tiny = { region: quad(10, 10, 12, 12), score: 50, confidence: 0.5 };
+    expect(rankRegionsByDepth([tiny], createDepth())).toEqual([tiny]);
+  });
+});
+
+describe('computeDepthOcclusion', () => {
+  it('hides the object in front of the wall, and only that', () => {
+    const mask = computeDepthOcclusion(createDepth(BOX), WHOLE_FRAME);
+    const pixels = hidden(mask);
+
+    expect(pixels).toHaveLength(80);
+    expect(pixels.every(p => p.x >= BOX.x0 && p.x <= BOX.x1 && p.y >= BOX.y0 && p.y <= BOX.y1)).toBe(true);
+  });
+
+  it('follows a slanted wall without hiding its near end', () => {
+    const steep = createDepth(null, (u) => 0.95 - 0.9 * u);
+    expect(computeDepthOcclusion(steep, WHOLE_FRAME)).toBeNull();
+  });
+
+  it('only hides pixels inside the region', () => {
+    // Region covers the left half of the box
+    const mask = computeDepthOcclusion(createDepth(BOX), quad(0, 0, 35, 100));
+    const pixels = hidden(mask);
+
+    expect(pixels.length).toBeGreaterThan(0);
+    expect(pixels.every(p => (p.x + 0.5) / WIDTH <= 0.35)).toBe(true);
+  });
+
+  it('ignores objects barely off the wall', () => {
+    const shallow = createDepth(null, (u, v) => {
+      const inBox = u > 0.25 && u < 0.45 && v > 0.3 && v < 0.6;
+      return 0.5 - 0.3 * u + (inBox ? DEFAULT_DEPTH_MARGIN / 2 : 0);
+    });
+    expect(computeDepthOcclusion(shallow, WHOLE_FRAME)).toBeNull();
+  });
+});
+
+describe('DepthOcclusion', () => {
+  const overlay = (id, region, active = true) => ({ id, region, active });
+
+  it('returns null without a depth map', () => {
+    expect(new DepthOcclusion().update([overlay('a', WHOLE_FRAME)], null)).toBeNull();
+  });
+
+  it('masks active regions with something in front of them', () => {
+    const occlusion = new DepthOcclusion();
+    const masks = occlusion.update([
+      overlay('wall', WHOLE_FRAME),
+      overlay('off', WHOLE_FRAME, false),
+      overlay('clear', quad(60, 0, 100, 100))
+    ], { depth: createDepth(BOX), pose: null });
+
+    expect([...masks.keys()]).toEqual(['wall']);
+  });
+
+  it('reuses a region\'s mask until the region or the pose changes', () => {
+    const occlusion = new DepthOcclusion();
+    const depth = createDepth(BOX);
+    const first = occlusion.update([overlay('wall', WHOLE_FRAME)], { depth, pose: null }).get('wall');
+
+    expect(occlusion.update([overlay('wall', WHOLE_FRAME)], { depth, pose: null }).get('wall')).toBe(first);
+
+    const moved = occlusion.update([overlay('wall', quad(0, 0, 100, 99))], { depth, pose: null }).get('wall');
+    expect(moved).not.toBe(first);
+
+    const pose = [1, 0, 5, 0, 1, 0, 0, 0, 1];
+    const shifted = occlusion.update([overlay('wall', WHOLE_FRAME)], { depth, pose }).get('wall');
+    expect(hidden(shifted)[0].x).toBe(hidden(first)[0].x + 2);
+  });
+});
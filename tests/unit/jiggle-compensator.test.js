@@ -0,0 +1,324 @@
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+
+// The compensator registers itself on window/self
+let JiggleCompensator;
+beforeAll(async () => {
+  globalThis.self = globalThis;
+  await import('../../lib/jiggle-compensator.js');
+  JiggleCompensator = globalThis.JiggleCompensator;
+});
+
+/**
+ * Grid of background points spread over a downsampled 320x180 frame
+ */
+function createGrid() {
+  const points = [];
+  for (let y = 20; y <= 160; y += 35) {
+    for (let x = 20; x <= 300; x += 40) {
+      points.push({ x, y, response: 1 });
+    }
+  }
+  return points;
+}
+
+function similarity(points, { scale = 1, rotation = 0, dx = 0, dy = 0 }) {
+  const a = Math.cos(rotation) * scale;
+  const b = Math.sin(rotation) * scale;
+  return points.map(p => ({ x: a * p.x - b * p.y + dx, y: b * p.x + a * p.y + dy, response: p.response }));
+}
+
+function project(m, x, y) {
+  const w = m[6] * x + m[7] * y + m[8];
+  return { x: (m[0] * x + m[1] * y + m[2]) / w, y: (m[3] * x + m[4] * y + m[5]) / w };
+}
+
+const REGION = {
+  topLeft: { x: 25, y: 20 },
+  topRight: { x: 75, y: 20 },
+  bottomLeft: { x: 25, y: 80 },
+  bottomRight: { x: 75, y: 80 }
+};
+
+describe('JiggleCompensator._computeTransform', () => {
+  it('recovers zoom, roll and shift while ignoring points on moving objects', () => {
+    const prev = createGrid();
+    const curr = similarity(prev, { scale: 1.02, rotation: 0.015, dx: 1.5, dy: -2 });
+    // Someone walking past drags a few points along with them
+    const outliers = [3, 9, 14, 22, 30];
+    outliers.forEach(i => { curr[i] = { ...curr[i], x: curr[i].x + 12, y: curr[i].y - 7 }; });
+
+    const estimate = new JiggleCompensator()._computeTransform(prev, curr, 'similarity');
+
+    const [a, , tx, b, , ty] = estimate.matrix;
+    expect(Math.hypot(a, b)).toBeCloseTo(1.02, 4);
+    expect(Math.atan2(b, a)).toBeCloseTo(0.015, 4);
+    expect(tx).toBeCloseTo(1.5, 3);
+    expect(ty).toBeCloseTo(-2, 3);
+    expect(estimate.inliers).toHaveLength(prev.length - outliers.length);
+    outliers.forEach(i => expect(estimate.inliers).not.toContain(i));
+  });
+
+  it('fits a full homography when the camera tilts', () => {
+    const truth = [1.01, 0.01, 2, -0.005, 0.99, -1, 0.00004, -0.00003, 1];
+    const prev = createGrid();
+    const curr = prev.map(p => ({ ...project(truth, p.x, p.y), response: 1 }));
+    curr[5] = { x: curr[5].x - 10, y: curr[5].y + 10, response: 1 };
+
+    const estimate = new JiggleCompensator()._computeTransform(prev, curr, 'homography');
+
+    for (const [x, y] of [[0, 0], [320, 0], [0, 180], [320, 180]]) {
+      const expected = project(truth, x, y);
+      const actual = project(estimate.matrix, x, y);
+      expect(actual.x).toBeCloseTo(expected.x, 2);
+      expect(actual.y).toBeCloseTo(expected.y, 2);
+    }
+    expect(estimate.inliers).not.toContain(5);
+  });
+
+  it('returns null without enough correspondences', () => {
+    const prev = [{ x: 10, y: 10, response: 1 }];
+    expect(new JiggleCompensator()._computeTransform(prev, prev, 'similarity')).toBeNull();
+  });
+});
+
+describe('JiggleCompensator.applyToRegion', () => {
+  it('leaves regions alone for an identity transform', () => {
+    expect(JiggleCompensator.applyToRegion(REGION, { dx: 0, dy: 0, scale: 1, rotation: 0 })).toBe(REGION);
+    expect(JiggleCompensator.isIdentity({ dx: 0, dy: 0, scale: 1, rotation: 0 })).toBe(true);
+  });
+
+  it('converts shifts with the real source size', () => {
+    const shift = [1, 0, 19.2, 0, 1, 10.8, 0, 0, 1];
+    const hd = JiggleCompensator.applyToRegion(REGION, { dx: 19.2, dy: 10.8, scale: 1, rotation: 0, matrix: shift, width: 1920, height: 1080 });
+    expect(hd.topLeft.x).toBeCloseTo(26, 6);
+    expect(hd.topLeft.y).toBeCloseTo(21, 6);
+
+    const portrait = JiggleCompensator.applyToRegion(REGION, { dx: 19.2, dy: 10.8, scale: 1, rotation: 0, matrix: shift, width: 720, height: 1280 });
+    expect(portrait.bottomRight.x).toBeCloseTo(75 + 19.2 / 7.2, 6);
+    expect(portrait.bottomRight.y).toBeCloseTo(80 + 10.8 / 12.8, 6);
+  });
+
+  it('moves every corner through a zoom about the frame centre', () => {
+    // 2% zoom about the centre of a portrait 720x1280 frame
+    const s = 1.02;
+    const matrix = [s, 0, 360 * (1 - s), 0, s, 640 * (1 - s), 0, 0, 1];
+    const zoomed = JiggleCompensator.applyToRegion(REGION, { dx: matrix[2], dy: matrix[5], scale: s, rotation: 0, matrix, width: 720, height: 1280 });
+
+    expect(zoomed.topLeft.x).toBeCloseTo(50 - 25 * s, 6);
+    expect(zoomed.topLeft.y).toBeCloseTo(50 - 30 * s, 6);
+    expect(zoomed.bottomRight.x).toBeCloseTo(50 + 25 * s, 6);
+    expect(zoomed.bottomRight.y).toBeCloseTo(50 + 30 * s, 6);
+  });
+
+  it('moves polygon outlines and brush strokes with the corners', () => {
+    const shift = [1, 0, 19.2, 0, 1, 10.8, 0, 0, 1];
+    const transform = { dx: 19.2, dy: 10.8, scale: 1, rotation: 0, matrix: shift, width: 1920, height: 1080 };
+    const polygon = JiggleCompensator.applyToRegion({ ...REGION, polygon: [{ x: 30, y: 30 }, { x: 60, y: 30 }, { x: 45, y: 60 }] }, transform);
+    expect(polygon.polygon[2].x).toBeCloseTo(46, 6);
+    expect(polygon.polygon[2].y).toBeCloseTo(61, 6);
+
+    const stroke = { points: [{ x: 40, y: 50 }], radius: 4, erase: true };
+    const masked = JiggleCompensator.applyToRegion({ ...REGION, mask: { strokes: [stroke], aspect: 16 / 9 } }, transform);
+    expect(masked.mask.strokes[0]).toMatchObject({ radius: 4, erase: true });
+    expect(masked.mask.strokes[0].points[0].x).toBeCloseTo(41, 6);
+    expect(masked.mask.aspect).toBeCloseTo(16 / 9, 6);
+  });
+
+  it('moves drawn occluders and keeps their settings', () => {
+    const shift = [1, 0, 19.2, 0, 1, 10.8, 0, 0, 1];
+    const occluders = { strokes: [{ points: [{ x: 10, y: 90 }], radius: 2 }], aspect: 4 / 3, auto: true };
+    const moved = JiggleCompensator.applyToMask(occluders, { dx: 19.2, dy: 10.8, scale: 1, rotation: 0, matrix: shift, width: 1920, height: 1080 });
+    expect(moved).toMatchObject({ aspect: 4 / 3, auto: true });
+    expect(moved.strokes[0].points[0].x).toBeCloseTo(11, 6);
+    expect(moved.strokes[0].points[0].y).toBeCloseTo(91, 6);
+  });
+});
+
+describe('JiggleCompensator._accumulate', () => {
+  it('composes frame motion in source pixels and eases towards it', () => {
+    const compensator = new JiggleCompensator();
+    compensator._sourceWidth = 1920;
+    compensator._sourceHeight = 1080;
+    compensator._workCanvas = { width: 480, height: 270 };
+
+    // 1 downsampled pixel right per frame = 4 source pixels
+    const step = [1, 0, 1, 0, 1, 0, 0, 0, 1];
+    compensator._accumulate(step);
+    const first = compensator.cumulativeTransform.dx;
+    expect(first).toBeGreaterThan(0);
+    expect(first).toBeLessThan(4);
+
+    compensator._accumulate(step);
+    expect(compensator._cumulativeMatrix[2]).toBeCloseTo(8, 6);
+    expect(compensator.cumulativeTransform.dx).toBeGreaterThan(first);
+    expect(compensator.cumulativeTransform.dx).toBeLessThan(8);
+    expect(compensator.cumulativeTransform.width).toBe(1920);
+  });
+});
+
+/**
+ * Textured 320x180 test frame: overlapping rectangles of random gray levels
+ */
+function createTexture(seed = 7) {
+  let state = seed;
+  const random = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+  const width = 320;
+  const height = 180;
+  const luma = new Float32Array(width * height).fill(128);
+  for (let i = 0; i < 120; i++) {
+    const x0 = Math.floor(random() * width);
+    const y0 = Math.floor(random() * height);
+    const w = 6 + Math.floor(random() * 40);
+    const h = 6 + Math.floor(random() * 40);
+    const value = Math.floor(random() * 256);
+    for (let y = y0; y < Math.min(height, y0 + h); y++) {
+      for (let x = x0; x < Math.min(width, x0 + w); x++) luma[y * width + x] = value;
+    }
+  }
+  return { width, height, luma };
+}
+
+/**
+ * Render the texture as seen through a homography (current pixel -> texture pixel via inverse)
+ */
+function renderView(texture, inverse) {
+  const { width, height, luma } = texture;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const src = project(inverse, x, y);
+      const sx = Math.min(width - 1, Math.max(0, Math.round(src.x)));
+      const sy = Math.min(height - 1, Math.max(0, Math.round(src.y)));
+      const i = (y * width + x) * 4;
+      data[i] = data[i + 1] = data[i + 2] = luma[sy * width + sx];
+      data[i + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+describe('JiggleCompensator._trackFeatures', () => {
+  it('keeps tracked points paired with their features when one is lost mid-list', () => {
+    const compensator = new JiggleCompensator();
+    const texture = createTexture();
+    const prev = compensator._toGrayscale(renderView(texture, [1, 0, 0, 0, 1, 0, 0, 0, 1]));
+    // The view moved 2px right and 1px down
+    const curr = compensator._toGrayscale(renderView(texture, [1, 0, -2, 0, 1, -1, 0, 0, 1]));
+    const features = compensator._detectFeatures(prev);
+    const middle = Math.floor(features.length / 2);
+    // A feature too close to the edge to track
+    features.splice(middle, 0, { x: 2, y: 2, response: 1 });
+
+    const { previousPoints, trackedPoints, lostCount } = compensator._trackFeatures(prev, curr, features);
+
+    expect(lostCount).toBeGreaterThanOrEqual(1);
+    expect(previousPoints).toHaveLength(trackedPoints.length);
+    expect(previousPoints).not.toContainEqual(features[middle]);
+
+    // Every pair moved with the view (mismatched pairs would jump across the frame)
+    previousPoints.forEach((p, i) => {
+      expect(Math.abs(trackedPoints[i].x - p.x - 2)).toBeLessThan(1.5);
+      expect(Math.abs(trackedPoints[i].y - p.y - 1)).toBeLessThan(1.5);
+    });
+
+    const estimate = compensator._computeTransform(previousPoints, trackedPoints, 'similarity');
+    const center = project(estimate.matrix, 160, 90);
+    expect(Math.abs(center.x - 162)).toBeLessThan(1);
+    expect(Math.abs(center.y - 91)).toBeLessThan(1);
+    expect(estimate.inliers.length).toBeGreaterThan(trackedPoints.length / 2);
+  });
+
+  it('refuses to fit lists that don\'t line up', () => {
+    const prev = createGrid();
+    expect(new JiggleCompensator()._computeTransform(prev, prev.slice(1), 'similarity')).toBeNull();
+  });
+});
+
+describe('JiggleCompensator relocalization matching', () => {
+  const texture = createTexture();
+  let reference;
+  beforeAll(() => {
+    reference = JiggleCompensator.describeFrame(renderView(texture, [1, 0, 0, 0, 1, 0, 0, 0, 1]));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('describes a frame with binary descriptors that survive JSON storage', () => {
+    expect(reference.keypoints.length).toBeGreaterThan(50);
+    expect(reference.keypoints[0].descriptor).toHaveLength(8);
+    expect(JSON.parse(JSON.stringify(reference))).toEqual(reference);
+  });
+
+  it('finds where the wall went after the camera is nudged', () => {
+    // Camera shifted and zoomed a little: texture point p appears at M * p
+    const s = 1.04;
+    const moved = [s, 0, -6, 0, s, 5, 0, 0, 1];
+    const inverse = [1 / s, 0, 6 / s, 0, 1 / s, -5 / s, 0, 0, 1];
+    const current = JiggleCompensator.describeFrame(renderView(texture, inverse));
+
+    const match = JiggleCompensator.matchReference(reference, current);
+
+    expect(match.inlierCount).toBeGreaterThanOrEqual(15);
+    expect(match.confidence).toBeGreaterThan(0.15);
+    for (const [x, y] of [[25, 20], [75, 20], [25, 80], [75, 80]]) {
+      const expected = project(moved, (x / 100) * 320, (y / 100) * 180);
+      const actual = project(match.matrix, x, y);
+      expect(actual.x).toBeCloseTo((expected.x / 320) * 100, 0);
+      expect(actual.y).toBeCloseTo((expected.y / 180) * 100, 0);
+    }
+  });
+
+  it('reports low confidence for a different scene', () => {
+    const other = JiggleCompensator.describeFrame(renderView(createTexture(99), [1, 0, 0, 0, 1, 0, 0, 0, 1]));
+    const match = JiggleCompensator.matchReference(reference, other);
+    expect(match.confidence).toBeLessThan(0.15);
+  });
+
+  it('reports region moves relative to the pose the regions were saved in', () => {
+    const s = 1.04;
+    const current = JiggleCompensator.describeFrame(renderView(texture, [1 / s, 0, 6 / s, 0, 1 / s, -5 / s, 0, 0, 1]));
+    vi.spyOn(JiggleCompensator, 'computeDescriptors').mockReturnValue(current);
+
+    const compensator = new JiggleCompensator();
+    vi.spyOn(compensator, 'initialize').mockImplementation(() => {});
+    // Regions were already moved 2% right by an earlier relocalization
+    compensator.setReference({ ...reference, pose: [1, 0, 2, 0, 1, 0, 0, 0, 1] });
+    const onRelocalize = vi.fn();
+    compensator.onRelocalize = onRelocalize;
+    compensator._triggerReset();
+
+    expect(compensator._relocalize(null, null)).toBe(true);
+    const { matrix, pose } = onRelocalize.mock.calls[0][0];
+    const full = project(pose, 25, 20);
+    const delta = project(matrix, 27, 20);
+    expect(delta.x).toBeCloseTo(full.x, 6);
+    expect(delta.y).toBeCloseTo(full.y, 6);
+    expect(compensator.reference.pose).toBe(pose);
+    expect(compensator.getStatus().relocalizing).toBe(false);
+  });
+
+  it('asks for recalibration after the last failed attempt', () => {
+    const other = JiggleCompensator.describeFrame(renderView(createTexture(99), [1, 0, 0, 0, 1, 0, 0, 0, 1]));
+    vi.spyOn(JiggleCompensator, 'computeDescriptors').mockReturnValue(other);
+
+    const compensator = new JiggleCompensator();
+    compensator.setReference(reference);
+    const onRelocalizeFailed = vi.fn();
+    compensator.onRelocalizeFailed = onRelocalizeFailed;
+    compensator._triggerReset();
+
+    let attempts = 0;
+    while (compensator.getStatus().relocalizing) {
+      expect(compensator._relocalize(null, null)).toBe(false);
+      attempts++;
+    }
+    expect(attempts).toBeGreaterThan(1);
+    expect(onRelocalizeFailed).toHaveBeenCalledTimes(1);
+    expect(onRelocalizeFailed.mock.calls[0][0].confidence).toBeLessThan(0.15);
+  });
+});
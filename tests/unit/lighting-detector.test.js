@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import { gradeColor } from '../../lib/wall-paint-renderer.js';
+
+// The detector registers itself on window/self
+let LightingDetector;
+beforeAll(async () => {
+  globalThis.self = globalThis;
+  await import('../../lib/lighting-detector.js');
+  LightingDetector = globalThis.LightingDetector;
+});
+
+const LEFT = {
+  topLeft: { x: 0, y: 0 },
+  topRight: { x: 40, y: 0 },
+  bottomLeft: { x: 0, y: 100 },
+  bottomRight: { x: 40, y: 100 }
+};
+const RIGHT = {
+  topLeft: { x: 60, y: 0 },
+  topRight: { x: 100, y: 0 },
+  bottomLeft: { x: 60, y: 100 },
+  bottomRight: { x: 100, y: 100 }
+};
+const REGIONS = [{ id: 'left', region: LEFT }, { id: 'right', region: RIGHT }];
+
+/**
+ * 100x100 sample whose left and right halves are lit by different colors
+ */
+function createSample(left, right, mask = null) {
+  const width = 100;
+  const height = 100;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [r, g, b] = x < 50 ? left : right;
+      const i = (y * width + x) * 4;
+      data[i] = r;
+      data[i + 1] = g;
+      data[i + 2] = b;
+      data[i + 3] = 255;
+    }
+  }
+  return { data, width, height, mask };
+}
+
+function metrics(r, g, b) {
+  return { brightness: 0.299 * r + 0.587 * g + 0.114 * b, colorTemp: ((r - b) / 255) * 2, contrast: 0, r, g, b };
+}
+
+describe('LightingDetector per-region grading', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  function createDetector(samples) {
+    const detector = new LightingDetector();
+    const sampleFrame = vi.spyOn(detector, '_sampleFrame');
+    samples.forEach(sample => sampleFrame.mockReturnValueOnce(sample));
+    return detector;
+  }
+
+  it('only grades the region lit by a warm desk lamp', () => {
+    vi.spyOn(performance, 'now').mockReturnValue(100000);
+    const neutral = [150, 150, 150];
+    const lamp = [200, 160, 110];
+    const detector = createDetector([
+      createSample(neutral, neutral),
+      ...Array(5).fill(createSample(neutral, lamp))
+    ]);
+
+    detector.initialize(null, null, REGIONS);
+    const results = Array.from({ length: 5 }, () => detector.process(null, null, REGIONS));
+    const result = results[results.length - 1];
+
+    expect(results.some(r => r.changed)).toBe(true);
+    expect(result.grades.get('left')).toEqual({ brightness: 1, colorGain: [1, 1, 1] });
+    const warm = result.grades.get('right');
+    expect(warm.brightness).toBeGreaterThan(1);
+    expect(warm.colorGain[0]).toBeGreaterThan(1);
+    expect(warm.colorGain[2]).toBeLessThan(1);
+  });
+
+  it('waits out the cooldown before re-grading a region', () => {
+    const now = vi.spyOn(performance, 'now').mockReturnValue(100000);
+    const dim = createSample([60, 60, 60], [150, 150, 150]);
+    const detector = createDetector([createSample([150, 150, 150], [150, 150, 150]), dim, dim]);
+
+    detector.initialize(null, null, REGIONS);
+    expect(detector.process(null, null, REGIONS).changes.map(change => change.id)).toEqual(['left']);
+
+    // Darker still, but within the 7.5s cooldown
+    now.mockReturnValue(101000);
+    const { changed, grades } = detector.process(null, null, REGIONS);
+    expect(changed).toBe(false);
+    expect(grades.get('left').brightness).toBeLessThan(1);
+  });
+
+  it('keeps the last metrics while a person covers the region and forgets removed regions', () => {
+    vi.spyOn(performance, 'now').mockReturnValue(100000);
+    const lit = createSample([150, 150, 150], [150, 150, 150]);
+    const mask = new Uint8ClampedArray(100 * 100 * 4).fill(255);
+    const detector = createDetector([lit, createSample([20, 20, 20], [20, 20, 20], mask)]);
+
+    detector.initialize(null, null, REGIONS);
+    const before = detector.getStatus().regions.find(region => region.id === 'left').currentMetrics;
+    const { grades } = detector.process(null, null, [REGIONS[0]]);
+
+    expect([...grades.keys()]).toEqual(['left']);
+    expect(detector.getStatus().regions[0].currentMetrics).toEqual(before);
+  });
+});
+
+describe('LightingDetector region sampling', () => {
+  it('spreads the samples evenly over an angled wall, not over the picture of it', () => {
+    // Wall receding to the right: its near half covers x = 10-79 in the picture
+    const angled = {
+      topLeft: { x: 10, y: 0 },
+      topRight: { x: 90, y: 40 },
+      bottomLeft: { x: 10, y: 100 },
+      bottomRight: { x: 90, y: 60 }
+    };
+    const detector = new LightingDetector();
+    vi.spyOn(detector, '_sampleFrame').mockReturnValue(createSample([200, 200, 200], [40, 40, 40]));
+
+    detector.initialize(null, null, [{ id: 'angled', region: angled }]);
+
+    // One of the eight sample columns lands left of x = 50
+    const { currentMetrics } = detector.getStatus().regions[0];
+    expect(currentMetrics.brightness).toBeCloseTo((200 + 7 * 40) / 8);
+  });
+});
+
+describe('LightingDetector.computeGrade', () => {
+  it('divides the luminance change out of the color gains', () => {
+    const grade = LightingDetector.computeGrade(metrics(100, 100, 100), metrics(50, 50, 50));
+    expect(grade.brightness).toBeCloseTo(0.6, 6);
+    grade.colorGain.forEach(gain => expect(gain).toBeCloseTo(1, 6));
+  });
+
+  it('clamps gains for a nearly black channel', () => {
+    const grade = LightingDetector.computeGrade(metrics(120, 120, 2), metrics(120, 120, 60));
+    expect(grade.colorGain[2]).toBe(1.25);
+  });
+});
+
+describe('gradeColor', () => {
+  it('applies brightness and white balance to hex paint colors', () => {
+    expect(gradeColor('#808080', { brightness: 1.2, colorGain: [1.1, 1, 0.9] })).toBe('rgb(169, 154, 138)');
+    expect(gradeColor('#fff', { brightness: 0.5, colorGain: [1, 1, 1] })).toBe('rgb(128, 128, 128)');
+  });
+
+  it('leaves colors alone without a grade or when they are not hex', () => {
+    expect(gradeColor('#336699', null)).toBe('#336699');
+    expect(gradeColor('rebeccapurple', { brightness: 2, colorGain: [1, 1, 1] })).toBe('rebeccapurple');
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, it, expect } from 'vitest';
+import {
+  fitMaskToRegion,
+  largestComponent,
+  traceContour,
+  convexHull,
+  simplifyPolygon,
+  fitQuad
+} from '../../lib/mask-fitting.js';
+
+const WIDTH = 160;
+const HEIGHT = 90;
+
+const CORNERS = ['topLeft', 'topRight', 'bottomRight', 'bottomLeft'];
+
+// Rasterize polygons (pixel coordinates) into a mask, pixel centres decide coverage
+function rasterize(polygons, width = WIDTH, height = HEIGHT) {
+  const mask = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      for (const polygon of polygons) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+          const [xi, yi] = polygon[i];
+          const [xj, yj] = polygon[j];
+          if ((yi > y + 0.5) !== (yj > y + 0.5) && x + 0.5 < (xj - xi) * (y + 0.5 - yi) / (yj - yi) + xi) {
+            inside = !inside;
+          }
+        }
+        if (inside) mask[y * width + x] = 1;
+      }
+    }
+  }
+  return mask;
+}
+
+const toPercent = ([x, y]) => ({ x: (x / WIDTH) * 100, y: (y / HEIGHT) * 100 });
+
+// Largest corner distance (in percent) between a fitted region and the expected quad
+function quadError(region, expected) {
+  return Math.max(...CORNERS.map((corner, i) => {
+    const p = toPercent(expected[i]);
+    return Math.hypot(region[corner].x - p.x, region[corner].y - p.y);
+  }));
+}
+
+describe('fitMaskToRegion', () => {
+  it('fits a rectangle exactly', () => {
+    const rect = [[20, 10], [120, 10], [120, 70], [20, 70]];
+    const fit = fitMaskToRegion(rasterize([rect]), WIDTH, HEIGHT);
+    expect(fit.shape).toBe('quad');
+    expect(fit.coverage).toBeCloseTo(1, 6);
+    expect(quadError(fit.region, rect)).toBeLessThan(0.01);
+  });
+
+  it('follows the perspective of a receding wall', () => {
+    const wall = [[30, 5], [140, 25], [140, 70], [30, 85]];
+    const fit = fitMaskToRegion(rasterize([wall]), WIDTH, HEIGHT);
+    expect(fit.shape).toBe('quad');
+    expect(quadError(fit.region, wall)).toBeLessThan(1.5);
+    expect(fit.region.topLeft.y).toBeLessThan(fit.region.topRight.y);
+    expect(fit.region.bottomLeft.y).toBeGreaterThan(fit.region.bottomRight.y);
+  });
+
+  it('covers a wall that runs off the frame', () => {
+    const fit = fitMaskToRegion(new Uint8Array(WIDTH * HEIGHT).fill(1), WIDTH, HEIGHT);
+    expect(fit.region).toEqual({
+      topLeft: { x: 0, y: 0 },
+      topRight: { x: 100, y: 0 },
+      bottomRight: { x: 100, y: 100 },
+      bottomLeft: { x: 0, y: 100 }
+    });
+  });
+
+  it('keeps an outline when the mask does not fill its quad', () => {
+    // A wall with a doorway cut out of the bottom right
+    const wall = [[10, 10], [150, 10], [150, 80], [110, 80], [110, 35], [80, 35], [80, 80], [10, 80]];
+    const fit = fitMaskToRegion(rasterize([wall]), WIDTH, HEIGHT);
+
+    expect(fit.shape).toBe('polygon');
+    expect(fit.coverage).toBeLessThan(0.9);
+    expect(quadError(fit.region, [[10, 10], [150, 10], [150, 80], [10, 80]])).toBeLessThan(1);
+    expect(fit.region.polygon.length).toBeGreaterThanOrEqual(8);
+    expect(fit.region.polygon.length).toBeLessThanOrEqual(12);
+    // The doorway is outside the outline
+    for (const vertex of fit.region.polygon) {
+      expect(vertex.x).toBeGreaterThanOrEqual(0);
+      expect(vertex.x).toBeLessThanOrEqual(100);
+    }
+  });
+
+  it('ignores specks away from the wall', () => {
+    const rect = [[40, 20], [100, 20], [100, 60], [40, 60]];
+    const mask = rasterize([rect, [[2, 2], [6, 2], [6, 6], [2, 6]], [[150, 80], [155, 80], [155, 85]]]);
+    const fit = fitMaskToRegion(mask, WIDTH, HEIGHT);
+    expect(fit.shape).toBe('quad');
+    expect(quadError(fit.region, rect)).toBeLessThan(0.01);
+  });
+
+  it('returns null for an empty mask', () => {
+    expect(fitMaskToRegion(new Uint8Array(WIDTH * HEIGHT), WIDTH, HEIGHT)).toBeNull();
+  });
+
+  it('fits a single pixel by its square', () => {
+    const mask = new Uint8Array(WIDTH * HEIGHT);
+    mask[10 * WIDTH + 20] = 1;
+    const fit = fitMaskToRegion(mask, WIDTH, HEIGHT);
+    expect(quadError(fit.region, [[20, 10], [21, 10], [21, 11], [20, 11]])).toBeLessThan(1e-9);
+  });
+});
+
+describe('mask fitting steps', () => {
+  it('keeps only the largest blob', () => {
+    const mask = rasterize([[[0, 0], [4, 0], [4, 4], [0, 4]], [[10, 10], [30, 10], [30, 30], [10, 30]]], 40, 40);
+    const { area, mask: blob } = largestComponent(mask, 40, 40);
+    expect(area).toBe(400);
+    expect(blob[0]).toBe(0);
+    expect(blob[20 * 40 + 20]).toBe(1);
+  });
+
+  it('traces the boundary once around', () => {
+    const mask = rasterize([[[2, 2], [8, 2], [8, 6], [2, 6]]], 10, 10);
+    const contour = traceContour(largestComponent(mask, 10, 10).mask, 10, 10);
+    // 6x4 block: 2 * (6 + 4) - 4 boundary pixels
+    expect(contour).toHaveLength(16);
+    expect(new Set(contour.map(p => `${p.x},${p.y}`)).size).toBe(16);
+    expect(contour[0]).toEqual({ x: 2, y: 2 });
+    expect(contour[1]).toEqual({ x: 3, y: 2 });
+  });
+
+  it('simplifies a noisy outline to its corners', () => {
+    const square = [];
+    for (let i = 0; i < 20; i++) square.push({ x: i, y: i % 2 ? 0.2 : 0 });
+    for (let i = 0; i < 20; i++) square.push({ x: 20, y: i });
+    for (let i = 20; i > 0; i--) square.push({ x: i, y: 20 });
+    for (let i = 20; i > 0; i--) square.push({ x: 0, y: i });
+    expect(simplifyPolygon(square, 0.5)).toHaveLength(4);
+  });
+
+  it('drops hull edges into an enclosing quad', () => {
+    // Rectangle with two corners bevelled off
+    const hull = convexHull([
+      { x: 2, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 8 }, { x: 8, y: 10 }, { x: 0, y: 10 }, { x: 0, y: 2 }
+    ]);
+    const quad = fitQuad(hull, 20, 20);
+    expect(quad).toHaveLength(4);
+    const keys = quad.map(p => `${Math.round(p.x)},${Math.round(p.y)}`).sort();
+    expect(keys).toEqual(['0,0', '0,10', '10,0', '10,10']);
+  });
+
+  it('cuts a vertex when no edge can be extended inside the frame', () => {
+    // A pointed bottom: extending any edge would leave the 10x9 frame
+    const hull = convexHull([{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 4 }, { x: 5, y: 9 }, { x: 0, y: 4 }]);
+    const quad = fitQuad(hull, 10, 9);
+    expect(quad).toHaveLength(4);
+    expect(quad).toContainEqual({ x: 5, y: 9 });
+    for (const p of quad) {
+      expect(p.x).toBeGreaterThanOrEqual(0);
+      expect(p.x).toBeLessThanOrEqual(10);
+      expect(p.y).toBeLessThanOrEqual(9);
+    }
+  });
+});
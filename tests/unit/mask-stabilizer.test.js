@@ -0,0 +1,188 @@
+import { describe, it, expect } from 'vitest';
+import {
+  toGrayscale,
+  estimateBlockFlow,
+  warpByFlow,
+  MaskStabilizer,
+  STABILIZATION_MODES
+} from '../../lib/mask-stabilizer.js';
+
+const WIDTH = 64;
+const HEIGHT = 48;
+
+// Repeatable textured scene: gray noise at any integer position
+function scene(x, y) {
+  const n = Math.sin(x * 12.9898 + y * 78.233) * 43758.5453;
+  return Math.floor((n - Math.floor(n)) * 256);
+}
+
+/**
+ * Grayscale camera frame of the scene, moved right by shiftX and down by shiftY
+ */
+function createFrame(shiftX = 0, shiftY = 0, pixel = scene) {
+  const gray = new Uint8Array(WIDTH * HEIGHT);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      gray[y * WIDTH + x] = pixel(x - shiftX, y - shiftY);
+    }
+  }
+  return gray;
+}
+
+/**
+ * Mask (1 = person) with a box x0..x1, y0..y1 inclusive
+ */
+function createMask(width, height, box) {
+  const mask = new Uint8Array(width * height);
+  for (let y = box.y0; y <= box.y1; y++) {
+    for (let x = box.x0; x <= box.x1; x++) {
+      mask[y * width + x] = 1;
+    }
+  }
+  return mask;
+}
+
+function bounds(mask, width) {
+  let x0 = Infinity, y0 = Infinity, x1 = -1, y1 = -1;
+  for (let i = 0; i < mask.length; i++) {
+    if (!mask[i]) continue;
+    const x = i % width;
+    const y = Math.floor(i / width);
+    x0 = Math.min(x0, x); y0 = Math.min(y0, y);
+    x1 = Math.max(x1, x); y1 = Math.max(y1, y);
+  }
+  return { x0, y0, x1, y1 };
+}
+
+const motion = (gray) => ({ gray, width: WIDTH, height: HEIGHT });
+
+describe('toGrayscale', () => {
+  it('weights RGBA channels by luma and ignores alpha', () => {
+    const gray = toGrayscale({
+      data: new Uint8ClampedArray([255, 255, 255, 0, 255, 0, 0, 255, 0, 255, 0, 255]),
+      width: 3,
+      height: 1
+    });
+    expect(gray[0]).toBe(255);
+    expect(gray[1]).toBe(76);
+    expect(gray[2]).toBe(149);
+  });
+});
+
+describe('estimateBlockFlow', () => {
+  it('finds no motion between identical frames', () => {
+    const frame = createFrame();
+    const flow = estimateBlockFlow(frame, frame, WIDTH, HEIGHT);
+
+    expect(flow.cols).toBe(8);
+    expect(flow.rows).toBe(6);
+    expect(flow.dx.every(v => v === 0)).toBe(true);
+    expect(flow.dy.every(v => v === 0)).toBe(true);
+  });
+
+  it('points each block back to where it was in the previous frame', () => {
+    const flow = estimateBlockFlow(createFrame(), createFrame(3, -2), WIDTH, HEIGHT);
+
+    // Blocks whose match lies inside the previous frame
+    for (let row = 1; row < flow.rows - 1; row++) {
+      for (let col = 1; col < flow.cols - 1; col++) {
+        expect(flow.dx[row * flow.cols + col]).toBe(-3);
+        expect(flow.dy[row * flow.cols + col]).toBe(2);
+      }
+    }
+  });
+
+  it('leaves flat blocks without motion', () => {
+    const flat = createFrame(0, 0, () => 128);
+    const flow = estimateBlockFlow(flat, flat, WIDTH, HEIGHT);
+    expect(flow.dx.every(v => v === 0)).toBe(true);
+  });
+});
+
+describe('warpByFlow', () => {
+  it('moves mask values along the flow, at any mask resolution', () => {
+    const flow = estimateBlockFlow(createFrame(), createFrame(4, 0), WIDTH, HEIGHT);
+    // Mask at half the flow resolution moves half as many pixels
+    const mask = createMask(32, 24, { x0: 12, y0: 8, x1: 19, y1: 15 });
+
+    const warped = warpByFlow(mask, 32, 24, flow);
+
+    expect(warped).toBeInstanceOf(Uint8Array);
+    expect(bounds(warped, 32)).toEqual({ x0: 14, y0: 8, x1: 21, y1: 15 });
+  });
+});
+
+describe('MaskStabilizer', () => {
+  const BOX = { x0: 12, y0: 8, x1: 19, y1: 15 };
+
+  it('starts from the first segmentation', () => {
+    const stabilizer = new MaskStabilizer({ mode: STABILIZATION_MODES.TEMPORAL });
+    expect(stabilizer.update(null, 32, 24)).toBeNull();
+
+    const mask = createMask(32, 24, BOX);
+    expect(stabilizer.update(mask, 32, 24)).toEqual(mask);
+  });
+
+  it('holds pixels that flicker between segmentations', () => {
+    const stabilizer = new MaskStabilizer({ mode: STABILIZATION_MODES.TEMPORAL });
+    const mask = createMask(32, 24, BOX);
+    const flicker = createMask(32, 24, { ...BOX, x1: 21 });
+    stabilizer.update(mask, 32, 24);
+
+    for (let i = 0; i < 10; i++) {
+      const stabilized = stabilizer.update(i % 2 === 0 ? flicker : mask, 32, 24);
+      expect(stabilized).toEqual(mask);
+    }
+    expect(stabilizer.lastChange).toBe(0);
+  });
+
+  it('follows a change that persists', () => {
+    const stabilizer = new MaskStabilizer({ mode: STABILIZATION_MODES.TEMPORAL });
+    const grown = createMask(32, 24, { ...BOX, x1: 21 });
+    stabilizer.update(createMask(32, 24, BOX), 32, 24);
+
+    expect(bounds(stabilizer.update(grown, 32, 24), 32).x1).toBe(19);
+    expect(stabilizer.update(grown, 32, 24)).toEqual(grown);
+    expect(stabilizer.lastChange).toBeCloseTo(16 / (32 * 24));
+  });
+
+  it('passes segmentations through when off', () => {
+    const stabilizer = new MaskStabilizer({ mode: STABILIZATION_MODES.OFF });
+    const mask = createMask(32, 24, BOX);
+    const flicker = createMask(32, 24, { ...BOX, x1: 21 });
+    stabilizer.update(mask, 32, 24);
+
+    expect(stabilizer.update(flicker, 32, 24)).toBe(flicker);
+    expect(stabilizer.update(null, 32, 24, motion(createFrame(4, 0)))).toBe(flicker);
+  });
+
+  it('moves the mask with the frame on skipped frames', () => {
+    const stabilizer = new MaskStabilizer({ mode: STABILIZATION_MODES.MOTION });
+    stabilizer.update(createMask(32, 24, BOX), 32, 24, motion(createFrame()));
+
+    let stabilized = null;
+    for (let step = 1; step <= 3; step++) {
+      stabilized = stabilizer.update(null, 32, 24, motion(createFrame(2 * step, 0)));
+    }
+
+    expect(bounds(stabilized, 32)).toEqual({ x0: 15, y0: 8, x1: 22, y1: 15 });
+    expect(stabilizer.lastFlow).not.toBeNull();
+  });
+
+  it('keeps the last segmentation on skipped frames without motion compensation', () => {
+    const stabilizer = new MaskStabilizer({ mode: STABILIZATION_MODES.TEMPORAL });
+    const mask = createMask(32, 24, BOX);
+    stabilizer.update(mask, 32, 24, motion(createFrame()));
+
+    expect(stabilizer.update(null, 32, 24, motion(createFrame(4, 0)))).toEqual(mask);
+    expect(stabilizer.lastFlow).toBeNull();
+  });
+
+  it('starts over when the mask size changes', () => {
+    const stabilizer = new MaskStabilizer({ mode: STABILIZATION_MODES.TEMPORAL });
+    stabilizer.update(createMask(32, 24, BOX), 32, 24);
+
+    const larger = createMask(64, 48, { x0: 0, y0: 0, x1: 5, y1: 5 });
+    expect(stabilizer.update(larger, 64, 48)).toEqual(larger);
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, it, expect } from 'vitest';
+import {
+  computeDifferenceMask,
+  warpReferenceFrame,
+  mergeOcclusionMasks,
+  needsAutoOccluders,
+  buildOccluderMasks,
+  DEFAULT_DIFFERENCE_THRESHOLD
+} from '../../lib/occluder-mask.js';
+
+/**
+ * Frame of a flat gray wall, optionally with a dark box (x0..x1, y0..y1 inclusive)
+ */
+function createFrame(width, height, gray, box = null) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inBox = box && x >= box.x0 && x <= box.x1 && y >= box.y0 && y <= box.y1;
+      const value = inBox ? 20 : gray;
+      const i = (y * width + x) * 4;
+      data[i] = data[i + 1] = data[i + 2] = value;
+      data[i + 3] = 255;
+    }
+  }
+  return { data, width, height };
+}
+
+function createMask(width, height, covered) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (covered(x, y)) data.fill(255, (y * width + x) * 4, (y * width + x) * 4 + 4);
+    }
+  }
+  return { data, width, height };
+}
+
+function count(mask) {
+  return mask.reduce((sum, value) => sum + value, 0);
+}
+
+describe('computeDifferenceMask', () => {
+  const reference = createFrame(20, 20, 150);
+
+  it('finds an object that appeared in front of the wall', () => {
+    const live = createFrame(20, 20, 150, { x0: 5, y0: 5, x1: 9, y1: 9 });
+    const differs = computeDifferenceMask(live, reference);
+
+    expect(differs[7 * 20 + 7]).toBe(1);
+    expect(differs[15 * 20 + 15]).toBe(0);
+    expect(count(differs)).toBe(25);
+  });
+
+  it('ignores the whole room getting darker', () => {
+    const live = createFrame(20, 20, 150 - DEFAULT_DIFFERENCE_THRESHOLD * 2);
+    expect(count(computeDifferenceMask(live, reference))).toBe(0);
+  });
+
+  it('drops single-pixel noise', () => {
+    const live = createFrame(20, 20, 150, { x0: 12, y0: 3, x1: 12, y1: 3 });
+    expect(count(computeDifferenceMask(live, reference))).toBe(0);
+  });
+
+  it('leaves the person and pixels without a reference sample out', () => {
+    const live = createFrame(20, 20, 150, { x0: 0, y0: 0, x1: 19, y1: 9 });
+    // Person mask at a different resolution, covering the top half
+    const person = createMask(10, 10, (x, y) => y < 5);
+    expect(count(computeDifferenceMask(live, reference, person))).toBe(0);
+
+    const unsampled = createFrame(20, 20, 150);
+    for (let i = 3; i < unsampled.data.length; i += 4) unsampled.data[i] = 0;
+    expect(count(computeDifferenceMask(live, unsampled))).toBe(0);
+  });
+});
+
+describe('warpReferenceFrame', () => {
+  it('copies the frame without a camera move', () => {
+    const frame = createFrame(8, 8, 90, { x0: 2, y0: 2, x1: 3, y1: 3 });
+    const warped = warpReferenceFrame({ frame, pose: null }, 8, 8);
+    expect(Array.from(warped.data)).toEqual(Array.from(frame.data));
+  });
+
+  it('follows the camera pose and marks uncovered pixels', () => {
+    // The camera panned so the wall moved 25% to the right
+    const frame = createFrame(8, 8, 90, { x0: 0, y0: 0, x1: 0, y1: 7 });
+    const pose = [1, 0, 25, 0, 1, 0, 0, 0, 1];
+    const warped = warpReferenceFrame({ frame, pose }, 8, 8);
+
+    expect(warped.data[3]).toBe(0);
+    expect(warped.data[(4 * 8 + 2) * 4]).toBe(20);
+    expect(warped.data[(4 * 8 + 2) * 4 + 3]).toBe(255);
+    expect(warped.data[(4 * 8 + 3) * 4]).toBe(90);
+  });
+});
+
+describe('mergeOcclusionMasks', () => {
+  it('hides pixels covered by either mask at the person mask resolution', () => {
+    const person = createMask(4, 4, x => x === 0);
+    const occluder = createMask(2, 2, (x, y) => x === 1 && y === 1);
+    const merged = mergeOcclusionMasks(person, occluder);
+
+    expect(merged.width).toBe(4);
+    const alphaAt = (x, y) => merged.data[(y * 4 + x) * 4 + 3];
+    expect(alphaAt(0, 0)).toBe(255);
+    expect(alphaAt(3, 3)).toBe(255);
+    expect(alphaAt(2, 1)).toBe(0);
+    // The person mask itself is left alone
+    expect(person.data[(3 * 4 + 3) * 4 + 3]).toBe(0);
+  });
+
+  it('merges a pair of masks once and redoes it when either is replaced', () => {
+    const person = createMask(4, 4, x => x === 0);
+    const occluder = createMask(2, 2, (x, y) => x === 1 && y === 1);
+    const merged = mergeOcclusionMasks(person, occluder);
+
+    expect(mergeOcclusionMasks(person, occluder)).toBe(merged);
+
+    const nextPerson = createMask(4, 4, x => x === 1);
+    const remerged = mergeOcclusionMasks(nextPerson, occluder);
+    expect(remerged).not.toBe(merged);
+    expect(remerged.data[(0 * 4 + 1) * 4 + 3]).toBe(255);
+    expect(remerged.data[(0 * 4 + 0) * 4 + 3]).toBe(0);
+
+    expect(mergeOcclusionMasks(person, createMask(2, 2, () => false))).not.toBe(merged);
+  });
+
+  it('passes a lone mask through', () => {
+    const person = createMask(2, 2, () => true);
+    expect(mergeOcclusionMasks(person, null)).toBe(person);
+    expect(mergeOcclusionMasks(null, person)).toBe(person);
+  });
+});
+
+describe('needsAutoOccluders', () => {
+  it('only counts active regions that ask for automatic occluders', () => {
+    expect(needsAutoOccluders([{ active: true, occluders: { strokes: [], auto: false } }])).toBe(false);
+    expect(needsAutoOccluders([{ active: false, occluders: { strokes: [], auto: true } }])).toBe(false);
+    expect(needsAutoOccluders([{ active: true }, { active: true, occluders: { strokes: [], auto: true } }])).toBe(true);
+  });
+});
+
+describe('buildOccluderMasks', () => {
+  it('adds depth masks to active regions, with or without occluders of their own', () => {
+    const autoMask = createMask(4, 4, (x) => x === 0);
+    const depthMask = createMask(4, 4, (x) => x === 3);
+    const masks = buildOccluderMasks([
+      { id: 'plain', active: true },
+      { id: 'auto', active: true, occluders: { strokes: [], auto: true } },
+      { id: 'off', active: false }
+    ], autoMask, new Map([['plain', depthMask], ['auto', depthMask], ['off', depthMask]]));
+
+    expect([...masks.keys()]).toEqual(['plain', 'auto']);
+    expect(masks.get('plain')).toBe(depthMask);
+    const alphaAt = (x) => masks.get('auto').data[(1 * 4 + x) * 4 + 3];
+    expect(alphaAt(0)).toBe(255);
+    expect(alphaAt(3)).toBe(255);
+    expect(alphaAt(1)).toBe(0);
+  });
+});
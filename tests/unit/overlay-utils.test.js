@@ -13,6 +13,19 @@ import {
   sortOverlaysByLayer,
   duplicateOverlay,
   recalculateZIndices,
+  createCameraOverlay,
+  createTextBanner,
+  createTimer,
+  createTimerState,
+  getTimerElapsed,
+  getActiveTimerAlert,
+  getTimerEndChanges,
+  isCamera,
+  calculateCameraInset,
+  createScene,
+  validateScene,
+  TYPE_CAMERA,
+  CAMERA_SHAPE_CIRCLE,
   CATEGORY_USER,
   CATEGORY_BUNDLED,
   LAYER_FOREGROUND,
@@ -688,3 +701,225 @@ describe('constants', () => {
     expect(LAYER_BACKGROUND).toBe('background');
   });
 });
+
+describe('camera overlays', () => {
+  it('creates an active foreground inset for a device', () => {
+    const camera = createCameraOverlay('device-2', 'Document Camera');
+    expect(camera.type).toBe(TYPE_CAMERA);
+    expect(camera.deviceId).toBe('device-2');
+    expect(camera.name).toBe('Document Camera');
+    expect(camera.shape).toBe('rounded');
+    expect(camera.active).toBe(true);
+    expect(camera.layer).toBe(LAYER_FOREGROUND);
+    expect(isCamera(camera)).toBe(true);
+    expect(validateOverlay(camera).valid).toBe(true);
+  });
+
+  it('requires a deviceId instead of a src', () => {
+    const camera = createCameraOverlay('device-2');
+    delete camera.deviceId;
+    const result = validateOverlay(camera);
+    expect(result.valid).toBe(false);
+    expect(result.errors.some(e => e.includes('deviceId'))).toBe(true);
+    expect(result.errors.some(e => e.includes('src'))).toBe(false);
+  });
+
+  it('rejects unknown shapes', () => {
+    const camera = createCameraOverlay('device-2', 'Camera', { shape: 'hexagon' });
+    const result = validateOverlay(camera);
+    expect(result.valid).toBe(false);
+    expect(result.errors.some(e => e.includes('shape'))).toBe(true);
+  });
+
+  it('only renders while active', () => {
+    const camera = createCameraOverlay('device-2');
+    expect(shouldRender(camera)).toBe(true);
+    expect(shouldRender({ ...camera, active: false })).toBe(false);
+  });
+
+  it('migrates missing camera fields', () => {
+    const migrated = migrateOverlay({ id: 'cam', type: TYPE_CAMERA, deviceId: 'device-2', x: 0, y: 0, width: 20, height: 20 });
+    expect(migrated.zIndex).toBe(9);
+    expect(migrated.shape).toBe('rounded');
+    expect(migrated.style.borderWidth).toBeGreaterThan(0);
+  });
+});
+
+describe('calculateCameraInset', () => {
+  it('mirrors the inset horizontally for the self-view', () => {
+    const overlay = { x: 10, y: 20, width: 25, height: 30, shape: 'rectangle' };
+    const { dest } = calculateCameraInset(overlay, 1000, 1000, 640, 480);
+    expect(dest.x).toBeCloseTo(650);
+    expect(dest.y).toBeCloseTo(200);
+    expect(dest.width).toBeCloseTo(250);
+    expect(dest.height).toBeCloseTo(300);
+
+    const unmirrored = calculateCameraInset(overlay, 1000, 1000, 640, 480, false);
+    expect(unmirrored.dest.x).toBeCloseTo(100);
+  });
+
+  it('center-crops the camera frame to fill the inset', () => {
+    // 4:3 camera into a square box: crop the sides
+    const overlay = { x: 0, y: 0, width: 50, height: 50, shape: 'rectangle' };
+    const { source } = calculateCameraInset(overlay, 400, 400, 640, 480, false);
+    expect(source).toEqual({ x: 80, y: 0, width: 480, height: 480 });
+  });
+
+  it('crops top and bottom when the inset is wider than the camera', () => {
+    const overlay = { x: 0, y: 0, width: 100, height: 25, shape: 'rectangle' };
+    const { source } = calculateCameraInset(overlay, 400, 400, 640, 480, false);
+    expect(source.width).toBe(640);
+    expect(source.height).toBeCloseTo(160);
+    expect(source.y).toBeCloseTo(160);
+  });
+
+  it('uses the largest centered square for circles', () => {
+    const overlay = { x: 0, y: 0, width: 50, height: 25, shape: CAMERA_SHAPE_CIRCLE };
+    const { dest, source } = calculateCameraInset(overlay, 400, 400, 640, 480, false);
+    expect(dest).toEqual({ x: 50, y: 0, width: 100, height: 100 });
+    expect(source.width).toBeCloseTo(source.height);
+  });
+});
+
+describe('text banner slideshow validation', () => {
+  it('accepts a slideshow with a positive interval', () => {
+    const banner = createTextBanner(['One', 'Two'], 'Slides', { slideshow: { interval: 4, loop: false } });
+    const result = validateOverlay(banner);
+    expect(result.errors.some(e => e.includes('slideshow'))).toBe(false);
+  });
+
+  it('rejects a slideshow without a usable interval', () => {
+    const banner = createTextBanner(['One', 'Two'], 'Slides', { slideshow: { interval: 0 } });
+    const result = validateOverlay(banner);
+    expect(result.valid).toBe(false);
+    expect(result.errors.some(e => e.includes('slideshow.interval'))).toBe(true);
+  });
+});
+
+describe('timer state', () => {
+  it('measures elapsed time from the wall-clock start while running', () => {
+    const state = { ...createTimerState(), running: true, startTime: 10000 };
+    expect(getTimerElapsed(state, 25000)).toBe(15);
+  });
+
+  it('uses the stored elapsed time while paused', () => {
+    const state = { ...createTimerState(), elapsed: 42, pausedAt: 5000 };
+    expect(getTimerElapsed(state, 99999)).toBe(42);
+  });
+});
+
+describe('getActiveTimerAlert', () => {
+  const alerts = [
+    { at: 60, effect: 'color', color: '#ffaa00' },
+    { at: 10, effect: 'flash', color: '#ff0000' }
+  ];
+
+  it('picks the lowest countdown threshold reached', () => {
+    const timer = createTimer(120, 'Talk', { alertAt: alerts });
+    expect(getActiveTimerAlert(timer, 30)).toBeNull();
+    expect(getActiveTimerAlert(timer, 70).color).toBe('#ffaa00');
+    expect(getActiveTimerAlert(timer, 115).effect).toBe('flash');
+    expect(getActiveTimerAlert(timer, 120)).toBeNull();
+  });
+
+  it('picks the highest count-up threshold passed', () => {
+    const timer = createTimer(0, 'Up', { timerMode: 'countup', alertAt: alerts });
+    expect(getActiveTimerAlert(timer, 5)).toBeNull();
+    expect(getActiveTimerAlert(timer, 30).at).toBe(10);
+    expect(getActiveTimerAlert(timer, 90).at).toBe(60);
+  });
+
+  it('falls back to the red last-10-seconds alert for older timers', () => {
+    const timer = { type: 'timer', timerMode: 'countdown', duration: 60 };
+    expect(getActiveTimerAlert(timer, 45)).toBeNull();
+    expect(getActiveTimerAlert(timer, 55).color).toBe('#cc0000');
+  });
+
+  it('accepts plain second thresholds', () => {
+    const timer = createTimer(60, 'Talk', { alertAt: [30] });
+    expect(getActiveTimerAlert(timer, 40)).toMatchObject({ at: 30, effect: 'color' });
+  });
+});
+
+describe('getTimerEndChanges', () => {
+  const banner = { id: 'banner', type: 'textBanner', active: false };
+  const effectA = { id: 'a', type: 'effect', active: true };
+  const effectB = { id: 'b', type: 'effect', active: false };
+  const overlays = [banner, effectA, effectB];
+
+  it('shows the target text banner', () => {
+    const timer = createTimer(60, 'T', { endAction: { type: 'showBanner', targetId: 'banner' } });
+    expect(getTimerEndChanges(timer, overlays)).toEqual([{ id: 'banner', active: true }]);
+  });
+
+  it('switches to the target effect', () => {
+    const timer = createTimer(60, 'T', { endAction: { type: 'showEffect', targetId: 'b' } });
+    expect(getTimerEndChanges(timer, overlays)).toEqual([
+      { id: 'a', active: false },
+      { id: 'b', active: true }
+    ]);
+  });
+
+  it('hides the timer itself', () => {
+    const timer = createTimer(60, 'T', { endAction: { type: 'hide' } });
+    expect(getTimerEndChanges(timer, overlays)).toEqual([{ id: timer.id, active: false }]);
+  });
+
+  it('ignores missing targets and timers without an end action', () => {
+    const missing = createTimer(60, 'T', { endAction: { type: 'showBanner', targetId: 'gone' } });
+    expect(getTimerEndChanges(missing, overlays)).toEqual([]);
+    expect(getTimerEndChanges(createTimer(60), overlays)).toEqual([]);
+  });
+});
+
+describe('timer validation', () => {
+  it('rejects unknown alert effects and end actions', () => {
+    const timer = createTimer(60, 'T', {
+      alertAt: [{ at: 10, effect: 'explode' }],
+      endAction: { type: 'showBanner' }
+    });
+    const result = validateOverlay(timer);
+    expect(result.errors.some(e => e.includes('alertAt'))).toBe(true);
+    expect(result.errors.some(e => e.includes('endAction.targetId'))).toBe(true);
+  });
+});
+
+describe('scenes', () => {
+  it('snapshots overlays, wall art and settings', () => {
+    const overlays = [createOverlay('a.png'), createTimer(60)];
+    overlays[1].timerState = { running: true, startTime: 1000, pausedAt: null, elapsed: 0, finished: false };
+    const wallArtOverlays = [{ id: 'wall', type: 'wallArt', active: true, region: null, art: { src: 'art.png' } }];
+    const wallArtSettings = { segmentationEnabled: true, featherRadius: 3 };
+
+    const scene = createScene('  Presenting ', { overlays, wallArtOverlays, wallArtSettings });
+
+    expect(scene.name).toBe('Presenting');
+    expect(scene.overlays.map(o => o.id)).toEqual(overlays.map(o => o.id));
+    expect(scene.wallArtOverlays).toEqual(wallArtOverlays);
+    expect(scene.wallArtSettings).toEqual(wallArtSettings);
+    // Timers are stored stopped
+    expect(scene.overlays[1].timerState).toEqual(createTimerState());
+    expect(validateScene(scene).valid).toBe(true);
+  });
+
+  it('is not affected by later edits', () => {
+    const overlays = [createOverlay('a.png')];
+    const wallArtSettings = { featherRadius: 2 };
+    const scene = createScene('Scene', { overlays, wallArtOverlays: [], wallArtSettings });
+
+    overlays[0].x = 99;
+    wallArtSettings.featherRadius = 5;
+
+    expect(scene.overlays[0].x).not.toBe(99);
+    expect(scene.wallArtSettings.featherRadius).toBe(2);
+  });
+
+  it('rejects scenes without a name or configuration', () => {
+    const result = validateScene({ id: 'scene', name: ' ', overlays: null, wallArtOverlays: [] });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContain('Missing or invalid name');
+    expect(result.errors).toContain('overlays must be an array');
+    expect(result.errors).toContain('wallArtSettings must be an object');
+    expect(validateScene(null).valid).toBe(false);
+  });
+});
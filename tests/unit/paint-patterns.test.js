@@ -0,0 +1,118 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  createPaintFill,
+  estimateRegionAspect,
+  getTileLayout,
+  getLinearGradientLine,
+  isPatternPaint,
+  DEFAULT_WALL_WIDTH_CM
+} from '../../lib/paint-patterns.js';
+import { stubCanvases } from '../fixtures/canvas-stubs.js';
+
+// Region covering the middle half of the frame, leaning back on the right
+const TRAPEZOID = {
+  topLeft: { x: 20, y: 10 },
+  topRight: { x: 80, y: 20 },
+  bottomLeft: { x: 20, y: 90 },
+  bottomRight: { x: 80, y: 80 }
+};
+
+describe('estimateRegionAspect', () => {
+  it('uses pixel lengths, not percentages', () => {
+    const square = {
+      topLeft: { x: 0, y: 0 },
+      topRight: { x: 50, y: 0 },
+      bottomLeft: { x: 0, y: 100 },
+      bottomRight: { x: 50, y: 100 }
+    };
+    // Half of a 1280x720 frame is 640x720
+    expect(estimateRegionAspect(square, 1280, 720)).toBeCloseTo(640 / 720, 6);
+  });
+
+  it('averages opposite edges of a perspective quad', () => {
+    const top = Math.hypot(0.6 * 1000, 0.1 * 1000);
+    const aspect = estimateRegionAspect(TRAPEZOID, 1000, 1000);
+    expect(aspect).toBeCloseTo(top / ((800 + 600) / 2), 6);
+  });
+
+  it('falls back to square for degenerate regions', () => {
+    const point = { x: 50, y: 50 };
+    expect(estimateRegionAspect({ topLeft: point, topRight: point, bottomLeft: point, bottomRight: point }, 640, 480)).toBe(1);
+  });
+});
+
+describe('getTileLayout', () => {
+  it('repeats bricks at their real size across the wall', () => {
+    const layout = getTileLayout({ type: 'texture', texture: { name: 'brick' }, wallWidthCm: 270 }, 1.5);
+    expect(layout.wallHeightCm).toBeCloseTo(180, 6);
+    expect(layout.repeatsX).toBeCloseTo(6, 6);
+    expect(layout.repeatsY).toBeCloseTo(12, 6);
+  });
+
+  it('uses the pattern size and the default wall width', () => {
+    const layout = getTileLayout({ type: 'pattern', pattern: { name: 'checker', sizeCm: 50 } }, 2);
+    expect(layout.wallWidthCm).toBe(DEFAULT_WALL_WIDTH_CM);
+    expect(layout.tileWidthCm).toBe(50);
+    expect(layout.repeatsX).toBeCloseTo(6, 6);
+    expect(layout.repeatsY).toBeCloseTo(3, 6);
+  });
+
+  it('falls back to preset sizes for unknown or unsized patterns', () => {
+    expect(getTileLayout({ type: 'pattern', pattern: { name: 'dots' } }, 1).tileWidthCm).toBe(15);
+    expect(getTileLayout({ type: 'texture', texture: { name: 'marble' } }, 1).tileHeightCm).toBe(15);
+  });
+});
+
+describe('getLinearGradientLine', () => {
+  it('follows the CSS angle convention', () => {
+    const down = getLinearGradientLine(180, 200, 100);
+    expect(down.x0).toBeCloseTo(100, 6);
+    expect(down.y0).toBeCloseTo(0, 6);
+    expect(down.y1).toBeCloseTo(100, 6);
+    const right = getLinearGradientLine(90, 200, 100);
+    expect(right.x0).toBeCloseTo(0, 6);
+    expect(right.x1).toBeCloseTo(200, 6);
+    expect(right.y0).toBeCloseTo(50, 6);
+  });
+
+  it('reaches the corners on a diagonal', () => {
+    const line = getLinearGradientLine(45, 100, 100);
+    // Projection of the corner (100, 0) onto the gradient direction lands on the end point
+    const dx = line.x1 - line.x0;
+    const dy = line.y1 - line.y0;
+    const t = ((100 - line.x0) * dx + (0 - line.y0) * dy) / (dx * dx + dy * dy);
+    expect(t).toBeCloseTo(1, 6);
+  });
+});
+
+describe('isPatternPaint', () => {
+  it('treats missing and solid types as a single color', () => {
+    expect(isPatternPaint({ color: '#fff' })).toBe(false);
+    expect(isPatternPaint({ type: 'solid' })).toBe(false);
+    expect(isPatternPaint({ type: 'radialGradient' })).toBe(true);
+    expect(isPatternPaint(null)).toBe(false);
+  });
+});
+
+describe('createPaintFill', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('gives every brick its own tone, the same every time', () => {
+    const canvases = stubCanvases();
+    const brick = { type: 'texture', texture: { name: 'brick', colors: ['#a0522d', '#d8d0c0'] } };
+
+    createPaintFill(brick, 1.5);
+    const first = canvases.fillStyles.splice(0);
+    createPaintFill(brick, 1.5);
+
+    expect(canvases.fillStyles).toEqual(first);
+    // Mortar, then a tone per brick (the wrapped brick repeats at both ends)
+    const tones = first.slice(1, 6);
+    expect(first[0]).toBe('#d8d0c0');
+    expect(tones.every(tone => /^rgb\(\d+, \d+, \d+\)$/.test(tone))).toBe(true);
+    expect(new Set(tones).size).toBe(4);
+    expect(tones[4]).toBe(tones[2]);
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { createRandom, shadeColor, tintColor } from '../../lib/shared-utils.js';
+
+describe('createRandom', () => {
+  it('repeats the same sequence for the same seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const sequence = Array.from({ length: 5 }, () => a());
+
+    expect(Array.from({ length: 5 }, () => b())).toEqual(sequence);
+    expect(sequence.every(value => value >= 0 && value < 1)).toBe(true);
+    expect(createRandom(43)()).not.toBe(sequence[0]);
+  });
+});
+
+describe('shadeColor', () => {
+  it('scales each channel and clamps to the color range', () => {
+    expect(shadeColor('#804020', 0.5)).toBe('rgb(64, 32, 16)');
+    expect(shadeColor('#804020', 2.5)).toBe('rgb(255, 160, 80)');
+  });
+});
+
+describe('tintColor', () => {
+  it('mixes toward white to lighten and toward black to darken', () => {
+    expect(tintColor('#804020', 0.5)).toBe('rgb(192, 160, 144)');
+    expect(tintColor('#804020', -0.5)).toBe('rgb(64, 32, 16)');
+    expect(tintColor('#804020', 0)).toBe('rgb(128, 64, 32)');
+  });
+});
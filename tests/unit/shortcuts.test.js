@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getSlotCommand,
+  parseSlotCommand,
+  getEffectCycleChanges,
+  resolveShortcutCommand,
+  applyActiveChanges,
+  COMMAND_NEXT_EFFECT,
+  COMMAND_PREVIOUS_EFFECT,
+  COMMAND_HIDE_ALL,
+  SHORTCUT_SLOT_COUNT,
+  TIMER_SLOT_START_PAUSE
+} from '../../lib/shortcuts.js';
+
+function effect(id, active = false) {
+  return { id, type: 'effect', active };
+}
+
+describe('slot commands', () => {
+  it('round-trips slot numbers', () => {
+    expect(getSlotCommand(3)).toBe('toggle-slot-3');
+    expect(parseSlotCommand('toggle-slot-3')).toBe(3);
+  });
+
+  it('ignores other commands and out-of-range slots', () => {
+    expect(parseSlotCommand(COMMAND_HIDE_ALL)).toBeNull();
+    expect(parseSlotCommand('toggle-slot-0')).toBeNull();
+    expect(parseSlotCommand(getSlotCommand(SHORTCUT_SLOT_COUNT + 1))).toBeNull();
+  });
+});
+
+describe('getEffectCycleChanges', () => {
+  const overlays = [effect('a'), { id: 'img', type: 'standard' }, effect('b', true), effect('c')];
+
+  it('moves to the next effect', () => {
+    expect(getEffectCycleChanges(overlays, 1)).toEqual([
+      { id: 'b', active: false },
+      { id: 'c', active: true }
+    ]);
+  });
+
+  it('wraps around when going back from the first effect', () => {
+    const first = [effect('a', true), effect('b'), effect('c')];
+    expect(getEffectCycleChanges(first, -1)).toEqual([
+      { id: 'a', active: false },
+      { id: 'c', active: true }
+    ]);
+  });
+
+  it('starts at either end when no effect is active', () => {
+    const none = [effect('a'), effect('b')];
+    expect(getEffectCycleChanges(none, 1)).toEqual([{ id: 'a', active: true }]);
+    expect(getEffectCycleChanges(none, -1)).toEqual([{ id: 'b', active: true }]);
+    expect(getEffectCycleChanges([], 1)).toEqual([]);
+  });
+});
+
+describe('resolveShortcutCommand', () => {
+  const state = {
+    overlays: [
+      effect('fx'),
+      { id: 'banner', type: 'textBanner', active: true },
+      { id: 'timer', type: 'timer', active: false },
+      { id: 'img', type: 'standard' }
+    ],
+    wallArtOverlays: [{ id: 'wall', type: 'wallArt', active: true }],
+    shortcutSlots: {
+      1: { targetId: 'banner' },
+      2: { targetId: 'wall' },
+      3: { targetId: 'timer', timerAction: TIMER_SLOT_START_PAUSE },
+      4: { targetId: 'img' },
+      5: { targetId: 'deleted' }
+    }
+  };
+
+  it('toggles the overlay bound to a slot', () => {
+    const result = resolveShortcutCommand('toggle-slot-1', state);
+    expect(result.messages).toEqual([{ type: 'TOGGLE_TEXT_BANNER', id: 'banner', active: false }]);
+    expect(result.overlayChanges).toEqual([{ id: 'banner', active: false }]);
+  });
+
+  it('toggles wall art regions', () => {
+    const result = resolveShortcutCommand('toggle-slot-2', state);
+    expect(result.messages).toEqual([{ type: 'TOGGLE_WALL_ART', id: 'wall', active: false }]);
+    expect(result.wallArtChanges).toEqual([{ id: 'wall', active: false }]);
+  });
+
+  it('starts or pauses timers in the page without touching storage', () => {
+    const result = resolveShortcutCommand('toggle-slot-3', state);
+    expect(result.messages).toEqual([{ type: 'TIMER_CONTROL', id: 'timer', action: 'toggle' }]);
+    expect(result.overlayChanges).toEqual([]);
+  });
+
+  it('does nothing for empty, missing or untoggleable slots', () => {
+    expect(resolveShortcutCommand('toggle-slot-4', state)).toBeNull();
+    expect(resolveShortcutCommand('toggle-slot-5', state)).toBeNull();
+    expect(resolveShortcutCommand('toggle-slot-6', state)).toBeNull();
+  });
+
+  it('cycles effects and hides everything', () => {
+    expect(resolveShortcutCommand(COMMAND_PREVIOUS_EFFECT, state).messages)
+      .toEqual([{ type: 'TOGGLE_EFFECT', id: 'fx', active: true }]);
+    expect(resolveShortcutCommand(COMMAND_NEXT_EFFECT, { overlays: [] })).toBeNull();
+    expect(resolveShortcutCommand(COMMAND_HIDE_ALL, state).messages).toEqual([{ type: 'HIDE_ALL' }]);
+  });
+});
+
+describe('applyActiveChanges', () => {
+  it('returns a new list with the changes applied', () => {
+    const items = [effect('a', true), effect('b')];
+    const updated = applyActiveChanges(items, [{ id: 'b', active: true }]);
+    expect(updated.map(o => o.active)).toEqual([true, true]);
+    expect(items[1].active).toBe(false);
+  });
+});
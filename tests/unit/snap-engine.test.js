@@ -0,0 +1,157 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { cornerRoom, frontalWall } from '../fixtures/wall-frames.js';
+
+// All are classic scripts that register themselves on window
+let edgeDetector;
+let createEngine;
+beforeAll(async () => {
+  globalThis.window = globalThis;
+  await import('../../lib/vanishing-points.js');
+  await import('../../lib/edge-detector.js');
+  await import('../../lib/snap-engine.js');
+  edgeDetector = new globalThis.EdgeDetector({ threshold: 40, blurRadius: 1, minLineLength: 15 });
+  createEngine = (options = {}) => new globalThis.SnapEngine({ snapThreshold: 4, perspectiveEnabled: true, ...options });
+});
+
+const toPoint = (p) => ({ x: p[0] / p[2], y: p[1] / p[2] });
+
+// Fixture vanishing points are in frame pixels (160x120)
+const toPercent = (p) => ({ x: (p.x / 160) * 100, y: (p.y / 120) * 100 });
+
+function findLines(fixture) {
+  return edgeDetector.findLineSegments(edgeDetector.detectEdges(fixture.frame));
+}
+
+function estimate(fixture) {
+  return createEngine().estimateVanishingPoints(findLines(fixture), fixture.frame.width, fixture.frame.height);
+}
+
+// Distance (in percent) from a point to the line through a and b
+function distanceToLine(point, a, b) {
+  return Math.abs((b.x - a.x) * (a.y - point.y) - (a.x - point.x) * (b.y - a.y)) / Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+describe('EdgeDetector.findLineSegments', () => {
+  it('finds slanted edges as well as vertical ones', () => {
+    const lines = findLines(cornerRoom);
+    const slanted = lines.filter(line => Math.abs(line.y2 - line.y1) > 5 && Math.abs(line.x2 - line.x1) > 5);
+    const vertical = lines.filter(line => Math.abs(line.x2 - line.x1) < 1);
+    expect(slanted.length).toBeGreaterThanOrEqual(4);
+    expect(vertical.length).toBeGreaterThanOrEqual(1);
+    expect(vertical[0].x1).toBeCloseTo(45, 0);
+  });
+});
+
+describe('SnapEngine.estimateVanishingPoints', () => {
+  it('finds the vanishing point of each receding wall', () => {
+    const vanishingPoints = estimate(cornerRoom);
+    expect(vanishingPoints.horizontal).toHaveLength(2);
+
+    for (const expected of cornerRoom.vanishingPoints.map(toPercent)) {
+      const errors = vanishingPoints.horizontal.map(p => Math.hypot(toPoint(p).x - expected.x, toPoint(p).y - expected.y));
+      expect(Math.min(...errors)).toBeLessThan(4);
+    }
+    // Upright walls: the vertical vanishing point is at infinity
+    expect(vanishingPoints.vertical[2]).toBe(0);
+  });
+
+  it('puts the vanishing points of a frontal wall far away', () => {
+    const vanishingPoints = estimate(frontalWall);
+    expect(vanishingPoints.horizontal).toHaveLength(1);
+    const [x, y, w] = vanishingPoints.horizontal[0];
+    expect(Math.abs(w) * 1000).toBeLessThan(Math.hypot(x, y));
+  });
+
+  it('judges line angles in pixels on a non-square frame', () => {
+    // 400x100 frame: lines from the top edge converging on a point below it.
+    // The outer ones lean ~20-25 degrees in pixels, which percentages squeeze to a few degrees.
+    const width = 400;
+    const height = 100;
+    const vanishingPoint = { x: 200, y: 400 };
+    const lines = [20, 60, 100, 140, 260, 300, 340, 380].map(x => {
+      const dx = vanishingPoint.x - x;
+      const dy = vanishingPoint.y;
+      const scale = 60 / Math.hypot(dx, dy);
+      return {
+        x1: (x / width) * 100,
+        y1: 0,
+        x2: ((x + dx * scale) / width) * 100,
+        y2: ((dy * scale) / height) * 100,
+        length: 60
+      };
+    });
+
+    const vanishingPoints = createEngine().estimateVanishingPoints(lines, width, height);
+
+    expect(vanishingPoints.horizontal).toHaveLength(1);
+    const point = toPoint(vanishingPoints.horizontal[0]);
+    expect(point.x).toBeCloseTo(50, 0);
+    expect(point.y).toBeCloseTo(400, 0);
+  });
+
+  it('has nothing to estimate without lines', () => {
+    expect(createEngine().estimateVanishingPoints([], 160, 120)).toBeNull();
+  });
+});
+
+describe('perspective snapping', () => {
+  // Right wall of the corner room: the top and bottom sides recede to the left
+  const vanishingPoint = { x: -60, y: 45 };
+  const region = {
+    topLeft: { x: 52, y: 22 },
+    topRight: { x: 90, y: 10 },
+    bottomRight: { x: 90, y: 90 },
+    bottomLeft: { x: 50, y: 75 }
+  };
+  let engine;
+  beforeAll(() => {
+    engine = createEngine();
+    engine.vanishingPoints = { vertical: [0, 1, 0], horizontal: [[vanishingPoint.x, vanishingPoint.y, 1]] };
+  });
+
+  it('snaps a corner to where both sides converge', () => {
+    const point = { x: 51, y: 20.5 };
+    const candidates = engine.getSnapCandidates(point, null, null, [], { region, cornerName: 'topLeft' });
+    const best = engine.applyBestSnap(point, candidates);
+
+    expect(best.snapType).toBe('perspective-corner');
+    expect(best.point.x).toBeCloseTo(region.bottomLeft.x, 6);
+    expect(distanceToLine(best.point, region.topRight, vanishingPoint)).toBeLessThan(1e-9);
+  });
+
+  it('suggests the converging line when only one side is close', () => {
+    const point = { x: 40, y: 21 };
+    const candidates = engine.getPerspectiveCandidates(point, region, 'topLeft');
+    expect(candidates.map(c => c.type)).toEqual(['perspective-horizontal']);
+    expect(distanceToLine(candidates[0].point, region.topRight, vanishingPoint)).toBeLessThan(1e-9);
+  });
+
+  it('keeps the vertical side on the vertical vanishing point in a constrained drag', () => {
+    const point = { x: 62, y: 40 };
+    const candidates = engine.getSnapCandidates(point, null, null, [region.topRight], { region, cornerName: 'topLeft', constrained: true });
+    const best = engine.applyBestSnap(point, candidates);
+    expect(best.point).toEqual({ x: 50, y: 40 });
+    expect(candidates.every(c => c.type.startsWith('perspective-'))).toBe(true);
+  });
+
+  it('draws each converging line once, clipped to the frame', () => {
+    const point = { x: 51, y: 20.5 };
+    const candidates = engine.getPerspectiveCandidates(point, region, 'topLeft');
+    const guides = engine.getSnapGuides(point, candidates, region);
+    expect(guides).toHaveLength(2);
+    for (const guide of guides) {
+      expect(guide.type).toBe('perspective-line');
+      for (const value of [guide.x1, guide.y1, guide.x2, guide.y2]) {
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThanOrEqual(100);
+      }
+    }
+  });
+
+  it('leaves snapping unchanged when perspective mode is off', () => {
+    const plain = createEngine({ perspectiveEnabled: false });
+    plain.vanishingPoints = engine.vanishingPoints;
+    const candidates = plain.getSnapCandidates({ x: 51, y: 20.5 }, null, null, [], { region, cornerName: 'topLeft' });
+    expect(candidates.some(c => c.type.startsWith('perspective-'))).toBe(false);
+  });
+});
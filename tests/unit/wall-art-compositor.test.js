@@ -0,0 +1,138 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { compositeWallArt } from '../../lib/wall-art-compositor.js';
+import { createPixels, stubCanvases } from '../fixtures/canvas-stubs.js';
+
+const REGION = {
+  topLeft: { x: 0, y: 0 },
+  topRight: { x: 50, y: 0 },
+  bottomLeft: { x: 0, y: 50 },
+  bottomRight: { x: 50, y: 50 }
+};
+
+// Camera moved a tenth of the frame to the right
+const SHIFT_RIGHT = { dx: 10, dy: 0, scale: 1, rotation: 0, width: 100, height: 100 };
+
+const SETTINGS = {
+  segmentationEnabled: true,
+  featherRadius: 0,
+  jiggleCompensationEnabled: true,
+  lightingCompensationEnabled: true,
+  depthEnabled: true
+};
+
+/**
+ * Painted wall with art on it, and processors that each report a fixed result
+ */
+function createScene(settings = SETTINGS) {
+  const canvases = stubCanvases();
+  const ctx = new OffscreenCanvas(200, 200).getContext('2d');
+  const wall = {
+    id: 'wall',
+    type: 'wallArt',
+    active: true,
+    region: REGION,
+    paint: { enabled: true, color: '#808080' },
+    art: { src: 'poster.png' }
+  };
+  const personMask = createPixels(200, 200);
+  const depthMasks = new Map();
+  const processors = {
+    getSegmenter: vi.fn(async () => ({ segment: async () => ({ mask: personMask }) })),
+    getJiggleCompensator: vi.fn(() => ({ initialized: true, process: () => SHIFT_RIGHT })),
+    getOccluderTracker: vi.fn(() => null),
+    getDepthOcclusion: vi.fn(() => ({ update: vi.fn(() => depthMasks) })),
+    getLightingDetector: vi.fn(() => ({
+      initialized: true,
+      process: vi.fn(() => ({ grades: new Map([['wall', { brightness: 1.5, colorGain: [1, 1, 1] }]]) }))
+    })),
+    getWebGLArtRenderer: vi.fn(() => ({ canvas: {}, isContextValid: () => true, renderQuad: vi.fn() }))
+  };
+  const frame = {
+    source: new OffscreenCanvas(200, 200),
+    timestamp: 1000,
+    wallArtOverlays: [wall, { ...wall, id: 'hidden', active: false }],
+    images: new Map([['wall', { width: 100, height: 100 }]]),
+    settings,
+    shadingReference: null,
+    referenceDepth: { data: new Float32Array(1), width: 1, height: 1 },
+    pose: null
+  };
+  return { canvases, ctx, wall, personMask, frame, processors };
+}
+
+describe('compositeWallArt', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('skips the pipeline without active wall art', async () => {
+    const { ctx, frame, processors } = createScene();
+
+    const segmentTime = await compositeWallArt(ctx, { ...frame, wallArtOverlays: [] }, processors);
+
+    expect(segmentTime).toBe(0);
+    Object.values(processors).forEach(getter => expect(getter).not.toHaveBeenCalled());
+  });
+
+  it('draws the graded paint and art where the wall moved to, behind the person', async () => {
+    const { canvases, ctx, personMask, frame, processors } = createScene();
+
+    const segmentTime = await compositeWallArt(ctx, frame, processors);
+
+    expect(segmentTime).toBeGreaterThanOrEqual(0);
+    // Paint is lit like the wall: #808080 at 1.5x brightness
+    expect(canvases.fillStyles).toContain('rgb(192, 192, 192)');
+
+    const webglRenderer = processors.getWebGLArtRenderer.mock.results[0].value;
+    expect(webglRenderer.renderQuad).toHaveBeenCalledTimes(1);
+    const [, , , quad, options] = webglRenderer.renderQuad.mock.calls[0];
+    expect(quad.topLeft).toEqual({ x: 20, y: 0 });
+    expect(options.personMask).toBe(personMask);
+    expect(options.brightness).toBe(1.5);
+  });
+
+  it('grades the compensated regions but masks depth on the saved ones', async () => {
+    const { ctx, wall, frame, processors } = createScene();
+
+    await compositeWallArt(ctx, { ...frame, pose: [1, 0, 0, 0, 1, 0, 0, 0, 1] }, processors);
+
+    const detector = processors.getLightingDetector.mock.results[0].value;
+    const [, , graded] = detector.process.mock.calls[0];
+    expect(graded[0].region.topLeft).toEqual({ x: 10, y: 0 });
+
+    const depthOcclusion = processors.getDepthOcclusion.mock.results[0].value;
+    expect(depthOcclusion.update).toHaveBeenCalledWith([wall], {
+      depth: frame.referenceDepth,
+      pose: [1, 0, 0, 0, 1, 0, 0, 0, 1]
+    });
+  });
+
+  it('only runs the processors that are turned on', async () => {
+    const { ctx, frame, processors } = createScene({ featherRadius: 0 });
+
+    expect(await compositeWallArt(ctx, frame, processors)).toBe(0);
+
+    expect(processors.getSegmenter).not.toHaveBeenCalled();
+    expect(processors.getJiggleCompensator).not.toHaveBeenCalled();
+    expect(processors.getDepthOcclusion).not.toHaveBeenCalled();
+    expect(processors.getLightingDetector).not.toHaveBeenCalled();
+
+    // Drawn where the wall was saved, ungraded
+    const webglRenderer = processors.getWebGLArtRenderer.mock.results[0].value;
+    const [, , , quad, options] = webglRenderer.renderQuad.mock.calls[0];
+    expect(quad.topLeft).toEqual({ x: 0, y: 0 });
+    expect(options.brightness).toBe(1);
+  });
+
+  it('keeps compositing when a processor fails', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const { canvases, ctx, frame, processors } = createScene();
+    processors.getSegmenter.mockResolvedValue({ segment: async () => { throw new Error('no model'); } });
+
+    await compositeWallArt(ctx, frame, processors);
+
+    expect(warn).toHaveBeenCalledWith('[WallArtCompositor] Segmentation failed:', expect.any(Error));
+    expect(canvases.fillStyles).toContain('rgb(192, 192, 192)');
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isPlaylistActive,
+  getArtSources,
+  getSourceOwnerId,
+  parseClockTimes,
+  getPlaylistSlot,
+  getPassOrder,
+  getItemForSlot,
+  getPlaylistFrame,
+  getKenBurnsTransform
+} from '../../lib/wall-art-playlist.js';
+
+const items = (count) => Array.from({ length: count }, (_, i) => ({ src: `art-${i}.png` }));
+
+// Local time on a fixed day, so schedule tests do not depend on the machine's time zone
+const at = (hours, minutes, seconds = 0) => new Date(2024, 4, 15, hours, minutes, seconds).getTime();
+
+describe('getArtSources', () => {
+  it('keys playlist items by overlay and index', () => {
+    const overlay = { id: 'wa-1', art: { src: 'single.png' }, playlist: { items: items(2) } };
+    expect(isPlaylistActive(overlay)).toBe(true);
+    expect(getArtSources(overlay).map(source => source.key)).toEqual(['wa-1#0', 'wa-1#1']);
+    expect(getSourceOwnerId('wa-1#1')).toBe('wa-1');
+  });
+
+  it('falls back to the single art without playlist items', () => {
+    const overlay = { id: 'wa-1', art: { src: 'single.png' }, playlist: { items: [] } };
+    expect(isPlaylistActive(overlay)).toBe(false);
+    expect(getArtSources(overlay)).toEqual([{ key: 'wa-1', art: overlay.art }]);
+    expect(getArtSources({ id: 'wa-2' })).toEqual([]);
+    expect(getSourceOwnerId('wa-2')).toBe('wa-2');
+  });
+});
+
+describe('getPlaylistSlot', () => {
+  it('steps on the interval, aligned to the epoch', () => {
+    const playlist = { items: items(3), intervalSec: 10 };
+    expect(getPlaylistSlot(playlist, 25000)).toEqual({ slot: 2, start: 20000, end: 30000 });
+    expect(getItemForSlot(playlist, 2)).toBe(2);
+    expect(getItemForSlot(playlist, 4)).toBe(1);
+  });
+
+  it('advances at the scheduled clock times', () => {
+    const playlist = { items: items(3), mode: 'schedule', times: ['17:00', '09:00', 'soon'] };
+    const morning = getPlaylistSlot(playlist, at(10, 30));
+    expect(morning.start).toBe(at(9, 0));
+    expect(morning.end).toBe(at(17, 0));
+
+    const evening = getPlaylistSlot(playlist, at(18, 0));
+    expect(evening.slot).toBe(morning.slot + 1);
+    expect(evening.end).toBe(at(33, 0));
+  });
+
+  it('keeps showing the last step of yesterday before the first time', () => {
+    const playlist = { items: items(3), mode: 'schedule', times: ['09:00', '17:00'] };
+    const early = getPlaylistSlot(playlist, at(7, 0));
+    expect(early.start).toBe(at(-7, 0));
+    expect(getPlaylistSlot(playlist, at(9, 0)).slot).toBe(early.slot + 1);
+  });
+
+  it('drops invalid clock times', () => {
+    expect(parseClockTimes(['9:05', '24:00', '12:60', '09:05', ' 23:59 '])).toEqual([545, 1439]);
+  });
+});
+
+describe('getPassOrder', () => {
+  it('plays every item once per shuffled pass', () => {
+    const order = getPassOrder(6, true, 42, 3);
+    expect([...order].sort()).toEqual([0, 1, 2, 3, 4, 5]);
+    expect(getPassOrder(6, true, 42, 3)).toEqual(order);
+  });
+
+  it('never repeats an item across passes', () => {
+    for (let pass = 1; pass < 50; pass++) {
+      const previous = getPassOrder(4, true, 7, pass - 1);
+      expect(getPassOrder(4, true, 7, pass)[0]).not.toBe(previous[3]);
+    }
+  });
+
+  it('keeps the order without shuffle', () => {
+    expect(getPassOrder(4, false, 7, 5)).toEqual([0, 1, 2, 3]);
+  });
+});
+
+describe('getPlaylistFrame', () => {
+  const playlist = { items: items(3), intervalSec: 10, transitionMs: 2000 };
+
+  it('runs the transition at the start of a step', () => {
+    const frame = getPlaylistFrame(playlist, 20500);
+    expect(frame.index).toBe(2);
+    expect(frame.previousIndex).toBe(1);
+    expect(frame.progress).toBeCloseTo(0.25, 6);
+  });
+
+  it('drops the previous item once the transition is over', () => {
+    const frame = getPlaylistFrame(playlist, 25000);
+    expect(frame.previousIndex).toBeNull();
+    expect(frame.progress).toBe(1);
+  });
+
+  it('switches instantly without a transition', () => {
+    const frame = getPlaylistFrame({ ...playlist, transition: 'none' }, 20001);
+    expect(frame.previousIndex).toBeNull();
+    expect(frame.progress).toBe(1);
+  });
+});
+
+describe('getKenBurnsTransform', () => {
+  it('stays zoomed in enough to pan anywhere', () => {
+    for (let slot = 0; slot < 8; slot++) {
+      for (const elapsed of [0, 0.5, 1]) {
+        const { zoom, panX, panY } = getKenBurnsTransform(slot, elapsed);
+        expect(zoom).toBeGreaterThan(1);
+        expect(zoom).toBeLessThanOrEqual(1.15);
+        expect(Math.abs(panX)).toBeLessThanOrEqual(1);
+        expect(Math.abs(panY)).toBeLessThanOrEqual(1);
+      }
+    }
+  });
+
+  it('moves across the art over the step', () => {
+    const start = getKenBurnsTransform(0, 0);
+    const end = getKenBurnsTransform(0, 1);
+    expect(start.panX).toBe(-1);
+    expect(end.panX).toBe(1);
+    expect(end.zoom).toBeGreaterThan(start.zoom);
+  });
+});
@@ -0,0 +1,220 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { computeQuadHomography, applyHomography } from '../../lib/wall-region.js';
+import { homographyToClipSpace, warpImageToQuad, renderWallArt, renderAllWallArt } from '../../lib/wall-art-renderer.js';
+import { createPixels, stubCanvases } from '../fixtures/canvas-stubs.js';
+
+// Wall seen at an angle: right edge is shorter than the left edge
+const PERSPECTIVE_QUAD = {
+  topLeft: { x: 200, y: 100 },
+  topRight: { x: 900, y: 180 },
+  bottomLeft: { x: 200, y: 600 },
+  bottomRight: { x: 900, y: 520 }
+};
+
+/**
+ * Apply a column-major 3x3 clip-space matrix like the vertex shader does,
+ * then convert back to pixels.
+ */
+function clipToPixel(clipMatrix, u, v, width, height) {
+  const m = clipMatrix;
+  const x = m[0] * u + m[3] * v + m[6];
+  const y = m[1] * u + m[4] * v + m[7];
+  const w = m[2] * u + m[5] * v + m[8];
+  return {
+    x: ((x / w + 1) / 2) * width,
+    y: ((1 - y / w) / 2) * height
+  };
+}
+
+describe('homographyToClipSpace', () => {
+  it('produces the same pixel positions as the CPU projection', () => {
+    const width = 1280;
+    const height = 720;
+    const h = computeQuadHomography(PERSPECTIVE_QUAD);
+    const clip = homographyToClipSpace(h, width, height);
+
+    for (const [u, v] of [[0, 0], [1, 0], [0, 1], [1, 1], [0.25, 0.75], [0.5, 0.5]]) {
+      const cpu = applyHomography(h, u, v);
+      const gpu = clipToPixel(clip, u, v, width, height);
+      expect(gpu.x).toBeCloseTo(cpu.x, 2);
+      expect(gpu.y).toBeCloseTo(cpu.y, 2);
+    }
+  });
+});
+
+function alphaAt(pixels, x, y) {
+  return pixels.data[(y * pixels.width + x) * 4 + 3];
+}
+
+describe('warpImageToQuad', () => {
+  it('only writes pixels inside the quad', () => {
+    const source = createPixels(4, 4);
+    source.data.fill(255);
+    const target = createPixels(100, 100);
+    const quad = {
+      topLeft: { x: 20, y: 10 },
+      topRight: { x: 80, y: 30 },
+      bottomLeft: { x: 20, y: 90 },
+      bottomRight: { x: 80, y: 70 }
+    };
+
+    warpImageToQuad(source, target, quad);
+
+    expect(alphaAt(target, 50, 50)).toBe(255);
+    expect(alphaAt(target, 10, 50)).toBe(0);
+    expect(alphaAt(target, 79, 15)).toBe(0);
+    expect(alphaAt(target, 79, 50)).toBe(255);
+  });
+
+  it('keeps a straight source line straight on an angled wall', () => {
+    // Source: opaque diagonal from top-left to bottom-right, transparent elsewhere
+    const size = 64;
+    const source = createPixels(size, size);
+    for (let i = 0; i < size; i++) {
+      source.data[(i * size + i) * 4 + 3] = 255;
+    }
+
+    const target = createPixels(1280, 720);
+    warpImageToQuad(source, target, PERSPECTIVE_QUAD);
+
+    // The diagonal must land on the straight segment topLeft -> bottomRight
+    // (y = 100 + 0.6 * (x - 200)), with no bow in the middle
+    for (const x of [300, 450, 600, 750]) {
+      let sum = 0;
+      let weight = 0;
+      for (let y = 0; y < target.height; y++) {
+        const alpha = alphaAt(target, x, y);
+        sum += (y + 0.5) * alpha;
+        weight += alpha;
+      }
+      expect(weight).toBeGreaterThan(0);
+      expect(sum / weight).toBeCloseTo(100 + 0.6 * (x + 0.5 - 200), 0);
+    }
+  });
+
+  it('honours the target origin', () => {
+    const source = createPixels(2, 2);
+    source.data.fill(255);
+    const target = createPixels(20, 20);
+    const quad = {
+      topLeft: { x: 100, y: 100 },
+      topRight: { x: 110, y: 100 },
+      bottomLeft: { x: 100, y: 110 },
+      bottomRight: { x: 110, y: 110 }
+    };
+
+    warpImageToQuad(source, target, quad, 95, 95);
+
+    expect(alphaAt(target, 4, 4)).toBe(0);
+    expect(alphaAt(target, 5, 5)).toBe(255);
+    expect(alphaAt(target, 14, 14)).toBe(255);
+    expect(alphaAt(target, 15, 15)).toBe(0);
+  });
+});
+
+describe('renderAllWallArt', () => {
+  const REGION = {
+    topLeft: { x: 0, y: 0 },
+    topRight: { x: 50, y: 0 },
+    bottomLeft: { x: 0, y: 50 },
+    bottomRight: { x: 50, y: 50 }
+  };
+
+  function createTargets() {
+    const ctx = { canvas: { width: 200, height: 200 }, drawImage: vi.fn() };
+    const webglRenderer = { canvas: {}, isContextValid: () => true, renderQuad: vi.fn() };
+    return { ctx, webglRenderer };
+  }
+
+  it('renders a screen share on a region without art', () => {
+    const { ctx, webglRenderer } = createTargets();
+    const screen = { videoWidth: 200, videoHeight: 100 };
+    const overlays = [
+      { id: 'shared', type: 'wallArt', active: true, region: REGION, art: null, screenShare: true },
+      { id: 'empty', type: 'wallArt', active: true, region: REGION, art: null }
+    ];
+    const sources = new Map([['shared', screen], ['empty', screen]]);
+
+    renderAllWallArt(/** @type {*} */ (ctx), overlays, sources, { webglRenderer });
+
+    expect(webglRenderer.renderQuad).toHaveBeenCalledTimes(1);
+    const [source, textureKey, sourceRect, quad] = webglRenderer.renderQuad.mock.calls[0];
+    expect(source).toBe(screen);
+    expect(textureKey).toBe('shared');
+    // Shared screens default to "fit": the whole surface is shown, letterboxed in the
+    // 100x100 region instead of squeezed into it
+    expect(sourceRect).toEqual({ x: 0, y: 0, width: 200, height: 100 });
+    expect(quad.topLeft.x).toBeCloseTo(0);
+    expect(quad.topLeft.y).toBeCloseTo(25);
+    expect(quad.bottomRight.x).toBeCloseTo(100);
+    expect(quad.bottomRight.y).toBeCloseTo(75);
+  });
+
+  it('grades each region with its own lighting', () => {
+    const { ctx, webglRenderer } = createTargets();
+    const image = { width: 100, height: 100 };
+    const art = { src: 'art.png' };
+    const overlays = [
+      { id: 'lamp', type: 'wallArt', active: true, region: REGION, art },
+      { id: 'shade', type: 'wallArt', active: true, region: REGION, art }
+    ];
+    const sources = new Map([['lamp', image], ['shade', image]]);
+    const lightingGrades = new Map([['lamp', { brightness: 1.1, colorGain: [1.1, 1, 0.85] }]]);
+
+    renderAllWallArt(/** @type {*} */ (ctx), overlays, sources, { webglRenderer, lightingGrades, artBrightnessMultiplier: 0.9 });
+
+    const [lamp, shade] = webglRenderer.renderQuad.mock.calls.map(call => call[4]);
+    expect(lamp.brightness).toBe(1.1);
+    expect(lamp.colorGain).toEqual([1.1, 1, 0.85]);
+    expect(shade.brightness).toBe(0.9);
+    expect(shade.colorGain).toBeNull();
+  });
+
+  it('crops the art to the region zoom and pan', () => {
+    const { ctx, webglRenderer } = createTargets();
+    const overlays = [{
+      id: 'poster',
+      type: 'wallArt',
+      active: true,
+      region: REGION,
+      art: { src: 'poster.png' },
+      transform: { zoom: 2, panX: 1, panY: -1 }
+    }];
+
+    renderAllWallArt(/** @type {*} */ (ctx), overlays, new Map([['poster', { width: 400, height: 200 }]]), { webglRenderer });
+
+    expect(webglRenderer.renderQuad.mock.calls[0][2]).toEqual({ x: 200, y: 0, width: 200, height: 100 });
+  });
+});
+
+describe('renderWallArt without WebGL', () => {
+  const REGION = {
+    topLeft: { x: 10, y: 10 },
+    topRight: { x: 60, y: 20 },
+    bottomLeft: { x: 10, y: 80 },
+    bottomRight: { x: 60, y: 70 }
+  };
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('warps a still image once while the region stays put', () => {
+    const canvases = stubCanvases();
+    const ctx = /** @type {*} */ (new OffscreenCanvas(100, 100).getContext('2d'));
+    const image = { width: 40, height: 40 };
+    const content = { source: image, contentType: 'image', aspectRatioMode: 'stretch', opacity: 1 };
+
+    renderWallArt(ctx, REGION, content);
+    renderWallArt(ctx, REGION, content);
+    expect(canvases.reads).toBe(1);
+
+    renderWallArt(ctx, { ...REGION, topLeft: { x: 12, y: 10 } }, content);
+    expect(canvases.reads).toBe(2);
+
+    // Videos and redrawn canvases change every frame
+    renderWallArt(ctx, REGION, { ...content, contentType: 'video' });
+    renderWallArt(ctx, REGION, { ...content, contentType: 'video' });
+    expect(canvases.reads).toBe(4);
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { cornerRoom, cornerRoomWithPerson, frontalWall, clutter } from '../fixtures/wall-frames.js';
+
+// The detector and its vanishing point helper are classic scripts that register themselves on window
+let detector;
+beforeAll(async () => {
+  globalThis.window = globalThis;
+  await import('../../lib/vanishing-points.js');
+  await import('../../lib/wall-detector.js');
+  detector = new globalThis.WallDetector();
+});
+
+const CORNERS = ['topLeft', 'topRight', 'bottomRight', 'bottomLeft'];
+
+// Largest corner distance (in percent) between a detected and an expected quad
+function quadError(region, expected) {
+  return Math.max(...CORNERS.map(corner =>
+    Math.hypot(region[corner].x - expected[corner].x, region[corner].y - expected[corner].y)
+  ));
+}
+
+function expectWallsFound(regions, walls, tolerance) {
+  for (const wall of walls) {
+    const errors = regions.map(r => quadError(r.region, wall));
+    expect(Math.min(...errors)).toBeLessThan(tolerance);
+  }
+}
+
+describe('extractLineSegments', () => {
+  it('finds the corner and the ceiling lines', () => {
+    const segments = detector.extractLineSegments(cornerRoom.frame);
+    const corner = segments.find(s => Math.abs(s.x1 - 72) < 2 && Math.abs(s.x2 - 72) < 2);
+    expect(corner.length).toBeGreaterThan(70);
+
+    const ceiling = segments.find(s => s.length > 60 && Math.abs((s.y2 - s.y1) / (s.x2 - s.x1) - 16 / 72) < 0.02);
+    expect(ceiling).toBeDefined();
+  });
+
+  it('ignores edges around the person', () => {
+    const segments = detector.extractLineSegments(cornerRoomWithPerson.frame, cornerRoomWithPerson.personMask);
+    const onPerson = segments.filter(s => {
+      const mx = (s.x1 + s.x2) / 2 - 104;
+      const my = (s.y1 + s.y2) / 2 - 100;
+      return (mx / 20) ** 2 + (my / 34) ** 2 < 1.5;
+    });
+    expect(onPerson).toEqual([]);
+  });
+});
+
+describe('estimateVanishingPoints', () => {
+  it('finds one vanishing point per wall and vertical lines at infinity', () => {
+    const segments = detector.extractLineSegments(cornerRoom.frame);
+    const { vertical, horizontal } = detector.estimateVanishingPoints(segments, cornerRoom.frame.height);
+
+    expect(Math.abs(vertical.point[2])).toBeLessThan(0.01);
+    expect(horizontal).toHaveLength(2);
+    for (const expected of cornerRoom.vanishingPoints) {
+      const distances = horizontal.map(vp => Math.hypot(vp.point[0] / vp.point[2] - expected.x, vp.point[1] / vp.point[2] - expected.y));
+      expect(Math.min(...distances)).toBeLessThan(10);
+    }
+  });
+
+  it('does not mistake lines meeting at a corner for a vanishing point', () => {
+    const segments = detector.extractLineSegments(cornerRoom.frame);
+    const { horizontal } = detector.estimateVanishingPoints(segments, cornerRoom.frame.height);
+    for (const vp of horizontal) {
+      expect(Math.abs(vp.point[0] / vp.point[2] - 72)).toBeGreaterThan(50);
+    }
+  });
+});
+
+describe('detectWallsInFrame', () => {
+  it('returns a perspective quad for each wall of a corner', () => {
+    const result = detector.detectWallsInFrame(cornerRoom.frame);
+    expect(result.success).toBe(true);
+    expect(result.regions.every(r => r.method === 'plane')).toBe(true);
+    expectWallsFound(result.regions.slice(0, 2), cornerRoom.walls, 3);
+    expect(result.regions[0].confidence).toBeGreaterThan(0.8);
+  });
+
+  it('ranks regions by confidence', () => {
+    const { regions } = detector.detectWallsInFrame(frontalWall.frame);
+    const confidences = regions.map(r => r.confidence);
+    expect(confidences).toEqual([...confidences].sort((a, b) => b - a));
+    confidences.forEach(confidence => {
+      expect(confidence).toBeGreaterThan(0);
+      expect(confidence).toBeLessThanOrEqual(1);
+    });
+  });
+
+  it('follows the door frame and floor line of a wall seen straight on', () => {
+    const { regions } = detector.detectWallsInFrame(frontalWall.frame);
+    expect(quadError(regions[0].region, frontalWall.walls[0])).toBeLessThan(3);
+  });
+
+  it('still finds the walls behind a person', () => {
+    const result = detector.detectWallsInFrame(cornerRoomWithPerson.frame, cornerRoomWithPerson.personMask);
+    expectWallsFound(result.regions, cornerRoomWithPerson.walls, 4);
+  });
+
+  it('finds nothing in a busy frame', () => {
+    const result = detector.detectWallsInFrame(clutter.frame);
+    expect(result.success).toBe(false);
+    expect(result.reason).toBe('no_walls_found');
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { recolorImageData, renderWallPaintRecolor } from '../../lib/wall-paint-renderer.js';
+import { createPixels, stubCanvases } from '../fixtures/canvas-stubs.js';
+
+function rgbAt(imageData, i) {
+  return Array.from(imageData.data.slice(i * 4, i * 4 + 3));
+}
+
+describe('recolorImageData', () => {
+  it('keeps the wall shading while changing its color', () => {
+    // Evenly lit wall with a shadowed corner pixel and a lamp-lit pixel
+    const pixels = createPixels(4, 1, 255);
+    const luminance = new Float32Array([100, 100, 50, 150]);
+
+    recolorImageData(pixels, luminance, [200, 40, 80]);
+
+    expect(rgbAt(pixels, 0)).toEqual([200, 40, 80]);
+    expect(rgbAt(pixels, 2)).toEqual([100, 20, 40]);
+    expect(rgbAt(pixels, 3)).toEqual([255, 60, 120]);
+  });
+
+  it('ignores pixels outside the region and behind the person when averaging', () => {
+    const pixels = createPixels(3, 1, 255);
+    pixels.data[7] = 0; // Person (or outside the quad)
+    const luminance = new Float32Array([80, 240, 80]);
+
+    recolorImageData(pixels, luminance, [100, 100, 100]);
+
+    expect(rgbAt(pixels, 0)).toEqual([100, 100, 100]);
+    expect(rgbAt(pixels, 1)).toEqual([0, 0, 0]);
+    expect(rgbAt(pixels, 2)).toEqual([100, 100, 100]);
+  });
+
+  it('uses the unshaded color where the reference frame has no sample', () => {
+    const pixels = createPixels(2, 1, 255);
+    const luminance = new Float32Array([60, NaN]);
+
+    recolorImageData(pixels, luminance, [10, 20, 30]);
+
+    expect(rgbAt(pixels, 0)).toEqual([10, 20, 30]);
+    expect(rgbAt(pixels, 1)).toEqual([10, 20, 30]);
+  });
+});
+
+describe('renderWallPaintRecolor', () => {
+  const REGION = {
+    topLeft: { x: 10, y: 10 },
+    topRight: { x: 60, y: 10 },
+    bottomLeft: { x: 10, y: 60 },
+    bottomRight: { x: 60, y: 60 }
+  };
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  function createTarget(width, height) {
+    return { canvas: { width, height }, save: () => {}, restore: () => {}, drawImage: vi.fn() };
+  }
+
+  it('reuses one scratch canvas until the frame size changes', () => {
+    const { created } = stubCanvases();
+    const target = createTarget(100, 80);
+
+    renderWallPaintRecolor(/** @type {*} */ (target), REGION, '#336699');
+    renderWallPaintRecolor(/** @type {*} */ (target), { ...REGION, topLeft: { x: 20, y: 10 } }, '#336699');
+    expect(created).toEqual([[100, 80]]);
+
+    renderWallPaintRecolor(/** @type {*} */ (createTarget(200, 160)), REGION, '#336699');
+    expect(created).toEqual([[100, 80], [200, 160]]);
+
+    // Only the region's bounds are copied out of the scratch canvas
+    const [, ...rect] = target.drawImage.mock.calls[0];
+    expect(rect).toEqual([10, 8, 50, 40, 10, 8, 50, 40]);
+  });
+});
@@ -0,0 +1,397 @@
+import { describe, it, expect } from 'vitest';
+import {
+  computeQuadHomography,
+  invertHomography,
+  computeInverseQuadHomography,
+  applyHomography,
+  resampleThroughPose,
+  getPixelBounds,
+  moveCorner,
+  constrainRegion,
+  applyContentTransform,
+  stepContentTransform,
+  REGION_TYPES,
+  MIN_REGION_SIZE,
+  createDefaultRegion,
+  isPointInRegion,
+  getRegionBounds,
+  getRegionArea,
+  moveRegion,
+  toPolygonRegion,
+  toMaskRegion,
+  addMaskStroke,
+  insertVertex,
+  removeVertex,
+  getCoverQuad
+} from '../../lib/wall-region.js';
+
+const RECT = {
+  topLeft: { x: 100, y: 50 },
+  topRight: { x: 500, y: 50 },
+  bottomLeft: { x: 100, y: 350 },
+  bottomRight: { x: 500, y: 350 }
+};
+
+// Wall seen at an angle: right edge is shorter than the left edge
+const PERSPECTIVE_QUAD = {
+  topLeft: { x: 200, y: 100 },
+  topRight: { x: 900, y: 180 },
+  bottomLeft: { x: 200, y: 600 },
+  bottomRight: { x: 900, y: 520 }
+};
+
+describe('computeQuadHomography', () => {
+  it('maps unit square corners to quad corners', () => {
+    const h = computeQuadHomography(PERSPECTIVE_QUAD);
+
+    const tl = applyHomography(h, 0, 0);
+    const tr = applyHomography(h, 1, 0);
+    const br = applyHomography(h, 1, 1);
+    const bl = applyHomography(h, 0, 1);
+
+    expect(tl.x).toBeCloseTo(200, 6);
+    expect(tl.y).toBeCloseTo(100, 6);
+    expect(tr.x).toBeCloseTo(900, 6);
+    expect(tr.y).toBeCloseTo(180, 6);
+    expect(br.x).toBeCloseTo(900, 6);
+    expect(br.y).toBeCloseTo(520, 6);
+    expect(bl.x).toBeCloseTo(200, 6);
+    expect(bl.y).toBeCloseTo(600, 6);
+  });
+
+  it('is affine for rectangles', () => {
+    const h = computeQuadHomography(RECT);
+
+    expect(h[6]).toBe(0);
+    expect(h[7]).toBe(0);
+
+    const center = applyHomography(h, 0.5, 0.5);
+    expect(center.x).toBeCloseTo(300, 6);
+    expect(center.y).toBeCloseTo(200, 6);
+  });
+
+  it('maps the square center to the intersection of the quad diagonals', () => {
+    const h = computeQuadHomography(PERSPECTIVE_QUAD);
+    const center = applyHomography(h, 0.5, 0.5);
+
+    // Diagonals: topLeft->bottomRight is y = 100 + 0.6 * (x - 200)
+    // topRight->bottomLeft is y = 180 - 0.6 * (x - 900)
+    const expectedX = 740 / 1.2;
+    const expectedY = 100 + 0.6 * (expectedX - 200);
+
+    expect(center.x).toBeCloseTo(expectedX, 6);
+    expect(center.y).toBeCloseTo(expectedY, 6);
+  });
+
+  it('foreshortens the far side of a perspective quad', () => {
+    const h = computeQuadHomography(PERSPECTIVE_QUAD);
+
+    // With bilinear interpolation the midpoint of the top edge would be x = 550.
+    // A true projective mapping pushes it toward the far (shorter) edge.
+    const topMid = applyHomography(h, 0.5, 0);
+    expect(topMid.x).toBeGreaterThan(550);
+  });
+});
+
+describe('invertHomography', () => {
+  it('undoes the forward mapping', () => {
+    const h = computeQuadHomography(PERSPECTIVE_QUAD);
+    const inverse = invertHomography(h);
+
+    for (const [u, v] of [[0, 0], [1, 1], [0.3, 0.8], [0.5, 0.5]]) {
+      const point = applyHomography(h, u, v);
+      const back = applyHomography(inverse, point.x, point.y);
+      expect(back.x).toBeCloseTo(u, 9);
+      expect(back.y).toBeCloseTo(v, 9);
+    }
+  });
+
+  it('returns null for singular matrices', () => {
+    expect(invertHomography([1, 2, 3, 2, 4, 6, 0, 0, 1])).toBeNull();
+  });
+});
+
+describe('computeInverseQuadHomography', () => {
+  it('maps quad corners back to the unit square', () => {
+    const inverse = computeInverseQuadHomography(PERSPECTIVE_QUAD);
+
+    const tr = applyHomography(inverse, 900, 180);
+    const bl = applyHomography(inverse, 200, 600);
+    expect(tr.x).toBeCloseTo(1, 9);
+    expect(tr.y).toBeCloseTo(0, 9);
+    expect(bl.x).toBeCloseTo(0, 9);
+    expect(bl.y).toBeCloseTo(1, 9);
+  });
+
+  it('keeps straight lines straight', () => {
+    const h = computeQuadHomography(PERSPECTIVE_QUAD);
+    const inverse = computeInverseQuadHomography(PERSPECTIVE_QUAD);
+
+    // Points on one straight line across the wall...
+    const a = applyHomography(h, 0.1, 0.2);
+    const b = applyHomography(h, 0.9, 0.7);
+    const onLine = [0.25, 0.5, 0.75].map(t => ({
+      x: a.x + (b.x - a.x) * t,
+      y: a.y + (b.y - a.y) * t
+    }));
+
+    // ...map to points on one straight line in the art
+    const ua = applyHomography(inverse, a.x, a.y);
+    const ub = applyHomography(inverse, b.x, b.y);
+    for (const point of onLine) {
+      const uv = applyHomography(inverse, point.x, point.y);
+      const cross = (ub.x - ua.x) * (uv.y - ua.y) - (ub.y - ua.y) * (uv.x - ua.x);
+      expect(cross).toBeCloseTo(0, 9);
+    }
+  });
+
+  it('returns null for zero-area quads', () => {
+    const point = { x: 10, y: 10 };
+    expect(computeInverseQuadHomography({
+      topLeft: point, topRight: point, bottomLeft: point, bottomRight: point
+    })).toBeNull();
+  });
+});
+
+describe('resampleThroughPose', () => {
+  // Camera turned so everything moved a quarter of the frame to the right
+  const SHIFT_RIGHT = [1, 0, 25, 0, 1, 0, 0, 0, 1];
+
+  function resample(pose, bounds) {
+    const visited = [];
+    resampleThroughPose({ width: 4, height: 1 }, pose, 4, 1, (index, referenceIndex) => {
+      visited[index] = referenceIndex;
+    }, bounds);
+    return visited;
+  }
+
+  it('samples the reference pixel each view pixel shows', () => {
+    expect(resample(null)).toEqual([0, 1, 2, 3]);
+    expect(resample(SHIFT_RIGHT)).toEqual([-1, 0, 1, 2]);
+  });
+
+  it('resamples just a window of the view', () => {
+    expect(resample(SHIFT_RIGHT, { x: 2, y: 0, width: 2, height: 1 })).toEqual([1, 2]);
+  });
+});
+
+describe('getPixelBounds', () => {
+  it('rounds outward to whole pixels', () => {
+    expect(getPixelBounds(PERSPECTIVE_QUAD, 1280, 720)).toEqual({ x: 200, y: 100, width: 700, height: 500 });
+    expect(getPixelBounds({
+      topLeft: { x: 10.4, y: 5.6 },
+      topRight: { x: 20.2, y: 5.6 },
+      bottomLeft: { x: 10.4, y: 15.1 },
+      bottomRight: { x: 20.2, y: 15.1 }
+    }, 100, 100)).toEqual({ x: 10, y: 5, width: 11, height: 11 });
+  });
+
+  it('clamps to the canvas and returns null when off-canvas', () => {
+    expect(getPixelBounds(PERSPECTIVE_QUAD, 640, 360)).toEqual({ x: 200, y: 100, width: 440, height: 260 });
+    expect(getPixelBounds(PERSPECTIVE_QUAD, 100, 100)).toBeNull();
+  });
+});
+
+// Wall seen from the left, in percentage coordinates
+const SIDE_WALL = {
+  topLeft: { x: 20, y: 10 },
+  topRight: { x: 60, y: 25 },
+  bottomLeft: { x: 20, y: 90 },
+  bottomRight: { x: 60, y: 75 }
+};
+
+describe('moveCorner', () => {
+  it('moves a free corner on its own and clamps to the frame', () => {
+    const moved = moveCorner(SIDE_WALL, 'topRight', { x: 120, y: 30 });
+    expect(moved.topRight).toEqual({ x: 100, y: 30 });
+    expect(moved.bottomRight).toEqual(SIDE_WALL.bottomRight);
+  });
+
+  it('keeps trapezoid edges vertical', () => {
+    const moved = moveCorner(SIDE_WALL, 'topRight', { x: 70, y: 20 }, REGION_TYPES.TRAPEZOID);
+    expect(moved.topRight).toEqual({ x: 70, y: 20 });
+    expect(moved.bottomRight).toEqual({ x: 70, y: 75 });
+    expect(moved.topLeft).toEqual(SIDE_WALL.topLeft);
+  });
+
+  it('stops a trapezoid edge before it crosses the other one', () => {
+    const moved = moveCorner(SIDE_WALL, 'bottomLeft', { x: 80, y: 5 }, REGION_TYPES.TRAPEZOID);
+    expect(moved.bottomLeft.x).toBe(60 - MIN_REGION_SIZE);
+    expect(moved.topLeft.x).toBe(60 - MIN_REGION_SIZE);
+    expect(moved.bottomLeft.y).toBe(10 + MIN_REGION_SIZE);
+  });
+
+  it('resizes a rectangle about the opposite corner', () => {
+    const rect = constrainRegion(SIDE_WALL, REGION_TYPES.RECTANGLE);
+    const moved = moveCorner(rect, 'bottomLeft', { x: 30, y: 70 }, REGION_TYPES.RECTANGLE);
+    expect(moved).toEqual({
+      topLeft: { x: 30, y: 10 },
+      topRight: { x: 60, y: 10 },
+      bottomLeft: { x: 30, y: 70 },
+      bottomRight: { x: 60, y: 70 }
+    });
+  });
+});
+
+describe('constrainRegion', () => {
+  it('straightens edges for a trapezoid and boxes a rectangle', () => {
+    const skewed = { ...SIDE_WALL, bottomLeft: { x: 24, y: 90 } };
+    const trapezoid = constrainRegion(skewed, REGION_TYPES.TRAPEZOID);
+    expect(trapezoid.topLeft.x).toBe(22);
+    expect(trapezoid.bottomLeft.x).toBe(22);
+    expect(trapezoid.topRight.y).toBe(25);
+
+    expect(constrainRegion(skewed, REGION_TYPES.RECTANGLE)).toEqual({
+      topLeft: { x: 20, y: 10 },
+      topRight: { x: 60, y: 10 },
+      bottomLeft: { x: 20, y: 90 },
+      bottomRight: { x: 60, y: 90 }
+    });
+    expect(constrainRegion(skewed, REGION_TYPES.FREE)).toBe(skewed);
+  });
+});
+
+describe('applyContentTransform', () => {
+  const SOURCE = { x: 0, y: 0, width: 800, height: 600 };
+
+  it('leaves the source alone without zoom', () => {
+    expect(applyContentTransform(SOURCE, null)).toBe(SOURCE);
+    expect(applyContentTransform(SOURCE, { zoom: 0.5, panX: 1, panY: 0 })).toBe(SOURCE);
+  });
+
+  it('zooms into the middle and pans to the edges', () => {
+    expect(applyContentTransform(SOURCE, { zoom: 2, panX: 0, panY: 0 })).toEqual({ x: 200, y: 150, width: 400, height: 300 });
+    expect(applyContentTransform(SOURCE, { zoom: 2, panX: -1, panY: 1 })).toEqual({ x: 0, y: 300, width: 400, height: 300 });
+    // Pan is clamped so the crop never leaves the art
+    expect(applyContentTransform(SOURCE, { zoom: 4, panX: 3, panY: 0 }).x).toBe(600);
+  });
+
+  it('zooms within an aspect ratio crop', () => {
+    const cropped = applyContentTransform({ x: 100, y: 0, width: 600, height: 600 }, { zoom: 2, panX: 1, panY: 0 });
+    expect(cropped).toEqual({ x: 400, y: 150, width: 300, height: 300 });
+  });
+});
+
+describe('stepContentTransform', () => {
+  it('eases towards the target and snaps when close', () => {
+    const target = { zoom: 2, panX: 0.5, panY: 0 };
+    let transform = { zoom: 1, panX: 0, panY: 0 };
+    transform = stepContentTransform(transform, target, 0.5);
+    expect(transform.zoom).toBe(1.5);
+    expect(transform.panX).toBe(0.25);
+
+    for (let i = 0; i < 20; i++) transform = stepContentTransform(transform, target, 0.5);
+    expect(transform).toEqual(target);
+  });
+});
+
+// L-shaped wall: the part of the frame left of a bookcase and above a desk
+const L_POLYGON = [
+  { x: 10, y: 10 },
+  { x: 60, y: 10 },
+  { x: 60, y: 40 },
+  { x: 30, y: 40 },
+  { x: 30, y: 80 },
+  { x: 10, y: 80 }
+];
+
+describe('polygon regions', () => {
+  const region = toPolygonRegion(createDefaultRegion(10, 10, 50, 70), L_POLYGON);
+
+  it('tests points against the outline, not the anchor quad', () => {
+    expect(isPointInRegion({ x: 20, y: 60 }, region)).toBe(true);
+    expect(isPointInRegion({ x: 50, y: 20 }, region)).toBe(true);
+    // Inside the anchor quad, but in the notch of the L
+    expect(isPointInRegion({ x: 50, y: 60 }, region)).toBe(false);
+  });
+
+  it('measures bounds and area of the outline', () => {
+    const bounds = getRegionBounds(region);
+    expect(bounds).toMatchObject({ minX: 10, minY: 10, width: 50, height: 70 });
+    expect(getRegionArea(region)).toBeCloseTo(50 * 30 + 20 * 40, 6);
+  });
+
+  it('adds vertices on the nearest edge and keeps at least a triangle', () => {
+    const { region: withVertex, index } = insertVertex(region, { x: 35, y: 9 });
+    expect(index).toBe(1);
+    expect(withVertex.polygon).toHaveLength(7);
+    expect(withVertex.polygon[1]).toEqual({ x: 35, y: 9 });
+
+    expect(removeVertex(withVertex, 1).polygon).toEqual(L_POLYGON);
+    const triangle = toPolygonRegion(region, L_POLYGON.slice(0, 3));
+    expect(removeVertex(triangle, 0)).toBe(triangle);
+  });
+
+  it('moves the outline together with the anchor quad', () => {
+    const moved = moveRegion(region, -20, 5);
+    // Clamped so the outline stays on screen
+    expect(moved.polygon[0]).toEqual({ x: 0, y: 15 });
+    expect(moved.topLeft).toEqual({ x: 0, y: 15 });
+  });
+
+  it('keeps the outline through corner drags and type changes', () => {
+    expect(moveCorner(region, 'topLeft', { x: 5, y: 5 }, REGION_TYPES.RECTANGLE).polygon).toBe(region.polygon);
+    expect(constrainRegion(region, REGION_TYPES.TRAPEZOID).polygon).toBe(region.polygon);
+  });
+});
+
+describe('mask regions', () => {
+  // Square frame so brush radii are the same in x and y
+  const painted = addMaskStroke(
+    addMaskStroke(toMaskRegion(createDefaultRegion(), 1), { points: [{ x: 20, y: 50 }, { x: 80, y: 50 }], radius: 10 }),
+    { points: [{ x: 50, y: 50 }], radius: 5, erase: true }
+  );
+
+  it('replays strokes in order, so erasing cuts out what was painted', () => {
+    expect(isPointInRegion({ x: 25, y: 55 }, painted)).toBe(true);
+    expect(isPointInRegion({ x: 50, y: 50 }, painted)).toBe(false);
+    expect(isPointInRegion({ x: 50, y: 58 }, painted)).toBe(true);
+    expect(isPointInRegion({ x: 50, y: 70 }, painted)).toBe(false);
+  });
+
+  it('bounds the painted strokes, scaling the radius to the frame aspect', () => {
+    expect(getRegionBounds(painted)).toMatchObject({ minX: 10, maxX: 90, minY: 40, maxY: 60 });
+    const wide = addMaskStroke(toMaskRegion(createDefaultRegion(), 2), { points: [{ x: 50, y: 50 }], radius: 5 });
+    expect(getRegionBounds(wide)).toMatchObject({ minX: 45, maxX: 55, minY: 40, maxY: 60 });
+  });
+
+  it('estimates the painted area', () => {
+    // Capsule minus the erased disc
+    const expected = 60 * 20 + Math.PI * 10 * 10 - Math.PI * 5 * 5;
+    expect(getRegionArea(painted)).toBeCloseTo(expected, -1);
+  });
+});
+
+describe('getCoverQuad', () => {
+  it('covers a polygon with the anchor quad\'s perspective', () => {
+    // Anchor leaning back on the right; the polygon sits inside its left half
+    const anchor = {
+      topLeft: { x: 20, y: 10 },
+      topRight: { x: 80, y: 25 },
+      bottomLeft: { x: 20, y: 90 },
+      bottomRight: { x: 80, y: 75 }
+    };
+    const polygon = [{ x: 25, y: 30 }, { x: 45, y: 30 }, { x: 45, y: 60 }, { x: 25, y: 60 }];
+    const cover = getCoverQuad(toPolygonRegion(anchor, polygon));
+
+    // Every polygon vertex lies inside the cover quad (some on its edges)
+    const toCover = computeInverseQuadHomography(cover);
+    polygon.forEach(p => {
+      const uv = applyHomography(toCover, p.x, p.y);
+      [uv.x, uv.y].forEach(t => {
+        expect(t).toBeGreaterThan(-1e-9);
+        expect(t).toBeLessThan(1 + 1e-9);
+      });
+    });
+    // Its vertical edges stay vertical and its top edge keeps the anchor's slope direction
+    expect(cover.topLeft.x).toBeCloseTo(cover.bottomLeft.x, 6);
+    expect(cover.topRight.y).toBeGreaterThan(cover.topLeft.y);
+    expect(cover.bottomRight.y).toBeLessThan(cover.bottomLeft.y);
+    expect(cover.polygon).toBeUndefined();
+  });
+
+  it('returns the anchor quad itself for plain regions', () => {
+    const quad = createDefaultRegion(10, 20, 30, 40);
+    expect(getCoverQuad(quad)).toEqual(quad);
+  });
+});